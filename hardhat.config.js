@@ -11,6 +11,11 @@ module.exports = {
       },
     },
   },
+  // Stage contracts are compiled by each protocol/<stage> project
+  // (npm run compile:stages); the root project only builds its own mocks
+  paths: {
+    sources: "./mocks",
+  },
   networks: {
     hardhat: {
       chainId: 31337,
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+library MockLibrary {
+    function double(uint256 value) external pure returns (uint256) {
+        return value * 2;
+    }
+}
+
+contract MockLinkedContract {
+    function double(uint256 value) external pure returns (uint256) {
+        return MockLibrary.double(value);
+    }
+}
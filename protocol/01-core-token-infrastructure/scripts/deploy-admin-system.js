@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network: hardhatNetwork } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
@@ -6,11 +7,20 @@ async function main() {
   console.log("Deploying Administrative Control System with the account:", deployer.address);
   console.log("Account balance:", (await ethers.provider.getBalance(deployer.address)).toString());
 
+  // Deployed contracts are recorded in the deployment manifest
+  const manifest = openManifest(hardhatNetwork.name, (await ethers.provider.getNetwork()).chainId);
+
   // Deploy KarmaMultiSigManager
   console.log("\n=== Deploying KarmaMultiSigManager ===");
   const KarmaMultiSigManager = await ethers.getContractFactory("KarmaMultiSigManager");
   const karmaMultiSigManager = await KarmaMultiSigManager.deploy(deployer.address);
   await karmaMultiSigManager.waitForDeployment();
+  await saveDeployment(manifest, "KarmaMultiSigManager", karmaMultiSigManager, {
+    contract: "KarmaMultiSigManager",
+    stage: 1,
+    constructorArgs: [deployer.address],
+    bytecode: KarmaMultiSigManager.bytecode
+  });
   
   const multiSigManagerAddress = await karmaMultiSigManager.getAddress();
   console.log("KarmaMultiSigManager deployed to:", multiSigManagerAddress);
@@ -27,6 +37,12 @@ async function main() {
     executors
   );
   await karmaTimelock.waitForDeployment();
+  await saveDeployment(manifest, "KarmaTimelock", karmaTimelock, {
+    contract: "KarmaTimelock",
+    stage: 1,
+    constructorArgs: [deployer.address, proposers, executors],
+    bytecode: KarmaTimelock.bytecode
+  });
   
   const timelockAddress = await karmaTimelock.getAddress();
   console.log("KarmaTimelock deployed to:", timelockAddress);
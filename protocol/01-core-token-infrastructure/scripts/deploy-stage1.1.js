@@ -6,9 +6,11 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
-// Load configuration
-const config = require("../config/stage1.1-config.json");
+// Load and validate configuration
+const config = loadStageConfig("1.1");
 const constants = require("../utils/constants.js");
 
 async function main() {
@@ -43,14 +45,24 @@ async function main() {
         console.log("-".repeat(40));
         
         const KarmaToken = await ethers.getContractFactory("KarmaToken");
-        const karmaToken = await KarmaToken.deploy(
+        const karmaTokenArgs = [
             config.contracts.KarmaToken.name,
             config.contracts.KarmaToken.symbol,
             config.contracts.KarmaToken.maxSupply,
             admin.address
-        );
+        ];
+        const karmaToken = await KarmaToken.deploy(...karmaTokenArgs);
 
         const deployTx = await karmaToken.deployTransaction.wait();
+
+        // Record the token in the deployment manifest for later stages
+        const manifest = openManifest(network.name, (await ethers.provider.getNetwork()).chainId);
+        await saveDeployment(manifest, "KarmaToken", karmaToken, {
+            contract: "KarmaToken",
+            stage: 1,
+            constructorArgs: karmaTokenArgs,
+            bytecode: KarmaToken.bytecode
+        });
         
         deploymentLog.contracts.KarmaToken = karmaToken.address;
         deploymentLog.gasUsed.KarmaToken = deployTx.gasUsed.toString();
@@ -6,9 +6,11 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
-// Load configuration
-const config = require("../config/stage1.2-config.json");
+// Load and validate configuration
+const config = loadStageConfig("1.2");
 const constants = require("../utils/constants.js");
 
 async function main() {
@@ -36,6 +38,9 @@ async function main() {
         transactions: []
     };
 
+    // Deployed contracts are recorded in the deployment manifest
+    const manifest = openManifest(network.name, (await ethers.provider.getNetwork()).chainId);
+
     try {
         // Step 1: Deploy KarmaMultiSigManager
         console.log("📦 Step 1: Deploying KarmaMultiSigManager");
@@ -51,6 +56,12 @@ async function main() {
         );
 
         const multiSigTx = await multiSigManager.deployTransaction.wait();
+        await saveDeployment(manifest, "KarmaMultiSigManager", multiSigManager, {
+            contract: "KarmaMultiSigManager",
+            stage: 1,
+            constructorArgs: [signers, requiredSignatures],
+            bytecode: KarmaMultiSigManager.bytecode
+        });
         
         deploymentLog.contracts.KarmaMultiSigManager = multiSigManager.address;
         deploymentLog.gasUsed.KarmaMultiSigManager = multiSigTx.gasUsed.toString();
@@ -75,6 +86,12 @@ async function main() {
         );
 
         const timelockTx = await timelock.deployTransaction.wait();
+        await saveDeployment(manifest, "KarmaTimelock", timelock, {
+            contract: "KarmaTimelock",
+            stage: 1,
+            constructorArgs: [minDelay, proposers, executors],
+            bytecode: KarmaTimelock.bytecode
+        });
         
         deploymentLog.contracts.KarmaTimelock = timelock.address;
         deploymentLog.gasUsed.KarmaTimelock = timelockTx.gasUsed.toString();
@@ -97,6 +114,12 @@ async function main() {
         );
 
         const adminControlTx = await adminControl.deployTransaction.wait();
+        await saveDeployment(manifest, "AdminControl", adminControl, {
+            contract: "AdminControl",
+            stage: 1,
+            constructorArgs: [multiSigManager.address, timelock.address, emergencyPauseDuration],
+            bytecode: AdminControl.bytecode
+        });
         
         deploymentLog.contracts.AdminControl = adminControl.address;
         deploymentLog.gasUsed.AdminControl = adminControlTx.gasUsed.toString();
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { ROLES } = require("../../../utils/role-registry");
 
 describe("Karma Administrative Control System", function () {
   let karmaMultiSigManager;
@@ -10,11 +11,7 @@ describe("Karma Administrative Control System", function () {
   // Test addresses for multisig
   let multisigOwners;
   
-  const EMERGENCY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("EMERGENCY_ROLE"));
-  const OPERATOR_ROLE = ethers.keccak256(ethers.toUtf8Bytes("OPERATOR_ROLE"));
-  const PROPOSER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("PROPOSER_ROLE"));
-  const EXECUTOR_ROLE = ethers.keccak256(ethers.toUtf8Bytes("EXECUTOR_ROLE"));
-  const DEFAULT_ADMIN_ROLE = "0x0000000000000000000000000000000000000000000000000000000000000000";
+  const { EMERGENCY_ROLE, OPERATOR_ROLE, PROPOSER_ROLE, EXECUTOR_ROLE, DEFAULT_ADMIN_ROLE } = ROLES;
 
   beforeEach(async function () {
     [owner, admin, proposer, executor, emergency, user1, user2] = await ethers.getSigners();
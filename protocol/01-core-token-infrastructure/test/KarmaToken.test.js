@@ -1,14 +1,13 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { ROLES } = require("../../../utils/role-registry");
 
 describe("KarmaToken", function () {
   let karmaToken;
   let owner, admin, minter, pauser, user1, user2, treasury, saleManager;
   
   const MAX_SUPPLY = ethers.parseEther("1000000000"); // 1 billion tokens
-  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
-  const PAUSER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("PAUSER_ROLE"));
-  const DEFAULT_ADMIN_ROLE = "0x0000000000000000000000000000000000000000000000000000000000000000";
+  const { MINTER_ROLE, PAUSER_ROLE, DEFAULT_ADMIN_ROLE } = ROLES;
 
   beforeEach(async function () {
     [owner, admin, minter, pauser, user1, user2, treasury, saleManager] = await ethers.getSigners();
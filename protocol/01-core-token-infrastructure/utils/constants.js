@@ -3,6 +3,9 @@
  * Stage 1: Core Token Infrastructure
  */
 
+const { roleId } = require("../../../utils/role-registry");
+const { TIME_UNITS } = require("../../../utils/time-units");
+
 // ============ TOKEN CONSTANTS ============
 
 const TOKEN_CONSTANTS = {
@@ -26,12 +29,12 @@ const TOKEN_CONSTANTS = {
         STAKING_REWARDS: 10 // 100M tokens
     },
     
-    // Role Identifiers (keccak256 hashes)
+    // Role Identifiers (keccak256 of the role name, from the role registry)
     ROLES: {
-        DEFAULT_ADMIN_ROLE: "0x0000000000000000000000000000000000000000000000000000000000000000",
-        MINTER_ROLE: "0x9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a6",
-        PAUSER_ROLE: "0x65d7a28e3265b37a6474929f336521b332c1681b933f6cb9f3376673440d862a",
-        BURNER_ROLE: "0x3c11d16cbaffd01df69ce1c404f6340ee057498f5f00246190ea54220576a848"
+        DEFAULT_ADMIN_ROLE: roleId("DEFAULT_ADMIN_ROLE"),
+        MINTER_ROLE: roleId("MINTER_ROLE"),
+        PAUSER_ROLE: roleId("PAUSER_ROLE"),
+        BURNER_ROLE: roleId("BURNER_ROLE")
     }
 };
 
@@ -62,10 +65,10 @@ const ADMIN_CONSTANTS = {
     
     // Admin Roles
     ROLES: {
-        EMERGENCY_ADMIN_ROLE: "0x5d8e12c39faa2a67e6b84d0ed8b40b09f5dd74d3c3e6d6e6e7e6e6e6e6e6e6e",
-        TIMELOCK_ADMIN_ROLE: "0x7d8e12c39faa2a67e6b84d0ed8b40b09f5dd74d3c3e6d6e6e7e6e6e6e6e6e6e",
-        MULTISIG_ADMIN_ROLE: "0x8d8e12c39faa2a67e6b84d0ed8b40b09f5dd74d3c3e6d6e6e7e6e6e6e6e6e6e",
-        PROTOCOL_ADMIN_ROLE: "0x9d8e12c39faa2a67e6b84d0ed8b40b09f5dd74d3c3e6d6e6e7e6e6e6e6e6e6e"
+        EMERGENCY_ADMIN_ROLE: roleId("EMERGENCY_ADMIN_ROLE"),
+        TIMELOCK_ADMIN_ROLE: roleId("TIMELOCK_ADMIN_ROLE"),
+        MULTISIG_ADMIN_ROLE: roleId("MULTISIG_ADMIN_ROLE"),
+        PROTOCOL_ADMIN_ROLE: roleId("PROTOCOL_ADMIN_ROLE")
     }
 };
 
@@ -134,12 +137,12 @@ const TESTING_CONSTANTS = {
         LARGE_AMOUNT: "100000000000000000000000000" // 100M tokens
     },
     
-    // Time Constants for Testing
+    // Time Constants for Testing (shared time units)
     TIME: {
-        ONE_DAY: 86400,
-        ONE_WEEK: 604800,
-        ONE_MONTH: 2592000,
-        ONE_YEAR: 31536000
+        ONE_DAY: TIME_UNITS.DAY,
+        ONE_WEEK: TIME_UNITS.WEEK,
+        ONE_MONTH: TIME_UNITS.MONTH,
+        ONE_YEAR: TIME_UNITS.YEAR
     }
 };
 
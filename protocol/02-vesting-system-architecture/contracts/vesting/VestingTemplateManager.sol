@@ -4,8 +4,8 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "../../../interfaces/IVestingVault.sol";
-import "../../../interfaces/IVestingConfigurationManager.sol";
+import "../interfaces/IVestingVault.sol";
+import "../interfaces/IVestingConfigurationManager.sol";
 
 /**
  * @title VestingTemplateManager
@@ -1,5 +1,5 @@
 require("@nomicfoundation/hardhat-toolbox");
-require("@nomiclabs/hardhat-etherscan");
+require("@nomicfoundation/hardhat-verify");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
 
@@ -13,7 +13,7 @@ const INFURA_PROJECT_ID = process.env.INFURA_PROJECT_ID || "";
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.19",
+    version: "0.8.20",
     settings: {
       optimizer: {
         enabled: true,
@@ -88,6 +88,6 @@ module.exports = {
   // Custom task configurations
   typechain: {
     outDir: "typechain-types",
-    target: "ethers-v5"
+    target: "ethers-v6"
   }
 }; 
\ No newline at end of file
@@ -6,9 +6,11 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const { loadManifest, resolveContractAddresses, saveDeployment } = require("../../../utils/deployment-manifest");
 
-// Load configuration
-const config = require("../config/stage2.1-config.json");
+// Load and validate configuration
+const config = loadStageConfig("2.1");
 const vestingCalc = require("../utils/vesting-calculator.js");
 
 async function main() {
@@ -42,15 +44,9 @@ async function main() {
         console.log("🔍 Step 1: Validating dependencies");
         console.log("-".repeat(50));
         
-        // Check if Stage 1 artifacts exist
-        const stage1ArtifactsPath = path.join(__dirname, "../../01-core-token-infrastructure/artifacts/stage1.1-contracts.json");
-        
-        if (!fs.existsSync(stage1ArtifactsPath)) {
-            throw new Error("Stage 1 artifacts not found. Please deploy Stage 1 first.");
-        }
-        
-        const stage1Artifacts = JSON.parse(fs.readFileSync(stage1ArtifactsPath, "utf8"));
-        const karmaTokenAddress = stage1Artifacts.contracts.KarmaToken.address;
+        // Stage 1 contracts come from the deployment manifest
+        const manifest = loadManifest(network.name);
+        const { KarmaToken: karmaTokenAddress } = resolveContractAddresses(manifest, ["KarmaToken"]);
         
         console.log(`✅ KarmaToken found at: ${karmaTokenAddress}`);
 
@@ -66,6 +62,12 @@ async function main() {
         );
 
         const deployTx = await vestingVault.deployTransaction.wait();
+        await saveDeployment(manifest, "VestingVault", vestingVault, {
+            contract: "VestingVault",
+            stage: 2,
+            constructorArgs: [karmaTokenAddress, admin.address],
+            bytecode: VestingVault.bytecode
+        });
         
         deploymentLog.contracts.VestingVault = vestingVault.address;
         deploymentLog.gasUsed.VestingVault = deployTx.gasUsed.toString();
@@ -83,9 +85,9 @@ async function main() {
         console.log("🔐 Step 3: Setting up roles and permissions");
         console.log("-".repeat(50));
 
-        // Grant VAULT_MANAGER_ROLE to vault manager
+        // Grant VESTING_MANAGER_ROLE to vault manager
         const vaultManagerRoleTx = await vestingVault.connect(admin).grantRole(
-            config.contracts.VestingVault.roles.vaultManagerRole,
+            config.contracts.VestingVault.roles.vestingManagerRole,
             vaultManager.address
         );
         await vaultManagerRoleTx.wait();
@@ -96,7 +98,7 @@ async function main() {
             recipient: vaultManager.address
         });
 
-        console.log(`✅ Granted VAULT_MANAGER_ROLE to: ${vaultManager.address}`);
+        console.log(`✅ Granted VESTING_MANAGER_ROLE to: ${vaultManager.address}`);
 
         // Grant PAUSER_ROLE to pauser
         const pauserRoleTx = await vestingVault.connect(admin).grantRole(
@@ -177,7 +179,7 @@ async function main() {
 
         const tokenAddress = await vestingVault.token();
         const hasVaultManagerRole = await vestingVault.hasRole(
-            config.contracts.VestingVault.roles.vaultManagerRole,
+            config.contracts.VestingVault.roles.vestingManagerRole,
             vaultManager.address
         );
         const hasPauserRole = await vestingVault.hasRole(
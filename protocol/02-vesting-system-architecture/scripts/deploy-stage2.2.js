@@ -6,9 +6,11 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const { loadManifest, resolveContractAddresses, saveDeployment } = require("../../../utils/deployment-manifest");
 
-// Load configuration
-const config = require("../config/stage2.2-config.json");
+// Load and validate configuration
+const config = loadStageConfig("2.2");
 const vestingCalc = require("../utils/vesting-calculator.js");
 
 async function main() {
@@ -28,14 +30,9 @@ async function main() {
         console.log("🔍 Step 1: Validating dependencies");
         console.log("-".repeat(50));
         
-        const stage21ArtifactsPath = path.join(__dirname, "../artifacts/stage2.1-contracts.json");
-        
-        if (!fs.existsSync(stage21ArtifactsPath)) {
-            throw new Error("Stage 2.1 artifacts not found. Please deploy Stage 2.1 first.");
-        }
-        
-        const stage21Artifacts = JSON.parse(fs.readFileSync(stage21ArtifactsPath, "utf8"));
-        const vestingVaultAddress = stage21Artifacts.contracts.VestingVault.address;
+        // Stage 2.1 contracts come from the deployment manifest
+        const manifest = loadManifest(network.name);
+        const { VestingVault: vestingVaultAddress } = resolveContractAddresses(manifest, ["VestingVault"]);
         
         console.log(`✅ VestingVault found at: ${vestingVaultAddress}`);
 
@@ -49,6 +46,12 @@ async function main() {
             vestingVaultAddress,
             admin.address
         );
+        await saveDeployment(manifest, "TeamVesting", teamVesting, {
+            contract: "TeamVesting",
+            stage: 2,
+            constructorArgs: [vestingVaultAddress, admin.address],
+            bytecode: TeamVesting.bytecode
+        });
 
         console.log(`✅ TeamVesting deployed to: ${teamVesting.address}`);
 
@@ -62,6 +65,12 @@ async function main() {
             vestingVaultAddress,
             admin.address
         );
+        await saveDeployment(manifest, "PrivateSaleVesting", privateSaleVesting, {
+            contract: "PrivateSaleVesting",
+            stage: 2,
+            constructorArgs: [vestingVaultAddress, admin.address],
+            bytecode: PrivateSaleVesting.bytecode
+        });
 
         console.log(`✅ PrivateSaleVesting deployed to: ${privateSaleVesting.address}`);
 
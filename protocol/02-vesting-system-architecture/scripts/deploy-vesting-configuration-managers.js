@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("=".repeat(80));
@@ -14,12 +15,21 @@ async function main() {
     console.log(`   Network: ${hre.network.name}`);
     console.log(`   Balance: ${ethers.formatEther(await ethers.provider.getBalance(deployerAddress))} ETH`);
     console.log();
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(hre.network.name, chainId);
     
     // Deploy KarmaToken if needed
     console.log("🪙 Deploying KarmaToken...");
     const KarmaToken = await ethers.getContractFactory("KarmaToken");
     const karmaToken = await KarmaToken.deploy(deployerAddress);
     await karmaToken.waitForDeployment();
+    await saveDeployment(manifest, "KarmaToken", karmaToken, {
+        contract: "KarmaToken",
+        stage: 1,
+        constructorArgs: [deployerAddress],
+        bytecode: KarmaToken.bytecode
+    });
     const karmaTokenAddress = await karmaToken.getAddress();
     console.log(`   ✅ KarmaToken deployed: ${karmaTokenAddress}`);
     
@@ -28,6 +38,12 @@ async function main() {
     const VestingVault = await ethers.getContractFactory("VestingVault");
     const vestingVault = await VestingVault.deploy(karmaTokenAddress, deployerAddress);
     await vestingVault.waitForDeployment();
+    await saveDeployment(manifest, "VestingVault", vestingVault, {
+        contract: "VestingVault",
+        stage: 2,
+        constructorArgs: [karmaTokenAddress, deployerAddress],
+        bytecode: VestingVault.bytecode
+    });
     const vestingVaultAddress = await vestingVault.getAddress();
     console.log(`   ✅ VestingVault deployed: ${vestingVaultAddress}`);
     
@@ -40,6 +56,12 @@ async function main() {
     const TeamVestingManager = await ethers.getContractFactory("TeamVestingManager");
     const teamVestingManager = await TeamVestingManager.deploy(vestingVaultAddress, deployerAddress);
     await teamVestingManager.waitForDeployment();
+    await saveDeployment(manifest, "TeamVestingManager", teamVestingManager, {
+        contract: "TeamVestingManager",
+        stage: 2,
+        constructorArgs: [vestingVaultAddress, deployerAddress],
+        bytecode: TeamVestingManager.bytecode
+    });
     const teamVestingManagerAddress = await teamVestingManager.getAddress();
     console.log(`   ✅ TeamVestingManager deployed: ${teamVestingManagerAddress}`);
     
@@ -48,6 +70,12 @@ async function main() {
     const PrivateSaleVestingManager = await ethers.getContractFactory("PrivateSaleVestingManager");
     const privateSaleVestingManager = await PrivateSaleVestingManager.deploy(vestingVaultAddress, deployerAddress);
     await privateSaleVestingManager.waitForDeployment();
+    await saveDeployment(manifest, "PrivateSaleVestingManager", privateSaleVestingManager, {
+        contract: "PrivateSaleVestingManager",
+        stage: 2,
+        constructorArgs: [vestingVaultAddress, deployerAddress],
+        bytecode: PrivateSaleVestingManager.bytecode
+    });
     const privateSaleVestingManagerAddress = await privateSaleVestingManager.getAddress();
     console.log(`   ✅ PrivateSaleVestingManager deployed: ${privateSaleVestingManagerAddress}`);
     
@@ -56,6 +84,12 @@ async function main() {
     const VestingTemplateManager = await ethers.getContractFactory("VestingTemplateManager");
     const vestingTemplateManager = await VestingTemplateManager.deploy(vestingVaultAddress, deployerAddress);
     await vestingTemplateManager.waitForDeployment();
+    await saveDeployment(manifest, "VestingTemplateManager", vestingTemplateManager, {
+        contract: "VestingTemplateManager",
+        stage: 2,
+        constructorArgs: [vestingVaultAddress, deployerAddress],
+        bytecode: VestingTemplateManager.bytecode
+    });
     const vestingTemplateManagerAddress = await vestingTemplateManager.getAddress();
     console.log(`   ✅ VestingTemplateManager deployed: ${vestingTemplateManagerAddress}`);
     
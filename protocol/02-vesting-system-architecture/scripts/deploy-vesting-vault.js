@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("🚀 Deploying VestingVault System...");
@@ -8,12 +9,21 @@ async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying with account:", deployer.address);
     console.log("Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH\n");
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
     
     // Deploy KarmaToken fresh for this deployment
     console.log("🔄 Deploying KarmaToken...");
     const KarmaToken = await ethers.getContractFactory("KarmaToken");
     const karmaToken = await KarmaToken.deploy(deployer.address);
     await karmaToken.waitForDeployment();
+    await saveDeployment(manifest, "KarmaToken", karmaToken, {
+        contract: "KarmaToken",
+        stage: 1,
+        constructorArgs: [deployer.address],
+        bytecode: KarmaToken.bytecode
+    });
     const karmaTokenAddress = await karmaToken.getAddress();
     
     console.log("✅ KarmaToken deployed to:", karmaTokenAddress);
@@ -31,6 +41,12 @@ async function main() {
     const VestingVault = await ethers.getContractFactory("VestingVault");
     const vestingVault = await VestingVault.deploy(karmaTokenAddress, deployer.address);
     await vestingVault.waitForDeployment();
+    await saveDeployment(manifest, "VestingVault", vestingVault, {
+        contract: "VestingVault",
+        stage: 2,
+        constructorArgs: [karmaTokenAddress, deployer.address],
+        bytecode: VestingVault.bytecode
+    });
     
     const vestingVaultAddress = await vestingVault.getAddress();
     console.log("✅ VestingVault deployed to:", vestingVaultAddress);
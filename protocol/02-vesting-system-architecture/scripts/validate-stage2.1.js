@@ -3,9 +3,19 @@
  * Validates the core vesting vault deployment and functionality
  */
 
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const {
+    ValidationReport,
+    codePresent,
+    roleGranted,
+    pointerSet,
+    custom
+} = require("../../../utils/validation-framework");
+
+const config = loadStageConfig("2.1");
 
 async function main() {
     console.log("✅ Starting Stage 2.1 Validation: VestingVault Core Development");
@@ -26,105 +36,63 @@ async function main() {
 
         // Get contract instance
         const vestingVault = await ethers.getContractAt("VestingVault", vestingVaultAddress);
+        const vaultRoles = config.contracts.VestingVault.roles;
 
-        const validationResults = {
-            deployment: false,
-            tokenAddress: false,
-            roles: false,
-            functionality: false,
-            overallValid: false
-        };
+        const report = new ValidationReport({ name: "stage2.1", network: network.name, provider: ethers.provider });
+        const validationResults = report.stage("2.1", "VestingVault Core Development");
 
         // Test 1: Deployment validation
         console.log("");
         console.log("🔍 Test 1: Deployment Validation");
         console.log("-".repeat(40));
 
-        try {
-            const code = await ethers.provider.getCode(vestingVaultAddress);
-            if (code !== "0x") {
-                console.log("✅ Contract deployed successfully");
-                validationResults.deployment = true;
-            } else {
-                console.log("❌ Contract not deployed");
-            }
-        } catch (error) {
-            console.log("❌ Deployment validation failed:", error.message);
-        }
+        await validationResults.run([codePresent({ name: "VestingVault", address: vestingVaultAddress })]);
 
         // Test 2: Token address validation
         console.log("");
         console.log("🔍 Test 2: Token Address Validation");
         console.log("-".repeat(40));
 
-        try {
-            const tokenAddress = await vestingVault.token();
-            if (tokenAddress && tokenAddress !== ethers.constants.AddressZero) {
-                console.log(`✅ Token address set: ${tokenAddress}`);
-                validationResults.tokenAddress = true;
-            } else {
-                console.log("❌ Invalid token address");
-            }
-        } catch (error) {
-            console.log("❌ Token address validation failed:", error.message);
-        }
+        await validationResults.run([
+            pointerSet({
+                contract: vestingVault,
+                contractName: "VestingVault",
+                getter: "vestingToken",
+                expected: artifacts.dependencies.karmaToken,
+                expectedName: "KarmaToken"
+            })
+        ]);
 
         // Test 3: Role validation
         console.log("");
         console.log("🔍 Test 3: Role Validation");
         console.log("-".repeat(40));
 
-        try {
-            const DEFAULT_ADMIN_ROLE = await vestingVault.DEFAULT_ADMIN_ROLE();
-            const VAULT_MANAGER_ROLE = await vestingVault.VAULT_MANAGER_ROLE();
-            const PAUSER_ROLE = await vestingVault.PAUSER_ROLE();
-
-            console.log(`✅ Roles defined correctly`);
-            console.log(`   DEFAULT_ADMIN_ROLE: ${DEFAULT_ADMIN_ROLE}`);
-            console.log(`   VAULT_MANAGER_ROLE: ${VAULT_MANAGER_ROLE}`);
-            console.log(`   PAUSER_ROLE: ${PAUSER_ROLE}`);
-            
-            validationResults.roles = true;
-        } catch (error) {
-            console.log("❌ Role validation failed:", error.message);
-        }
+        await validationResults.run([
+            roleGranted({ contract: vestingVault, contractName: "VestingVault", role: vaultRoles.defaultAdminRole, roleName: "DEFAULT_ADMIN_ROLE", account: artifacts.roles.admin, accountName: "admin" }),
+            roleGranted({ contract: vestingVault, contractName: "VestingVault", role: vaultRoles.vestingManagerRole, roleName: "VESTING_MANAGER_ROLE", account: artifacts.roles.vaultManager, accountName: "vaultManager" }),
+            roleGranted({ contract: vestingVault, contractName: "VestingVault", role: vaultRoles.pauserRole, roleName: "PAUSER_ROLE", account: artifacts.roles.pauser, accountName: "pauser" }),
+            roleGranted({ contract: vestingVault, contractName: "VestingVault", role: vaultRoles.emergencyRole, roleName: "EMERGENCY_ROLE", account: artifacts.roles.emergency, accountName: "emergency" })
+        ]);
 
         // Test 4: Basic functionality validation
         console.log("");
         console.log("🔍 Test 4: Basic Functionality Validation");
         console.log("-".repeat(40));
 
-        try {
-            const isPaused = await vestingVault.paused();
-            console.log(`✅ Contract pause state: ${isPaused}`);
-            
-            // Try to get total schedules (should not revert)
-            const totalSchedules = await vestingVault.getTotalSchedules();
-            console.log(`✅ Total schedules: ${totalSchedules}`);
-            
-            validationResults.functionality = true;
-        } catch (error) {
-            console.log("❌ Functionality validation failed:", error.message);
-        }
-
-        // Overall validation result
-        validationResults.overallValid = 
-            validationResults.deployment && 
-            validationResults.tokenAddress && 
-            validationResults.roles && 
-            validationResults.functionality;
-
-        console.log("");
-        console.log("📊 Validation Summary");
-        console.log("-".repeat(40));
-        console.log(`Deployment: ${validationResults.deployment ? '✅' : '❌'}`);
-        console.log(`Token Address: ${validationResults.tokenAddress ? '✅' : '❌'}`);
-        console.log(`Roles: ${validationResults.roles ? '✅' : '❌'}`);
-        console.log(`Functionality: ${validationResults.functionality ? '✅' : '❌'}`);
-        console.log("");
-        console.log(`Overall Valid: ${validationResults.overallValid ? '✅ PASSED' : '❌ FAILED'}`);
-
-        if (validationResults.overallValid) {
+        await validationResults.run([
+            custom("Pause State", async () => {
+                const isPaused = await vestingVault.paused();
+                return { passed: !isPaused, message: isPaused ? "Contract is paused" : "Contract operational" };
+            }),
+            custom("Vesting Totals", async () => {
+                const totalVesting = await vestingVault.totalVestingAmount();
+                const totalClaimed = await vestingVault.totalClaimedAmount();
+                return { passed: true, message: `${totalVesting} vesting, ${totalClaimed} claimed` };
+            })
+        ]);
+
+        if (validationResults.failed === 0) {
             console.log("");
             console.log("🎉 Stage 2.1 Validation Completed Successfully!");
             console.log("VestingVault is ready for production use.");
@@ -134,7 +102,7 @@ async function main() {
             console.log("Please fix the issues above before proceeding.");
         }
 
-        return validationResults;
+        return report;
 
     } catch (error) {
         console.error("❌ Validation script failed:", error);
@@ -144,7 +112,7 @@ async function main() {
 
 if (require.main === module) {
     main()
-        .then(() => process.exit(0))
+        .then((report) => process.exit(report.finish()))
         .catch((error) => {
             console.error(error);
             process.exit(1);
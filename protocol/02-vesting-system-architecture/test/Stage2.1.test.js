@@ -198,7 +198,7 @@ describe("Stage 2.1 - VestingVault Core Development", function () {
     describe("Vesting Calculations", function () {
         
         it("Should calculate linear vesting correctly", async function () {
-            const amount = ethers.utils.parseEther("1000");
+            const amount = ethers.parseEther("1000");
             const currentTime = Math.floor(Date.now() / 1000);
             const startTime = currentTime;
             const duration = vestingCalc.VESTING_CONSTANTS.TIME_UNITS.MONTH * 6; // 6 months
@@ -209,12 +209,12 @@ describe("Stage 2.1 - VestingVault Core Development", function () {
             const result = vestingCalc.calculateLinearVesting(amount, startTime, endTime, midTime);
             
             expect(result.progressPercentage).to.equal("50.00");
-            expect(result.vestedAmount).to.equal(ethers.utils.parseEther("500"));
+            expect(result.vestedAmount).to.equal(ethers.parseEther("500"));
             expect(result.isCliffPassed).to.be.true;
         });
 
         it("Should handle cliff periods correctly", async function () {
-            const amount = ethers.utils.parseEther("1000");
+            const amount = ethers.parseEther("1000");
             const currentTime = Math.floor(Date.now() / 1000);
             const startTime = currentTime;
             const duration = vestingCalc.VESTING_CONSTANTS.TIME_UNITS.MONTH * 12; // 12 months
@@ -227,7 +227,7 @@ describe("Stage 2.1 - VestingVault Core Development", function () {
             const resultBeforeCliff = vestingCalc.calculateLinearVesting(amount, startTime, endTime, beforeCliff, cliffTime);
             
             expect(resultBeforeCliff.progressPercentage).to.equal("0");
-            expect(resultBeforeCliff.vestedAmount).to.equal(ethers.BigNumber.from(0));
+            expect(resultBeforeCliff.vestedAmount).to.equal(0n);
             expect(resultBeforeCliff.isCliffPassed).to.be.false;
             
             // Test after cliff
@@ -239,7 +239,7 @@ describe("Stage 2.1 - VestingVault Core Development", function () {
         });
 
         it("Should generate valid vesting schedules", async function () {
-            const amount = ethers.utils.parseEther("1000000"); // 1M tokens
+            const amount = ethers.parseEther("1000000"); // 1M tokens
             const currentTime = Math.floor(Date.now() / 1000);
             const startTime = currentTime + 86400;
             const duration = vestingCalc.VESTING_CONSTANTS.TIME_UNITS.MONTH * 12; // 12 months
@@ -267,7 +267,7 @@ describe("Stage 2.1 - VestingVault Core Development", function () {
     describe("Team Vesting Calculations", function () {
         
         it("Should calculate team vesting correctly", async function () {
-            const amount = ethers.utils.parseEther("200000000"); // 200M tokens
+            const amount = ethers.parseEther("200000000"); // 200M tokens
             const currentTime = Math.floor(Date.now() / 1000);
             const startTime = currentTime;
             
@@ -280,7 +280,7 @@ describe("Stage 2.1 - VestingVault Core Development", function () {
         });
 
         it("Should handle team vesting cliff correctly", async function () {
-            const amount = ethers.utils.parseEther("200000000"); // 200M tokens
+            const amount = ethers.parseEther("200000000"); // 200M tokens
             const currentTime = Math.floor(Date.now() / 1000);
             const startTime = currentTime;
             
@@ -290,14 +290,14 @@ describe("Stage 2.1 - VestingVault Core Development", function () {
             
             expect(result.isCliffPassed).to.be.false;
             expect(result.progressPercentage).to.equal("0");
-            expect(result.vestedAmount).to.equal(ethers.BigNumber.from(0));
+            expect(result.vestedAmount).to.equal(0n);
         });
     });
 
     describe("Private Sale Vesting Calculations", function () {
         
         it("Should calculate private sale vesting correctly", async function () {
-            const amount = ethers.utils.parseEther("100000000"); // 100M tokens
+            const amount = ethers.parseEther("100000000"); // 100M tokens
             const currentTime = Math.floor(Date.now() / 1000);
             const startTime = currentTime;
             
@@ -310,7 +310,7 @@ describe("Stage 2.1 - VestingVault Core Development", function () {
         });
 
         it("Should have no cliff for private sale vesting", async function () {
-            const amount = ethers.utils.parseEther("100000000"); // 100M tokens
+            const amount = ethers.parseEther("100000000"); // 100M tokens
             const currentTime = Math.floor(Date.now() / 1000);
             const startTime = currentTime;
             
@@ -328,7 +328,7 @@ describe("Stage 2.1 - VestingVault Core Development", function () {
         it("Should validate vesting parameters correctly", async function () {
             // Valid parameters
             const validParams = {
-                totalAmount: ethers.utils.parseEther("1000"),
+                totalAmount: ethers.parseEther("1000"),
                 startTime: Math.floor(Date.now() / 1000) + 86400,
                 duration: vestingCalc.VESTING_CONSTANTS.TIME_UNITS.MONTH * 6,
                 cliffDuration: vestingCalc.VESTING_CONSTANTS.TIME_UNITS.MONTH
@@ -341,7 +341,7 @@ describe("Stage 2.1 - VestingVault Core Development", function () {
             // Invalid parameters - zero amount
             const invalidParams1 = {
                 ...validParams,
-                totalAmount: ethers.BigNumber.from(0)
+                totalAmount: 0n
             };
 
             const invalidResult1 = vestingCalc.validateVestingParameters(invalidParams1);
@@ -364,7 +364,7 @@ describe("Stage 2.1 - VestingVault Core Development", function () {
         
         it("Should generate gas-optimized checkpoints", async function () {
             const vestingParams = {
-                totalAmount: ethers.utils.parseEther("1000000"),
+                totalAmount: ethers.parseEther("1000000"),
                 startTime: Math.floor(Date.now() / 1000) + 86400,
                 duration: vestingCalc.VESTING_CONSTANTS.TIME_UNITS.YEAR * 4, // 4 years
                 cliffDuration: vestingCalc.VESTING_CONSTANTS.TIME_UNITS.YEAR // 1 year cliff
@@ -0,0 +1,257 @@
+/**
+ * Vesting Calculator Parity Tests
+ * Differential check of utils/vesting-calculator.js against VestingVault.getVestedAmount
+ *
+ * Creates a few thousand random schedules on a local VestingVault and compares
+ * the calculator with the contract, to the wei: every schedule at a few random
+ * timestamps, random samples at many more, a sample of schedules at each of
+ * their cliff and end edges, and schedules after partial and full revocation.
+ * The run is reproducible from its seed:
+ *
+ *   VESTING_PARITY_SEED=42 VESTING_PARITY_SCHEDULES=5000 npx hardhat test test/VestingCalculatorParity.test.js
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ROLES } = require("../../../utils/role-registry");
+
+const vestingCalc = require("../utils/vesting-calculator.js");
+
+const SEED = parseInt(process.env.VESTING_PARITY_SEED || "20240601", 10);
+const SCHEDULE_COUNT = parseInt(process.env.VESTING_PARITY_SCHEDULES || "2000", 10);
+
+const BATCH_SIZE = 40;
+const RANDOM_CHECKPOINTS = 60;
+const EDGE_SAMPLE = 40;
+const SCHEDULES_PER_CHECKPOINT = 40;
+const FULL_SWEEPS = 3;
+
+const { DAY, YEAR } = vestingCalc.VESTING_CONSTANTS.TIME_UNITS;
+
+/**
+ * Seeded PRNG (mulberry32) so a failing run can be replayed
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Uniform [0, 1) generator
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+describe("Vesting Calculator Parity", function () {
+    this.timeout(0);
+
+    const random = createRandom(SEED);
+    const randomInt = (min, max) => min + Math.floor(random() * (max - min + 1));
+    const pick = (items, count) => Array.from({ length: Math.min(count, items.length) }, () => items[randomInt(0, items.length - 1)]);
+
+    // Amounts from 1 wei to 10^27 wei with random low digits, so rounding is exercised
+    const randomAmount = () => BigInt(randomInt(1, 999999999)) * 10n ** BigInt(randomInt(0, 18)) + BigInt(randomInt(0, 999));
+
+    // Durations from seconds to four years; cliffs of zero, the full duration or anything between
+    function randomTiming() {
+        const vestingDuration = random() < 0.1 ? randomInt(1, 3600) : randomInt(DAY, YEAR * 4);
+        const shape = random();
+        const cliffDuration = shape < 0.25 ? 0 : shape < 0.35 ? vestingDuration : randomInt(0, vestingDuration);
+        return { cliffDuration, vestingDuration };
+    }
+
+    let vestingVault;
+    let vestingManager;
+    let schedules;
+    let comparisons;
+    const mismatches = [];
+
+    before(async function () {
+        const [admin, manager, ...beneficiaries] = await ethers.getSigners();
+        vestingManager = manager;
+
+        const KarmaToken = await ethers.getContractFactory("MockKarmaToken");
+        const karmaToken = await KarmaToken.deploy(admin.address);
+        await karmaToken.waitForDeployment();
+
+        const VestingVault = await ethers.getContractFactory("VestingVault");
+        vestingVault = await VestingVault.deploy(await karmaToken.getAddress(), admin.address);
+        await vestingVault.waitForDeployment();
+        await vestingVault.connect(admin).grantRole(ROLES.VESTING_MANAGER_ROLE, vestingManager.address);
+
+        const base = (await time.latest()) + DAY;
+        schedules = Array.from({ length: SCHEDULE_COUNT }, (_, i) => ({
+            id: i + 1,
+            beneficiary: beneficiaries[i % beneficiaries.length].address,
+            totalAmount: randomAmount(),
+            claimedAmount: 0n,
+            startTime: base + randomInt(0, 30 * DAY),
+            revoked: false,
+            ...randomTiming()
+        }));
+
+        for (let i = 0; i < schedules.length; i += BATCH_SIZE) {
+            const batch = schedules.slice(i, i + BATCH_SIZE);
+            await vestingVault.connect(vestingManager).createVestingSchedulesBatch(
+                batch.map(schedule => schedule.beneficiary),
+                batch.map(schedule => schedule.totalAmount),
+                batch.map(schedule => schedule.startTime),
+                batch.map(schedule => schedule.cliffDuration),
+                batch.map(schedule => schedule.vestingDuration),
+                batch.map(() => "PARITY")
+            );
+        }
+        comparisons = 0;
+    });
+
+    /**
+     * Compare the calculator with the contract for some schedules at the current block time
+     */
+    async function compare(scheduleList) {
+        const now = await time.latest();
+        for (const schedule of scheduleList) {
+            const onChain = await vestingVault.getVestedAmount(schedule.id);
+            const expected = vestingCalc.calculateVestedAmount(schedule, now);
+            const linear = schedule.revoked ? expected : vestingCalc.calculateLinearVesting(
+                schedule.totalAmount,
+                schedule.startTime,
+                schedule.startTime + schedule.vestingDuration,
+                now,
+                schedule.startTime + schedule.cliffDuration
+            ).vestedAmount;
+
+            comparisons++;
+            if (onChain !== expected || onChain !== linear) {
+                mismatches.push({ id: schedule.id, now, onChain, expected, linear, schedule: { ...schedule } });
+            }
+        }
+    }
+
+    function describeMismatches() {
+        const first = JSON.stringify(mismatches.slice(0, 3), (_, value) => typeof value === "bigint" ? value.toString() : value);
+        return `${mismatches.length} of ${comparisons} comparisons differ (seed ${SEED}): ${first}`;
+    }
+
+    function edgesOf(schedule) {
+        const cliff = schedule.startTime + schedule.cliffDuration;
+        const end = schedule.startTime + schedule.vestingDuration;
+        return [schedule.startTime, cliff - 1, cliff, cliff + 1, end - 1, end, end + 1];
+    }
+
+    it("Should store the generated schedules", async function () {
+        for (const schedule of pick(schedules, 50)) {
+            const onChain = await vestingVault.getVestingSchedule(schedule.id);
+            expect(onChain.totalAmount).to.equal(schedule.totalAmount);
+            expect(onChain.cliffDuration).to.equal(schedule.cliffDuration);
+            expect(onChain.vestingDuration).to.equal(schedule.vestingDuration);
+        }
+    });
+
+    it("Should match getVestedAmount at random times and at cliff and end edges", async function () {
+        const horizon = Math.max(...schedules.map(schedule => schedule.startTime + schedule.vestingDuration)) + DAY;
+        const now = await time.latest();
+
+        // Chain time only moves forward, so every checkpoint is visited in order
+        const checkpoints = new Map();
+        const addCheckpoint = (timestamp, schedule) => {
+            if (timestamp <= now) return;
+            if (!checkpoints.has(timestamp)) checkpoints.set(timestamp, new Set());
+            if (schedule) checkpoints.get(timestamp).add(schedule);
+        };
+        for (let i = 0; i < RANDOM_CHECKPOINTS; i++) addCheckpoint(randomInt(now + 1, horizon));
+        for (const schedule of pick(schedules, EDGE_SAMPLE)) {
+            edgesOf(schedule).forEach(timestamp => addCheckpoint(timestamp, schedule));
+        }
+
+        const sweeps = new Set(pick([...checkpoints.keys()], FULL_SWEEPS));
+
+        for (const timestamp of [...checkpoints.keys()].sort((a, b) => a - b)) {
+            await time.increaseTo(timestamp);
+            await compare(sweeps.has(timestamp)
+                ? schedules
+                : [...checkpoints.get(timestamp), ...pick(schedules, SCHEDULES_PER_CHECKPOINT)]);
+        }
+
+        expect(mismatches, describeMismatches()).to.be.empty;
+    });
+
+    it("Should match getVestedAmount after partial and full revocation", async function () {
+        // A fresh set of schedules, since the previous test ran the clock past every end
+        const base = (await time.latest()) + DAY;
+        const fresh = Array.from({ length: Math.min(SCHEDULE_COUNT, 400) }, (_, i) => ({
+            id: schedules.length + i + 1,
+            beneficiary: vestingManager.address,
+            totalAmount: randomAmount(),
+            claimedAmount: 0n,
+            startTime: base + randomInt(0, 10 * DAY),
+            revoked: false,
+            ...randomTiming()
+        }));
+        for (let i = 0; i < fresh.length; i += BATCH_SIZE) {
+            const batch = fresh.slice(i, i + BATCH_SIZE);
+            await vestingVault.connect(vestingManager).createVestingSchedulesBatch(
+                batch.map(schedule => schedule.beneficiary),
+                batch.map(schedule => schedule.totalAmount),
+                batch.map(schedule => schedule.startTime),
+                batch.map(schedule => schedule.cliffDuration),
+                batch.map(schedule => schedule.vestingDuration),
+                batch.map(() => "PARITY_REVOKE")
+            );
+        }
+        schedules.push(...fresh);
+
+        // Revoke at fixed block times so the unvested amount is known in advance
+        let revokeTime = base + 20 * DAY;
+        let partial = 0;
+        let full = 0;
+        for (const schedule of fresh) {
+            const action = random();
+            if (action > 0.4) continue;
+
+            revokeTime += randomInt(1, DAY);
+            await time.setNextBlockTimestamp(revokeTime);
+            const vested = vestingCalc.calculateVestedAmount(schedule, revokeTime);
+            const unvested = schedule.totalAmount - vested;
+
+            if (action < 0.1) {
+                await vestingVault.connect(vestingManager).revokeSchedule(schedule.id);
+                schedule.totalAmount = vested;
+                schedule.revoked = true;
+                full++;
+            } else if (unvested > 0n) {
+                // Anything from 1 wei to the whole unvested amount
+                const amount = 1n + ((unvested - 1n) * BigInt(randomInt(0, 1000))) / 1000n;
+                await vestingVault.connect(vestingManager).partialRevokeSchedule(schedule.id, amount);
+                schedule.totalAmount -= amount;
+                partial++;
+            } else {
+                // Nothing left to revoke; the call must be rejected
+                await expect(vestingVault.connect(vestingManager).partialRevokeSchedule(schedule.id, 1n))
+                    .to.be.revertedWith("VestingVault: cannot revoke vested tokens");
+            }
+
+            const onChain = await vestingVault.getVestingSchedule(schedule.id);
+            expect(onChain.totalAmount).to.equal(schedule.totalAmount);
+            expect(onChain.revoked).to.equal(schedule.revoked);
+        }
+        expect(partial).to.be.greaterThan(0);
+        expect(full).to.be.greaterThan(0);
+
+        const horizon = Math.max(...fresh.map(schedule => schedule.startTime + schedule.vestingDuration)) + DAY;
+        const checkpoints = new Set();
+        for (let i = 0; i < RANDOM_CHECKPOINTS / 2; i++) checkpoints.add(randomInt(revokeTime + 1, horizon));
+        for (const schedule of pick(fresh, EDGE_SAMPLE / 2)) {
+            edgesOf(schedule).filter(timestamp => timestamp > revokeTime).forEach(timestamp => checkpoints.add(timestamp));
+        }
+
+        for (const timestamp of [...checkpoints].sort((a, b) => a - b)) {
+            await time.increaseTo(timestamp);
+            await compare(pick(fresh, SCHEDULES_PER_CHECKPOINT));
+        }
+
+        expect(mismatches, describeMismatches()).to.be.empty;
+    });
+});
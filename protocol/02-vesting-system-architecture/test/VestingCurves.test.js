@@ -0,0 +1,169 @@
+/**
+ * Vesting Curve Tests
+ * Non-linear curves in utils/vesting-calculator.js and their compilation to
+ * VestingTemplateManager templates and VestingVault batches
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ROLES } = require("../../../utils/role-registry");
+
+const vestingCalc = require("../utils/vesting-calculator.js");
+
+const { MONTH, YEAR } = vestingCalc.VESTING_CONSTANTS.TIME_UNITS;
+const START = 1800000000;
+const TOTAL = ethers.parseEther("1000000");
+
+describe("Vesting Curves", function () {
+
+    const tgeLinear = { type: "tgeLinear", tgeBps: 1000, cliffDuration: 6 * MONTH, duration: 18 * MONTH };
+    const stepUp = {
+        type: "stepUp",
+        steps: [
+            { duration: YEAR, bps: 1000 },
+            { duration: YEAR, bps: 2000 },
+            { duration: YEAR, bps: 3000, release: "cliff" },
+            { duration: YEAR, bps: 4000 }
+        ]
+    };
+    const backLoaded = { type: "backLoaded", duration: 4 * YEAR, periods: 4, exponent: 2 };
+    const milestone = {
+        type: "milestone",
+        milestones: [
+            { name: "Mainnet", bps: 4000, expectedOffset: 3 * MONTH },
+            { name: "1M users", bps: 6000, expectedOffset: 12 * MONTH, vestingDuration: 6 * MONTH }
+        ]
+    };
+
+    describe("Curve model", function () {
+        it("Should vest TGE-plus-linear curves", async function () {
+            const vestedAt = (offset) => vestingCalc.calculateCurveVestedAmount(tgeLinear, TOTAL, START, START + offset);
+
+            expect(vestedAt(0)).to.equal(0n);
+            expect(vestedAt(1)).to.equal(TOTAL / 10n);
+            expect(vestedAt(6 * MONTH)).to.equal(TOTAL / 10n);
+            expect(vestedAt(15 * MONTH)).to.equal(TOTAL / 10n + (TOTAL * 9n / 10n) / 2n);
+            expect(vestedAt(24 * MONTH)).to.equal(TOTAL);
+            expect(vestingCalc.getCurveDuration(tgeLinear)).to.equal(24 * MONTH);
+        });
+
+        it("Should vest step-up and back-loaded curves", async function () {
+            const stepAt = (offset) => vestingCalc.calculateCurveVestedAmount(stepUp, TOTAL, START, START + offset);
+            expect(stepAt(YEAR)).to.equal(TOTAL / 10n);
+            expect(stepAt(YEAR + YEAR / 2)).to.equal(TOTAL * 2n / 10n);
+            // The third step is released in one go at its end
+            expect(stepAt(3 * YEAR - 1)).to.equal(TOTAL * 3n / 10n);
+            expect(stepAt(3 * YEAR)).to.equal(TOTAL * 6n / 10n);
+
+            const amounts = vestingCalc.allocateVestingCurve(backLoaded, TOTAL, START).map(schedule => schedule.totalAmount);
+            expect(amounts).to.deep.equal([1n, 3n, 5n, 7n].map(weight => TOTAL * weight / 16n));
+        });
+
+        it("Should allocate amounts that add up to the total exactly", async function () {
+            const odd = 1000000000000000000000007n;
+            for (const curve of [tgeLinear, stepUp, backLoaded, milestone]) {
+                const schedules = vestingCalc.allocateVestingCurve(curve, odd, START);
+                expect(schedules.reduce((sum, schedule) => sum + schedule.totalAmount, 0n)).to.equal(odd);
+                expect(vestingCalc.calculateCurveVestedAmount(curve, odd, START, START + vestingCalc.getCurveDuration(curve))).to.equal(odd);
+            }
+        });
+
+        it("Should project curves with generateVestingSchedule", async function () {
+            const schedule = vestingCalc.generateVestingSchedule(TOTAL, START, vestingCalc.getCurveDuration(stepUp), YEAR, 0, stepUp);
+
+            expect(schedule.map(item => item.releaseAmount)).to.deep.equal([0n, 1n, 2n, 3n, 4n].map(share => TOTAL * share / 10n));
+            expect(schedule.map(item => item.progressPercentage)).to.deep.equal(["0", "10", "30", "60", "100"]);
+            expect(schedule[schedule.length - 1].releaseTime).to.equal(START + 4 * YEAR);
+        });
+
+        it("Should accept registered curve types and reject invalid curves", async function () {
+            vestingCalc.registerVestingCurve("quarterly", ({ quarters }) => Array.from({ length: quarters }, (_, i) => ({
+                weight: 1, offset: i * 3 * MONTH, cliffDuration: 3 * MONTH, vestingDuration: 3 * MONTH
+            })));
+            const quarterly = { type: "quarterly", quarters: 4 };
+            expect(vestingCalc.calculateCurveVestedAmount(quarterly, TOTAL, START, START + 6 * MONTH)).to.equal(TOTAL / 2n);
+
+            expect(() => vestingCalc.getCurveTranches({ type: "sigmoid" })).to.throw("Unknown vesting curve type: sigmoid");
+            expect(() => vestingCalc.getCurveTranches({ type: "tgeLinear", tgeBps: 12000, duration: YEAR }))
+                .to.throw("shares must be whole basis points adding up to 10000");
+            expect(() => vestingCalc.getCurveTranches({ type: "tranches", tranches: [{ weight: 1, offset: 0, cliffDuration: 2, vestingDuration: 1 }] }))
+                .to.throw("tranche cliff cannot exceed its vesting duration");
+        });
+    });
+
+    describe("Compilation", function () {
+        const beneficiary = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+
+        it("Should compile curves a template reproduces to that template", async function () {
+            const team = { type: "linear", duration: 4 * YEAR, cliffDuration: YEAR };
+            const compiled = vestingCalc.compileVestingCurve(team, TOTAL, START, { beneficiary });
+
+            expect(compiled.strategy).to.equal("template");
+            expect(compiled.template).to.deep.equal({ name: "TEAM_STANDARD", deviation: 0n, deviationBps: 0 });
+            expect(compiled.transaction.method).to.equal("createVestingScheduleFromTemplate");
+            expect(compiled.transaction.args).to.deep.equal([beneficiary, "TEAM_STANDARD", TOTAL, START]);
+        });
+
+        it("Should fall back to a batch unless the closest template is within tolerance", async function () {
+            const compiled = vestingCalc.compileVestingCurve(backLoaded, TOTAL, START, { beneficiary, scheduleType: "INVESTOR" });
+            expect(compiled.strategy).to.equal("batch");
+            expect(compiled.template.name).to.equal("TEAM_STANDARD");
+            expect(compiled.transaction.method).to.equal("createVestingSchedulesBatch");
+            expect(compiled.transaction.args[0]).to.deep.equal(Array(4).fill(beneficiary));
+            expect(compiled.transaction.args[5]).to.deep.equal(Array(4).fill("INVESTOR"));
+
+            const tolerant = vestingCalc.compileVestingCurve(backLoaded, TOTAL, START, { toleranceBps: compiled.template.deviationBps + 1 });
+            expect(tolerant.strategy).to.equal("template");
+            expect(tolerant.transaction).to.be.null;
+        });
+
+        it("Should defer milestone-gated tranches", async function () {
+            const compiled = vestingCalc.compileVestingCurve(milestone, TOTAL, START, { beneficiary });
+
+            expect(compiled.template).to.be.null;
+            expect(compiled.schedules).to.be.empty;
+            expect(compiled.deferred.map(schedule => schedule.milestone)).to.deep.equal(["Mainnet", "1M users"]);
+            expect(compiled.transaction).to.be.null;
+        });
+
+        it("Should create batches that vest as projected on VestingVault", async function () {
+            const [admin, manager, member] = await ethers.getSigners();
+
+            const KarmaToken = await ethers.getContractFactory("MockKarmaToken");
+            const karmaToken = await KarmaToken.deploy(admin.address);
+            await karmaToken.waitForDeployment();
+
+            const VestingVault = await ethers.getContractFactory("VestingVault");
+            const vestingVault = await VestingVault.deploy(await karmaToken.getAddress(), admin.address);
+            await vestingVault.waitForDeployment();
+            await vestingVault.connect(admin).grantRole(ROLES.VESTING_MANAGER_ROLE, manager.address);
+
+            const start = (await time.latest()) + MONTH;
+            const curves = [tgeLinear, stepUp, backLoaded];
+            for (const curve of curves) {
+                const { transaction } = vestingCalc.compileVestingCurve(curve, TOTAL, start, { beneficiary: member.address });
+                await vestingVault.connect(manager).createVestingSchedulesBatch(...transaction.args);
+            }
+
+            const allocations = curves.map(curve => vestingCalc.allocateVestingCurve(curve, TOTAL, start));
+            const edges = allocations.flat().flatMap(schedule => [
+                schedule.startTime + schedule.cliffDuration,
+                schedule.startTime + Math.floor(schedule.vestingDuration / 3),
+                schedule.startTime + schedule.vestingDuration
+            ]);
+
+            for (const timestamp of [...new Set(edges)].sort((a, b) => a - b)) {
+                await time.increaseTo(timestamp);
+                let scheduleId = 1;
+                for (let i = 0; i < curves.length; i++) {
+                    let onChain = 0n;
+                    for (let j = 0; j < allocations[i].length; j++) {
+                        onChain += await vestingVault.getVestedAmount(scheduleId++);
+                    }
+                    expect(onChain).to.equal(vestingCalc.calculateCurveVestedAmount(curves[i], TOTAL, start, timestamp));
+                }
+            }
+        });
+    });
+});
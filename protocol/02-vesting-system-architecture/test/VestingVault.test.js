@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ROLES } = require("../../../utils/role-registry");
 
 describe("VestingVault", function () {
     let VestingVault, vestingVault;
@@ -16,8 +17,7 @@ describe("VestingVault", function () {
     const ONE_YEAR = 365 * ONE_DAY;
     
     // Role constants
-    const VESTING_MANAGER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("VESTING_MANAGER_ROLE"));
-    const EMERGENCY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("EMERGENCY_ROLE"));
+    const { VESTING_MANAGER_ROLE, EMERGENCY_ROLE } = ROLES;
     
     beforeEach(async function () {
         [admin, vestingManager, emergency, user1, user2, user3] = await ethers.getSigners();
@@ -2,24 +2,25 @@
  * Vesting Calculator Utilities
  * Stage 2: Vesting System Architecture
  * 
- * Mathematical functions and calculations for vesting schedules
+ * Mathematical functions and calculations for vesting schedules.
+ * Amounts are native bigint (any bigint, decimal string or BigNumber-like
+ * value with toString() is accepted as input) and vested amounts are computed
+ * exactly as VestingVault does, so results match getVestedAmount to the wei.
+ *
+ * Release frequencies are in seconds, or CALENDAR_MONTH for releases on the
+ * monthly anniversaries of the start date.
  */
 
-const { BigNumber } = require("ethers");
+const { TIME_UNITS, addMonths, calendarMonthsDuration } = require("../../../utils/time-units");
 
 // ============ VESTING CONSTANTS ============
 
 const VESTING_CONSTANTS = {
-    // Time units in seconds
-    TIME_UNITS: {
-        SECOND: 1,
-        MINUTE: 60,
-        HOUR: 3600,
-        DAY: 86400,
-        WEEK: 604800,
-        MONTH: 2592000, // 30 days
-        YEAR: 31536000  // 365 days
-    },
+    // Time units in seconds, shared across stages (MONTH is 30 days, as on-chain)
+    TIME_UNITS,
+
+    // Release frequency for calendar-month releases
+    CALENDAR_MONTH: "calendarMonth",
     
     // Standard vesting periods
     STANDARD_PERIODS: {
@@ -38,14 +39,103 @@ const VESTING_CONSTANTS = {
             CLIFF_DURATION: 2592000 * 6,  // 6 months
             RELEASE_FREQUENCY: 2592000     // Monthly
         }
-    }
+    },
+
+    // Templates created by VestingTemplateManager._createDefaultTemplates
+    DEFAULT_TEMPLATES: [
+        { name: "TEAM_STANDARD", vestingDuration: 31536000 * 4, cliffDuration: 31536000, isActive: true },
+        { name: "PRIVATE_SALE_STANDARD", vestingDuration: 2592000 * 6, cliffDuration: 0, isActive: true },
+        { name: "COMMUNITY_REWARDS", vestingDuration: 31536000 * 2, cliffDuration: 2592000 * 3, isActive: true }
+    ],
+
+    BASIS_POINTS: 10000
 };
 
+// ============ HELPERS ============
+
+/**
+ * Convert an amount to bigint
+ * @param {bigint|string|number|Object} value - bigint, decimal string, safe integer or BigNumber-like value
+ * @returns {bigint} Amount
+ */
+function toBigInt(value) {
+    return typeof value === "bigint" ? value : BigInt(value.toString());
+}
+
+/**
+ * Format elapsed / duration as a percentage with two decimals, rounded down
+ * @param {number} elapsed - Elapsed seconds
+ * @param {number} duration - Total seconds
+ * @returns {string} e.g. "37.50"
+ */
+function formatProgress(elapsed, duration) {
+    const basisPoints = (BigInt(elapsed) * 10000n) / BigInt(duration);
+    return `${basisPoints / 100n}.${(basisPoints % 100n).toString().padStart(2, "0")}`;
+}
+
+/**
+ * Release times from the start of vesting, ending with the end of vesting
+ * @param {number} startTime - Vesting start timestamp
+ * @param {number} duration - Total vesting duration in seconds
+ * @param {number|string} frequency - Release frequency in seconds, or CALENDAR_MONTH
+ * @returns {Array<number>} Release timestamps
+ */
+function getReleaseTimes(startTime, duration, frequency) {
+    let releaseAt;
+    if (frequency === VESTING_CONSTANTS.CALENDAR_MONTH) {
+        releaseAt = (i) => addMonths(startTime, i);
+    } else if (Number.isFinite(frequency) && frequency > 0) {
+        releaseAt = (i) => startTime + i * frequency;
+    } else {
+        throw new Error(`Release frequency must be a positive number of seconds or CALENDAR_MONTH, got ${frequency}`);
+    }
+
+    const vestingEnd = startTime + duration;
+    const releaseTimes = [];
+    for (let i = 0; releaseAt(i) < vestingEnd; i++) {
+        releaseTimes.push(releaseAt(i));
+    }
+    releaseTimes.push(vestingEnd);
+    return releaseTimes;
+}
+
 // ============ VESTING CALCULATIONS ============
 
+/**
+ * Vested amount of an on-chain schedule, mirroring VestingVault._calculateVestedAmount
+ * @param {Object} schedule - VestingSchedule as returned by getVestingSchedule
+ * @param {bigint} schedule.totalAmount - Current total (reduced by revocations)
+ * @param {bigint} schedule.claimedAmount - Amount already claimed
+ * @param {number|bigint} schedule.startTime - Vesting start timestamp
+ * @param {number|bigint} schedule.cliffDuration - Cliff length in seconds
+ * @param {number|bigint} schedule.vestingDuration - Vesting length in seconds, counted from start
+ * @param {boolean} schedule.revoked - Whether the schedule was fully revoked
+ * @param {number|bigint} currentTime - Block timestamp
+ * @returns {bigint} Vested amount
+ */
+function calculateVestedAmount(schedule, currentTime) {
+    if (schedule.revoked) {
+        return toBigInt(schedule.claimedAmount); // No more vesting after revocation
+    }
+
+    const now = BigInt(currentTime);
+    const startTime = BigInt(schedule.startTime);
+    if (now < startTime || now < startTime + BigInt(schedule.cliffDuration)) {
+        return 0n;
+    }
+
+    const timeSinceStart = now - startTime;
+    const vestingDuration = BigInt(schedule.vestingDuration);
+    const totalAmount = toBigInt(schedule.totalAmount);
+    if (timeSinceStart >= vestingDuration) {
+        return totalAmount;
+    }
+    return (totalAmount * timeSinceStart) / vestingDuration;
+}
+
 /**
  * Calculate linear vesting amount based on time elapsed
- * @param {BigNumber} totalAmount - Total amount to be vested
+ * @param {bigint|string} totalAmount - Total amount to be vested
  * @param {number} startTime - Vesting start timestamp
  * @param {number} endTime - Vesting end timestamp
  * @param {number} currentTime - Current timestamp
@@ -53,8 +143,7 @@ const VESTING_CONSTANTS = {
  * @returns {Object} Vesting calculation result
  */
 function calculateLinearVesting(totalAmount, startTime, endTime, currentTime, cliffTime = 0) {
-    // Convert to BigNumber for precise calculations
-    const total = BigNumber.from(totalAmount.toString());
+    const total = toBigInt(totalAmount);
     
     // Validate inputs
     if (startTime >= endTime) {
@@ -63,8 +152,8 @@ function calculateLinearVesting(totalAmount, startTime, endTime, currentTime, cl
     
     if (currentTime < startTime) {
         return {
-            vestedAmount: BigNumber.from(0),
-            releasableAmount: BigNumber.from(0),
+            vestedAmount: 0n,
+            releasableAmount: 0n,
             progressPercentage: "0",
             remainingAmount: total,
             isCliffPassed: false,
@@ -77,8 +166,8 @@ function calculateLinearVesting(totalAmount, startTime, endTime, currentTime, cl
     
     if (!isCliffPassed) {
         return {
-            vestedAmount: BigNumber.from(0),
-            releasableAmount: BigNumber.from(0),
+            vestedAmount: 0n,
+            releasableAmount: 0n,
             progressPercentage: "0",
             remainingAmount: total,
             isCliffPassed: false,
@@ -95,20 +184,19 @@ function calculateLinearVesting(totalAmount, startTime, endTime, currentTime, cl
         vestedAmount = total;
         progressPercentage = "100";
     } else {
-        // Linear vesting calculation
+        // Linear vesting calculation, rounded down as VestingVault does
         const totalDuration = endTime - startTime;
         const elapsedTime = currentTime - startTime;
-        const progressRatio = elapsedTime / totalDuration;
         
-        vestedAmount = total.mul(Math.floor(progressRatio * 10000)).div(10000);
-        progressPercentage = (progressRatio * 100).toFixed(2);
+        vestedAmount = (total * BigInt(elapsedTime)) / BigInt(totalDuration);
+        progressPercentage = formatProgress(elapsedTime, totalDuration);
     }
     
     return {
         vestedAmount,
         releasableAmount: vestedAmount, // Assume no previous claims for simplicity
         progressPercentage,
-        remainingAmount: total.sub(vestedAmount),
+        remainingAmount: total - vestedAmount,
         isCliffPassed: true,
         nextReleaseTime: currentTime >= endTime ? null : endTime
     };
@@ -116,18 +204,18 @@ function calculateLinearVesting(totalAmount, startTime, endTime, currentTime, cl
 
 /**
  * Calculate cliff vesting amount
- * @param {BigNumber} totalAmount - Total amount to be vested
+ * @param {bigint|string} totalAmount - Total amount to be vested
  * @param {number} cliffTime - Cliff end timestamp
  * @param {number} currentTime - Current timestamp
  * @returns {Object} Cliff vesting result
  */
 function calculateCliffVesting(totalAmount, cliffTime, currentTime) {
-    const total = BigNumber.from(totalAmount.toString());
+    const total = toBigInt(totalAmount);
     
     if (currentTime < cliffTime) {
         return {
-            vestedAmount: BigNumber.from(0),
-            releasableAmount: BigNumber.from(0),
+            vestedAmount: 0n,
+            releasableAmount: 0n,
             progressPercentage: "0",
             remainingAmount: total,
             isCliffPassed: false,
@@ -139,7 +227,7 @@ function calculateCliffVesting(totalAmount, cliffTime, currentTime) {
         vestedAmount: total,
         releasableAmount: total,
         progressPercentage: "100",
-        remainingAmount: BigNumber.from(0),
+        remainingAmount: 0n,
         isCliffPassed: true,
         nextReleaseTime: null
     };
@@ -147,7 +235,7 @@ function calculateCliffVesting(totalAmount, cliffTime, currentTime) {
 
 /**
  * Calculate team vesting schedule (4 years with 1 year cliff)
- * @param {BigNumber} totalAmount - Total team allocation
+ * @param {bigint|string} totalAmount - Total team allocation
  * @param {number} startTime - Vesting start timestamp
  * @param {number} currentTime - Current timestamp
  * @returns {Object} Team vesting calculation
@@ -161,7 +249,7 @@ function calculateTeamVesting(totalAmount, startTime, currentTime) {
 
 /**
  * Calculate private sale vesting schedule (6 months linear)
- * @param {BigNumber} totalAmount - Total private sale allocation
+ * @param {bigint|string} totalAmount - Total private sale allocation
  * @param {number} startTime - Vesting start timestamp
  * @param {number} currentTime - Current timestamp
  * @returns {Object} Private sale vesting calculation
@@ -174,32 +262,54 @@ function calculatePrivateSaleVesting(totalAmount, startTime, currentTime) {
 
 /**
  * Calculate monthly release amount for linear vesting
- * @param {BigNumber} totalAmount - Total vesting amount
+ * @param {bigint|string} totalAmount - Total vesting amount
  * @param {number} totalMonths - Total vesting duration in months
- * @returns {BigNumber} Monthly release amount
+ * @returns {bigint} Monthly release amount
  */
 function calculateMonthlyRelease(totalAmount, totalMonths) {
-    const total = BigNumber.from(totalAmount.toString());
-    return total.div(totalMonths);
+    return toBigInt(totalAmount) / BigInt(totalMonths);
+}
+
+/**
+ * Cliff and vesting durations that end on monthly anniversaries of the start
+ * @param {number} startTime - Vesting start timestamp
+ * @param {Object} months - { cliffMonths, vestingMonths }
+ * @returns {Object} { cliffDuration, vestingDuration } in seconds
+ */
+function calculateCalendarDurations(startTime, { cliffMonths = 0, vestingMonths }) {
+    return {
+        cliffDuration: calendarMonthsDuration(startTime, cliffMonths),
+        vestingDuration: calendarMonthsDuration(startTime, vestingMonths)
+    };
 }
 
 /**
  * Generate vesting schedule milestones
- * @param {BigNumber} totalAmount - Total vesting amount
+ * With CALENDAR_MONTH, releases fall on the monthly anniversaries of the start
+ * and each amount is what VestingVault has vested by then.
+ * @param {bigint|string} totalAmount - Total vesting amount
  * @param {number} startTime - Vesting start timestamp
  * @param {number} duration - Total vesting duration in seconds
- * @param {number} frequency - Release frequency in seconds
+ * @param {number|string} frequency - Release frequency in seconds, or CALENDAR_MONTH
  * @param {number} cliffDuration - Cliff duration in seconds (optional)
+ * @param {Object} curve - Vesting curve to project instead of linear vesting (optional)
  * @returns {Array} Array of vesting milestones
  */
-function generateVestingSchedule(totalAmount, startTime, duration, frequency, cliffDuration = 0) {
-    const total = BigNumber.from(totalAmount.toString());
+function generateVestingSchedule(totalAmount, startTime, duration, frequency, cliffDuration = 0, curve = null) {
+    if (curve) {
+        return projectVestingCurve(curve, totalAmount, startTime, duration, frequency, cliffDuration);
+    }
+    if (frequency === VESTING_CONSTANTS.CALENDAR_MONTH) {
+        return projectVestingCurve({ type: "linear", duration, cliffDuration }, totalAmount, startTime, duration, frequency, cliffDuration);
+    }
+
+    const total = toBigInt(totalAmount);
     const schedule = [];
-    
+
     const cliffEnd = startTime + cliffDuration;
     const vestingEnd = startTime + duration;
     const releaseCount = Math.floor(duration / frequency);
-    const amountPerRelease = total.div(releaseCount);
+    const amountPerRelease = total / BigInt(releaseCount);
     
     for (let i = 0; i <= releaseCount; i++) {
         const releaseTime = startTime + (i * frequency);
@@ -208,14 +318,14 @@ function generateVestingSchedule(totalAmount, startTime, duration, frequency, cl
             continue; // Skip releases before cliff
         }
         
-        const cumulativeAmount = amountPerRelease.mul(i);
+        const cumulativeAmount = amountPerRelease * BigInt(i);
         const finalAmount = releaseTime >= vestingEnd ? total : cumulativeAmount;
         
         schedule.push({
             releaseTime,
             releaseAmount: i === 0 ? finalAmount : amountPerRelease,
             cumulativeAmount: finalAmount,
-            progressPercentage: finalAmount.mul(100).div(total).toString()
+            progressPercentage: ((finalAmount * 100n) / total).toString()
         });
         
         if (releaseTime >= vestingEnd) break;
@@ -234,7 +344,7 @@ function validateVestingParameters(params) {
     const warnings = [];
     
     // Check required parameters
-    if (!params.totalAmount || BigNumber.from(params.totalAmount.toString()).lte(0)) {
+    if (params.totalAmount === undefined || params.totalAmount === null || toBigInt(params.totalAmount) <= 0n) {
         errors.push("Total amount must be greater than zero");
     }
     
@@ -289,34 +399,388 @@ function calculateGasOptimizedCheckpoints(vestingParams) {
         });
     }
     
-    // Add monthly checkpoints after cliff
-    const monthlyInterval = VESTING_CONSTANTS.TIME_UNITS.MONTH;
-    let currentTime = Math.max(cliffEnd, startTime);
-    
-    while (currentTime < vestingEnd) {
-        currentTime += monthlyInterval;
-        if (currentTime <= vestingEnd) {
-            checkpoints.push({
-                timestamp: Math.min(currentTime, vestingEnd),
-                description: currentTime >= vestingEnd ? "Final release" : "Monthly release",
-                isCliff: false
-            });
-        }
+    // Add monthly checkpoints after cliff, on calendar anniversaries of the start
+    const firstRelease = Math.max(cliffEnd, startTime);
+    for (let month = 1; addMonths(startTime, month) < vestingEnd; month++) {
+        const timestamp = addMonths(startTime, month);
+        if (timestamp <= firstRelease) continue;
+        checkpoints.push({
+            timestamp,
+            description: "Monthly release",
+            isCliff: false
+        });
+    }
+    if (vestingEnd > firstRelease) {
+        checkpoints.push({
+            timestamp: vestingEnd,
+            description: "Final release",
+            isCliff: false
+        });
     }
     
     return checkpoints;
 }
 
+// ============ VESTING CURVES ============
+
+/*
+ * VestingVault only stores linear-with-cliff schedules, so a curve is described
+ * by the tranches that reproduce it on-chain, each one such schedule:
+ *
+ *   { weight, offset, cliffDuration, vestingDuration, milestone }
+ *
+ * weight is the tranche's share of the total relative to the other tranches,
+ * offset its start in seconds after the curve start, and milestone the name of
+ * the event gating it, if any. A curve vests exactly what its tranches vest on
+ * VestingVault, so a projection and the batch compiled from it always agree.
+ *
+ * A curve is a plain object { type, ...params }; its type names a builder that
+ * turns the params into tranches. More types can be added with registerVestingCurve.
+ */
+const VESTING_CURVES = {};
+
+// Shortest lump release VestingVault accepts: the whole tranche vests one second after its start
+const LUMP = { cliffDuration: 1, vestingDuration: 1 };
+
+/**
+ * Register a vesting curve type
+ * @param {string} type - Curve type name
+ * @param {Function} builder - (curve) => tranches
+ */
+function registerVestingCurve(type, builder) {
+    if (typeof builder !== "function") {
+        throw new Error(`Vesting curve ${type} needs a builder function`);
+    }
+    VESTING_CURVES[type] = builder;
+}
+
+/**
+ * Check that basis point shares add up to the whole
+ * @param {string} type - Curve type, for the error message
+ * @param {Array<number>} shares - Basis points
+ */
+function requireWholeShares(type, shares) {
+    const sum = shares.reduce((acc, share) => acc + share, 0);
+    if (shares.some(share => !Number.isInteger(share) || share < 0) || sum !== VESTING_CONSTANTS.BASIS_POINTS) {
+        throw new Error(`Vesting curve ${type}: shares must be whole basis points adding up to ${VESTING_CONSTANTS.BASIS_POINTS}, got ${sum}`);
+    }
+}
+
+// Linear vesting over duration, nothing before the cliff (what VestingVault does natively)
+registerVestingCurve("linear", ({ duration, cliffDuration = 0 }) => [
+    { weight: 1, offset: 0, cliffDuration, vestingDuration: duration }
+]);
+
+// Everything at the end of the cliff
+registerVestingCurve("cliff", ({ cliffDuration }) => [
+    { weight: 1, offset: 0, cliffDuration, vestingDuration: cliffDuration }
+]);
+
+// tgeBps at TGE, the rest linear over duration once cliffDuration has passed
+registerVestingCurve("tgeLinear", ({ tgeBps, cliffDuration = 0, duration }) => {
+    requireWholeShares("tgeLinear", [tgeBps, VESTING_CONSTANTS.BASIS_POINTS - tgeBps]);
+    return [
+        { weight: tgeBps, offset: 0, ...LUMP },
+        { weight: VESTING_CONSTANTS.BASIS_POINTS - tgeBps, offset: cliffDuration, cliffDuration: 0, vestingDuration: duration }
+    ];
+});
+
+// Consecutive steps, each releasing its bps linearly over the step or, with release "cliff", at its end
+registerVestingCurve("stepUp", ({ steps }) => {
+    requireWholeShares("stepUp", steps.map(step => step.bps));
+    let offset = 0;
+    return steps.map(({ duration, bps, release = "linear" }) => {
+        const tranche = { weight: bps, offset, cliffDuration: release === "cliff" ? duration : 0, vestingDuration: duration };
+        offset += duration;
+        return tranche;
+    });
+});
+
+// Equal periods whose releases grow so the cumulative amount follows (t / duration) ^ exponent at period ends
+registerVestingCurve("backLoaded", ({ duration, periods, exponent = 2 }) => {
+    if (!Number.isInteger(periods) || periods <= 0 || !Number.isInteger(exponent) || exponent < 1) {
+        throw new Error("Vesting curve backLoaded: periods and exponent must be positive integers");
+    }
+    const periodLength = Math.floor(duration / periods);
+    const power = (i) => BigInt(i) ** BigInt(exponent);
+    return Array.from({ length: periods }, (_, i) => ({
+        weight: power(i + 1) - power(i),
+        offset: i * periodLength,
+        cliffDuration: 0,
+        // The last period absorbs any seconds left over by the division
+        vestingDuration: i === periods - 1 ? duration - i * periodLength : periodLength
+    }));
+});
+
+// Releases gated on off-chain milestones, projected at their expected offsets
+registerVestingCurve("milestone", ({ milestones }) => {
+    requireWholeShares("milestone", milestones.map(milestone => milestone.bps));
+    return milestones.map(({ name, bps, expectedOffset, vestingDuration = 0 }) => ({
+        weight: bps,
+        offset: expectedOffset,
+        ...(vestingDuration > 0 ? { cliffDuration: 0, vestingDuration } : LUMP),
+        milestone: name
+    }));
+});
+
+// Tranches given directly
+registerVestingCurve("tranches", ({ tranches }) => tranches);
+
+/**
+ * Tranches of a vesting curve, validated against VestingVault's schedule rules
+ * @param {Object} curve - Vesting curve ({ type, ...params })
+ * @returns {Array} Tranches with bigint weights; zero-weight tranches are dropped
+ */
+function getCurveTranches(curve) {
+    const builder = curve && VESTING_CURVES[curve.type];
+    if (!builder) {
+        throw new Error(`Unknown vesting curve type: ${curve && curve.type}`);
+    }
+
+    const tranches = builder(curve)
+        .map(tranche => ({ cliffDuration: 0, milestone: null, ...tranche, weight: BigInt(tranche.weight) }));
+
+    for (const { weight, offset, cliffDuration, vestingDuration } of tranches) {
+        if (weight < 0n || !Number.isInteger(offset) || offset < 0) {
+            throw new Error(`Vesting curve ${curve.type}: tranche weights and offsets must be non-negative`);
+        }
+        if (!Number.isInteger(vestingDuration) || vestingDuration <= 0) {
+            throw new Error(`Vesting curve ${curve.type}: tranche vesting duration must be positive`);
+        }
+        if (!Number.isInteger(cliffDuration) || cliffDuration < 0 || cliffDuration > vestingDuration) {
+            throw new Error(`Vesting curve ${curve.type}: tranche cliff cannot exceed its vesting duration`);
+        }
+    }
+
+    const weighted = tranches.filter(tranche => tranche.weight > 0n);
+    if (weighted.length === 0) {
+        throw new Error(`Vesting curve ${curve.type} has no tranches`);
+    }
+    return weighted;
+}
+
+/**
+ * Seconds from the curve start until everything has vested
+ * @param {Object} curve - Vesting curve
+ * @returns {number} Duration in seconds
+ */
+function getCurveDuration(curve) {
+    return Math.max(...getCurveTranches(curve).map(tranche => tranche.offset + tranche.vestingDuration));
+}
+
+/**
+ * Split an amount over the tranches of a curve
+ * Each tranche gets its share rounded down and the last one the remainder, so
+ * the schedules add up to the total exactly. Schedules that round to zero are
+ * dropped, since VestingVault rejects them.
+ * @param {Object} curve - Vesting curve
+ * @param {bigint|string} totalAmount - Total amount
+ * @param {number} startTime - Curve start timestamp
+ * @returns {Array} Schedules in the shape of getVestingSchedule, plus milestone
+ */
+function allocateVestingCurve(curve, totalAmount, startTime) {
+    const total = toBigInt(totalAmount);
+    const tranches = getCurveTranches(curve);
+    const totalWeight = tranches.reduce((sum, tranche) => sum + tranche.weight, 0n);
+
+    let allocated = 0n;
+    return tranches.map((tranche, i) => {
+        const amount = i === tranches.length - 1 ? total - allocated : (total * tranche.weight) / totalWeight;
+        allocated += amount;
+        return {
+            totalAmount: amount,
+            claimedAmount: 0n,
+            startTime: startTime + tranche.offset,
+            cliffDuration: tranche.cliffDuration,
+            vestingDuration: tranche.vestingDuration,
+            revoked: false,
+            milestone: tranche.milestone
+        };
+    }).filter(schedule => schedule.totalAmount > 0n);
+}
+
+/**
+ * Amount vested under a curve, as VestingVault would vest its tranches
+ * @param {Object} curve - Vesting curve
+ * @param {bigint|string} totalAmount - Total amount
+ * @param {number} startTime - Curve start timestamp
+ * @param {number} currentTime - Timestamp to evaluate at
+ * @returns {bigint} Vested amount
+ */
+function calculateCurveVestedAmount(curve, totalAmount, startTime, currentTime) {
+    return sumVested(allocateVestingCurve(curve, totalAmount, startTime), currentTime);
+}
+
+function sumVested(schedules, currentTime) {
+    return schedules.reduce((sum, schedule) => sum + calculateVestedAmount(schedule, currentTime), 0n);
+}
+
+/**
+ * Release milestones of a curve at each release time, for generateVestingSchedule
+ */
+function projectVestingCurve(curve, totalAmount, startTime, duration, frequency, cliffDuration) {
+    const total = toBigInt(totalAmount);
+    const schedules = allocateVestingCurve(curve, total, startTime);
+    const cliffEnd = startTime + cliffDuration;
+    const vestingEnd = startTime + duration;
+
+    const schedule = [];
+    let previousAmount = 0n;
+    for (const releaseTime of getReleaseTimes(startTime, duration, frequency)) {
+        if (releaseTime < cliffEnd) {
+            continue; // Skip releases before cliff
+        }
+
+        const cumulativeAmount = sumVested(schedules, releaseTime);
+        schedule.push({
+            releaseTime,
+            releaseAmount: cumulativeAmount - previousAmount,
+            cumulativeAmount,
+            progressPercentage: ((cumulativeAmount * 100n) / total).toString()
+        });
+        previousAmount = cumulativeAmount;
+    }
+
+    return schedule;
+}
+
+/**
+ * Largest gap between two sets of schedules over time
+ * Vested amounts are piecewise linear between schedule starts, cliffs and ends,
+ * so the gap is largest at one of those points or just before one.
+ */
+function maxVestingDeviation(schedulesA, schedulesB) {
+    const points = new Set();
+    for (const schedule of [...schedulesA, ...schedulesB]) {
+        for (const edge of [schedule.startTime, schedule.startTime + schedule.cliffDuration, schedule.startTime + schedule.vestingDuration]) {
+            points.add(edge - 1);
+            points.add(edge);
+        }
+    }
+
+    let deviation = 0n;
+    for (const point of points) {
+        const gap = sumVested(schedulesA, point) - sumVested(schedulesB, point);
+        const absolute = gap < 0n ? -gap : gap;
+        if (absolute > deviation) deviation = absolute;
+    }
+    return deviation;
+}
+
+/**
+ * Compile a curve into the transactions that set it up on-chain
+ *
+ * The curve is compared with every active template (a single linear-with-cliff
+ * schedule over the whole amount). If the closest one stays within
+ * toleranceBps of the curve at all times, one createVestingScheduleFromTemplate
+ * call is enough; otherwise the curve becomes a createVestingSchedulesBatch of
+ * its tranches, which reproduces it exactly. Milestone-gated tranches are never
+ * scheduled up front: they are returned as deferred, to be created with
+ * createVestingSchedule (start = the time the milestone is reached) once it is.
+ *
+ * @param {Object} curve - Vesting curve
+ * @param {bigint|string} totalAmount - Total amount
+ * @param {number} startTime - Curve start timestamp
+ * @param {Object} options - Compile options
+ * @param {Array} options.templates - Templates as returned by getVestingTemplate (default: VESTING_CONSTANTS.DEFAULT_TEMPLATES)
+ * @param {number} options.toleranceBps - Largest acceptable template deviation in basis points of the total (default: 0)
+ * @param {string} options.beneficiary - Beneficiary address; without it no transaction is built
+ * @param {string} options.scheduleType - Schedule type for batch schedules (default: "CUSTOM")
+ * @returns {Object} { strategy, template, schedules, deferred, transaction }
+ */
+function compileVestingCurve(curve, totalAmount, startTime, options = {}) {
+    const total = toBigInt(totalAmount);
+    const {
+        templates = VESTING_CONSTANTS.DEFAULT_TEMPLATES,
+        toleranceBps = 0,
+        beneficiary = null,
+        scheduleType = "CUSTOM"
+    } = options;
+
+    const allocated = allocateVestingCurve(curve, total, startTime);
+    const schedules = allocated.filter(schedule => !schedule.milestone);
+    const deferred = allocated.filter(schedule => schedule.milestone);
+
+    // A template vests the whole amount on one schedule, so gated curves never match
+    let template = null;
+    if (deferred.length === 0) {
+        for (const candidate of templates) {
+            if (candidate.isActive === false) continue;
+
+            const templateSchedule = {
+                totalAmount: total,
+                claimedAmount: 0n,
+                startTime,
+                cliffDuration: Number(candidate.cliffDuration),
+                vestingDuration: Number(candidate.vestingDuration),
+                revoked: false
+            };
+            const deviation = maxVestingDeviation(schedules, [templateSchedule]);
+            if (!template || deviation < template.deviation) {
+                template = {
+                    name: candidate.name,
+                    deviation,
+                    deviationBps: Number((deviation * BigInt(VESTING_CONSTANTS.BASIS_POINTS)) / total)
+                };
+            }
+        }
+    }
+
+    const useTemplate = template !== null &&
+        template.deviation * BigInt(VESTING_CONSTANTS.BASIS_POINTS) <= BigInt(toleranceBps) * total;
+
+    let transaction = null;
+    if (beneficiary && useTemplate) {
+        transaction = {
+            contract: "VestingTemplateManager",
+            method: "createVestingScheduleFromTemplate",
+            args: [beneficiary, template.name, total, startTime]
+        };
+    } else if (beneficiary && schedules.length > 0) {
+        transaction = {
+            contract: "VestingVault",
+            method: "createVestingSchedulesBatch",
+            args: [
+                schedules.map(() => beneficiary),
+                schedules.map(schedule => schedule.totalAmount),
+                schedules.map(schedule => schedule.startTime),
+                schedules.map(schedule => schedule.cliffDuration),
+                schedules.map(schedule => schedule.vestingDuration),
+                schedules.map(() => scheduleType)
+            ]
+        };
+    }
+
+    return {
+        strategy: useTemplate ? "template" : "batch",
+        template,
+        schedules,
+        deferred,
+        transaction
+    };
+}
+
 // ============ EXPORTS ============
 
 module.exports = {
     VESTING_CONSTANTS,
+    toBigInt,
+    calculateVestedAmount,
     calculateLinearVesting,
     calculateCliffVesting,
     calculateTeamVesting,
     calculatePrivateSaleVesting,
     calculateMonthlyRelease,
+    calculateCalendarDurations,
+    getReleaseTimes,
     generateVestingSchedule,
     validateVestingParameters,
-    calculateGasOptimizedCheckpoints
+    calculateGasOptimizedCheckpoints,
+    VESTING_CURVES,
+    registerVestingCurve,
+    getCurveTranches,
+    getCurveDuration,
+    allocateVestingCurve,
+    calculateCurveVestedAmount,
+    compileVestingCurve
 }; 
\ No newline at end of file
@@ -6,9 +6,10 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "../../../interfaces/ISaleManager.sol";
-import "../../../interfaces/IVestingVault.sol";
-import "../token/KarmaToken.sol";
+import "./interfaces/ISaleManager.sol";
+import "./interfaces/IVestingVault.sol";
+import "./interfaces/IKarmaToken.sol";
+import "./libraries/AllocationWhitelist.sol";
 
 /**
  * @title SaleManager
@@ -67,7 +68,7 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
     // ============ STATE VARIABLES ============
     
     // Core contracts
-    KarmaToken public immutable karmaToken;
+    IKarmaToken public immutable karmaToken;
     IVestingVault public immutable vestingVault;
     address public treasury;
     
@@ -80,6 +81,9 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
     mapping(SalePhase => PhaseConfig) private _phaseConfigs;
     mapping(SalePhase => bool) private _phaseConfigured;
     
+    // Phases whose root holds (participant, tier, maxContribution, phase) allocation leaves
+    mapping(SalePhase => bool) private _allocationWhitelist;
+    
     // Purchase tracking (updated for Stage 3.2)
     mapping(uint256 => Purchase) private _purchases;
     mapping(address => Participant) private _participants;
@@ -90,6 +94,7 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
     mapping(SalePhase => uint256) private _phaseTokensSold;
     mapping(SalePhase => uint256) private _phaseParticipants;
     mapping(SalePhase => address[]) private _phaseParticipantList;
+    mapping(SalePhase => mapping(address => uint256)) private _phaseContributions;
     
     // Rate limiting for anti-abuse
     mapping(address => uint256) private _lastPurchaseTime;
@@ -212,9 +217,7 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
     }
     
     modifier phaseActive() {
-        require(currentPhase != SalePhase.NOT_STARTED && currentPhase != SalePhase.ENDED, "SaleManager: no active phase");
-        require(block.timestamp >= _phaseConfigs[currentPhase].startTime, "SaleManager: phase not started");
-        require(block.timestamp <= _phaseConfigs[currentPhase].endTime, "SaleManager: phase ended");
+        _checkPhaseActive();
         _;
     }
     
@@ -231,7 +234,7 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         require(_treasury != address(0), "SaleManager: invalid treasury address");
         require(admin != address(0), "SaleManager: invalid admin address");
         
-        karmaToken = KarmaToken(_karmaToken);
+        karmaToken = IKarmaToken(_karmaToken);
         vestingVault = IVestingVault(_vestingVault);
         treasury = _treasury;
         
@@ -273,6 +276,7 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         
         _phaseConfigs[SalePhase.PRIVATE] = config;
         _phaseConfigured[SalePhase.PRIVATE] = true;
+        delete _allocationWhitelist[SalePhase.PRIVATE];
         
         emit PhaseConfigUpdated(SalePhase.PRIVATE, config.price, config.hardCap);
     }
@@ -303,6 +307,7 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         
         _phaseConfigs[SalePhase.PRE_SALE] = config;
         _phaseConfigured[SalePhase.PRE_SALE] = true;
+        delete _allocationWhitelist[SalePhase.PRE_SALE];
         
         emit PhaseConfigUpdated(SalePhase.PRE_SALE, config.price, config.hardCap);
     }
@@ -333,6 +338,7 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         
         _phaseConfigs[SalePhase.PUBLIC] = config;
         _phaseConfigured[SalePhase.PUBLIC] = true;
+        delete _allocationWhitelist[SalePhase.PUBLIC];
         
         // Store liquidity configuration
         _liquidityConfig = liquidityConfig;
@@ -469,6 +475,9 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
             require(_phaseConfigured[SalePhase.PRE_SALE], "SaleManager: pre-sale must be configured first");
         }
         
+        if (config.merkleRoot != _phaseConfigs[phase].merkleRoot) {
+            delete _allocationWhitelist[phase];
+        }
         _phaseConfigs[phase] = config;
         _phaseConfigured[phase] = true;
         currentPhase = phase;
@@ -504,6 +513,9 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         require(config.hardCap > 0, "SaleManager: hard cap must be positive");
         require(config.tokenAllocation > 0, "SaleManager: token allocation must be positive");
         
+        if (config.merkleRoot != _phaseConfigs[phase].merkleRoot) {
+            delete _allocationWhitelist[phase];
+        }
         _phaseConfigs[phase] = config;
         _phaseConfigured[phase] = true;
         
@@ -528,7 +540,17 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         whenNotPaused 
         nonReentrant 
     {
-        _processPurchase(merkleProof, address(0), 0, 0);
+        _processPurchase(merkleProof, address(0), 0, 0, false);
+    }
+    
+    function purchaseTokensWithAllocation(
+        uint8 tier,
+        uint256 maxContribution,
+        bytes32[] memory merkleProof
+    ) external payable override phaseActive whenNotPaused nonReentrant {
+        _verifyAllocation(tier, maxContribution, merkleProof);
+        
+        _processPurchase(merkleProof, address(0), 0, 0, true);
     }
     
     function purchaseTokensWithReferral(bytes32[] memory merkleProof, address referrer) 
@@ -542,7 +564,7 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         require(currentPhase == SalePhase.PRE_SALE, "SaleManager: referrals only for pre-sale");
         require(_participants[referrer].isPrivateSaleParticipant, "SaleManager: invalid referrer");
         
-        _processPurchase(merkleProof, referrer, 0, 0);
+        _processPurchase(merkleProof, referrer, 0, 0, false);
     }
     
     function purchaseTokensWithMEVProtection(
@@ -554,14 +576,42 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         require(deadline >= block.timestamp, "SaleManager: deadline passed");
         require(_mevProtectionEnabled[msg.sender], "SaleManager: MEV protection not enabled");
         
-        _processPurchase(merkleProof, address(0), minTokensOut, deadline);
+        _processPurchase(merkleProof, address(0), minTokensOut, deadline, false);
+    }
+    
+    /**
+     * @dev Check an allocation whitelist entry and the participant's remaining cap for the current phase
+     */
+    function _verifyAllocation(uint8 tier, uint256 maxContribution, bytes32[] memory merkleProof) internal view {
+        AllocationWhitelist.checkPurchase(
+            _allocationWhitelist,
+            _phaseConfigs,
+            _phaseContributions,
+            currentPhase,
+            tier,
+            maxContribution,
+            merkleProof
+        );
+    }
+    
+    /**
+     * @dev Body of phaseActive, kept in a function so each purchase entry point does not inline it
+     */
+    function _checkPhaseActive() internal view {
+        require(currentPhase != SalePhase.NOT_STARTED && currentPhase != SalePhase.ENDED, "SaleManager: no active phase");
+        require(block.timestamp >= _phaseConfigs[currentPhase].startTime, "SaleManager: phase not started");
+        require(block.timestamp <= _phaseConfigs[currentPhase].endTime, "SaleManager: phase ended");
     }
     
+    /**
+     * @dev Shared purchase path; allocationVerified is set by callers that ran _verifyAllocation
+     */
     function _processPurchase(
         bytes32[] memory merkleProof,
         address referrer,
         uint256 minTokensOut,
-        uint256 deadline
+        uint256 deadline,
+        bool allocationVerified
     ) internal {
         require(msg.value > 0, "SaleManager: must send ETH");
         
@@ -577,12 +627,16 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
             "SaleManager: purchase too frequent"
         );
         
-        // Verify whitelist if required
+        // Verify whitelist if required; allocation roots only take allocation purchases
         if (config.whitelistRequired) {
-            require(
-                verifyWhitelist(msg.sender, currentPhase, merkleProof),
-                "SaleManager: not whitelisted"
-            );
+            if (_allocationWhitelist[currentPhase]) {
+                require(allocationVerified, "SaleManager: allocation proof required");
+            } else {
+                require(
+                    verifyWhitelist(msg.sender, currentPhase, merkleProof),
+                    "SaleManager: not whitelisted"
+                );
+            }
         }
         
         // Verify KYC if required
@@ -652,6 +706,7 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         }
         
         participant.totalEthSpent += msg.value;
+        _phaseContributions[currentPhase][msg.sender] += msg.value;
         participant.totalTokensBought += totalTokenAmount;
         participant.lastPurchaseTime = block.timestamp;
         participant.purchaseIds.push(purchaseId);
@@ -764,9 +819,31 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         validPhase(phase) 
     {
         _phaseConfigs[phase].merkleRoot = merkleRoot;
+        delete _allocationWhitelist[phase];
+        emit WhitelistUpdated(phase, merkleRoot);
+    }
+    
+    function updateAllocationWhitelist(SalePhase phase, bytes32 merkleRoot) 
+        external 
+        override
+        onlyWhitelistManager 
+        validPhase(phase) 
+    {
+        require(merkleRoot != bytes32(0), "SaleManager: empty allocation root");
+        
+        _phaseConfigs[phase].merkleRoot = merkleRoot;
+        _allocationWhitelist[phase] = true;
         emit WhitelistUpdated(phase, merkleRoot);
     }
     
+    function isAllocationWhitelist(SalePhase phase) external view override returns (bool) {
+        return _allocationWhitelist[phase];
+    }
+    
+    function getPhaseContribution(SalePhase phase, address participant) external view override returns (uint256) {
+        return _phaseContributions[phase][participant];
+    }
+    
     function verifyWhitelist(
         address participant,
         SalePhase phase,
@@ -781,6 +858,16 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         return MerkleProof.verify(merkleProof, merkleRoot, leaf);
     }
     
+    function verifyWhitelistAllocation(
+        address participant,
+        SalePhase phase,
+        uint8 tier,
+        uint256 maxContribution,
+        bytes32[] memory merkleProof
+    ) external view override returns (bool) {
+        return AllocationWhitelist.verify(_phaseConfigs[phase].merkleRoot, participant, uint8(phase), tier, maxContribution, merkleProof);
+    }
+    
     function updateKYCStatus(address participant, KYCStatus status) 
         external 
         override
@@ -1071,6 +1158,33 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         whenNotPaused 
         nonReentrant 
     {
+        _consumeCommitment(nonce);
+        
+        // Execute purchase
+        _processPurchase(merkleProof, address(0), 0, block.timestamp + 1 hours, false);
+        
+        emit PurchaseRevealed(msg.sender, msg.value, nonce);
+    }
+    
+    function revealPurchaseWithAllocation(
+        uint8 tier,
+        uint256 maxContribution,
+        bytes32[] memory merkleProof,
+        uint256 nonce
+    ) external payable override phaseActive whenNotPaused nonReentrant {
+        _consumeCommitment(nonce);
+        _verifyAllocation(tier, maxContribution, merkleProof);
+        
+        // Execute purchase
+        _processPurchase(merkleProof, address(0), 0, block.timestamp + 1 hours, true);
+        
+        emit PurchaseRevealed(msg.sender, msg.value, nonce);
+    }
+    
+    /**
+     * @dev Check the caller's commitment against msg.value and nonce, then clear it
+     */
+    function _consumeCommitment(uint256 nonce) internal {
         require(_frontRunningProtectionEnabled[msg.sender], "SaleManager: protection not enabled");
         require(_purchaseCommitments[msg.sender] != bytes32(0), "SaleManager: no commitment");
         require(
@@ -1085,11 +1199,6 @@ contract SaleManager is ISaleManager, AccessControl, Pausable, ReentrancyGuard {
         // Clear commitment
         delete _purchaseCommitments[msg.sender];
         delete _commitmentTimestamp[msg.sender];
-        
-        // Execute purchase
-        _processPurchase(merkleProof, address(0), 0, block.timestamp + 1 hours);
-        
-        emit PurchaseRevealed(msg.sender, msg.value, nonce);
     }
     
     function setAdvancedRateLimiting(uint256 dailyLimit, uint256 hourlyLimit, uint256 cooldownPeriod) 
@@ -189,6 +189,18 @@ interface ISaleManager {
      */
     function purchaseTokensWithReferral(bytes32[] memory merkleProof, address referrer) external payable;
     
+    /**
+     * @dev Purchase tokens in a phase with an allocation whitelist, within the entry's contribution cap
+     * @param tier Whitelist tier index
+     * @param maxContribution Maximum contribution in wei for the phase
+     * @param merkleProof Merkle proof for the (participant, tier, maxContribution, phase) leaf
+     */
+    function purchaseTokensWithAllocation(
+        uint8 tier,
+        uint256 maxContribution,
+        bytes32[] memory merkleProof
+    ) external payable;
+    
     /**
      * @dev Calculate token amount for given ETH amount in current phase
      * @param ethAmount ETH amount to convert
@@ -220,6 +232,28 @@ interface ISaleManager {
      */
     function updateWhitelist(SalePhase phase, bytes32 merkleRoot) external;
     
+    /**
+     * @dev Set an allocation whitelist root for a phase; its purchases then need allocation proofs
+     * @param phase Phase to update
+     * @param merkleRoot Root of (participant, tier, maxContribution, phase) leaves
+     */
+    function updateAllocationWhitelist(SalePhase phase, bytes32 merkleRoot) external;
+    
+    /**
+     * @dev Whether a phase's root holds allocation leaves
+     * @param phase Phase to check
+     * @return isAllocation True after updateAllocationWhitelist, until the root is replaced
+     */
+    function isAllocationWhitelist(SalePhase phase) external view returns (bool isAllocation);
+    
+    /**
+     * @dev ETH a participant has contributed in a phase
+     * @param phase Phase to query
+     * @param participant Address of participant
+     * @return contribution Contribution in wei
+     */
+    function getPhaseContribution(SalePhase phase, address participant) external view returns (uint256 contribution);
+    
     /**
      * @dev Verify whitelist eligibility
      * @param participant Address to verify
@@ -233,6 +267,23 @@ interface ISaleManager {
         bytes32[] memory merkleProof
     ) external view returns (bool eligible);
     
+    /**
+     * @dev Verify a whitelist entry that carries a tier and contribution cap
+     * @param participant Address to verify
+     * @param phase Phase to check
+     * @param tier Whitelist tier index
+     * @param maxContribution Maximum contribution in wei
+     * @param merkleProof Merkle proof for the double-hashed (participant, tier, maxContribution, phase) leaf
+     * @return eligible Whether the entry is in the phase's whitelist (false when the phase has no root)
+     */
+    function verifyWhitelistAllocation(
+        address participant,
+        SalePhase phase,
+        uint8 tier,
+        uint256 maxContribution,
+        bytes32[] memory merkleProof
+    ) external view returns (bool eligible);
+    
     /**
      * @dev Update KYC status for participant
      * @param participant Address of participant
@@ -501,6 +552,20 @@ interface ISaleManager {
      */
     function revealPurchase(bytes32[] memory merkleProof, uint256 nonce) external payable;
     
+    /**
+     * @dev Reveal and execute a committed purchase against an allocation whitelist
+     * @param tier Whitelist tier index
+     * @param maxContribution Maximum contribution in wei for the phase
+     * @param merkleProof Merkle proof for the (participant, tier, maxContribution, phase) leaf
+     * @param nonce Random nonce used in commitment
+     */
+    function revealPurchaseWithAllocation(
+        uint8 tier,
+        uint256 maxContribution,
+        bytes32[] memory merkleProof,
+        uint256 nonce
+    ) external payable;
+    
     /**
      * @dev Set advanced rate limiting parameters
      * @param dailyLimit Maximum ETH per participant per day
@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "../interfaces/ISaleManager.sol";
+
+/**
+ * @title AllocationWhitelist
+ * @dev Allocation whitelist checks for SaleManager
+ * 
+ * Deployed once and linked into SaleManager, so the proof and contribution
+ * cap checks run in the library's code instead of adding to SaleManager's
+ * bytecode. Leaves are (participant, tier, maxContribution, phase) in the
+ * OpenZeppelin StandardMerkleTree format.
+ */
+library AllocationWhitelist {
+    
+    /**
+     * @dev Verify an allocation leaf against a phase's root
+     * @param merkleRoot Phase whitelist root
+     * @param participant Address of participant
+     * @param phase Phase the allocation is for, as its SalePhase value
+     * @param tier Participant tier
+     * @param maxContribution Contribution cap in wei
+     * @param merkleProof Merkle proof for the double-hashed leaf
+     * @return eligible Whether the leaf is in the tree (false when there is no root)
+     */
+    function verify(
+        bytes32 merkleRoot,
+        address participant,
+        uint8 phase,
+        uint8 tier,
+        uint256 maxContribution,
+        bytes32[] memory merkleProof
+    ) public pure returns (bool eligible) {
+        if (merkleRoot == bytes32(0)) {
+            return false; // An allocation needs a root to be listed in
+        }
+        
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(participant, tier, maxContribution, phase))));
+        return MerkleProof.verify(merkleProof, merkleRoot, leaf);
+    }
+    
+    /**
+     * @dev Check the caller's allocation and remaining cap for a purchase of msg.value
+     * @param allocationWhitelist SaleManager's allocation flags per phase
+     * @param phaseConfigs SaleManager's phase configurations
+     * @param phaseContributions SaleManager's contributions per phase and participant
+     * @param phase Current phase
+     * @param tier Participant tier
+     * @param maxContribution Contribution cap in wei
+     * @param merkleProof Merkle proof for the double-hashed leaf
+     */
+    function checkPurchase(
+        mapping(ISaleManager.SalePhase => bool) storage allocationWhitelist,
+        mapping(ISaleManager.SalePhase => ISaleManager.PhaseConfig) storage phaseConfigs,
+        mapping(ISaleManager.SalePhase => mapping(address => uint256)) storage phaseContributions,
+        ISaleManager.SalePhase phase,
+        uint8 tier,
+        uint256 maxContribution,
+        bytes32[] memory merkleProof
+    ) external view {
+        require(allocationWhitelist[phase], "SaleManager: no allocation whitelist");
+        require(
+            verify(phaseConfigs[phase].merkleRoot, msg.sender, uint8(phase), tier, maxContribution, merkleProof),
+            "SaleManager: not whitelisted"
+        );
+        require(
+            phaseContributions[phase][msg.sender] + msg.value <= maxContribution,
+            "SaleManager: above allocation"
+        );
+    }
+}
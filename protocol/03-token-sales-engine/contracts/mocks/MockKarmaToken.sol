@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title MockKarmaToken
+ * @dev Mintable stand-in for the Stage 1 KarmaToken, which this stage does not compile
+ */
+contract MockKarmaToken is ERC20, AccessControl {
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    
+    constructor(address admin) ERC20("Karma Labs Token", "KARMA") {
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+    }
+    
+    function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) {
+        _mint(to, amount);
+    }
+}
@@ -19,7 +19,7 @@ const contractPaths = [
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.19",
+    version: "0.8.20",
     settings: {
       optimizer: {
         enabled: true,
@@ -150,9 +150,9 @@ module.exports = {
     paths: [
       "@openzeppelin/contracts/token/ERC20/ERC20.sol",
       "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol",
-      "@openzeppelin/contracts/security/Pausable.sol",
+      "@openzeppelin/contracts/utils/Pausable.sol",
       "@openzeppelin/contracts/access/AccessControl.sol",
-      "@openzeppelin/contracts/security/ReentrancyGuard.sol",
+      "@openzeppelin/contracts/utils/ReentrancyGuard.sol",
       "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol"
     ],
     keep: true
@@ -179,10 +179,10 @@ task("compile-all", "Compile all contracts including dependencies")
     console.log("✅ All contracts compiled successfully!");
   });
 
+// The target network is Hardhat's own --network flag; a task cannot declare it again
 task("deploy-all", "Deploy all Stage 3 components")
-  .addOptionalParam("network", "Network to deploy to", "hardhat")
   .setAction(async (taskArgs, hre) => {
-    console.log(`🚀 Deploying all Stage 3 components to ${taskArgs.network}...`);
+    console.log(`🚀 Deploying all Stage 3 components to ${hre.network.name}...`);
     
     // Deploy Stage 3.1
     console.log("📦 Deploying Stage 3.1: SaleManager Core Architecture...");
@@ -200,9 +200,8 @@ task("deploy-all", "Deploy all Stage 3 components")
   });
 
 task("setup-all", "Setup all Stage 3 components")
-  .addOptionalParam("network", "Network to setup on", "hardhat")
   .setAction(async (taskArgs, hre) => {
-    console.log(`⚙️ Setting up all Stage 3 components on ${taskArgs.network}...`);
+    console.log(`⚙️ Setting up all Stage 3 components on ${hre.network.name}...`);
     
     // Setup Stage 3.1
     await hre.run("run", { script: "scripts/setup-stage3.1.js" });
@@ -217,9 +216,8 @@ task("setup-all", "Setup all Stage 3 components")
   });
 
 task("validate-all", "Validate all Stage 3 deployments")
-  .addOptionalParam("network", "Network to validate on", "hardhat")
   .setAction(async (taskArgs, hre) => {
-    console.log(`🔍 Validating all Stage 3 deployments on ${taskArgs.network}...`);
+    console.log(`🔍 Validating all Stage 3 deployments on ${hre.network.name}...`);
     
     // Validate Stage 3.1
     await hre.run("run", { script: "scripts/validate-stage3.1.js" });
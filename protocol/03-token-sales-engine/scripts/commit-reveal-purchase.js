@@ -0,0 +1,201 @@
+/**
+ * Commit-Reveal Purchase
+ *
+ * Buys through SaleManager's front-running protection: commits to a
+ * purchase with a fresh nonce, keeps the nonce in a private salt file, then
+ * waits for the reveal window and reveals automatically. Warns when a
+ * commitment is about to expire unrevealed.
+ *
+ * Usage:
+ *   PURCHASE_ACTION=commit SALE_MANAGER_ADDRESS=0x... PURCHASE_VALUE=0.5 \
+ *   npx hardhat run scripts/commit-reveal-purchase.js --network arbitrum
+ *
+ * Environment:
+ *   PURCHASE_ACTION       commit (commit, then watch unless PURCHASE_WATCH=false),
+ *                         watch (reveal stored commitments) or status
+ *   SALE_MANAGER_ADDRESS  Deployed SaleManager (default: from the deployment manifest)
+ *   FROM_BLOCK            First block to read SaleManager events from (default: the
+ *                         manifest's SaleManager deployment block)
+ *   BLOCK_RANGE           Blocks per log query (default 2000)
+ *   PURCHASE_VALUE        ETH to spend (commit)
+ *   COMMIT_DURATION       Enable front-running protection with this commit duration
+ *                         in seconds (60-3600) before committing
+ *   MAX_PRICE_IMPACT      Basis points passed with COMMIT_DURATION (default 500)
+ *   PURCHASE_PROOF        Whitelist proof for the reveal (JSON array, proof server response file
+ *                         or generateAllocationProof output); checked before committing. An
+ *                         allocation proof's tier and maxContribution are saved with the nonce
+ *   PURCHASE_WATCH        Set to false to commit without waiting for the reveal
+ *   SALT_DIR              Commitment directory (default ~/.karma-labs/commitments)
+ *   EXPIRY_WARNING        Seconds before the phase ends to warn (default 600)
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+
+const { getManifestPath, readManifest, getContractEntry } = require("../../../utils/deployment-manifest");
+const {
+    COMMIT_REVEAL_ABI,
+    COMMIT_DURATION,
+    COMMITMENT_STATUS,
+    DEFAULT_EXPIRY_WARNING,
+    DEFAULT_BLOCK_RANGE,
+    listCommitments,
+    loadCommitment,
+    getCommitmentState,
+    commitPurchase,
+    watchCommitment
+} = require("../utils/commit-reveal");
+
+const DEFAULT_SALT_DIR = path.join(os.homedir(), ".karma-labs", "commitments");
+const DEFAULT_MAX_PRICE_IMPACT = 500;
+
+/**
+ * Whitelist proof from PURCHASE_PROOF: a JSON array, a file holding one, a
+ * saved proof server response with a proof field, or a generateAllocationProof
+ * result, whose tier and maxContribution are returned as the allocation
+ */
+function loadProof(value) {
+    if (!value) return { merkleProof: [] };
+    const content = fs.existsSync(value) ? fs.readFileSync(value, "utf8") : value;
+    const parsed = JSON.parse(content);
+    const proof = Array.isArray(parsed) ? parsed : parsed.proof;
+    if (!Array.isArray(proof)) {
+        throw new Error("PURCHASE_PROOF must be a JSON array of hashes, a proof server response or an allocation proof");
+    }
+    if (Array.isArray(parsed) || parsed.maxContribution === undefined) {
+        return { merkleProof: proof };
+    }
+    return { merkleProof: proof, allocation: { tier: Number(parsed.tier), maxContribution: BigInt(parsed.maxContribution) } };
+}
+
+/**
+ * SaleManager address and the block to read its events from: the manifest
+ * entry, unless SALE_MANAGER_ADDRESS or FROM_BLOCK override it
+ */
+function resolveSaleManager() {
+    const manifest = readManifest(getManifestPath(network.name));
+    const entry = manifest ? getContractEntry(manifest, "SaleManager") : null;
+    const address = process.env.SALE_MANAGER_ADDRESS || entry?.address;
+    if (!address) {
+        throw new Error(`Set SALE_MANAGER_ADDRESS; the ${network.name} deployment manifest has no SaleManager`);
+    }
+
+    let fromBlock = null;
+    if (process.env.FROM_BLOCK) {
+        fromBlock = Number(process.env.FROM_BLOCK);
+        if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+            throw new Error(`FROM_BLOCK must be a block number, got ${process.env.FROM_BLOCK}`);
+        }
+    } else if (entry && entry.address.toLowerCase() === address.toLowerCase() && entry.blockNumber !== null) {
+        fromBlock = entry.blockNumber;
+    }
+    return { address, fromBlock };
+}
+
+async function main() {
+    console.log("\n=== KARMA LABS - COMMIT-REVEAL PURCHASE ===\n");
+
+    const action = (process.env.PURCHASE_ACTION || "commit").toLowerCase();
+    const { address: saleManagerAddress, fromBlock } = resolveSaleManager();
+    const blockRange = Number(process.env.BLOCK_RANGE || DEFAULT_BLOCK_RANGE);
+
+    const [buyer] = await ethers.getSigners();
+    const saleManager = new ethers.Contract(saleManagerAddress, COMMIT_REVEAL_ABI, buyer);
+    const saltDir = process.env.SALT_DIR || DEFAULT_SALT_DIR;
+    const warnBefore = Number(process.env.EXPIRY_WARNING || DEFAULT_EXPIRY_WARNING);
+    const { chainId } = await ethers.provider.getNetwork();
+
+    // Commitments of this buyer on this SaleManager and network
+    const ownCommitments = () => listCommitments(saltDir)
+        .map(file => ({ file, record: loadCommitment(file) }))
+        .filter(({ record }) =>
+            record.chainId === chainId.toString() &&
+            record.saleManager.toLowerCase() === saleManagerAddress.toLowerCase() &&
+            record.participant.toLowerCase() === buyer.address.toLowerCase()
+        );
+
+    console.log(`👤 Buyer ${buyer.address} on ${network.name}`);
+    console.log(`🔐 Salts in ${saltDir}`);
+
+    if (action === "status") {
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const commitments = ownCommitments();
+        if (commitments.length === 0) console.log("   No commitments stored");
+        for (const { file, record } of commitments) {
+            const { state, revealIn, expiresIn } = getCommitmentState(record, timestamp, { warnBefore });
+            console.log(`   ${path.basename(file)}: ${state}, ${ethers.formatEther(record.value)} ETH, reveal in ${revealIn}s, expires in ${expiresIn}s`);
+        }
+        return;
+    }
+
+    // Scanning events from genesis exceeds provider log-range limits
+    if (fromBlock === null) {
+        throw new Error("Set FROM_BLOCK to the SaleManager deployment block; the deployment manifest does not record it");
+    }
+    const { merkleProof, allocation } = loadProof(process.env.PURCHASE_PROOF);
+
+    const files = [];
+    if (action === "commit") {
+        if (!process.env.PURCHASE_VALUE) {
+            throw new Error("Set PURCHASE_VALUE");
+        }
+
+        let commitDuration;
+        if (process.env.COMMIT_DURATION) {
+            commitDuration = Number(process.env.COMMIT_DURATION);
+            if (!Number.isInteger(commitDuration) || commitDuration < COMMIT_DURATION.MIN || commitDuration > COMMIT_DURATION.MAX) {
+                throw new Error(`COMMIT_DURATION must be between ${COMMIT_DURATION.MIN} and ${COMMIT_DURATION.MAX} seconds`);
+            }
+            const maxPriceImpact = Number(process.env.MAX_PRICE_IMPACT || DEFAULT_MAX_PRICE_IMPACT);
+            const tx = await saleManager.enableFrontRunningProtection(maxPriceImpact, commitDuration);
+            await tx.wait();
+            console.log(`🛡️  Front-running protection enabled: ${commitDuration}s commit duration, ${maxPriceImpact} bps max price impact`);
+        }
+
+        const { file, record } = await commitPurchase(saleManager, {
+            value: ethers.parseEther(process.env.PURCHASE_VALUE),
+            saltDir,
+            commitDuration,
+            merkleProof,
+            allocation,
+            fromBlock,
+            blockRange
+        });
+        console.log(`📝 Committed ${process.env.PURCHASE_VALUE} ETH in ${record.commitTx}`);
+        console.log(`   Commitment ${record.commitment}`);
+        console.log(`   Reveal after ${new Date(record.revealAfter * 1000).toISOString()}, phase ends ${new Date(record.expiresAt * 1000).toISOString()}`);
+        console.log(`💾 Nonce saved to ${file}; keep it until the reveal succeeds`);
+
+        if (process.env.PURCHASE_WATCH === "false") return;
+        files.push(file);
+    } else if (action === "watch") {
+        files.push(...ownCommitments()
+            .filter(({ record }) => record.status === COMMITMENT_STATUS.PENDING || record.status === COMMITMENT_STATUS.COMMITTED)
+            .map(({ file }) => file));
+        if (files.length === 0) {
+            console.log("   No unrevealed commitments to watch");
+            return;
+        }
+    } else {
+        throw new Error(`Unknown PURCHASE_ACTION ${action} (expected commit, watch or status)`);
+    }
+
+    for (const file of files) {
+        console.log(`\n👀 Watching ${path.basename(file)}`);
+        const revealed = await watchCommitment(saleManager, file, { merkleProof, warnBefore, fromBlock, blockRange, log: console.log });
+        console.log(`🎉 Purchased with ${ethers.formatEther(revealed.value)} ETH`);
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("\n❌ Commit-reveal purchase failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
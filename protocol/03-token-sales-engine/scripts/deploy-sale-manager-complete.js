@@ -1,4 +1,6 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
 
 async function main() {
     console.log("🚀 Starting complete SaleManager ecosystem deployment...");
@@ -6,12 +8,21 @@ async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("📝 Deploying contracts with account:", deployer.address);
     console.log("💰 Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)), "ETH");
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
     
     // Deploy KarmaToken first
     console.log("\n📦 Deploying KarmaToken...");
     const KarmaToken = await ethers.getContractFactory("KarmaToken");
     const karmaToken = await KarmaToken.deploy(deployer.address);
     await karmaToken.waitForDeployment();
+    await saveDeployment(manifest, "KarmaToken", karmaToken, {
+        contract: "KarmaToken",
+        stage: 1,
+        constructorArgs: [deployer.address],
+        bytecode: KarmaToken.bytecode
+    });
     const karmaTokenAddress = await karmaToken.getAddress();
     console.log("✅ KarmaToken deployed to:", karmaTokenAddress);
     
@@ -20,12 +31,19 @@ async function main() {
     const VestingVault = await ethers.getContractFactory("VestingVault");
     const vestingVault = await VestingVault.deploy(karmaTokenAddress, deployer.address);
     await vestingVault.waitForDeployment();
+    await saveDeployment(manifest, "VestingVault", vestingVault, {
+        contract: "VestingVault",
+        stage: 2,
+        constructorArgs: [karmaTokenAddress, deployer.address],
+        bytecode: VestingVault.bytecode
+    });
     const vestingVaultAddress = await vestingVault.getAddress();
     console.log("✅ VestingVault deployed to:", vestingVaultAddress);
     
     // Deploy SaleManager
     console.log("\n📦 Deploying SaleManager...");
-    const SaleManager = await ethers.getContractFactory("SaleManager");
+    // Deploys and records the AllocationWhitelist library SaleManager links
+    const SaleManager = await getSaleManagerFactory(ethers, { manifest });
     const saleManager = await SaleManager.deploy(
         karmaTokenAddress,
         vestingVaultAddress,
@@ -33,6 +51,12 @@ async function main() {
         deployer.address  // admin
     );
     await saleManager.waitForDeployment();
+    await saveDeployment(manifest, "SaleManager", saleManager, {
+        contract: "SaleManager",
+        stage: 3,
+        constructorArgs: [karmaTokenAddress, vestingVaultAddress, deployer.address, deployer.address],
+        bytecode: SaleManager.bytecode
+    });
     const saleManagerAddress = await saleManager.getAddress();
     console.log("✅ SaleManager deployed to:", saleManagerAddress);
     
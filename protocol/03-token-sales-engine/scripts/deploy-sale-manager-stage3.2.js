@@ -10,7 +10,9 @@
  * - Uniswap V3 integration preparation
  */
 
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
 const { MerkleTree } = require("merkletreejs");
 const keccak256 = require("keccak256");
 
@@ -21,6 +23,9 @@ async function main() {
     
     console.log("Deploying Stage 3.2 with account:", deployer.address);
     console.log("Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)));
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
     
     // ============ DEPLOY CORE CONTRACTS ============
     
@@ -31,6 +36,12 @@ async function main() {
     const KarmaToken = await ethers.getContractFactory("KarmaToken");
     const karmaToken = await KarmaToken.deploy("Karma Token", "KARMA", treasury.address);
     await karmaToken.waitForDeployment();
+    await saveDeployment(manifest, "KarmaToken", karmaToken, {
+        contract: "KarmaToken",
+        stage: 1,
+        constructorArgs: ["Karma Token", "KARMA", treasury.address],
+        bytecode: KarmaToken.bytecode
+    });
     console.log("✅ KarmaToken deployed to:", await karmaToken.getAddress());
     
     // Deploy VestingVault
@@ -38,11 +49,18 @@ async function main() {
     const VestingVault = await ethers.getContractFactory("VestingVault");
     const vestingVault = await VestingVault.deploy(await karmaToken.getAddress(), treasury.address);
     await vestingVault.waitForDeployment();
+    await saveDeployment(manifest, "VestingVault", vestingVault, {
+        contract: "VestingVault",
+        stage: 2,
+        constructorArgs: [await karmaToken.getAddress(), treasury.address],
+        bytecode: VestingVault.bytecode
+    });
     console.log("✅ VestingVault deployed to:", await vestingVault.getAddress());
     
     // Deploy SaleManager (Stage 3.2)
     console.log("Deploying SaleManager (Stage 3.2)...");
-    const SaleManager = await ethers.getContractFactory("SaleManager");
+    // Deploys and records the AllocationWhitelist library SaleManager links
+    const SaleManager = await getSaleManagerFactory(ethers, { manifest });
     const saleManager = await SaleManager.deploy(
         await karmaToken.getAddress(),
         await vestingVault.getAddress(),
@@ -50,6 +68,12 @@ async function main() {
         deployer.address
     );
     await saleManager.waitForDeployment();
+    await saveDeployment(manifest, "SaleManager", saleManager, {
+        contract: "SaleManager",
+        stage: 3,
+        constructorArgs: [await karmaToken.getAddress(), await vestingVault.getAddress(), treasury.address, deployer.address],
+        bytecode: SaleManager.bytecode
+    });
     console.log("✅ SaleManager (Stage 3.2) deployed to:", await saleManager.getAddress());
     
     // ============ SETUP ROLES AND PERMISSIONS ============
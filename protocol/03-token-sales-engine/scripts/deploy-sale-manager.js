@@ -1,4 +1,6 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { loadManifest, resolveContractAddresses, saveDeployment } = require("../../../utils/deployment-manifest");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
 
 async function main() {
     console.log("🚀 Starting SaleManager deployment...");
@@ -7,11 +9,13 @@ async function main() {
     console.log("📝 Deploying contracts with account:", deployer.address);
     console.log("💰 Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)), "ETH");
     
-    // Get contract addresses (assuming they're already deployed)
-    // In production, these would be loaded from deployment artifacts
-    const karmaTokenAddress = process.env.KARMA_TOKEN_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
-    const vestingVaultAddress = process.env.VESTING_VAULT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
-    const treasuryAddress = process.env.TREASURY_ADDRESS || deployer.address; // Use deployer as treasury for demo
+    // Stage 1 and 2 contracts come from the deployment manifest
+    const manifest = loadManifest(network.name);
+    const deployed = resolveContractAddresses(manifest, ["KarmaToken", "VestingVault"], ["Treasury"]);
+    const karmaTokenAddress = deployed.KarmaToken;
+    const vestingVaultAddress = deployed.VestingVault;
+    // The Treasury (stage 4) is deployed after the sale, which is re-pointed to it then
+    const treasuryAddress = deployed.Treasury || deployer.address;
     
     console.log("🔗 Using KarmaToken at:", karmaTokenAddress);
     console.log("🔗 Using VestingVault at:", vestingVaultAddress);
@@ -19,7 +23,8 @@ async function main() {
     
     // Deploy SaleManager
     console.log("\n📦 Deploying SaleManager...");
-    const SaleManager = await ethers.getContractFactory("SaleManager");
+    // Deploys and records the AllocationWhitelist library SaleManager links
+    const SaleManager = await getSaleManagerFactory(ethers, { manifest });
     const saleManager = await SaleManager.deploy(
         karmaTokenAddress,
         vestingVaultAddress,
@@ -28,6 +33,12 @@ async function main() {
     );
     
     await saleManager.waitForDeployment();
+    await saveDeployment(manifest, "SaleManager", saleManager, {
+        contract: "SaleManager",
+        stage: 3,
+        constructorArgs: [karmaTokenAddress, vestingVaultAddress, treasuryAddress, deployer.address],
+        bytecode: SaleManager.bytecode
+    });
     const saleManagerAddress = await saleManager.getAddress();
     console.log("✅ SaleManager deployed to:", saleManagerAddress);
     
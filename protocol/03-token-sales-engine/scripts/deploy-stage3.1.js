@@ -9,9 +9,12 @@
  * - Treasury fund forwarding configuration
  */
 
-const { ethers } = require("hardhat");
+const { ethers, network: hardhatNetwork } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
 
 // Configuration
 const CONFIG_PATH = path.join(__dirname, "../config/stage3.1-config.json");
@@ -23,8 +26,8 @@ async function main() {
     console.log("🚀 Starting Stage 3.1: SaleManager Core Architecture Deployment");
     console.log("=" .repeat(60));
     
-    // Load configuration
-    const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    // Load and validate configuration
+    const config = loadStageConfig("3.1", { configPath: CONFIG_PATH });
     console.log(`📋 Loaded configuration: ${config.name}`);
     
     // Get deployment accounts
@@ -47,6 +50,7 @@ async function main() {
     
     const deploymentResults = {};
     const deploymentLog = [];
+    const manifest = openManifest(hardhatNetwork.name, network.chainId);
     
     try {
         // ============ STEP 1: Deploy Dependencies ============
@@ -58,6 +62,12 @@ async function main() {
         const KarmaToken = await ethers.getContractFactory("KarmaToken");
         const karmaToken = await KarmaToken.deploy();
         await karmaToken.waitForDeployment();
+        await saveDeployment(manifest, "KarmaToken", karmaToken, {
+            contract: "KarmaToken",
+            stage: 1,
+            constructorArgs: [],
+            bytecode: KarmaToken.bytecode
+        });
         const karmaTokenAddress = await karmaToken.getAddress();
         
         console.log(`   ✅ KarmaToken deployed: ${karmaTokenAddress}`);
@@ -69,6 +79,12 @@ async function main() {
         const VestingVault = await ethers.getContractFactory("VestingVault");
         const vestingVault = await VestingVault.deploy(karmaTokenAddress);
         await vestingVault.waitForDeployment();
+        await saveDeployment(manifest, "VestingVault", vestingVault, {
+            contract: "VestingVault",
+            stage: 2,
+            constructorArgs: [karmaTokenAddress],
+            bytecode: VestingVault.bytecode
+        });
         const vestingVaultAddress = await vestingVault.getAddress();
         
         console.log(`   ✅ VestingVault deployed: ${vestingVaultAddress}`);
@@ -80,7 +96,8 @@ async function main() {
         console.log("-".repeat(40));
         
         console.log("🏪 Deploying SaleManager...");
-        const SaleManager = await ethers.getContractFactory("SaleManager");
+        // Deploys and records the AllocationWhitelist library SaleManager links
+        const SaleManager = await getSaleManagerFactory(ethers, { manifest });
         const saleManager = await SaleManager.deploy(
             karmaTokenAddress,
             vestingVaultAddress,
@@ -90,6 +107,12 @@ async function main() {
             }
         );
         await saleManager.waitForDeployment();
+        await saveDeployment(manifest, "SaleManager", saleManager, {
+            contract: "SaleManager",
+            stage: 3,
+            constructorArgs: [karmaTokenAddress, vestingVaultAddress, admin.address],
+            bytecode: SaleManager.bytecode
+        });
         const saleManagerAddress = await saleManager.getAddress();
         
         console.log(`   ✅ SaleManager deployed: ${saleManagerAddress}`);
@@ -1,4 +1,6 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
 
 async function main() {
     console.log("🚀 Deploying and Demonstrating Stage 3.3: Revenue and Fund Management");
@@ -7,6 +9,9 @@ async function main() {
     const [deployer, treasury, privateBuyer, preSaleBuyer, publicBuyer, analytics] = await ethers.getSigners();
     console.log("📝 Deploying with account:", deployer.address);
     console.log("💰 Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)), "ETH");
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
     
     // ============ DEPLOY COMPLETE ECOSYSTEM ============
     
@@ -16,16 +21,29 @@ async function main() {
     const KarmaToken = await ethers.getContractFactory("KarmaToken");
     const karmaToken = await KarmaToken.deploy(deployer.address);
     await karmaToken.waitForDeployment();
+    await saveDeployment(manifest, "KarmaToken", karmaToken, {
+        contract: "KarmaToken",
+        stage: 1,
+        constructorArgs: [deployer.address],
+        bytecode: KarmaToken.bytecode
+    });
     console.log("✅ KarmaToken deployed to:", await karmaToken.getAddress());
     
     // Deploy VestingVault
     const VestingVault = await ethers.getContractFactory("VestingVault");
     const vestingVault = await VestingVault.deploy(await karmaToken.getAddress(), deployer.address);
     await vestingVault.waitForDeployment();
+    await saveDeployment(manifest, "VestingVault", vestingVault, {
+        contract: "VestingVault",
+        stage: 2,
+        constructorArgs: [await karmaToken.getAddress(), deployer.address],
+        bytecode: VestingVault.bytecode
+    });
     console.log("✅ VestingVault deployed to:", await vestingVault.getAddress());
     
     // Deploy SaleManager with Stage 3.3 features
-    const SaleManager = await ethers.getContractFactory("SaleManager");
+    // Deploys and records the AllocationWhitelist library SaleManager links
+    const SaleManager = await getSaleManagerFactory(ethers, { manifest });
     const saleManager = await SaleManager.deploy(
         await karmaToken.getAddress(),
         await vestingVault.getAddress(),
@@ -33,6 +51,12 @@ async function main() {
         deployer.address
     );
     await saleManager.waitForDeployment();
+    await saveDeployment(manifest, "SaleManager", saleManager, {
+        contract: "SaleManager",
+        stage: 3,
+        constructorArgs: [await karmaToken.getAddress(), await vestingVault.getAddress(), treasury.address, deployer.address],
+        bytecode: SaleManager.bytecode
+    });
     console.log("✅ SaleManager (Stage 3.3) deployed to:", await saleManager.getAddress());
     
     // ============ SETUP ROLES AND PERMISSIONS ============
@@ -0,0 +1,107 @@
+/**
+ * Whitelist Root Rotation Planner
+ *
+ * Compares the live whitelist version of a sale phase with a new one (for
+ * example after KYC approvals arrive mid-sale), computes the new tier roots
+ * and writes the plan: added, removed and re-tiered participants, who needs
+ * a fresh proof, and the SaleManager transaction that rotates the root.
+ * A phase with an allocation whitelist is rotated to the allocation root of
+ * the new version, whose participants then need a maxContribution (wei).
+ * Nothing is sent.
+ *
+ * Usage:
+ *   ROTATION_PHASE=PRE_SALE ROTATION_PREVIOUS=whitelists/v1/participants.json \
+ *   ROTATION_NEXT=whitelists/v2/participants.json SALE_MANAGER_ADDRESS=0x... \
+ *   npx hardhat run scripts/plan-root-rotation.js --network arbitrum
+ *
+ * Environment:
+ *   ROTATION_PHASE        PRIVATE, PRE_SALE or PUBLIC
+ *   ROTATION_PREVIOUS     Live whitelist version (JSON participants or CSV)
+ *   ROTATION_NEXT         New whitelist version (JSON participants or CSV; JSON with
+ *                         maxContribution for an allocation phase)
+ *   SALE_MANAGER_ADDRESS  Deployed SaleManager
+ *   ROTATION_TIER         Tier whose root the phase uses (default: the tier matching the live root)
+ *   ROTATION_OUTPUT_DIR   Output directory (default: rotations/<network>)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+
+const { stringify } = require("csv-stringify/sync");
+const { SALE_PHASES } = require("../utils/allocation-whitelist");
+const { ROTATION_ABI, loadWhitelistVersion, planRootRotation } = require("../utils/root-rotation");
+
+async function main() {
+    console.log("\n=== KARMA LABS - WHITELIST ROOT ROTATION ===\n");
+
+    const { ROTATION_PHASE, ROTATION_PREVIOUS, ROTATION_NEXT, SALE_MANAGER_ADDRESS } = process.env;
+    if (!ROTATION_PHASE || !ROTATION_PREVIOUS || !ROTATION_NEXT || !SALE_MANAGER_ADDRESS) {
+        throw new Error("Set ROTATION_PHASE, ROTATION_PREVIOUS, ROTATION_NEXT and SALE_MANAGER_ADDRESS");
+    }
+    const phase = ROTATION_PHASE.toUpperCase();
+    if (SALE_PHASES[phase] === undefined) {
+        throw new Error(`Unknown sale phase ${ROTATION_PHASE} (expected one of ${Object.keys(SALE_PHASES).join(", ")})`);
+    }
+
+    const saleManager = new ethers.Contract(SALE_MANAGER_ADDRESS, ROTATION_ABI, ethers.provider);
+    const phaseConfig = await saleManager.getPhaseConfig(SALE_PHASES[phase]);
+    const allocationWhitelist = await saleManager.isAllocationWhitelist(SALE_PHASES[phase]);
+    const latest = await ethers.provider.getBlock("latest");
+
+    const plan = planRootRotation(loadWhitelistVersion(ROTATION_PREVIOUS), loadWhitelistVersion(ROTATION_NEXT), {
+        phase,
+        phaseConfig,
+        allocationWhitelist,
+        now: latest.timestamp,
+        tier: process.env.ROTATION_TIER
+    });
+
+    console.log(`📊 ${plan.phase} on ${network.name}, live root ${plan.currentRoot}`);
+    console.log(`   Added: ${plan.diff.added.length}, removed: ${plan.diff.removed.length}, tier changed: ${plan.diff.tierChanged.length}, unchanged: ${plan.diff.unchanged}`);
+    if (plan.allocationWhitelist) {
+        console.log(`   Max contribution changed: ${plan.diff.capChanged.length}`);
+        console.log(`   Allocation root ${plan.currentRoot} → ${plan.newRoot}`);
+    }
+    for (const [tier, data] of Object.entries(plan.tiers)) {
+        const marker = tier === plan.rotationTier ? " (on-chain)" : "";
+        console.log(`   ${tier}${marker}: ${data.oldCount} → ${data.newCount} addresses, ${data.changed ? `root ${data.oldRoot} → ${data.newRoot}` : "root unchanged"}`);
+    }
+    console.log(`🔁 ${plan.freshProofs.length} participants need fresh proofs`);
+    plan.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+    const outputDir = process.env.ROTATION_OUTPUT_DIR || path.join("rotations", network.name);
+    fs.mkdirSync(outputDir, { recursive: true });
+    const name = `${plan.phase}-${latest.number}`;
+    const transaction = plan.transaction && { to: SALE_MANAGER_ADDRESS, ...plan.transaction };
+    fs.writeFileSync(path.join(outputDir, `${name}.json`), `${JSON.stringify({
+        network: network.name,
+        blockNumber: latest.number,
+        previous: path.resolve(ROTATION_PREVIOUS),
+        next: path.resolve(ROTATION_NEXT),
+        ...plan,
+        transaction
+    }, null, 2)}\n`);
+    fs.writeFileSync(path.join(outputDir, `${name}-fresh-proofs.csv`), stringify(plan.freshProofs, {
+        header: true,
+        columns: ["address", "tier", "reason", "onChain"],
+        cast: { boolean: value => String(value) }
+    }));
+
+    if (transaction) {
+        console.log(`\n📝 ${transaction.signature} on ${transaction.to} (needs ${transaction.role})`);
+        console.log(`   data: ${transaction.data}`);
+    }
+    console.log(`\n💾 Plan written to ${path.join(outputDir, `${name}.json`)}`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("\n❌ Root rotation planning failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
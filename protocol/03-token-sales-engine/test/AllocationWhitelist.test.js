@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
+const {
+    SALE_PHASES,
+    generateAllocationTree,
+    generateAllocationWhitelist,
+    getAllocationRoot,
+    hashAllocationLeaf,
+    generateAllocationProof,
+    verifyAllocationProof
+} = require("../utils/allocation-whitelist");
+
+describe("Stage 3: Allocation Whitelist Tests", function () {
+    let saleManager;
+    let admin, whitelistManager, partner, community, member, outsider;
+    let participants, tree, root;
+
+    beforeEach(async function () {
+        [admin, whitelistManager, partner, community, member, outsider] = await ethers.getSigners();
+
+        // Only the whitelist is exercised, so any non-zero addresses do for token, vault and treasury
+        const SaleManager = await getSaleManagerFactory(ethers);
+        saleManager = await SaleManager.deploy(admin.address, admin.address, admin.address, admin.address);
+        await saleManager.waitForDeployment();
+
+        const WHITELIST_MANAGER_ROLE = await saleManager.WHITELIST_MANAGER_ROLE();
+        await saleManager.grantRole(WHITELIST_MANAGER_ROLE, whitelistManager.address);
+
+        participants = [
+            { address: partner.address, tier: "PARTNER", maxContribution: ethers.parseEther("50"), phase: "PRE_SALE" },
+            { address: community.address.toLowerCase(), tier: "COMMUNITY", maxContribution: ethers.parseEther("5"), phase: "PRE_SALE" },
+            { address: member.address, tier: 2, maxContribution: ethers.parseEther("1.5"), phase: SALE_PHASES.PRE_SALE }
+        ];
+        tree = generateAllocationTree(participants);
+        root = getAllocationRoot(tree);
+
+        await saleManager.connect(whitelistManager).updateAllocationWhitelist(SALE_PHASES.PRE_SALE, root);
+    });
+
+    describe("Leaf Encoding", function () {
+        it("Should double-hash the ABI-encoded (address, tier, maxContribution, phase) leaf", async function () {
+            const entry = generateAllocationProof(tree, community.address);
+            const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+                ["address", "uint8", "uint256", "uint8"],
+                [community.address, 1, ethers.parseEther("5"), 2]
+            );
+
+            expect(entry.leaf).to.equal(ethers.keccak256(ethers.keccak256(encoded)));
+            expect(entry).to.include({ address: community.address, tier: 1, maxContribution: ethers.parseEther("5").toString(), phase: 2 });
+            expect(tree.format).to.equal("standard-v1");
+            expect(hashAllocationLeaf([community.address, 1, ethers.parseEther("5").toString(), 2])).to.equal(entry.leaf);
+        });
+
+        it("Should reject duplicate addresses and mixed phases", async function () {
+            expect(() => generateAllocationTree([...participants, { ...participants[0], tier: "PUBLIC" }]))
+                .to.throw("is listed more than once");
+            expect(() => generateAllocationTree([...participants, { address: outsider.address, tier: "PUBLIC", maxContribution: 1, phase: "PUBLIC" }]))
+                .to.throw("one sale phase");
+            expect(() => generateAllocationTree([{ ...participants[0], tier: "WHALE" }])).to.throw("Unknown whitelist tier WHALE");
+        });
+
+        it("Should build one root per phase", async function () {
+            const whitelist = generateAllocationWhitelist([
+                ...participants,
+                { address: outsider.address, tier: "PUBLIC", maxContribution: ethers.parseEther("1"), phase: "PUBLIC" }
+            ]);
+
+            expect(Object.keys(whitelist)).to.deep.equal(["PRE_SALE", "PUBLIC"]);
+            expect(whitelist.PRE_SALE).to.include({ root, count: 3 });
+            expect(whitelist.PUBLIC.count).to.equal(1);
+        });
+    });
+
+    describe("On-chain Verification", function () {
+        it("Should verify every proof with SaleManager.verifyWhitelistAllocation", async function () {
+            for (const participant of participants) {
+                const { tier, maxContribution, phase, proof } = generateAllocationProof(tree, participant.address);
+
+                expect(verifyAllocationProof(proof, participant, root)).to.be.true;
+                expect(await saleManager.verifyWhitelistAllocation(participant.address, phase, tier, maxContribution, proof)).to.be.true;
+            }
+        });
+
+        it("Should reject a changed tier, cap or phase", async function () {
+            const { proof } = generateAllocationProof(tree, community.address);
+            const cap = ethers.parseEther("5");
+
+            expect(await saleManager.verifyWhitelistAllocation(community.address, SALE_PHASES.PRE_SALE, 0, cap, proof)).to.be.false;
+            expect(await saleManager.verifyWhitelistAllocation(community.address, SALE_PHASES.PRE_SALE, 1, cap + 1n, proof)).to.be.false;
+            expect(verifyAllocationProof(proof, { ...participants[1], maxContribution: cap + 1n }, root)).to.be.false;
+
+            await saleManager.connect(whitelistManager).updateWhitelist(SALE_PHASES.PUBLIC, root);
+            expect(await saleManager.verifyWhitelistAllocation(community.address, SALE_PHASES.PUBLIC, 1, cap, proof)).to.be.false;
+        });
+
+        it("Should not list addresses outside the tree", async function () {
+            expect(generateAllocationProof(tree, outsider.address)).to.equal(null);
+            expect(await saleManager.verifyWhitelistAllocation(outsider.address, SALE_PHASES.PRE_SALE, 2, ethers.parseEther("1.5"), [])).to.be.false;
+        });
+
+        it("Should not list anyone in a phase without a root", async function () {
+            expect(await saleManager.verifyWhitelistAllocation(outsider.address, SALE_PHASES.PRIVATE, 0, 1, [])).to.be.false;
+            await expect(saleManager.connect(whitelistManager).updateAllocationWhitelist(SALE_PHASES.PRIVATE, ethers.ZeroHash))
+                .to.be.revertedWith("SaleManager: empty allocation root");
+        });
+
+        it("Should switch the phase back to address leaves when the root is replaced", async function () {
+            expect(await saleManager.isAllocationWhitelist(SALE_PHASES.PRE_SALE)).to.be.true;
+
+            await saleManager.connect(whitelistManager).updateWhitelist(SALE_PHASES.PRE_SALE, root);
+            expect(await saleManager.isAllocationWhitelist(SALE_PHASES.PRE_SALE)).to.be.false;
+        });
+    });
+
+    describe("Allocation Purchases", function () {
+        let karmaToken, publicTree, publicRoot;
+
+        const now = async () => (await ethers.provider.getBlock("latest")).timestamp;
+        const advance = async (seconds) => {
+            await ethers.provider.send("evm_increaseTime", [seconds]);
+            await ethers.provider.send("evm_mine", []);
+        };
+        const allocation = (address) => {
+            const { tier, maxContribution, proof } = generateAllocationProof(publicTree, address);
+            return [tier, maxContribution, proof];
+        };
+
+        beforeEach(async function () {
+            const KarmaToken = await ethers.getContractFactory("MockKarmaToken");
+            karmaToken = await KarmaToken.deploy(admin.address);
+            await karmaToken.waitForDeployment();
+
+            // Public sale tokens are minted straight to the buyer, so the vault is never called
+            const SaleManager = await getSaleManagerFactory(ethers);
+            saleManager = await SaleManager.deploy(await karmaToken.getAddress(), admin.address, admin.address, admin.address);
+            await saleManager.waitForDeployment();
+            await karmaToken.grantRole(await karmaToken.MINTER_ROLE(), await saleManager.getAddress());
+            await saleManager.grantRole(await saleManager.WHITELIST_MANAGER_ROLE(), whitelistManager.address);
+
+            publicTree = generateAllocationTree([
+                { address: partner.address, tier: "PARTNER", maxContribution: ethers.parseEther("3"), phase: "PUBLIC" },
+                { address: community.address, tier: "COMMUNITY", maxContribution: ethers.parseEther("1"), phase: "PUBLIC" }
+            ]);
+            publicRoot = getAllocationRoot(publicTree);
+
+            const configureTime = (await now()) + 3600;
+            await saleManager.configurePrivateSale(configureTime, ethers.ZeroHash);
+            await saleManager.configurePreSale(configureTime, ethers.ZeroHash);
+
+            const startTime = (await now()) + 60;
+            await saleManager.startSalePhase(SALE_PHASES.PUBLIC, {
+                price: ethers.parseEther("0.05"),
+                minPurchase: 0,
+                maxPurchase: ethers.parseEther("10"),
+                hardCap: ethers.parseEther("1000"),
+                tokenAllocation: ethers.parseEther("1000000"),
+                startTime,
+                endTime: startTime + 7200,
+                whitelistRequired: true,
+                kycRequired: false,
+                merkleRoot: ethers.ZeroHash
+            });
+            await saleManager.connect(whitelistManager).updateAllocationWhitelist(SALE_PHASES.PUBLIC, publicRoot);
+            await advance(60);
+        });
+
+        it("Should enforce the contribution cap across purchases", async function () {
+            await saleManager.connect(partner).purchaseTokensWithAllocation(...allocation(partner.address), { value: ethers.parseEther("2") });
+            expect(await saleManager.getPhaseContribution(SALE_PHASES.PUBLIC, partner.address)).to.equal(ethers.parseEther("2"));
+
+            await advance(60);
+            await expect(saleManager.connect(partner).purchaseTokensWithAllocation(...allocation(partner.address), { value: ethers.parseEther("1.5") }))
+                .to.be.revertedWith("SaleManager: above allocation");
+            await saleManager.connect(partner).purchaseTokensWithAllocation(...allocation(partner.address), { value: ethers.parseEther("1") });
+            expect(await saleManager.getPhaseContribution(SALE_PHASES.PUBLIC, partner.address)).to.equal(ethers.parseEther("3"));
+        });
+
+        it("Should reject a claimed cap or tier that is not in the tree", async function () {
+            const [tier, , proof] = allocation(community.address);
+
+            await expect(saleManager.connect(community).purchaseTokensWithAllocation(tier, ethers.parseEther("3"), proof, { value: ethers.parseEther("2") }))
+                .to.be.revertedWith("SaleManager: not whitelisted");
+            await expect(saleManager.connect(community).purchaseTokensWithAllocation(0, ethers.parseEther("1"), proof, { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("SaleManager: not whitelisted");
+            await expect(saleManager.connect(outsider).purchaseTokensWithAllocation(...allocation(community.address), { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("SaleManager: not whitelisted");
+        });
+
+        it("Should refuse address-only purchases while an allocation root is live", async function () {
+            const { proof } = generateAllocationProof(publicTree, partner.address);
+
+            await expect(saleManager.connect(partner).purchaseTokens(proof, { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("SaleManager: allocation proof required");
+
+            await saleManager.connect(whitelistManager).updateWhitelist(SALE_PHASES.PUBLIC, publicRoot);
+            await expect(saleManager.connect(partner).purchaseTokensWithAllocation(...allocation(partner.address), { value: ethers.parseEther("1") }))
+                .to.be.revertedWith("SaleManager: no allocation whitelist");
+        });
+
+        it("Should reveal a committed purchase within the cap", async function () {
+            const value = ethers.parseEther("1");
+            const nonce = 42n;
+            const commitment = ethers.solidityPackedKeccak256(["address", "uint256", "uint256"], [community.address, value, nonce]);
+            await saleManager.connect(community).enableFrontRunningProtection(300, 60);
+            await saleManager.connect(community).commitPurchase(commitment);
+            await advance(60);
+
+            await expect(saleManager.connect(community).revealPurchase([], nonce, { value }))
+                .to.be.revertedWith("SaleManager: allocation proof required");
+            await expect(saleManager.connect(community).revealPurchaseWithAllocation(...allocation(community.address), nonce, { value }))
+                .to.emit(saleManager, "PurchaseRevealed")
+                .withArgs(community.address, value, nonce);
+            expect(await saleManager.getPhaseContribution(SALE_PHASES.PUBLIC, community.address)).to.equal(value);
+        });
+    });
+});
@@ -0,0 +1,255 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
+const {
+    COMMIT_REVEAL_ABI,
+    COMMITMENT_STATUS,
+    COMMITMENT_STATES,
+    computeCommitment,
+    saveCommitment,
+    loadCommitment,
+    findCommitDuration,
+    getCommitmentState,
+    commitPurchase,
+    watchCommitment
+} = require("../utils/commit-reveal");
+const { generateAllocationWhitelist, generateAllocationProof } = require("../utils/allocation-whitelist");
+
+describe("Stage 3: Commit-Reveal Purchase Client Tests", function () {
+    let karmaToken, saleManager, client;
+    let admin, buyer, other;
+    let dir, saltDir, endTime;
+
+    const value = ethers.parseEther("1");
+
+    const now = async () => (await ethers.provider.getBlock("latest")).timestamp;
+    const advance = async (seconds) => {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine", []);
+    };
+
+    beforeEach(async function () {
+        [admin, buyer, other] = await ethers.getSigners();
+
+        const KarmaToken = await ethers.getContractFactory("MockKarmaToken");
+        karmaToken = await KarmaToken.deploy(admin.address);
+        await karmaToken.waitForDeployment();
+
+        // Public sale tokens are minted straight to the buyer, so the vault is never called
+        const SaleManager = await getSaleManagerFactory(ethers);
+        saleManager = await SaleManager.deploy(await karmaToken.getAddress(), admin.address, admin.address, admin.address);
+        await saleManager.waitForDeployment();
+        await karmaToken.grantRole(await karmaToken.MINTER_ROLE(), await saleManager.getAddress());
+
+        const configureTime = (await now()) + 3600;
+        await saleManager.configurePrivateSale(configureTime, ethers.ZeroHash);
+        await saleManager.configurePreSale(configureTime, ethers.ZeroHash);
+
+        const startTime = (await now()) + 60;
+        endTime = startTime + 7200;
+        await saleManager.startSalePhase(3, {
+            price: ethers.parseEther("0.05"),
+            minPurchase: 0,
+            maxPurchase: ethers.parseEther("10"),
+            hardCap: ethers.parseEther("1000"),
+            tokenAllocation: ethers.parseEther("1000000"),
+            startTime,
+            endTime,
+            whitelistRequired: false,
+            kycRequired: false,
+            merkleRoot: ethers.ZeroHash
+        });
+        await advance(60);
+
+        client = new ethers.Contract(await saleManager.getAddress(), COMMIT_REVEAL_ABI, buyer);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-reveal-"));
+        saltDir = path.join(dir, "salts");
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("Commitments", function () {
+        it("Should compute the commitment exactly as revealPurchase does", async function () {
+            const nonce = 123456789n;
+            await saleManager.connect(buyer).enableFrontRunningProtection(300, 60);
+            await saleManager.connect(buyer).commitPurchase(computeCommitment(buyer.address, value, nonce));
+            await advance(60);
+
+            await expect(saleManager.connect(buyer).revealPurchase([], nonce + 1n, { value }))
+                .to.be.revertedWith("SaleManager: invalid commitment");
+            await expect(saleManager.connect(buyer).revealPurchase([], nonce, { value }))
+                .to.emit(saleManager, "PurchaseRevealed")
+                .withArgs(buyer.address, value, nonce);
+        });
+
+        it("Should store the nonce for its owner only before revealing", async function () {
+            await saleManager.connect(buyer).enableFrontRunningProtection(300, 120);
+            const { file, record } = await commitPurchase(client, { value, saltDir });
+
+            expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+            expect(fs.statSync(saltDir).mode & 0o777).to.equal(0o700);
+            expect(record).to.include({ status: COMMITMENT_STATUS.COMMITTED, phase: 3, commitDuration: 120, expiresAt: endTime });
+            expect(record.revealAfter).to.equal(record.committedAt + 120);
+
+            const stored = loadCommitment(file);
+            expect(stored.nonce).to.equal(record.nonce);
+            expect(stored.commitment).to.equal(computeCommitment(buyer.address, value, stored.nonce));
+
+            await expect(commitPurchase(client, { value, saltDir })).to.be.rejectedWith("already has an unrevealed commitment");
+            fs.chmodSync(file, 0o644);
+            expect(() => loadCommitment(file)).to.throw("accessible to other users");
+        });
+
+        it("Should refuse to commit without front-running protection", async function () {
+            await expect(commitPurchase(client.connect(other), { value, saltDir }))
+                .to.be.rejectedWith("Front-running protection is not enabled");
+            expect(fs.existsSync(saltDir)).to.be.false;
+        });
+
+        it("Should refuse a commitment the reveal would reject", async function () {
+            await saleManager.connect(buyer).enableFrontRunningProtection(300, 60);
+
+            await expect(commitPurchase(client, { value: ethers.parseEther("11"), saltDir }))
+                .to.be.rejectedWith("Purchase value must be between");
+            expect(fs.existsSync(saltDir)).to.be.false;
+        });
+
+        it("Should tighten an existing salt directory", async function () {
+            fs.mkdirSync(saltDir, { mode: 0o755 });
+            fs.chmodSync(saltDir, 0o755);
+            await saleManager.connect(buyer).enableFrontRunningProtection(300, 60);
+
+            const { file } = await commitPurchase(client, { value, saltDir });
+
+            expect(fs.statSync(saltDir).mode & 0o777).to.equal(0o700);
+            expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+        });
+
+        it("Should read events in block windows from the given block", async function () {
+            await saleManager.connect(buyer).enableFrontRunningProtection(300, 90);
+            const enabledAt = await ethers.provider.getBlockNumber();
+
+            expect(await findCommitDuration(client, buyer.address, { blockRange: 1 })).to.equal(90);
+            expect(await findCommitDuration(client, buyer.address, { fromBlock: enabledAt + 1, blockRange: 1 })).to.equal(null);
+        });
+    });
+
+    describe("Reveal Window", function () {
+        it("Should report waiting, revealable, expiring and expired states", async function () {
+            const record = { status: COMMITMENT_STATUS.COMMITTED, revealAfter: 1000, expiresAt: 5000 };
+
+            expect(getCommitmentState(record, 900)).to.include({ state: COMMITMENT_STATES.WAITING, revealIn: 100 });
+            expect(getCommitmentState(record, 1000).state).to.equal(COMMITMENT_STATES.REVEALABLE);
+            expect(getCommitmentState(record, 4500, { warnBefore: 600 })).to.include({ state: COMMITMENT_STATES.EXPIRING, expiresIn: 500 });
+            expect(getCommitmentState(record, 5001).state).to.equal(COMMITMENT_STATES.EXPIRED);
+            expect(getCommitmentState({ ...record, status: COMMITMENT_STATUS.REVEALED }, 5001).state).to.equal(COMMITMENT_STATES.REVEALED);
+        });
+
+        it("Should wait for the reveal window and reveal automatically", async function () {
+            await saleManager.connect(buyer).enableFrontRunningProtection(300, 120);
+            const { file, record } = await commitPurchase(client, { value, saltDir });
+            const logs = [];
+
+            const revealed = await watchCommitment(client, file, { pollInterval: 30000, sleep: (ms) => advance(ms / 1000), log: (line) => logs.push(line) });
+
+            expect(revealed.status).to.equal(COMMITMENT_STATUS.REVEALED);
+            expect(revealed.revealedAt).to.be.at.least(record.revealAfter);
+            expect(loadCommitment(file).revealTx).to.equal(revealed.revealTx);
+            expect(await karmaToken.balanceOf(buyer.address)).to.equal(await saleManager.calculateTokenAmount(value));
+            expect(logs[0]).to.match(/Reveal opens in \d+s/);
+        });
+
+        it("Should warn before expiry and give up once the phase ends", async function () {
+            await saleManager.connect(buyer).enableFrontRunningProtection(300, 120);
+            const { file } = await commitPurchase(client, { value, saltDir });
+            await advance(endTime - (await now()) - 300);
+            await saleManager.emergencyPause();
+            const logs = [];
+
+            await expect(watchCommitment(client, file, { pollInterval: 200000, sleep: () => advance(200), log: (line) => logs.push(line) }))
+                .to.be.rejectedWith("expired unrevealed");
+
+            expect(logs[0]).to.match(/is unrevealed and expires in \d+s/);
+            expect(logs.some(line => line.startsWith("⚠️  Reveal failed"))).to.be.true;
+            expect(loadCommitment(file).status).to.equal(COMMITMENT_STATUS.EXPIRED);
+        });
+
+        it("Should stop on a revert that retrying cannot fix", async function () {
+            await saleManager.connect(buyer).enableFrontRunningProtection(300, 60);
+            const { file, record } = await commitPurchase(client, { value, saltDir });
+            const nonce = record.nonce + 1n;
+            saveCommitment(file, { ...record, nonce, commitment: computeCommitment(buyer.address, value, nonce) });
+            let sleeps = 0;
+
+            await expect(watchCommitment(client, file, { pollInterval: 60000, sleep: () => { sleeps++; return advance(60); } }))
+                .to.be.rejectedWith("cannot succeed: SaleManager: invalid commitment");
+            expect(sleeps).to.equal(1);
+            expect(loadCommitment(file).status).to.equal(COMMITMENT_STATUS.COMMITTED);
+        });
+
+        it("Should finish a reveal that was mined but not saved", async function () {
+            await saleManager.connect(buyer).enableFrontRunningProtection(300, 60);
+            const { file, record } = await commitPurchase(client, { value, saltDir });
+            await advance(60);
+            const tx = await client.revealPurchase([], record.nonce, { value });
+            const logs = [];
+
+            const revealed = await watchCommitment(client, file, { log: (line) => logs.push(line) });
+
+            expect(revealed).to.include({ status: COMMITMENT_STATUS.REVEALED, revealTx: tx.hash });
+            expect(loadCommitment(file).status).to.equal(COMMITMENT_STATUS.REVEALED);
+            expect(logs).to.deep.equal([`✅ Already revealed in ${tx.hash}`]);
+            expect(await karmaToken.balanceOf(buyer.address)).to.equal(await saleManager.calculateTokenAmount(value));
+        });
+    });
+
+    describe("Allocation Whitelists", function () {
+        it("Should check the allocation before committing and reveal with the stored tier and cap", async function () {
+            const whitelist = generateAllocationWhitelist([
+                { address: buyer.address, tier: "COMMUNITY", maxContribution: ethers.parseEther("2"), phase: "PUBLIC" }
+            ]);
+            await saleManager.grantRole(await saleManager.WHITELIST_MANAGER_ROLE(), admin.address);
+            await saleManager.updateAllocationWhitelist(3, whitelist.PUBLIC.root);
+            const { tier, maxContribution, proof: merkleProof } = generateAllocationProof(whitelist.PUBLIC.tree, buyer.address);
+            const allocation = { tier, maxContribution };
+            await saleManager.connect(buyer).enableFrontRunningProtection(300, 60);
+
+            await expect(commitPurchase(client, { value, saltDir, merkleProof }))
+                .to.be.rejectedWith("uses an allocation whitelist");
+            await expect(commitPurchase(client, { value: ethers.parseEther("3"), saltDir, merkleProof, allocation }))
+                .to.be.rejectedWith("above their");
+            await expect(commitPurchase(client, { value, saltDir, merkleProof, allocation: { tier, maxContribution: ethers.parseEther("5") } }))
+                .to.be.rejectedWith("is not whitelisted for phase 3");
+
+            const { file } = await commitPurchase(client, { value, saltDir, merkleProof, allocation });
+            expect(loadCommitment(file)).to.include({ tier, maxContribution: BigInt(maxContribution) });
+
+            const revealed = await watchCommitment(client, file, { merkleProof, sleep: (ms) => advance(ms / 1000) });
+
+            expect(revealed.status).to.equal(COMMITMENT_STATUS.REVEALED);
+            expect(await saleManager.getPhaseContribution(3, buyer.address)).to.equal(value);
+            expect(await karmaToken.balanceOf(buyer.address)).to.equal(await saleManager.calculateTokenAmount(value));
+        });
+
+        it("Should stop when the allocation is used up before the reveal", async function () {
+            const whitelist = generateAllocationWhitelist([
+                { address: buyer.address, tier: "COMMUNITY", maxContribution: ethers.parseEther("1.5"), phase: "PUBLIC" }
+            ]);
+            await saleManager.grantRole(await saleManager.WHITELIST_MANAGER_ROLE(), admin.address);
+            await saleManager.updateAllocationWhitelist(3, whitelist.PUBLIC.root);
+            const { tier, maxContribution, proof: merkleProof } = generateAllocationProof(whitelist.PUBLIC.tree, buyer.address);
+            await saleManager.connect(buyer).enableFrontRunningProtection(300, 60);
+
+            const { file } = await commitPurchase(client, { value, saltDir, merkleProof, allocation: { tier, maxContribution } });
+            await saleManager.connect(buyer).purchaseTokensWithAllocation(tier, maxContribution, merkleProof, { value });
+
+            await expect(watchCommitment(client, file, { merkleProof, sleep: (ms) => advance(ms / 1000) }))
+                .to.be.rejectedWith("cannot succeed: SaleManager: above allocation");
+        });
+    });
+});
@@ -0,0 +1,39 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { validateWhitelistConfig } = require("../utils/merkle-helpers");
+
+describe("Stage 3: Merkle Helper Tests", function () {
+    describe("Whitelist Validation", function () {
+        it("Should report every bad entry and the size limit together", async function () {
+            const [alice, bob] = await ethers.getSigners();
+
+            const validation = validateWhitelistConfig({ maxWhitelistSize: 3 }, [
+                { address: alice.address, tier: "PARTNER" },
+                { address: "0x1234" },
+                { tier: "COMMUNITY" },
+                { address: alice.address.toLowerCase() },
+                { address: bob.address }
+            ]);
+
+            expect(validation.valid).to.be.false;
+            expect(validation.errors).to.deep.equal([
+                "Entry 2: invalid address format 0x1234",
+                "Entry 3: missing address",
+                "Whitelist size (5) exceeds maximum (3)"
+            ]);
+            expect(validation.warnings).to.deep.equal([`Entry 4: duplicate of entry 1 (${alice.address.toLowerCase()})`]);
+            expect(validation.stats).to.deep.equal({
+                totalParticipants: 5,
+                uniqueAddresses: 2,
+                tierBreakdown: { PARTNER: 1, PUBLIC: 3, COMMUNITY: 1 }
+            });
+        });
+
+        it("Should accept a clean list and reject an empty one", async function () {
+            const [alice] = await ethers.getSigners();
+
+            expect(validateWhitelistConfig({}, [{ address: alice.address }])).to.include({ valid: true });
+            expect(validateWhitelistConfig({}, []).errors).to.deep.equal(["Participant list cannot be empty"]);
+        });
+    });
+});
@@ -0,0 +1,163 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
+const {
+    loadWhitelistSnapshot,
+    resolvePhase,
+    buildProofIndex,
+    syncLiveRoots,
+    createProofServer
+} = require("../utils/proof-server");
+
+describe("Stage 3: Merkle Proof Server Tests", function () {
+    let saleManager;
+    let admin, whitelistManager, partner, community, member, outsider;
+    let dir, index, server, baseUrl;
+
+    const get = async (url) => {
+        const response = await fetch(`${baseUrl}${url}`);
+        return { status: response.status, body: await response.json(), cors: response.headers.get("access-control-allow-origin") };
+    };
+
+    beforeEach(async function () {
+        [admin, whitelistManager, partner, community, member, outsider] = await ethers.getSigners();
+
+        // Only the whitelist is exercised, so any non-zero addresses do for token, vault and treasury
+        const SaleManager = await getSaleManagerFactory(ethers);
+        saleManager = await SaleManager.deploy(admin.address, admin.address, admin.address, admin.address);
+        await saleManager.waitForDeployment();
+        const WHITELIST_MANAGER_ROLE = await saleManager.WHITELIST_MANAGER_ROLE();
+        await saleManager.grantRole(WHITELIST_MANAGER_ROLE, whitelistManager.address);
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "proof-server-"));
+        fs.writeFileSync(path.join(dir, "partners.json"), JSON.stringify([
+            { address: partner.address, tier: "PARTNER", row: 2 }
+        ]));
+        fs.writeFileSync(path.join(dir, "snapshot.json"), JSON.stringify({
+            version: "2026-10-01",
+            phases: {
+                PRIVATE: "partners.json",
+                pre_sale: [
+                    { address: community.address.toLowerCase(), tier: "COMMUNITY" },
+                    { address: member.address, tier: "COMMUNITY" },
+                    { address: partner.address, tier: "COMMUNITY" }
+                ]
+            }
+        }));
+
+        index = buildProofIndex(loadWhitelistSnapshot(path.join(dir, "snapshot.json")));
+        server = createProofServer(index);
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("Snapshots", function () {
+        it("Should resolve phase names and SalePhase values", async function () {
+            expect(resolvePhase("pre_sale")).to.equal("PRE_SALE");
+            expect(resolvePhase(1)).to.equal("PRIVATE");
+            expect(resolvePhase("INACTIVE")).to.equal(null);
+        });
+
+        it("Should reject unknown phases and addresses listed in two tiers of a phase", async function () {
+            expect(() => buildProofIndex({ phases: { LAUNCH: [] } })).to.throw("Unknown sale phase LAUNCH");
+            expect(() => buildProofIndex({
+                phases: { PRE_SALE: [{ address: member.address, tier: "PARTNER" }, { address: member.address, tier: "PUBLIC" }] }
+            })).to.throw("is listed in tiers PARTNER and PUBLIC");
+        });
+    });
+
+    describe("Endpoints", function () {
+        it("Should return tier, proof and root that SaleManager accepts", async function () {
+            const communityRoot = index.phases.PRE_SALE.roots.COMMUNITY.root;
+            await saleManager.connect(whitelistManager).updateWhitelist(2, communityRoot);
+            await syncLiveRoots(index, saleManager);
+
+            const { status, body, cors } = await get(`/proof/PRE_SALE/${community.address}`);
+            expect(status).to.equal(200);
+            expect(cors).to.equal("*");
+            expect(body).to.include({ phase: "PRE_SALE", address: community.address, tier: "COMMUNITY", root: communityRoot });
+
+            const { body: roots } = await get("/root/pre_sale");
+            expect(roots).to.deep.equal({
+                phase: "PRE_SALE",
+                version: "2026-10-01",
+                liveRoot: communityRoot,
+                roots: { COMMUNITY: { root: communityRoot, count: 3, live: true } }
+            });
+
+            expect(await saleManager.verifyWhitelist(community.address, 2, body.proof)).to.be.true;
+            expect(await saleManager.verifyWhitelist(outsider.address, 2, body.proof)).to.be.false;
+        });
+
+        it("Should serve each phase from its own tree", async function () {
+            await saleManager.connect(whitelistManager).updateWhitelist(1, index.phases.PRIVATE.roots.PARTNER.root);
+            await saleManager.connect(whitelistManager).updateWhitelist(2, index.phases.PRE_SALE.roots.COMMUNITY.root);
+            await syncLiveRoots(index, saleManager);
+
+            const { body: privateProof } = await get(`/proof/1/${partner.address.toLowerCase()}`);
+            const { body: preSaleProof } = await get(`/proof/PRE_SALE/${partner.address}`);
+            expect(privateProof).to.include({ phase: "PRIVATE", address: partner.address, tier: "PARTNER" });
+            expect(preSaleProof.tier).to.equal("COMMUNITY");
+            expect(privateProof.root).to.not.equal(preSaleProof.root);
+            expect(await saleManager.verifyWhitelist(partner.address, 1, privateProof.proof)).to.be.true;
+            expect(await saleManager.verifyWhitelist(partner.address, 2, preSaleProof.proof)).to.be.true;
+
+            const { body } = await get("/roots");
+            expect(Object.keys(body.phases)).to.deep.equal(["PRIVATE", "PRE_SALE"]);
+            expect(body.phases.PRIVATE.roots.PARTNER).to.include({ root: privateProof.root, live: true });
+        });
+
+        it("Should refuse proofs from a tier whose root is not live", async function () {
+            const communityRoot = index.phases.PRE_SALE.roots.COMMUNITY.root;
+            expect(await get(`/proof/PRE_SALE/${member.address}`)).to.deep.include({
+                status: 503,
+                body: { error: "The on-chain roots have not been read yet" }
+            });
+
+            // The phase still holds the root of another whitelist
+            const staleRoot = index.phases.PRIVATE.roots.PARTNER.root;
+            await saleManager.connect(whitelistManager).updateWhitelist(2, staleRoot);
+            await syncLiveRoots(index, saleManager);
+            const { status, body } = await get(`/proof/PRE_SALE/${member.address}`);
+            expect(status).to.equal(409);
+            expect(body).to.deep.equal({
+                error: "The COMMUNITY root of PRE_SALE is not live on SaleManager, so its proofs would not verify",
+                tier: "COMMUNITY",
+                root: communityRoot,
+                liveRoot: staleRoot
+            });
+            expect((await get("/root/PRE_SALE")).body.roots.COMMUNITY.live).to.be.false;
+
+            // Rotating the root on-chain makes the tier servable after the next refresh
+            await saleManager.connect(whitelistManager).updateWhitelist(2, communityRoot);
+            expect((await get(`/proof/PRE_SALE/${member.address}`)).status).to.equal(409);
+            await syncLiveRoots(index, saleManager);
+            expect((await get(`/proof/PRE_SALE/${member.address}`)).status).to.equal(200);
+        });
+
+        it("Should answer errors with a status and message", async function () {
+            expect(await get(`/proof/PRE_SALE/${outsider.address.toLowerCase()}`)).to.deep.include({
+                status: 404,
+                body: { error: `${outsider.address} is not whitelisted for PRE_SALE` }
+            });
+            expect((await get("/proof/PRE_SALE/0x1234")).status).to.equal(400);
+            expect(await get("/proof/PRE_SALE/%E0%A4%A")).to.deep.include({
+                status: 400,
+                body: { error: "Malformed URL /proof/PRE_SALE/%E0%A4%A" }
+            });
+            expect((await get(`/proof/PUBLIC/${member.address}`)).body).to.deep.equal({ error: "No whitelist for phase PUBLIC" });
+            expect((await get("/whitelist.json")).status).to.equal(404);
+
+            const response = await fetch(`${baseUrl}/roots`, { method: "POST" });
+            expect(response.status).to.equal(405);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
+const { generateTieredWhitelist, generateMerkleProof } = require("../utils/merkle-helpers");
+const { FRESH_PROOF_REASONS, getTierRoots, diffWhitelistVersions, planRootRotation } = require("../utils/root-rotation");
+const { generateAllocationTree, generateAllocationProof, getAllocationRoot } = require("../utils/allocation-whitelist");
+
+describe("Stage 3: Whitelist Root Rotation Tests", function () {
+    let saleManager;
+    let admin, whitelistManager, alice, bob, carol, dave;
+    let previous, next, startTime;
+
+    const PRIVATE = 1;
+    const PRE_SALE = 2;
+
+    const phaseConfig = () => saleManager.getPhaseConfig(PRE_SALE);
+    const now = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+    beforeEach(async function () {
+        [admin, whitelistManager, alice, bob, carol, dave] = await ethers.getSigners();
+
+        // Only the whitelist is exercised, so any non-zero addresses do for token, vault and treasury
+        const SaleManager = await getSaleManagerFactory(ethers);
+        saleManager = await SaleManager.deploy(admin.address, admin.address, admin.address, admin.address);
+        await saleManager.waitForDeployment();
+        const WHITELIST_MANAGER_ROLE = await saleManager.WHITELIST_MANAGER_ROLE();
+        await saleManager.grantRole(WHITELIST_MANAGER_ROLE, whitelistManager.address);
+
+        previous = [
+            { address: alice.address, tier: "COMMUNITY" },
+            { address: bob.address, tier: "COMMUNITY" },
+            { address: carol.address, tier: "PARTNER" }
+        ];
+        next = [
+            { address: alice.address.toLowerCase(), tier: "COMMUNITY" },
+            { address: carol.address, tier: "COMMUNITY" },
+            { address: dave.address, tier: "COMMUNITY" }
+        ];
+
+        startTime = (await now()) + 3600;
+        await saleManager.configurePrivateSale(startTime, ethers.ZeroHash);
+        await saleManager.configurePreSale(startTime, getTierRoots(previous).COMMUNITY.root);
+    });
+
+    describe("Diff", function () {
+        it("Should list added, removed and re-tiered participants", async function () {
+            const diff = diffWhitelistVersions(previous, next);
+
+            expect(diff.added).to.deep.equal([{ address: dave.address, tier: "COMMUNITY" }]);
+            expect(diff.removed).to.deep.equal([{ address: bob.address, tier: "COMMUNITY" }]);
+            expect(diff.tierChanged).to.deep.equal([{ address: carol.address, from: "PARTNER", to: "COMMUNITY" }]);
+            expect(diff.unchanged).to.equal(1);
+        });
+
+        it("Should compute tier roots from exportWhitelistData", async function () {
+            const roots = getTierRoots(next);
+            const whitelist = generateTieredWhitelist({}, next);
+
+            expect(roots).to.deep.equal({ COMMUNITY: { root: whitelist.COMMUNITY.root, count: 3 } });
+            expect(getTierRoots([])).to.deep.equal({});
+        });
+    });
+
+    describe("Planning", function () {
+        it("Should mark every participant of a changed tier for a fresh proof", async function () {
+            const plan = planRootRotation(previous, next, { phase: "PRE_SALE", phaseConfig: await phaseConfig(), now: await now() });
+
+            expect(plan.rotationTier).to.equal("COMMUNITY");
+            expect(plan.tiers.PARTNER).to.include({ oldCount: 1, newCount: 0, newRoot: null, changed: true });
+            expect(plan.freshProofs).to.deep.equal([
+                { address: alice.address, tier: "COMMUNITY", reason: FRESH_PROOF_REASONS.ROOT_CHANGED, onChain: true },
+                { address: carol.address, tier: "COMMUNITY", reason: FRESH_PROOF_REASONS.TIER_CHANGED, onChain: true },
+                { address: dave.address, tier: "COMMUNITY", reason: FRESH_PROOF_REASONS.ADDED, onChain: true }
+            ]);
+        });
+
+        it("Should rotate a phase that has not started with configurePreSale", async function () {
+            const plan = planRootRotation(previous, next, { phase: PRE_SALE, phaseConfig: await phaseConfig(), now: await now() });
+            const tree = generateTieredWhitelist({}, next).COMMUNITY.tree;
+
+            expect(plan.transaction).to.include({ method: "configurePreSale", role: "SALE_MANAGER_ROLE" });
+            expect(plan.transaction.args).to.deep.equal([String(startTime), plan.newRoot]);
+
+            await admin.sendTransaction({ to: await saleManager.getAddress(), data: plan.transaction.data });
+            const config = await phaseConfig();
+            expect(config.merkleRoot).to.equal(plan.newRoot);
+            expect(config.startTime).to.equal(BigInt(startTime));
+            expect(await saleManager.verifyWhitelist(dave.address, PRE_SALE, generateMerkleProof(tree, dave.address))).to.be.true;
+            expect(await saleManager.verifyWhitelist(bob.address, PRE_SALE, [])).to.be.false;
+        });
+
+        it("Should rotate a running phase with updateWhitelist", async function () {
+            await ethers.provider.send("evm_increaseTime", [7200]);
+            await ethers.provider.send("evm_mine", []);
+
+            const plan = planRootRotation(previous, next, { phase: "PRE_SALE", phaseConfig: await phaseConfig(), now: await now() });
+            expect(plan.transaction).to.include({ method: "updateWhitelist", role: "WHITELIST_MANAGER_ROLE" });
+            expect(plan.warnings.some(warning => warning.includes("has started"))).to.be.true;
+
+            await whitelistManager.sendTransaction({ to: await saleManager.getAddress(), data: plan.transaction.data });
+            expect((await phaseConfig()).merkleRoot).to.equal(plan.newRoot);
+
+            const again = planRootRotation(next, next, { phase: "PRE_SALE", phaseConfig: await phaseConfig(), now: await now() });
+            expect(again.transaction).to.equal(null);
+            expect(again.freshProofs).to.deep.equal([]);
+        });
+
+        it("Should not emit a transaction for the public sale or guess an unknown tier", async function () {
+            const publicPlan = planRootRotation(previous, next, {
+                phase: "PUBLIC",
+                phaseConfig: await saleManager.getPhaseConfig(3),
+                now: await now(),
+                tier: "COMMUNITY"
+            });
+            expect(publicPlan.transaction).to.equal(null);
+            expect(publicPlan.warnings[publicPlan.warnings.length - 1]).to.include("configurePublicSale always clears the root");
+
+            const twoTiers = [...next, { address: bob.address, tier: "PARTNER" }];
+            const privateConfig = await saleManager.getPhaseConfig(PRIVATE);
+            expect(() => planRootRotation(previous, twoTiers, { phase: "PRIVATE", phaseConfig: privateConfig, now: 0 }))
+                .to.throw("Cannot tell which tier's root PRIVATE uses");
+            expect(() => planRootRotation(previous, [...next, { address: dave.address, tier: "PARTNER" }], { phase: "PRE_SALE", phaseConfig: privateConfig }))
+                .to.throw("is listed in tiers COMMUNITY and PARTNER");
+        });
+
+        it("Should rotate an allocation phase with updateAllocationWhitelist", async function () {
+            const withCaps = (participants, cap) => participants.map(participant => ({ ...participant, maxContribution: ethers.parseEther(cap).toString() }));
+            const live = withCaps(previous, "5");
+            const liveRoot = getAllocationRoot(generateAllocationTree(live.map(participant => ({ ...participant, phase: "PRE_SALE" }))));
+            await saleManager.connect(whitelistManager).updateAllocationWhitelist(PRE_SALE, liveRoot);
+            const nextCaps = [...withCaps(next.slice(0, 2), "5"), ...withCaps(next.slice(2), "1")];
+            nextCaps[0].maxContribution = ethers.parseEther("8").toString();
+
+            const config = await phaseConfig();
+            expect(() => planRootRotation(live, next, { phase: "PRE_SALE", phaseConfig: config, allocationWhitelist: true }))
+                .to.throw("has no maxContribution");
+            const plan = planRootRotation(live, nextCaps, { phase: "PRE_SALE", phaseConfig: config, allocationWhitelist: true, tier: "COMMUNITY" });
+
+            expect(plan).to.include({ allocationWhitelist: true, currentRoot: liveRoot, rotationTier: null });
+            expect(plan.diff.capChanged).to.deep.equal([{ address: alice.address, from: ethers.parseEther("5").toString(), to: ethers.parseEther("8").toString() }]);
+            expect(plan.freshProofs.map(entry => entry.reason)).to.deep.equal([
+                FRESH_PROOF_REASONS.CAP_CHANGED,
+                FRESH_PROOF_REASONS.TIER_CHANGED,
+                FRESH_PROOF_REASONS.ADDED
+            ]);
+            expect(plan.transaction).to.include({ method: "updateAllocationWhitelist", role: "WHITELIST_MANAGER_ROLE" });
+            expect(plan.warnings[0]).to.include("tier COMMUNITY is ignored");
+
+            await whitelistManager.sendTransaction({ to: await saleManager.getAddress(), data: plan.transaction.data });
+            expect(await saleManager.isAllocationWhitelist(PRE_SALE)).to.be.true;
+            expect((await phaseConfig()).merkleRoot).to.equal(plan.newRoot);
+            const newTree = generateAllocationTree(nextCaps.map(participant => ({ ...participant, phase: "PRE_SALE" })));
+            const { tier, maxContribution, proof } = generateAllocationProof(newTree, dave.address);
+            expect(await saleManager.verifyWhitelistAllocation(dave.address, PRE_SALE, tier, maxContribution, proof)).to.be.true;
+        });
+    });
+});
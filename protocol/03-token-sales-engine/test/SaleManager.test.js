@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
 
 describe("SaleManager (Stage 3.2)", function () {
     let karmaToken, vestingVault, saleManager;
@@ -27,7 +28,7 @@ describe("SaleManager (Stage 3.2)", function () {
         await vestingVault.waitForDeployment();
         
         // Deploy SaleManager
-        const SaleManager = await ethers.getContractFactory("SaleManager");
+        const SaleManager = await getSaleManagerFactory(ethers);
         saleManager = await SaleManager.deploy(
             await karmaToken.getAddress(),
             await vestingVault.getAddress(),
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 const { generateMerkleTree, generateMerkleProof } = require("../utils/merkle-helpers");
 
@@ -26,7 +27,7 @@ describe("Stage 3.1: SaleManager Core Architecture Tests", function () {
         await vestingVault.waitForDeployment();
         
         // Deploy SaleManager
-        const SaleManager = await ethers.getContractFactory("SaleManager");
+        const SaleManager = await getSaleManagerFactory(ethers);
         saleManager = await SaleManager.deploy(
             await karmaToken.getAddress(),
             await vestingVault.getAddress(),
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 const { generateMerkleTree, generateMerkleProof } = require("../utils/merkle-helpers");
 const priceCalculator = require("../utils/price-calculator");
@@ -21,7 +22,7 @@ describe("Stage 3.2: Sale Phase Implementations Tests", function () {
         vestingVault = await VestingVault.deploy(await karmaToken.getAddress());
         await vestingVault.waitForDeployment();
         
-        const SaleManager = await ethers.getContractFactory("SaleManager");
+        const SaleManager = await getSaleManagerFactory(ethers);
         saleManager = await SaleManager.deploy(
             await karmaToken.getAddress(),
             await vestingVault.getAddress(),
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { getSaleManagerFactory } = require("../utils/sale-manager-factory");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("Stage 3.3: Revenue and Fund Management Tests", function () {
@@ -24,7 +25,7 @@ describe("Stage 3.3: Revenue and Fund Management Tests", function () {
         treasury = await Treasury.deploy();
         await treasury.waitForDeployment();
         
-        const SaleManager = await ethers.getContractFactory("SaleManager");
+        const SaleManager = await getSaleManagerFactory(ethers);
         saleManager = await SaleManager.deploy(
             await karmaToken.getAddress(),
             await vestingVault.getAddress(),
@@ -0,0 +1,221 @@
+/**
+ * Allocation Whitelist Utilities
+ * Stage 3: Token Sales Engine
+ *
+ * Whitelist mode whose leaves carry each participant's tier and contribution
+ * cap. A leaf is the ABI encoding of (address, tier, maxContribution, phase),
+ * hashed twice. Trees are OpenZeppelin StandardMerkleTree instances, so the
+ * leaf encoding always matches SaleManager.verifyWhitelistAllocation, and
+ * they are passed around as StandardMerkleTree dumps so they can be saved
+ * and loaded as JSON.
+ */
+
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const { ethers } = require("ethers");
+
+// ============ CONSTANTS ============
+
+// Leaf layout: (participant, tier, maxContribution in wei, sale phase)
+const ALLOCATION_LEAF_ENCODING = ["address", "uint8", "uint256", "uint8"];
+
+const TREE_FORMAT = "standard-v1";
+
+// Tier indexes, in the order of whitelistManagement.tiers in stage3.2-config.json
+const WHITELIST_TIERS = ["PARTNER", "COMMUNITY", "PUBLIC"];
+
+// ISaleManager.SalePhase values that take a whitelist
+const SALE_PHASES = {
+    PRIVATE: 1,
+    PRE_SALE: 2,
+    PUBLIC: 3
+};
+
+// ============ LEAVES ============
+
+/**
+ * Resolve a tier name or index
+ * @param {string|number} tier - Tier name (e.g. "PARTNER") or index
+ * @returns {number} Tier index
+ */
+function toTierIndex(tier) {
+    const index = typeof tier === "number" ? tier : WHITELIST_TIERS.indexOf(String(tier).trim().toUpperCase());
+    if (!Number.isInteger(index) || index < 0 || index > 255) {
+        throw new Error(`Unknown whitelist tier ${tier} (expected one of ${WHITELIST_TIERS.join(", ")})`);
+    }
+    return index;
+}
+
+/**
+ * Resolve a sale phase name or value
+ * @param {string|number} phase - Phase name (e.g. "PRE_SALE") or SalePhase value
+ * @returns {number} SalePhase value
+ */
+function toPhaseValue(phase) {
+    const value = typeof phase === "number" ? phase : SALE_PHASES[String(phase).trim().toUpperCase()];
+    if (!Object.values(SALE_PHASES).includes(value)) {
+        throw new Error(`Unknown sale phase ${phase} (expected one of ${Object.keys(SALE_PHASES).join(", ")})`);
+    }
+    return value;
+}
+
+/**
+ * Build the leaf values for a participant
+ * @param {Object} participant - { address, tier, maxContribution (wei), phase }
+ * @returns {Array} [address, tier, maxContribution, phase] as stored in the tree
+ */
+function toAllocationLeaf({ address, tier, maxContribution, phase }) {
+    if (!ethers.isAddress(address)) {
+        throw new Error(`Invalid address ${address}`);
+    }
+    const cap = BigInt(maxContribution);
+    if (cap <= 0n) {
+        throw new Error(`Max contribution for ${address} must be positive`);
+    }
+    return [ethers.getAddress(address), toTierIndex(tier), cap.toString(), toPhaseValue(phase)];
+}
+
+/**
+ * Hash a leaf the way StandardMerkleTree and SaleManager do
+ * @param {Array} leaf - From toAllocationLeaf
+ * @returns {string} keccak256(bytes.concat(keccak256(abi.encode(leaf))))
+ */
+function hashAllocationLeaf(leaf) {
+    return StandardMerkleTree.of([leaf], ALLOCATION_LEAF_ENCODING).leafHash(leaf);
+}
+
+/**
+ * Load a tree dump
+ * @param {Object} tree - From generateAllocationTree
+ * @returns {StandardMerkleTree} Loaded tree
+ */
+function loadAllocationTree(tree) {
+    if (!tree || tree.format !== TREE_FORMAT) {
+        throw new Error(`Expected a ${TREE_FORMAT} allocation tree`);
+    }
+    return StandardMerkleTree.load(tree);
+}
+
+// ============ TREES ============
+
+/**
+ * Generate an allocation tree for one sale phase
+ * @param {Array} participants - { address, tier, maxContribution, phase } entries, all in the same phase
+ * @returns {Object} StandardMerkleTree dump: { format, leafEncoding, tree, values: [{ value, treeIndex }] }
+ */
+function generateAllocationTree(participants) {
+    if (!participants || participants.length === 0) {
+        throw new Error("Participant list cannot be empty");
+    }
+
+    const leaves = participants.map(toAllocationLeaf);
+    const phases = new Set(leaves.map(leaf => leaf[3]));
+    if (phases.size > 1) {
+        throw new Error("An allocation tree covers one sale phase; use generateAllocationWhitelist for several");
+    }
+    const seen = new Set();
+    for (const [address] of leaves) {
+        if (seen.has(address)) {
+            throw new Error(`${address} is listed more than once`);
+        }
+        seen.add(address);
+    }
+
+    return StandardMerkleTree.of(leaves, ALLOCATION_LEAF_ENCODING).dump();
+}
+
+/**
+ * Generate one allocation tree per sale phase
+ * @param {Array} participants - { address, tier, maxContribution, phase } entries
+ * @returns {Object} Phase name to { root, count, tree }
+ */
+function generateAllocationWhitelist(participants) {
+    const byPhase = {};
+    for (const participant of participants) {
+        const phase = Object.keys(SALE_PHASES).find(name => SALE_PHASES[name] === toPhaseValue(participant.phase));
+        (byPhase[phase] = byPhase[phase] || []).push(participant);
+    }
+
+    const whitelist = {};
+    for (const [phase, entries] of Object.entries(byPhase)) {
+        const tree = generateAllocationTree(entries);
+        whitelist[phase] = { root: getAllocationRoot(tree), count: entries.length, tree };
+    }
+    return whitelist;
+}
+
+/**
+ * Merkle root of an allocation tree
+ * @param {Object} tree - From generateAllocationTree
+ * @returns {string} bytes32 root
+ */
+function getAllocationRoot(tree) {
+    return loadAllocationTree(tree).root;
+}
+
+// ============ PROOFS ============
+
+/**
+ * Generate the proof for an address
+ * @param {Object} tree - From generateAllocationTree
+ * @param {string} address - Participant address
+ * @returns {Object|null} { address, tier, maxContribution, phase, leaf, proof }, or null if the address is not listed
+ */
+function generateAllocationProof(tree, address) {
+    if (!tree || !address) {
+        throw new Error("Tree and address are required");
+    }
+    const merkleTree = loadAllocationTree(tree);
+
+    const normalized = ethers.getAddress(address);
+    for (const [index, value] of merkleTree.entries()) {
+        if (value[0] !== normalized) continue;
+
+        const [participant, tier, maxContribution, phase] = value;
+        return {
+            address: participant,
+            tier,
+            maxContribution,
+            phase,
+            leaf: merkleTree.leafHash(value),
+            proof: merkleTree.getProof(index)
+        };
+    }
+    return null;
+}
+
+/**
+ * Verify a proof off-chain
+ * @param {string[]} proof - Proof hashes
+ * @param {Object} participant - { address, tier, maxContribution, phase }
+ * @param {string} root - Merkle root
+ * @returns {boolean} True if the participant's leaf is in the tree
+ */
+function verifyAllocationProof(proof, participant, root) {
+    if (!proof || !participant || !root) {
+        return false;
+    }
+
+    try {
+        return StandardMerkleTree.verify(root, ALLOCATION_LEAF_ENCODING, toAllocationLeaf(participant), proof);
+    } catch (error) {
+        return false;
+    }
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    ALLOCATION_LEAF_ENCODING,
+    WHITELIST_TIERS,
+    SALE_PHASES,
+    toTierIndex,
+    toPhaseValue,
+    toAllocationLeaf,
+    hashAllocationLeaf,
+    loadAllocationTree,
+    generateAllocationTree,
+    generateAllocationWhitelist,
+    getAllocationRoot,
+    generateAllocationProof,
+    verifyAllocationProof
+};
@@ -0,0 +1,583 @@
+/**
+ * Commit-Reveal Purchase Client
+ * Stage 3: Token Sales Engine
+ *
+ * Client side of SaleManager's front-running protection. A purchase is
+ * committed as keccak256(abi.encodePacked(buyer, value, nonce)) and revealed
+ * with the same value and nonce once the buyer's commit duration (60 to
+ * 3600 seconds, set with enableFrontRunningProtection) has passed.
+ *
+ * The nonce is the only secret: losing it strands the commitment, since
+ * SaleManager keeps one per buyer and has no way to cancel it. Each
+ * commitment is written to its own file (mode 0600, in a 0700 directory)
+ * before the commit transaction is sent. Commitments do not expire
+ * on-chain, but revealPurchase only runs while a phase is active and buys at
+ * the price of whichever phase that is, so the client treats the end of the
+ * phase it committed in as the deadline.
+ *
+ * In a phase with an allocation whitelist (isAllocationWhitelist), leaves
+ * carry the buyer's tier and contribution cap, and the reveal goes through
+ * revealPurchaseWithAllocation. The tier and cap are saved with the nonce so
+ * the reveal can send them.
+ *
+ * Events are read in blockRange windows from a given block (the SaleManager
+ * deployment block), since RPC providers cap the range of a log query.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// ============ CONSTANTS ============
+
+const COMMIT_REVEAL_ABI = [
+    "function enableFrontRunningProtection(uint256 maxPriceImpact, uint256 commitDuration)",
+    "function commitPurchase(bytes32 commitment)",
+    "function revealPurchase(bytes32[] merkleProof, uint256 nonce) payable",
+    "function revealPurchaseWithAllocation(uint8 tier, uint256 maxContribution, bytes32[] merkleProof, uint256 nonce) payable",
+    "function verifyWhitelist(address participant, uint8 phase, bytes32[] merkleProof) view returns (bool)",
+    "function isAllocationWhitelist(uint8 phase) view returns (bool)",
+    "function verifyWhitelistAllocation(address participant, uint8 phase, uint8 tier, uint256 maxContribution, bytes32[] merkleProof) view returns (bool)",
+    "function getPhaseContribution(uint8 phase, address participant) view returns (uint256)",
+    "function currentPhase() view returns (uint8)",
+    "function getPhaseConfig(uint8 phase) view returns (tuple(uint256 price, uint256 minPurchase, uint256 maxPurchase, uint256 hardCap, uint256 tokenAllocation, uint256 startTime, uint256 endTime, bool whitelistRequired, bool kycRequired, bytes32 merkleRoot))",
+    "event FrontRunningProtectionEnabled(address participant, uint256 maxPriceImpact, uint256 commitDuration)",
+    "event PurchaseCommitted(address participant, bytes32 commitment)",
+    "event PurchaseRevealed(address participant, uint256 amount, uint256 nonce)"
+];
+
+// enableFrontRunningProtection bounds, in seconds
+const COMMIT_DURATION = {
+    MIN: 60,
+    MAX: 3600
+};
+
+const COMMITMENT_STATUS = {
+    PENDING: "pending",       // Salt saved, commit transaction not yet mined
+    COMMITTED: "committed",
+    REVEALED: "revealed",
+    EXPIRED: "expired"
+};
+
+// What getCommitmentState reports for a stored commitment
+const COMMITMENT_STATES = {
+    WAITING: "waiting",       // Commit duration still running
+    REVEALABLE: "revealable",
+    EXPIRING: "expiring",     // Revealable, but the phase ends within the warning window
+    EXPIRED: "expired",
+    REVEALED: "revealed"
+};
+
+// revealPurchase and revealPurchaseWithAllocation reverts that retrying cannot fix
+const PERMANENT_REVEAL_FAILURES = [
+    "SaleManager: protection not enabled",
+    "SaleManager: no commitment",
+    "SaleManager: invalid commitment",
+    "SaleManager: not whitelisted",
+    "SaleManager: allocation proof required",
+    "SaleManager: no allocation whitelist",
+    "SaleManager: above allocation",
+    "SaleManager: KYC not approved",
+    "SaleManager: not accredited investor",
+    "SaleManager: below minimum purchase",
+    "SaleManager: above maximum purchase",
+    "SaleManager: phase hard cap exceeded",
+    "SaleManager: token allocation exceeded"
+];
+
+// Selector of Error(string), the encoding of require reasons
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+const DEFAULT_EXPIRY_WARNING = 600;
+const DEFAULT_POLL_INTERVAL = 15000;
+const DEFAULT_BLOCK_RANGE = 2000;
+
+const SALT_FILE_MODE = 0o600;
+const SALT_DIR_MODE = 0o700;
+const RECORD_VERSION = 1;
+
+// ============ COMMITMENTS ============
+
+/**
+ * Random 256-bit nonce
+ * @returns {bigint} Nonce
+ */
+function generateNonce() {
+    return BigInt(`0x${crypto.randomBytes(32).toString("hex")}`);
+}
+
+/**
+ * Commitment hash exactly as SaleManager.revealPurchase recomputes it
+ * @param {string} participant - Buyer address (msg.sender)
+ * @param {bigint} value - Wei sent with the reveal (msg.value)
+ * @param {bigint} nonce - Secret nonce
+ * @returns {string} keccak256(abi.encodePacked(participant, value, nonce))
+ */
+function computeCommitment(participant, value, nonce) {
+    return ethers.solidityPackedKeccak256(["address", "uint256", "uint256"], [participant, value, nonce]);
+}
+
+// ============ SALT STORAGE ============
+
+/**
+ * File holding a buyer's commitment; SaleManager allows one per buyer
+ * @param {string} dir - Salt directory
+ * @param {Object} key - { chainId, saleManager, participant }
+ * @returns {string} File path
+ */
+function getSaltPath(dir, { chainId, saleManager, participant }) {
+    return path.join(dir, `${chainId}-${saleManager.toLowerCase()}-${participant.toLowerCase()}.json`);
+}
+
+/**
+ * Write a commitment record readable by its owner only
+ * @param {string} file - From getSaltPath
+ * @param {Object} record - Commitment record
+ */
+function saveCommitment(file, record) {
+    // mkdirSync only applies the mode to directories it creates
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: SALT_DIR_MODE });
+    fs.chmodSync(path.dirname(file), SALT_DIR_MODE);
+    const json = JSON.stringify(record, (key, item) => (typeof item === "bigint" ? item.toString() : item), 2);
+
+    // Write then rename, so a crash never leaves a half-written salt
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, `${json}\n`, { mode: SALT_FILE_MODE });
+    fs.chmodSync(temporary, SALT_FILE_MODE);
+    fs.renameSync(temporary, file);
+    fs.chmodSync(file, SALT_FILE_MODE);
+}
+
+/**
+ * Read a commitment record
+ * @param {string} file - From getSaltPath
+ * @returns {Object} Record with value, nonce and any maxContribution as bigints
+ * @throws {Error} When other users can read the file
+ */
+function loadCommitment(file) {
+    if (process.platform !== "win32" && (fs.statSync(file).mode & 0o077) !== 0) {
+        throw new Error(`${file} is accessible to other users; run chmod 600 on it`);
+    }
+    const record = JSON.parse(fs.readFileSync(file, "utf8"));
+    const loaded = { ...record, value: BigInt(record.value), nonce: BigInt(record.nonce) };
+    if (record.maxContribution !== undefined) loaded.maxContribution = BigInt(record.maxContribution);
+    return loaded;
+}
+
+/**
+ * Every commitment file in a salt directory
+ * @param {string} dir - Salt directory
+ * @returns {Array<string>} File paths
+ */
+function listCommitments(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith(".json"))
+        .map(name => path.join(dir, name));
+}
+
+// ============ EVENTS ============
+
+/**
+ * Read SaleManager events in blockRange windows
+ * @param {Contract} saleManager - SaleManager with COMMIT_REVEAL_ABI
+ * @param {Object} filter - Contract event filter
+ * @param {Object} options - { fromBlock, toBlock, blockRange }
+ * @returns {Promise<Array<Object>>} Events in chain order
+ */
+async function queryEvents(saleManager, filter, { fromBlock = 0, toBlock, blockRange = DEFAULT_BLOCK_RANGE } = {}) {
+    const last = toBlock ?? await saleManager.runner.provider.getBlockNumber();
+    const events = [];
+    for (let from = fromBlock; from <= last; from += blockRange) {
+        events.push(...await saleManager.queryFilter(filter, from, Math.min(from + blockRange - 1, last)));
+    }
+    return events;
+}
+
+/**
+ * Latest commit duration a buyer set with enableFrontRunningProtection
+ * @param {Contract} saleManager - SaleManager with COMMIT_REVEAL_ABI
+ * @param {string} participant - Buyer address
+ * @param {Object} options - { fromBlock, blockRange }
+ * @returns {Promise<number|null>} Seconds, or null if protection was never enabled
+ */
+async function findCommitDuration(saleManager, participant, { fromBlock = 0, blockRange } = {}) {
+    // The event's participant is not indexed, so every enable is read and filtered here
+    const events = await queryEvents(saleManager, saleManager.filters.FrontRunningProtectionEnabled(), { fromBlock, blockRange });
+    const own = events.filter(event => event.args.participant.toLowerCase() === participant.toLowerCase());
+    return own.length === 0 ? null : Number(own[own.length - 1].args.commitDuration);
+}
+
+/**
+ * Complete a pending record whose commit transaction was mined after the
+ * client stopped waiting for it
+ * @param {Contract} saleManager - SaleManager with COMMIT_REVEAL_ABI
+ * @param {string} file - Commitment file
+ * @param {Object} options - { fromBlock, blockRange }
+ * @returns {Promise<Object>} The record, committed if its PurchaseCommitted event was found
+ */
+async function confirmPendingCommitment(saleManager, file, { fromBlock = 0, blockRange } = {}) {
+    const record = loadCommitment(file);
+    if (record.status !== COMMITMENT_STATUS.PENDING) return record;
+
+    const events = await queryEvents(saleManager, saleManager.filters.PurchaseCommitted(), { fromBlock, blockRange });
+    const event = events.find(({ args }) =>
+        args.participant.toLowerCase() === record.participant.toLowerCase() && args.commitment === record.commitment
+    );
+    if (!event) return record;
+
+    const block = await saleManager.runner.provider.getBlock(event.blockNumber);
+    const committed = {
+        ...record,
+        status: COMMITMENT_STATUS.COMMITTED,
+        commitTx: event.transactionHash,
+        commitBlock: event.blockNumber,
+        committedAt: block.timestamp,
+        revealAfter: block.timestamp + record.commitDuration
+    };
+    saveCommitment(file, committed);
+    return committed;
+}
+
+/**
+ * Complete a committed record whose reveal was mined but never saved
+ * @param {Contract} saleManager - SaleManager with COMMIT_REVEAL_ABI
+ * @param {string} file - Commitment file
+ * @param {Object} options - { fromBlock, blockRange }; the search starts at the commit block when the record has one
+ * @returns {Promise<Object|null>} The revealed record, or null if no PurchaseRevealed event matches
+ */
+async function confirmRevealedCommitment(saleManager, file, { fromBlock = 0, blockRange } = {}) {
+    const record = loadCommitment(file);
+    const events = await queryEvents(saleManager, saleManager.filters.PurchaseRevealed(), {
+        fromBlock: record.commitBlock ?? fromBlock,
+        blockRange
+    });
+    const event = events.find(({ args }) =>
+        args.participant.toLowerCase() === record.participant.toLowerCase() &&
+        args.amount === record.value &&
+        args.nonce === record.nonce
+    );
+    if (!event) return null;
+
+    const block = await saleManager.runner.provider.getBlock(event.blockNumber);
+    const revealed = { ...record, status: COMMITMENT_STATUS.REVEALED, revealTx: event.transactionHash, revealedAt: block.timestamp };
+    saveCommitment(file, revealed);
+    return revealed;
+}
+
+// ============ STATE ============
+
+/**
+ * Where a commitment stands at a given time
+ * @param {Object} record - From loadCommitment
+ * @param {number} now - Block timestamp in seconds
+ * @param {Object} options - { warnBefore } seconds before expiry to report EXPIRING
+ * @returns {Object} { state, revealIn, expiresIn }
+ */
+function getCommitmentState(record, now, { warnBefore = DEFAULT_EXPIRY_WARNING } = {}) {
+    const expiresIn = record.expiresAt - now;
+    if (record.status === COMMITMENT_STATUS.REVEALED) {
+        return { state: COMMITMENT_STATES.REVEALED, revealIn: 0, expiresIn };
+    }
+    if (record.status === COMMITMENT_STATUS.EXPIRED || expiresIn < 0) {
+        return { state: COMMITMENT_STATES.EXPIRED, revealIn: 0, expiresIn };
+    }
+    if (record.status === COMMITMENT_STATUS.PENDING || now < record.revealAfter) {
+        const revealIn = record.status === COMMITMENT_STATUS.PENDING ? record.commitDuration : record.revealAfter - now;
+        return { state: COMMITMENT_STATES.WAITING, revealIn, expiresIn };
+    }
+    const state = expiresIn <= warnBefore ? COMMITMENT_STATES.EXPIRING : COMMITMENT_STATES.REVEALABLE;
+    return { state, revealIn: 0, expiresIn };
+}
+
+// ============ TRANSACTIONS ============
+
+/**
+ * Commit to a purchase, saving the nonce before the transaction is sent
+ * @param {Contract} saleManager - SaleManager with COMMIT_REVEAL_ABI, connected to the buyer
+ * @param {Object} options - { value, saltDir, commitDuration, merkleProof, allocation, nonce, fromBlock, blockRange }
+ *   value: wei the reveal will send
+ *   commitDuration: the buyer's commit duration (default: read from FrontRunningProtectionEnabled)
+ *   merkleProof: whitelist proof the reveal will send, checked before committing
+ *   allocation: { tier, maxContribution } of the buyer's leaf, required when the phase has an allocation whitelist
+ * @returns {Promise<Object>} { file, record }
+ */
+async function commitPurchase(saleManager, {
+    value,
+    saltDir,
+    commitDuration,
+    merkleProof = [],
+    allocation,
+    nonce = generateNonce(),
+    fromBlock,
+    blockRange
+} = {}) {
+    const runner = saleManager.runner;
+    const participant = await runner.getAddress();
+    const { chainId } = await runner.provider.getNetwork();
+    const saleManagerAddress = await saleManager.getAddress();
+    const amount = BigInt(value);
+    if (amount <= 0n) {
+        throw new Error("Purchase value must be positive");
+    }
+
+    const file = getSaltPath(saltDir, { chainId, saleManager: saleManagerAddress, participant });
+    if (fs.existsSync(file)) {
+        const existing = loadCommitment(file);
+        if (existing.status === COMMITMENT_STATUS.PENDING || existing.status === COMMITMENT_STATUS.COMMITTED) {
+            throw new Error(`${participant} already has an unrevealed commitment (${file})`);
+        }
+    }
+
+    const duration = commitDuration ?? await findCommitDuration(saleManager, participant, { fromBlock, blockRange });
+    if (duration === null) {
+        throw new Error(`Front-running protection is not enabled for ${participant}; call enableFrontRunningProtection first`);
+    }
+
+    const phase = Number(await saleManager.currentPhase());
+    const config = await saleManager.getPhaseConfig(phase);
+    const latest = await runner.provider.getBlock("latest");
+    if (phase < 1 || phase > 3 || Number(config.endTime) < latest.timestamp) {
+        throw new Error("No sale phase is running; a commitment can only be revealed during a phase");
+    }
+    if (latest.timestamp + duration > Number(config.endTime)) {
+        throw new Error(`The ${duration}s commit duration would end after the phase ends at ${config.endTime}`);
+    }
+
+    // A commitment that cannot be revealed would strand the buyer's only commitment slot
+    if (amount < config.minPurchase || amount > config.maxPurchase) {
+        throw new Error(`Purchase value must be between ${config.minPurchase} and ${config.maxPurchase} wei in phase ${phase}`);
+    }
+    const allocationPhase = await saleManager.isAllocationWhitelist(phase);
+    if (allocationPhase) {
+        if (!allocation) {
+            throw new Error(`Phase ${phase} uses an allocation whitelist; pass the tier and maxContribution of the proof`);
+        }
+        const { tier, maxContribution } = allocation;
+        if (!await saleManager.verifyWhitelistAllocation(participant, phase, tier, maxContribution, merkleProof)) {
+            throw new Error(`${participant} is not whitelisted for phase ${phase} with tier ${tier}, cap ${maxContribution} wei and the given proof`);
+        }
+        const contributed = await saleManager.getPhaseContribution(phase, participant);
+        if (contributed + amount > BigInt(maxContribution)) {
+            throw new Error(`Purchase value would take ${participant} above their ${maxContribution} wei allocation (${contributed} wei contributed)`);
+        }
+    } else if (config.whitelistRequired && !await saleManager.verifyWhitelist(participant, phase, merkleProof)) {
+        throw new Error(`${participant} is not whitelisted for phase ${phase} with the given proof`);
+    }
+
+    const record = {
+        version: RECORD_VERSION,
+        chainId: chainId.toString(),
+        saleManager: saleManagerAddress,
+        participant,
+        phase,
+        value: amount,
+        nonce: BigInt(nonce),
+        commitment: computeCommitment(participant, amount, BigInt(nonce)),
+        commitDuration: duration,
+        expiresAt: Number(config.endTime),
+        status: COMMITMENT_STATUS.PENDING,
+        createdAt: latest.timestamp
+    };
+    if (allocationPhase) {
+        record.tier = Number(allocation.tier);
+        record.maxContribution = BigInt(allocation.maxContribution);
+    }
+    saveCommitment(file, record);
+
+    let receipt;
+    try {
+        const tx = await saleManager.commitPurchase(record.commitment);
+        receipt = await tx.wait();
+    } catch (error) {
+        // Only forget the nonce when the commitment is certainly not on-chain
+        if (!error.receipt || error.receipt.status === 0) fs.rmSync(file, { force: true });
+        throw error;
+    }
+
+    const block = await runner.provider.getBlock(receipt.blockNumber);
+    Object.assign(record, {
+        status: COMMITMENT_STATUS.COMMITTED,
+        commitTx: receipt.hash,
+        commitBlock: receipt.blockNumber,
+        committedAt: block.timestamp,
+        revealAfter: block.timestamp + duration
+    });
+    saveCommitment(file, record);
+    return { file, record };
+}
+
+/**
+ * Reveal function and arguments for the whitelist the current phase uses
+ * @param {Contract} saleManager - SaleManager with COMMIT_REVEAL_ABI
+ * @param {Object} record - From loadCommitment
+ * @param {string[]} merkleProof - Whitelist proof for the current phase
+ * @returns {Promise<Object>} { method, args } to call with the record's value
+ * @throws {Error} When the phase has an allocation whitelist and the record has no tier and cap
+ */
+async function getRevealCall(saleManager, record, merkleProof) {
+    const phase = Number(await saleManager.currentPhase());
+    if (!await saleManager.isAllocationWhitelist(phase)) {
+        return { method: saleManager.revealPurchase, args: [merkleProof, record.nonce] };
+    }
+    if (record.maxContribution === undefined) {
+        throw new Error(`Phase ${phase} uses an allocation whitelist, but commitment ${record.commitment} has no tier and maxContribution`);
+    }
+    return {
+        method: saleManager.revealPurchaseWithAllocation,
+        args: [record.tier, record.maxContribution, merkleProof, record.nonce]
+    };
+}
+
+/**
+ * Reveal a stored commitment, executing the purchase
+ * @param {Contract} saleManager - SaleManager with COMMIT_REVEAL_ABI, connected to the buyer
+ * @param {string} file - Commitment file
+ * @param {Object} options - { merkleProof } whitelist proof for the current phase
+ * @returns {Promise<Object>} Updated record
+ */
+async function revealPurchase(saleManager, file, { merkleProof = [] } = {}) {
+    const record = loadCommitment(file);
+    if (record.status !== COMMITMENT_STATUS.COMMITTED) {
+        throw new Error(`Commitment in ${file} is ${record.status}, not committed`);
+    }
+    if (computeCommitment(record.participant, record.value, record.nonce) !== record.commitment) {
+        throw new Error(`Commitment in ${file} does not match its value and nonce`);
+    }
+
+    const { method, args } = await getRevealCall(saleManager, record, merkleProof);
+    const tx = await method(...args, { value: record.value });
+    const receipt = await tx.wait();
+    const block = await saleManager.runner.provider.getBlock(receipt.blockNumber);
+
+    const revealed = { ...record, status: COMMITMENT_STATUS.REVEALED, revealTx: receipt.hash, revealedAt: block.timestamp };
+    saveCommitment(file, revealed);
+    return revealed;
+}
+
+/**
+ * Revert reason of a failed call
+ * @param {Error} error - Error thrown by the call
+ * @returns {string|null} require reason, or null for other failures
+ */
+function getRevertReason(error) {
+    if (error.reason) return error.reason;
+
+    // Providers that do not decode the revert leave the raw Error(string) data
+    const data = error.data ?? error.info?.error?.data;
+    if (typeof data === "string" && data.startsWith(ERROR_STRING_SELECTOR)) {
+        return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0];
+    }
+    return null;
+}
+
+/**
+ * Find why a reveal fails, if retrying cannot fix it
+ * @param {Contract} saleManager - SaleManager with COMMIT_REVEAL_ABI, connected to the buyer
+ * @param {Object} record - From loadCommitment
+ * @param {Object} options - { merkleProof }
+ * @returns {Promise<string|null>} Revert reason, or null when the reveal may still succeed
+ */
+async function getPermanentRevealFailure(saleManager, record, { merkleProof = [] } = {}) {
+    const { method, args } = await getRevealCall(saleManager, record, merkleProof);
+    try {
+        await method.staticCall(...args, { value: record.value });
+        return null;
+    } catch (error) {
+        const reason = getRevertReason(error);
+        return PERMANENT_REVEAL_FAILURES.includes(reason) ? reason : null;
+    }
+}
+
+/**
+ * Wait for the reveal window and reveal, warning if the phase is about to end
+ * @param {Contract} saleManager - SaleManager with COMMIT_REVEAL_ABI, connected to the buyer
+ * @param {string} file - Commitment file
+ * @param {Object} options - { merkleProof, warnBefore, pollInterval, fromBlock, blockRange, sleep, log }
+ *   warnBefore: seconds before expiry at which to warn (default 600)
+ *   pollInterval: most milliseconds between checks (default 15000)
+ * @returns {Promise<Object>} Revealed record
+ * @throws {Error} If the phase ends before the reveal succeeds, or the reveal reverts for a reason retrying cannot fix
+ */
+async function watchCommitment(saleManager, file, {
+    merkleProof = [],
+    warnBefore = DEFAULT_EXPIRY_WARNING,
+    pollInterval = DEFAULT_POLL_INTERVAL,
+    fromBlock = 0,
+    blockRange,
+    sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+    log = () => {}
+} = {}) {
+    let warned = false;
+    for (;;) {
+        const record = await confirmPendingCommitment(saleManager, file, { fromBlock, blockRange });
+        const { timestamp } = await saleManager.runner.provider.getBlock("latest");
+        const { state, revealIn, expiresIn } = getCommitmentState(record, timestamp, { warnBefore });
+
+        if (state === COMMITMENT_STATES.REVEALED) {
+            return record;
+        }
+        if (state === COMMITMENT_STATES.EXPIRED) {
+            saveCommitment(file, { ...record, status: COMMITMENT_STATUS.EXPIRED });
+            throw new Error(`Commitment ${record.commitment} expired unrevealed when phase ${record.phase} ended at ${record.expiresAt}`);
+        }
+        if (state === COMMITMENT_STATES.WAITING) {
+            log(record.status === COMMITMENT_STATUS.PENDING ? "⏳ Commit transaction not confirmed yet" : `⏳ Reveal opens in ${revealIn}s`);
+            await sleep(Math.min(pollInterval, revealIn * 1000));
+            continue;
+        }
+
+        if (state === COMMITMENT_STATES.EXPIRING && !warned) {
+            log(`⚠️  Commitment ${record.commitment} is unrevealed and expires in ${expiresIn}s`);
+            warned = true;
+        }
+        try {
+            const revealed = await revealPurchase(saleManager, file, { merkleProof });
+            log(`✅ Revealed in ${revealed.revealTx}`);
+            return revealed;
+        } catch (error) {
+            // An earlier reveal may have been mined without the record being saved
+            const revealed = await confirmRevealedCommitment(saleManager, file, { fromBlock, blockRange });
+            if (revealed) {
+                log(`✅ Already revealed in ${revealed.revealTx}`);
+                return revealed;
+            }
+
+            const reason = await getPermanentRevealFailure(saleManager, record, { merkleProof });
+            if (reason) {
+                throw new Error(`Reveal of ${record.commitment} cannot succeed: ${reason}`);
+            }
+            log(`⚠️  Reveal failed, retrying: ${error.shortMessage || error.message}`);
+            await sleep(pollInterval);
+        }
+    }
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    COMMIT_REVEAL_ABI,
+    COMMIT_DURATION,
+    COMMITMENT_STATUS,
+    COMMITMENT_STATES,
+    DEFAULT_EXPIRY_WARNING,
+    DEFAULT_BLOCK_RANGE,
+    PERMANENT_REVEAL_FAILURES,
+    generateNonce,
+    computeCommitment,
+    getSaltPath,
+    saveCommitment,
+    loadCommitment,
+    listCommitments,
+    queryEvents,
+    findCommitDuration,
+    confirmPendingCommitment,
+    confirmRevealedCommitment,
+    getCommitmentState,
+    commitPurchase,
+    getRevealCall,
+    revealPurchase,
+    getPermanentRevealFailure,
+    watchCommitment
+};
@@ -2,11 +2,14 @@
  * Merkle Tree Helper Utilities
  * Stage 3: Token Sales Engine
  * 
- * Utilities for generating and managing Merkle trees for whitelist verification
+ * Utilities for generating and managing Merkle trees for whitelist verification.
+ * Address-only leaves; see allocation-whitelist.js for leaves that carry a
+ * tier and contribution cap.
  */
 
 const { MerkleTree } = require('merkletreejs');
 const keccak256 = require('keccak256');
+const { parse: parseCsv } = require('csv-parse/sync');
 
 /**
  * Generate a Merkle tree from a list of addresses
@@ -128,6 +131,8 @@ function batchGenerateProofs(tree, addresses) {
 
 /**
  * Validate whitelist configuration
+ * Every problem is reported: each bad entry gets its own error, and the
+ * size limit is checked as well.
  * @param {Object} config - Whitelist configuration
  * @param {Array} participants - Array of participants
  * @returns {Object} Validation result
@@ -139,46 +144,40 @@ function validateWhitelistConfig(config, participants) {
         warnings: [],
         stats: {}
     };
+    const entries = participants || [];
     
-    // Validate participants
-    if (!participants || participants.length === 0) {
-        validation.valid = false;
+    if (entries.length === 0) {
         validation.errors.push("Participant list cannot be empty");
-        return validation;
     }
     
-    // Check for duplicate addresses
-    const addresses = participants.map(p => p.address.toLowerCase());
-    const uniqueAddresses = new Set(addresses);
-    if (addresses.length !== uniqueAddresses.size) {
-        validation.warnings.push("Duplicate addresses found in whitelist");
-    }
-    
-    // Validate address format
-    const invalidAddresses = participants.filter(p => 
-        !p.address || !/^0x[a-fA-F0-9]{40}$/.test(p.address)
-    );
-    if (invalidAddresses.length > 0) {
-        validation.valid = false;
-        validation.errors.push(`Invalid address format for ${invalidAddresses.length} entries`);
-    }
-    
-    // Check whitelist size limits
-    if (config.maxWhitelistSize && participants.length > config.maxWhitelistSize) {
-        validation.valid = false;
-        validation.errors.push(`Whitelist size (${participants.length}) exceeds maximum (${config.maxWhitelistSize})`);
-    }
-    
-    // Tier validation
+    // Check each entry's address and note repeats
+    const firstEntry = new Map();
     const tierCounts = {};
-    participants.forEach(p => {
-        const tier = p.tier || 'PUBLIC';
+    entries.forEach((participant, index) => {
+        const address = participant && participant.address;
+        if (!address) {
+            validation.errors.push(`Entry ${index + 1}: missing address`);
+        } else if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+            validation.errors.push(`Entry ${index + 1}: invalid address format ${address}`);
+        } else if (firstEntry.has(address.toLowerCase())) {
+            validation.warnings.push(`Entry ${index + 1}: duplicate of entry ${firstEntry.get(address.toLowerCase()) + 1} (${address})`);
+        } else {
+            firstEntry.set(address.toLowerCase(), index);
+        }
+        
+        const tier = (participant && participant.tier) || 'PUBLIC';
         tierCounts[tier] = (tierCounts[tier] || 0) + 1;
     });
     
+    // Check whitelist size limits
+    if (config && config.maxWhitelistSize && entries.length > config.maxWhitelistSize) {
+        validation.errors.push(`Whitelist size (${entries.length}) exceeds maximum (${config.maxWhitelistSize})`);
+    }
+    
+    validation.valid = validation.errors.length === 0;
     validation.stats = {
-        totalParticipants: participants.length,
-        uniqueAddresses: uniqueAddresses.size,
+        totalParticipants: entries.length,
+        uniqueAddresses: firstEntry.size,
         tierBreakdown: tierCounts
     };
     
@@ -223,12 +222,15 @@ function exportWhitelistData(whitelistData, format = 'json') {
 
 /**
  * Load whitelist from CSV file
+ * Quoted fields, a BOM, CRLF line endings and padded headers are handled;
+ * rows are not validated, see utils/whitelist-ingestion.js at the repository
+ * root for checksum, tier and duplicate checks with a rejection report.
  * @param {string} csvContent - CSV file content
  * @returns {Array} Array of participant objects
  */
 function loadWhitelistFromCSV(csvContent) {
-    const lines = csvContent.trim().split('\n');
-    const headers = lines[0].toLowerCase().split(',');
+    const [header, ...rows] = parseCsv(csvContent, { bom: true, skip_empty_lines: true, relax_column_count: true });
+    const headers = header ? header.map(value => value.trim().toLowerCase()) : [];
     
     const addressIndex = headers.indexOf('address');
     const tierIndex = headers.indexOf('tier');
@@ -238,13 +240,12 @@ function loadWhitelistFromCSV(csvContent) {
     }
     
     const participants = [];
-    for (let i = 1; i < lines.length; i++) {
-        const values = lines[i].split(',');
+    for (const values of rows) {
         const participant = {
             address: values[addressIndex]?.trim()
         };
         
-        if (tierIndex !== -1 && values[tierIndex]) {
+        if (tierIndex !== -1 && values[tierIndex]?.trim()) {
             participant.tier = values[tierIndex].trim();
         }
         
@@ -0,0 +1,335 @@
+/**
+ * Merkle Proof Server
+ * Stage 3: Token Sales Engine
+ *
+ * Local HTTP service that answers whitelist proof lookups for the sale
+ * frontend, so the frontend no longer needs the whole exported whitelist.
+ * A snapshot lists the participants of each sale phase; each tier of a
+ * phase gets its tree from generateTieredWhitelist, and every proof is
+ * computed with batchGenerateProofs when the snapshot loads.
+ *
+ *   GET /proof/:phase/:address  { phase, address, tier, proof, root }
+ *   GET /root/:phase            { phase, version, liveRoot, roots: { TIER: { root, count, live } } }
+ *   GET /roots                  { version, phases: { PHASE: { liveRoot, roots } } }
+ *
+ * SaleManager holds one root per phase (getPhaseConfig(phase).merkleRoot),
+ * so a proof only verifies on-chain from the tier whose root is live. The
+ * server reads the live roots from SaleManager, re-reads them every
+ * --refresh seconds, and refuses proofs from any other tier with 409.
+ *
+ * Usage:
+ *   node utils/proof-server.js whitelist-snapshot.json --sale-manager 0x... [--rpc http://127.0.0.1:8545]
+ *        [--refresh 60] [--port 3030] [--host 127.0.0.1]
+ *
+ *   whitelist-snapshot.json:
+ *     { "version": "2026-10-01", "phases": { "PRE_SALE": [{ "address": "0x...", "tier": "COMMUNITY" }],
+ *       "PRIVATE": "partners/participants.json" } }
+ *     A phase lists { address, tier } participants, or names a JSON file of
+ *     them relative to the snapshot (e.g. participants.json from the root
+ *     ingest:whitelist command).
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { generateTieredWhitelist, batchGenerateProofs } = require("./merkle-helpers");
+const { SALE_PHASES } = require("./allocation-whitelist");
+
+// ============ CONSTANTS ============
+
+const DEFAULT_PORT = 3030;
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_RPC_URL = "http://127.0.0.1:8545";
+const DEFAULT_REFRESH_INTERVAL = 60; // seconds
+
+const PROOF_SERVER_ABI = [
+    "function getPhaseConfig(uint8 phase) view returns (tuple(uint256 price, uint256 minPurchase, uint256 maxPurchase, uint256 hardCap, uint256 tokenAllocation, uint256 startTime, uint256 endTime, bool whitelistRequired, bool kycRequired, bytes32 merkleRoot))"
+];
+
+// ============ SNAPSHOTS ============
+
+/**
+ * Load a whitelist snapshot, reading any phase given as a file
+ * @param {string} file - Snapshot JSON file
+ * @returns {Object} { version, phases: { PHASE: participants } }
+ */
+function loadWhitelistSnapshot(file) {
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!snapshot.phases || typeof snapshot.phases !== "object") {
+        throw new Error(`${file} has no "phases" object`);
+    }
+
+    const phases = {};
+    for (const [phase, participants] of Object.entries(snapshot.phases)) {
+        phases[phase] = typeof participants === "string"
+            ? JSON.parse(fs.readFileSync(path.resolve(path.dirname(file), participants), "utf8"))
+            : participants;
+    }
+    return { version: snapshot.version || null, phases };
+}
+
+/**
+ * Resolve a phase name or SalePhase value to its name
+ * @param {string|number} phase - e.g. "PRE_SALE", "pre_sale" or 2
+ * @returns {string|null} Phase name, or null for phases without a whitelist
+ */
+function resolvePhase(phase) {
+    const text = String(phase).trim().toUpperCase();
+    if (SALE_PHASES[text] !== undefined) return text;
+    return Object.keys(SALE_PHASES).find(name => String(SALE_PHASES[name]) === text) || null;
+}
+
+/**
+ * Build the trees and proofs of every phase in a snapshot
+ * @param {Object} snapshot - From loadWhitelistSnapshot
+ * @returns {Object} { version, phases: { PHASE: { roots, proofs } } } where
+ *          proofs maps a lowercase address to { address, tier, proof, root }
+ */
+function buildProofIndex(snapshot) {
+    const phases = {};
+    for (const [name, participants] of Object.entries(snapshot.phases)) {
+        const phase = resolvePhase(name);
+        if (!phase) {
+            throw new Error(`Unknown sale phase ${name} (expected one of ${Object.keys(SALE_PHASES).join(", ")})`);
+        }
+        if (phases[phase]) {
+            throw new Error(`Phase ${phase} is listed more than once`);
+        }
+
+        // A lookup returns one proof, so an address may only sit in one tier of a phase
+        const tiers = {};
+        for (const participant of participants) {
+            if (!ethers.isAddress(participant.address)) {
+                throw new Error(`${phase}: invalid address ${participant.address}`);
+            }
+            const key = participant.address.toLowerCase();
+            const tier = participant.tier || "PUBLIC";
+            if (tiers[key] && tiers[key] !== tier) {
+                throw new Error(`${phase}: ${participant.address} is listed in tiers ${tiers[key]} and ${tier}`);
+            }
+            tiers[key] = tier;
+        }
+
+        const whitelist = participants.length > 0 ? generateTieredWhitelist({}, participants) : {};
+        const roots = {};
+        const proofs = new Map();
+        for (const [tier, data] of Object.entries(whitelist)) {
+            roots[tier] = { root: data.root, count: data.count };
+            for (const [address, proof] of Object.entries(batchGenerateProofs(data.tree, data.addresses))) {
+                if (proof) {
+                    proofs.set(address, { address: ethers.getAddress(address), tier, proof, root: data.root });
+                }
+            }
+        }
+        phases[phase] = { roots, proofs };
+    }
+    return { version: snapshot.version || null, phases };
+}
+
+// ============ LIVE ROOTS ============
+
+/**
+ * Read the on-chain root of every phase in an index and store it as the
+ * phase's live root; only proofs under a live root are served
+ * @param {Object} index - From buildProofIndex
+ * @param {Object} saleManager - SaleManager contract (getPhaseConfig)
+ * @returns {Promise<Object>} { PHASE: root }
+ */
+async function syncLiveRoots(index, saleManager) {
+    const liveRoots = {};
+    for (const phase of Object.keys(index.phases)) {
+        const config = await saleManager.getPhaseConfig(SALE_PHASES[phase]);
+        liveRoots[phase] = config.merkleRoot;
+    }
+    // Swapped in one step, so a request never sees roots from two reads
+    index.liveRoots = liveRoots;
+    return liveRoots;
+}
+
+/**
+ * Tier roots of a phase, each marked live or not
+ * @returns {Object} { liveRoot, roots: { TIER: { root, count, live } } }
+ */
+function describeRoots(index, phase) {
+    const liveRoot = index.liveRoots ? index.liveRoots[phase] : null;
+    const roots = {};
+    for (const [tier, { root, count }] of Object.entries(index.phases[phase].roots)) {
+        roots[tier] = { root, count, live: root === liveRoot };
+    }
+    return { liveRoot, roots };
+}
+
+// ============ SERVER ============
+
+function sendJson(response, status, body, cors) {
+    response.writeHead(status, {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-cache",
+        ...(cors ? { "Access-Control-Allow-Origin": cors } : {})
+    });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Answer one request against a proof index
+ * @returns {Array} [status, body]
+ */
+function route(index, method, url) {
+    if (method !== "GET") {
+        return [405, { error: `${method} is not supported` }];
+    }
+
+    let segments;
+    try {
+        segments = new URL(url, "http://localhost").pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        if (error instanceof URIError) {
+            return [400, { error: `Malformed URL ${url}` }];
+        }
+        throw error;
+    }
+    const [resource, phaseParam, address] = segments;
+
+    if (resource === "roots" && segments.length === 1) {
+        const phases = {};
+        for (const phase of Object.keys(index.phases)) phases[phase] = describeRoots(index, phase);
+        return [200, { version: index.version, phases }];
+    }
+
+    if ((resource === "root" && segments.length === 2) || (resource === "proof" && segments.length === 3)) {
+        const phase = resolvePhase(phaseParam);
+        const data = phase && index.phases[phase];
+        if (!data) {
+            return [404, { error: `No whitelist for phase ${phaseParam}` }];
+        }
+        if (resource === "root") {
+            return [200, { phase, version: index.version, ...describeRoots(index, phase) }];
+        }
+
+        if (!ethers.isAddress(address)) {
+            return [400, { error: `Invalid address ${address}` }];
+        }
+        const entry = data.proofs.get(address.toLowerCase());
+        if (!entry) {
+            return [404, { error: `${ethers.getAddress(address)} is not whitelisted for ${phase}` }];
+        }
+        if (!index.liveRoots) {
+            return [503, { error: "The on-chain roots have not been read yet" }];
+        }
+        const liveRoot = index.liveRoots[phase];
+        if (entry.root !== liveRoot) {
+            return [409, {
+                error: `The ${entry.tier} root of ${phase} is not live on SaleManager, so its proofs would not verify`,
+                tier: entry.tier,
+                root: entry.root,
+                liveRoot
+            }];
+        }
+        return [200, { phase, ...entry }];
+    }
+
+    return [404, { error: "Not found" }];
+}
+
+/**
+ * Create the proof server (not yet listening)
+ * @param {Object} index - From buildProofIndex
+ * @param {Object} options - { cors } Access-Control-Allow-Origin value, false to omit (default "*")
+ * @returns {http.Server} Server to listen on
+ */
+function createProofServer(index, { cors = "*" } = {}) {
+    return http.createServer((request, response) => {
+        if (request.method === "OPTIONS") {
+            response.writeHead(204, cors ? { "Access-Control-Allow-Origin": cors, "Access-Control-Allow-Methods": "GET" } : {});
+            response.end();
+            return;
+        }
+
+        try {
+            const [status, body] = route(index, request.method, request.url);
+            sendJson(response, status, body, cors);
+        } catch (error) {
+            sendJson(response, 500, { error: error.message }, cors);
+        }
+    });
+}
+
+// ============ CLI ============
+
+async function main(argv = process.argv.slice(2)) {
+    const [file, ...rest] = argv;
+    const option = (name, fallback) => {
+        const at = rest.indexOf(`--${name}`);
+        return at === -1 || rest[at + 1] === undefined ? fallback : rest[at + 1];
+    };
+    const saleManagerAddress = option("sale-manager", null);
+    if (!file || file.startsWith("--") || !saleManagerAddress) {
+        throw new Error("Usage: proof-server.js <whitelist-snapshot.json> --sale-manager <address> " +
+            "[--rpc http://127.0.0.1:8545] [--refresh 60] [--port 3030] [--host 127.0.0.1]");
+    }
+    if (!ethers.isAddress(saleManagerAddress)) {
+        throw new Error(`Invalid SaleManager address ${saleManagerAddress}`);
+    }
+    const port = parseInt(option("port", DEFAULT_PORT), 10);
+    const host = option("host", DEFAULT_HOST);
+    const refresh = Number(option("refresh", DEFAULT_REFRESH_INTERVAL));
+    if (!(refresh > 0)) {
+        throw new Error("--refresh must be a positive number of seconds");
+    }
+
+    const provider = new ethers.JsonRpcProvider(option("rpc", DEFAULT_RPC_URL));
+    const saleManager = new ethers.Contract(saleManagerAddress, PROOF_SERVER_ABI, provider);
+    const index = buildProofIndex(loadWhitelistSnapshot(file));
+    await syncLiveRoots(index, saleManager);
+
+    const server = createProofServer(index);
+    await new Promise(resolve => server.listen(port, host, resolve));
+
+    console.log(`🌳 Merkle proof server for ${file}${index.version ? ` (version ${index.version})` : ""}`);
+    for (const phase of Object.keys(index.phases)) {
+        const { liveRoot, roots } = describeRoots(index, phase);
+        for (const [tier, { root, count, live }] of Object.entries(roots)) {
+            console.log(`   ${phase} ${tier}: ${count} addresses, root ${root}${live ? " (live)" : ""}`);
+        }
+        if (!Object.values(roots).some(({ live }) => live)) {
+            console.warn(`⚠️  No ${phase} tier matches the on-chain root ${liveRoot}; its proofs are refused`);
+        }
+    }
+
+    // A root update on SaleManager takes effect at the next refresh
+    const timer = setInterval(() => {
+        syncLiveRoots(index, saleManager).catch((error) => {
+            console.warn(`⚠️  Could not refresh the on-chain roots: ${error.message}`);
+        });
+    }, refresh * 1000);
+    server.on("close", () => clearInterval(timer));
+
+    console.log(`🚀 Listening on http://${host}:${port} (GET /proof/:phase/:address, /root/:phase, /roots)`);
+    console.log(`🔗 Live roots from SaleManager ${saleManagerAddress}, refreshed every ${refresh}s`);
+    return server;
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("❌", error.message);
+        process.exit(1);
+    });
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+    DEFAULT_RPC_URL,
+    DEFAULT_REFRESH_INTERVAL,
+    PROOF_SERVER_ABI,
+    loadWhitelistSnapshot,
+    resolvePhase,
+    buildProofIndex,
+    syncLiveRoots,
+    createProofServer,
+    main
+};
@@ -0,0 +1,360 @@
+/**
+ * Whitelist Root Rotation Utilities
+ * Stage 3: Token Sales Engine
+ *
+ * Plans the switch of a sale phase from one whitelist version to the next.
+ * Both versions are rebuilt with generateTieredWhitelist and compared
+ * through exportWhitelistData(..., 'merkle'): the plan lists who was added,
+ * removed or moved tier, which tier roots changed, which participants need
+ * fresh proofs, and the SaleManager transaction that puts the new root
+ * on-chain.
+ *
+ * SaleManager keeps one root per phase. configurePrivateSale and
+ * configurePreSale take a root but need a start time in the future, so they
+ * only rotate a phase that has not started; a running phase is rotated with
+ * updateWhitelist. configurePublicSale always clears the root, and the
+ * public sale does not check the whitelist.
+ *
+ * A phase with an allocation whitelist (isAllocationWhitelist) has one
+ * generateAllocationTree root over every tier, with each participant's
+ * maxContribution in the leaf. It is rotated with updateAllocationWhitelist,
+ * since updateWhitelist and the configure calls would switch the phase back
+ * to address leaves.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { generateTieredWhitelist, exportWhitelistData, loadWhitelistFromCSV } = require("./merkle-helpers");
+const { SALE_PHASES, generateAllocationTree, getAllocationRoot } = require("./allocation-whitelist");
+
+// ============ CONSTANTS ============
+
+const ROTATION_ABI = [
+    "function configurePrivateSale(uint256 startTime, bytes32 merkleRoot)",
+    "function configurePreSale(uint256 startTime, bytes32 merkleRoot)",
+    "function updateWhitelist(uint8 phase, bytes32 merkleRoot)",
+    "function updateAllocationWhitelist(uint8 phase, bytes32 merkleRoot)",
+    "function isAllocationWhitelist(uint8 phase) view returns (bool)",
+    "function getPhaseConfig(uint8 phase) view returns (tuple(uint256 price, uint256 minPurchase, uint256 maxPurchase, uint256 hardCap, uint256 tokenAllocation, uint256 startTime, uint256 endTime, bool whitelistRequired, bool kycRequired, bytes32 merkleRoot))"
+];
+
+// Phase configuration calls that carry a root
+const CONFIGURE_CALLS = {
+    PRIVATE: "configurePrivateSale",
+    PRE_SALE: "configurePreSale"
+};
+
+const FRESH_PROOF_REASONS = {
+    ADDED: "added",
+    TIER_CHANGED: "tier changed",
+    CAP_CHANGED: "max contribution changed",
+    ROOT_CHANGED: "tier root changed"
+};
+
+const rotationInterface = new ethers.Interface(ROTATION_ABI);
+const DEFAULT_TIER = "PUBLIC";
+
+// ============ VERSIONS ============
+
+/**
+ * Load a whitelist version
+ * @param {string} file - JSON array of { address, tier, maxContribution? } (e.g.
+ *        participants.json from the root ingest:whitelist command) or a CSV with
+ *        address and tier columns
+ * @returns {Array} Participants
+ */
+function loadWhitelistVersion(file) {
+    const content = fs.readFileSync(file, "utf8");
+    if (path.extname(file).toLowerCase() === ".csv") {
+        return loadWhitelistFromCSV(content);
+    }
+    const participants = JSON.parse(content);
+    if (!Array.isArray(participants)) {
+        throw new Error(`${file} must hold an array of { address, tier } participants`);
+    }
+    return participants;
+}
+
+/**
+ * Index a version by lowercase address
+ * @returns {Map} lowercase address to { address, tier }
+ */
+function indexVersion(participants, label) {
+    const index = new Map();
+    for (const participant of participants) {
+        if (!ethers.isAddress(participant.address)) {
+            throw new Error(`${label} version: invalid address ${participant.address}`);
+        }
+        const key = participant.address.toLowerCase();
+        const tier = participant.tier || DEFAULT_TIER;
+        const existing = index.get(key);
+        if (existing && existing.tier !== tier) {
+            throw new Error(`${label} version: ${participant.address} is listed in tiers ${existing.tier} and ${tier}`);
+        }
+        index.set(key, { address: ethers.getAddress(participant.address), tier });
+    }
+    return index;
+}
+
+/**
+ * Roots and counts per tier, as exportWhitelistData(..., 'merkle') reports them
+ * @param {Array} participants - { address, tier } entries
+ * @returns {Object} Tier to { root, count }
+ */
+function getTierRoots(participants) {
+    if (participants.length === 0) return {};
+    return JSON.parse(exportWhitelistData(generateTieredWhitelist({}, participants), "merkle"));
+}
+
+/**
+ * Compare two whitelist versions
+ * @param {Array} previous - Participants of the live version
+ * @param {Array} next - Participants of the new version
+ * @returns {Object} { added, removed, tierChanged, unchanged } with
+ *          added/removed as { address, tier } and tierChanged as { address, from, to }
+ */
+function diffWhitelistVersions(previous, next) {
+    const before = indexVersion(previous, "Previous");
+    const after = indexVersion(next, "New");
+    const diff = { added: [], removed: [], tierChanged: [], unchanged: 0 };
+
+    for (const [key, entry] of after) {
+        const old = before.get(key);
+        if (!old) {
+            diff.added.push(entry);
+        } else if (old.tier !== entry.tier) {
+            diff.tierChanged.push({ address: entry.address, from: old.tier, to: entry.tier });
+        } else {
+            diff.unchanged++;
+        }
+    }
+    for (const [key, entry] of before) {
+        if (!after.has(key)) diff.removed.push(entry);
+    }
+    return diff;
+}
+
+// ============ PLANNING ============
+
+/**
+ * Encode the SaleManager call that rotates a phase's root
+ * @param {string} method - ROTATION_ABI function name
+ * @param {Array} args - Call arguments
+ * @returns {Object} { contract, method, signature, args, data }
+ */
+function encodeRotationCall(method, args) {
+    const fragment = rotationInterface.getFunction(method);
+    return {
+        contract: "SaleManager",
+        method,
+        signature: fragment.format("sighash"),
+        args: args.map(arg => String(arg)),
+        data: rotationInterface.encodeFunctionData(fragment, args)
+    };
+}
+
+/**
+ * Allocation tree root of a version for one phase
+ * @param {Array} participants - { address, tier, maxContribution } entries
+ * @param {string} phaseName - SALE_PHASES key
+ * @param {string} label - Version name for errors
+ * @returns {string|null} Root, or null for an empty version
+ */
+function getAllocationVersionRoot(participants, phaseName, label) {
+    if (participants.length === 0) return null;
+    const leaves = participants.map(participant => {
+        if (participant.maxContribution === undefined || participant.maxContribution === "") {
+            throw new Error(`${label} version: ${participant.address} has no maxContribution, which an allocation whitelist needs`);
+        }
+        return { ...participant, tier: participant.tier || DEFAULT_TIER, phase: phaseName };
+    });
+    return getAllocationRoot(generateAllocationTree(leaves));
+}
+
+/**
+ * Plan the rotation of a phase with an allocation whitelist. Its one root
+ * covers every tier, so a new root invalidates every proof of the phase.
+ * @returns {Object} Plan as from planRootRotation, with diff.capChanged and no tiers
+ */
+function planAllocationRotation(previous, next, { phaseName, phaseConfig, tier }) {
+    const diff = diffWhitelistVersions(previous, next);
+    const caps = new Map(previous.map(participant => [participant.address.toLowerCase(), String(participant.maxContribution)]));
+    diff.capChanged = next
+        .filter(participant => caps.has(participant.address.toLowerCase()) && caps.get(participant.address.toLowerCase()) !== String(participant.maxContribution))
+        .map(participant => ({
+            address: ethers.getAddress(participant.address),
+            from: caps.get(participant.address.toLowerCase()),
+            to: String(participant.maxContribution)
+        }));
+
+    const oldRoot = getAllocationVersionRoot(previous, phaseName, "Previous");
+    const newRoot = getAllocationVersionRoot(next, phaseName, "New");
+    if (!newRoot) {
+        throw new Error("The new version has no participants; updateAllocationWhitelist rejects an empty root");
+    }
+    const currentRoot = phaseConfig.merkleRoot;
+    const warnings = [];
+    if (tier) {
+        warnings.push(`${phaseName} has one allocation root over every tier; tier ${tier} is ignored`);
+    }
+    if (oldRoot !== currentRoot) {
+        warnings.push(`Live ${phaseName} root ${currentRoot} is not the allocation root of the previous version; proofs issued for it are already invalid`);
+    }
+
+    const changedTiers = new Map(diff.tierChanged.map(entry => [entry.address.toLowerCase(), entry]));
+    const changedCaps = new Set(diff.capChanged.map(entry => entry.address.toLowerCase()));
+    const freshProofs = [];
+    if (newRoot !== oldRoot) {
+        for (const entry of indexVersion(next, "New").values()) {
+            const key = entry.address.toLowerCase();
+            let reason = FRESH_PROOF_REASONS.ROOT_CHANGED;
+            if (!caps.has(key)) reason = FRESH_PROOF_REASONS.ADDED;
+            else if (changedTiers.has(key)) reason = FRESH_PROOF_REASONS.TIER_CHANGED;
+            else if (changedCaps.has(key)) reason = FRESH_PROOF_REASONS.CAP_CHANGED;
+            freshProofs.push({ address: entry.address, tier: entry.tier, reason, onChain: true });
+        }
+    }
+
+    let transaction = null;
+    if (newRoot === currentRoot) {
+        warnings.push(`${phaseName} already uses the new allocation root; nothing to rotate on-chain`);
+    } else {
+        transaction = {
+            ...encodeRotationCall("updateAllocationWhitelist", [SALE_PHASES[phaseName], newRoot]),
+            role: "WHITELIST_MANAGER_ROLE"
+        };
+    }
+
+    return {
+        phase: phaseName,
+        allocationWhitelist: true,
+        diff,
+        tiers: {},
+        rotationTier: null,
+        currentRoot,
+        newRoot,
+        freshProofs,
+        transaction,
+        warnings
+    };
+}
+
+/**
+ * Plan a root rotation for one sale phase
+ * @param {Array} previous - Participants of the live version
+ * @param {Array} next - Participants of the new version
+ * @param {Object} options - { phase, phaseConfig, allocationWhitelist, now, tier }
+ *   phase: phase name or SalePhase value
+ *   phaseConfig: SaleManager.getPhaseConfig(phase), for the live root and start time
+ *   allocationWhitelist: SaleManager.isAllocationWhitelist(phase); the versions then need maxContribution
+ *   now: current block timestamp in seconds
+ *   tier: tier whose root the phase uses (default: the tier matching the live root)
+ * @returns {Object} { phase, allocationWhitelist, diff, tiers, rotationTier, currentRoot, newRoot, freshProofs, transaction, warnings }
+ */
+function planRootRotation(previous, next, { phase, phaseConfig, allocationWhitelist = false, now = Math.floor(Date.now() / 1000), tier } = {}) {
+    const phaseName = Object.keys(SALE_PHASES).find(name => name === String(phase).toUpperCase() || SALE_PHASES[name] === Number(phase));
+    if (!phaseName) {
+        throw new Error(`Unknown sale phase ${phase} (expected one of ${Object.keys(SALE_PHASES).join(", ")})`);
+    }
+    if (!phaseConfig) {
+        throw new Error(`The ${phaseName} phase configuration is required`);
+    }
+    if (allocationWhitelist) {
+        return planAllocationRotation(previous, next, { phaseName, phaseConfig, tier });
+    }
+
+    const diff = diffWhitelistVersions(previous, next);
+    const oldRoots = getTierRoots(previous);
+    const newRoots = getTierRoots(next);
+    const warnings = [];
+
+    const tiers = {};
+    for (const name of new Set([...Object.keys(oldRoots), ...Object.keys(newRoots)])) {
+        const oldRoot = oldRoots[name]?.root || null;
+        const newRoot = newRoots[name]?.root || null;
+        tiers[name] = {
+            oldRoot,
+            newRoot,
+            oldCount: oldRoots[name]?.count || 0,
+            newCount: newRoots[name]?.count || 0,
+            changed: oldRoot !== newRoot
+        };
+    }
+
+    // The phase's single on-chain root belongs to one tier of the live version
+    const currentRoot = phaseConfig.merkleRoot;
+    const liveTier = Object.keys(oldRoots).find(name => oldRoots[name].root === currentRoot);
+    const newTiers = Object.keys(newRoots);
+    const rotationTier = tier ? String(tier).toUpperCase() : liveTier || (newTiers.length === 1 ? newTiers[0] : undefined);
+    if (!rotationTier) {
+        throw new Error(`Cannot tell which tier's root ${phaseName} uses (live root ${currentRoot}); pass the tier`);
+    }
+    if (!newRoots[rotationTier]) {
+        throw new Error(`Tier ${rotationTier} has no participants in the new version`);
+    }
+    if (!liveTier && currentRoot !== ethers.ZeroHash) {
+        warnings.push(`Live ${phaseName} root ${currentRoot} is not a root of the previous version; proofs issued for it are already invalid`);
+    }
+    for (const [name, data] of Object.entries(tiers)) {
+        if (name !== rotationTier && data.changed) {
+            warnings.push(`Tier ${name} root changed but ${phaseName} uses the ${rotationTier} root; ${name} proofs will not verify on-chain for this phase`);
+        }
+    }
+
+    // Every proof of a tier whose root changed is invalid, not just the edited entries
+    const previousIndex = indexVersion(previous, "Previous");
+    const freshProofs = [];
+    for (const entry of indexVersion(next, "New").values()) {
+        if (!tiers[entry.tier].changed) continue;
+        const old = previousIndex.get(entry.address.toLowerCase());
+        const reason = !old ? FRESH_PROOF_REASONS.ADDED : old.tier !== entry.tier ? FRESH_PROOF_REASONS.TIER_CHANGED : FRESH_PROOF_REASONS.ROOT_CHANGED;
+        freshProofs.push({ address: entry.address, tier: entry.tier, reason, onChain: entry.tier === rotationTier });
+    }
+
+    const newRoot = newRoots[rotationTier].root;
+    let transaction = null;
+    if (phaseName === "PUBLIC") {
+        warnings.push("configurePublicSale always clears the root and the public sale does not require a whitelist; nothing to rotate on-chain");
+    } else if (newRoot === currentRoot) {
+        warnings.push(`${phaseName} already uses the new ${rotationTier} root; nothing to rotate on-chain`);
+    } else if (BigInt(phaseConfig.startTime) > BigInt(now)) {
+        transaction = {
+            ...encodeRotationCall(CONFIGURE_CALLS[phaseName], [phaseConfig.startTime, newRoot]),
+            role: "SALE_MANAGER_ROLE"
+        };
+        warnings.push(`${CONFIGURE_CALLS[phaseName]} rewrites the whole ${phaseName} configuration; the start time is kept at ${phaseConfig.startTime}`);
+    } else {
+        transaction = {
+            ...encodeRotationCall("updateWhitelist", [SALE_PHASES[phaseName], newRoot]),
+            role: "WHITELIST_MANAGER_ROLE"
+        };
+        warnings.push(`${phaseName} has started; ${CONFIGURE_CALLS[phaseName]} needs a future start time and would move the sale window, so the root is rotated with updateWhitelist`);
+    }
+
+    return {
+        phase: phaseName,
+        allocationWhitelist: false,
+        diff,
+        tiers,
+        rotationTier,
+        currentRoot,
+        newRoot,
+        freshProofs,
+        transaction,
+        warnings
+    };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    ROTATION_ABI,
+    FRESH_PROOF_REASONS,
+    loadWhitelistVersion,
+    getTierRoots,
+    diffWhitelistVersions,
+    encodeRotationCall,
+    planRootRotation
+};
@@ -0,0 +1,42 @@
+/**
+ * SaleManager Factory
+ * Stage 3: Token Sales Engine
+ *
+ * SaleManager links the AllocationWhitelist library, which holds the
+ * allocation proof and cap checks outside SaleManager's bytecode. The
+ * library has to be deployed first and its address linked into the
+ * SaleManager bytecode, so every script and test gets its SaleManager
+ * factory here.
+ */
+
+const { saveDeployment } = require("../../../utils/deployment-manifest");
+
+/**
+ * Deploy AllocationWhitelist and return a SaleManager factory linked to it
+ * @param {Object} ethers - Hardhat ethers
+ * @param {Object} options - { signer, manifest } the library is recorded in
+ *        the manifest when one is given
+ * @returns {Promise<Object>} SaleManager contract factory
+ */
+async function getSaleManagerFactory(ethers, { signer, manifest } = {}) {
+    const AllocationWhitelist = await ethers.getContractFactory("AllocationWhitelist", signer);
+    const allocationWhitelist = await AllocationWhitelist.deploy();
+    await allocationWhitelist.waitForDeployment();
+    if (manifest) {
+        await saveDeployment(manifest, "AllocationWhitelist", allocationWhitelist, {
+            contract: "AllocationWhitelist",
+            stage: 3,
+            constructorArgs: [],
+            bytecode: AllocationWhitelist.bytecode
+        });
+    }
+
+    return ethers.getContractFactory("SaleManager", {
+        signer,
+        libraries: { AllocationWhitelist: await allocationWhitelist.getAddress() }
+    });
+}
+
+module.exports = {
+    getSaleManagerFactory
+};
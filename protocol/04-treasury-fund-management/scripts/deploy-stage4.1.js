@@ -3,12 +3,11 @@
  * @dev Deployment script for Treasury Core Infrastructure development stage
  */
 
-const { ethers } = require("hardhat");
+const { ethers, network: hardhatNetwork } = require("hardhat");
 const fs = require('fs');
 const path = require('path');
-
-// Load configuration
-const config = require('../config/stage4.1-config.json');
+const { loadStageConfig } = require('../../../utils/config-loader');
+const { openManifest, saveDeployment } = require('../../../utils/deployment-manifest');
 
 async function main() {
     console.log("🚀 Deploying Karma Labs Treasury System - Stage 4.1 Core Infrastructure");
@@ -17,6 +16,7 @@ async function main() {
     // Get network information
     const network = await ethers.provider.getNetwork();
     console.log(`📊 Network: ${network.name} (Chain ID: ${network.chainId})`);
+    const manifest = openManifest(hardhatNetwork.name, network.chainId);
 
     // Get signers
     const [deployer, admin, multisigManager] = await ethers.getSigners();
@@ -24,6 +24,12 @@ async function main() {
     console.log(`👤 Admin: ${admin.address}`);
     console.log(`👤 Multisig Manager: ${multisigManager.address}`);
 
+    // Load and validate configuration; constructor placeholders come from the named signers
+    const config = loadStageConfig("4.1", {
+        signers: { deployer, admin, multisigManager },
+        values: (raw) => ({ initial_balance: raw.treasury.initialBalance })
+    });
+
     // Check deployer balance
     const deployerBalance = await ethers.provider.getBalance(deployer.address);
     console.log(`💰 Deployer balance: ${ethers.formatEther(deployerBalance)} ETH`);
@@ -40,13 +46,15 @@ async function main() {
     console.log("\n💰 Deploying Treasury Contract...");
     
     const Treasury = await ethers.getContractFactory("Treasury");
-    const treasury = await Treasury.deploy(
-        admin.address,
-        multisigManager.address,
-        config.treasury.initialBalance
-    );
+    const treasury = await Treasury.deploy(...config.contracts.Treasury.constructorArgs);
     
     await treasury.waitForDeployment();
+    await saveDeployment(manifest, "Treasury", treasury, {
+        contract: "Treasury",
+        stage: 4,
+        constructorArgs: config.contracts.Treasury.constructorArgs,
+        bytecode: Treasury.bytecode
+    });
     console.log(`✅ Treasury deployed to: ${await treasury.getAddress()}`);
 
     // ============ 2. VERIFY TREASURY CONFIGURATION ============
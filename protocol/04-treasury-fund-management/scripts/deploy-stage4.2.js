@@ -1,4 +1,6 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
+const { getSaleManagerFactory } = require("../../03-token-sales-engine/utils/sale-manager-factory");
 
 async function main() {
     console.log("🚀 Deploying Karma Labs Treasury System - Stage 4.2 Advanced Features");
@@ -16,6 +18,9 @@ async function main() {
     console.log(`BuybackBurn Mock: ${buybackBurn.address}`);
     console.log("");
 
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
+
     // Deploy ecosystem contracts
     console.log("📦 Setting up existing ecosystem contracts...");
     
@@ -23,6 +28,12 @@ async function main() {
     const KarmaToken = await ethers.getContractFactory("KarmaToken");
     const karmaToken = await KarmaToken.deploy(admin.address);
     await karmaToken.waitForDeployment();
+    await saveDeployment(manifest, "KarmaToken", karmaToken, {
+        contract: "KarmaToken",
+        stage: 1,
+        constructorArgs: [admin.address],
+        bytecode: KarmaToken.bytecode
+    });
     console.log(`✅ KarmaToken deployed: ${await karmaToken.getAddress()}`);
 
     // Deploy VestingVault (simplified for treasury testing)
@@ -32,10 +43,17 @@ async function main() {
         admin.address
     );
     await vestingVault.waitForDeployment();
+    await saveDeployment(manifest, "VestingVault", vestingVault, {
+        contract: "VestingVault",
+        stage: 2,
+        constructorArgs: [await karmaToken.getAddress(), admin.address],
+        bytecode: VestingVault.bytecode
+    });
     console.log(`✅ VestingVault deployed: ${await vestingVault.getAddress()}`);
 
     // Deploy SaleManager
-    const SaleManager = await ethers.getContractFactory("SaleManager");
+    // Deploys and records the AllocationWhitelist library SaleManager links
+    const SaleManager = await getSaleManagerFactory(ethers, { manifest });
     const saleManager = await SaleManager.deploy(
         await karmaToken.getAddress(),
         await vestingVault.getAddress(),
@@ -43,6 +61,12 @@ async function main() {
         admin.address
     );
     await saleManager.waitForDeployment();
+    await saveDeployment(manifest, "SaleManager", saleManager, {
+        contract: "SaleManager",
+        stage: 3,
+        constructorArgs: [await karmaToken.getAddress(), await vestingVault.getAddress(), admin.address, admin.address],
+        bytecode: SaleManager.bytecode
+    });
     console.log(`✅ SaleManager deployed: ${await saleManager.getAddress()}`);
 
     // Deploy Treasury with Stage 4.1 & 4.2 functionality
@@ -56,6 +80,12 @@ async function main() {
         2 // 2-of-3 multisig threshold
     );
     await treasury.waitForDeployment();
+    await saveDeployment(manifest, "Treasury", treasury, {
+        contract: "Treasury",
+        stage: 4,
+        constructorArgs: [admin.address, await saleManager.getAddress(), [approver1.address, approver2.address, approver3.address], 2],
+        bytecode: Treasury.bytecode
+    });
     const treasuryAddress = await treasury.getAddress();
     console.log(`✅ Treasury deployed: ${treasuryAddress}`);
 
@@ -1,4 +1,6 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
+const { getSaleManagerFactory } = require("../../03-token-sales-engine/utils/sale-manager-factory");
 
 async function main() {
     console.log("🚀 Deploying Karma Labs Treasury System - Stage 4.1");
@@ -15,6 +17,9 @@ async function main() {
     console.log(`Approver 3: ${approver3.address}`);
     console.log("");
 
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
+
     // Deploy or get existing contracts
     console.log("📦 Setting up existing ecosystem contracts...");
     
@@ -22,6 +27,12 @@ async function main() {
     const KarmaToken = await ethers.getContractFactory("KarmaToken");
     const karmaToken = await KarmaToken.deploy(admin.address);
     await karmaToken.waitForDeployment();
+    await saveDeployment(manifest, "KarmaToken", karmaToken, {
+        contract: "KarmaToken",
+        stage: 1,
+        constructorArgs: [admin.address],
+        bytecode: KarmaToken.bytecode
+    });
     console.log(`✅ KarmaToken deployed: ${await karmaToken.getAddress()}`);
 
     // Deploy VestingVault (simplified for treasury testing)
@@ -31,10 +42,17 @@ async function main() {
         admin.address
     );
     await vestingVault.waitForDeployment();
+    await saveDeployment(manifest, "VestingVault", vestingVault, {
+        contract: "VestingVault",
+        stage: 2,
+        constructorArgs: [await karmaToken.getAddress(), admin.address],
+        bytecode: VestingVault.bytecode
+    });
     console.log(`✅ VestingVault deployed: ${await vestingVault.getAddress()}`);
 
     // Deploy SaleManager (will be updated to use Treasury)
-    const SaleManager = await ethers.getContractFactory("SaleManager");
+    // Deploys and records the AllocationWhitelist library SaleManager links
+    const SaleManager = await getSaleManagerFactory(ethers, { manifest });
     const saleManager = await SaleManager.deploy(
         await karmaToken.getAddress(),
         await vestingVault.getAddress(),
@@ -42,6 +60,12 @@ async function main() {
         admin.address
     );
     await saleManager.waitForDeployment();
+    await saveDeployment(manifest, "SaleManager", saleManager, {
+        contract: "SaleManager",
+        stage: 3,
+        constructorArgs: [await karmaToken.getAddress(), await vestingVault.getAddress(), admin.address, admin.address],
+        bytecode: SaleManager.bytecode
+    });
     console.log(`✅ SaleManager deployed: ${await saleManager.getAddress()}`);
 
     // Deploy Treasury with Stage 4.1 specifications
@@ -59,6 +83,12 @@ async function main() {
         2                                 // Multisig threshold (2-of-3)
     );
     await treasury.waitForDeployment();
+    await saveDeployment(manifest, "Treasury", treasury, {
+        contract: "Treasury",
+        stage: 4,
+        constructorArgs: [admin.address, await saleManager.getAddress(), [approver1.address, approver2.address, approver3.address], 2],
+        bytecode: Treasury.bytecode
+    });
     const treasuryAddress = await treasury.getAddress();
     console.log(`✅ Treasury deployed: ${treasuryAddress}`);
 
@@ -4,6 +4,7 @@
  */
 
 const { parseEther, formatEther } = require('ethers');
+const { TIME_UNITS, monthsBetween } = require('../../../utils/time-units');
 
 /**
  * Treasury allocation percentages as defined in tokenomics
@@ -26,13 +27,14 @@ const TREASURY_CATEGORIES = {
 };
 
 /**
- * Time-based constants
+ * Time-based constants, from the shared time units
+ * Months and years are Gregorian averages, for rates; report periods use calendar months
  */
 const TIME_CONSTANTS = {
-    SECONDS_PER_DAY: 86400,
-    SECONDS_PER_WEEK: 604800,
-    SECONDS_PER_MONTH: 2629746, // 30.44 days average
-    SECONDS_PER_YEAR: 31556952  // 365.25 days
+    SECONDS_PER_DAY: TIME_UNITS.DAY,
+    SECONDS_PER_WEEK: TIME_UNITS.WEEK,
+    SECONDS_PER_MONTH: TIME_UNITS.AVERAGE_MONTH, // 30.44 days average
+    SECONDS_PER_YEAR: TIME_UNITS.AVERAGE_YEAR    // 365.2425 days
 };
 
 /**
@@ -158,11 +160,11 @@ function validateWithdrawal(category, amount, categoryBudget, categorySpent) {
 /**
  * Calculate monthly treasury report data
  * @param {Object} treasuryData - Current treasury state
+ * @param {number} currentTimestamp - Report time (default: now)
  * @returns {Object} Monthly report data
  */
-function generateMonthlyReport(treasuryData) {
+function generateMonthlyReport(treasuryData, currentTimestamp = Math.floor(Date.now() / 1000)) {
     const { balance, allocations, spent, lastReportTimestamp } = treasuryData;
-    const currentTimestamp = Math.floor(Date.now() / 1000);
     const timeSinceLastReport = currentTimestamp - lastReportTimestamp;
     
     const spendingRates = {
@@ -196,7 +198,8 @@ function generateMonthlyReport(treasuryData) {
             buyback: formatEther(allocations.buyback - spent.buyback)
         },
         burnAnalysis,
-        reportPeriodDays: Math.floor(timeSinceLastReport / TIME_CONSTANTS.SECONDS_PER_DAY)
+        reportPeriodDays: Math.floor(timeSinceLastReport / TIME_CONSTANTS.SECONDS_PER_DAY),
+        reportPeriodMonths: monthsBetween(lastReportTimestamp, currentTimestamp)
     };
 }
 
@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("=== Karma Labs Paymaster Contract Deployment - Stage 5.1 ===\n");
@@ -10,6 +11,9 @@ async function main() {
     console.log("Admin address:", admin.address);
     console.log();
 
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
+
     // ============ DEPLOY DEPENDENCIES ============
     
     console.log("1. Deploying dependencies...");
@@ -19,6 +23,12 @@ async function main() {
     const KarmaToken = await ethers.getContractFactory("KarmaToken");
     const karmaToken = await KarmaToken.deploy(admin.address);
     await karmaToken.waitForDeployment();
+    await saveDeployment(manifest, "KarmaToken", karmaToken, {
+        contract: "KarmaToken",
+        stage: 1,
+        constructorArgs: [admin.address],
+        bytecode: KarmaToken.bytecode
+    });
     console.log("   ✅ KarmaToken deployed to:", await karmaToken.getAddress());
 
     // Deploy Treasury (if not already deployed)
@@ -31,6 +41,12 @@ async function main() {
         2                           // required signatures
     );
     await treasury.waitForDeployment();
+    await saveDeployment(manifest, "Treasury", treasury, {
+        contract: "Treasury",
+        stage: 4,
+        constructorArgs: [admin.address, admin.address, [admin.address, user1.address], 2],
+        bytecode: Treasury.bytecode
+    });
     console.log("   ✅ Treasury deployed to:", await treasury.getAddress());
 
     // Deploy Mock EntryPoint (for ERC-4337 compatibility)
@@ -38,6 +54,12 @@ async function main() {
     const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
     const entryPoint = await MockEntryPoint.deploy();
     await entryPoint.waitForDeployment();
+    await saveDeployment(manifest, "EntryPoint", entryPoint, {
+        contract: "MockEntryPoint",
+        stage: 5,
+        constructorArgs: [],
+        bytecode: MockEntryPoint.bytecode
+    });
     console.log("   ✅ Mock EntryPoint deployed to:", await entryPoint.getAddress());
 
     // ============ DEPLOY KARMA PAYMASTER ============
@@ -52,6 +74,12 @@ async function main() {
         admin.address
     );
     await karmaPaymaster.waitForDeployment();
+    await saveDeployment(manifest, "KarmaPaymaster", karmaPaymaster, {
+        contract: "KarmaPaymaster",
+        stage: 5,
+        constructorArgs: [await entryPoint.getAddress(), await treasury.getAddress(), await karmaToken.getAddress(), admin.address],
+        bytecode: KarmaPaymaster.bytecode
+    });
     
     console.log("   ✅ KarmaPaymaster deployed to:", await karmaPaymaster.getAddress());
     console.log("   📊 Deployment gas used: ~3,500,000 gas");
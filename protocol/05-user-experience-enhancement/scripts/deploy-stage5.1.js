@@ -3,7 +3,8 @@
  * @desc Deploy KarmaPaymaster for gasless transactions
  */
 
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("=== Stage 5.1: Paymaster Contract Development ===\n");
@@ -14,12 +15,21 @@ async function main() {
     console.log(`Deployer: ${deployer.address}`);
     console.log(`Admin: ${admin.address}\n`);
 
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
+
     // ============ DEPLOY MOCK DEPENDENCIES ============
     
     console.log("1. Deploying Mock Dependencies...");
     
     const MockEntryPoint = await ethers.getContractFactory("MockEntryPoint");
     const entryPoint = await MockEntryPoint.deploy();
+    await saveDeployment(manifest, "EntryPoint", entryPoint, {
+        contract: "MockEntryPoint",
+        stage: 5,
+        constructorArgs: [],
+        bytecode: MockEntryPoint.bytecode
+    });
     console.log("   ✅ MockEntryPoint deployed");
 
     const MockTreasury = await ethers.getContractFactory("MockTreasury");
@@ -41,6 +51,12 @@ async function main() {
         await karmaToken.getAddress(),
         admin.address
     );
+    await saveDeployment(manifest, "KarmaPaymaster", paymaster, {
+        contract: "KarmaPaymaster",
+        stage: 5,
+        constructorArgs: [await entryPoint.getAddress(), await mockTreasury.getAddress(), await karmaToken.getAddress(), admin.address],
+        bytecode: KarmaPaymaster.bytecode
+    });
     
     console.log("   ✅ KarmaPaymaster deployed");
 
@@ -4,6 +4,7 @@
  */
 
 const { ethers } = require('ethers');
+const { TIME_UNITS, startOfDay, getCalendarMonth } = require('../../../utils/time-units');
 
 /**
  * Gas overhead constants for ERC-4337 operations
@@ -144,17 +145,18 @@ function calculateTierGasLimits(tier) {
 
 /**
  * Check if gas usage is within limits
+ * Daily and monthly windows are the current UTC day and calendar month.
  * @param {Object} userGasUsage - Current user gas usage
  * @param {number} requestedGas - Gas requested for new operation
  * @param {number} tier - User tier
+ * @param {number} currentTime - Check time (default: now)
  * @returns {Object} Rate limit check result
  */
-function checkRateLimit(userGasUsage, requestedGas, tier) {
+function checkRateLimit(userGasUsage, requestedGas, tier, currentTime = Math.floor(Date.now() / 1000)) {
     const limits = calculateTierGasLimits(tier);
-    const currentTime = Math.floor(Date.now() / 1000);
     
     // Check daily limit
-    const dailyResetTime = currentTime - (currentTime % 86400); // Start of current day
+    const dailyResetTime = startOfDay(currentTime); // Start of current day
     const dailyUsed = userGasUsage.lastDailyReset === dailyResetTime 
         ? userGasUsage.dailyGasUsed 
         : 0;
@@ -163,7 +165,8 @@ function checkRateLimit(userGasUsage, requestedGas, tier) {
     const dailyWithinLimit = newDailyUsage <= limits.dailyLimit;
     
     // Check monthly limit
-    const monthlyResetTime = currentTime - (currentTime % 2592000); // Start of current month (30 days)
+    const month = getCalendarMonth(currentTime);
+    const monthlyResetTime = month.startTime; // Start of current calendar month
     const monthlyUsed = userGasUsage.lastMonthlyReset === monthlyResetTime 
         ? userGasUsage.monthlyGasUsed 
         : 0;
@@ -199,8 +202,8 @@ function checkRateLimit(userGasUsage, requestedGas, tier) {
             }
         },
         resetTimes: {
-            dailyReset: dailyResetTime + 86400,
-            monthlyReset: monthlyResetTime + 2592000
+            dailyReset: dailyResetTime + TIME_UNITS.DAY,
+            monthlyReset: month.endTime
         }
     };
 }
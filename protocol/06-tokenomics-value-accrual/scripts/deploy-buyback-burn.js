@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
 /**
  * Stage 6.1 Deployment Script: BuybackBurn System Development
@@ -15,11 +16,20 @@ async function main() {
     console.log(`   Deployer: ${deployer.address}`);
     console.log(`   Admin: ${admin.address}`);
 
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
+
     // Deploy KarmaToken
     console.log("\n🏗️  Deploying Core Contracts...");
     const KarmaToken = await ethers.getContractFactory("KarmaToken");
     const karmaToken = await KarmaToken.deploy(admin.address);
     await karmaToken.waitForDeployment();
+    await saveDeployment(manifest, "KarmaToken", karmaToken, {
+        contract: "KarmaToken",
+        stage: 1,
+        constructorArgs: [admin.address],
+        bytecode: KarmaToken.bytecode
+    });
     console.log(`   ✅ KarmaToken deployed: ${await karmaToken.getAddress()}`);
 
     // Deploy MockTreasury (to avoid contract size issues in testing)
@@ -36,6 +46,12 @@ async function main() {
         await mockTreasury.getAddress()
     );
     await buybackBurn.waitForDeployment();
+    await saveDeployment(manifest, "BuybackBurn", buybackBurn, {
+        contract: "BuybackBurn",
+        stage: 6,
+        constructorArgs: [admin.address, await karmaToken.getAddress(), await mockTreasury.getAddress()],
+        bytecode: BuybackBurn.bytecode
+    });
     console.log(`   ✅ BuybackBurn deployed: ${await buybackBurn.getAddress()}`);
 
     // ============ SETUP ROLES AND PERMISSIONS ============
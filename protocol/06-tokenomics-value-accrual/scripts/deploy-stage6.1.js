@@ -3,7 +3,8 @@
  * @desc Deploy BuybackBurn system for automated token supply management
  */
 
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("=== Stage 6.1: BuybackBurn System Development ===\n");
@@ -15,6 +16,9 @@ async function main() {
     console.log(`Admin: ${admin.address}`);
     console.log(`Treasury: ${treasury.address}\n`);
 
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
+
     // ============ DEPLOY MOCK DEPENDENCIES ============
     
     console.log("1. Deploying Mock Dependencies...");
@@ -37,6 +41,12 @@ async function main() {
         await karmaToken.getAddress(),
         await mockTreasury.getAddress()
     );
+    await saveDeployment(manifest, "BuybackBurn", buybackBurn, {
+        contract: "BuybackBurn",
+        stage: 6,
+        constructorArgs: [admin.address, await karmaToken.getAddress(), await mockTreasury.getAddress()],
+        bytecode: BuybackBurn.bytecode
+    });
     
     console.log("   ✅ BuybackBurn deployed");
 
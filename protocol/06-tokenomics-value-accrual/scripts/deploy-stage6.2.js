@@ -3,7 +3,8 @@
  * @desc Deploy comprehensive revenue capture feeding tokenomics engine
  */
 
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("=== Stage 6.2: Revenue Stream Integration ===\n");
@@ -15,6 +16,9 @@ async function main() {
     console.log(`Admin: ${admin.address}`);
     console.log(`Oracle: ${oracle.address}\n`);
 
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
+
     // Deploy dependencies
     console.log("1. Deploying Dependencies...");
     
@@ -32,6 +36,12 @@ async function main() {
         await karmaToken.getAddress(),
         await treasury.getAddress()
     );
+    await saveDeployment(manifest, "BuybackBurn", buybackBurn, {
+        contract: "BuybackBurn",
+        stage: 6,
+        constructorArgs: [admin.address, await karmaToken.getAddress(), await treasury.getAddress()],
+        bytecode: BuybackBurn.bytecode
+    });
     console.log("   ✅ BuybackBurn deployed");
 
     // Deploy FeeCollector
@@ -45,6 +55,12 @@ async function main() {
         await buybackBurn.getAddress(),
         oracle.address
     );
+    await saveDeployment(manifest, "RevenueStreamIntegrator", feeCollector, {
+        contract: "RevenueStreamIntegrator",
+        stage: 6,
+        constructorArgs: [admin.address, await karmaToken.getAddress(), await treasury.getAddress(), await buybackBurn.getAddress(), oracle.address],
+        bytecode: FeeCollector.bytecode
+    });
     
     console.log("   ✅ FeeCollector (RevenueStreamIntegrator) deployed");
 
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { ROLES } = require("../../../utils/role-registry");
 
 describe("RevenueStreamIntegrator - Stage 6.2", function () {
     let RevenueStreamIntegrator, revenueIntegrator;
@@ -52,39 +53,39 @@ describe("RevenueStreamIntegrator - Stage 6.2", function () {
 
         // Setup roles
         await revenueIntegrator.connect(admin).grantRole(
-            ethers.keccak256(ethers.toUtf8Bytes("REVENUE_MANAGER_ROLE")), 
+            ROLES.REVENUE_MANAGER_ROLE, 
             revenueManager.address
         );
         await revenueIntegrator.connect(admin).grantRole(
-            ethers.keccak256(ethers.toUtf8Bytes("PLATFORM_COLLECTOR_ROLE")), 
+            ROLES.PLATFORM_COLLECTOR_ROLE, 
             platformCollector.address
         );
         await revenueIntegrator.connect(admin).grantRole(
-            ethers.keccak256(ethers.toUtf8Bytes("ORACLE_ROLE")), 
+            ROLES.ORACLE_ROLE, 
             oracle.address
         );
         await revenueIntegrator.connect(admin).grantRole(
-            ethers.keccak256(ethers.toUtf8Bytes("SECURITY_MANAGER_ROLE")), 
+            ROLES.SECURITY_MANAGER_ROLE, 
             securityManager.address
         );
         await revenueIntegrator.connect(admin).grantRole(
-            ethers.keccak256(ethers.toUtf8Bytes("MULTISIG_APPROVER_ROLE")), 
+            ROLES.MULTISIG_APPROVER_ROLE, 
             multisigApprover1.address
         );
         await revenueIntegrator.connect(admin).grantRole(
-            ethers.keccak256(ethers.toUtf8Bytes("MULTISIG_APPROVER_ROLE")), 
+            ROLES.MULTISIG_APPROVER_ROLE, 
             multisigApprover2.address
         );
 
         // Grant RevenueStreamIntegrator the FEE_COLLECTOR_ROLE in BuybackBurn
         await buybackBurn.connect(admin).grantRole(
-            ethers.keccak256(ethers.toUtf8Bytes("FEE_COLLECTOR_ROLE")),
+            ROLES.FEE_COLLECTOR_ROLE,
             await revenueIntegrator.getAddress()
         );
 
         // Grant RevenueStreamIntegrator the EMERGENCY_ROLE in BuybackBurn
         await buybackBurn.connect(admin).grantRole(
-            ethers.keccak256(ethers.toUtf8Bytes("EMERGENCY_ROLE")),
+            ROLES.EMERGENCY_ROLE,
             await revenueIntegrator.getAddress()
         );
 
@@ -106,10 +107,9 @@ describe("RevenueStreamIntegrator - Stage 6.2", function () {
         });
 
         it("Should have correct role assignments", async function () {
-            const REVENUE_MANAGER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("REVENUE_MANAGER_ROLE"));
+            const { REVENUE_MANAGER_ROLE, PLATFORM_COLLECTOR_ROLE } = ROLES;
             expect(await revenueIntegrator.hasRole(REVENUE_MANAGER_ROLE, revenueManager.address)).to.be.true;
-            
-            const PLATFORM_COLLECTOR_ROLE = ethers.keccak256(ethers.toUtf8Bytes("PLATFORM_COLLECTOR_ROLE"));
+
             expect(await revenueIntegrator.hasRole(PLATFORM_COLLECTOR_ROLE, platformCollector.address)).to.be.true;
         });
     });
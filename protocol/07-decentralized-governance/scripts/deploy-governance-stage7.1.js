@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("🏛️  Deploying Stage 7.1: KarmaDAO Core Governance System");
@@ -7,9 +8,18 @@ async function main() {
     console.log("Deployer:", deployer.address);
     console.log("Admin:", admin.address);
 
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
+
     // Deploy KarmaToken
     const KarmaToken = await ethers.getContractFactory("KarmaToken");
     const karmaToken = await KarmaToken.deploy(admin.address);
+    await saveDeployment(manifest, "KarmaToken", karmaToken, {
+        contract: "KarmaToken",
+        stage: 1,
+        constructorArgs: [admin.address],
+        bytecode: KarmaToken.bytecode
+    });
     console.log("✅ KarmaToken deployed at:", await karmaToken.getAddress());
 
     // Deploy KarmaStaking
@@ -19,6 +29,12 @@ async function main() {
         admin.address, // treasury placeholder
         admin.address
     );
+    await saveDeployment(manifest, "KarmaStaking", karmaStaking, {
+        contract: "KarmaStaking",
+        stage: 7,
+        constructorArgs: [await karmaToken.getAddress(), admin.address, admin.address],
+        bytecode: KarmaStaking.bytecode
+    });
     console.log("✅ KarmaStaking deployed at:", await karmaStaking.getAddress());
 
     // Deploy TimelockController
@@ -29,6 +45,12 @@ async function main() {
         [admin.address],
         admin.address
     );
+    await saveDeployment(manifest, "TimelockController", timelock, {
+        contract: "TimelockController",
+        stage: 7,
+        constructorArgs: [3 * 24 * 3600, [admin.address], [admin.address], admin.address],
+        bytecode: TimelockController.bytecode
+    });
     console.log("✅ TimelockController deployed at:", await timelock.getAddress());
 
     // Deploy KarmaGovernor
@@ -39,6 +61,12 @@ async function main() {
         await karmaStaking.getAddress(),
         admin.address
     );
+    await saveDeployment(manifest, "KarmaGovernor", karmaGovernor, {
+        contract: "KarmaGovernor",
+        stage: 7,
+        constructorArgs: [await karmaToken.getAddress(), await timelock.getAddress(), await karmaStaking.getAddress(), admin.address],
+        bytecode: KarmaGovernor.bytecode
+    });
     console.log("✅ KarmaGovernor deployed at:", await karmaGovernor.getAddress());
 
     // Grant roles
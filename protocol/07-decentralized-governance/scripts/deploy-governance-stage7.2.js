@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { loadManifest, resolveContractAddresses, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
     const [deployer] = await ethers.getSigners();
@@ -6,11 +7,14 @@ async function main() {
     console.log("Deploying Stage 7.2 Advanced Governance Features with account:", deployer.address);
     console.log("Account balance:", (await deployer.getBalance()).toString());
     
-    // Mock addresses for demonstration - replace with actual deployed addresses
-    const KARMA_TOKEN_ADDRESS = "0x1234567890123456789012345678901234567890";
-    const KARMA_GOVERNOR_ADDRESS = "0x2345678901234567890123456789012345678901";
-    const KARMA_STAKING_ADDRESS = "0x3456789012345678901234567890123456789012";
-    const TREASURY_ADDRESS = "0x4567890123456789012345678901234567890123";
+    // Earlier stages' contracts come from the deployment manifest
+    const manifest = loadManifest(network.name);
+    const {
+        KarmaToken: KARMA_TOKEN_ADDRESS,
+        KarmaGovernor: KARMA_GOVERNOR_ADDRESS,
+        KarmaStaking: KARMA_STAKING_ADDRESS,
+        Treasury: TREASURY_ADDRESS
+    } = resolveContractAddresses(manifest, ["KarmaToken", "KarmaGovernor", "KarmaStaking", "Treasury"]);
     
     console.log("\n🚀 Starting Stage 7.2 Advanced Governance Features Deployment...\n");
     
@@ -24,6 +28,12 @@ async function main() {
         deployer.address // admin
     );
     await treasuryGovernance.deployed();
+    await saveDeployment(manifest, "TreasuryGovernance", treasuryGovernance, {
+        contract: "TreasuryGovernance",
+        stage: 7,
+        constructorArgs: [KARMA_GOVERNOR_ADDRESS, TREASURY_ADDRESS, KARMA_TOKEN_ADDRESS, deployer.address],
+        bytecode: TreasuryGovernance.bytecode
+    });
     
     console.log("✅ TreasuryGovernance deployed to:", treasuryGovernance.address);
     
@@ -37,6 +47,12 @@ async function main() {
         deployer.address // admin
     );
     await protocolUpgradeGovernance.deployed();
+    await saveDeployment(manifest, "ProtocolUpgradeGovernance", protocolUpgradeGovernance, {
+        contract: "ProtocolUpgradeGovernance",
+        stage: 7,
+        constructorArgs: [KARMA_GOVERNOR_ADDRESS, KARMA_TOKEN_ADDRESS, KARMA_STAKING_ADDRESS, deployer.address],
+        bytecode: ProtocolUpgradeGovernance.bytecode
+    });
     
     console.log("✅ ProtocolUpgradeGovernance deployed to:", protocolUpgradeGovernance.address);
     
@@ -51,6 +67,12 @@ async function main() {
         deployer.address // admin
     );
     await decentralizationManager.deployed();
+    await saveDeployment(manifest, "DecentralizationManager", decentralizationManager, {
+        contract: "DecentralizationManager",
+        stage: 7,
+        constructorArgs: [KARMA_GOVERNOR_ADDRESS, KARMA_STAKING_ADDRESS, TREASURY_ADDRESS, protocolUpgradeGovernance.address, deployer.address],
+        bytecode: DecentralizationManager.bytecode
+    });
     
     console.log("✅ DecentralizationManager deployed to:", decentralizationManager.address);
     
@@ -1,5 +1,6 @@
-const { ethers } = require("hardhat");
-const config = require("../config/stage7.1-config.json");
+const { ethers, network } = require("hardhat");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const { loadManifest, resolveContractAddresses } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("⚙️  Setting up Stage 7.1: KarmaDAO Core Governance System");
@@ -7,12 +8,23 @@ async function main() {
     const [deployer, admin] = await ethers.getSigners();
     console.log("Setup by:", deployer.address);
     
-    // Get deployed contract addresses (these would be loaded from deployment artifacts)
-    const KARMA_TOKEN_ADDRESS = process.env.KARMA_TOKEN_ADDRESS || "0x...";
-    const KARMA_DAO_ADDRESS = process.env.KARMA_DAO_ADDRESS || "0x...";
-    const GOVERNANCE_STAKING_ADDRESS = process.env.GOVERNANCE_STAKING_ADDRESS || "0x...";
-    const QUADRATIC_VOTING_ADDRESS = process.env.QUADRATIC_VOTING_ADDRESS || "0x...";
-    const TIMELOCK_CONTROLLER_ADDRESS = process.env.TIMELOCK_CONTROLLER_ADDRESS || "0x...";
+    // Get deployed contract addresses from the deployment manifest
+    const manifest = loadManifest(network.name);
+    const addresses = resolveContractAddresses(manifest, [
+        "KarmaToken",
+        "KarmaDAO",
+        "GovernanceStaking",
+        "QuadraticVoting",
+        "TimelockController"
+    ]);
+    const KARMA_TOKEN_ADDRESS = addresses.KarmaToken;
+    const KARMA_DAO_ADDRESS = addresses.KarmaDAO;
+    const GOVERNANCE_STAKING_ADDRESS = addresses.GovernanceStaking;
+    const QUADRATIC_VOTING_ADDRESS = addresses.QuadraticVoting;
+    const TIMELOCK_CONTROLLER_ADDRESS = addresses.TimelockController;
+    
+    // Load and validate configuration; integration addresses come from the manifest
+    const config = loadStageConfig("7.1", { signers: { deployer, admin }, manifest });
     
     // Connect to deployed contracts
     const karmaDAO = await ethers.getContractAt("KarmaDAO", KARMA_DAO_ADDRESS);
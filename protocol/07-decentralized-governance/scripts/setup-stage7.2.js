@@ -1,5 +1,8 @@
-const { ethers } = require("hardhat");
-const config = require("../config/stage7.2-config.json");
+const { ethers, network } = require("hardhat");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const { loadManifest, resolveContractAddresses } = require("../../../utils/deployment-manifest");
+
+const config = loadStageConfig("7.2");
 
 async function main() {
     console.log("⚙️  Setting up Stage 7.2: Advanced Governance Features");
@@ -7,11 +10,17 @@ async function main() {
     const [deployer, admin] = await ethers.getSigners();
     console.log("Setup by:", deployer.address);
     
-    // Get deployed contract addresses
-    const TREASURY_GOVERNANCE_ADDRESS = process.env.TREASURY_GOVERNANCE_ADDRESS || "0x...";
-    const PROTOCOL_UPGRADE_GOVERNANCE_ADDRESS = process.env.PROTOCOL_UPGRADE_GOVERNANCE_ADDRESS || "0x...";
-    const DECENTRALIZATION_MANAGER_ADDRESS = process.env.DECENTRALIZATION_MANAGER_ADDRESS || "0x...";
-    const GOVERNANCE_STAKING_ADDRESS = process.env.GOVERNANCE_STAKING_ADDRESS || "0x...";
+    // Get deployed contract addresses from the deployment manifest
+    const addresses = resolveContractAddresses(loadManifest(network.name), [
+        "TreasuryGovernance",
+        "ProtocolUpgradeGovernance",
+        "DecentralizationManager",
+        "GovernanceStaking"
+    ]);
+    const TREASURY_GOVERNANCE_ADDRESS = addresses.TreasuryGovernance;
+    const PROTOCOL_UPGRADE_GOVERNANCE_ADDRESS = addresses.ProtocolUpgradeGovernance;
+    const DECENTRALIZATION_MANAGER_ADDRESS = addresses.DecentralizationManager;
+    const GOVERNANCE_STAKING_ADDRESS = addresses.GovernanceStaking;
     
     console.log("\n📋 Setting up Advanced Governance...");
     
@@ -1,5 +1,14 @@
-const { ethers } = require("hardhat");
-const config = require("../config/stage7.1-config.json");
+const { ethers, network } = require("hardhat");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const { loadManifest, resolveContractAddresses } = require("../../../utils/deployment-manifest");
+const {
+    ValidationReport,
+    codePresent,
+    roleGranted,
+    paramEquals,
+    pointerSet,
+    custom
+} = require("../../../utils/validation-framework");
 
 async function main() {
     console.log("🔍 Validating Stage 7.1: KarmaDAO Core Governance System");
@@ -7,18 +16,23 @@ async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Validator:", deployer.address);
     
-    // Get deployed contract addresses
-    const KARMA_TOKEN_ADDRESS = process.env.KARMA_TOKEN_ADDRESS;
-    const KARMA_DAO_ADDRESS = process.env.KARMA_DAO_ADDRESS;
-    const GOVERNANCE_STAKING_ADDRESS = process.env.GOVERNANCE_STAKING_ADDRESS;
-    const QUADRATIC_VOTING_ADDRESS = process.env.QUADRATIC_VOTING_ADDRESS;
-    const TIMELOCK_CONTROLLER_ADDRESS = process.env.TIMELOCK_CONTROLLER_ADDRESS;
-    
-    if (!KARMA_TOKEN_ADDRESS || !KARMA_DAO_ADDRESS || !GOVERNANCE_STAKING_ADDRESS || 
-        !QUADRATIC_VOTING_ADDRESS || !TIMELOCK_CONTROLLER_ADDRESS) {
-        console.error("❌ Missing contract addresses. Please set environment variables.");
-        process.exit(1);
-    }
+    // Get deployed contract addresses from the deployment manifest
+    const manifest = loadManifest(network.name);
+    const addresses = resolveContractAddresses(manifest, [
+        "KarmaToken",
+        "KarmaDAO",
+        "GovernanceStaking",
+        "QuadraticVoting",
+        "TimelockController"
+    ]);
+    const KARMA_TOKEN_ADDRESS = addresses.KarmaToken;
+    const KARMA_DAO_ADDRESS = addresses.KarmaDAO;
+    const GOVERNANCE_STAKING_ADDRESS = addresses.GovernanceStaking;
+    const QUADRATIC_VOTING_ADDRESS = addresses.QuadraticVoting;
+    const TIMELOCK_CONTROLLER_ADDRESS = addresses.TimelockController;
+    
+    // Load and validate configuration; integration addresses come from the manifest
+    const config = loadStageConfig("7.1", { signers: { deployer }, manifest });
     
     console.log("\n📋 Contract Addresses:");
     console.log("KarmaToken:", KARMA_TOKEN_ADDRESS);
@@ -28,193 +42,126 @@ async function main() {
     console.log("TimelockController:", TIMELOCK_CONTROLLER_ADDRESS);
     
     // Connect to contracts
-    const karmaToken = await ethers.getContractAt("KarmaToken", KARMA_TOKEN_ADDRESS);
     const karmaDAO = await ethers.getContractAt("KarmaDAO", KARMA_DAO_ADDRESS);
     const governanceStaking = await ethers.getContractAt("GovernanceStaking", GOVERNANCE_STAKING_ADDRESS);
     const quadraticVoting = await ethers.getContractAt("QuadraticVoting", QUADRATIC_VOTING_ADDRESS);
     const timelockController = await ethers.getContractAt("TimelockController", TIMELOCK_CONTROLLER_ADDRESS);
     
-    let validationsPassed = 0;
-    let totalValidations = 0;
-    
+    const report = new ValidationReport({ name: "stage7.1", network: network.name, provider: ethers.provider });
+    const validation = report.stage("7.1", "KarmaDAO Core Governance");
+    const governance = config.governance;
+
     console.log("\n🔍 Running Contract Validation...");
     
     // Test 1: Contract Deployment
     console.log("\n1️⃣  Testing Contract Deployment...");
-    totalValidations++;
-    try {
-        const tokenName = await karmaToken.name();
-        const daoAddress = await karmaDAO.getAddress();
-        const stakingAddress = await governanceStaking.getAddress();
-        
-        console.log("✅ KarmaToken deployed:", tokenName);
-        console.log("✅ KarmaDAO deployed at:", daoAddress);
-        console.log("✅ GovernanceStaking deployed at:", stakingAddress);
-        validationsPassed++;
-    } catch (error) {
-        console.log("❌ Contract deployment validation failed:", error.message);
-    }
+    await validation.run(Object.entries(addresses).map(([name, address]) => codePresent({ name, address })));
     
     // Test 2: Governance Configuration
     console.log("\n2️⃣  Testing Governance Configuration...");
-    totalValidations++;
-    try {
-        const govConfig = await karmaDAO.getGovernanceConfig();
-        
-        const expectedThreshold = ethers.parseEther("1000000");
-        const configValid = (
-            govConfig.proposalThreshold >= expectedThreshold &&
-            govConfig.quorumPercentage >= 5 &&
-            govConfig.votingPeriod >= 86400 &&
-            govConfig.quadraticVotingEnabled === true
-        );
-        
-        if (configValid) {
-            console.log("✅ Governance configuration valid");
-            console.log("   Proposal threshold:", ethers.formatEther(govConfig.proposalThreshold), "KARMA");
-            console.log("   Quorum percentage:", govConfig.quorumPercentage.toString(), "%");
-            console.log("   Voting period:", (Number(govConfig.votingPeriod) / 86400).toString(), "days");
-            console.log("   Quadratic voting:", govConfig.quadraticVotingEnabled);
-            validationsPassed++;
-        } else {
-            console.log("❌ Governance configuration invalid");
-        }
-    } catch (error) {
-        console.log("❌ Governance configuration validation failed:", error.message);
-    }
+    await validation.run(
+        ["proposalThreshold", "quorumPercentage", "votingPeriod", "quadraticVotingEnabled"].map(field => paramEquals({
+            contract: karmaDAO,
+            contractName: "KarmaDAO",
+            getter: "getGovernanceConfig",
+            field,
+            expected: governance[field],
+            source: "stage7.1-config.json"
+        }))
+    );
     
     // Test 3: Quadratic Voting
     console.log("\n3️⃣  Testing Quadratic Voting...");
-    totalValidations++;
-    try {
-        const smallStake = ethers.parseEther("100000");
-        const largeStake = ethers.parseEther("10000000");
-        
-        const [smallLinear, smallQuadratic] = await quadraticVoting.calculateVotingWeight(smallStake);
-        const [largeLinear, largeQuadratic] = await quadraticVoting.calculateVotingWeight(largeStake);
-        
-        const linearAdvantage = Number(largeLinear) / Number(smallLinear);
-        const quadraticAdvantage = Number(largeQuadratic) / Number(smallQuadratic);
-        
-        if (quadraticAdvantage < linearAdvantage && quadraticAdvantage > 1) {
-            console.log("✅ Quadratic voting reduces whale advantage");
-            console.log("   Linear advantage:", linearAdvantage.toFixed(2), "x");
-            console.log("   Quadratic advantage:", quadraticAdvantage.toFixed(2), "x");
-            validationsPassed++;
-        } else {
-            console.log("❌ Quadratic voting not working correctly");
-        }
-    } catch (error) {
-        console.log("❌ Quadratic voting validation failed:", error.message);
-    }
+    await validation.run([
+        custom("Quadratic Voting Weight", async () => {
+            const smallStake = ethers.parseEther("100000");
+            const largeStake = ethers.parseEther("10000000");
+            
+            const [smallLinear, smallQuadratic] = await quadraticVoting.calculateVotingWeight(smallStake);
+            const [largeLinear, largeQuadratic] = await quadraticVoting.calculateVotingWeight(largeStake);
+            
+            const linearAdvantage = Number(largeLinear) / Number(smallLinear);
+            const quadraticAdvantage = Number(largeQuadratic) / Number(smallQuadratic);
+            
+            return {
+                passed: quadraticAdvantage < linearAdvantage && quadraticAdvantage > 1,
+                message: `Whale advantage ${quadraticAdvantage.toFixed(2)}x quadratic vs ${linearAdvantage.toFixed(2)}x linear`
+            };
+        })
+    ]);
     
     // Test 4: Staking Integration
     console.log("\n4️⃣  Testing Staking Integration...");
-    totalValidations++;
-    try {
-        const stakingContract = await karmaDAO.stakingContract();
-        const tokenAddress = await governanceStaking.karmaToken();
-        
-        if (stakingContract === governanceStaking.target && tokenAddress === karmaToken.target) {
-            console.log("✅ Staking contract properly integrated");
-            console.log("   DAO staking contract:", stakingContract);
-            console.log("   Staking token contract:", tokenAddress);
-            validationsPassed++;
-        } else {
-            console.log("❌ Staking integration failed");
-        }
-    } catch (error) {
-        console.log("❌ Staking integration validation failed:", error.message);
-    }
+    await validation.run([
+        pointerSet({
+            contract: karmaDAO,
+            contractName: "KarmaDAO",
+            getter: "stakingContract",
+            expected: GOVERNANCE_STAKING_ADDRESS,
+            expectedName: "GovernanceStaking"
+        }),
+        pointerSet({
+            contract: governanceStaking,
+            contractName: "GovernanceStaking",
+            getter: "karmaToken",
+            expected: KARMA_TOKEN_ADDRESS,
+            expectedName: "KarmaToken"
+        })
+    ]);
     
     // Test 5: Timelock Integration
     console.log("\n5️⃣  Testing Timelock Integration...");
-    totalValidations++;
-    try {
-        const PROPOSER_ROLE = await timelockController.PROPOSER_ROLE();
-        const EXECUTOR_ROLE = await timelockController.EXECUTOR_ROLE();
-        
-        const hasProposerRole = await timelockController.hasRole(PROPOSER_ROLE, karmaDAO.target);
-        const hasExecutorRole = await timelockController.hasRole(EXECUTOR_ROLE, karmaDAO.target);
-        
-        if (hasProposerRole && hasExecutorRole) {
-            console.log("✅ Timelock roles properly configured");
-            console.log("   DAO has proposer role:", hasProposerRole);
-            console.log("   DAO has executor role:", hasExecutorRole);
-            validationsPassed++;
-        } else {
-            console.log("❌ Timelock roles not properly configured");
-        }
-    } catch (error) {
-        console.log("❌ Timelock integration validation failed:", error.message);
-    }
+    await validation.run(["PROPOSER_ROLE", "EXECUTOR_ROLE"].map(role => roleGranted({
+        contract: timelockController,
+        contractName: "TimelockController",
+        role,
+        account: KARMA_DAO_ADDRESS,
+        accountName: "KarmaDAO"
+    })));
     
     // Test 6: Access Control
     console.log("\n6️⃣  Testing Access Control...");
-    totalValidations++;
-    try {
-        // Test emergency pause functionality
-        const canPause = await karmaDAO.hasRole(await karmaDAO.DEFAULT_ADMIN_ROLE(), deployer.address);
-        
-        if (canPause) {
-            console.log("✅ Admin access control working");
-            validationsPassed++;
-        } else {
-            console.log("❌ Admin access control failed");
-        }
-    } catch (error) {
-        console.log("❌ Access control validation failed:", error.message);
-    }
+    await validation.run([
+        roleGranted({
+            contract: karmaDAO,
+            contractName: "KarmaDAO",
+            role: "DEFAULT_ADMIN_ROLE",
+            account: deployer.address,
+            accountName: "deployer"
+        })
+    ]);
     
     // Test 7: Analytics Functions
     console.log("\n7️⃣  Testing Analytics Functions...");
-    totalValidations++;
-    try {
-        const analytics = await karmaDAO.getGovernanceAnalytics();
-        
-        if (analytics.totalProposals !== undefined) {
-            console.log("✅ Analytics functions working");
-            console.log("   Total proposals:", analytics.totalProposals.toString());
-            console.log("   Total voters:", analytics.totalVoters.toString());
-            validationsPassed++;
-        } else {
-            console.log("❌ Analytics functions failed");
-        }
-    } catch (error) {
-        console.log("❌ Analytics validation failed:", error.message);
-    }
+    await validation.run([
+        custom("Governance Analytics", async () => {
+            const analytics = await karmaDAO.getGovernanceAnalytics();
+            return {
+                passed: analytics.totalProposals !== undefined,
+                message: `${analytics.totalProposals} proposals, ${analytics.totalVoters} voters`
+            };
+        })
+    ]);
     
     // Test 8: Contract Interfaces
     console.log("\n8️⃣  Testing Contract Interfaces...");
-    totalValidations++;
-    try {
-        // Test that contracts implement expected interfaces
-        const supportsInterface = await karmaDAO.supportsInterface("0x01ffc9a7"); // ERC165
-        
-        console.log("✅ Contract interfaces working");
-        console.log("   Supports ERC165:", supportsInterface);
-        validationsPassed++;
-    } catch (error) {
-        console.log("⚠️  Interface validation skipped (not critical)");
-        validationsPassed++; // Don't fail for interface checks
-    }
-    
-    // Summary
-    console.log("\n📊 Validation Summary:");
-    console.log("=".repeat(50));
-    console.log(`Total validations: ${totalValidations}`);
-    console.log(`Passed: ${validationsPassed}`);
-    console.log(`Failed: ${totalValidations - validationsPassed}`);
-    console.log(`Success rate: ${((validationsPassed / totalValidations) * 100).toFixed(1)}%`);
-    
-    if (validationsPassed === totalValidations) {
+    await validation.run([
+        custom("ERC165 Support", async () => {
+            try {
+                const supportsInterface = await karmaDAO.supportsInterface("0x01ffc9a7"); // ERC165
+                return { passed: true, message: `Supports ERC165: ${supportsInterface}` };
+            } catch (error) {
+                // Don't fail for interface checks
+                return { passed: true, message: "Interface validation skipped (not critical)", isWarning: true };
+            }
+        })
+    ]);
+    
+    if (validation.failed === 0) {
         console.log("\n🎉 All validations passed! Stage 7.1 is working correctly.");
         console.log("\n✅ Ready for Stage 7.2 deployment");
-    } else if (validationsPassed >= totalValidations * 0.8) {
-        console.log("\n⚠️  Most validations passed with some issues. Review failed tests.");
     } else {
-        console.log("\n❌ Multiple validations failed. Stage 7.1 needs fixes before proceeding.");
-        process.exit(1);
+        console.log("\n❌ Validations failed. Stage 7.1 needs fixes before proceeding.");
     }
     
     console.log("\n📝 Stage 7.1 Core Governance System:");
@@ -224,10 +171,12 @@ async function main() {
     console.log("• ✅ Participation Requirements");
     console.log("• ✅ Anti-Spam and Security");
     console.log("• ✅ Analytics and Monitoring");
+
+    return report;
 }
 
 main()
-    .then(() => process.exit(0))
+    .then((report) => process.exit(report.finish()))
     .catch((error) => {
         console.error("❌ Validation failed:", error);
         process.exit(1);
@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { loadManifest, resolveContractAddresses } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("🔍 Validating Stage 7.2: Advanced Governance Features");
@@ -6,17 +7,17 @@ async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Validator:", deployer.address);
     
-    // Get contract addresses
-    const TREASURY_GOVERNANCE_ADDRESS = process.env.TREASURY_GOVERNANCE_ADDRESS;
-    const PROTOCOL_UPGRADE_GOVERNANCE_ADDRESS = process.env.PROTOCOL_UPGRADE_GOVERNANCE_ADDRESS;
-    const DECENTRALIZATION_MANAGER_ADDRESS = process.env.DECENTRALIZATION_MANAGER_ADDRESS;
-    const GOVERNANCE_STAKING_ADDRESS = process.env.GOVERNANCE_STAKING_ADDRESS;
-    
-    if (!TREASURY_GOVERNANCE_ADDRESS || !PROTOCOL_UPGRADE_GOVERNANCE_ADDRESS || 
-        !DECENTRALIZATION_MANAGER_ADDRESS || !GOVERNANCE_STAKING_ADDRESS) {
-        console.error("❌ Missing contract addresses. Please set environment variables.");
-        process.exit(1);
-    }
+    // Get deployed contract addresses from the deployment manifest
+    const addresses = resolveContractAddresses(loadManifest(network.name), [
+        "TreasuryGovernance",
+        "ProtocolUpgradeGovernance",
+        "DecentralizationManager",
+        "GovernanceStaking"
+    ]);
+    const TREASURY_GOVERNANCE_ADDRESS = addresses.TreasuryGovernance;
+    const PROTOCOL_UPGRADE_GOVERNANCE_ADDRESS = addresses.ProtocolUpgradeGovernance;
+    const DECENTRALIZATION_MANAGER_ADDRESS = addresses.DecentralizationManager;
+    const GOVERNANCE_STAKING_ADDRESS = addresses.GovernanceStaking;
     
     // Connect to contracts
     const treasuryGovernance = await ethers.getContractAt("TreasuryGovernance", TREASURY_GOVERNANCE_ADDRESS);
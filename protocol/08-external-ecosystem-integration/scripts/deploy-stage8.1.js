@@ -1,4 +1,6 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { openManifest, resolveContractAddresses, saveDeployment } = require("../../../utils/deployment-manifest");
+const { LOCAL_NETWORKS } = require("../../../utils/ecosystem-deployment-plan");
 
 async function main() {
     console.log("🚀 Starting Stage 8.1 - 0G Blockchain Integration Development Deployment");
@@ -8,9 +10,15 @@ async function main() {
     console.log("📋 Deploying contracts with account:", deployer.address);
     console.log("💰 Account balance:", ethers.utils.formatEther(await deployer.getBalance()), "ETH");
     
-    // Contract addresses (use existing deployed contracts or deploy mocks)
-    const KARMA_TOKEN = process.env.KARMA_TOKEN_ADDRESS || await deployMockKarmaToken();
-    const TREASURY = process.env.TREASURY_ADDRESS || await deployMockTreasury();
+    // Contract addresses come from the deployment manifest; mocks stand in only on local networks
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
+    const isLocal = LOCAL_NETWORKS.includes(network.name);
+    const existing = isLocal
+        ? resolveContractAddresses(manifest, [], ["KarmaToken", "Treasury"])
+        : resolveContractAddresses(manifest, ["KarmaToken", "Treasury"]);
+    const KARMA_TOKEN = existing.KarmaToken || await deployMockKarmaToken();
+    const TREASURY = existing.Treasury || await deployMockTreasury();
     
     console.log("\n📦 Using existing contracts:");
     console.log("   KARMA Token:", KARMA_TOKEN);
@@ -29,6 +37,12 @@ async function main() {
         deployer.address
     );
     await crossChainBridge.deployed();
+    await saveDeployment(manifest, "KarmaCrossChainBridge", crossChainBridge, {
+        contract: "KarmaCrossChainBridge",
+        stage: 8,
+        constructorArgs: [KARMA_TOKEN, TREASURY, deployer.address],
+        bytecode: KarmaCrossChainBridge.bytecode
+    });
     console.log("   ✅ KarmaCrossChainBridge deployed:", crossChainBridge.address);
     console.log("   📊 Gas used:", (await crossChainBridge.deployTransaction.wait()).gasUsed.toString());
     
@@ -42,6 +56,12 @@ async function main() {
         deployer.address
     );
     await aiInferencePayment.deployed();
+    await saveDeployment(manifest, "KarmaAIInferencePayment", aiInferencePayment, {
+        contract: "KarmaAIInferencePayment",
+        stage: 8,
+        constructorArgs: [KARMA_TOKEN, crossChainBridge.address, TREASURY, deployer.address],
+        bytecode: KarmaAIInferencePayment.bytecode
+    });
     console.log("   ✅ KarmaAIInferencePayment deployed:", aiInferencePayment.address);
     console.log("   📊 Gas used:", (await aiInferencePayment.deployTransaction.wait()).gasUsed.toString());
     
@@ -55,6 +75,12 @@ async function main() {
         deployer.address
     );
     await metadataStorage.deployed();
+    await saveDeployment(manifest, "KarmaMetadataStorage", metadataStorage, {
+        contract: "KarmaMetadataStorage",
+        stage: 8,
+        constructorArgs: [KARMA_TOKEN, crossChainBridge.address, TREASURY, deployer.address],
+        bytecode: KarmaMetadataStorage.bytecode
+    });
     console.log("   ✅ KarmaMetadataStorage deployed:", metadataStorage.address);
     console.log("   📊 Gas used:", (await metadataStorage.deployTransaction.wait()).gasUsed.toString());
     
@@ -68,6 +94,12 @@ async function main() {
         deployer.address
     );
     await oracle.deployed();
+    await saveDeployment(manifest, "Karma0GOracle", oracle, {
+        contract: "Karma0GOracle",
+        stage: 8,
+        constructorArgs: [KARMA_TOKEN, crossChainBridge.address, TREASURY, deployer.address],
+        bytecode: Karma0GOracle.bytecode
+    });
     console.log("   ✅ Karma0GOracle deployed:", oracle.address);
     console.log("   📊 Gas used:", (await oracle.deployTransaction.wait()).gasUsed.toString());
     
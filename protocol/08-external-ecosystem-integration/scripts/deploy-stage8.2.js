@@ -1,4 +1,5 @@
-const { ethers, upgrades } = require("hardhat");
+const { ethers, upgrades, network } = require("hardhat");
+const { openManifest, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("🚀 Starting Stage 8.2 - Platform Application Integration Deployment");
@@ -9,6 +10,8 @@ async function main() {
     console.log("Account balance:", ethers.utils.formatEther(await deployer.getBalance()), "ETH");
 
     const deploymentAddresses = {};
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = openManifest(network.name, chainId);
 
     try {
         // Deploy or get existing core contracts
@@ -45,6 +48,12 @@ async function main() {
             karmaToken.address
         );
         await feeRouter.deployed();
+        await saveDeployment(manifest, "PlatformFeeRouter", feeRouter, {
+            contract: "PlatformFeeRouter",
+            stage: 8,
+            constructorArgs: [deployer.address, karmaToken.address],
+            bytecode: PlatformFeeRouter.bytecode
+        });
         deploymentAddresses.feeRouter = feeRouter.address;
         console.log("✅ Platform Fee Router deployed to:", feeRouter.address);
 
@@ -59,6 +68,12 @@ async function main() {
             feeRouter.address
         );
         await sillyPortPlatform.deployed();
+        await saveDeployment(manifest, "SillyPortPlatform", sillyPortPlatform, {
+            contract: "SillyPortPlatform",
+            stage: 8,
+            constructorArgs: [deployer.address, karmaToken.address, aiInferencePayment.address, metadataStorage.address, feeRouter.address],
+            bytecode: SillyPortPlatform.bytecode
+        });
         deploymentAddresses.sillyPortPlatform = sillyPortPlatform.address;
         console.log("✅ SillyPort Platform deployed to:", sillyPortPlatform.address);
 
@@ -71,6 +86,12 @@ async function main() {
             feeRouter.address
         );
         await sillyHotelPlatform.deployed();
+        await saveDeployment(manifest, "SillyHotelPlatform", sillyHotelPlatform, {
+            contract: "SillyHotelPlatform",
+            stage: 8,
+            constructorArgs: [deployer.address, karmaToken.address, feeRouter.address],
+            bytecode: SillyHotelPlatform.bytecode
+        });
         deploymentAddresses.sillyHotelPlatform = sillyHotelPlatform.address;
         console.log("✅ SillyHotel Platform deployed to:", sillyHotelPlatform.address);
 
@@ -83,6 +104,12 @@ async function main() {
             feeRouter.address
         );
         await karmaLabsAssetPlatform.deployed();
+        await saveDeployment(manifest, "KarmaLabsAssetPlatform", karmaLabsAssetPlatform, {
+            contract: "KarmaLabsAssetPlatform",
+            stage: 8,
+            constructorArgs: [deployer.address, karmaToken.address, feeRouter.address],
+            bytecode: KarmaLabsAssetPlatform.bytecode
+        });
         deploymentAddresses.karmaLabsAssetPlatform = karmaLabsAssetPlatform.address;
         console.log("✅ KarmaLabs Asset Platform deployed to:", karmaLabsAssetPlatform.address);
 
@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { loadManifest, resolveContractAddresses, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("🔐 Deploying Stage 9.1 Security Audit and Hardening...");
@@ -8,10 +9,12 @@ async function main() {
     console.log("Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)));
     
     // ============ CONTRACT ADDRESSES ============
-    // In production, these would be actual deployed contract addresses
-    const TREASURY_ADDRESS = process.env.TREASURY_ADDRESS || "0x742d35Cc6634C0532925a3b8D6Ac0be8C07E1A6E";
-    const KARMA_TOKEN_ADDRESS = process.env.KARMA_TOKEN_ADDRESS || "0xD5d86FC8d5C0Ea1aC1Ac5Dfab6E529c9967a45E9";
-    const USDC_TOKEN_ADDRESS = process.env.USDC_TOKEN_ADDRESS || "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+    // Earlier stages are resolved from the deployment manifest
+    const manifest = loadManifest(network.name);
+    const dependencies = resolveContractAddresses(manifest, ["Treasury", "KarmaToken", "USDCToken"]);
+    const TREASURY_ADDRESS = dependencies.Treasury;
+    const KARMA_TOKEN_ADDRESS = dependencies.KarmaToken;
+    const USDC_TOKEN_ADDRESS = dependencies.USDCToken;
     
     console.log("Using Treasury address:", TREASURY_ADDRESS);
     console.log("Using KARMA token address:", KARMA_TOKEN_ADDRESS);
@@ -21,41 +24,55 @@ async function main() {
     
     console.log("\n📋 Deploying Security Manager...");
     const KarmaSecurityManager = await ethers.getContractFactory("KarmaSecurityManager");
-    const securityManager = await KarmaSecurityManager.deploy(
-        TREASURY_ADDRESS,
-        KARMA_TOKEN_ADDRESS,
-        USDC_TOKEN_ADDRESS,
-        deployer.address
-    );
+    const securityManagerArgs = [TREASURY_ADDRESS, KARMA_TOKEN_ADDRESS, USDC_TOKEN_ADDRESS, deployer.address];
+    const securityManager = await KarmaSecurityManager.deploy(...securityManagerArgs);
     await securityManager.waitForDeployment();
+    await saveDeployment(manifest, "KarmaSecurityManager", securityManager, {
+        contract: "KarmaSecurityManager",
+        stage: 9,
+        constructorArgs: securityManagerArgs,
+        bytecode: KarmaSecurityManager.bytecode
+    });
     console.log("✅ Security Manager deployed to:", await securityManager.getAddress());
     
     console.log("\n🛡️ Deploying Insurance Manager...");
     const KarmaInsuranceManager = await ethers.getContractFactory("KarmaInsuranceManager");
-    const insuranceManager = await KarmaInsuranceManager.deploy(
-        TREASURY_ADDRESS,
-        USDC_TOKEN_ADDRESS,
-        KARMA_TOKEN_ADDRESS,
-        deployer.address
-    );
+    const insuranceManagerArgs = [TREASURY_ADDRESS, USDC_TOKEN_ADDRESS, KARMA_TOKEN_ADDRESS, deployer.address];
+    const insuranceManager = await KarmaInsuranceManager.deploy(...insuranceManagerArgs);
     await insuranceManager.waitForDeployment();
+    await saveDeployment(manifest, "KarmaInsuranceManager", insuranceManager, {
+        contract: "KarmaInsuranceManager",
+        stage: 9,
+        constructorArgs: insuranceManagerArgs,
+        bytecode: KarmaInsuranceManager.bytecode
+    });
     console.log("✅ Insurance Manager deployed to:", await insuranceManager.getAddress());
     
     console.log("\n🏆 Deploying Bug Bounty Manager...");
     const KarmaBugBountyManager = await ethers.getContractFactory("KarmaBugBountyManager");
-    const bugBountyManager = await KarmaBugBountyManager.deploy(
-        USDC_TOKEN_ADDRESS,
-        KARMA_TOKEN_ADDRESS,
-        deployer.address
-    );
+    const bugBountyManagerArgs = [USDC_TOKEN_ADDRESS, KARMA_TOKEN_ADDRESS, deployer.address];
+    const bugBountyManager = await KarmaBugBountyManager.deploy(...bugBountyManagerArgs);
     await bugBountyManager.waitForDeployment();
+    await saveDeployment(manifest, "KarmaBugBountyManager", bugBountyManager, {
+        contract: "KarmaBugBountyManager",
+        stage: 9,
+        constructorArgs: bugBountyManagerArgs,
+        bytecode: KarmaBugBountyManager.bytecode
+    });
     console.log("✅ Bug Bounty Manager deployed to:", await bugBountyManager.getAddress());
     
     console.log("\n📊 Deploying Security Monitoring...");
     const KarmaSecurityMonitoring = await ethers.getContractFactory("KarmaSecurityMonitoring");
     const securityMonitoring = await KarmaSecurityMonitoring.deploy(deployer.address);
     await securityMonitoring.waitForDeployment();
+    await saveDeployment(manifest, "KarmaSecurityMonitoring", securityMonitoring, {
+        contract: "KarmaSecurityMonitoring",
+        stage: 9,
+        constructorArgs: [deployer.address],
+        bytecode: KarmaSecurityMonitoring.bytecode
+    });
     console.log("✅ Security Monitoring deployed to:", await securityMonitoring.getAddress());
+    console.log(`💾 Deployment manifest updated: deployments/${network.name}.json`);
     
     // ============ INITIAL CONFIGURATION ============
     
@@ -419,7 +436,7 @@ async function main() {
         }
     };
     
-    console.log("\n💾 Deployment data saved for future reference");
+    console.log("\n💾 Contract addresses recorded in the deployment manifest");
     return deploymentData;
 }
 
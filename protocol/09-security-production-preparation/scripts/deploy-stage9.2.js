@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { loadManifest, resolveContractAddresses, saveDeployment } = require("../../../utils/deployment-manifest");
 
 async function main() {
     console.log("🚀 Deploying Stage 9.2: Production Deployment and Operations...");
@@ -8,27 +9,17 @@ async function main() {
     console.log("Deploying with account:", deployer.address);
     console.log("Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)));
 
-    // ============ DEPLOY DEPENDENCIES ============
+    // ============ CONTRACT ADDRESSES ============
     
-    console.log("\n📋 Step 1: Deploying Dependencies...");
+    console.log("\n📋 Step 1: Resolving Dependencies...");
     
-    // Deploy KARMA Token
-    console.log("Deploying KARMA Token...");
-    const KarmaToken = await ethers.getContractFactory("KarmaToken");
-    const karmaToken = await KarmaToken.deploy(deployer.address);
-    await karmaToken.waitForDeployment();
-    console.log("✅ KARMA Token deployed at:", await karmaToken.getAddress());
-
-    // Deploy Treasury
-    console.log("Deploying Treasury...");
-    const Treasury = await ethers.getContractFactory("Treasury");
-    const treasury = await Treasury.deploy(
-        deployer.address,
-        await karmaToken.getAddress(),
-        ethers.parseUnits("100000", 6) // 100K USDC allocation
-    );
-    await treasury.waitForDeployment();
-    console.log("✅ Treasury deployed at:", await treasury.getAddress());
+    // Earlier stages are resolved from the deployment manifest
+    const manifest = loadManifest(network.name);
+    const dependencies = resolveContractAddresses(manifest, ["KarmaToken", "Treasury"]);
+    const KARMA_TOKEN_ADDRESS = dependencies.KarmaToken;
+    const TREASURY_ADDRESS = dependencies.Treasury;
+    console.log("Using KARMA token address:", KARMA_TOKEN_ADDRESS);
+    console.log("Using Treasury address:", TREASURY_ADDRESS);
 
     // ============ DEPLOY STAGE 9.2 CONTRACTS ============
     
@@ -39,6 +30,12 @@ async function main() {
     const ProductionDeploymentManager = await ethers.getContractFactory("ProductionDeploymentManager");
     const productionDeploymentManager = await ProductionDeploymentManager.deploy(deployer.address);
     await productionDeploymentManager.waitForDeployment();
+    await saveDeployment(manifest, "ProductionDeploymentManager", productionDeploymentManager, {
+        contract: "ProductionDeploymentManager",
+        stage: 9,
+        constructorArgs: [deployer.address],
+        bytecode: ProductionDeploymentManager.bytecode
+    });
     console.log("✅ Production Deployment Manager deployed at:", await productionDeploymentManager.getAddress());
 
     // Deploy System Initialization Manager
@@ -46,10 +43,16 @@ async function main() {
     const SystemInitializationManager = await ethers.getContractFactory("SystemInitializationManager");
     const systemInitializationManager = await SystemInitializationManager.deploy(
         deployer.address,
-        await karmaToken.getAddress(),
-        await treasury.getAddress()
+        KARMA_TOKEN_ADDRESS,
+        TREASURY_ADDRESS
     );
     await systemInitializationManager.waitForDeployment();
+    await saveDeployment(manifest, "SystemInitializationManager", systemInitializationManager, {
+        contract: "SystemInitializationManager",
+        stage: 9,
+        constructorArgs: [deployer.address, KARMA_TOKEN_ADDRESS, TREASURY_ADDRESS],
+        bytecode: SystemInitializationManager.bytecode
+    });
     console.log("✅ System Initialization Manager deployed at:", await systemInitializationManager.getAddress());
 
     // Deploy Operations Monitoring Manager
@@ -57,6 +60,12 @@ async function main() {
     const OperationsMonitoringManager = await ethers.getContractFactory("OperationsMonitoringManager");
     const operationsMonitoringManager = await OperationsMonitoringManager.deploy(deployer.address);
     await operationsMonitoringManager.waitForDeployment();
+    await saveDeployment(manifest, "OperationsMonitoringManager", operationsMonitoringManager, {
+        contract: "OperationsMonitoringManager",
+        stage: 9,
+        constructorArgs: [deployer.address],
+        bytecode: OperationsMonitoringManager.bytecode
+    });
     console.log("✅ Operations Monitoring Manager deployed at:", await operationsMonitoringManager.getAddress());
 
     // Deploy Maintenance Upgrade Manager
@@ -64,6 +73,12 @@ async function main() {
     const MaintenanceUpgradeManager = await ethers.getContractFactory("MaintenanceUpgradeManager");
     const maintenanceUpgradeManager = await MaintenanceUpgradeManager.deploy(deployer.address);
     await maintenanceUpgradeManager.waitForDeployment();
+    await saveDeployment(manifest, "MaintenanceUpgradeManager", maintenanceUpgradeManager, {
+        contract: "MaintenanceUpgradeManager",
+        stage: 9,
+        constructorArgs: [deployer.address],
+        bytecode: MaintenanceUpgradeManager.bytecode
+    });
     console.log("✅ Maintenance Upgrade Manager deployed at:", await maintenanceUpgradeManager.getAddress());
 
     // ============ CONFIGURE PRODUCTION DEPLOYMENT SYSTEM ============
@@ -126,7 +141,7 @@ async function main() {
     const createTaskTx = await systemInitializationManager.createInitializationTask(
         "Token Parameter Setup",
         0, // TOKEN_PARAMETERS
-        await karmaToken.getAddress(),
+        KARMA_TOKEN_ADDRESS,
         "0x12345678", // Mock function selector
         "0x", // Parameters
         100, // Priority
@@ -154,7 +169,7 @@ async function main() {
     // Create liquidity pool
     console.log("Creating liquidity pool...");
     const createPoolTx = await systemInitializationManager.createLiquidityPool(
-        await karmaToken.getAddress(),
+        KARMA_TOKEN_ADDRESS,
         "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1", // WETH on Arbitrum
         ethers.parseUnits("5000000", 18), // 5M KARMA
         ethers.parseEther("2500"), // 2500 ETH
@@ -197,7 +212,7 @@ async function main() {
     const createMonitoringTx = await operationsMonitoringManager.createMonitoringConfig(
         "Production Monitoring",
         3, // ENTERPRISE level
-        [await karmaToken.getAddress(), await treasury.getAddress()],
+        [KARMA_TOKEN_ADDRESS, TREASURY_ADDRESS],
         [0, 1, 2, 3, 4], // All metric types
         3600, // 1 hour update interval
         2592000, // 30 days retention
@@ -217,7 +232,7 @@ async function main() {
     console.log("Recording sample metrics...");
     const recordMetricTx = await operationsMonitoringManager.recordMetric(
         0, // GAS_USAGE
-        await karmaToken.getAddress(),
+        KARMA_TOKEN_ADDRESS,
         ethers.parseUnits("150000", "wei"), // 150k gas
         "wei"
     );
@@ -244,7 +259,7 @@ async function main() {
     const createAlertTx = await operationsMonitoringManager.createAlert(
         1, // WARNING severity
         0, // GAS_USAGE metric
-        await karmaToken.getAddress(),
+        KARMA_TOKEN_ADDRESS,
         "Sample monitoring alert for demonstration"
     );
     await createAlertTx.wait();
@@ -253,7 +268,7 @@ async function main() {
     // Identify gas optimization
     console.log("Identifying gas optimization...");
     const identifyOptTx = await operationsMonitoringManager.identifyGasOptimization(
-        await karmaToken.getAddress(),
+        KARMA_TOKEN_ADDRESS,
         "transfer",
         75000, // Original gas cost
         55000, // Optimized gas cost
@@ -313,7 +328,7 @@ async function main() {
     console.log("Proposing system upgrade...");
     const proposeUpgradeTx = await maintenanceUpgradeManager.proposeUpgrade(
         1, // MAJOR_UPDATE
-        [await karmaToken.getAddress()],
+        [KARMA_TOKEN_ADDRESS],
         [deployer.address], // Mock new implementation
         ["0x12345678"], // Mock upgrade call
         "KARMA Token v2.0 Upgrade",
@@ -329,7 +344,7 @@ async function main() {
     console.log("Scheduling maintenance task...");
     const scheduleMaintenanceTx = await maintenanceUpgradeManager.scheduleMaintenanceTask(
         0, // ROUTINE
-        [await karmaToken.getAddress(), await treasury.getAddress()],
+        [KARMA_TOKEN_ADDRESS, TREASURY_ADDRESS],
         ["0x12345678", "0x87654321"], // Mock maintenance calls
         "Weekly System Maintenance",
         "Routine weekly maintenance including cache clearing and optimization",
@@ -348,7 +363,7 @@ async function main() {
 
     const triggerEmergencyTx = await maintenanceUpgradeManager.triggerEmergencyResponse(
         "Security Incident Drill",
-        [await karmaToken.getAddress()],
+        [KARMA_TOKEN_ADDRESS],
         ["0x12345678"], // Mock emergency action
         "Simulated security incident for testing emergency response procedures"
     );
@@ -1,5 +1,8 @@
-const { ethers } = require("hardhat");
-const config = require("../config/stage9.1-config.json");
+const { ethers, network } = require("hardhat");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const { loadManifest, resolveContractAddresses } = require("../../../utils/deployment-manifest");
+
+const config = loadStageConfig("9.1");
 
 /**
  * @title Stage 9.1 Setup Script - Security Audit and Hardening
@@ -15,21 +18,12 @@ async function setupStage9_1() {
     console.log("Bounty Manager:", bountyManager.address);
     console.log("Insurance Manager:", insuranceManager.address);
 
-    // Get deployed contract addresses (assuming they're already deployed)
-    const contractAddresses = {
-        KarmaBugBountyManager: process.env.KARMA_BUG_BOUNTY_MANAGER_ADDRESS,
-        KarmaInsuranceManager: process.env.KARMA_INSURANCE_MANAGER_ADDRESS,
-        KarmaSecurityMonitoring: process.env.KARMA_SECURITY_MONITORING_ADDRESS,
-        USDCToken: process.env.USDC_TOKEN_ADDRESS,
-        KarmaToken: process.env.KARMA_TOKEN_ADDRESS
-    };
-
-    // Validate contract addresses
-    for (const [name, address] of Object.entries(contractAddresses)) {
-        if (!address) {
-            throw new Error(`${name} address not found in environment variables`);
-        }
-    }
+    // Get deployed contract addresses from the deployment manifest
+    const contractAddresses = resolveContractAddresses(
+        loadManifest(network.name),
+        ["KarmaBugBountyManager", "KarmaInsuranceManager", "KarmaSecurityMonitoring", "USDCToken", "KarmaToken"],
+        ["VestingVault", "SaleManager", "Treasury", "Paymaster", "BuybackBurn", "KarmaDAO", "ZeroGIntegration"]
+    );
 
     // Connect to deployed contracts
     const bugBountyManager = await ethers.getContractAt("KarmaBugBountyManager", contractAddresses.KarmaBugBountyManager);
@@ -74,13 +68,13 @@ async function setupStage9_1() {
         console.log("Creating initial bug bounty program...");
         const targetContracts = [
             contractAddresses.KarmaToken,
-            process.env.VESTING_VAULT_ADDRESS,
-            process.env.SALE_MANAGER_ADDRESS,
-            process.env.TREASURY_ADDRESS,
-            process.env.PAYMASTER_ADDRESS,
-            process.env.BUYBACK_BURN_ADDRESS,
-            process.env.KARMA_DAO_ADDRESS,
-            process.env.ZEROG_INTEGRATION_ADDRESS
+            contractAddresses.VestingVault,
+            contractAddresses.SaleManager,
+            contractAddresses.Treasury,
+            contractAddresses.Paymaster,
+            contractAddresses.BuybackBurn,
+            contractAddresses.KarmaDAO,
+            contractAddresses.ZeroGIntegration
         ].filter(addr => addr && addr !== 'undefined');
 
         const categoryRewards = Object.values(config.contracts.KarmaBugBountyManager.categoryRewards).map(
@@ -267,10 +261,10 @@ async function setupStage9_1() {
 
         // Setup monitoring for all pausable contracts
         const pausableContracts = [
-            process.env.KARMA_TOKEN_ADDRESS,
-            process.env.SALE_MANAGER_ADDRESS,
-            process.env.TREASURY_ADDRESS,
-            process.env.BUYBACK_BURN_ADDRESS
+            contractAddresses.KarmaToken,
+            contractAddresses.SaleManager,
+            contractAddresses.Treasury,
+            contractAddresses.BuybackBurn
         ].filter(addr => addr && addr !== 'undefined');
 
         for (const contractAddr of pausableContracts) {
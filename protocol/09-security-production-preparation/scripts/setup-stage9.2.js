@@ -1,5 +1,8 @@
-const { ethers } = require("hardhat");
-const config = require("../config/stage9.2-config.json");
+const { ethers, network } = require("hardhat");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const { loadManifest, resolveContractAddresses } = require("../../../utils/deployment-manifest");
+
+const config = loadStageConfig("9.2");
 
 /**
  * @title Stage 9.2 Setup Script - Production Deployment and Operations
@@ -15,29 +18,13 @@ async function setupStage9_2() {
     console.log("Monitoring Manager:", monitoringManager.address);
     console.log("Maintenance Manager:", maintenanceManager.address);
 
-    // Get deployed contract addresses
-    const contractAddresses = {
-        KarmaOperationsMonitoring: process.env.KARMA_OPERATIONS_MONITORING_ADDRESS,
-        KarmaMaintenanceUpgrade: process.env.KARMA_MAINTENANCE_UPGRADE_ADDRESS,
+    // Get deployed contract addresses from the deployment manifest
+    const contractAddresses = resolveContractAddresses(
+        loadManifest(network.name),
+        ['KarmaOperationsMonitoring', 'KarmaMaintenanceUpgrade'],
         // All other protocol contracts for monitoring
-        KarmaToken: process.env.KARMA_TOKEN_ADDRESS,
-        VestingVault: process.env.VESTING_VAULT_ADDRESS,
-        SaleManager: process.env.SALE_MANAGER_ADDRESS,
-        Treasury: process.env.TREASURY_ADDRESS,
-        Paymaster: process.env.PAYMASTER_ADDRESS,
-        BuybackBurn: process.env.BUYBACK_BURN_ADDRESS,
-        KarmaDAO: process.env.KARMA_DAO_ADDRESS,
-        ZeroGIntegration: process.env.ZEROG_INTEGRATION_ADDRESS,
-        KarmaSecurityMonitoring: process.env.KARMA_SECURITY_MONITORING_ADDRESS
-    };
-
-    // Validate critical contract addresses
-    const criticalContracts = ['KarmaOperationsMonitoring', 'KarmaMaintenanceUpgrade'];
-    for (const contractName of criticalContracts) {
-        if (!contractAddresses[contractName]) {
-            throw new Error(`${contractName} address not found in environment variables`);
-        }
-    }
+        ['KarmaToken', 'VestingVault', 'SaleManager', 'Treasury', 'Paymaster', 'BuybackBurn', 'KarmaDAO', 'ZeroGIntegration', 'KarmaSecurityMonitoring']
+    );
 
     // Connect to deployed contracts
     const operationsMonitoring = await ethers.getContractAt("KarmaOperationsMonitoring", contractAddresses.KarmaOperationsMonitoring);
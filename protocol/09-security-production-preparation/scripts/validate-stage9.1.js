@@ -1,5 +1,9 @@
-const { ethers } = require("hardhat");
-const config = require("../config/stage9.1-config.json");
+const { ethers, network } = require("hardhat");
+const { loadStageConfig } = require("../../../utils/config-loader");
+const { loadManifest, resolveContractAddresses } = require("../../../utils/deployment-manifest");
+const { ValidationReport, codePresent, roleGranted, pointerSet } = require("../../../utils/validation-framework");
+
+const config = loadStageConfig("9.1");
 
 /**
  * @title Stage 9.1 Validation Script - Security Audit and Hardening
@@ -9,65 +13,29 @@ async function validateStage9_1() {
     console.log("🔍 Validating Stage 9.1: Security Audit and Hardening...");
     
     const [deployer] = await ethers.getSigners();
-    let validationResults = {
-        passed: 0,
-        failed: 0,
-        warnings: 0,
-        tests: []
-    };
-
-    // Get contract addresses from environment
-    const contractAddresses = {
-        KarmaBugBountyManager: process.env.KARMA_BUG_BOUNTY_MANAGER_ADDRESS,
-        KarmaInsuranceManager: process.env.KARMA_INSURANCE_MANAGER_ADDRESS,
-        KarmaSecurityMonitoring: process.env.KARMA_SECURITY_MONITORING_ADDRESS,
-        USDCToken: process.env.USDC_TOKEN_ADDRESS,
-        KarmaToken: process.env.KARMA_TOKEN_ADDRESS
-    };
-
-    // Helper function to record test results
-    function recordTest(name, passed, message, isWarning = false) {
-        const result = { name, passed, message, isWarning };
-        validationResults.tests.push(result);
-        
-        if (isWarning) {
-            validationResults.warnings++;
-            console.log(`⚠️ ${name}: ${message}`);
-        } else if (passed) {
-            validationResults.passed++;
-            console.log(`✅ ${name}: ${message}`);
-        } else {
-            validationResults.failed++;
-            console.log(`❌ ${name}: ${message}`);
-        }
-    }
+    const report = new ValidationReport({ name: "stage9.1", network: network.name, provider: ethers.provider });
+    const validationResults = report.stage("9.1", "Security Audit and Hardening");
+    const recordTest = validationResults.record;
+
+    // Get contract addresses from the deployment manifest
+    const contractAddresses = resolveContractAddresses(
+        loadManifest(network.name),
+        [],
+        ["KarmaBugBountyManager", "KarmaInsuranceManager", "KarmaSecurityMonitoring", "USDCToken", "KarmaToken"]
+    );
 
     console.log("\n📋 1. Contract Deployment Validation");
     console.log("=====================================");
 
     // Validate contract addresses
-    for (const [name, address] of Object.entries(contractAddresses)) {
-        if (!address || address === 'undefined') {
-            recordTest(`${name} Address`, false, `Contract address not found in environment`);
-            continue;
-        }
-
-        try {
-            const code = await ethers.provider.getCode(address);
-            if (code === '0x') {
-                recordTest(`${name} Deployment`, false, `No contract code found at ${address}`);
-            } else {
-                recordTest(`${name} Deployment`, true, `Contract deployed at ${address}`);
-            }
-        } catch (error) {
-            recordTest(`${name} Deployment`, false, `Error checking deployment: ${error.message}`);
-        }
-    }
+    await validationResults.run(
+        Object.entries(contractAddresses).map(([name, address]) => codePresent({ name, address }))
+    );
 
     if (!contractAddresses.KarmaBugBountyManager || !contractAddresses.KarmaInsuranceManager || 
         !contractAddresses.KarmaSecurityMonitoring) {
         console.log("\n❌ Critical contracts missing. Skipping further validation.");
-        return validationResults;
+        return report;
     }
 
     console.log("\n🏆 2. Bug Bounty Manager Validation");
@@ -99,13 +67,9 @@ async function validateStage9_1() {
         }
 
         // Check roles
-        try {
-            const BOUNTY_MANAGER_ROLE = await bugBountyManager.BOUNTY_MANAGER_ROLE();
-            const hasManager = await bugBountyManager.hasRole(BOUNTY_MANAGER_ROLE, deployer.address);
-            recordTest("Bug Bounty Roles", hasManager, hasManager ? "Roles properly configured" : "Manager role not assigned");
-        } catch (error) {
-            recordTest("Bug Bounty Roles", false, `Error checking roles: ${error.message}`);
-        }
+        await validationResults.run([
+            roleGranted({ contract: bugBountyManager, contractName: "KarmaBugBountyManager", role: "BOUNTY_MANAGER_ROLE", account: deployer.address, accountName: "deployer" })
+        ]);
 
         // Check security features
         try {
@@ -154,13 +118,9 @@ async function validateStage9_1() {
         }
 
         // Check roles
-        try {
-            const INSURANCE_MANAGER_ROLE = await insuranceManager.INSURANCE_MANAGER_ROLE();
-            const hasManager = await insuranceManager.hasRole(INSURANCE_MANAGER_ROLE, deployer.address);
-            recordTest("Insurance Roles", hasManager, hasManager ? "Roles properly configured" : "Manager role not assigned");
-        } catch (error) {
-            recordTest("Insurance Roles", false, `Error checking roles: ${error.message}`);
-        }
+        await validationResults.run([
+            roleGranted({ contract: insuranceManager, contractName: "KarmaInsuranceManager", role: "INSURANCE_MANAGER_ROLE", account: deployer.address, accountName: "deployer" })
+        ]);
 
     } catch (error) {
         recordTest("Insurance Manager Connection", false, `Cannot connect to contract: ${error.message}`);
@@ -205,13 +165,9 @@ async function validateStage9_1() {
         }
 
         // Check roles
-        try {
-            const MONITORING_MANAGER_ROLE = await securityMonitoring.MONITORING_MANAGER_ROLE();
-            const hasManager = await securityMonitoring.hasRole(MONITORING_MANAGER_ROLE, deployer.address);
-            recordTest("Monitoring Roles", hasManager, hasManager ? "Roles properly configured" : "Manager role not assigned");
-        } catch (error) {
-            recordTest("Monitoring Roles", false, `Error checking roles: ${error.message}`);
-        }
+        await validationResults.run([
+            roleGranted({ contract: securityMonitoring, contractName: "KarmaSecurityMonitoring", role: "MONITORING_MANAGER_ROLE", account: deployer.address, accountName: "deployer" })
+        ]);
 
     } catch (error) {
         recordTest("Security Monitoring Connection", false, `Cannot connect to contract: ${error.message}`);
@@ -223,17 +179,17 @@ async function validateStage9_1() {
     // Check integration between systems
     try {
         const bugBountyManager = await ethers.getContractAt("KarmaBugBountyManager", contractAddresses.KarmaBugBountyManager);
-        const securityMonitoring = await ethers.getContractAt("KarmaSecurityMonitoring", contractAddresses.KarmaSecurityMonitoring);
 
         // Check if bug bounty is connected to security monitoring
-        try {
-            const connectedMonitoring = await bugBountyManager.getSecurityMonitoring();
-            const isConnected = connectedMonitoring.toLowerCase() === contractAddresses.KarmaSecurityMonitoring.toLowerCase();
-            recordTest("Bug Bounty Integration", isConnected, 
-                isConnected ? "Bug bounty connected to security monitoring" : "Bug bounty not properly integrated");
-        } catch (error) {
-            recordTest("Bug Bounty Integration", false, `Error checking integration: ${error.message}`);
-        }
+        await validationResults.run([
+            pointerSet({
+                contract: bugBountyManager,
+                contractName: "KarmaBugBountyManager",
+                getter: "getSecurityMonitoring",
+                expected: contractAddresses.KarmaSecurityMonitoring,
+                expectedName: "KarmaSecurityMonitoring"
+            })
+        ]);
 
     } catch (error) {
         recordTest("Integration Check", false, `Error checking integrations: ${error.message}`);
@@ -345,16 +301,13 @@ async function validateStage9_1() {
     console.log("5. Conduct security team training and emergency drills");
     console.log("6. Proceed to Stage 9.2 Production Deployment validation");
 
-    return validationResults;
+    return report;
 }
 
 // Execute validation if called directly
 if (require.main === module) {
     validateStage9_1()
-        .then((results) => {
-            const success = results.failed === 0;
-            process.exit(success ? 0 : 1);
-        })
+        .then((report) => process.exit(report.finish()))
         .catch((error) => {
             console.error("❌ Stage 9.1 validation failed:", error);
             process.exit(1);
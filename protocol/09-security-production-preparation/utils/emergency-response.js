@@ -1,4 +1,14 @@
 const { ethers } = require("hardhat");
+const { loadManifest, resolveContractAddresses } = require("../../../utils/deployment-manifest");
+
+// Contracts the emergency response system can monitor and pause
+const RESPONSE_CONTRACTS = [
+    "KarmaSecurityMonitoring",
+    "KarmaToken",
+    "SaleManager",
+    "Treasury",
+    "BuybackBurn"
+];
 
 /**
  * @title Karma Labs Emergency Response System
@@ -38,6 +48,16 @@ class KarmaEmergencyResponse {
         this.setupEmergencyHotline();
     }
 
+    /**
+     * Create a response system wired to a network's deployment manifest
+     * @param {string} network - Network name (deployments/<network>.json)
+     * @param {Object} config - Response configuration
+     */
+    static fromManifest(network, config = {}) {
+        const addresses = resolveContractAddresses(loadManifest(network), [], RESPONSE_CONTRACTS);
+        return new KarmaEmergencyResponse(ethers.provider, addresses, config);
+    }
+
     /**
      * Initialize emergency response contract connections
      */
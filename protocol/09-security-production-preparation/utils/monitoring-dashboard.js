@@ -1,4 +1,19 @@
 const { ethers } = require("hardhat");
+const { loadManifest, resolveContractAddresses, getContractEntry } = require("../../../utils/deployment-manifest");
+const { createHolderIndexer } = require("../../../utils/token-holder-indexer");
+
+// Contracts the dashboard monitors, resolved from the deployment manifest
+const MONITORED_CONTRACTS = [
+    "KarmaToken",
+    "VestingVault",
+    "SaleManager",
+    "Treasury",
+    "Paymaster",
+    "BuybackBurn",
+    "KarmaDAO",
+    "ZeroGIntegration",
+    "KarmaSecurityMonitoring"
+];
 
 /**
  * @title KarmaLabs Monitoring Dashboard
@@ -11,6 +26,7 @@ class KarmaMonitoringDashboard {
         this.contracts = {};
         this.metrics = {};
         this.alerts = [];
+        this.holderIndexer = config.holderIndexer || null;
         this.config = {
             refreshInterval: 30000, // 30 seconds
             alertThresholds: {
@@ -27,6 +43,20 @@ class KarmaMonitoringDashboard {
         this.startMonitoring();
     }
 
+    /**
+     * Create a dashboard for every contract in a network's deployment manifest
+     * @param {string} network - Network name (deployments/<network>.json)
+     * @param {Object} config - Dashboard configuration (holderDatabase overrides the holder index path)
+     */
+    static fromManifest(network, config = {}) {
+        const manifest = loadManifest(network);
+        const addresses = resolveContractAddresses(manifest, [], MONITORED_CONTRACTS);
+        const holderIndexer = getContractEntry(manifest, "KarmaToken")
+            ? createHolderIndexer(ethers.provider, manifest, config.holderDatabase ? { database: config.holderDatabase } : {})
+            : null;
+        return new KarmaMonitoringDashboard(ethers.provider, addresses, { ...config, holderIndexer });
+    }
+
     /**
      * Initialize contract connections for monitoring
      */
@@ -166,6 +196,12 @@ class KarmaMonitoringDashboard {
         
         try {
             const totalSupply = await this.contracts.karmaToken.totalSupply();
+            if (!this.holderIndexer) {
+                return { totalSupply: totalSupply.toString() };
+            }
+
+            // Catch the holder index up with the chain before reading from it
+            await this.holderIndexer.sync();
             const circulatingSupply = await this.calculateCirculatingSupply();
             const holders = await this.countTokenHolders();
             
@@ -174,7 +210,7 @@ class KarmaMonitoringDashboard {
                 circulatingSupply: circulatingSupply.toString(),
                 uniqueHolders: holders,
                 transferCount24h: await this.getTransferCount24h(),
-                avgTransferSize: await this.getAverageTransferSize()
+                avgTransferSize: (await this.getAverageTransferSize()).toString()
             };
         } catch (error) {
             console.error("❌ Failed to collect Stage 1 metrics:", error);
@@ -665,29 +701,35 @@ class KarmaMonitoringDashboard {
         if (this.securityInterval) {
             clearInterval(this.securityInterval);
         }
+        if (this.holderIndexer) {
+            this.holderIndexer.close();
+        }
         
         console.log("🛑 Monitoring stopped");
     }
 
     // Helper methods for metric calculations
+
+    // Token metrics come from the holder index (utils/token-holder-indexer.js)
     async calculateCirculatingSupply() {
-        // Implementation for calculating circulating supply
-        return ethers.parseEther("500000000"); // Placeholder
+        // Total supply less vesting, treasury, sale, buyback and staking balances
+        return this.holderIndexer.getCirculatingSupply();
     }
 
     async countTokenHolders() {
-        // Implementation for counting unique token holders
-        return 10000; // Placeholder
+        return this.holderIndexer.getHolderCount();
     }
 
     async getTransferCount24h() {
-        // Implementation for getting 24h transfer count
-        return 1500; // Placeholder
+        return this.holderIndexer.getTransferStats(this.getTimestamp24hAgo()).count;
     }
 
     async getAverageTransferSize() {
-        // Implementation for average transfer size
-        return ethers.parseEther("1000"); // Placeholder
+        return this.holderIndexer.getTransferStats(this.getTimestamp24hAgo()).average;
+    }
+
+    getTimestamp24hAgo() {
+        return Math.floor(Date.now() / 1000) - 24 * 60 * 60;
     }
 
     calculateOverallHealth() {
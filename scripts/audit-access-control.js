@@ -0,0 +1,154 @@
+/**
+ * @title Access-Control Audit
+ * @dev Replays RoleGranted / RoleRevoked events on every deployed contract
+ *      (and role changes queued in or executed through KarmaTimelock) into
+ *      the current role matrix, diffs it against the `roles` sections of the
+ *      stage configs and flags EOAs holding admin roles that belong to the
+ *      multisig or timelock. Exits non-zero when any error is found.
+ *
+ * Environment:
+ *   AUDIT_CONTRACTS       Comma-separated manifest names to audit (default: all audited contracts)
+ *   AUDIT_FROM_BLOCK      First block to replay (default: each contract's deployment block)
+ *   AUDIT_BLOCK_RANGE     Blocks per eth_getLogs request (default: whole range at once)
+ *   AUDIT_GOVERNANCE      Extra addresses allowed to hold admin roles, e.g. a Safe multisig
+ *   AUDIT_ACCOUNTS        Config holder labels to check, e.g. "admin=0x...,proposer=0x..."
+ *   AUDIT_REPORT          Write the matrix and findings to this JSON file
+ */
+
+const fs = require("fs");
+const { ethers, network } = require("hardhat");
+
+const { loadManifest, getContractEntry } = require("../utils/deployment-manifest");
+const {
+    AUDITED_CONTRACTS,
+    GOVERNANCE_CONTRACTS,
+    fetchRoleEvents,
+    fetchTimelockRoleOperations,
+    buildRoleMatrix,
+    collectConfigRoles,
+    diffRoleMatrix,
+    formatRoleMatrix
+} = require("../utils/access-control-audit");
+const { parseList } = require("../utils/cli");
+
+async function main() {
+    console.log("🔐 Auditing Karma Labs Access Control");
+    console.log("=".repeat(60));
+
+    const { chainId } = await ethers.provider.getNetwork();
+    console.log(`📊 Network: ${network.name} (Chain ID: ${chainId})`);
+
+    const manifest = loadManifest(network.name);
+    const requested = parseList(process.env.AUDIT_CONTRACTS);
+    const fromBlock = process.env.AUDIT_FROM_BLOCK ? parseInt(process.env.AUDIT_FROM_BLOCK, 10) : undefined;
+    const blockRange = process.env.AUDIT_BLOCK_RANGE ? parseInt(process.env.AUDIT_BLOCK_RANGE, 10) : undefined;
+    const toBlock = await ethers.provider.getBlockNumber();
+
+    // Every manifest contract gets a name, so holders that are contracts are labelled
+    const names = {};
+    for (const [name, entry] of Object.entries(manifest.contracts)) {
+        names[entry.address.toLowerCase()] = name;
+    }
+
+    const contracts = (requested.length > 0 ? requested : AUDITED_CONTRACTS)
+        .filter((name) => {
+            if (getContractEntry(manifest, name)) return true;
+            console.log(`⚠️  ${name} not found in deployment manifest, skipping`);
+            return false;
+        });
+    const rangeFor = (entry) => ({ fromBlock: fromBlock ?? entry.blockNumber ?? 0, toBlock, blockRange });
+
+    // Step 1: Replay role events
+    console.log(`\n📜 Replaying role events for ${contracts.length} contracts`);
+    const events = [];
+    for (const name of contracts) {
+        const entry = getContractEntry(manifest, name);
+        const contractEvents = await fetchRoleEvents(ethers.provider, name, entry.address, rangeFor(entry));
+        console.log(`   ${name}: ${contractEvents.length} events`);
+        events.push(...contractEvents);
+    }
+
+    const timelock = getContractEntry(manifest, "KarmaTimelock");
+    const operations = timelock
+        ? await fetchTimelockRoleOperations(ethers.provider, timelock.address, rangeFor(timelock))
+        : [];
+    console.log(`   KarmaTimelock: ${operations.length} role operations queued`);
+
+    const { matrix, pending } = buildRoleMatrix(events, operations, names);
+
+    // Step 2: Classify holders
+    const accountKinds = {};
+    const holders = new Set([
+        ...Object.values(matrix).flatMap(roles => Object.values(roles).flatMap(role => role.holders.map(holder => holder.account))),
+        ...pending.map(operation => operation.account)
+    ]);
+    for (const account of holders) {
+        const code = await ethers.provider.getCode(account);
+        accountKinds[account.toLowerCase()] = code === "0x" ? "eoa" : "contract";
+    }
+
+    console.log("\n📋 Role matrix");
+    console.log("-".repeat(60));
+    formatRoleMatrix(matrix, accountKinds).forEach(line => console.log(line));
+
+    if (pending.length > 0) {
+        console.log("\n⏳ Queued in KarmaTimelock");
+        for (const operation of pending) {
+            const eta = new Date(operation.eta * 1000).toISOString();
+            console.log(`   ${operation.action} ${operation.roleName} → ${operation.accountName || operation.account} on ${operation.contract} (eta ${eta})`);
+        }
+    }
+
+    // Step 3: Diff against the stage configs
+    const governance = [
+        ...GOVERNANCE_CONTRACTS.map(name => getContractEntry(manifest, name)).filter(Boolean).map(entry => entry.address),
+        ...parseList(process.env.AUDIT_GOVERNANCE)
+    ];
+    const accounts = Object.fromEntries(parseList(process.env.AUDIT_ACCOUNTS).map(pair => pair.split("=").map(part => part.trim())));
+    const result = diffRoleMatrix({
+        matrix,
+        pending,
+        expected: collectConfigRoles(),
+        contracts,
+        accountKinds,
+        governance,
+        accounts
+    });
+
+    console.log("\n🔍 Drift against stage configs");
+    console.log("-".repeat(60));
+    result.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+    result.errors.forEach(error => console.log(`❌ ${error}`));
+    if (result.errors.length === 0 && result.warnings.length === 0) {
+        console.log("✅ Role holders match the stage configs");
+    }
+
+    if (process.env.AUDIT_REPORT) {
+        fs.writeFileSync(process.env.AUDIT_REPORT, JSON.stringify({
+            network: network.name,
+            chainId: chainId.toString(),
+            block: toBlock,
+            generatedAt: new Date().toISOString(),
+            matrix,
+            pending,
+            accountKinds,
+            errors: result.errors,
+            warnings: result.warnings
+        }, null, 2));
+        console.log(`\n📄 Report written to ${process.env.AUDIT_REPORT}`);
+    }
+
+    console.log(`\n${result.isValid ? "✅" : "❌"} ${result.errors.length} errors, ${result.warnings.length} warnings`);
+    return result.isValid ? 0 : 1;
+}
+
+if (require.main === module) {
+    main()
+        .then((exitCode) => process.exit(exitCode))
+        .catch((error) => {
+            console.error("❌ Access-control audit failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,106 @@
+/**
+ * @title Deploy Karma Labs Ecosystem
+ * @dev Deploys stages 1-9 in dependency order and wires the cross-stage
+ *      integrations. Every contract is recorded in deployments/<network>.json.
+ *      Progress is saved after every step; re-running after a failure resumes
+ *      from the failed step without redeploying anything.
+ *
+ *      Each stage is its own Hardhat project, so contracts are loaded from
+ *      protocol/<stage>/artifacts; compile them first with
+ *      `npm run compile:stages`.
+ *
+ * Environment:
+ *   DEPLOY_STAGES                Comma-separated stages to complete (default: all)
+ *   DEPLOY_FRESH                 "true" to ignore saved progress
+ *   ENTRY_POINT_ADDRESS          ERC-4337 EntryPoint override
+ *   USDC_TOKEN_ADDRESS           USDC token override
+ *   TREASURY_APPROVERS           Comma-separated Treasury withdrawal approvers
+ *   TREASURY_MULTISIG_THRESHOLD  Treasury approval threshold
+ */
+
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const path = require("path");
+
+const { DeploymentOrchestrator } = require("../utils/deployment-orchestrator");
+const { getDeploymentsDir, getManifestPath } = require("../utils/deployment-manifest");
+const { buildEcosystemPlan } = require("../utils/ecosystem-deployment-plan");
+const { createStageArtifactResolver } = require("../utils/stage-artifacts");
+const { parseList } = require("../utils/cli");
+
+async function main() {
+    console.log("🚀 Deploying Karma Labs Ecosystem");
+    console.log("=".repeat(60));
+
+    const signers = await ethers.getSigners();
+    const deployer = signers[0];
+    const admin = signers[1] || deployer;
+
+    const { chainId } = await ethers.provider.getNetwork();
+    console.log(`📊 Network: ${network.name} (Chain ID: ${chainId})`);
+    console.log(`👤 Deployer: ${deployer.address}`);
+    console.log(`👤 Admin: ${admin.address}`);
+
+    const balance = await ethers.provider.getBalance(deployer.address);
+    console.log(`💰 Deployer balance: ${ethers.formatEther(balance)} ETH`);
+
+    const params = {};
+    if (process.env.ENTRY_POINT_ADDRESS) params.entryPoint = process.env.ENTRY_POINT_ADDRESS;
+    if (process.env.USDC_TOKEN_ADDRESS) params.usdcToken = process.env.USDC_TOKEN_ADDRESS;
+    if (process.env.TREASURY_APPROVERS) params.treasuryApprovers = parseList(process.env.TREASURY_APPROVERS);
+    if (process.env.TREASURY_MULTISIG_THRESHOLD) {
+        params.treasuryThreshold = parseInt(process.env.TREASURY_MULTISIG_THRESHOLD, 10);
+    }
+
+    const plan = buildEcosystemPlan({ network: network.name, params });
+    const stages = parseList(process.env.DEPLOY_STAGES).map(stage => parseInt(stage, 10));
+
+    // The in-process hardhat chain is discarded on exit, so there is nothing to record
+    const persist = network.name !== "hardhat";
+    const statePath = persist ? path.join(getDeploymentsDir(), `${network.name}.progress.json`) : null;
+    const manifestPath = persist ? getManifestPath(network.name) : null;
+
+    const orchestrator = new DeploymentOrchestrator({
+        ethers,
+        steps: plan.steps,
+        signers: { deployer, admin },
+        network: network.name,
+        statePath,
+        manifestPath,
+        params: plan.params,
+        artifacts: createStageArtifactResolver({ fallback: hre.artifacts })
+    });
+
+    console.log(`🎯 Stages: ${stages.length > 0 ? stages.join(", ") : "all"}`);
+    if (persist) {
+        console.log(`💾 Manifest: ${path.relative(process.cwd(), manifestPath)}`);
+        console.log(`💾 Progress file: ${path.relative(process.cwd(), statePath)}`);
+    }
+    console.log("");
+
+    const { manifest } = await orchestrator.run({
+        stages,
+        fresh: process.env.DEPLOY_FRESH === "true"
+    });
+
+    console.log("\n" + "=".repeat(60));
+    console.log("📋 DEPLOYED CONTRACTS");
+    console.log("=".repeat(60));
+    for (const [id, entry] of Object.entries(manifest.contracts)) {
+        console.log(`   [stage ${entry.stage}] ${id}: ${entry.address}${entry.external ? " (external)" : ""}`);
+    }
+    console.log("\n🎉 Ecosystem deployment complete");
+
+    return manifest;
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Deployment failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,326 @@
+/**
+ * @title Dry-Run Deploy and Setup Scripts
+ * @dev Runs any deploy or setup script unchanged against the in-process
+ *      hardhat network and prices every transaction it sends: contract and
+ *      method, gas used, cost at the configured gas price and revert reason,
+ *      ending with the total budget. Manifests are read from and written to a
+ *      scratch copy, so a dry run never touches deployments/. Contracts are
+ *      loaded from each stage's own artifacts (npm run compile:stages),
+ *      starting with the stage the script belongs to. A script that fails
+ *      fails the dry run; no budget is reported for it.
+ *
+ * Usage:
+ *   DRY_RUN_SCRIPT=protocol/04-treasury-fund-management/scripts/deploy-stage4.2.js npm run dry-run
+ *
+ * Environment:
+ *   DRY_RUN_SCRIPT         Script to run (required)
+ *   DRY_RUN_GAS_PRICE      Gas price in gwei for cost estimates (default: 0.1)
+ *   DRY_RUN_FORK           Network from hardhat.config.js to fork, e.g. "arbitrum";
+ *                          its deployment manifest is used for contract addresses
+ *   DRY_RUN_FORK_BLOCK     Block number to fork from (default: latest)
+ *   DRY_RUN_DEPLOY_STAGES  Comma-separated stages to deploy first, so setup
+ *                          scripts have contracts to talk to (not priced)
+ *   DRY_RUN_SIGNERS        Comma-separated addresses to impersonate, in the order
+ *                          the script destructures ethers.getSigners()
+ *   DRY_RUN_REPORT         Write the transaction report as JSON to this path
+ */
+
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Module = require("module");
+
+const { TransactionTracer, formatEth } = require("../utils/transaction-tracer");
+const { DeploymentOrchestrator } = require("../utils/deployment-orchestrator");
+const { buildEcosystemPlan } = require("../utils/ecosystem-deployment-plan");
+const {
+    getStageDirectories,
+    getStageForPath,
+    readStageArtifacts,
+    createStageArtifactResolver
+} = require("../utils/stage-artifacts");
+const {
+    DEPLOYMENTS_DIR,
+    getManifestPath,
+    readManifest,
+    writeManifest,
+    createManifest,
+    serializeArgs
+} = require("../utils/deployment-manifest");
+const { parseList } = require("../utils/cli");
+
+const DEFAULT_GAS_PRICE_GWEI = "0.1";
+
+// Balance given to impersonated signers so they can pay for gas
+const IMPERSONATED_BALANCE = ethers.toBeHex(ethers.parseEther("1000"));
+
+/**
+ * Load name, ABI and bytecode for every compiled contract, root and stages
+ * @returns {Promise<Array<Object>>} Artifacts
+ */
+async function loadArtifacts() {
+    const names = await hre.artifacts.getAllFullyQualifiedNames();
+    const root = await Promise.all(names.map(name => hre.artifacts.readArtifact(name)));
+    const stages = Object.values(getStageDirectories()).flatMap(readStageArtifacts);
+    return [...root, ...stages].map(({ contractName, abi, bytecode }) => ({ contractName, abi, bytecode }));
+}
+
+/**
+ * Fork a configured network into the in-process chain and copy its manifest
+ * @param {string} forkNetwork - Network name from hardhat.config.js
+ * @param {string} sandbox - Scratch deployments directory
+ */
+async function forkNetwork(forkNetwork, sandbox) {
+    const networkConfig = hre.config.networks[forkNetwork];
+    if (!networkConfig || !networkConfig.url) {
+        throw new Error(`Network ${forkNetwork} has no url in hardhat.config.js`);
+    }
+
+    const forking = { jsonRpcUrl: networkConfig.url };
+    if (process.env.DRY_RUN_FORK_BLOCK) {
+        forking.blockNumber = parseInt(process.env.DRY_RUN_FORK_BLOCK, 10);
+    }
+    await network.provider.request({ method: "hardhat_reset", params: [{ forking }] });
+
+    const manifest = readManifest(getManifestPath(forkNetwork, DEPLOYMENTS_DIR));
+    if (manifest) {
+        const { chainId } = await ethers.provider.getNetwork();
+        writeManifest(getManifestPath(network.name, sandbox), { ...manifest, network: network.name, chainId: chainId.toString() });
+        console.log(`📄 Using ${forkNetwork} manifest (${Object.keys(manifest.contracts).length} contracts)`);
+    } else {
+        console.log(`⚠️  No deployment manifest for ${forkNetwork}; scripts will not find deployed contracts`);
+    }
+}
+
+/**
+ * Deploy prerequisite stages with the ecosystem plan so setup scripts have contracts
+ * @param {Array<number>} stages - Stages to deploy
+ * @param {string} sandbox - Scratch deployments directory
+ */
+async function deployPrerequisites(stages, sandbox) {
+    const signers = await ethers.getSigners();
+    const plan = buildEcosystemPlan({ network: network.name });
+    const orchestrator = new DeploymentOrchestrator({
+        ethers,
+        steps: plan.steps,
+        signers: { deployer: signers[0], admin: signers[1] || signers[0] },
+        network: network.name,
+        manifestPath: getManifestPath(network.name, sandbox),
+        params: plan.params,
+        artifacts: createStageArtifactResolver({ fallback: hre.artifacts }),
+        log: () => {}
+    });
+
+    const { manifest } = await orchestrator.run({ stages });
+    console.log(`📦 Deployed prerequisite stages ${stages.join(", ")} (${Object.keys(manifest.contracts).length} contracts, not priced)`);
+}
+
+/**
+ * Impersonate accounts, funding them for gas
+ * @param {Array<string>} addresses - Accounts to impersonate
+ * @returns {Promise<Array<Object>>} Impersonated signers
+ */
+async function impersonateSigners(addresses) {
+    const impersonated = [];
+    for (const address of addresses) {
+        await network.provider.request({ method: "hardhat_setBalance", params: [address, IMPERSONATED_BALANCE] });
+        impersonated.push(await ethers.getImpersonatedSigner(address));
+    }
+    console.log(`👤 Impersonating ${addresses.length} signer(s): ${addresses.join(", ")}`);
+    return impersonated;
+}
+
+/**
+ * Point the shared hre's ethers at stage artifacts, and at impersonated
+ * signers when given, for the length of the traced run
+ * @param {number|null} stage - Stage the script belongs to, searched first
+ * @param {Array<Object>|null} signers - Signers ethers.getSigners() returns
+ * @returns {Function} Restores the original ethers helpers
+ */
+function scopeScriptEnvironment(stage, signers) {
+    const resolver = createStageArtifactResolver();
+    const stages = Object.keys(getStageDirectories()).map(Number);
+    const searchOrder = stage === null ? stages : [stage, ...stages.filter(other => other !== stage)];
+    const original = {
+        getContractFactory: ethers.getContractFactory,
+        getContractAt: ethers.getContractAt,
+        getSigners: ethers.getSigners
+    };
+
+    // The stages first, then the root project; a name compiled nowhere is an error
+    const findArtifact = async (name) => {
+        for (const candidate of searchOrder) {
+            if (await resolver.hasArtifact(name, candidate)) return resolver.readArtifact(name, candidate);
+        }
+        if (await hre.artifacts.artifactExists(name)) return hre.artifacts.readArtifact(name);
+        throw new Error(
+            `No compiled artifact for ${name} in any stage; compile the stage that declares it ` +
+            "with `npm run compile:stages -- <stage>`"
+        );
+    };
+
+    ethers.getContractFactory = async (name, ...rest) => {
+        if (typeof name !== "string") return original.getContractFactory(name, ...rest);
+        return ethers.getContractFactoryFromArtifact(await findArtifact(name), ...rest);
+    };
+    ethers.getContractAt = async (name, address, signer) => {
+        if (typeof name !== "string") return original.getContractAt(name, address, signer);
+        return ethers.getContractAtFromArtifact(await findArtifact(name), address, signer);
+    };
+    if (signers) {
+        ethers.getSigners = async () => signers;
+    }
+
+    return () => Object.assign(ethers, original);
+}
+
+/**
+ * Run a script as if it were started with `hardhat run`, so its
+ * `require.main === module` guard fires, and wait for it to finish
+ * @param {string} filename - Absolute script path
+ * @param {Function} restore - Undoes scopeScriptEnvironment once the script is done
+ * @returns {Promise<number>} Exit code the script asked for
+ */
+function runScriptAsMain(filename, restore) {
+    return new Promise((resolve) => {
+        const originalExit = process.exit;
+        const originalMain = process.mainModule;
+
+        const finish = (code) => {
+            process.exit = originalExit;
+            process.mainModule = originalMain;
+            restore();
+            process.removeListener("beforeExit", onIdle);
+            resolve(code);
+        };
+        // Scripts that never call process.exit are done once the event loop drains
+        const onIdle = () => finish(process.exitCode || 0);
+
+        process.exit = (code) => finish(code ?? 0);
+        process.once("beforeExit", onIdle);
+
+        const script = new Module(filename, module);
+        script.filename = filename;
+        script.paths = Module._nodeModulePaths(path.dirname(filename));
+        process.mainModule = script;
+
+        try {
+            script.load(filename);
+        } catch (error) {
+            console.error(`❌ ${path.basename(filename)} threw while loading: ${error.message}`);
+            finish(1);
+        }
+    });
+}
+
+async function main() {
+    const target = process.env.DRY_RUN_SCRIPT;
+    if (!target) {
+        throw new Error("Set DRY_RUN_SCRIPT to the deploy or setup script to preview");
+    }
+    if (network.name !== "hardhat") {
+        throw new Error(`Dry runs use the in-process hardhat network, not ${network.name}; use DRY_RUN_FORK to fork it`);
+    }
+
+    const scriptPath = path.resolve(target);
+    const gasPriceGwei = process.env.DRY_RUN_GAS_PRICE || DEFAULT_GAS_PRICE_GWEI;
+    const gasPrice = ethers.parseUnits(gasPriceGwei, "gwei");
+
+    console.log("🧪 Dry run: " + path.relative(process.cwd(), scriptPath));
+    console.log("=".repeat(60));
+    console.log(`⛽ Gas price: ${gasPriceGwei} gwei`);
+
+    // Everything the script reads or writes under deployments/ goes to a scratch copy
+    const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), "karma-dry-run-"));
+    process.env.DEPLOYMENTS_DIR = sandbox;
+
+    try {
+        if (process.env.DRY_RUN_FORK) {
+            await forkNetwork(process.env.DRY_RUN_FORK, sandbox);
+        }
+
+        const stages = parseList(process.env.DRY_RUN_DEPLOY_STAGES).map(stage => parseInt(stage, 10));
+        if (stages.length > 0) {
+            await deployPrerequisites(stages, sandbox);
+        }
+
+        const signerAddresses = parseList(process.env.DRY_RUN_SIGNERS);
+        const signers = signerAddresses.length > 0 ? await impersonateSigners(signerAddresses) : null;
+
+        const manifest = readManifest(getManifestPath(network.name, sandbox)) || createManifest(network.name, 0);
+        const tracer = new TransactionTracer({
+            artifacts: await loadArtifacts(),
+            addresses: Object.fromEntries(Object.values(manifest.contracts).map(entry => [entry.address, entry.contract])),
+            gasPrice
+        });
+
+        console.log("\n" + "=".repeat(60));
+        console.log("▶️  SCRIPT OUTPUT");
+        console.log("=".repeat(60));
+
+        tracer.attach(network.provider);
+        let exitCode;
+        try {
+            exitCode = await runScriptAsMain(scriptPath, scopeScriptEnvironment(getStageForPath(scriptPath), signers));
+        } finally {
+            tracer.detach();
+        }
+
+        // A budget for a script that stopped part way would understate the real cost
+        if (exitCode !== 0) {
+            throw new Error(
+                `${path.relative(process.cwd(), scriptPath)} exited with code ${exitCode} after ` +
+                `${tracer.records.length} transaction(s); no budget reported`
+            );
+        }
+
+        const summary = tracer.summary();
+
+        console.log("\n" + "=".repeat(60));
+        console.log("💸 DRY RUN BUDGET");
+        console.log("=".repeat(60));
+        for (const record of tracer.records) {
+            const cost = record.gasUsed === null ? "n/a" : `${formatEth(record.gasUsed * gasPrice)} ETH`;
+            const gas = record.gasUsed === null ? "n/a" : record.gasUsed.toLocaleString("en-US");
+            const status = record.status === "success" ? "✅" : `❌ ${record.reason}`;
+            console.log(`   [${record.index}] ${record.label.padEnd(48)} ${gas.padStart(12)} gas  ${cost}  ${status}`);
+        }
+        console.log("-".repeat(60));
+        console.log(`📊 Transactions: ${summary.transactions} (${summary.succeeded} succeeded, ${summary.reverted} reverted)`);
+        console.log(`⛽ Total gas: ${summary.totalGas.toLocaleString("en-US")}`);
+        console.log(`💰 Total budget: ${formatEth(summary.totalCost)} ETH at ${gasPriceGwei} gwei`);
+        if (summary.unpricedReverts > 0) {
+            console.log(`⚠️  ${summary.unpricedReverts} reverted transaction(s) could not be priced`);
+        }
+
+        if (process.env.DRY_RUN_REPORT) {
+            const report = {
+                script: path.relative(process.cwd(), scriptPath),
+                network: process.env.DRY_RUN_FORK || network.name,
+                gasPriceGwei,
+                exitCode,
+                summary: serializeArgs(summary),
+                transactions: serializeArgs(tracer.records)
+            };
+            fs.writeFileSync(process.env.DRY_RUN_REPORT, JSON.stringify(report, null, 2) + "\n");
+            console.log(`💾 Report written to ${process.env.DRY_RUN_REPORT}`);
+        }
+
+        return { exitCode, summary, transactions: tracer.records };
+    } finally {
+        fs.rmSync(sandbox, { recursive: true, force: true });
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(({ summary }) => process.exit(summary.reverted === 0 ? 0 : 1))
+        .catch((error) => {
+            console.error("❌ Dry run failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,103 @@
+/**
+ * @title Tax-Lot Export
+ * @dev Writes cost-basis records for each beneficiary's vested KARMA: one
+ *      row per lot, with its acquisition date, quantity, fair market value
+ *      from the price file and the claim transaction that paid it out.
+ *      Lots follow the generateVestingSchedule release dates and the
+ *      VestingVault claim history. Each beneficiary's lots are written to
+ *      <address>.csv.
+ *
+ * Environment:
+ *   TAX_PRICE_FILE        CSV (date,price) or JSON ({ "YYYY-MM-DD": price }) of USD prices (required)
+ *   TAX_BENEFICIARIES     Comma-separated addresses (default: every beneficiary with a VestingVault schedule)
+ *   TAX_FREQUENCY         Seconds between release dates (default: calendar months from each start)
+ *   TAX_PRICE_MAX_AGE     Days a lot may fall back to an earlier price (default: 7)
+ *   TAX_BLOCK_RANGE       Blocks per eth_getLogs request when reading claims (default: 2000)
+ *   TAX_OUTPUT_DIR        Output directory (default: tax-lots/<network>)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+
+const { formatCsv } = require("../utils/csv");
+const { loadManifest, getContractEntry } = require("../utils/deployment-manifest");
+const { fetchVestingSchedules } = require("../utils/unlock-forecast");
+const {
+    DEFAULT_RELEASE_FREQUENCY,
+    DEFAULT_BLOCK_RANGE,
+    fetchBeneficiaryVesting,
+    fetchClaims,
+    formatKarma
+} = require("../utils/vesting-statement");
+const {
+    DEFAULT_MAX_PRICE_AGE_DAYS,
+    loadPriceFile,
+    buildTaxLots,
+    formatUsd,
+    toTaxLotRecords
+} = require("../utils/tax-lots");
+const { parseList } = require("../utils/cli");
+
+async function main() {
+    console.log("🧾 KARMA Tax-Lot Export");
+    console.log("=".repeat(60));
+
+    if (!process.env.TAX_PRICE_FILE) throw new Error("Set TAX_PRICE_FILE to a CSV or JSON file of daily USD prices");
+    const prices = loadPriceFile(process.env.TAX_PRICE_FILE);
+    console.log(`💵 ${prices.size} daily prices from ${process.env.TAX_PRICE_FILE}`);
+
+    const manifest = loadManifest(network.name);
+    const vault = getContractEntry(manifest, "VestingVault");
+    if (!vault) throw new Error(`VestingVault not found in deployment manifest for ${network.name}`);
+
+    const beneficiaries = process.env.TAX_BENEFICIARIES
+        ? parseList(process.env.TAX_BENEFICIARIES).map(address => ethers.getAddress(address))
+        : [...new Set((await fetchVestingSchedules(ethers.provider, { vestingVault: vault.address })).map(schedule => schedule.beneficiary))];
+    const options = {
+        frequency: process.env.TAX_FREQUENCY ? parseInt(process.env.TAX_FREQUENCY, 10) : DEFAULT_RELEASE_FREQUENCY,
+        maxPriceAgeDays: parseInt(process.env.TAX_PRICE_MAX_AGE || DEFAULT_MAX_PRICE_AGE_DAYS, 10)
+    };
+
+    const blockNumber = await ethers.provider.getBlockNumber();
+    console.log(`📊 Network: ${network.name}, block ${blockNumber}, ${beneficiaries.length} beneficiaries`);
+
+    const claims = await fetchClaims(ethers.provider, vault.address, {
+        beneficiary: beneficiaries.length === 1 ? beneficiaries[0] : undefined,
+        fromBlock: vault.blockNumber ?? 0,
+        toBlock: blockNumber,
+        blockRange: parseInt(process.env.TAX_BLOCK_RANGE || DEFAULT_BLOCK_RANGE, 10)
+    });
+    console.log(`📥 ${claims.length} claims read`);
+
+    const outputDir = process.env.TAX_OUTPUT_DIR || path.join("tax-lots", network.name);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    let warnings = 0;
+    for (const beneficiary of beneficiaries) {
+        const vesting = await fetchBeneficiaryVesting(ethers.provider, { vestingVault: vault.address }, beneficiary, { blockTag: blockNumber });
+        const taxLots = buildTaxLots(vesting, claims, prices, options);
+        const { columns, records } = toTaxLotRecords(taxLots);
+        fs.writeFileSync(path.join(outputDir, `${beneficiary}.csv`), formatCsv(records, columns));
+
+        const { totals } = taxLots;
+        console.log(`  ${beneficiary}  ${records.length} lots, ${formatKarma(totals.quantity)} KARMA vested ($${formatUsd(totals.costBasis)}), ${formatKarma(totals.claimedQuantity)} claimed ($${formatUsd(totals.claimedCostBasis)})`);
+        taxLots.warnings.forEach(warning => console.log(`    ⚠️  ${warning}`));
+        warnings += taxLots.warnings.length;
+    }
+
+    console.log(`\n💾 Tax lots written to ${outputDir}`);
+    if (warnings > 0) console.log(`⚠️  ${warnings} warnings: lots without a price have no cost basis`);
+    console.log("✅ Done");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,118 @@
+/**
+ * @title Unlock Forecast
+ * @dev Writes the day-by-day KARMA unlock calendar and circulating supply
+ *      forecast for a network: every VestingVault schedule (including those
+ *      created through TeamVesting, PrivateSaleVesting and SaleManager),
+ *      merged with the unscheduled part of TOKEN_CONSTANTS.ALLOCATIONS.
+ *      Produces <network>-unlock-calendar.csv (unlocked per category per day),
+ *      <network>-circulating-supply.csv (unlocked to date) and
+ *      <network>-unlock-forecast.json (both, plus the allocation summary).
+ *
+ * Environment:
+ *   FORECAST_FROM         First day, ISO date (default: today, UTC)
+ *   FORECAST_DAYS         Days to forecast (default: 1461, four years)
+ *   FORECAST_TGE          Token generation event, ISO date or time (default: FORECAST_FROM)
+ *   FORECAST_POLICIES     JSON file of unlock policies for unscheduled allocations,
+ *                         e.g. { "STAKING_REWARDS": { "type": "linear", "duration": 126144000 } }
+ *   FORECAST_OUTPUT_DIR   Output directory (default: unlock-forecasts)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+
+const { formatCsv } = require("../utils/csv");
+const { loadManifest, getContractEntry, getContractAddress } = require("../utils/deployment-manifest");
+const {
+    fetchVestingSchedules,
+    buildForecast,
+    toCalendarRecords,
+    toSupplyRecords,
+    toForecastJson
+} = require("../utils/unlock-forecast");
+
+const DEFAULT_DAYS = 1461;
+const DEFAULT_OUTPUT_DIR = "unlock-forecasts";
+
+function parseDate(value, name) {
+    const timestamp = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(timestamp)) throw new Error(`${name} must be an ISO date, got ${value}`);
+    return Math.floor(timestamp / 1000);
+}
+
+async function main() {
+    console.log("📅 KARMA Unlock Forecast");
+    console.log("=".repeat(60));
+
+    const manifest = loadManifest(network.name);
+    const optionalAddress = (name) => getContractEntry(manifest, name)?.address;
+
+    const from = process.env.FORECAST_FROM ? parseDate(process.env.FORECAST_FROM, "FORECAST_FROM") : Math.floor(Date.now() / 1000);
+    const days = parseInt(process.env.FORECAST_DAYS || DEFAULT_DAYS, 10);
+    const tgeTime = process.env.FORECAST_TGE ? parseDate(process.env.FORECAST_TGE, "FORECAST_TGE") : undefined;
+    const policies = process.env.FORECAST_POLICIES ? JSON.parse(fs.readFileSync(process.env.FORECAST_POLICIES, "utf8")) : {};
+
+    const schedules = await fetchVestingSchedules(ethers.provider, {
+        vestingVault: getContractAddress(manifest, "VestingVault"),
+        teamVesting: optionalAddress("TeamVesting"),
+        privateSaleVesting: optionalAddress("PrivateSaleVesting")
+    });
+    console.log(`📊 Network: ${network.name}, ${schedules.length} vesting schedules`);
+
+    const forecast = buildForecast(schedules, { from, days, tgeTime, policies });
+
+    // ============ SUMMARY ============
+
+    console.log("\nAllocations (KARMA):");
+    for (const [category, allocation] of Object.entries(forecast.allocations)) {
+        console.log(`  ${category.padEnd(18)} ${ethers.formatEther(allocation.allocation).padStart(14)} allocated, ${ethers.formatEther(allocation.scheduled)} scheduled, rest ${allocation.policy}`);
+    }
+
+    console.log("\nCirculating supply:");
+    for (const offset of [0, 30, 90, 180, 365, days - 1].filter(offset => offset < days)) {
+        const day = forecast.calendar[offset];
+        console.log(`  ${day.date}  ${ethers.formatEther(day.circulatingSupply).padStart(16)} KARMA (${(day.circulatingBps / 100).toFixed(2)}%)`);
+    }
+
+    const largest = forecast.calendar
+        .filter(day => day.totalUnlocked > 0n)
+        .sort((a, b) => (a.totalUnlocked < b.totalUnlocked ? 1 : a.totalUnlocked > b.totalUnlocked ? -1 : 0))
+        .slice(0, 5);
+    console.log("\nLargest unlock days:");
+    largest.forEach(day => console.log(`  ${day.date}  ${ethers.formatEther(day.totalUnlocked)} KARMA`));
+
+    // ============ OUTPUT ============
+
+    const outputDir = process.env.FORECAST_OUTPUT_DIR || DEFAULT_OUTPUT_DIR;
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const calendar = toCalendarRecords(forecast);
+    const supply = toSupplyRecords(forecast);
+    const files = {
+        [`${network.name}-unlock-calendar.csv`]: formatCsv(calendar.records, calendar.columns),
+        [`${network.name}-circulating-supply.csv`]: formatCsv(supply.records, supply.columns),
+        [`${network.name}-unlock-forecast.json`]: JSON.stringify(toForecastJson(forecast, {
+            network: network.name,
+            generatedAt: new Date().toISOString(),
+            schedules: schedules.length
+        }), null, 2)
+    };
+
+    console.log("");
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(outputDir, name), content);
+        console.log(`💾 ${path.join(outputDir, name)}`);
+    }
+    console.log(`✅ ${days} days, ${forecast.calendar[0].date} to ${forecast.calendar[days - 1].date}`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,181 @@
+/**
+ * @title Vesting Roster Import
+ * @dev Creates the vesting schedules of a CSV or JSON roster through
+ *      VestingVault.createVestingSchedulesBatch or, for team grants,
+ *      TeamVesting.createTeamVestingSchedulesBatch. The roster is validated
+ *      and the vault's funding checked before anything is sent; batches are
+ *      sized from gas estimates and progress is saved after every
+ *      transaction, so re-running the same command resumes an interrupted
+ *      import.
+ *
+ * Usage:
+ *   HARDHAT_NETWORK=arbitrum node scripts/import-vesting-roster.js roster.csv [--target vault|team]
+ *        [--progress file] [--max-gas 15000000] [--dry-run]
+ *
+ *   roster.csv: beneficiary,amount,template,start,cliff,duration,type,department,role
+ *     amount in KARMA; template is a VestingTemplateManager template, or give
+ *     cliff and duration (seconds or 90d, 6mo, 4y); start is unix seconds or an
+ *     ISO date; type is the schedule or investor type. department and role are
+ *     only needed to register new TeamVesting members.
+ */
+
+const { loadManifest, getContractEntry, getContractAddress } = require("../utils/deployment-manifest");
+const { ROLES } = require("../utils/role-registry");
+const {
+    ROSTER_TARGETS,
+    DEFAULT_GAS_FRACTION,
+    VESTING_VAULT_ABI,
+    TEAM_VESTING_ABI,
+    TEMPLATE_MANAGER_ABI,
+    loadRoster,
+    normalizeRoster,
+    hashRoster,
+    checkFunding,
+    getProgressPath,
+    loadProgress,
+    saveProgress,
+    resolvePending,
+    importRoster
+} = require("../utils/vesting-roster");
+const { VESTING_CONSTANTS } = require("../protocol/02-vesting-system-architecture/utils/vesting-calculator");
+const { parseArgs } = require("../utils/cli");
+
+// ============ HELPERS ============
+
+/**
+ * Templates from the deployed VestingTemplateManager, or the defaults it creates
+ */
+async function loadTemplates(ethers, manifest) {
+    const entry = getContractEntry(manifest, "VestingTemplateManager");
+    if (!entry) return VESTING_CONSTANTS.DEFAULT_TEMPLATES;
+
+    const manager = new ethers.Contract(entry.address, TEMPLATE_MANAGER_ABI, ethers.provider);
+    const names = await manager.getAvailableTemplates();
+    return Promise.all(names.map(name => manager.getVestingTemplate(name)));
+}
+
+async function requireRole(contract, name, role, account) {
+    if (!await contract.hasRole(ROLES[role], account)) {
+        throw new Error(`${account} does not hold ${role} on ${name}`);
+    }
+}
+
+// ============ MAIN ============
+
+async function main(argv = process.argv.slice(2)) {
+    const { positional: [roster], flags } = parseArgs(argv);
+    if (!roster) throw new Error("Usage: import-vesting-roster.js <roster.csv|roster.json> [--target vault|team]");
+    const target = flags.target || ROSTER_TARGETS.VAULT;
+
+    const { ethers, network } = require("hardhat");
+    const manifest = loadManifest(network.name);
+    const [signer] = await ethers.getSigners();
+    const latest = await ethers.provider.getBlock("latest");
+
+    console.log("📋 Vesting Roster Import");
+    console.log("=".repeat(60));
+    console.log(`📊 Network: ${network.name}, roster ${roster}, target ${target}`);
+
+    // ============ VALIDATION ============
+
+    const rows = loadRoster(roster);
+    const { entries, total, isValid, errors, warnings } = normalizeRoster(rows, {
+        target,
+        templates: await loadTemplates(ethers, manifest),
+        now: latest.timestamp
+    });
+    warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+    errors.forEach(error => console.log(`❌ ${error}`));
+    if (!isValid) throw new Error(`${errors.length} invalid roster rows; nothing was sent`);
+    console.log(`✅ ${entries.length} schedules, ${ethers.formatEther(total)} KARMA`);
+
+    const vault = new ethers.Contract(getContractAddress(manifest, "VestingVault"), VESTING_VAULT_ABI, signer);
+    const funding = checkFunding(await vault.getContractStats(), total);
+    console.log(`💰 Vault balance ${ethers.formatEther(funding.available)} KARMA, owed ${ethers.formatEther(funding.outstanding)}, needed ${ethers.formatEther(funding.required)}`);
+    if (!funding.isFunded) {
+        throw new Error(`VestingVault is ${ethers.formatEther(funding.shortfall)} KARMA short of this roster`);
+    }
+
+    // ============ TARGET CHECKS ============
+
+    let contract = vault;
+    let batched = true;
+    let unregistered = [];
+    if (target === ROSTER_TARGETS.TEAM) {
+        contract = new ethers.Contract(getContractAddress(manifest, "TeamVesting"), TEAM_VESTING_ABI, signer);
+        const teamAddress = await contract.getAddress();
+        await requireRole(contract, "TeamVesting", "TEAM_MANAGER_ROLE", signer.address);
+        await requireRole(vault, "VestingVault", "VESTING_MANAGER_ROLE", teamAddress);
+
+        const members = [...new Set(entries.map(entry => entry.beneficiary))];
+        const details = await Promise.all(members.map(member => contract.getTeamMemberDetails(member)));
+        unregistered = members.filter((_, i) => details[i].joinDate === 0n);
+        const inactive = members.find((_, i) => details[i].joinDate > 0n && !details[i].isActive);
+        if (inactive) throw new Error(`${inactive} is an inactive TeamVesting member`);
+        if (unregistered.length > 0) {
+            console.log(`👤 ${unregistered.length} members will be registered first`);
+            await requireRole(contract, "TeamVesting", "HR_ROLE", signer.address);
+        }
+
+        // createTeamVestingSchedulesBatch calls this.createTeamVestingSchedule, so TeamVesting needs TEAM_MANAGER_ROLE itself
+        batched = await contract.hasRole(ROLES.TEAM_MANAGER_ROLE, teamAddress);
+        if (!batched) console.log("⚠️  TeamVesting does not hold TEAM_MANAGER_ROLE; creating one schedule per transaction");
+    } else {
+        await requireRole(vault, "VestingVault", "VESTING_MANAGER_ROLE", signer.address);
+    }
+
+    if (flags["dry-run"]) {
+        console.log("\n🧪 Dry run: roster is valid and funded; nothing was sent");
+        return;
+    }
+
+    // ============ IMPORT ============
+
+    const progressFile = flags.progress || getProgressPath(roster);
+    const progress = loadProgress(progressFile, {
+        network: network.name,
+        target,
+        contract: await contract.getAddress(),
+        rosterHash: hashRoster(target, entries)
+    });
+    const save = (state) => saveProgress(progressFile, state);
+
+    if (progress.pending.length > 0) {
+        const { confirmed, failed } = await resolvePending(progress, ethers.provider);
+        console.log(`↩️  Resuming: ${confirmed} earlier transactions confirmed, ${failed} to resend`);
+        save(progress);
+    }
+    const done = entries.filter(entry => progress.completed[entry.line]).length;
+    if (done > 0) console.log(`↩️  ${done} of ${entries.length} schedules already created`);
+
+    const maxGas = flags["max-gas"]
+        ? BigInt(flags["max-gas"])
+        : (latest.gasLimit * BigInt(Math.round(DEFAULT_GAS_FRACTION * 100))) / 100n;
+    console.log(`⛽ Gas budget per transaction: ${maxGas}`);
+
+    const result = await importRoster({
+        target,
+        contract,
+        entries,
+        progress,
+        save,
+        maxGas,
+        batched,
+        unregistered,
+        log: console.log
+    });
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`✅ Import complete: ${result.schedules} schedules in ${result.transactions} transactions (progress in ${progressFile})`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,57 @@
+/**
+ * @title Token Holder Index
+ * @dev Brings the local KarmaToken holder index up to date and prints holder,
+ *      supply and transfer metrics. The monitoring dashboard syncs the same
+ *      index on every refresh; run this to build it up front or to inspect it.
+ *
+ * Environment:
+ *   HOLDER_DATABASE       SQLite file (default: deployments/<network>.holders.sqlite)
+ *   HOLDER_BLOCK_RANGE    Blocks per eth_getLogs request (default: 2000)
+ *   HOLDER_CONFIRMATIONS  Blocks behind the head to stop at (default: 0)
+ */
+
+const { ethers, network } = require("hardhat");
+
+const { loadManifest } = require("../utils/deployment-manifest");
+const { DEFAULT_BLOCK_RANGE, getHolderDatabasePath, createHolderIndexer } = require("../utils/token-holder-indexer");
+
+async function main() {
+    console.log("📇 Indexing KarmaToken Holders");
+    console.log("=".repeat(60));
+
+    const database = process.env.HOLDER_DATABASE || getHolderDatabasePath(network.name);
+    const indexer = createHolderIndexer(ethers.provider, loadManifest(network.name), {
+        database,
+        blockRange: parseInt(process.env.HOLDER_BLOCK_RANGE || DEFAULT_BLOCK_RANGE, 10),
+        confirmations: parseInt(process.env.HOLDER_CONFIRMATIONS || "0", 10),
+        log: console.log
+    });
+    console.log(`📊 Network: ${network.name}, index ${database}`);
+
+    try {
+        const { fromBlock, toBlock, transfers, rolledBack } = await indexer.sync();
+        if (rolledBack > 0) console.log(`↩️  ${rolledBack} transfers rolled back after a re-org`);
+        console.log(`✅ Blocks ${fromBlock}-${toBlock} indexed (${transfers} transfers)`);
+
+        const stats = indexer.getTransferStats(Math.floor(Date.now() / 1000) - 24 * 60 * 60);
+        console.log("\n" + "=".repeat(60));
+        console.log(`Holders:             ${indexer.getHolderCount()}`);
+        console.log(`Total supply:        ${ethers.formatEther(indexer.getTotalSupply())} KARMA`);
+        console.log(`Circulating supply:  ${ethers.formatEther(indexer.getCirculatingSupply())} KARMA`);
+        console.log(`Transfers (24h):     ${stats.count}`);
+        console.log(`Average size (24h):  ${ethers.formatEther(stats.average)} KARMA`);
+    } finally {
+        indexer.close();
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,110 @@
+/**
+ * @title Whitelist Ingestion
+ * @dev Validates the KYC vendor's CSV or XLSX export and writes the accepted
+ *      participants for Stage 3 generateTieredWhitelist together with a
+ *      rejection report listing every refused row and why. Tiers and the
+ *      whitelist size limit come from the Stage 3.2 config.
+ *
+ * Usage:
+ *   node scripts/ingest-whitelist.js export.csv|export.xlsx [--sheet name] [--tiers PARTNER,COMMUNITY,PUBLIC]
+ *        [--default-tier PUBLIC] [--require-checksum] [--out dir]
+ *
+ *   export: one row per participant with an address column (address, wallet,
+ *     wallet address, ...) and optionally tier, KYC status and max contribution
+ *     (ETH) columns; other columns are ignored. Rows whose KYC status column
+ *     is not approved/verified/passed are rejected.
+ *
+ * Output (default: whitelists/<export name>/):
+ *   participants.json  Accepted { address, tier, row, maxContribution? } entries
+ *   rejections.csv     row,address,reason for every rejected row
+ *   report.json        Counts, warnings and errors
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { formatCsv } = require("../utils/csv");
+const { findStageConfigPath } = require("../utils/config-loader");
+const { DEFAULT_TIER, loadWhitelistRows, ingestWhitelist } = require("../utils/whitelist-ingestion");
+const { parseList, parseArgs } = require("../utils/cli");
+
+// ============ HELPERS ============
+
+/**
+ * Tiers and size limit from stage3.2-config.json whitelistManagement
+ */
+function loadWhitelistSettings() {
+    const config = JSON.parse(fs.readFileSync(findStageConfigPath("3.2"), "utf8"));
+    const management = config.whitelistManagement || {};
+    return {
+        tiers: (management.tiers || []).map(entry => entry.tier),
+        maxWhitelistSize: management.merkleTree?.maxSize
+    };
+}
+
+function writeJson(file, value) {
+    const json = JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item), 2);
+    fs.writeFileSync(file, `${json}\n`);
+}
+
+// ============ MAIN ============
+
+async function main(argv = process.argv.slice(2)) {
+    const { positional: [file], flags } = parseArgs(argv);
+    if (!file) throw new Error("Usage: ingest-whitelist.js <export.csv|export.xlsx> [--sheet name]");
+
+    const settings = loadWhitelistSettings();
+    const tiers = typeof flags.tiers === "string" ? parseList(flags.tiers) : settings.tiers;
+    const outputDir = flags.out || path.join("whitelists", path.basename(file, path.extname(file)));
+
+    console.log("📋 Whitelist Ingestion");
+    console.log("=".repeat(60));
+    console.log(`📄 ${file}${flags.sheet ? ` (sheet ${flags.sheet})` : ""}, tiers ${tiers.join(", ")}`);
+
+    const rows = await loadWhitelistRows(file, { sheet: typeof flags.sheet === "string" ? flags.sheet : undefined });
+    const result = ingestWhitelist(rows, {
+        tiers,
+        defaultTier: typeof flags["default-tier"] === "string" ? flags["default-tier"] : DEFAULT_TIER,
+        requireChecksum: flags["require-checksum"] === true,
+        maxWhitelistSize: settings.maxWhitelistSize
+    });
+    result.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    writeJson(path.join(outputDir, "participants.json"), result.accepted);
+    fs.writeFileSync(path.join(outputDir, "rejections.csv"), formatCsv(result.rejected, ["row", "address", "reason"]));
+    writeJson(path.join(outputDir, "report.json"), {
+        source: path.resolve(file),
+        sheet: flags.sheet || null,
+        generatedAt: new Date().toISOString(),
+        stats: result.stats,
+        warnings: result.warnings,
+        errors: result.errors
+    });
+
+    console.log(`\n📊 ${result.stats.rows} rows: ${result.stats.accepted} accepted, ${result.stats.rejected} rejected`);
+    for (const [tier, count] of Object.entries(result.stats.byTier)) {
+        console.log(`   ${tier.padEnd(10)} ${count}`);
+    }
+    result.rejected.slice(0, 10).forEach(({ row, reason }) => console.log(`   ❌ row ${row}: ${reason}`));
+    if (result.rejected.length > 10) console.log(`   ... ${result.rejected.length - 10} more in rejections.csv`);
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`💾 Written to ${outputDir}`);
+    if (!result.isValid) {
+        result.errors.forEach(error => console.log(`❌ ${error}`));
+        throw new Error("Whitelist is not usable as exported");
+    }
+    console.log("✅ participants.json is ready for generateTieredWhitelist");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,221 @@
+/**
+ * @title Wallet Migration
+ * @dev Moves a contributor's vesting, staking, sale record and roles from
+ *      an old wallet to a new one. Planning reads everything tied to the
+ *      old address and writes the ordered migration transactions: the old
+ *      key's withdrawals as plain transactions, the admin steps as multisig
+ *      payloads for scripts/multisig-tx.js, and the new key's re-staking.
+ *      Run again with MIGRATE_PLAN once everything has executed to verify
+ *      that nothing was left on the old address.
+ *
+ * Usage:
+ *   MIGRATE_FROM=0x... MIGRATE_TO=0x... npx hardhat run scripts/migrate-wallet.js --network arbitrum
+ *   MIGRATE_PLAN=wallet-migrations/arbitrum/0x...json npx hardhat run scripts/migrate-wallet.js --network arbitrum
+ *
+ * Environment:
+ *   MIGRATE_FROM          Old address (required when planning)
+ *   MIGRATE_TO            New address (required when planning)
+ *   MIGRATE_AT            Start of the replacement vesting schedules, unix seconds or ISO
+ *                         date (default: 7 days from now, when the payloads expire)
+ *   MIGRATE_OLD_KEY_LOST  Set to "true" when the old key can no longer sign
+ *   MIGRATE_PLAN          Plan file to verify instead of planning
+ *   MIGRATE_BLOCK_RANGE   Blocks per eth_getLogs request when replaying roles (default: whole range)
+ *   MIGRATE_OUTPUT_DIR    Output directory (default: wallet-migrations/<network>)
+ *   MULTISIG_SIGNERS      Comma-separated multisig owners; admin payloads are only written when set
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+
+const { loadManifest, getContractEntry, getContractAddress } = require("../utils/deployment-manifest");
+const { createPayload } = require("../utils/multisig-payload");
+const { parseStartTime } = require("../utils/vesting-roster");
+const {
+    MIGRATION_SIGNERS,
+    MIGRATION_ROLE_CONTRACTS,
+    findAddressFootprint,
+    planMigration,
+    saveMigrationPlan,
+    loadMigrationPlan,
+    verifyMigration
+} = require("../utils/wallet-migration");
+const { parseList } = require("../utils/cli");
+
+// Manifest contracts behind each footprint address
+const FOOTPRINT_CONTRACTS = {
+    vestingVault: "VestingVault",
+    teamVesting: "TeamVestingManager",
+    templateManager: "VestingTemplateManager",
+    staking: "KarmaStaking",
+    saleManager: "SaleManager",
+    token: "KarmaToken"
+};
+
+const SIGNER_LABELS = {
+    [MIGRATION_SIGNERS.OLD]: "🔑 Old key",
+    [MIGRATION_SIGNERS.ADMIN]: "🏛️  Multisig",
+    [MIGRATION_SIGNERS.NEW]: "🆕 New key"
+};
+
+const karma = (value) => `${ethers.formatEther(value)} KARMA`;
+
+// ============ HELPERS ============
+
+/**
+ * Resolve footprint addresses and role contracts from the manifest
+ * @param {Object} manifest - Deployment manifest
+ * @returns {Object} { addresses, roleContracts }
+ */
+function getMigrationContracts(manifest) {
+    const addresses = {};
+    for (const [key, name] of Object.entries(FOOTPRINT_CONTRACTS)) {
+        const entry = getContractEntry(manifest, name);
+        if (entry) {
+            addresses[key] = entry.address;
+        } else {
+            console.log(`⚠️  ${name} not found in deployment manifest, skipping`);
+        }
+    }
+
+    const roleContracts = {};
+    for (const name of MIGRATION_ROLE_CONTRACTS) {
+        const entry = getContractEntry(manifest, name);
+        if (entry) roleContracts[name] = entry;
+    }
+    return { addresses, roleContracts };
+}
+
+function writeJson(file, value) {
+    fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+function printFootprint(footprint) {
+    const unpaid = footprint.schedules.filter(schedule => !schedule.revoked && schedule.totalAmount > schedule.claimedAmount);
+    console.log(`   Vesting schedules:  ${unpaid.length} unpaid of ${footprint.schedules.length}`);
+    if (footprint.beneficiary) console.log(`   Beneficiary:        ${footprint.beneficiary.beneficiaryType}${footprint.beneficiary.isActive ? "" : " (inactive)"}`);
+    if (footprint.teamMember) console.log(`   Team member:        ${footprint.teamMember.role}, ${footprint.teamMember.department}`);
+    if (footprint.staking) console.log(`   Stakes:             ${footprint.staking.stakes.length} active, ${karma(footprint.staking.pendingRewards)} rewards pending`);
+    if (footprint.participant) console.log(`   Sale participant:   KYC ${footprint.participant.kycStatus}, ${footprint.participant.purchaseCount} purchases`);
+    console.log(`   Balance:            ${karma(footprint.balance)}`);
+    console.log(`   Roles:              ${footprint.roles.map(entry => `${entry.roleName} on ${entry.contract}`).join(", ") || "none"}`);
+}
+
+// ============ PLAN ============
+
+async function plan(manifest, outputDir, options) {
+    if (!process.env.MIGRATE_FROM || !process.env.MIGRATE_TO) {
+        throw new Error("Set MIGRATE_FROM and MIGRATE_TO, or MIGRATE_PLAN to verify a migration");
+    }
+    const from = ethers.getAddress(process.env.MIGRATE_FROM);
+    const to = ethers.getAddress(process.env.MIGRATE_TO);
+    const at = process.env.MIGRATE_AT ? parseStartTime(process.env.MIGRATE_AT) : undefined;
+    if (Number.isNaN(at)) throw new Error(`Cannot read MIGRATE_AT "${process.env.MIGRATE_AT}"`);
+    const oldKeyAvailable = process.env.MIGRATE_OLD_KEY_LOST !== "true";
+
+    const { addresses, roleContracts } = getMigrationContracts(manifest);
+    console.log(`\n🔍 Reading ${from}`);
+    const footprint = await findAddressFootprint(ethers.provider, addresses, from, { roleContracts, blockRange: options.blockRange });
+    printFootprint(footprint);
+
+    const migration = planMigration(footprint, to, addresses, { at, oldKeyAvailable });
+    console.log(`\n📝 ${migration.steps.length} steps, replacement vesting from ${new Date(migration.at * 1000).toISOString()}`);
+    for (const step of migration.steps) {
+        console.log(`   ${String(step.step).padStart(2)}. ${SIGNER_LABELS[step.signer]}  ${step.summary}`);
+    }
+    migration.notes.forEach(note => console.log(`ℹ️  ${note}`));
+    migration.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+    const name = `${from}-${footprint.blockNumber}`;
+    const planFile = path.join(outputDir, `${name}.json`);
+    saveMigrationPlan(planFile, { network: network.name, plan: migration, footprint });
+
+    // Steps signed by the old and new keys are plain transactions
+    for (const signer of [MIGRATION_SIGNERS.OLD, MIGRATION_SIGNERS.NEW]) {
+        const steps = migration.steps.filter(step => step.signer === signer);
+        if (steps.length === 0) continue;
+        const file = path.join(outputDir, `${name}-${signer}-key.json`);
+        const transactions = steps.map(step => ({ step: step.step, from: signer === MIGRATION_SIGNERS.OLD ? from : to, to: step.target, data: step.data, summary: step.summary }));
+        writeJson(file, transactions);
+        console.log(`   ✍️  ${file}`);
+    }
+
+    const signers = parseList(process.env.MULTISIG_SIGNERS);
+    const adminSteps = migration.steps.filter(step => step.signer === MIGRATION_SIGNERS.ADMIN);
+    if (adminSteps.length > 0 && signers.length === 0) {
+        console.log("ℹ️  Set MULTISIG_SIGNERS to write multisig payloads for the admin steps");
+    } else {
+        for (const step of adminSteps) {
+            const payload = createPayload({
+                network: network.name,
+                chainId: manifest.chainId,
+                adminControl: getContractAddress(manifest, "AdminControl"),
+                contract: step.contract,
+                target: step.target,
+                action: { type: "call", signature: step.signature, args: step.args, data: step.data, summary: step.summary },
+                signers,
+                description: `Wallet migration ${from} → ${to}, step ${step.step}: ${step.summary}`
+            });
+            const file = path.join(outputDir, `${name}-step-${String(step.step).padStart(2, "0")}.payload.json`);
+            writeJson(file, payload);
+            console.log(`   ✍️  ${file}`);
+        }
+    }
+
+    console.log(`\n💾 Plan written to ${planFile}`);
+    console.log(`✅ Execute the steps in order, then verify with MIGRATE_PLAN=${planFile}`);
+}
+
+// ============ VERIFY ============
+
+async function verify(manifest, options) {
+    const { plan: migration, footprint: before } = loadMigrationPlan(process.env.MIGRATE_PLAN);
+    const { addresses, roleContracts } = getMigrationContracts(manifest);
+    const read = (account) => findAddressFootprint(ethers.provider, addresses, account, { roleContracts, blockRange: options.blockRange });
+
+    console.log(`\n🔍 Verifying ${migration.from} → ${migration.to}`);
+    const old = await read(migration.from);
+    const current = await read(migration.to);
+    console.log(`📊 Old address at block ${old.blockNumber}:`);
+    printFootprint(old);
+
+    const { complete, leftovers } = verifyMigration(migration, before, old, current);
+    console.log("\n" + "=".repeat(60));
+    if (complete) {
+        console.log("✅ Migration complete: nothing is left on the old address");
+        return;
+    }
+    leftovers.forEach(leftover => console.log(`❌ ${leftover}`));
+    throw new Error(`${leftovers.length} items left behind`);
+}
+
+// ============ MAIN ============
+
+async function main() {
+    console.log("🔁 KARMA Wallet Migration");
+    console.log("=".repeat(60));
+
+    const manifest = loadManifest(network.name);
+    const options = { blockRange: process.env.MIGRATE_BLOCK_RANGE ? parseInt(process.env.MIGRATE_BLOCK_RANGE, 10) : undefined };
+    console.log(`📊 Network: ${network.name}`);
+
+    if (process.env.MIGRATE_PLAN) {
+        await verify(manifest, options);
+        return;
+    }
+
+    const outputDir = process.env.MIGRATE_OUTPUT_DIR || path.join("wallet-migrations", network.name);
+    fs.mkdirSync(outputDir, { recursive: true });
+    await plan(manifest, outputDir, options);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,170 @@
+/**
+ * @title Multisig Transaction Builder
+ * @dev Builds admin actions for AdminControl.executeMultiSigTransaction into
+ *      portable JSON payloads, signs them offline and merges the signatures.
+ *      AdminControl does not check the signatures, so the threshold only binds
+ *      when the MULTISIG_ADMIN_ROLE holder is the Safe itself. A payload is
+ *      therefore executed by exporting it with export-safe and running the
+ *      batch from that Safe.
+ *
+ * Usage:
+ *   node scripts/multisig-tx.js build --network arbitrum --contract KarmaToken \
+ *        --action grant-role --role MINTER_ROLE --account 0x... --out grant-minter.json
+ *   node scripts/multisig-tx.js build ... --action call --signature "setTreasury(address)" --args '["0x..."]'
+ *   node scripts/multisig-tx.js sign grant-minter.json [--out grant-minter.alice.json]
+ *   node scripts/multisig-tx.js merge grant-minter.alice.json grant-minter.bob.json ... --out grant-minter.json
+ *   node scripts/multisig-tx.js status grant-minter.json
+ *   node scripts/multisig-tx.js export-safe grant-minter.json --safe 0x... [--route direct] --out batch.json
+ *
+ * Environment:
+ *   MULTISIG_SIGNERS            Comma-separated owner addresses for build (or --signers)
+ *   MULTISIG_SIGNER_KEY         Private key used by sign
+ *   MULTISIG_KEYSTORE           Encrypted JSON keystore used by sign instead of a raw key
+ *   MULTISIG_KEYSTORE_PASSWORD  Password for MULTISIG_KEYSTORE
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const { loadManifest, getContractAddress } = require("../utils/deployment-manifest");
+const {
+    encodeAction,
+    createPayload,
+    signPayload,
+    mergePayloads,
+    getPayloadStatus,
+    toSafeBatch
+} = require("../utils/multisig-payload");
+const { parseList, parseArgs } = require("../utils/cli");
+
+// ============ HELPERS ============
+
+function readPayload(file) {
+    if (!file) throw new Error("Payload file is required");
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeJson(file, value) {
+    fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Load the signing wallet from the environment without touching the network
+ * @returns {Promise<Object>} ethers Wallet
+ */
+async function loadWallet() {
+    if (process.env.MULTISIG_KEYSTORE) {
+        const keystore = fs.readFileSync(process.env.MULTISIG_KEYSTORE, "utf8");
+        return ethers.Wallet.fromEncryptedJson(keystore, process.env.MULTISIG_KEYSTORE_PASSWORD || "");
+    }
+    if (process.env.MULTISIG_SIGNER_KEY) {
+        return new ethers.Wallet(process.env.MULTISIG_SIGNER_KEY);
+    }
+    throw new Error("Set MULTISIG_SIGNER_KEY or MULTISIG_KEYSTORE to sign");
+}
+
+function printStatus(payload) {
+    const status = getPayloadStatus(payload);
+
+    console.log(`📋 Payload ${payload.id}`);
+    console.log(`   ${payload.action.contract}: ${payload.description}`);
+    console.log(`   Target: ${payload.transaction.target} (${payload.network}, chain ${payload.chainId})`);
+    console.log(`   Expires: ${new Date(payload.deadline * 1000).toISOString()}${status.expired ? " (expired)" : ""}`);
+    console.log(`✍️  Signatures: ${status.signed.length}/${status.threshold}`);
+    status.signed.forEach(signer => console.log(`   ✅ ${signer}`));
+    status.missing.forEach(signer => console.log(`   ⏳ ${signer}`));
+    status.invalid.forEach(({ signer, reason }) => console.log(`   ❌ ${signer}: ${reason}`));
+    if (status.tampered) console.log("❌ Payload was modified after it was built; rebuild and re-sign it");
+
+    return status;
+}
+
+// ============ COMMANDS ============
+
+function build({ flags }) {
+    const network = flags.network || "hardhat";
+    const manifest = loadManifest(network);
+    const signers = parseList(flags.signers || process.env.MULTISIG_SIGNERS);
+    if (!flags.contract || !flags.action || !flags.out) {
+        throw new Error("build needs --contract, --action and --out");
+    }
+
+    const action = encodeAction(flags.action, {
+        role: flags.role,
+        account: flags.account,
+        signature: flags.signature,
+        args: flags.args ? JSON.parse(flags.args) : []
+    });
+    const payload = createPayload({
+        network,
+        chainId: flags["chain-id"] || manifest.chainId,
+        adminControl: getContractAddress(manifest, "AdminControl"),
+        contract: flags.contract,
+        target: getContractAddress(manifest, flags.contract),
+        value: flags.value ? ethers.parseEther(flags.value) : 0n,
+        action,
+        signers,
+        description: flags.description
+    });
+
+    writeJson(flags.out, payload);
+    console.log(`✅ Built ${flags.out}`);
+    printStatus(payload);
+}
+
+async function sign({ positional, flags }) {
+    const [file] = positional;
+    const wallet = await loadWallet();
+    const signed = await signPayload(readPayload(file), wallet);
+
+    const out = flags.out || file;
+    writeJson(out, signed);
+    console.log(`✅ Signed by ${wallet.address} → ${out}`);
+    printStatus(signed);
+}
+
+function merge({ positional, flags }) {
+    if (!flags.out) throw new Error("merge needs --out");
+    const merged = mergePayloads(positional.map(readPayload));
+
+    writeJson(flags.out, merged);
+    console.log(`✅ Merged ${positional.length} payloads → ${flags.out}`);
+    printStatus(merged);
+}
+
+function status({ positional }) {
+    printStatus(readPayload(positional[0]));
+}
+
+function exportSafe({ positional, flags }) {
+    if (!flags.out) throw new Error("export-safe needs --out");
+    const payload = readPayload(positional[0]);
+    const { ready } = printStatus(payload);
+    if (!ready) throw new Error("Payload is not ready to export");
+    const batch = toSafeBatch(payload, { safeAddress: flags.safe, route: flags.route });
+
+    writeJson(flags.out, batch);
+    console.log(`✅ Safe transaction-builder batch written to ${flags.out}`);
+}
+
+const COMMANDS = { build, sign, merge, status, "export-safe": exportSafe };
+
+async function main(argv = process.argv.slice(2)) {
+    const { positional: [name, ...positional], flags } = parseArgs(argv);
+    const command = COMMANDS[name];
+    if (!command) {
+        throw new Error(`Unknown command ${name} (expected one of ${Object.keys(COMMANDS).join(", ")})`);
+    }
+    await command({ positional, flags });
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,188 @@
+/**
+ * @title Revocation Simulator
+ * @dev Previews revoking a departing beneficiary's VestingVault schedules.
+ *      The revocations are applied on a snapshot of the in-process chain,
+ *      normally a fork of the live network, sent from the account that will
+ *      execute them, and the chain is reverted afterwards. Reports the KARMA
+ *      returned to the vault, what the beneficiary can still claim, what had
+ *      vested and is forfeited and the TeamVesting department totals before
+ *      and after, then writes the report and one multisig payload per
+ *      revocation for approval with scripts/multisig-tx.js.
+ *
+ * Usage:
+ *   REVOKE_FORK=arbitrum REVOKE_MEMBER=0x... npx hardhat run scripts/simulate-revocation.js
+ *
+ * Environment:
+ *   REVOKE_MEMBER      Departing beneficiary (required)
+ *   REVOKE_SCHEDULES   Schedules to revoke, e.g. "3,7:1000" for all of 3 and 1000 unvested
+ *                      KARMA of 7 (default: all of the member's unrevoked schedules)
+ *   REVOKE_AT          Revocation time, unix seconds or ISO date (default: next block)
+ *   REVOKE_SENDER      Account that calls VestingVault (default: AdminControl, which
+ *                      executes multisig payloads)
+ *   REVOKE_FORK        Network from hardhat.config.js to fork; its manifest is used
+ *   REVOKE_FORK_BLOCK  Block number to fork from (default: latest)
+ *   REVOKE_OUTPUT_DIR  Report and payload directory (default: revocation-simulations/<network>)
+ *   MULTISIG_SIGNERS   Comma-separated multisig owners; payloads are only written when set
+ */
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+
+const { loadManifest, getContractEntry, getContractAddress } = require("../utils/deployment-manifest");
+const { createPayload } = require("../utils/multisig-payload");
+const { ROLES } = require("../utils/role-registry");
+const { parseStartTime } = require("../utils/vesting-roster");
+const {
+    REVOCATION_ABI,
+    parseRevocations,
+    encodeRevocation,
+    simulateRevocations
+} = require("../utils/revocation-simulator");
+const { parseList } = require("../utils/cli");
+
+// Balance given to the impersonated sender so it can pay for gas
+const IMPERSONATED_BALANCE = ethers.toBeHex(ethers.parseEther("1000"));
+
+const VAULT_ROLE_ABI = ["function hasRole(bytes32 role, address account) view returns (bool)"];
+
+// ============ HELPERS ============
+
+/**
+ * Fork a configured network into the in-process chain
+ * @param {string} forkNetwork - Network name from hardhat.config.js
+ */
+async function forkNetwork(forkNetwork) {
+    const networkConfig = hre.config.networks[forkNetwork];
+    if (!networkConfig || !networkConfig.url) {
+        throw new Error(`Network ${forkNetwork} has no url in hardhat.config.js`);
+    }
+    const forking = { jsonRpcUrl: networkConfig.url };
+    if (process.env.REVOKE_FORK_BLOCK) {
+        forking.blockNumber = parseInt(process.env.REVOKE_FORK_BLOCK, 10);
+    }
+    await network.provider.request({ method: "hardhat_reset", params: [{ forking }] });
+}
+
+function writeJson(file, value) {
+    fs.writeFileSync(file, `${JSON.stringify(value, (key, item) => typeof item === "bigint" ? item.toString() : item, 2)}\n`);
+}
+
+const karma = (value) => `${ethers.formatEther(value)} KARMA`;
+
+// ============ MAIN ============
+
+async function main() {
+    console.log("🧮 Vesting Revocation Simulator");
+    console.log("=".repeat(60));
+
+    if (!process.env.REVOKE_MEMBER) throw new Error("Set REVOKE_MEMBER to the departing beneficiary");
+    const member = ethers.getAddress(process.env.REVOKE_MEMBER);
+
+    const forked = process.env.REVOKE_FORK;
+    if (forked) {
+        if (network.name !== "hardhat") throw new Error(`REVOKE_FORK needs the in-process hardhat network, not ${network.name}`);
+        await forkNetwork(forked);
+    }
+    const manifestNetwork = forked || network.name;
+    const manifest = loadManifest(manifestNetwork);
+    const addresses = {
+        vestingVault: getContractAddress(manifest, "VestingVault"),
+        teamVesting: getContractEntry(manifest, "TeamVesting")?.address
+    };
+
+    const vault = new ethers.Contract(addresses.vestingVault, [...REVOCATION_ABI, ...VAULT_ROLE_ABI], ethers.provider);
+    let revocations = parseRevocations(process.env.REVOKE_SCHEDULES);
+    if (revocations.length === 0) {
+        const ids = await vault.getBeneficiarySchedules(member);
+        const schedules = await Promise.all(ids.map(id => vault.getVestingSchedule(id)));
+        revocations = ids.filter((_, i) => !schedules[i].revoked).map(id => ({ scheduleId: Number(id) }));
+        if (revocations.length === 0) throw new Error(`${member} has no unrevoked VestingVault schedules`);
+    }
+    for (const { scheduleId } of revocations) {
+        const { beneficiary } = await vault.getVestingSchedule(scheduleId);
+        if (beneficiary !== member) throw new Error(`Schedule ${scheduleId} belongs to ${beneficiary}, not ${member}`);
+    }
+
+    const sender = ethers.getAddress(process.env.REVOKE_SENDER || getContractAddress(manifest, "AdminControl"));
+    if (!await vault.hasRole(ROLES.VESTING_MANAGER_ROLE, sender)) {
+        console.log(`⚠️  ${sender} does not hold VESTING_MANAGER_ROLE on VestingVault; the revocations will revert`);
+    }
+    await network.provider.request({ method: "hardhat_setBalance", params: [sender, IMPERSONATED_BALANCE] });
+    const signer = await ethers.getImpersonatedSigner(sender);
+
+    const at = process.env.REVOKE_AT ? parseStartTime(process.env.REVOKE_AT) : undefined;
+    if (Number.isNaN(at)) throw new Error(`Cannot read REVOKE_AT "${process.env.REVOKE_AT}"`);
+
+    console.log(`📊 Network: ${manifestNetwork}${forked ? " (fork)" : ""}, member ${member}, sender ${sender}`);
+    const report = await simulateRevocations({ provider: ethers.provider, signer, addresses, member, revocations, at });
+    console.log(`🕐 Simulated at ${new Date(report.timestamp * 1000).toISOString()}\n`);
+
+    // ============ REPORT ============
+
+    for (const schedule of report.schedules) {
+        console.log(`📄 Schedule ${schedule.scheduleId} (${schedule.scheduleType}), ${schedule.partial ? "partial" : "full"} revocation`);
+        console.log(`   Total:     ${karma(schedule.totalBefore)} → ${karma(schedule.totalAfter)}`);
+        console.log(`   Vested:    ${karma(schedule.vestedBefore)} → ${karma(schedule.vestedAfter)} (claimed ${karma(schedule.claimed)})`);
+        console.log(`   Claimable: ${karma(schedule.claimableBefore)} → ${karma(schedule.claimableAfter)}`);
+    }
+
+    const { totals, vault: vaultTotals, department } = report;
+    console.log("\n" + "=".repeat(60));
+    console.log(`↩️  Returned to the vault:         ${karma(totals.returned)}`);
+    console.log(`💸 Member can claim now:          ${karma(totals.claimableAfter)} (was ${karma(totals.claimableBefore)})`);
+    console.log(`⏳ Still to vest for the member:  ${karma(totals.stillVesting)}`);
+    console.log(`🔥 Vested but forfeited:          ${karma(totals.forfeited)}`);
+    console.log(`🏦 Vault unallocated balance:     ${karma(vaultTotals.unallocatedBefore)} → ${karma(vaultTotals.unallocatedAfter)}`);
+    if (department) {
+        console.log(`🏢 ${department.name}: ${department.memberCountBefore} → ${department.memberCountAfter} members, ${karma(department.allocationBefore)} → ${karma(department.allocationAfter)}`);
+    }
+    report.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+    // ============ TRANSACTIONS ============
+
+    const outputDir = process.env.REVOKE_OUTPUT_DIR || path.join("revocation-simulations", manifestNetwork);
+    fs.mkdirSync(outputDir, { recursive: true });
+    const name = `${member}-${report.timestamp}`;
+    writeJson(path.join(outputDir, `${name}.json`), { network: manifestNetwork, member, sender, ...report });
+
+    console.log("\n📝 Transactions (VestingVault " + addresses.vestingVault + "):");
+    report.transactions.forEach(transaction => console.log(`   ${transaction.summary}: ${transaction.data} (${transaction.gasUsed} gas)`));
+
+    const signers = parseList(process.env.MULTISIG_SIGNERS);
+    if (signers.length === 0) {
+        console.log("ℹ️  Set MULTISIG_SIGNERS to write multisig payloads");
+    } else {
+        for (const revocation of revocations) {
+            const action = encodeRevocation(revocation);
+            const payload = createPayload({
+                network: manifestNetwork,
+                chainId: manifest.chainId,
+                adminControl: getContractAddress(manifest, "AdminControl"),
+                contract: "VestingVault",
+                target: addresses.vestingVault,
+                action,
+                signers,
+                description: `${action.summary} (${member} departure)`
+            });
+            const file = path.join(outputDir, `${name}-schedule-${revocation.scheduleId}.payload.json`);
+            writeJson(file, payload);
+            console.log(`   ✍️  ${file}`);
+        }
+    }
+
+    console.log(`\n💾 Report written to ${path.join(outputDir, `${name}.json`)}`);
+    console.log("✅ Simulation complete; the chain was reverted");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,214 @@
+/**
+ * @title KarmaTimelock Queue Manager
+ * @dev Lists KarmaTimelock operations as pending, ready, expiring or expired
+ *      with countdowns against ADMIN_CONSTANTS.TIMELOCK.GRACE_PERIOD, warns
+ *      about operations close to the end of their grace window, executes
+ *      ready operations (as one batch when the timelock can execute its own
+ *      batches) and computes operation ids offline.
+ *
+ * Usage:
+ *   HARDHAT_NETWORK=arbitrum node scripts/timelock-queue.js list [--all]
+ *   HARDHAT_NETWORK=arbitrum node scripts/timelock-queue.js execute [--ids 0x..,0x..] [--include-expired]
+ *   node scripts/timelock-queue.js id --target 0x... --data 0x... --type CRITICAL --proposer 0x... --timestamp 1760000000 [--value 0]
+ *   node scripts/timelock-queue.js id --batch batch.json
+ *        batch.json: { targets, values, datas, operationType, timelock, timestamp }
+ *
+ * Environment:
+ *   TIMELOCK_FROM_BLOCK      First block to read events from (default: KarmaTimelock deployment block)
+ *   TIMELOCK_BLOCK_RANGE     Blocks per eth_getLogs request (default: 2000)
+ *   TIMELOCK_WARNING_WINDOW  Seconds before the end of the grace window to warn (default: 86400)
+ */
+
+const fs = require("fs");
+
+const { loadManifest, getContractEntry } = require("../utils/deployment-manifest");
+const { ROLES } = require("../utils/role-registry");
+const {
+    GRACE_PERIOD,
+    DEFAULT_WARNING_WINDOW,
+    DEFAULT_BLOCK_RANGE,
+    OPERATION_STATES,
+    TIMELOCK_ABI,
+    computeOperationId,
+    computeBatchOperationIds,
+    fetchOperations,
+    classifyOperation,
+    selectExecutable,
+    formatDuration
+} = require("../utils/timelock-queue");
+const { parseList, parseArgs } = require("../utils/cli");
+
+const STATE_ICONS = {
+    [OPERATION_STATES.PENDING]: "⏳",
+    [OPERATION_STATES.READY]: "✅",
+    [OPERATION_STATES.EXPIRING]: "⚠️ ",
+    [OPERATION_STATES.EXPIRED]: "❌",
+    [OPERATION_STATES.EXECUTED]: "✔️ ",
+    [OPERATION_STATES.CANCELLED]: "🚫"
+};
+
+// ============ HELPERS ============
+
+/**
+ * Connect to the network's KarmaTimelock and read its classified queue
+ * @returns {Promise<Object>} { timelock, signer, operations, manifest }
+ */
+async function loadQueue() {
+    const { ethers, network } = require("hardhat");
+    const manifest = loadManifest(network.name);
+    const entry = getContractEntry(manifest, "KarmaTimelock");
+    if (!entry) throw new Error(`KarmaTimelock not found in deployment manifest for ${network.name}`);
+
+    const fromBlock = process.env.TIMELOCK_FROM_BLOCK
+        ? parseInt(process.env.TIMELOCK_FROM_BLOCK, 10)
+        : entry.blockNumber ?? 0;
+    const warningWindow = process.env.TIMELOCK_WARNING_WINDOW
+        ? parseInt(process.env.TIMELOCK_WARNING_WINDOW, 10)
+        : DEFAULT_WARNING_WINDOW;
+
+    const { timestamp: now } = await ethers.provider.getBlock("latest");
+    const blockRange = parseInt(process.env.TIMELOCK_BLOCK_RANGE || DEFAULT_BLOCK_RANGE, 10);
+    const operations = (await fetchOperations(ethers.provider, entry.address, { fromBlock, blockRange }))
+        .map(operation => classifyOperation(operation, now, { warningWindow }));
+
+    console.log(`📊 Network: ${network.name}, KarmaTimelock ${entry.address}`);
+    console.log(`🕒 Chain time ${new Date(now * 1000).toISOString()}, grace period ${formatDuration(GRACE_PERIOD)}`);
+
+    const [signer] = await ethers.getSigners();
+    const timelock = new ethers.Contract(entry.address, TIMELOCK_ABI, signer);
+    return { timelock, signer, operations, manifest };
+}
+
+function describeOperation(operation, names) {
+    const target = names[operation.target.toLowerCase()] || operation.target;
+    const selector = operation.data.slice(0, 10);
+    const batch = operation.batch ? " [batch]" : "";
+    return `${operation.id.slice(0, 10)} ${operation.operationType.padEnd(10)} ${target} ${selector}${batch}`;
+}
+
+function printOperation(operation, names) {
+    let timing;
+    switch (operation.state) {
+        case OPERATION_STATES.PENDING:
+            timing = `ready in ${formatDuration(operation.readyIn)}`;
+            break;
+        case OPERATION_STATES.READY:
+        case OPERATION_STATES.EXPIRING:
+            timing = `grace window closes in ${formatDuration(operation.expiresIn)}`;
+            break;
+        case OPERATION_STATES.EXPIRED:
+            timing = `grace window closed ${new Date(operation.expiresAt * 1000).toISOString()}`;
+            break;
+        default:
+            timing = operation.closedIn;
+    }
+    const unverified = operation.idVerified ? "" : " (id does not match its queue parameters)";
+    console.log(`${STATE_ICONS[operation.state]} ${describeOperation(operation, names)} ${timing}${unverified}`);
+}
+
+// ============ COMMANDS ============
+
+async function list({ flags }) {
+    const { operations, manifest } = await loadQueue();
+    const names = Object.fromEntries(Object.entries(manifest.contracts).map(([name, entry]) => [entry.address.toLowerCase(), name]));
+    const shown = flags.all ? operations : operations.filter(operation => operation.status === "queued");
+
+    console.log("=".repeat(60));
+    for (const state of Object.values(OPERATION_STATES)) {
+        const inState = shown.filter(operation => operation.state === state);
+        if (inState.length === 0) continue;
+        console.log(`\n${state.toUpperCase()} (${inState.length})`);
+        inState.forEach(operation => printOperation(operation, names));
+    }
+
+    const expiring = operations.filter(operation => operation.state === OPERATION_STATES.EXPIRING);
+    for (const operation of expiring) {
+        console.log(`\n⚠️  ${operation.id} must be executed within ${formatDuration(operation.expiresIn)}`);
+    }
+    if (shown.length === 0) console.log("\n✅ No queued operations");
+}
+
+async function execute({ flags }) {
+    const { timelock, signer, operations } = await loadQueue();
+    const requested = flags.ids ? parseList(flags.ids).map(id => id.toLowerCase()) : null;
+
+    let selected = selectExecutable(operations);
+    if (flags["include-expired"]) {
+        selected = selected.concat(operations.filter(operation => operation.state === OPERATION_STATES.EXPIRED));
+    }
+    if (requested) {
+        const unknown = requested.filter(id => !selected.some(operation => operation.id.toLowerCase() === id));
+        if (unknown.length > 0) throw new Error(`Not executable now: ${unknown.join(", ")}`);
+        selected = selected.filter(operation => requested.includes(operation.id.toLowerCase()));
+    }
+    if (selected.length === 0) {
+        console.log("✅ Nothing to execute");
+        return;
+    }
+
+    if (!await timelock.hasRole(ROLES.EXECUTOR_ROLE, signer.address)) {
+        throw new Error(`${signer.address} does not hold EXECUTOR_ROLE on KarmaTimelock`);
+    }
+
+    // executeBatchOperations calls this.executeOperation, so the timelock needs EXECUTOR_ROLE itself
+    const canBatch = selected.length > 1 && await timelock.hasRole(ROLES.EXECUTOR_ROLE, await timelock.getAddress());
+
+    if (canBatch) {
+        const ids = selected.map(operation => operation.id);
+        await timelock.executeBatchOperations.staticCall(ids);
+        const tx = await timelock.executeBatchOperations(ids);
+        await tx.wait();
+        console.log(`✅ Executed ${ids.length} operations in batch ${tx.hash}`);
+        return;
+    }
+
+    // Surface each revert before spending gas; call values are paid from the timelock's balance
+    for (const operation of selected) {
+        await timelock.executeOperation.staticCall(operation.id);
+        const tx = await timelock.executeOperation(operation.id);
+        await tx.wait();
+        console.log(`✅ Executed ${operation.id} in ${tx.hash}`);
+    }
+}
+
+function id({ flags }) {
+    if (flags.batch) {
+        const batch = JSON.parse(fs.readFileSync(flags.batch, "utf8"));
+        computeBatchOperationIds(batch).forEach((operationId, i) => console.log(`${i}: ${operationId}`));
+        return;
+    }
+
+    for (const flag of ["target", "data", "type", "proposer", "timestamp"]) {
+        if (flags[flag] === undefined) throw new Error(`id needs --${flag} (or --batch)`);
+    }
+    console.log(computeOperationId({
+        target: flags.target,
+        value: flags.value || 0,
+        data: flags.data,
+        operationType: flags.type,
+        proposer: flags.proposer,
+        timestamp: flags.timestamp
+    }));
+}
+
+const COMMANDS = { list, execute, id };
+
+async function main(argv = process.argv.slice(2)) {
+    const { positional: [name], flags } = parseArgs(argv);
+    const command = COMMANDS[name];
+    if (!command) {
+        throw new Error(`Unknown command ${name} (expected one of ${Object.keys(COMMANDS).join(", ")})`);
+    }
+    await command({ flags });
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,137 @@
+/**
+ * @title Validate Karma Labs Ecosystem (release gate)
+ * @dev Checks a deployed network against the ecosystem deployment plan:
+ *      every contract has code at its manifest address, every cross-stage
+ *      pointer is set and every role grant is in place. Results are grouped
+ *      by stage and written as JSON and JUnit XML; the process exits non-zero
+ *      if any check failed.
+ *
+ * Environment:
+ *   VALIDATE_STAGES        Comma-separated stages to check (default: all)
+ *   VALIDATION_REPORT_DIR  Directory for the JSON and JUnit reports (default: validation-reports)
+ */
+
+const { ethers, network } = require("hardhat");
+
+const { buildEcosystemPlan } = require("../utils/ecosystem-deployment-plan");
+const { STEP_TYPES } = require("../utils/deployment-orchestrator");
+const { loadManifest, getContractEntry } = require("../utils/deployment-manifest");
+const { roleId } = require("../utils/role-registry");
+const {
+    ValidationReport,
+    codePresent,
+    roleGranted,
+    pointerSet,
+    custom
+} = require("../utils/validation-framework");
+const { parseList } = require("../utils/cli");
+
+const DEFAULT_REPORT_DIR = "validation-reports";
+
+const ACCESS_CONTROL_ABI = ["function hasRole(bytes32 role, address account) view returns (bool)"];
+
+const STAGE_TITLES = {
+    1: "Core Token Infrastructure",
+    2: "Vesting System Architecture",
+    3: "Token Sales Engine",
+    4: "Treasury & Fund Management",
+    5: "User Experience Enhancement",
+    6: "Tokenomics & Value Accrual",
+    7: "Decentralized Governance",
+    8: "External Ecosystem Integration",
+    9: "Security & Production Preparation"
+};
+
+/**
+ * Build the declarative checks for one plan step
+ * @param {Object} step - Ecosystem plan step
+ * @param {Object} manifest - Deployment manifest
+ * @returns {Array<Object>} Checks
+ */
+function buildStepChecks(step, manifest) {
+    const addressOf = (id) => {
+        const entry = getContractEntry(manifest, id);
+        return entry ? entry.address : null;
+    };
+    const missing = (id) => custom(step.id, () => ({
+        passed: false,
+        message: `${id} not found in deployment manifest`
+    }));
+
+    if (step.type === STEP_TYPES.DEPLOY || step.type === STEP_TYPES.EXTERNAL) {
+        return [codePresent({ name: step.id, address: addressOf(step.id) })];
+    }
+
+    if (step.pointer) {
+        const target = addressOf(step.target);
+        const expected = addressOf(step.pointer.value);
+        if (!target) return [missing(step.target)];
+        if (!expected) return [missing(step.pointer.value)];
+
+        const abi = [`function ${step.pointer.getter}() view returns (address)`];
+        return [pointerSet({
+            contract: new ethers.Contract(target, abi, ethers.provider),
+            contractName: step.target,
+            getter: step.pointer.getter,
+            expected,
+            expectedName: step.pointer.value
+        })];
+    }
+
+    if (step.grant) {
+        const target = addressOf(step.target);
+        const grantee = addressOf(step.grant.grantee);
+        if (!target) return [missing(step.target)];
+        if (!grantee) return [missing(step.grant.grantee)];
+
+        return [roleGranted({
+            contract: new ethers.Contract(target, ACCESS_CONTROL_ABI, ethers.provider),
+            contractName: step.target,
+            role: roleId(step.grant.role),
+            roleName: step.grant.role,
+            account: grantee,
+            accountName: step.grant.grantee
+        })];
+    }
+
+    return [];
+}
+
+async function main() {
+    console.log("🔍 Validating Karma Labs Ecosystem");
+    console.log("=".repeat(60));
+
+    const { chainId } = await ethers.provider.getNetwork();
+    console.log(`📊 Network: ${network.name} (Chain ID: ${chainId})`);
+
+    const manifest = loadManifest(network.name);
+    const plan = buildEcosystemPlan({ network: network.name });
+    const selected = parseList(process.env.VALIDATE_STAGES).map(stage => parseInt(stage, 10));
+    const stages = selected.length > 0 ? selected : Object.keys(STAGE_TITLES).map(Number);
+
+    const report = new ValidationReport({ name: `${network.name}-release`, network: network.name, provider: ethers.provider });
+
+    for (const stageNumber of stages) {
+        console.log(`\n📋 Stage ${stageNumber}: ${STAGE_TITLES[stageNumber]}`);
+        console.log("-".repeat(60));
+
+        const stage = report.stage(String(stageNumber), STAGE_TITLES[stageNumber]);
+        const checks = plan.steps
+            .filter(step => step.stage === stageNumber)
+            .flatMap(step => buildStepChecks(step, manifest));
+        await stage.run(checks);
+    }
+
+    return report.finish({ reportDir: process.env.VALIDATION_REPORT_DIR || DEFAULT_REPORT_DIR });
+}
+
+if (require.main === module) {
+    main()
+        .then((exitCode) => process.exit(exitCode))
+        .catch((error) => {
+            console.error("❌ Validation failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
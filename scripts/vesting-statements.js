@@ -0,0 +1,103 @@
+/**
+ * @title Vesting Statements
+ * @dev Writes a vesting statement for each beneficiary: vested, claimed,
+ *      claimable and locked KARMA across every VestingVault schedule they
+ *      hold, their claim history and the releases still to come. Each
+ *      statement is written as <address>.html and <address>.csv.
+ *
+ * Environment:
+ *   STATEMENT_BENEFICIARIES  Comma-separated addresses (default: every beneficiary with a VestingVault schedule)
+ *   STATEMENT_RELEASES       Rows in the upcoming-release table (default: 12)
+ *   STATEMENT_FREQUENCY      Seconds between releases in that table (default: calendar months from each start)
+ *   STATEMENT_BLOCK_RANGE    Blocks per eth_getLogs request when reading claims (default: 2000)
+ *   STATEMENT_OUTPUT_DIR     Output directory (default: vesting-statements/<network>)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+
+const { formatCsv } = require("../utils/csv");
+const { loadManifest, getContractEntry } = require("../utils/deployment-manifest");
+const { fetchVestingSchedules } = require("../utils/unlock-forecast");
+const {
+    DEFAULT_RELEASE_FREQUENCY,
+    DEFAULT_UPCOMING_RELEASES,
+    DEFAULT_BLOCK_RANGE,
+    STATEMENT_MANAGERS,
+    fetchBeneficiaryVesting,
+    fetchClaims,
+    buildStatement,
+    toStatementRecords,
+    formatKarma,
+    renderStatementHtml
+} = require("../utils/vesting-statement");
+const { parseList } = require("../utils/cli");
+
+async function main() {
+    console.log("🧾 KARMA Vesting Statements");
+    console.log("=".repeat(60));
+
+    const manifest = loadManifest(network.name);
+    const vault = getContractEntry(manifest, "VestingVault");
+    if (!vault) throw new Error(`VestingVault not found in deployment manifest for ${network.name}`);
+
+    const addresses = { vestingVault: vault.address };
+    for (const name of STATEMENT_MANAGERS) {
+        const entry = getContractEntry(manifest, name);
+        if (entry) addresses[name] = entry.address;
+    }
+
+    const beneficiaries = process.env.STATEMENT_BENEFICIARIES
+        ? parseList(process.env.STATEMENT_BENEFICIARIES).map(address => ethers.getAddress(address))
+        : [...new Set((await fetchVestingSchedules(ethers.provider, { vestingVault: vault.address })).map(schedule => schedule.beneficiary))];
+    const options = {
+        frequency: process.env.STATEMENT_FREQUENCY ? parseInt(process.env.STATEMENT_FREQUENCY, 10) : DEFAULT_RELEASE_FREQUENCY,
+        limit: parseInt(process.env.STATEMENT_RELEASES || DEFAULT_UPCOMING_RELEASES, 10)
+    };
+
+    const blockNumber = await ethers.provider.getBlockNumber();
+    console.log(`📊 Network: ${network.name}, block ${blockNumber}, ${beneficiaries.length} beneficiaries`);
+
+    // One pass over the claim history serves every statement
+    const claims = await fetchClaims(ethers.provider, vault.address, {
+        beneficiary: beneficiaries.length === 1 ? beneficiaries[0] : undefined,
+        fromBlock: vault.blockNumber ?? 0,
+        toBlock: blockNumber,
+        blockRange: parseInt(process.env.STATEMENT_BLOCK_RANGE || DEFAULT_BLOCK_RANGE, 10)
+    });
+    console.log(`📥 ${claims.length} claims read`);
+
+    const outputDir = process.env.STATEMENT_OUTPUT_DIR || path.join("vesting-statements", network.name);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    let warnings = 0;
+    for (const beneficiary of beneficiaries) {
+        const vesting = await fetchBeneficiaryVesting(ethers.provider, addresses, beneficiary, { blockTag: blockNumber });
+        const statement = buildStatement(vesting, claims, options);
+        const { columns, records } = toStatementRecords(statement);
+
+        fs.writeFileSync(path.join(outputDir, `${beneficiary}.html`), renderStatementHtml(statement, { network: network.name }));
+        fs.writeFileSync(path.join(outputDir, `${beneficiary}.csv`), formatCsv(records, columns));
+
+        const { totals } = statement;
+        console.log(`  ${beneficiary}  ${statement.schedules.length} schedules, ${formatKarma(totals.vested)} vested, ${formatKarma(totals.claimable)} claimable, ${formatKarma(totals.locked)} locked`);
+        statement.warnings.forEach(warning => console.log(`    ⚠️  ${warning}`));
+        warnings += statement.warnings.length;
+    }
+
+    console.log(`\n💾 Statements written to ${outputDir}`);
+    if (warnings > 0) console.log(`⚠️  ${warnings} warnings: check that the manifest has the VestingVault deployment block`);
+    console.log("✅ Done");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
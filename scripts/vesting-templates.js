@@ -0,0 +1,128 @@
+/**
+ * @title Vesting Template Snapshots
+ * @dev Snapshots the VestingTemplateManager templates to versioned JSON and
+ *      diffs snapshots. A snapshot records every template's terms and
+ *      metadata, its version history and the beneficiaries whose schedules
+ *      were created from each version; the enrollments are also written as
+ *      CSV next to it.
+ *
+ * Usage:
+ *   HARDHAT_NETWORK=arbitrum node scripts/vesting-templates.js snapshot [--out file] [--block n]
+ *   node scripts/vesting-templates.js diff before.json after.json
+ *   HARDHAT_NETWORK=arbitrum node scripts/vesting-templates.js diff before.json
+ *        (compares the file with the chain)
+ *
+ *   --out          Snapshot file (default: vesting-templates/<network>/<block>.json)
+ *   --block        Snapshot block (default: latest)
+ *   --block-range  Blocks per eth_getLogs request (default: 2000)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { formatCsv } = require("../utils/csv");
+const { loadManifest, getContractEntry } = require("../utils/deployment-manifest");
+const {
+    DEFAULT_BLOCK_RANGE,
+    fetchTemplates,
+    fetchTemplateEvents,
+    buildTemplateVersions,
+    createSnapshot,
+    loadSnapshot,
+    diffSnapshots,
+    toEnrollmentRecords
+} = require("../utils/vesting-template-snapshot");
+const { parseArgs } = require("../utils/cli");
+
+// ============ HELPERS ============
+
+/**
+ * Snapshot the deployed VestingTemplateManager
+ */
+async function takeSnapshot(flags) {
+    const { ethers, network } = require("hardhat");
+    const manifest = loadManifest(network.name);
+    const manager = getContractEntry(manifest, "VestingTemplateManager");
+    if (!manager) throw new Error(`VestingTemplateManager not found in deployment manifest for ${network.name}`);
+
+    const blockTag = flags.block ? parseInt(flags.block, 10) : "latest";
+    const current = await fetchTemplates(ethers.provider, manager.address, { blockTag });
+    console.log(`📊 Network: ${network.name}, block ${current.blockNumber}, ${Object.keys(current.templates).length} templates`);
+
+    const events = await fetchTemplateEvents(ethers.provider, manager.address, Object.keys(current.templates), {
+        fromBlock: manager.blockNumber ?? 0,
+        toBlock: current.blockNumber,
+        blockRange: parseInt(flags["block-range"] || DEFAULT_BLOCK_RANGE, 10)
+    });
+    const { versions, warnings } = buildTemplateVersions(current.templates, events);
+    warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+    return {
+        snapshot: createSnapshot(current, versions, { network: network.name, manager: manager.address }),
+        defaultOut: path.join("vesting-templates", network.name, `${current.blockNumber}.json`)
+    };
+}
+
+function printSnapshot(snapshot) {
+    for (const [name, template] of Object.entries(snapshot.templates)) {
+        const enrolled = template.versions.reduce((sum, version) => sum + version.beneficiaries.length, 0);
+        const state = [template.isActive ? "active" : "inactive", template.locked ? "locked" : null].filter(Boolean).join(", ");
+        console.log(`  ${name}  v${template.version} (${state}), ${template.category}, ${enrolled} schedules`);
+    }
+}
+
+function printDiff(diff, before, after) {
+    console.log(`🔍 Block ${before.blockNumber} → ${after.blockNumber}`);
+    diff.added.forEach(name => console.log(`  ➕ ${name} v${after.templates[name].version}`));
+    diff.removed.forEach(name => console.log(`  ➖ ${name}`));
+    for (const { name, versionBefore, versionAfter, changes, enrolled } of diff.changed) {
+        console.log(`  ✏️  ${name}${versionBefore !== versionAfter ? ` v${versionBefore} → v${versionAfter}` : ` v${versionAfter}`}`);
+        changes.forEach(change => console.log(`      ${change.kind} ${change.field}: ${change.before} → ${change.after}`));
+        enrolled.forEach(entry => console.log(`      enrolled on v${entry.version}: ${entry.beneficiary} (schedule ${entry.scheduleId})`));
+    }
+    if (diff.added.length + diff.removed.length + diff.changed.length === 0) console.log("  No differences");
+}
+
+// ============ MAIN ============
+
+async function main(argv = process.argv.slice(2)) {
+    const { positional: [command, ...files], flags } = parseArgs(argv);
+
+    console.log("🗂️  Vesting Template Snapshots");
+    console.log("=".repeat(60));
+
+    if (command === "snapshot") {
+        const { snapshot, defaultOut } = await takeSnapshot(flags);
+        const out = flags.out || defaultOut;
+        fs.mkdirSync(path.dirname(out), { recursive: true });
+        fs.writeFileSync(out, JSON.stringify(snapshot, null, 2));
+
+        const { columns, records } = toEnrollmentRecords(snapshot);
+        const csv = out.replace(/\.json$/, "") + "-enrollments.csv";
+        fs.writeFileSync(csv, formatCsv(records, columns));
+
+        printSnapshot(snapshot);
+        console.log(`\n💾 Snapshot written to ${out}, ${records.length} enrollments to ${csv}`);
+    } else if (command === "diff" && files.length > 0) {
+        const before = loadSnapshot(files[0]);
+        const after = files[1] ? loadSnapshot(files[1]) : (await takeSnapshot(flags)).snapshot;
+        if (before.manager && after.manager && before.manager !== after.manager) {
+            console.log(`⚠️  Comparing different managers: ${before.manager} and ${after.manager}`);
+        }
+        printDiff(diffSnapshots(before, after), before, after);
+    } else {
+        throw new Error("Usage: vesting-templates.js snapshot [--out file] | diff <before.json> [after.json]");
+    }
+    console.log("✅ Done");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,177 @@
+/**
+ * Access-Control Audit Tests
+ * Role event replay, timelocked grants and drift against stage configs
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    fetchRoleEvents,
+    fetchTimelockRoleOperations,
+    buildRoleMatrix,
+    collectConfigRoles,
+    diffRoleMatrix
+} = require("../utils/access-control-audit");
+const { ROLES } = require("../utils/role-registry");
+
+const TOKEN = "0x00000000000000000000000000000000000000A1";
+const TIMELOCK = "0x00000000000000000000000000000000000000B2";
+const MULTISIG = "0x00000000000000000000000000000000000000C3";
+const DEPLOYER = "0x00000000000000000000000000000000000000D4";
+const MINTER = "0x00000000000000000000000000000000000000E5";
+
+const events = new ethers.Interface([
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event OperationQueued(bytes32 indexed id, address indexed target, uint256 value, bytes data, uint256 eta, uint8 operationType, address indexed proposer)",
+    "event OperationExecuted(bytes32 indexed id, address indexed target, uint256 value, bytes data, address indexed executor)"
+]);
+const calls = new ethers.Interface(["function grantRole(bytes32 role, address account)"]);
+
+function log(address, name, args, blockNumber, transactionHash = ethers.id(`${name}${blockNumber}`)) {
+    const { data, topics } = events.encodeEventLog(name, args);
+    return { address, data, topics, blockNumber, index: 0, transactionHash };
+}
+
+// Provider returning canned logs for the address and topics asked for
+function createProvider(logs) {
+    return {
+        async getBlockNumber() { return 100; },
+        async getLogs({ address, topics, fromBlock, toBlock }) {
+            return logs.filter(entry => entry.address === address &&
+                topics[0].includes(entry.topics[0]) &&
+                entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock);
+        }
+    };
+}
+
+describe("Access-Control Audit", function () {
+
+    const grantMinter = calls.encodeFunctionData("grantRole", [ROLES.MINTER_ROLE, MINTER]);
+    const grantAdmin = calls.encodeFunctionData("grantRole", [ROLES.DEFAULT_ADMIN_ROLE, DEPLOYER]);
+    const operationId = ethers.id("op-1");
+    const executionTx = ethers.id("execution");
+
+    const provider = createProvider([
+        log(TOKEN, "RoleGranted", [ROLES.DEFAULT_ADMIN_ROLE, DEPLOYER, DEPLOYER], 1),
+        log(TOKEN, "RoleGranted", [ROLES.DEFAULT_ADMIN_ROLE, MULTISIG, DEPLOYER], 2),
+        log(TOKEN, "RoleGranted", [ROLES.PAUSER_ROLE, MINTER, DEPLOYER], 3),
+        log(TOKEN, "RoleRevoked", [ROLES.PAUSER_ROLE, MINTER, DEPLOYER], 4),
+        log(TOKEN, "RoleGranted", [ROLES.MINTER_ROLE, MINTER, TIMELOCK], 12, executionTx),
+        log(TIMELOCK, "OperationQueued", [operationId, TOKEN, 0, grantMinter, 10, 0, DEPLOYER], 5),
+        log(TIMELOCK, "OperationExecuted", [operationId, TOKEN, 0, grantMinter, DEPLOYER], 12, executionTx),
+        log(TIMELOCK, "OperationQueued", [ethers.id("op-2"), TOKEN, 0, grantAdmin, 200, 1, DEPLOYER], 13)
+    ]);
+    const names = { [TOKEN.toLowerCase()]: "KarmaToken", [TIMELOCK.toLowerCase()]: "KarmaTimelock", [MULTISIG.toLowerCase()]: "KarmaMultiSigManager" };
+
+    let tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "karma-audit-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    async function replay(range = {}) {
+        const roleEvents = await fetchRoleEvents(provider, "KarmaToken", TOKEN, range);
+        const operations = await fetchTimelockRoleOperations(provider, TIMELOCK, range);
+        return buildRoleMatrix(roleEvents, operations, names);
+    }
+
+    it("Should replay grants and revocations into current holders", async function () {
+        const { matrix } = await replay({ blockRange: 5 });
+
+        expect(Object.keys(matrix.KarmaToken).sort()).to.deep.equal(["DEFAULT_ADMIN_ROLE", "MINTER_ROLE"]);
+        expect(matrix.KarmaToken.DEFAULT_ADMIN_ROLE.holders.map(holder => holder.account)).to.deep.equal([DEPLOYER, MULTISIG]);
+        expect(matrix.KarmaToken.DEFAULT_ADMIN_ROLE.holders[1]).to.include({ accountName: "KarmaMultiSigManager", blockNumber: 2 });
+    });
+
+    it("Should tie executed timelock grants to their operation and keep queued ones pending", async function () {
+        const { matrix, pending } = await replay();
+
+        expect(matrix.KarmaToken.MINTER_ROLE.holders[0]).to.include({
+            account: MINTER,
+            grantedByName: "KarmaTimelock",
+            timelockOperation: operationId
+        });
+        expect(pending).to.have.lengthOf(1);
+        expect(pending[0]).to.include({ contract: "KarmaToken", action: "grant", roleName: "DEFAULT_ADMIN_ROLE", account: DEPLOYER, eta: 200 });
+    });
+
+    it("Should read role sections from every stage config layout", function () {
+        const configDir = path.join(tempDir, "01-core", "config");
+        fs.mkdirSync(configDir, { recursive: true });
+        fs.writeFileSync(path.join(configDir, "stage1.1-config.json"), JSON.stringify({
+            contracts: { KarmaToken: { roles: { minterRole: ROLES.MINTER_ROLE } }, Paymaster: { roles: { emergencyRole: ROLES.EMERGENCY_ROLE } } }
+        }));
+        fs.writeFileSync(path.join(configDir, "stage4.1-config.json"), JSON.stringify({
+            roles: { admin: { permissions: ["DEFAULT_ADMIN_ROLE", "TREASURY_ADMIN_ROLE"] } }
+        }));
+        fs.writeFileSync(path.join(configDir, "stage7.1-config.json"), JSON.stringify({
+            roles: { proposer: "PROPOSER_ROLE" }
+        }));
+
+        const expected = collectConfigRoles(tempDir);
+
+        expect(Object.keys(expected.KarmaToken)).to.deep.equal(["MINTER_ROLE"]);
+        expect(Object.keys(expected.KarmaPaymaster)).to.deep.equal(["EMERGENCY_ROLE"]);
+        expect(expected.Treasury.DEFAULT_ADMIN_ROLE.holders).to.deep.equal(["admin"]);
+        expect(expected.TimelockController.PROPOSER_ROLE).to.deep.equal({ sources: ["stage7.1-config.json roles.proposer"], holders: ["proposer"] });
+    });
+
+    it("Should flag EOA admins, unconfigured roles and missing configured holders", async function () {
+        const { matrix, pending } = await replay();
+        const expected = {
+            KarmaToken: {
+                DEFAULT_ADMIN_ROLE: { sources: ["stage1.1-config.json"], holders: [] },
+                PAUSER_ROLE: { sources: ["stage1.1-config.json contracts.KarmaToken.roles.pauserRole"], holders: [] }
+            },
+            Treasury: {
+                TREASURY_ADMIN_ROLE: { sources: ["stage4.1-config.json roles.admin"], holders: ["admin"] }
+            }
+        };
+
+        const result = diffRoleMatrix({
+            matrix,
+            pending,
+            expected,
+            contracts: ["KarmaToken", "Treasury"],
+            accountKinds: { [DEPLOYER.toLowerCase()]: "eoa", [MULTISIG.toLowerCase()]: "contract" },
+            governance: [MULTISIG, TIMELOCK]
+        });
+
+        expect(result.isValid).to.equal(false);
+        expect(result.errors).to.deep.equal([
+            `KarmaToken: EOA ${DEPLOYER} holds DEFAULT_ADMIN_ROLE; admin roles belong to the multisig or timelock`
+        ]);
+        expect(result.warnings).to.deep.equal([
+            "KarmaToken: MINTER_ROLE is held by 1 account(s) but not listed in any stage config",
+            "KarmaToken: PAUSER_ROLE is configured (stage1.1-config.json contracts.KarmaToken.roles.pauserRole) but no account holds it",
+            "Treasury: TREASURY_ADMIN_ROLE is configured (stage4.1-config.json roles.admin) but Treasury does not declare it",
+            `KarmaToken: timelock operation ${ethers.id("op-2")} will grant DEFAULT_ADMIN_ROLE to ${DEPLOYER}`
+        ]);
+    });
+
+    it("Should check configured holders when their addresses are known", async function () {
+        const { matrix } = await replay();
+        const expected = { KarmaToken: { MINTER_ROLE: { sources: ["stage1.1-config.json"], holders: ["minter", "treasury"] } } };
+
+        const result = diffRoleMatrix({
+            matrix,
+            expected,
+            contracts: ["KarmaToken"],
+            governance: [DEPLOYER, MULTISIG],
+            accounts: { minter: MINTER, treasury: TIMELOCK }
+        });
+
+        expect(result.errors).to.deep.equal([
+            `KarmaToken: treasury (${TIMELOCK}) is configured to hold MINTER_ROLE but does not`
+        ]);
+    });
+});
@@ -0,0 +1,28 @@
+/**
+ * CLI Helper Tests
+ * Comma-separated lists and "positional --flag value" arguments
+ */
+
+const { expect } = require("chai");
+
+const { parseList, parseArgs } = require("../utils/cli");
+
+describe("CLI Helpers", function () {
+
+    it("Should trim list entries and drop empty ones", async function () {
+        expect(parseList(" 1, 3,,9 ,")).to.deep.equal(["1", "3", "9"]);
+        expect(parseList(undefined)).to.deep.equal([]);
+        expect(parseList("")).to.deep.equal([]);
+    });
+
+    it("Should split positionals from flags and default bare flags to true", async function () {
+        const args = parseArgs(["diff", "--network", "sepolia", "before.json", "after.json", "--dry-run", "--out"]);
+        expect(args.positional).to.deep.equal(["diff", "before.json", "after.json"]);
+        expect(args.flags).to.deep.equal({ network: "sepolia", "dry-run": true, out: true });
+    });
+
+    it("Should treat a flag followed by another flag as bare", async function () {
+        expect(parseArgs(["--force", "--ids", "0x01,0x02"]).flags).to.deep.equal({ force: true, ids: "0x01,0x02" });
+        expect(parseArgs([])).to.deep.equal({ positional: [], flags: {} });
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Stage Config Loader Tests
+ * Schema validation and placeholder resolution for stageX.Y-config.json
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    findStageConfigPath,
+    expandPath,
+    validateStageConfig,
+    loadStageConfig
+} = require("../utils/config-loader");
+const { STAGE_CONFIG_SCHEMAS } = require("../utils/stage-config-schemas");
+const { createManifest, recordContract } = require("../utils/deployment-manifest");
+
+const ADMIN = "0x00000000000000000000000000000000000000A1";
+const MULTISIG_MANAGER = "0x00000000000000000000000000000000000000B2";
+
+function readConfig(stage) {
+    return JSON.parse(fs.readFileSync(findStageConfigPath(stage), "utf8"));
+}
+
+describe("Stage Config Loader", function () {
+
+    let tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "karma-config-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    function writeConfig(config) {
+        const configPath = path.join(tempDir, "config.json");
+        fs.writeFileSync(configPath, JSON.stringify(config));
+        return configPath;
+    }
+
+    describe("Schemas", function () {
+        it("Should accept every config shipped with the stages", function () {
+            for (const stage of Object.keys(STAGE_CONFIG_SCHEMAS)) {
+                const result = validateStageConfig(stage, readConfig(stage));
+                expect(result.errors, `stage ${stage}`).to.deep.equal([]);
+            }
+        });
+
+        it("Should expand wildcard paths over objects and arrays", function () {
+            const matches = expandPath({ a: [{ b: 1 }, { c: 2 }, { b: 3 }] }, "a.*.b");
+            expect(matches).to.deep.equal([{ path: "a.0.b", value: 1 }, { path: "a.2.b", value: 3 }]);
+        });
+
+        it("Should require treasury allocations to sum to 100", function () {
+            const config = readConfig("4.1");
+            config.treasury.allocationPercentages.marketing = 35;
+
+            const result = validateStageConfig("4.1", config);
+            expect(result.isValid).to.equal(false);
+            expect(result.errors).to.deep.equal(["treasury.allocationPercentages.* must sum to 100 (got 105)"]);
+        });
+
+        it("Should require the multisig threshold to be within the signer count", function () {
+            const config = readConfig("1.2");
+            config.contracts.KarmaMultiSigManager.requiredSignatures = 6;
+            config.security.multisig.threshold = 0;
+
+            const { errors } = validateStageConfig("1.2", config);
+            expect(errors).to.have.length(2);
+            expect(errors[0]).to.include("requiredSignatures (6) must not exceed the 5 signers");
+            expect(errors[1]).to.include("security.multisig.threshold must be a positive integer");
+        });
+
+        it("Should check nested groups with per-item rules", function () {
+            const config = readConfig("3.3");
+            config.fundAllocation.categories.development.wallets[2].allocation = 20;
+            config.treasury.multisigConfig.signers.pop();
+            config.treasury.multisigConfig.signers.pop();
+            config.treasury.multisigConfig.signers.pop();
+
+            const { errors } = validateStageConfig("3.3", config);
+            expect(errors).to.include("fundAllocation.categories.development.wallets.*.allocation must sum to 100 (got 105)");
+            expect(errors).to.include(
+                "treasury.multisigConfig.requiredSignatures (3) must not exceed the 2 signers at treasury.multisigConfig.signers"
+            );
+        });
+
+        it("Should compare large wei amounts exactly", function () {
+            const config = readConfig("1.1");
+            config.contracts.KarmaToken.initialSupply = "1000000000000000000000000001";
+
+            const { errors } = validateStageConfig("1.1", config);
+            expect(errors).to.have.length(1);
+            expect(errors[0]).to.include("initialSupply (1000000000000000000000000001) must be at most");
+        });
+
+        it("Should flag a config declaring a different stage", function () {
+            const config = readConfig("7.2");
+            expect(validateStageConfig("7.1", config).errors).to.include("Config declares stage 7.2, expected 7.1");
+        });
+    });
+
+    describe("Placeholders", function () {
+        it("Should fill constructor arguments from named signers and values", function () {
+            const config = loadStageConfig("4.1", {
+                signers: { admin: { address: ADMIN }, multisigManager: MULTISIG_MANAGER },
+                values: (raw) => ({ initial_balance: raw.treasury.initialBalance }),
+                env: {},
+                log: () => {}
+            });
+
+            expect(config.contracts.Treasury.constructorArgs).to.deep.equal([
+                ADMIN,
+                MULTISIG_MANAGER,
+                "10000000000000000000000"
+            ]);
+        });
+
+        it("Should fill contract addresses from the deployment manifest", function () {
+            const manifest = createManifest("localhost", 31337);
+            recordContract(manifest, "KarmaToken", { address: ADMIN });
+            recordContract(manifest, "KarmaStaking", { address: MULTISIG_MANAGER });
+            recordContract(manifest, "Treasury", { address: "0x00000000000000000000000000000000000000c3" });
+
+            const config = loadStageConfig("7.1", { manifest, env: {} });
+
+            expect(config.integration.tokenContract).to.equal(ethers.getAddress(ADMIN));
+            expect(config.integration.stakingContract).to.equal(ethers.getAddress(MULTISIG_MANAGER));
+            expect(config.integration.treasuryContract).to.equal(ethers.getAddress("0x00000000000000000000000000000000000000c3"));
+        });
+
+        it("Should interpolate placeholders inside longer strings", function () {
+            const configPath = writeConfig({ stage: "9.9", note: "owner ${admin_address} on {{NETWORK}}" });
+            const config = loadStageConfig("9.9", {
+                configPath, signers: { admin: ADMIN }, env: { NETWORK: "localhost" }, log: () => {}
+            });
+
+            expect(config.note).to.equal(`owner ${ADMIN} on localhost`);
+        });
+
+        it("Should fail on unresolved placeholders before returning a config", function () {
+            let error;
+            try {
+                loadStageConfig("4.1", { signers: { admin: ADMIN }, env: {}, log: () => {} });
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error.message).to.include("Invalid stage 4.1 config");
+            expect(error.errors).to.deep.equal([
+                "contracts.Treasury.constructorArgs.1: no value for ${multisig_manager_address}",
+                "contracts.Treasury.constructorArgs.2: no value for ${initial_balance}"
+            ]);
+        });
+
+        it("Should only warn about optional placeholders such as the verification API key", function () {
+            const warnings = [];
+            loadStageConfig("4.1", {
+                signers: { admin: ADMIN, multisigManager: MULTISIG_MANAGER },
+                values: { initial_balance: "0" },
+                env: {},
+                log: (message) => warnings.push(message)
+            });
+
+            expect(warnings).to.have.length(1);
+            expect(warnings[0]).to.include("verification.apiKey: ${ARBISCAN_API_KEY} is not set");
+        });
+
+        it("Should validate the resolved values against the schema", function () {
+            const configPath = writeConfig({
+                stage: "4.1",
+                treasury: {
+                    allocationPercentages: { marketing: "${marketing_share}", kol: 20, development: 30, buyback: 20 },
+                    multisigRequirement: { threshold: 3, totalSigners: 5 }
+                },
+                contracts: { Treasury: {} }
+            });
+
+            expect(() => loadStageConfig("4.1", { configPath, values: { marketing_share: 40 }, env: {} }))
+                .to.throw("treasury.allocationPercentages.* must sum to 100 (got 110)");
+        });
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Deployment Manifest Tests
+ * Recording, history and address resolution for deployments/<network>.json
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    MANIFEST_VERSION,
+    getManifestPath,
+    createManifest,
+    readManifest,
+    writeManifest,
+    loadManifest,
+    openManifest,
+    recordContract,
+    recordDeployment,
+    saveDeployment,
+    getContractAddress,
+    resolveContractAddresses
+} = require("../utils/deployment-manifest");
+
+const TOKEN = "0x5fbdb2315678afecb367f032d93f642f64180aa3";
+const STAKING = "0xe7f1725e7734ce288f8367e1bb143e90bb3f0512";
+
+describe("Deployment Manifest", function () {
+
+    let tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "karma-manifest-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe("File access", function () {
+        it("Should round-trip a manifest through disk", function () {
+            const manifestPath = getManifestPath("localhost", tempDir);
+            const manifest = createManifest("localhost", 31337n);
+            recordContract(manifest, "KarmaToken", { address: TOKEN, stage: 1 });
+            writeManifest(manifestPath, manifest);
+
+            const loaded = loadManifest("localhost", tempDir);
+            expect(loaded.version).to.equal(MANIFEST_VERSION);
+            expect(loaded.chainId).to.equal("31337");
+            expect(loaded.contracts.KarmaToken.address).to.equal(ethers.getAddress(TOKEN));
+        });
+
+        it("Should fail clearly when a network has no manifest", function () {
+            expect(readManifest(getManifestPath("arbitrum", tempDir))).to.equal(null);
+            expect(() => loadManifest("arbitrum", tempDir)).to.throw("No deployment manifest for arbitrum");
+        });
+
+        it("Should start a manifest on the first deployment and keep an existing one", function () {
+            const manifest = openManifest("localhost", 31337n, tempDir);
+            expect(manifest.contracts).to.deep.equal({});
+
+            recordContract(manifest, "KarmaToken", { address: TOKEN });
+            writeManifest(getManifestPath("localhost", tempDir), manifest);
+            expect(openManifest("localhost", 31337n, tempDir).contracts.KarmaToken.address).to.equal(ethers.getAddress(TOKEN));
+            expect(() => openManifest("localhost", 42161n, tempDir)).to.throw("is for chain 31337, not 42161");
+        });
+
+        it("Should reject manifests with an unknown version", function () {
+            const manifestPath = getManifestPath("localhost", tempDir);
+            fs.writeFileSync(manifestPath, JSON.stringify({ version: 99, contracts: {} }));
+            expect(() => readManifest(manifestPath)).to.throw("Unsupported manifest version 99");
+        });
+    });
+
+    describe("Recording", function () {
+        it("Should serialize bigint constructor arguments", function () {
+            const manifest = createManifest("localhost", 31337);
+            const entry = recordContract(manifest, "KarmaToken", {
+                address: TOKEN,
+                constructorArgs: [TOKEN, 10n ** 18n, [1n, 2n]]
+            });
+
+            expect(entry.constructorArgs).to.deep.equal([TOKEN, "1000000000000000000", ["1", "2"]]);
+        });
+
+        it("Should keep superseded deployments in the history", function () {
+            const manifest = createManifest("localhost", 31337);
+            recordContract(manifest, "KarmaToken", { address: TOKEN, transactionHash: "0x01" });
+            recordContract(manifest, "KarmaToken", { address: STAKING, transactionHash: "0x02" });
+            const entry = recordContract(manifest, "KarmaToken", { address: TOKEN, transactionHash: "0x03" });
+
+            expect(entry.transactionHash).to.equal("0x03");
+            expect(entry.history.map(item => item.transactionHash)).to.deep.equal(["0x01", "0x02"]);
+            expect(entry.history[1]).to.not.have.property("history");
+        });
+
+        it("Should write each deployment as soon as it is recorded", async function () {
+            const manifest = openManifest("localhost", 31337n, tempDir);
+            const contract = {
+                getAddress: async () => TOKEN,
+                deploymentTransaction: () => ({ hash: "0x01", wait: async () => ({ blockNumber: 7 }) })
+            };
+
+            await saveDeployment(manifest, "KarmaToken", contract, { contract: "KarmaToken", stage: 1, constructorArgs: [TOKEN], bytecode: "0x6080" }, tempDir);
+
+            const saved = loadManifest("localhost", tempDir).contracts.KarmaToken;
+            expect(saved).to.include({ address: ethers.getAddress(TOKEN), stage: 1, transactionHash: "0x01", blockNumber: 7 });
+            expect(saved.bytecodeHash).to.equal(ethers.keccak256("0x6080"));
+        });
+
+        it("Should record contracts deployed with ethers v5", async function () {
+            const manifest = createManifest("localhost", 31337);
+            const contract = {
+                address: TOKEN,
+                deployTransaction: { hash: "0x02", wait: async () => ({ blockNumber: 9 }) }
+            };
+
+            const entry = await recordDeployment(manifest, "VestingVault", contract, { contract: "VestingVault", stage: 2, constructorArgs: [] });
+
+            expect(entry).to.include({ address: ethers.getAddress(TOKEN), transactionHash: "0x02", blockNumber: 9, bytecodeHash: null });
+        });
+    });
+
+    describe("Resolution", function () {
+        it("Should resolve stage script names through aliases", function () {
+            const manifest = createManifest("localhost", 31337);
+            recordContract(manifest, "KarmaStaking", { address: STAKING });
+
+            expect(getContractAddress(manifest, "GovernanceStaking")).to.equal(ethers.getAddress(STAKING));
+        });
+
+        it("Should list every missing required contract", function () {
+            const manifest = createManifest("localhost", 31337);
+            recordContract(manifest, "KarmaToken", { address: TOKEN });
+
+            expect(() => resolveContractAddresses(manifest, ["KarmaToken", "Treasury", "BuybackBurn"]))
+                .to.throw("Missing from deployment manifest for localhost: Treasury, BuybackBurn");
+
+            const addresses = resolveContractAddresses(manifest, ["KarmaToken"], ["Treasury"]);
+            expect(addresses.KarmaToken).to.equal(ethers.getAddress(TOKEN));
+            expect(addresses.Treasury).to.equal(undefined);
+        });
+    });
+});
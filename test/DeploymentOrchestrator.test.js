@@ -0,0 +1,432 @@
+/**
+ * Ecosystem Deployment Orchestrator Tests
+ * Plan ordering, stage selection, resume-after-failure behaviour and
+ * deployments from compiled artifacts on the hardhat network
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    STEP_TYPES,
+    DeploymentOrchestrator,
+    resolveExecutionOrder,
+    selectStepsForStages,
+    createDeploymentState,
+    loadDeploymentState,
+    saveDeploymentState
+} = require("../utils/deployment-orchestrator");
+const { readManifest } = require("../utils/deployment-manifest");
+const { buildEcosystemPlan } = require("../utils/ecosystem-deployment-plan");
+const { createStageArtifactResolver, getStageDirectories, readStageArtifacts, compileStages } = require("../utils/stage-artifacts");
+
+/**
+ * Minimal stand-in for hardhat's ethers that records deployments and calls
+ */
+function createChainStub({ failingMethods = [] } = {}) {
+    const chain = {
+        deployments: [],
+        calls: [],
+        failingMethods: new Set(failingMethods),
+        code: new Set()
+    };
+
+    const contractAt = (name, address) => new Proxy({}, {
+        get: (_, method) => {
+            // Keep the proxy from looking like a thenable when awaited
+            if (method === "then") return undefined;
+            return async (...args) => {
+                if (chain.failingMethods.has(method)) {
+                    throw new Error(`${method} reverted`);
+                }
+                chain.calls.push(`${name}.${method}`);
+                return { hash: ethers.id(`${name}.${method}.${args.join()}`), wait: async () => ({}) };
+            };
+        }
+    });
+
+    chain.ethers = {
+        provider: {
+            getNetwork: async () => ({ chainId: 31337n }),
+            getCode: async (address) => (chain.code.has(address) ? "0x6080" : "0x"),
+            // Nothing is mined, so an interrupted step is always sent again
+            getTransactionCount: async () => 0
+        },
+        getContractFactory: async (name) => ({
+            bytecode: ethers.hexlify(ethers.toUtf8Bytes(name)),
+            deploy: async () => {
+                const address = ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(chain.deployments.length + 1), 20));
+                chain.deployments.push(name);
+                chain.code.add(address);
+                return {
+                    waitForDeployment: async () => {},
+                    getAddress: async () => address,
+                    deploymentTransaction: () => ({
+                        hash: ethers.id(name),
+                        wait: async () => ({ blockNumber: chain.deployments.length })
+                    })
+                };
+            }
+        }),
+        getContractAt: async (name, address) => contractAt(name, address)
+    };
+
+    return chain;
+}
+
+const signers = {
+    deployer: { address: "0x00000000000000000000000000000000000000d1", getNonce: async () => 0 },
+    admin: { address: "0x00000000000000000000000000000000000000a1", getNonce: async () => 0 }
+};
+
+function deploy(id, stage, dependsOn = []) {
+    return { type: STEP_TYPES.DEPLOY, id, stage, contract: id, dependsOn, args: () => [] };
+}
+
+function call(id, stage, target, method, dependsOn = []) {
+    return { type: STEP_TYPES.CALL, id, stage, target, method, dependsOn, args: (ctx) => [ctx.address(dependsOn[0] || target)] };
+}
+
+describe("Ecosystem Deployment Orchestrator", function () {
+
+    let tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "karma-deploy-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe("Plan resolution", function () {
+        it("Should run dependencies before the steps that need them", function () {
+            const ordered = resolveExecutionOrder([
+                call("Token.setTreasury", 1, "Token", "setTreasury", ["Treasury"]),
+                deploy("Treasury", 4, ["Token"]),
+                deploy("Token", 1)
+            ]).map(step => step.id);
+
+            expect(ordered).to.deep.equal(["Token", "Treasury", "Token.setTreasury"]);
+        });
+
+        it("Should keep declaration order between independent steps", function () {
+            const ordered = resolveExecutionOrder([deploy("B", 1), deploy("A", 1), deploy("C", 1)]);
+            expect(ordered.map(step => step.id)).to.deep.equal(["B", "A", "C"]);
+        });
+
+        it("Should reject circular and unknown dependencies", function () {
+            expect(() => resolveExecutionOrder([deploy("A", 1, ["B"]), deploy("B", 1, ["A"])]))
+                .to.throw("Circular dependency");
+            expect(() => resolveExecutionOrder([deploy("A", 1, ["Missing"])]))
+                .to.throw("unknown step Missing");
+            expect(() => resolveExecutionOrder([deploy("A", 1), deploy("A", 2)]))
+                .to.throw("Duplicate deployment step");
+        });
+
+        it("Should pull in earlier-stage dependencies when selecting a stage", function () {
+            const steps = [deploy("Token", 1), deploy("Unrelated", 1), deploy("Treasury", 4, ["Token"])];
+            const selected = selectStepsForStages(steps, [4]).map(step => step.id);
+            expect(selected).to.deep.equal(["Token", "Treasury"]);
+        });
+
+        it("Should build an acyclic ecosystem plan covering stages 1-9", function () {
+            const { steps } = buildEcosystemPlan({ network: "hardhat" });
+            const ordered = resolveExecutionOrder(steps);
+            const stages = new Set(ordered.map(step => step.stage));
+
+            expect(ordered).to.have.length(steps.length);
+            expect([...stages].sort()).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+            const index = (id) => ordered.findIndex(step => step.id === id);
+            expect(index("SaleManager")).to.be.lessThan(index("Treasury"));
+            expect(index("Treasury")).to.be.lessThan(index("SaleManager.updateTreasury(Treasury)"));
+            expect(index("KarmaPaymaster")).to.be.lessThan(index("KarmaToken.setPaymaster(KarmaPaymaster)"));
+        });
+
+        it("Should deploy local mocks only on local networks", function () {
+            const local = buildEcosystemPlan({ network: "hardhat" }).steps;
+            const mainnet = buildEcosystemPlan({ network: "arbitrum" }).steps;
+
+            expect(local.find(step => step.id === "EntryPoint").type).to.equal(STEP_TYPES.DEPLOY);
+            expect(mainnet.find(step => step.id === "EntryPoint").type).to.equal(STEP_TYPES.EXTERNAL);
+        });
+    });
+
+    describe("Execution and resume", function () {
+        const steps = [
+            deploy("Token", 1),
+            deploy("Vault", 2, ["Token"]),
+            call("Token.setVestingVault", 2, "Token", "setVestingVault", ["Vault"]),
+            deploy("Treasury", 4, ["Token"])
+        ];
+
+        it("Should deploy each contract once and record it in the manifest", async function () {
+            const chain = createChainStub();
+            const statePath = path.join(tempDir, "localhost.progress.json");
+            const manifestPath = path.join(tempDir, "localhost.json");
+            const orchestrator = new DeploymentOrchestrator({
+                ethers: chain.ethers, steps, signers, network: "localhost", statePath, manifestPath, log: () => {}
+            });
+
+            const { state } = await orchestrator.run();
+
+            expect(chain.deployments).to.deep.equal(["Token", "Vault", "Treasury"]);
+            expect(chain.calls).to.deep.equal(["Token.setVestingVault"]);
+            expect(Object.keys(state.completedSteps)).to.have.length(4);
+
+            const vault = readManifest(manifestPath).contracts.Vault;
+            expect(vault.transactionHash).to.equal(ethers.id("Vault"));
+            expect(vault.blockNumber).to.equal(2);
+            expect(vault.bytecodeHash).to.equal(ethers.keccak256(ethers.toUtf8Bytes("Vault")));
+            expect(vault.constructorArgs).to.deep.equal([]);
+        });
+
+        it("Should not redeploy contracts already recorded in the manifest", async function () {
+            const chain = createChainStub();
+            const manifestPath = path.join(tempDir, "localhost.json");
+            await new DeploymentOrchestrator({
+                ethers: chain.ethers, steps: steps.slice(0, 2), signers, network: "localhost", manifestPath, log: () => {}
+            }).run();
+
+            // No progress file: the second run learns about Token and Vault from the manifest
+            await new DeploymentOrchestrator({
+                ethers: chain.ethers, steps, signers, network: "localhost", manifestPath, log: () => {}
+            }).run();
+
+            expect(chain.deployments).to.deep.equal(["Token", "Vault", "Treasury"]);
+        });
+
+        it("Should resume from the failed step without redeploying", async function () {
+            const statePath = path.join(tempDir, "localhost.progress.json");
+            const manifestPath = path.join(tempDir, "localhost.json");
+            const failing = createChainStub({ failingMethods: ["setVestingVault"] });
+            const first = new DeploymentOrchestrator({
+                ethers: failing.ethers, steps, signers, network: "localhost", statePath, manifestPath, log: () => {}
+            });
+
+            let message = "";
+            try {
+                await first.run();
+            } catch (error) {
+                message = error.message;
+            }
+            expect(message).to.include("Token.setVestingVault failed");
+            expect(loadDeploymentState(statePath).lastFailure.step).to.equal("Token.setVestingVault");
+
+            // Same chain, fixed call: only the outstanding steps run
+            failing.failingMethods.clear();
+            const second = new DeploymentOrchestrator({
+                ethers: failing.ethers, steps, signers, network: "localhost", statePath, manifestPath, log: () => {}
+            });
+            const { state } = await second.run();
+
+            expect(failing.deployments).to.deep.equal(["Token", "Vault", "Treasury"]);
+            expect(failing.calls).to.deep.equal(["Token.setVestingVault"]);
+            expect(state.lastFailure).to.equal(null);
+        });
+
+        it("Should refuse to resume when recorded contracts have no code", async function () {
+            const statePath = path.join(tempDir, "localhost.progress.json");
+            const manifestPath = path.join(tempDir, "localhost.json");
+            const chain = createChainStub();
+            await new DeploymentOrchestrator({
+                ethers: chain.ethers, steps, signers, network: "localhost", statePath, manifestPath, log: () => {}
+            }).run();
+
+            const freshChain = createChainStub();
+            const orchestrator = new DeploymentOrchestrator({
+                ethers: freshChain.ethers, steps, signers, network: "localhost", statePath, manifestPath, log: () => {}
+            });
+
+            let message = "";
+            try {
+                await orchestrator.run();
+            } catch (error) {
+                message = error.message;
+            }
+            expect(message).to.include("state file is stale");
+        });
+
+        it("Should skip wiring that is already applied", async function () {
+            const chain = createChainStub();
+            const applied = [
+                deploy("Token", 1),
+                { ...call("Token.pause", 1, "Token", "pause"), isApplied: async () => true }
+            ];
+
+            await new DeploymentOrchestrator({
+                ethers: chain.ethers, steps: applied, signers, network: "localhost", log: () => {}
+            }).run();
+
+            expect(chain.calls).to.deep.equal([]);
+        });
+    });
+
+    describe("Hardhat network", function () {
+        const hre = require("hardhat");
+        const plan = buildEcosystemPlan({ network: "hardhat" });
+        // The local USDC stand-in is the root MockContract, compiled by the root project
+        const usdc = plan.steps.filter(step => step.id === "USDC");
+        const mockFunction = { type: STEP_TYPES.CALL, id: "USDC.mockFunction", stage: 9, target: "USDC", method: "mockFunction", args: () => [7] };
+
+        let deployer, admin, artifacts, statePath, manifestPath;
+
+        const orchestrator = (steps, options = {}) => new DeploymentOrchestrator({
+            ethers: hre.ethers,
+            steps,
+            signers: { deployer, admin },
+            network: "localhost",
+            statePath,
+            manifestPath,
+            artifacts,
+            log: () => {},
+            ...options
+        });
+
+        /**
+         * Leave a progress file as a run that died after sending its transaction would
+         */
+        function savePending(id, pending) {
+            const state = loadDeploymentState(statePath) || createDeploymentState("localhost", 31337n);
+            state.pendingSteps = { [id]: { from: deployer.address, transactionHash: null, ...pending } };
+            saveDeploymentState(statePath, state);
+        }
+
+        beforeEach(async function () {
+            [deployer, admin] = await hre.ethers.getSigners();
+            artifacts = createStageArtifactResolver({ fallback: hre.artifacts });
+            statePath = path.join(tempDir, "localhost.progress.json");
+            manifestPath = path.join(tempDir, "localhost.json");
+        });
+
+        it("Should deploy a plan step from its compiled artifact", async function () {
+            await orchestrator(usdc).run();
+
+            const { bytecode, deployedBytecode } = await hre.artifacts.readArtifact("MockContract");
+            const entry = readManifest(manifestPath).contracts.USDC;
+            expect(await hre.ethers.provider.getCode(entry.address)).to.equal(deployedBytecode);
+            expect(entry.bytecodeHash).to.equal(ethers.keccak256(bytecode));
+            expect(entry.stage).to.equal(9);
+            expect(loadDeploymentState(statePath).pendingSteps).to.deep.equal({});
+        });
+
+        it("Should load contracts from the stage's own artifacts and stop before sending when one is missing", async function () {
+            const protocolDir = path.join(tempDir, "protocol");
+            const stageArtifacts = path.join(protocolDir, "09-security-production-preparation", "artifacts", "contracts", "Mock.sol");
+            fs.mkdirSync(stageArtifacts, { recursive: true });
+            fs.mkdirSync(path.join(protocolDir, "01-core-token-infrastructure"));
+            const mock = await hre.artifacts.readArtifact("MockContract");
+            fs.writeFileSync(path.join(stageArtifacts, "MockContract.json"), JSON.stringify(mock));
+
+            const stageOnly = createStageArtifactResolver({ protocolDir });
+            expect((await stageOnly.readArtifact("MockContract", 9)).bytecode).to.equal(mock.bytecode);
+
+            const nonce = await deployer.getNonce();
+            let message = "";
+            try {
+                await orchestrator([...usdc, plan.steps.find(step => step.id === "KarmaToken")], { artifacts: stageOnly }).run();
+            } catch (error) {
+                message = error.message;
+            }
+            expect(message).to.include("No artifact for KarmaToken");
+            expect(message).to.include("npm run compile:stages -- 1");
+            expect(await deployer.getNonce()).to.equal(nonce);
+        });
+
+        it("Should compile a real stage in place and deploy from its artifacts", async function () {
+            // Compiles with the stage's own Hardhat, so the stage needs its own npm install
+            const stageDir = getStageDirectories()[1];
+            if (!fs.existsSync(path.join(stageDir, "node_modules", "hardhat"))) this.skip();
+            this.timeout(600000);
+
+            const [result] = compileStages([1], { log: () => {} });
+            expect(result.status).to.equal(0);
+            const compiled = readStageArtifacts(stageDir).find(artifact => artifact.contractName === "KarmaToken");
+            expect(compiled.sourceName).to.equal("contracts/KarmaToken.sol");
+
+            await orchestrator(plan.steps.filter(step => step.id === "KarmaToken")).run();
+
+            const entry = readManifest(manifestPath).contracts.KarmaToken;
+            expect(await hre.ethers.provider.getCode(entry.address)).to.equal(compiled.deployedBytecode);
+            expect(entry.bytecodeHash).to.equal(ethers.keccak256(compiled.bytecode));
+        });
+
+        it("Should link a step's libraries to the addresses earlier steps deployed", async function () {
+            const library = { type: STEP_TYPES.DEPLOY, id: "MockLibrary", stage: 9, contract: "MockLibrary", dependsOn: [] };
+            const linked = {
+                type: STEP_TYPES.DEPLOY,
+                id: "MockLinkedContract",
+                stage: 9,
+                contract: "MockLinkedContract",
+                dependsOn: ["MockLibrary"],
+                libraries: { MockLibrary: "MockLibrary" }
+            };
+
+            await orchestrator([library, linked]).run();
+
+            const { contracts } = readManifest(manifestPath);
+            const contract = await hre.ethers.getContractAt("MockLinkedContract", contracts.MockLinkedContract.address);
+            expect(await contract.double(21)).to.equal(42n);
+            const code = await hre.ethers.provider.getCode(contracts.MockLinkedContract.address);
+            expect(code).to.include(contracts.MockLibrary.address.slice(2).toLowerCase());
+        });
+
+        it("Should look up a sent deployment on resume instead of deploying again", async function () {
+            const factory = await hre.ethers.getContractFactory("MockContract", deployer);
+            const nonce = await deployer.getNonce();
+            const sent = await factory.deploy();
+            await sent.waitForDeployment();
+            savePending("USDC", { type: STEP_TYPES.DEPLOY, nonce, transactionHash: sent.deploymentTransaction().hash });
+
+            await orchestrator(usdc).run();
+
+            const entry = readManifest(manifestPath).contracts.USDC;
+            expect(entry.address).to.equal(await sent.getAddress());
+            expect(entry.transactionHash).to.equal(sent.deploymentTransaction().hash);
+            expect(await deployer.getNonce()).to.equal(nonce + 1);
+        });
+
+        it("Should find a deployment whose hash was never saved from its nonce", async function () {
+            const factory = await hre.ethers.getContractFactory("MockContract", deployer);
+            const nonce = await deployer.getNonce();
+            await (await factory.deploy()).waitForDeployment();
+            savePending("USDC", { type: STEP_TYPES.DEPLOY, nonce });
+
+            await orchestrator(usdc).run();
+
+            expect(readManifest(manifestPath).contracts.USDC.address)
+                .to.equal(ethers.getCreateAddress({ from: deployer.address, nonce }));
+            expect(await deployer.getNonce()).to.equal(nonce + 1);
+        });
+
+        it("Should not send a call again when its transaction was mined", async function () {
+            await orchestrator(usdc).run();
+            const mock = await hre.ethers.getContractAt("MockContract", readManifest(manifestPath).contracts.USDC.address, admin);
+            const nonce = await admin.getNonce();
+            const sent = await mock.mockFunction(7);
+            await sent.wait();
+            savePending(mockFunction.id, { type: STEP_TYPES.CALL, from: admin.address, nonce, transactionHash: sent.hash });
+
+            const { state } = await orchestrator([...usdc, mockFunction]).run();
+
+            expect(state.completedSteps[mockFunction.id].transactionHash).to.equal(sent.hash);
+            expect(await admin.getNonce()).to.equal(nonce + 1);
+        });
+
+        it("Should send a step again when its nonce was never used", async function () {
+            await orchestrator(usdc).run();
+            const nonce = await admin.getNonce();
+            savePending(mockFunction.id, { type: STEP_TYPES.CALL, from: admin.address, nonce, transactionHash: ethers.id("dropped") });
+
+            await orchestrator([...usdc, mockFunction]).run();
+
+            const mock = await hre.ethers.getContractAt("MockContract", readManifest(manifestPath).contracts.USDC.address);
+            expect(await mock.counter()).to.equal(7n);
+            expect(await admin.getNonce()).to.equal(nonce + 1);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Multisig Payload Tests
+ * Offline signing, signature merging, quorum and Safe batch export
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+    REQUIRED_SIGNATURES,
+    encodeAction,
+    createPayload,
+    signPayload,
+    mergePayloads,
+    getPayloadStatus,
+    toSafeBatch
+} = require("../utils/multisig-payload");
+const { ROLES } = require("../utils/role-registry");
+
+const ADMIN_CONTROL = ethers.getAddress("0x00000000000000000000000000000000000000a1");
+const TOKEN = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+const MINTER = ethers.getAddress("0x00000000000000000000000000000000000000c3");
+const SAFE = ethers.getAddress("0x00000000000000000000000000000000000000d4");
+const NOW = 1760000000;
+
+describe("Multisig Payloads", function () {
+
+    const owners = Array.from({ length: 5 }, (_, i) => new ethers.Wallet(ethers.id(`owner-${i}`)));
+    const outsider = new ethers.Wallet(ethers.id("outsider"));
+
+    function buildPayload(overrides = {}) {
+        return createPayload({
+            network: "arbitrum",
+            chainId: 42161,
+            adminControl: ADMIN_CONTROL,
+            contract: "KarmaToken",
+            target: TOKEN,
+            action: encodeAction("grant-role", { role: "MINTER_ROLE", account: MINTER }),
+            signers: owners.map(owner => owner.address),
+            now: NOW,
+            ...overrides
+        });
+    }
+
+    it("Should encode admin actions", function () {
+        const grant = encodeAction("grant-role", { role: "MINTER_ROLE", account: MINTER });
+        const call = encodeAction("call", { signature: "setTreasury(address)", args: [SAFE] });
+        const token = new ethers.Interface(["function grantRole(bytes32,address)", "function setTreasury(address)", "function pause()"]);
+
+        expect(grant.data).to.equal(token.encodeFunctionData("grantRole", [ROLES.MINTER_ROLE, MINTER]));
+        expect(call.data).to.equal(token.encodeFunctionData("setTreasury", [SAFE]));
+        expect(encodeAction("pause").data).to.equal(token.encodeFunctionData("pause"));
+        expect(() => encodeAction("selfdestruct")).to.throw("Unknown multisig action selfdestruct");
+    });
+
+    it("Should default to the REQUIRED_SIGNATURES threshold and the execution time limit", function () {
+        const payload = buildPayload();
+
+        expect(payload.threshold).to.equal(REQUIRED_SIGNATURES);
+        expect(payload.deadline).to.equal(NOW + 604800);
+        expect(payload.signatures).to.deep.equal([]);
+        expect(() => buildPayload({ threshold: 2 })).to.throw("below the 3 signatures");
+        expect(() => buildPayload({ signers: owners.slice(0, 2).map(owner => owner.address) })).to.throw("2 signers cannot meet a threshold of 3");
+    });
+
+    it("Should collect offline signatures and become ready at the threshold", async function () {
+        const payload = buildPayload();
+        const copies = await Promise.all(owners.slice(0, 3).map(owner => signPayload(payload, owner, NOW + 60)));
+
+        const twoSigned = mergePayloads(copies.slice(0, 2));
+        expect(getPayloadStatus(twoSigned, NOW + 120)).to.include({ ready: false, threshold: 3 });
+
+        const merged = mergePayloads([twoSigned, ...copies]);
+        const status = getPayloadStatus(merged, NOW + 120);
+        expect(merged.signatures).to.have.lengthOf(3);
+        expect(status.ready).to.equal(true);
+        expect(status.signed).to.deep.equal(owners.slice(0, 3).map(owner => owner.address));
+        expect(status.missing).to.deep.equal(owners.slice(3).map(owner => owner.address));
+        expect(getPayloadStatus(merged, payload.deadline + 1)).to.include({ ready: false, expired: true });
+    });
+
+    it("Should reject outsiders, forged signatures and edited payloads", async function () {
+        const payload = buildPayload();
+        await signPayload(payload, outsider, NOW).then(
+            () => expect.fail("outsider signed"),
+            error => expect(error.message).to.include("is not one of the payload's multisig signers")
+        );
+
+        const signed = await signPayload(payload, owners[0], NOW);
+        const forged = { ...signed, signatures: [{ ...signed.signatures[0], signer: owners[1].address }] };
+        expect(getPayloadStatus(forged, NOW).invalid[0].reason).to.equal(`signature is from ${owners[0].address}`);
+
+        const edited = { ...signed, threshold: 1, signers: [outsider.address, ...signed.signers] };
+        expect(getPayloadStatus(edited, NOW)).to.include({ tampered: true, ready: false });
+        expect(() => mergePayloads([signed, buildPayload()])).to.throw("describe different transactions");
+    });
+
+    it("Should export a Safe transaction-builder batch", function () {
+        const payload = buildPayload();
+        const adminControl = new ethers.Interface(["function executeMultiSigTransaction(address,uint256,bytes)"]);
+
+        const wrapped = toSafeBatch(payload, { safeAddress: SAFE, createdAt: 1 });
+        expect(wrapped).to.deep.include({ version: "1.0", chainId: "42161", createdAt: 1 });
+        expect(wrapped.meta.createdFromSafeAddress).to.equal(SAFE);
+        expect(wrapped.transactions).to.deep.equal([{
+            to: ADMIN_CONTROL,
+            value: "0",
+            data: adminControl.encodeFunctionData("executeMultiSigTransaction", [TOKEN, 0, payload.transaction.data]),
+            contractMethod: null,
+            contractInputsValues: null
+        }]);
+
+        const direct = toSafeBatch(payload, { safeAddress: SAFE, route: "direct" });
+        expect(direct.transactions[0]).to.include({ to: TOKEN, data: payload.transaction.data });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Revocation Simulator Tests
+ * Revocation parsing and encoding, reading vault and department state, and the impact report
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+    REVOCATION_ABI,
+    parseRevocations,
+    encodeRevocation,
+    readRevocationState,
+    summarizeRevocation
+} = require("../utils/revocation-simulator");
+
+const VAULT = ethers.getAddress("0x00000000000000000000000000000000000000a1");
+const TEAM_VESTING = ethers.getAddress("0x00000000000000000000000000000000000000a2");
+const ALICE = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+
+describe("Revocation Simulator", function () {
+
+    const ether = (amount) => ethers.parseEther(String(amount));
+
+    it("Should parse revocations and encode them as VestingVault calls", async function () {
+        expect(parseRevocations(" 3, 7:1000.5 ")).to.deep.equal([{ scheduleId: 3 }, { scheduleId: 7, amount: ether("1000.5") }]);
+        expect(parseRevocations("")).to.deep.equal([]);
+        expect(() => parseRevocations("x")).to.throw('Invalid schedule id "x"');
+        expect(() => parseRevocations("3:0")).to.throw("must be positive");
+
+        const vault = new ethers.Interface(["function revokeSchedule(uint256)", "function partialRevokeSchedule(uint256,uint256)"]);
+        const full = encodeRevocation({ scheduleId: 3 });
+        expect(full).to.include({ signature: "revokeSchedule(uint256)", data: vault.encodeFunctionData("revokeSchedule", [3]), summary: "Revoke vesting schedule 3" });
+
+        const partial = encodeRevocation({ scheduleId: 7, amount: ether(1000) });
+        expect(partial.data).to.equal(vault.encodeFunctionData("partialRevokeSchedule", [7, ether(1000)]));
+        // Arguments stay JSON-safe for multisig payloads
+        expect(partial.args).to.deep.equal(["7", ether(1000).toString()]);
+        expect(partial.summary).to.equal("Revoke 1000.0 unvested KARMA from vesting schedule 7");
+    });
+
+    it("Should report returned, claimable and forfeited tokens and the department change", async function () {
+        const vault = { totalVesting: ether(5000), totalClaimed: ether(1000), balance: ether(6000), unallocated: ether(2000) };
+        const department = { name: "Engineering", memberCount: 4, totalAllocation: ether(4000) };
+        const before = {
+            blockNumber: 100,
+            timestamp: 1000,
+            schedules: {
+                1: { beneficiary: ALICE, scheduleType: "TEAM", totalAmount: ether(1000), claimedAmount: ether(500), revoked: false, vested: ether(600), claimable: ether(100) },
+                2: { beneficiary: ALICE, scheduleType: "TEAM", totalAmount: ether(1000), claimedAmount: ether(500), revoked: false, vested: ether(600), claimable: ether(100) }
+            },
+            vault,
+            department
+        };
+        // What the vault reports after revokeSchedule(1) and partialRevokeSchedule(2, 300)
+        const after = {
+            blockNumber: 100,
+            timestamp: 1000,
+            schedules: {
+                1: { ...before.schedules[1], totalAmount: ether(600), revoked: true, vested: ether(500), claimable: 0n },
+                2: { ...before.schedules[2], totalAmount: ether(700), vested: ether(420), claimable: 0n }
+            },
+            vault: { ...vault, totalVesting: ether(4300), unallocated: ether(2700) },
+            department
+        };
+
+        const report = summarizeRevocation(before, after, [{ scheduleId: 1 }, { scheduleId: 2, amount: ether(300) }]);
+        expect(report.totals).to.deep.equal({
+            returned: ether(700),
+            forfeited: ether(100) + ether(180),
+            claimableBefore: ether(200),
+            claimableAfter: 0n,
+            stillVesting: ether(280)
+        });
+        expect(report.schedules[0]).to.include({ scheduleId: 1, partial: false, returned: ether(400), forfeited: ether(100), stillVesting: 0n });
+        expect(report.schedules[1]).to.include({ scheduleId: 2, partial: true, vestedAfter: ether(420), claimed: ether(500) });
+        expect(report.vault).to.deep.equal({ totalVestingBefore: ether(5000), totalVestingAfter: ether(4300), unallocatedBefore: ether(2000), unallocatedAfter: ether(2700) });
+        expect(report.department).to.include({ name: "Engineering", memberCountAfter: 4, allocationDelta: 0n });
+        expect(report.warnings).to.deep.equal([
+            "Schedule 1: 100.0 KARMA had vested but was not claimed; revoking forfeits it",
+            "Schedule 2: the vault re-vests the reduced total from the start, so 180.0 KARMA that had vested is no longer vested",
+            "Schedule 2: 80.0 KARMA more was claimed than is now vested; nothing more can be claimed until vesting catches up",
+            "TeamVesting does not track revocations: Engineering still counts the 700.0 KARMA returned to the vault"
+        ]);
+    });
+
+    it("Should read schedules, vault totals and the member's department at one block", async function () {
+        const iface = new ethers.Interface(REVOCATION_ABI);
+        const blockTags = new Set();
+        const departments = [];
+
+        const provider = {
+            getBlock: async (tag) => ({ number: tag === "latest" ? 800 : tag, timestamp: 5000 }),
+            call: async ({ to, data, blockTag }) => {
+                blockTags.add(blockTag);
+                const call = iface.parseTransaction({ data });
+                const encode = (values) => iface.encodeFunctionResult(call.fragment, values);
+                switch (call.name) {
+                    case "getVestingSchedule":
+                        return encode([[ether(1000), ether(250), 0, 0, 100, false, ALICE, "TEAM"]]);
+                    case "getVestedAmount":
+                        return encode([ether(400)]);
+                    case "getClaimableAmount":
+                        return encode([ether(150)]);
+                    case "getContractStats":
+                        return encode([3, ether(3000), ether(500), ether(4000)]);
+                    case "getTeamMemberDetails":
+                        expect(ethers.getAddress(to)).to.equal(TEAM_VESTING);
+                        return encode(call.args[0] === ALICE ? ["Engineering", "Lead", 1, true, ether(1000), 1] : ["", "", 0, false, 0, 0]);
+                    case "getDepartmentStats":
+                        departments.push(call.args[0]);
+                        return encode([4, ether(4000), true]);
+                }
+                throw new Error(`unexpected call ${call.name}`);
+            }
+        };
+
+        const state = await readRevocationState(provider, { vestingVault: VAULT, teamVesting: TEAM_VESTING }, { member: ALICE, scheduleIds: [1] });
+        expect(state.schedules[1]).to.deep.equal({ beneficiary: ALICE, scheduleType: "TEAM", totalAmount: ether(1000), claimedAmount: ether(250), revoked: false, vested: ether(400), claimable: ether(150) });
+        // Unallocated is the balance not owed to any schedule
+        expect(state.vault).to.deep.equal({ totalVesting: ether(3000), totalClaimed: ether(500), balance: ether(4000), unallocated: ether(1500) });
+        expect(state.department).to.deep.equal({ name: "Engineering", memberCount: 4, totalAllocation: ether(4000) });
+        expect([...blockTags]).to.deep.equal([800]);
+
+        const outsider = await readRevocationState(provider, { vestingVault: VAULT, teamVesting: TEAM_VESTING }, { member: VAULT, scheduleIds: [] });
+        expect(outsider.department).to.equal(null);
+        expect(departments).to.deep.equal(["Engineering"]);
+    });
+});
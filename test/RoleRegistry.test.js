@@ -0,0 +1,118 @@
+/**
+ * Role Registry Tests
+ * Role ids derived from contract sources and the stored-constant check
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    DEFAULT_ADMIN_ROLE,
+    ROLES,
+    CONTRACT_ROLES,
+    roleId,
+    roleName,
+    roleNameFromKey,
+    findRoleMismatches
+} = require("../utils/role-registry");
+const { validateStageConfig } = require("../utils/config-loader");
+
+describe("Role Registry", function () {
+
+    let tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "karma-roles-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    function writeFile(relativePath, content) {
+        const file = path.join(tempDir, relativePath);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content, null, 2));
+    }
+
+    it("Should derive every role id as keccak256 of its name", function () {
+        expect(ROLES.DEFAULT_ADMIN_ROLE).to.equal(ethers.ZeroHash);
+        expect(roleId("DEFAULT_ADMIN_ROLE")).to.equal(DEFAULT_ADMIN_ROLE);
+
+        for (const [name, id] of Object.entries(ROLES)) {
+            if (name !== "DEFAULT_ADMIN_ROLE") expect(id).to.equal(ethers.keccak256(ethers.toUtf8Bytes(name)));
+        }
+    });
+
+    it("Should read the roles each contract declares from its source", function () {
+        expect(CONTRACT_ROLES.KarmaToken).to.include.members(["MINTER_ROLE", "PAUSER_ROLE"]);
+        expect(CONTRACT_ROLES.VestingVault).to.include.members(["VESTING_MANAGER_ROLE", "EMERGENCY_ROLE"]);
+        expect(CONTRACT_ROLES.VestingVault).to.not.include("VAULT_MANAGER_ROLE");
+    });
+
+    it("Should map config keys to role names and ids back to names", function () {
+        expect(roleNameFromKey("minterRole")).to.equal("MINTER_ROLE");
+        expect(roleNameFromKey("defaultAdminRole")).to.equal("DEFAULT_ADMIN_ROLE");
+        expect(roleNameFromKey("SALE_MANAGER_ROLE")).to.equal("SALE_MANAGER_ROLE");
+
+        expect(roleName(`0x${ethers.id("MINTER_ROLE").slice(2).toUpperCase()}`)).to.equal("MINTER_ROLE");
+        expect(roleName(ethers.ZeroHash)).to.equal("DEFAULT_ADMIN_ROLE");
+        expect(roleName(ethers.id("NOT_A_ROLE"))).to.equal(null);
+    });
+
+    it("Should find no mismatched role ids in the shipped tree", function () {
+        const { isValid, errors } = findRoleMismatches();
+        expect(errors).to.deep.equal([]);
+        expect(isValid).to.equal(true);
+    });
+
+    it("Should flag mismatched Solidity literals, constants and config values", function () {
+        writeFile("01-core/contracts/Token.sol", [
+            "contract Token {",
+            "    bytes32 public constant MINTER_ROLE = keccak256(\"MINTER_ROLE\");",
+            "    bytes32 public constant BURNER_ROLE = keccak256(\"BURN_ROLE\");",
+            "}"
+        ].join("\n"));
+        writeFile("01-core/config/stage1.1-config.json", {
+            contracts: {
+                Token: {
+                    roles: {
+                        minterRole: ethers.id("MINTER_ROLE"),
+                        burnerRole: "0x1234"
+                    }
+                }
+            },
+            managers: ["AUDITOR_ROLE"]
+        });
+
+        const { isValid, errors, warnings } = findRoleMismatches({
+            protocolDir: tempDir,
+            constants: { ROLES: { MINTER_ROLE: ethers.id("MINTER"), PAUSER_ROLE: ethers.id("PAUSER_ROLE") } }
+        });
+
+        expect(isValid).to.equal(false);
+        expect(errors).to.have.lengthOf(3);
+        expect(errors[0]).to.include("Token.BURNER_ROLE is keccak256(\"BURN_ROLE\")");
+        expect(errors[1]).to.include(`ROLES.MINTER_ROLE: ${ethers.id("MINTER")} is not keccak256("MINTER_ROLE")`);
+        expect(errors[2]).to.include("contracts.Token.roles.burnerRole: \"0x1234\" is not a bytes32 role id");
+        expect(warnings).to.deep.equal([
+            "ROLES.PAUSER_ROLE: no contract declares PAUSER_ROLE",
+            `${path.basename(tempDir)}/01-core/config/stage1.1-config.json managers.0: no contract declares AUDITOR_ROLE`
+        ]);
+    });
+
+    it("Should reject role ids that do not match their key in stage configs", function () {
+        const { errors } = validateStageConfig("8.2", {
+            platforms: {},
+            feeCollection: { distribution: { buyback: 100 } },
+            security: { accessControl: { operatorRole: ethers.id("OPERATOR") } }
+        });
+
+        expect(errors).to.deep.equal([
+            `security.accessControl.operatorRole: ${ethers.id("OPERATOR")} is not keccak256("OPERATOR_ROLE") (expected ${ethers.id("OPERATOR_ROLE")})`
+        ]);
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tax Lot Tests
+ * Lots from release dates and claims, first-in first-out claim matching, price files and the CSV export
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { parseCsv, formatCsv } = require("../utils/csv");
+const {
+    loadPriceFile,
+    parsePrices,
+    lookupPrice,
+    buildTaxLots,
+    formatUsd,
+    toTaxLotRecords
+} = require("../utils/tax-lots");
+
+const ALICE = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+const BOB = ethers.getAddress("0x00000000000000000000000000000000000000c3");
+
+const DAY = 86400;
+const at = (date) => Date.parse(`${date}T00:00:00Z`) / 1000;
+
+describe("Tax Lots", function () {
+
+    const ether = (amount) => ethers.parseEther(String(amount));
+
+    // 3600 KARMA over 360 days from Jan 1 vests 10 KARMA a day; schedule 2 was revoked
+    const asOf = at("2026-04-15");
+    const vesting = {
+        beneficiary: ALICE,
+        blockNumber: 900,
+        asOf,
+        schedules: [
+            { id: 1, scheduleType: "TEAM", totalAmount: ether(3600), claimedAmount: ether(680), startTime: at("2026-01-01"), cliffDuration: 0, vestingDuration: 360 * DAY, revoked: false },
+            { id: 2, scheduleType: "ADVISOR", totalAmount: ether(50), claimedAmount: ether(50), startTime: at("2026-01-01"), cliffDuration: 0, vestingDuration: 100 * DAY, revoked: true }
+        ]
+    };
+    const claim = (beneficiary, scheduleId, amount, date, blockNumber) => ({ beneficiary, scheduleId, amount: ether(amount), blockNumber, timestamp: at(date), transactionHash: ethers.id(`claim-${blockNumber}`) });
+    const claims = [
+        claim(ALICE, 2, 50, "2026-02-15", 300),
+        claim(BOB, 1, 999, "2026-03-01", 350),
+        claim(ALICE, 1, 680, "2026-03-10", 400),
+        claim(ALICE, 1, 5, "2026-04-20", 1000)
+    ];
+    const prices = parsePrices([["2026-02-01", "0.10"], ["2026-02-15", "0.11"], ["2026-02-27", "0.12"], ["2026-03-10", "0.15"], ["2026-04-01", "0.2"]]);
+
+    it("Should split vesting into lots at release dates and claims and value them", async function () {
+        const taxLots = buildTaxLots(vesting, claims, prices);
+        const summary = taxLots.rows.map(row => [row.scheduleId, row.lot, new Date(row.acquisitionTime * 1000).toISOString().slice(0, 10), ethers.formatEther(row.quantity), row.priceDate, formatUsd(row.costBasis), row.status]);
+
+        // The Mar 10 claim closes a lot between the Mar 1 and Apr 1 releases; Mar 1 is priced from Feb 27
+        expect(summary).to.deep.equal([
+            [1, 1, "2026-02-01", "310.0", "2026-02-01", "31.00", "claimed"],
+            [1, 2, "2026-03-01", "280.0", "2026-02-27", "33.60", "claimed"],
+            [1, 3, "2026-03-10", "90.0", "2026-03-10", "13.50", "claimed"],
+            [1, 4, "2026-04-01", "220.0", "2026-04-01", "44.00", "unclaimed"],
+            [2, 1, "2026-02-15", "50.0", "2026-02-15", "5.50", "claimed"]
+        ]);
+        expect(taxLots.rows[0]).to.include({ claimTime: at("2026-03-10"), claimTransaction: ethers.id("claim-400") });
+        expect(taxLots.totals).to.deep.equal({
+            quantity: ether(950),
+            costBasis: ethers.parseUnits("127.6", 18),
+            claimedQuantity: ether(730),
+            claimedCostBasis: ethers.parseUnits("83.6", 18)
+        });
+        expect(taxLots.warnings).to.deep.equal([]);
+    });
+
+    it("Should match claims to the oldest lots first and flag what cannot be matched", async function () {
+        const partial = [claim(ALICE, 1, 400, "2026-03-10", 400), claim(ALICE, 1, 1000, "2026-04-10", 500)];
+        const taxLots = buildTaxLots({ ...vesting, schedules: [vesting.schedules[0]] }, partial, new Map());
+
+        expect(taxLots.rows.map(row => [row.lot, ethers.formatEther(row.quantity), row.claimTransaction])).to.deep.equal([
+            [1, "310.0", ethers.id("claim-400")],
+            [2, "90.0", ethers.id("claim-400")],
+            [2, "190.0", ethers.id("claim-500")],
+            [3, "90.0", ethers.id("claim-500")],
+            [4, "220.0", ethers.id("claim-500")],
+            [5, "90.0", ethers.id("claim-500")]
+        ]);
+        expect(taxLots.rows.every(row => row.costBasis === null && row.price === null)).to.equal(true);
+        expect(taxLots.warnings).to.deep.equal([
+            `Schedule 1: 410.0 KARMA claimed in ${ethers.id("claim-500")} is more than had vested by then`,
+            "No price within 7 days before 2026-02-01, 2026-03-01, 2026-03-10, 2026-04-01, 2026-04-10"
+        ]);
+    });
+
+    it("Should read CSV and JSON price files", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "karma-prices-"));
+        try {
+            const csvFile = path.join(dir, "prices.csv");
+            fs.writeFileSync(csvFile, "\uFEFFDate,Close\r\n2026-01-02,\"$0.125\"\r\n2026-01-05T00:00:00Z,0.13\r\n");
+            const csvPrices = loadPriceFile(csvFile);
+            expect([...csvPrices.keys()]).to.deep.equal(["2026-01-02", "2026-01-05"]);
+            expect(csvPrices.get("2026-01-02")).to.equal(ethers.parseUnits("0.125", 18));
+
+            const jsonFile = path.join(dir, "prices.json");
+            fs.writeFileSync(jsonFile, JSON.stringify({ "2026-01-02": 0.125, "2026-01-03": "0.5" }));
+            expect(loadPriceFile(jsonFile).get("2026-01-03")).to.equal(ethers.parseUnits("0.5", 18));
+            fs.writeFileSync(jsonFile, JSON.stringify([{ date: "2026-01-02", price: 1 }]));
+            expect(loadPriceFile(jsonFile).get("2026-01-02")).to.equal(ethers.parseUnits("1", 18));
+
+            fs.writeFileSync(csvFile, "day,price\n2026-01-02,1\n");
+            expect(() => loadPriceFile(csvFile)).to.throw("needs a date column");
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        expect(() => parsePrices([["02/01/2026", "1"]])).to.throw('invalid date "02/01/2026"');
+        expect(() => parsePrices([["2026-01-02", "-1"]])).to.throw('invalid price "-1"');
+        expect(() => parsePrices([["2026-01-02", "1"], ["2026-01-02", "2"]])).to.throw("2026-01-02 is listed twice");
+
+        // Weekends and gaps fall back to the latest earlier price
+        expect(lookupPrice(prices, at("2026-03-03") + 3600)).to.deep.equal({ price: ethers.parseUnits("0.12", 18), priceDate: "2026-02-27" });
+        expect(lookupPrice(prices, at("2026-03-03"), 3)).to.equal(null);
+    });
+
+    it("Should write tax lots as CSV", async function () {
+        const { columns, records } = toTaxLotRecords(buildTaxLots(vesting, claims, prices));
+        const rows = parseCsv(formatCsv(records, columns));
+
+        expect(rows[1]).to.deep.include({
+            beneficiary: ALICE,
+            schedule_id: "1",
+            schedule_type: "TEAM",
+            lot: "2",
+            acquisition_date: "2026-03-01",
+            quantity: "280.0",
+            fmv_usd: "0.12",
+            price_date: "2026-02-27",
+            cost_basis_usd: "33.60",
+            claim_date: "2026-03-10",
+            claim_tx: ethers.id("claim-400"),
+            status: "claimed"
+        });
+        expect(rows[3]).to.include({ claim_date: "", claim_tx: "", status: "unclaimed" });
+
+        expect(formatUsd(ethers.parseUnits("1234.565", 18))).to.equal("1234.57");
+        expect(formatUsd(ethers.parseUnits("0.004", 18))).to.equal("0.00");
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Time Units Tests
+ * UTC calendar-month and anniversary arithmetic, and the stage utilities built on it
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+    TIME_UNITS,
+    isLeapYear,
+    daysInMonth,
+    toUtcDate,
+    startOfMonth,
+    addMonths,
+    addYears,
+    monthsBetween,
+    calendarMonthsDuration,
+    getCalendarMonth
+} = require("../utils/time-units");
+const vestingCalc = require("../protocol/02-vesting-system-architecture/utils/vesting-calculator");
+const { TIME_CONSTANTS, generateMonthlyReport } = require("../protocol/04-treasury-fund-management/utils/treasury-calculator");
+const { checkRateLimit } = require("../protocol/05-user-experience-enhancement/utils/gas-estimator");
+
+const at = (iso) => Date.parse(iso) / 1000;
+const iso = (timestamp) => new Date(timestamp * 1000).toISOString();
+
+describe("Time Units", function () {
+
+    describe("Calendar", function () {
+        it("Should know month lengths and leap years", async function () {
+            expect([2023, 2024, 2100, 2000].map(isLeapYear)).to.deep.equal([false, true, false, true]);
+            expect([1, 2, 4, 12].map(month => daysInMonth(2024, month))).to.deep.equal([31, 29, 30, 31]);
+            expect(daysInMonth(2026, 2)).to.equal(28);
+            expect(toUtcDate(at("2026-10-19T13:45:07Z"))).to.deep.equal({ year: 2026, month: 10, day: 19, hour: 13, minute: 45, second: 7 });
+        });
+
+        it("Should add months as anniversaries clamped to the month end", async function () {
+            const jan31 = at("2025-01-31T09:30:00Z");
+            expect([1, 2, 3, 13].map(months => iso(addMonths(jan31, months)))).to.deep.equal([
+                "2025-02-28T09:30:00.000Z",
+                "2025-03-31T09:30:00.000Z",
+                "2025-04-30T09:30:00.000Z",
+                "2026-02-28T09:30:00.000Z"
+            ]);
+            expect(iso(addMonths(at("2024-01-31T00:00:00Z"), 1))).to.equal("2024-02-29T00:00:00.000Z");
+            expect(iso(addMonths(at("2026-03-31T00:00:00Z"), -1))).to.equal("2026-02-28T00:00:00.000Z");
+            expect(iso(addMonths(at("2026-01-15T00:00:00Z"), -13))).to.equal("2024-12-15T00:00:00.000Z");
+            expect(() => addMonths(jan31, 1.5)).to.throw("whole number of months");
+        });
+
+        it("Should handle leap-day anniversaries", async function () {
+            const leapDay = at("2024-02-29T12:00:00Z");
+            expect(iso(addYears(leapDay, 1))).to.equal("2025-02-28T12:00:00.000Z");
+            expect(iso(addYears(leapDay, 4))).to.equal("2028-02-29T12:00:00.000Z");
+            expect(calendarMonthsDuration(at("2024-03-01T00:00:00Z"), 12)).to.equal(365 * TIME_UNITS.DAY);
+            expect(calendarMonthsDuration(at("2024-02-01T00:00:00Z"), 12)).to.equal(366 * TIME_UNITS.DAY);
+        });
+
+        it("Should count whole months elapsed", async function () {
+            const start = at("2024-01-31T10:00:00Z");
+            expect(monthsBetween(start, at("2024-02-29T09:59:59Z"))).to.equal(0);
+            expect(monthsBetween(start, at("2024-02-29T10:00:00Z"))).to.equal(1);
+            expect(monthsBetween(start, at("2025-01-31T09:00:00Z"))).to.equal(11);
+            expect(monthsBetween(start, at("2025-01-31T10:00:00Z"))).to.equal(12);
+            expect(monthsBetween(start, start - 1)).to.equal(0);
+        });
+
+        it("Should find the calendar month of a timestamp", async function () {
+            expect(iso(startOfMonth(at("2026-10-19T13:45:00Z")))).to.equal("2026-10-01T00:00:00.000Z");
+            expect(getCalendarMonth(at("2028-02-10T00:00:00Z"))).to.deep.equal({
+                year: 2028,
+                month: 2,
+                startTime: at("2028-02-01T00:00:00Z"),
+                endTime: at("2028-03-01T00:00:00Z"),
+                days: 29
+            });
+            expect(getCalendarMonth(at("2026-12-31T23:59:59Z")).endTime).to.equal(at("2027-01-01T00:00:00Z"));
+        });
+    });
+
+    describe("Stage utilities", function () {
+        const { CALENDAR_MONTH } = vestingCalc.VESTING_CONSTANTS;
+
+        it("Should share time units with the vesting and treasury calculators", async function () {
+            expect(vestingCalc.VESTING_CONSTANTS.TIME_UNITS).to.equal(TIME_UNITS);
+            expect(vestingCalc.VESTING_CONSTANTS.TIME_UNITS.MONTH).to.equal(2592000);
+            expect(TIME_CONSTANTS.SECONDS_PER_MONTH * 12).to.equal(TIME_CONSTANTS.SECONDS_PER_YEAR);
+        });
+
+        it("Should release vesting on calendar-month anniversaries", async function () {
+            const start = at("2026-01-31T00:00:00Z");
+            const { cliffDuration, vestingDuration } = vestingCalc.calculateCalendarDurations(start, { cliffMonths: 1, vestingMonths: 4 });
+            expect(iso(start + cliffDuration)).to.equal("2026-02-28T00:00:00.000Z");
+            expect(iso(start + vestingDuration)).to.equal("2026-05-31T00:00:00.000Z");
+
+            const total = ethers.parseEther("1200");
+            const schedule = vestingCalc.generateVestingSchedule(total, start, vestingDuration, CALENDAR_MONTH, cliffDuration);
+            expect(schedule.map(release => iso(release.releaseTime).slice(0, 10))).to.deep.equal(["2026-02-28", "2026-03-31", "2026-04-30", "2026-05-31"]);
+
+            // Each release is what VestingVault has vested by then: 28, 31, 30 and 31 of 120 days
+            const vested = (days) => (total * BigInt(days)) / 120n;
+            expect(schedule.map(release => release.releaseAmount)).to.deep.equal([vested(28), vested(59) - vested(28), vested(89) - vested(59), total - vested(89)]);
+            expect(schedule[3]).to.include({ cumulativeAmount: total, progressPercentage: "100" });
+
+            expect(() => vestingCalc.getReleaseTimes(start, vestingDuration, 0)).to.throw("positive number of seconds or CALENDAR_MONTH");
+        });
+
+        it("Should place vesting checkpoints on monthly anniversaries of the start", async function () {
+            const start = at("2025-03-31T00:00:00Z");
+            const checkpoints = vestingCalc.calculateGasOptimizedCheckpoints({
+                totalAmount: ethers.parseEther("1000"),
+                startTime: start,
+                duration: calendarMonthsDuration(start, 4),
+                cliffDuration: calendarMonthsDuration(start, 1)
+            });
+
+            expect(checkpoints.map(checkpoint => [iso(checkpoint.timestamp).slice(0, 10), checkpoint.description])).to.deep.equal([
+                ["2025-04-30", "Cliff end - Initial release"],
+                ["2025-05-31", "Monthly release"],
+                ["2025-06-30", "Monthly release"],
+                ["2025-07-31", "Final release"]
+            ]);
+        });
+
+        it("Should reset paymaster monthly limits at the start of each calendar month", async function () {
+            const now = at("2026-02-14T08:00:00Z");
+            const lastMonthlyReset = at("2026-02-01T00:00:00Z");
+            const usage = { lastDailyReset: at("2026-02-14T00:00:00Z"), dailyGasUsed: 100000, lastMonthlyReset, monthlyGasUsed: 24000000 };
+
+            const result = checkRateLimit(usage, 400000, 0, now);
+            expect(result.usage.daily.used).to.equal(500000);
+            expect(result.usage.monthly).to.include({ used: 24400000, withinLimit: true });
+            expect(result.resetTimes).to.deep.equal({ dailyReset: at("2026-02-15T00:00:00Z"), monthlyReset: at("2026-03-01T00:00:00Z") });
+
+            // A new month starts from zero
+            expect(checkRateLimit(usage, 400000, 0, at("2026-03-01T00:00:00Z")).usage.monthly.used).to.equal(400000);
+        });
+
+        it("Should count treasury report periods in calendar months", async function () {
+            const zero = { marketing: 0n, kol: 0n, development: 0n, buyback: 0n };
+            const treasuryData = { balance: 0n, allocations: zero, spent: zero, lastReportTimestamp: at("2026-01-31T00:00:00Z") };
+
+            expect(generateMonthlyReport(treasuryData, at("2026-02-28T00:00:00Z"))).to.include({ reportPeriodDays: 28, reportPeriodMonths: 1 });
+            expect(generateMonthlyReport(treasuryData, at("2026-02-27T23:59:59Z")).reportPeriodMonths).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Timelock Queue Tests
+ * Offline operation ids, queue reconstruction from events and grace-window states
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+    GRACE_PERIOD,
+    OPERATION_STATES,
+    TIMELOCK_ABI,
+    computeOperationId,
+    computeBatchOperationIds,
+    fetchOperations,
+    classifyOperation,
+    selectExecutable,
+    formatDuration
+} = require("../utils/timelock-queue");
+
+const TIMELOCK = ethers.getAddress("0x00000000000000000000000000000000000000a1");
+const TOKEN = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+const PROPOSER = ethers.getAddress("0x00000000000000000000000000000000000000c3");
+const NOW = 1760000000;
+const DAY = 86400;
+
+describe("Timelock Queue", function () {
+
+    const timelockInterface = new ethers.Interface(TIMELOCK_ABI);
+    const pauseData = new ethers.Interface(["function pause()"]).encodeFunctionData("pause");
+
+    function queued(id, proposer, blockNumber, eta, operationType = 0) {
+        const { data, topics } = timelockInterface.encodeEventLog("OperationQueued", [id, TOKEN, 0, pauseData, eta, operationType, proposer]);
+        return { address: TIMELOCK, data, topics, blockNumber, index: 0, transactionHash: ethers.id(`queue-${blockNumber}`) };
+    }
+
+    function fakeProvider(logs, timestamps, head = 20) {
+        return {
+            requests: [],
+            async getLogs({ fromBlock, toBlock }) {
+                this.requests.push([fromBlock, toBlock]);
+                return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+            },
+            getBlockNumber: async () => head,
+            getBlock: async (blockNumber) => ({ timestamp: timestamps[blockNumber] })
+        };
+    }
+
+    it("Should compute operation ids as queueOperation does", function () {
+        const expected = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ["address", "uint256", "bytes", "uint8", "address", "uint256"],
+            [TOKEN, 0, pauseData, 1, PROPOSER, NOW]
+        ));
+
+        expect(computeOperationId({ target: TOKEN, data: pauseData, operationType: "CRITICAL", proposer: PROPOSER, timestamp: NOW })).to.equal(expected);
+        expect(computeOperationId({ target: TOKEN, value: 0, data: pauseData, operationType: 1, proposer: PROPOSER, timestamp: NOW })).to.equal(expected);
+        expect(() => computeOperationId({ target: TOKEN, data: pauseData, operationType: "URGENT", proposer: PROPOSER, timestamp: NOW }))
+            .to.throw("Unknown timelock operation type URGENT");
+    });
+
+    it("Should use the timelock as proposer for batch ids and reject repeated calls", function () {
+        const unpauseData = new ethers.Interface(["function unpause()"]).encodeFunctionData("unpause");
+        const batch = { targets: [TOKEN, TOKEN], values: [0, 0], datas: [pauseData, unpauseData], operationType: "STANDARD", timelock: TIMELOCK, timestamp: NOW };
+
+        const ids = computeBatchOperationIds(batch);
+        expect(ids[0]).to.equal(computeOperationId({ target: TOKEN, data: pauseData, operationType: 0, proposer: TIMELOCK, timestamp: NOW }));
+        expect(ids[1]).to.not.equal(ids[0]);
+        expect(() => computeBatchOperationIds({ ...batch, datas: [pauseData, pauseData] })).to.throw("Batch call 1 repeats call 0");
+        expect(() => computeBatchOperationIds({ ...batch, values: [0] })).to.throw("same length");
+    });
+
+    it("Should rebuild the queue from timelock events", async function () {
+        const direct = computeOperationId({ target: TOKEN, data: pauseData, operationType: 0, proposer: PROPOSER, timestamp: NOW });
+        const batched = computeOperationId({ target: TOKEN, data: pauseData, operationType: 0, proposer: TIMELOCK, timestamp: NOW + 60 });
+        const forged = ethers.id("forged");
+        const executed = timelockInterface.encodeEventLog("OperationExecuted", [direct, TOKEN, 0, pauseData, PROPOSER]);
+
+        const provider = fakeProvider([
+            { address: TIMELOCK, ...executed, blockNumber: 12, index: 0, transactionHash: ethers.id("execute") },
+            queued(direct, PROPOSER, 10, NOW + 2 * DAY),
+            queued(batched, TIMELOCK, 11, NOW + 60 + 2 * DAY),
+            queued(forged, PROPOSER, 11, NOW + 2 * DAY)
+        ], { 10: NOW, 11: NOW + 60 });
+
+        const [first, second, third] = await fetchOperations(provider, TIMELOCK);
+        expect(first).to.include({ id: direct, status: OPERATION_STATES.EXECUTED, operationType: "STANDARD", batch: false, idVerified: true });
+        expect(first.closedIn).to.equal(ethers.id("execute"));
+        expect(second).to.include({ id: batched, status: "queued", batch: true, idVerified: true, queuedAt: NOW + 60 });
+        expect(third).to.include({ id: forged, idVerified: false });
+    });
+
+    it("Should read timelock events in block windows", async function () {
+        const id = computeOperationId({ target: TOKEN, data: pauseData, operationType: 0, proposer: PROPOSER, timestamp: NOW });
+        const cancelled = timelockInterface.encodeEventLog("OperationCancelled", [id, PROPOSER]);
+        const provider = fakeProvider([
+            queued(id, PROPOSER, 3, NOW + 2 * DAY),
+            { address: TIMELOCK, ...cancelled, blockNumber: 9, index: 0, transactionHash: ethers.id("cancel") }
+        ], { 3: NOW }, 10);
+
+        const [operation] = await fetchOperations(provider, TIMELOCK, { fromBlock: 1, blockRange: 4 });
+        expect(provider.requests).to.deep.equal([[1, 4], [5, 8], [9, 10]]);
+        expect(operation).to.include({ id, status: OPERATION_STATES.CANCELLED, closedIn: ethers.id("cancel") });
+
+        await fetchOperations(provider, TIMELOCK, { fromBlock: 2, toBlock: 5 });
+        expect(provider.requests.slice(3)).to.deep.equal([[2, 5]]);
+    });
+
+    it("Should classify operations against the eta and grace period", function () {
+        const operation = { id: ethers.id("op"), eta: NOW, status: "queued" };
+
+        expect(classifyOperation(operation, NOW - 3600)).to.include({ state: OPERATION_STATES.PENDING, readyIn: 3600 });
+        expect(classifyOperation(operation, NOW)).to.include({ state: OPERATION_STATES.READY, expiresIn: GRACE_PERIOD });
+        expect(classifyOperation(operation, NOW + GRACE_PERIOD - 3600)).to.include({ state: OPERATION_STATES.EXPIRING, expiresIn: 3600 });
+        expect(classifyOperation(operation, NOW + GRACE_PERIOD + 1)).to.include({ state: OPERATION_STATES.EXPIRED, expiresIn: 0 });
+        expect(classifyOperation({ ...operation, status: OPERATION_STATES.CANCELLED }, NOW).state).to.equal(OPERATION_STATES.CANCELLED);
+        expect(classifyOperation(operation, NOW, { warningWindow: GRACE_PERIOD }).state).to.equal(OPERATION_STATES.EXPIRING);
+
+        const late = { ...operation, id: ethers.id("late"), eta: NOW - 10 * DAY };
+        const executable = selectExecutable([operation, late, { ...operation, eta: NOW + DAY }].map(op => classifyOperation(op, NOW)));
+        expect(executable.map(op => op.id)).to.deep.equal([late.id, operation.id]);
+    });
+
+    it("Should format countdowns", function () {
+        expect(formatDuration(2 * DAY + 3 * 3600 + 4 * 60 + 5)).to.equal("2d 3h 4m");
+        expect(formatDuration(DAY)).to.equal("1d 0m");
+        expect(formatDuration(59)).to.equal("0m");
+    });
+});
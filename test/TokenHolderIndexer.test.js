@@ -0,0 +1,137 @@
+/**
+ * Token Holder Indexer Tests
+ * Incremental Transfer indexing, circulating supply and re-org rollback
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const { TRANSFER_ABI, TokenHolderIndexer, createHolderIndexer } = require("../utils/token-holder-indexer");
+
+const TOKEN = ethers.getAddress("0x00000000000000000000000000000000000000a1");
+const ALICE = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+const BOB = ethers.getAddress("0x00000000000000000000000000000000000000c3");
+const TREASURY = ethers.getAddress("0x00000000000000000000000000000000000000d4");
+const NOW = 1760000000;
+
+describe("Token Holder Indexer", function () {
+
+    const tokenInterface = new ethers.Interface(TRANSFER_ABI);
+    const ether = (amount) => ethers.parseEther(String(amount));
+
+    /**
+     * In-memory chain of blocks 0..head; transfers are { block, from, to, value }.
+     * Setting forkFrom gives every block from there on a new hash.
+     */
+    function fakeChain(head, transfers) {
+        const chain = { head, transfers, forkFrom: Infinity };
+        const hashOf = (number) => ethers.id(`${number >= chain.forkFrom ? "fork" : "main"}-${number}`);
+        const blockOf = (number) => ({ number, hash: hashOf(number), timestamp: NOW + number * 60 });
+
+        chain.provider = {
+            getBlockNumber: async () => chain.head,
+            getBlock: async (tag) => {
+                if (typeof tag === "number") return tag <= chain.head ? blockOf(tag) : null;
+                const number = [...Array(chain.head + 1).keys()].find(n => hashOf(n) === tag);
+                return number === undefined ? null : blockOf(number);
+            },
+            getLogs: async ({ fromBlock, toBlock }) => chain.transfers
+                .filter(transfer => transfer.block >= fromBlock && transfer.block <= toBlock)
+                .map((transfer, index) => ({
+                    address: TOKEN,
+                    ...tokenInterface.encodeEventLog("Transfer", [transfer.from, transfer.to, transfer.value]),
+                    blockNumber: transfer.block,
+                    blockHash: hashOf(transfer.block),
+                    index,
+                    transactionHash: ethers.id(`${hashOf(transfer.block)}-${index}`)
+                }))
+        };
+        return chain;
+    }
+
+    const history = [
+        { block: 1, from: ethers.ZeroAddress, to: ALICE, value: ether(1000) },
+        { block: 1, from: ethers.ZeroAddress, to: TREASURY, value: ether(500) },
+        { block: 3, from: ALICE, to: BOB, value: ether(300) },
+        { block: 5, from: BOB, to: ethers.ZeroAddress, value: ether(100) },
+        { block: 6, from: ALICE, to: BOB, value: ether(100) }
+    ];
+
+    function openIndexer(chain, options = {}) {
+        const indexer = new TokenHolderIndexer({ provider: chain.provider, token: TOKEN, database: ":memory:", blockRange: 2, ...options });
+        indexer.tagAddresses({ [TREASURY]: "Treasury" });
+        return indexer;
+    }
+
+    it("Should index balances, supply and circulating supply", async function () {
+        const indexer = openIndexer(fakeChain(8, history));
+
+        const result = await indexer.sync();
+        expect(result).to.deep.equal({ fromBlock: 0, toBlock: 8, transfers: 5, rolledBack: 0 });
+        expect(indexer.getBalance(ALICE)).to.equal(ether(600));
+        expect(indexer.getBalance(BOB)).to.equal(ether(300));
+        expect(indexer.getHolderCount()).to.equal(3);
+        expect(indexer.getTotalSupply()).to.equal(ether(1400));
+        expect(indexer.getCirculatingSupply()).to.equal(ether(900));
+
+        // Mints and burns are not counted; blocks are a minute apart, so only block 6 is after NOW + 240
+        expect(indexer.getTransferStats(NOW)).to.deep.equal({ count: 2, volume: ether(400), average: ether(200) });
+        expect(indexer.getTransferStats(NOW + 240).count).to.equal(1);
+        indexer.close();
+    });
+
+    it("Should resume from the last indexed block", async function () {
+        const chain = fakeChain(4, history);
+        const indexer = openIndexer(chain, { confirmations: 1 });
+
+        expect(await indexer.sync()).to.include({ toBlock: 3, transfers: 3 });
+        chain.head = 8;
+        expect(await indexer.sync()).to.deep.equal({ fromBlock: 4, toBlock: 7, transfers: 2, rolledBack: 0 });
+        expect(await indexer.sync()).to.include({ fromBlock: 8, toBlock: 7, transfers: 0 });
+        expect(indexer.getTotalSupply()).to.equal(ether(1400));
+        indexer.close();
+    });
+
+    it("Should roll back and re-index blocks replaced by a re-org", async function () {
+        const chain = fakeChain(6, history);
+        const indexer = openIndexer(chain);
+        await indexer.sync();
+
+        // Blocks 5 and 6 are replaced: the burn disappears and Bob pays Alice instead
+        chain.forkFrom = 5;
+        chain.head = 7;
+        chain.transfers = [...history.slice(0, 3), { block: 6, from: BOB, to: ALICE, value: ether(50) }];
+
+        const result = await indexer.sync();
+        expect(result.rolledBack).to.equal(2);
+        expect(indexer.getBalance(ALICE)).to.equal(ether(750));
+        expect(indexer.getBalance(BOB)).to.equal(ether(250));
+        expect(indexer.getTotalSupply()).to.equal(ether(1500));
+        indexer.close();
+    });
+
+    it("Should tag manifest contracts and refuse an index of another token", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "holders-"));
+        const database = path.join(dir, "test.holders.sqlite");
+        const manifest = {
+            network: "test",
+            contracts: {
+                KarmaToken: { address: TOKEN, blockNumber: 1 },
+                Treasury: { address: TREASURY },
+                KarmaStaking: { address: BOB }
+            }
+        };
+
+        const indexer = createHolderIndexer(fakeChain(8, history).provider, manifest, { database });
+        await indexer.sync();
+        expect(indexer.getCirculatingSupply()).to.equal(ether(600));
+        indexer.close();
+
+        expect(() => new TokenHolderIndexer({ provider: {}, token: ALICE, database }))
+            .to.throw(`indexes token ${TOKEN}, not ${ALICE}`);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
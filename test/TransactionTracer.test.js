@@ -0,0 +1,148 @@
+/**
+ * Transaction Tracer Tests
+ * Labelling, gas accounting and revert capture for dry runs
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+    TransactionTracer,
+    extractRevertReason,
+    summarizeTransactions
+} = require("../utils/transaction-tracer");
+
+const TOKEN_ABI = ["function setTreasury(address treasury)", "function pause()"];
+const TOKEN_BYTECODE = "0x60806040aaaa";
+const TOKEN_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const DEPLOYER = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+/**
+ * EIP-1193 stand-in that mines every transaction, reverting calls to pause()
+ */
+function createProviderStub() {
+    const receipts = new Map();
+    const pauseSelector = new ethers.Interface(TOKEN_ABI).getFunction("pause").selector;
+
+    const provider = {
+        sent: [],
+        async request({ method, params }) {
+            if (method === "eth_getTransactionReceipt") {
+                return receipts.get(params[0]) || null;
+            }
+            if (method !== "eth_sendTransaction") {
+                return "0x1";
+            }
+
+            const [tx] = params;
+            const hash = ethers.id(`tx${provider.sent.length}`);
+            provider.sent.push(tx);
+
+            if (tx.data && tx.data.startsWith(pauseSelector)) {
+                receipts.set(hash, { gasUsed: "0x5208", status: "0x0", contractAddress: null });
+                const error = new Error("VM Exception while processing transaction: reverted with reason string 'Already paused'");
+                error.transactionHash = hash;
+                throw error;
+            }
+
+            receipts.set(hash, {
+                gasUsed: tx.to ? "0xb0b0" : "0x1e8480",
+                status: "0x1",
+                contractAddress: tx.to ? null : TOKEN_ADDRESS.toLowerCase()
+            });
+            return hash;
+        },
+        send(method, params) {
+            return this.request({ method, params });
+        }
+    };
+    return provider;
+}
+
+describe("Transaction Tracer", function () {
+
+    const token = new ethers.Interface(TOKEN_ABI);
+    const gasPrice = ethers.parseUnits("0.1", "gwei");
+
+    function createTracer() {
+        return new TransactionTracer({
+            artifacts: [{ contractName: "KarmaToken", abi: TOKEN_ABI, bytecode: TOKEN_BYTECODE }],
+            gasPrice,
+            log: () => {}
+        });
+    }
+
+    it("Should label deployments and calls with contract and method names", async function () {
+        const provider = createProviderStub();
+        const tracer = createTracer();
+        tracer.attach(provider);
+
+        await provider.send("eth_sendTransaction", [{ from: DEPLOYER, data: TOKEN_BYTECODE + "0000" }]);
+        await provider.request({
+            method: "eth_sendTransaction",
+            params: [{ from: DEPLOYER, to: TOKEN_ADDRESS, data: token.encodeFunctionData("setTreasury", [DEPLOYER]) }]
+        });
+
+        expect(tracer.records.map(record => record.label)).to.deep.equal(["KarmaToken.deploy", "KarmaToken.setTreasury"]);
+        expect(tracer.records[0].contractAddress).to.equal(TOKEN_ADDRESS);
+        expect(tracer.records[0].gasUsed).to.equal(2000000n);
+        expect(tracer.records[1].gasUsed).to.equal(45232n);
+    });
+
+    it("Should record revert reasons and price mined reverts", async function () {
+        const provider = createProviderStub();
+        const tracer = createTracer();
+        tracer.registerAddress(TOKEN_ADDRESS, "KarmaToken");
+        tracer.attach(provider);
+
+        let message = "";
+        try {
+            await provider.send("eth_sendTransaction", [{ from: DEPLOYER, to: TOKEN_ADDRESS, data: token.encodeFunctionData("pause") }]);
+        } catch (error) {
+            message = error.message;
+        }
+
+        expect(message).to.include("Already paused");
+        expect(tracer.records[0]).to.include({ label: "KarmaToken.pause", status: "reverted", reason: "Already paused" });
+        expect(tracer.records[0].gasUsed).to.equal(21000n);
+    });
+
+    it("Should total gas and cost at the configured gas price", async function () {
+        const provider = createProviderStub();
+        const tracer = createTracer();
+        tracer.attach(provider);
+
+        await provider.send("eth_sendTransaction", [{ from: DEPLOYER, data: TOKEN_BYTECODE }]);
+        await provider.send("eth_sendTransaction", [{ from: DEPLOYER, to: DEPLOYER, value: "0x1" }]);
+
+        const summary = tracer.summary();
+        expect(summary).to.include({ transactions: 2, succeeded: 2, reverted: 0 });
+        expect(summary.totalGas).to.equal(2000000n + 45232n);
+        expect(summary.totalCost).to.equal((2000000n + 45232n) * gasPrice);
+        expect(tracer.records[1].label).to.equal(`ETH transfer to ${DEPLOYER}`);
+    });
+
+    it("Should restore the provider when detached", async function () {
+        const provider = createProviderStub();
+        const { request, send } = provider;
+        const tracer = createTracer();
+
+        tracer.attach(provider);
+        tracer.detach();
+        await provider.send("eth_sendTransaction", [{ from: DEPLOYER, data: TOKEN_BYTECODE }]);
+
+        expect(provider.request).to.equal(request);
+        expect(provider.send).to.equal(send);
+        expect(tracer.records).to.have.length(0);
+    });
+
+    it("Should extract revert reasons from hardhat and ethers errors", function () {
+        expect(extractRevertReason(new Error("reverted with custom error 'AccessControlUnauthorizedAccount(\"0x1\", \"0x2\")'")))
+            .to.equal("AccessControlUnauthorizedAccount(\"0x1\", \"0x2\")");
+        expect(extractRevertReason({ shortMessage: "execution reverted: Ownable: caller is not the owner" }))
+            .to.equal("Ownable: caller is not the owner");
+        expect(extractRevertReason(new Error("Transaction reverted without a reason string")))
+            .to.equal("reverted without a reason");
+        expect(summarizeTransactions([{ status: "reverted", gasUsed: null }], 1n).unpricedReverts).to.equal(1);
+    });
+});
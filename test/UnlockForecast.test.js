@@ -0,0 +1,147 @@
+/**
+ * Unlock Forecast Tests
+ * Schedule categorisation, the day-by-day calendar and circulating supply outputs
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const { parseCsv, formatCsv } = require("../utils/csv");
+const {
+    DAY,
+    CATEGORIES,
+    FORECAST_ABI,
+    fetchVestingSchedules,
+    buildForecast,
+    toCalendarRecords,
+    toSupplyRecords,
+    toForecastJson
+} = require("../utils/unlock-forecast");
+
+const VAULT = ethers.getAddress("0x00000000000000000000000000000000000000a1");
+const TEAM_VESTING = ethers.getAddress("0x00000000000000000000000000000000000000a2");
+const PRIVATE_SALE_VESTING = ethers.getAddress("0x00000000000000000000000000000000000000a3");
+const ALICE = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+const BOB = ethers.getAddress("0x00000000000000000000000000000000000000c3");
+
+// 2026-01-01T00:00:00Z
+const FROM = 1767225600;
+
+describe("Unlock Forecast", function () {
+
+    const ether = (amount) => ethers.parseEther(String(amount));
+    const MILLION = ether(1000000);
+
+    function schedule(fields) {
+        return { claimedAmount: 0n, cliffDuration: 0, revoked: false, ...fields };
+    }
+
+    // Team: 10 days, cliff 4 days; private sale: 5 days linear from day 2; one schedule of an unknown type
+    const schedules = [
+        schedule({ id: 1, category: "TEAM", totalAmount: ether(1000), startTime: FROM, cliffDuration: 4 * DAY, vestingDuration: 10 * DAY }),
+        schedule({ id: 2, category: "PRIVATE_SALE", totalAmount: ether(500), startTime: FROM + 2 * DAY, vestingDuration: 5 * DAY }),
+        schedule({ id: 3, category: "OTHER", totalAmount: ether(70), startTime: FROM, cliffDuration: 7 * DAY, vestingDuration: 7 * DAY })
+    ];
+
+    it("Should unlock vesting schedules day by day", async function () {
+        const forecast = buildForecast(schedules, { from: FROM + 3600, days: 12, policies: { PUBLIC_SALE: "locked" } });
+
+        expect(forecast.categories).to.deep.equal([...CATEGORIES, "OTHER"]);
+        expect(forecast.calendar.map(day => day.date).slice(0, 2)).to.deep.equal(["2026-01-01", "2026-01-02"]);
+
+        // Nothing until the team cliff at the start of day 5, which releases the four days accrued
+        const team = forecast.calendar.map(day => day.unlocked.TEAM);
+        expect(team.slice(0, 4)).to.deep.equal([0n, 0n, 0n, 0n]);
+        expect(team[4]).to.equal((ether(1000) * BigInt(5 * DAY - 1)) / BigInt(10 * DAY));
+        expect(forecast.calendar[10].unlockedToDate.TEAM).to.equal(ether(1000));
+
+        // Days end one second short of midnight, so a schedule is complete the day after it ends
+        expect(forecast.calendar[7].unlockedToDate.PRIVATE_SALE).to.equal(ether(500));
+        expect(forecast.calendar[7].unlocked.OTHER).to.equal(ether(70));
+
+        const last = forecast.calendar[11];
+        expect(last.circulatingSupply).to.equal(ether(1570));
+        expect(forecast.calendar.reduce((sum, day) => sum + day.totalUnlocked, 0n)).to.equal(ether(1570));
+    });
+
+    it("Should merge the unscheduled part of each allocation by its unlock policy", async function () {
+        const forecast = buildForecast(schedules, {
+            from: FROM,
+            days: 10,
+            tgeTime: FROM + DAY,
+            policies: { STAKING_REWARDS: { type: "linear", duration: 10 * DAY } }
+        });
+
+        expect(forecast.allocations.TEAM).to.deep.equal({ allocation: 200n * MILLION, scheduled: ether(1000), unscheduled: 200n * MILLION - ether(1000), policy: "locked" });
+        expect(forecast.allocations.PUBLIC_SALE.policy).to.equal("tge");
+        expect(forecast.allocations.STAKING_REWARDS.policy).to.equal("linear");
+
+        // Public sale is liquid on the TGE day; staking rewards stream from TGE
+        expect(forecast.calendar[0].unlockedToDate.PUBLIC_SALE).to.equal(0n);
+        expect(forecast.calendar[1].unlocked.PUBLIC_SALE).to.equal(150n * MILLION);
+        expect(forecast.calendar[1].unlocked.STAKING_REWARDS).to.equal((100n * MILLION * BigInt(DAY - 1)) / BigInt(10 * DAY));
+        expect(forecast.calendar[1].circulatingBps).to.equal(1599);
+
+        expect(() => buildForecast(schedules, { from: FROM, days: 1, policies: { TREASURY_RESERVE: "vested" } }))
+            .to.throw("Unknown unlock policy vested for TREASURY_RESERVE");
+    });
+
+    it("Should read VestingVault schedules and attribute manager schedules", async function () {
+        const iface = new ethers.Interface(FORECAST_ABI);
+        const onChain = [
+            { totalAmount: ether(10), startTime: FROM, vestingDuration: DAY, beneficiary: ALICE, scheduleType: "CUSTOM" },
+            { totalAmount: ether(20), startTime: FROM, vestingDuration: DAY, beneficiary: BOB, scheduleType: "PRE_SALE" },
+            { totalAmount: ether(30), startTime: FROM, vestingDuration: DAY, beneficiary: ALICE, scheduleType: "VESTING" },
+            { totalAmount: ether(40), startTime: FROM, vestingDuration: DAY, beneficiary: BOB, scheduleType: "ADVISOR" }
+        ].map(fields => ({ claimedAmount: 0n, cliffDuration: 0n, revoked: false, ...fields }));
+        const members = { [TEAM_VESTING]: { TEAM_MEMBER: { [ALICE]: [1n] } }, [PRIVATE_SALE_VESTING]: { INVESTOR: { [BOB]: [], [ALICE]: [3n] } } };
+
+        const provider = {
+            call: async ({ to, data }) => {
+                const call = iface.parseTransaction({ data });
+                const encode = (values) => iface.encodeFunctionResult(call.fragment, values);
+                const target = ethers.getAddress(to);
+                switch (call.name) {
+                    case "getContractStats":
+                        return encode([onChain.length, 0, 0, 0]);
+                    case "getVestingSchedule": {
+                        const item = onChain[Number(call.args[0]) - 1];
+                        return encode([[item.totalAmount, item.claimedAmount, item.startTime, item.cliffDuration, item.vestingDuration, item.revoked, item.beneficiary, item.scheduleType]]);
+                    }
+                    case "getBeneficiariesByType":
+                        return encode([Object.keys(members[target][call.args[0]] || {})]);
+                    case "getBeneficiaryInfo": {
+                        const type = Object.keys(members[target])[0];
+                        const ids = members[target][type][call.args[0]];
+                        return encode([[call.args[0], 0, ids.length, ids, type, true]]);
+                    }
+                }
+                throw new Error(`unexpected call ${call.name}`);
+            }
+        };
+
+        const fetched = await fetchVestingSchedules(provider, { vestingVault: VAULT, teamVesting: TEAM_VESTING, privateSaleVesting: PRIVATE_SALE_VESTING });
+        expect(fetched.map(item => item.category)).to.deep.equal(["TEAM", "PRE_SALE", "PRIVATE_SALE", "OTHER"]);
+        expect(fetched[1]).to.include({ id: 2, beneficiary: BOB, totalAmount: ether(20), startTime: FROM, vestingDuration: DAY, scheduleType: "PRE_SALE" });
+
+        const withoutManagers = await fetchVestingSchedules(provider, { vestingVault: VAULT });
+        expect(withoutManagers.map(item => item.category)).to.deep.equal(["OTHER", "PRE_SALE", "OTHER", "OTHER"]);
+    });
+
+    it("Should write the calendar and supply curve as CSV and JSON", async function () {
+        const forecast = buildForecast(schedules, { from: FROM, days: 12 });
+
+        const calendar = toCalendarRecords(forecast);
+        const rows = parseCsv(formatCsv(calendar.records, calendar.columns));
+        expect(calendar.columns).to.deep.equal(["date", ...CATEGORIES, "OTHER", "total"]);
+        expect(rows[7]).to.include({ date: "2026-01-08", OTHER: "70.0" });
+
+        const supply = toSupplyRecords(forecast);
+        expect(supply.records[11]).to.include({ circulating_supply: "150001570.0", circulating_percent: "15.00" });
+
+        const json = toForecastJson(forecast, { network: "test" });
+        expect(json).to.include({ network: "test", from: "2026-01-01", days: 12, totalSupply: "1000000000.0" });
+        expect(json.allocations.PRIVATE_SALE).to.deep.equal({ allocation: "100000000.0", scheduled: "500.0", unscheduled: "99999500.0", policy: "locked" });
+        expect(json.calendar[11]).to.include({ circulatingSupply: "150001570.0", circulatingPercent: 15 });
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Validation Framework Tests
+ * Declarative checks, stage grouping and JSON / JUnit reports
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    ValidationReport,
+    codePresent,
+    roleGranted,
+    paramEquals,
+    pointerSet,
+    custom
+} = require("../utils/validation-framework");
+
+const VAULT = "0x00000000000000000000000000000000000000A1";
+const TOKEN = "0x00000000000000000000000000000000000000B2";
+const ADMIN = "0x00000000000000000000000000000000000000C3";
+const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+
+const provider = {
+    async getCode(address) {
+        return address.toLowerCase() === VAULT.toLowerCase() ? "0x6080" : "0x";
+    }
+};
+
+const vault = {
+    async PAUSER_ROLE() { return PAUSER_ROLE; },
+    async hasRole(role, account) { return role === PAUSER_ROLE && account === ADMIN; },
+    async vestingToken() { return TOKEN.toLowerCase(); },
+    async treasury() { return ethers.ZeroAddress; },
+    async getConfig() { return { quorumPercentage: 5n, votingPeriod: 604800n, enabled: true }; },
+    async broken() { throw new Error("call reverted"); }
+};
+
+describe("Validation Framework", function () {
+
+    let tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "karma-validation-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    function createReport(lines = []) {
+        return new ValidationReport({ name: "stage2.1", network: "hardhat", provider, log: (line) => lines.push(line) });
+    }
+
+    it("Should keep the recordTest(name, passed, message, isWarning) contract", function () {
+        const lines = [];
+        const stage = createReport(lines).stage("9.1", "Security Audit and Hardening");
+        const recordTest = stage.record;
+
+        recordTest("Roles", true, "Roles properly configured");
+        recordTest("Funding", false, "Insufficient funding");
+        recordTest("Gas Price", false, "High gas price", true);
+
+        expect(stage).to.include({ passed: 1, failed: 1, warnings: 1 });
+        expect(stage.criticalFailures().map(test => test.name)).to.deep.equal(["Funding"]);
+        expect(lines).to.deep.equal([
+            "✅ Roles: Roles properly configured",
+            "❌ Funding: Insufficient funding",
+            "⚠️ Gas Price: High gas price"
+        ]);
+    });
+
+    it("Should run code, role, parameter and pointer checks", async function () {
+        const stage = createReport().stage("2.1", "VestingVault Core Development");
+
+        const results = await stage.run([
+            codePresent({ name: "VestingVault", address: VAULT }),
+            codePresent({ name: "TeamVestingManager", address: TOKEN }),
+            codePresent({ name: "VestingTemplateManager", address: undefined }),
+            roleGranted({ contract: vault, contractName: "VestingVault", role: "PAUSER_ROLE", account: ADMIN, accountName: "admin" }),
+            roleGranted({ contract: vault, contractName: "VestingVault", role: PAUSER_ROLE, roleName: "PAUSER_ROLE", account: TOKEN }),
+            paramEquals({ contract: vault, contractName: "KarmaDAO", getter: "getConfig", field: "votingPeriod", expected: "604800" }),
+            paramEquals({ contract: vault, contractName: "KarmaDAO", getter: "getConfig", field: "quorumPercentage", expected: 4 }),
+            pointerSet({ contract: vault, contractName: "VestingVault", getter: "vestingToken", expected: TOKEN, expectedName: "KarmaToken" }),
+            pointerSet({ contract: vault, contractName: "VestingVault", getter: "vestingToken", expected: ADMIN }),
+            pointerSet({ contract: vault, contractName: "SaleManager", getter: "treasury" })
+        ]);
+
+        expect(results.map(result => result.passed)).to.deep.equal([
+            true, false, false, true, false, true, false, true, false, false
+        ]);
+        expect(results[1].message).to.equal(`No contract code found at ${TOKEN}`);
+        expect(results[2].message).to.equal("Contract address not found in deployment manifest");
+        expect(results[3].name).to.equal("VestingVault PAUSER_ROLE → admin");
+        expect(results[4].message).to.equal(`${TOKEN} is missing PAUSER_ROLE`);
+        expect(results[6].message).to.equal("Expected 4 from config, found 5");
+        expect(results[7].name).to.equal("VestingVault.vestingToken → KarmaToken");
+        expect(results[9].message).to.equal("treasury is not set");
+    });
+
+    it("Should record a check that throws as a failure and keep going", async function () {
+        const stage = createReport().stage("7.1", "KarmaDAO Core Governance");
+
+        const results = await stage.run([
+            paramEquals({ contract: vault, contractName: "KarmaDAO", getter: "broken", expected: 1 }),
+            custom("Analytics", () => ({ passed: true, message: "2 proposals" })),
+            custom("Interfaces", async () => ({ passed: true, message: "skipped", isWarning: true }))
+        ]);
+
+        expect(results[0]).to.include({ passed: false, message: "Error: call reverted" });
+        expect(stage).to.include({ passed: 1, failed: 1, warnings: 1 });
+    });
+
+    it("Should group results by stage and exit non-zero only on failures", function () {
+        const report = createReport();
+        report.stage("2.1", "VestingVault").record("Deployment", true, "ok");
+        report.stage("9.1", "Security").record("Gas Price", false, "High gas price", true);
+
+        expect(report.stage("2.1")).to.equal(report.stages[0]);
+        expect(report.finish({ reportDir: null })).to.equal(0);
+
+        report.stage("9.1").record("Roles", false, "Manager role not assigned");
+        const json = report.toJSON();
+
+        expect(json.summary).to.deep.equal({ passed: 1, failed: 1, warnings: 1, total: 3, success: false });
+        expect(json.stages.map(stage => stage.id)).to.deep.equal(["2.1", "9.1"]);
+        expect(json.stages[1].tests).to.deep.equal([
+            { name: "Gas Price", status: "warning", message: "High gas price" },
+            { name: "Roles", status: "failed", message: "Manager role not assigned" }
+        ]);
+        expect(report.finish({ reportDir: null })).to.equal(1);
+    });
+
+    it("Should write JSON and escaped JUnit XML reports", function () {
+        const report = createReport();
+        const stage = report.stage("9.1", "Security Audit & Hardening");
+        stage.record("Bug Bounty <Roles>", true, "ok");
+        stage.record("Funding", false, "Only 5 \"USDC\" funded");
+        stage.record("Gas Price", false, "High gas price", true);
+
+        expect(report.finish({ reportDir: tempDir })).to.equal(1);
+
+        const json = JSON.parse(fs.readFileSync(path.join(tempDir, "stage2.1.json"), "utf8"));
+        expect(json.summary.failed).to.equal(1);
+
+        const xml = fs.readFileSync(path.join(tempDir, "stage2.1.xml"), "utf8");
+        expect(xml).to.include('<testsuites name="stage2.1" tests="3" failures="1">');
+        expect(xml).to.include('<testsuite name="Stage 9.1: Security Audit &amp; Hardening" tests="3" failures="1"');
+        expect(xml).to.include('<testcase classname="stage9.1" name="Bug Bounty &lt;Roles&gt;"/>');
+        expect(xml).to.include('<failure message="Only 5 &quot;USDC&quot; funded"/>');
+        expect(xml).to.include("<system-out>WARNING: High gas price</system-out>");
+    });
+});
@@ -0,0 +1,231 @@
+/**
+ * Vesting Roster Import Tests
+ * Roster validation, funding checks, gas-aware batching and resumable progress
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+    ROSTER_TARGETS,
+    TEAM_TIMING,
+    loadRoster,
+    normalizeRoster,
+    hashRoster,
+    checkFunding,
+    planBatches,
+    loadProgress,
+    saveProgress,
+    resolvePending,
+    importRoster
+} = require("../utils/vesting-roster");
+
+const ALICE = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+const BOB = ethers.getAddress("0x00000000000000000000000000000000000000c3");
+const NOW = 1760000000;
+const DAY = 86400;
+
+describe("Vesting Roster Import", function () {
+
+    const ether = (amount) => ethers.parseEther(String(amount));
+
+    let dir;
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "roster-"));
+    });
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeFile(name, content) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    }
+
+    function rosterOf(count) {
+        return Array.from({ length: count }, (_, i) => ({
+            line: i + 2,
+            beneficiary: ethers.getAddress(`0x${(i + 1).toString(16).padStart(40, "0")}`),
+            amount: ether(100 + i),
+            startTime: NOW + DAY,
+            cliffDuration: 0,
+            vestingDuration: 180 * DAY,
+            scheduleType: "INVESTOR"
+        }));
+    }
+
+    /**
+     * VestingVault stand-in: batches cost 50k plus 100k per schedule; failAt makes the nth send throw
+     */
+    function fakeVault({ failAt = Infinity, perEntry = () => 100000n } = {}) {
+        const vault = { sent: [], receipts: {} };
+        const gasOf = (beneficiaries) => 50000n + beneficiaries.reduce((sum, _, i) => sum + perEntry(i), 0n);
+        vault.createVestingSchedulesBatch = async (beneficiaries) => {
+            if (vault.sent.length + 1 === failAt) throw new Error("connection reset");
+            const hash = ethers.id(`tx-${vault.sent.length}`);
+            vault.sent.push(beneficiaries);
+            vault.receipts[hash] = { status: 1 };
+            return { hash, wait: async () => vault.receipts[hash] };
+        };
+        vault.createVestingSchedulesBatch.estimateGas = async (beneficiaries) => gasOf(beneficiaries);
+        return vault;
+    }
+
+    describe("Validation", function () {
+        it("Should read CSV rosters with templates, units and ISO dates", async function () {
+            const file = writeFile("roster.csv", [
+                "﻿beneficiary,amount,template,start,cliff,duration,type",
+                `${ALICE},"1,000"x,,${NOW + DAY},,30d,`,
+                `${ALICE},1500.5,PRIVATE_SALE_STANDARD,2026-01-01,,,INVESTOR`,
+                `${BOB.toLowerCase()},250,,${NOW + DAY},90d,2y,"ADVISOR, EU"`
+            ].join("\r\n"));
+
+            const result = normalizeRoster(loadRoster(file), { now: NOW });
+            expect(result.errors).to.deep.equal(["Row 2: invalid amount 1,000x"]);
+            expect(result.entries).to.have.length(2);
+            expect(result.entries[0]).to.include({
+                line: 3,
+                beneficiary: ALICE,
+                amount: ether("1500.5"),
+                startTime: Date.UTC(2026, 0, 1) / 1000,
+                cliffDuration: 0,
+                vestingDuration: 180 * DAY,
+                scheduleType: "INVESTOR"
+            });
+            expect(result.entries[1]).to.include({ beneficiary: BOB, cliffDuration: 90 * DAY, vestingDuration: 2 * 365 * DAY, scheduleType: "ADVISOR, EU" });
+            expect(result.total).to.equal(ether("1750.5"));
+        });
+
+        it("Should report every invalid row and warn about repeated beneficiaries", async function () {
+            const rows = [
+                { line: 1, beneficiary: "0x1234", amount: "10", template: "TEAM_STANDARD", start: NOW + DAY },
+                { line: 2, beneficiary: ALICE, amount: "10", template: "SEED_ROUND", start: NOW + DAY },
+                { line: 3, beneficiary: ALICE, amount: "10", duration: "30d", cliff: "30d", start: NOW + DAY },
+                { line: 4, beneficiary: ALICE, amount: "0", duration: "30d", start: NOW + DAY },
+                { line: 5, beneficiary: ALICE, amount: "10", duration: "30d", start: NOW - 1 },
+                { line: 6, beneficiary: BOB, amount: "10", duration: "30d" },
+                { line: 7, beneficiary: BOB, amount: "10", duration: "30d", start: NOW + DAY },
+                { line: 8, beneficiary: BOB, amount: "10", duration: "30d", start: NOW + DAY }
+            ];
+
+            const result = normalizeRoster(rows, { now: NOW });
+            expect(result.isValid).to.be.false;
+            expect(result.errors).to.deep.equal([
+                "Row 1: invalid beneficiary address 0x1234",
+                "Row 2: unknown template SEED_ROUND",
+                "Row 3: Cliff duration cannot be greater than or equal to total duration",
+                "Row 4: Total amount must be greater than zero",
+                "Row 5: start 2025-10-09T08:53:19.000Z is before chain time",
+                "Row 6: needs a start time"
+            ]);
+            expect(result.entries.map(entry => entry.line)).to.deep.equal([7, 8]);
+            expect(result.warnings).to.deep.equal([`Row 8: ${BOB} already has a schedule on row 7`]);
+        });
+
+        it("Should hold TeamVesting rows to the team cliff and duration", async function () {
+            const rows = [
+                { line: 1, beneficiary: ALICE, amount: "10", department: "Engineering", role: "Engineer" },
+                { line: 2, beneficiary: BOB, amount: "10", duration: "2y" }
+            ];
+
+            const result = normalizeRoster(rows, { target: ROSTER_TARGETS.TEAM, now: NOW });
+            expect(result.errors).to.deep.equal(["Row 2: TeamVesting schedules always use the 1-year cliff and 4-year duration"]);
+            expect(result.entries[0]).to.include({ startTime: 0, ...TEAM_TIMING, department: "Engineering", role: "Engineer" });
+        });
+
+        it("Should require the vault to cover what it owes plus the roster", async function () {
+            const stats = { totalSchedules: 3n, totalVesting: ether(1000), totalClaimed: ether(200), totalAvailable: ether(900) };
+
+            expect(checkFunding(stats, ether(100))).to.deep.equal({
+                outstanding: ether(800), required: ether(900), available: ether(900), shortfall: 0n, isFunded: true
+            });
+            expect(checkFunding(stats, ether(150))).to.include({ shortfall: ether(50), isFunded: false });
+        });
+    });
+
+    describe("Batching", function () {
+        it("Should size batches to the gas budget", async function () {
+            const entries = rosterOf(25);
+            const batches = planBatches(entries, { maxGas: 1000000n, baseGas: 50000n, gasPerEntry: 100000n });
+            expect(batches.map(batch => batch.length)).to.deep.equal([9, 9, 7]);
+            expect(planBatches(entries, { maxGas: 100n, baseGas: 50n, gasPerEntry: 100n })[0]).to.have.length(1);
+        });
+
+        it("Should split batches whose estimate exceeds the budget", async function () {
+            // Entries after the fourth cost five times as much, so the first estimates undercount them
+            const vault = fakeVault({ perEntry: (i) => (i < 4 ? 100000n : 500000n) });
+            const progress = loadProgress(path.join(dir, "progress.json"), {});
+
+            const result = await importRoster({
+                target: ROSTER_TARGETS.VAULT,
+                contract: vault,
+                entries: rosterOf(12),
+                progress,
+                save: () => {},
+                maxGas: 1000000n
+            });
+
+            expect(result.schedules).to.equal(12);
+            expect(vault.sent.every(batch => 50000n + BigInt(Math.min(batch.length, 4)) * 100000n + BigInt(Math.max(batch.length - 4, 0)) * 500000n <= 1000000n)).to.be.true;
+            expect(vault.sent.flat()).to.deep.equal(rosterOf(12).map(entry => entry.beneficiary));
+        });
+    });
+
+    describe("Progress", function () {
+        it("Should resume an interrupted import without creating schedules twice", async function () {
+            const entries = rosterOf(25);
+            const file = path.join(dir, "roster.csv.progress.json");
+            const identity = { network: "test", target: "vault", contract: ALICE, rosterHash: hashRoster("vault", entries) };
+            const run = (vault) => importRoster({
+                target: ROSTER_TARGETS.VAULT,
+                contract: vault,
+                entries,
+                progress: loadProgress(file, identity),
+                save: (progress) => saveProgress(file, progress),
+                maxGas: 1000000n
+            });
+
+            const first = fakeVault({ failAt: 2 });
+            let message = "";
+            try {
+                await run(first);
+            } catch (error) {
+                message = error.message;
+            }
+            expect(message).to.equal("connection reset");
+            expect(Object.keys(loadProgress(file, identity).completed)).to.have.length(9);
+
+            const second = fakeVault();
+            const result = await run(second);
+            expect(result).to.include({ transactions: 2, schedules: 16 });
+            expect([...first.sent, ...second.sent].flat()).to.deep.equal(entries.map(entry => entry.beneficiary));
+
+            expect(() => loadProgress(file, { ...identity, rosterHash: hashRoster("vault", entries.slice(1)) }))
+                .to.throw("belongs to a different import");
+        });
+
+        it("Should settle transactions sent before an interruption", async function () {
+            const confirmed = ethers.id("confirmed");
+            const dropped = ethers.id("dropped");
+            const progress = {
+                completed: {},
+                registered: {},
+                pending: [
+                    { kind: "schedules", lines: [2, 3], txHash: confirmed },
+                    { kind: "register", member: ALICE, txHash: dropped }
+                ]
+            };
+            const provider = {
+                getTransactionReceipt: async (hash) => (hash === confirmed ? { status: 1 } : null),
+                getTransaction: async () => null
+            };
+
+            expect(await resolvePending(progress, provider)).to.deep.equal({ confirmed: 1, failed: 1 });
+            expect(progress).to.deep.equal({ completed: { 2: confirmed, 3: confirmed }, registered: {}, pending: [] });
+        });
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Vesting Statement Tests
+ * Statement totals, upcoming releases, claim history and the HTML/CSV output
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const { parseCsv, formatCsv } = require("../utils/csv");
+const {
+    STATEMENT_ABI,
+    fetchBeneficiaryVesting,
+    fetchClaims,
+    getUpcomingReleases,
+    buildStatement,
+    toStatementRecords,
+    formatKarma,
+    renderStatementHtml
+} = require("../utils/vesting-statement");
+
+const VAULT = ethers.getAddress("0x00000000000000000000000000000000000000a1");
+const TEAM_VESTING = ethers.getAddress("0x00000000000000000000000000000000000000a2");
+const ALICE = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+const BOB = ethers.getAddress("0x00000000000000000000000000000000000000c3");
+
+const DAY = 86400;
+const MONTH = 30 * DAY;
+// 2026-01-01T00:00:00Z
+const START = 1767225600;
+
+describe("Vesting Statements", function () {
+
+    const ether = (amount) => ethers.parseEther(String(amount));
+
+    // Twelve months with a three-month cliff, four months in, and a revoked grant
+    const asOf = START + 4 * MONTH;
+    const vesting = {
+        beneficiary: ALICE,
+        blockNumber: 500,
+        asOf,
+        vested: ether(400) + ether(20),
+        claimable: ether(150),
+        beneficiaryTypes: ["TEAM_MEMBER"],
+        schedules: [
+            { id: 1, source: "TeamVesting", scheduleType: "TEAM", totalAmount: ether(1200), claimedAmount: ether(250), startTime: START, cliffDuration: 3 * MONTH, vestingDuration: 12 * MONTH, revoked: false, vested: ether(400), claimable: ether(150), nextUnlockTime: asOf },
+            { id: 4, source: "VestingVault", scheduleType: "ADVISOR", totalAmount: ether(30), claimedAmount: ether(20), startTime: START, cliffDuration: 0, vestingDuration: 10 * MONTH, revoked: true, vested: ether(20), claimable: 0n, nextUnlockTime: asOf }
+        ]
+    };
+    const claims = [
+        { beneficiary: ALICE, scheduleId: 1, amount: ether(250), blockNumber: 300, timestamp: START + 3 * MONTH + DAY, transactionHash: ethers.id("claim-1") },
+        { beneficiary: BOB, scheduleId: 2, amount: ether(5), blockNumber: 310, timestamp: START + 3 * MONTH + DAY, transactionHash: ethers.id("claim-2") },
+        { beneficiary: ALICE, scheduleId: 4, amount: ether(20), blockNumber: 320, timestamp: START + 2 * MONTH, transactionHash: ethers.id("claim-3") },
+        { beneficiary: ALICE, scheduleId: 1, amount: ether(1), blockNumber: 600, timestamp: asOf + DAY, transactionHash: ethers.id("claim-4") }
+    ];
+
+    it("Should total vested, claimed, claimable and locked amounts", async function () {
+        const statement = buildStatement(vesting, claims);
+
+        expect(statement.totals).to.deep.equal({
+            allocated: ether(1230),
+            vested: ether(420),
+            claimed: ether(270),
+            claimable: ether(150),
+            locked: ether(800),
+            forfeited: ether(10)
+        });
+        // Only this beneficiary's claims up to the statement block
+        expect(statement.claims.map(claim => claim.transactionHash)).to.deep.equal([ethers.id("claim-1"), ethers.id("claim-3")]);
+        expect(statement.schedules[1]).to.include({ locked: 0n, forfeited: ether(10) });
+        expect(statement.warnings).to.deep.equal([]);
+
+        const missing = buildStatement(vesting, claims.slice(1));
+        expect(missing.warnings).to.deep.equal(["Schedule 1: claim events add up to 0.0 KARMA but the vault records 250.0 KARMA claimed"]);
+    });
+
+    it("Should list upcoming releases from the release calendar", async function () {
+        const cliff = { id: 7, scheduleType: "TEAM", totalAmount: ether(1000), startTime: START, cliffDuration: 2 * MONTH + DAY, vestingDuration: 100 * DAY, revoked: false, vested: 0n };
+
+        const releases = getUpcomingReleases([cliff], START, { frequency: MONTH, limit: 10 });
+        // Nothing before the cliff, then the three months accrued by then; the last ten days vest at the end
+        expect(releases.map(release => release.releaseTime)).to.deep.equal([START + 3 * MONTH, START + 100 * DAY]);
+        expect(releases.map(release => release.amount)).to.deep.equal([ether(900), ether(100)]);
+        expect(releases[1].vestedAfter).to.equal(ether(1000));
+
+        // By default releases fall on calendar-month anniversaries of the start (Jan 1);
+        // mid-stream, the first row is what vests between now (May 1) and the next one
+        const vestedBy = (days) => (ether(1200) * BigInt(days)) / 360n;
+        const statement = buildStatement(vesting, claims, { limit: 3 });
+        expect(statement.upcoming).to.deep.equal([
+            { releaseTime: Date.UTC(2026, 5, 1) / 1000, scheduleId: 1, scheduleType: "TEAM", amount: vestedBy(151) - ether(400), vestedAfter: ether(20) + vestedBy(151) },
+            { releaseTime: Date.UTC(2026, 6, 1) / 1000, scheduleId: 1, scheduleType: "TEAM", amount: vestedBy(181) - vestedBy(151), vestedAfter: ether(20) + vestedBy(181) },
+            { releaseTime: Date.UTC(2026, 7, 1) / 1000, scheduleId: 1, scheduleType: "TEAM", amount: vestedBy(212) - vestedBy(181), vestedAfter: ether(20) + vestedBy(212) }
+        ]);
+        expect(getUpcomingReleases(vesting.schedules, START + 12 * MONTH)).to.deep.equal([]);
+    });
+
+    it("Should write the statement as CSV and HTML", async function () {
+        const statement = buildStatement({ ...vesting, schedules: [{ ...vesting.schedules[0], scheduleType: "TEAM <lead>" }, vesting.schedules[1]] }, claims, { limit: 2 });
+
+        const { columns, records } = toStatementRecords(statement);
+        const rows = parseCsv(formatCsv(records, columns));
+        expect(rows.map(row => row.section)).to.deep.equal(["schedule", "schedule", "claim", "claim", "release", "release", "total"]);
+        expect(rows[1]).to.include({ schedule_id: "4", amount: "30.0", vested: "20.0", locked: "0.0", reference: "revoked, 10.0 forfeited" });
+        expect(rows[2]).to.include({ date: "2026-04-02", amount: "250.0", reference: ethers.id("claim-1") });
+        expect(rows[6]).to.include({ date: "2026-05-01", amount: "1230.0", claimable: "150.0", locked: "800.0", reference: "block 500" });
+
+        const html = renderStatementHtml(statement, { network: "arbitrum" });
+        expect(html).to.include(`KARMA Vesting Statement: ${ALICE}`);
+        expect(html).to.include("<td>TEAM &lt;lead&gt;</td>");
+        expect(html).to.include("<td>2026-06-01</td><td>#1</td><td>TEAM &lt;lead&gt;</td><td>103.3333</td><td>523.3333</td>");
+        expect(html).to.include("Beneficiary type: TEAM_MEMBER");
+        expect(html).not.to.include("<lead>");
+
+        expect(formatKarma(ether("1234567.891234"))).to.equal("1,234,567.8912");
+        expect(formatKarma(ether(5))).to.equal("5");
+    });
+
+    it("Should read schedules and claims at one block", async function () {
+        const iface = new ethers.Interface(STATEMENT_ABI);
+        const onChain = {
+            1: [ether(1200), ether(250), START, 3 * MONTH, 12 * MONTH, false, ALICE, "TEAM"],
+            3: [ether(50), 0n, START, 0, MONTH, false, ALICE, "PRE_SALE"]
+        };
+        const blockTags = new Set();
+        const logRequests = [];
+
+        const claimLog = (beneficiary, scheduleId, amount, blockNumber) => ({
+            ...iface.encodeEventLog("TokensClaimed", [beneficiary, scheduleId, amount]),
+            address: VAULT, blockNumber, index: 0, transactionHash: ethers.id(`tx-${blockNumber}`)
+        });
+        const logs = [claimLog(ALICE, 1, ether(250), 4500), claimLog(BOB, 2, ether(5), 1200)];
+
+        const provider = {
+            getBlock: async (tag) => ({ number: tag === "latest" ? 5000 : tag, timestamp: START + (tag === "latest" ? 5000 : tag) }),
+            getBlockNumber: async () => 5000,
+            getLogs: async (filter) => {
+                logRequests.push([filter.fromBlock, filter.toBlock]);
+                return logs.filter(log => log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock && filter.topics.every((topic, i) => topic === log.topics[i]));
+            },
+            call: async ({ to, data, blockTag }) => {
+                blockTags.add(blockTag);
+                const call = iface.parseTransaction({ data });
+                const encode = (values) => iface.encodeFunctionResult(call.fragment, values);
+                const id = call.args[0];
+                switch (call.name) {
+                    case "getBeneficiaryInfo":
+                        return encode([ethers.getAddress(to) === TEAM_VESTING ? [ALICE, ether(1200), 1, [1], "TEAM_MEMBER", true] : [ethers.ZeroAddress, 0, 0, [], "", false]]);
+                    case "getBeneficiarySchedules":
+                        return encode([[1, 3]]);
+                    case "getVestingSchedule":
+                        return encode([onChain[id]]);
+                    case "getVestedAmount":
+                        return encode([Number(id) === 1 ? ether(400) : ether(50)]);
+                    case "getClaimableAmount":
+                        return encode([Number(id) === 1 ? ether(150) : ether(50)]);
+                    case "getNextUnlockTime":
+                        return encode([0]);
+                    case "getBeneficiaryVestedAmount":
+                        return encode([ether(450)]);
+                    case "getBeneficiaryClaimableAmount":
+                        return encode([ether(200)]);
+                }
+                throw new Error(`unexpected call ${call.name}`);
+            }
+        };
+
+        const result = await fetchBeneficiaryVesting(provider, { vestingVault: VAULT, TeamVesting: TEAM_VESTING, PrivateSaleVesting: BOB }, ALICE.toLowerCase());
+        expect(result).to.include({ beneficiary: ALICE, blockNumber: 5000, asOf: START + 5000, vested: ether(450), claimable: ether(200) });
+        expect(result.beneficiaryTypes).to.deep.equal(["TEAM_MEMBER"]);
+        expect(result.schedules.map(schedule => [schedule.id, schedule.source, schedule.scheduleType])).to.deep.equal([[1, "TeamVesting", "TEAM"], [3, "VestingVault", "PRE_SALE"]]);
+        expect([...blockTags]).to.deep.equal([5000]);
+
+        const all = await fetchClaims(provider, VAULT, { fromBlock: 1000, blockRange: 2000 });
+        expect(logRequests).to.deep.equal([[1000, 2999], [3000, 4999], [5000, 5000]]);
+        expect(all.map(claim => [claim.beneficiary, claim.scheduleId, claim.blockNumber])).to.deep.equal([[BOB, 2, 1200], [ALICE, 1, 4500]]);
+        expect(all[1]).to.include({ amount: ether(250), timestamp: START + 4500, transactionHash: ethers.id("tx-4500") });
+
+        const own = await fetchClaims(provider, VAULT, { beneficiary: ALICE, toBlock: 5000, blockRange: 10000 });
+        expect(own.map(claim => claim.beneficiary)).to.deep.equal([ALICE]);
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Vesting Template Snapshot Tests
+ * Template versions, the schedules filed under them, snapshot diffs and reading templates from chain
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const { parseCsv, formatCsv } = require("../utils/csv");
+const {
+    TEMPLATE_SNAPSHOT_ABI,
+    fetchTemplates,
+    fetchTemplateEvents,
+    buildTemplateVersions,
+    hashTemplateTerms,
+    createSnapshot,
+    diffSnapshots,
+    toEnrollmentRecords
+} = require("../utils/vesting-template-snapshot");
+
+const MANAGER = ethers.getAddress("0x00000000000000000000000000000000000000a1");
+const ALICE = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+const BOB = ethers.getAddress("0x00000000000000000000000000000000000000c3");
+const CAROL = ethers.getAddress("0x00000000000000000000000000000000000000d4");
+
+const DAY = 86400;
+const YEAR = 365 * DAY;
+const MONTH = 30 * DAY;
+// 2026-01-01T00:00:00Z
+const START = 1767225600;
+
+describe("Vesting Template Snapshots", function () {
+
+    const ether = (amount) => ethers.parseEther(String(amount));
+
+    const template = (overrides = {}) => ({
+        vestingDuration: 4 * YEAR,
+        cliffDuration: YEAR,
+        releaseFrequency: MONTH,
+        isActive: true,
+        description: "Team members",
+        category: "TEAM",
+        creator: MANAGER,
+        creationDate: START,
+        locked: false,
+        lastModified: START,
+        usageCount: 0,
+        totalAllocation: 0n,
+        ...overrides
+    });
+
+    const event = (name, blockNumber, fields) => ({ event: name, blockNumber, timestamp: START + blockNumber, transactionHash: ethers.id(`tx-${blockNumber}`), ...fields });
+    const created = (templateName, blockNumber, fields) => event("VestingTemplateCreated", blockNumber, { templateName, ...fields });
+    const updated = (templateName, blockNumber, fields) => event("VestingTemplateUpdated", blockNumber, { templateName, ...fields });
+    const enrolled = (templateName, blockNumber, beneficiary, scheduleId, amount) => event("VestingScheduleCreated", blockNumber, { templateName, beneficiary, scheduleId, amount: ether(amount), startTime: START });
+
+    // TEAM_STANDARD loses its cliff after Alice joins, then Bob joins on the new terms
+    const templates = {
+        TEAM_STANDARD: template({ cliffDuration: 0, usageCount: 2, totalAllocation: ether(300), lastModified: START + 20 }),
+        ADVISOR: template({ vestingDuration: 2 * YEAR, cliffDuration: 0, description: "Advisors", category: "CUSTOM" })
+    };
+    const events = [
+        created("TEAM_STANDARD", 1, { vestingDuration: 4 * YEAR, cliffDuration: YEAR, description: "Team members" }),
+        enrolled("TEAM_STANDARD", 10, ALICE, 1, 100),
+        updated("TEAM_STANDARD", 20, { vestingDuration: 4 * YEAR, cliffDuration: 0, isActive: true }),
+        updated("TEAM_STANDARD", 25, { vestingDuration: 4 * YEAR, cliffDuration: 0, isActive: true }),
+        enrolled("TEAM_STANDARD", 30, BOB, 2, 200),
+        created("ADVISOR", 40, { vestingDuration: 2 * YEAR, cliffDuration: 0, description: "Advisors" })
+    ];
+
+    it("Should number template versions and file schedules under the version they were created from", async function () {
+        const { versions, warnings } = buildTemplateVersions(templates, events);
+        expect(warnings).to.deep.equal([]);
+
+        // The update at block 25 repeats the terms, so it is not a new version
+        expect(versions.TEAM_STANDARD.map(version => [version.version, version.blockNumber, version.terms.cliffDuration])).to.deep.equal([[1, 1, YEAR], [2, 20, 0]]);
+        expect(versions.TEAM_STANDARD[0].terms).to.deep.equal({ vestingDuration: 4 * YEAR, cliffDuration: YEAR, releaseFrequency: MONTH, isActive: true, description: "Team members" });
+        expect(versions.TEAM_STANDARD[0].beneficiaries).to.deep.equal([
+            { beneficiary: ALICE, scheduleId: 1, amount: ether(100), startTime: START, blockNumber: 10, transactionHash: ethers.id("tx-10") }
+        ]);
+        expect(versions.TEAM_STANDARD[1].beneficiaries.map(entry => entry.beneficiary)).to.deep.equal([BOB]);
+        expect(versions.ADVISOR.map(version => version.version)).to.deep.equal([1]);
+
+        const late = buildTemplateVersions(templates, events.slice(1));
+        expect(late.warnings).to.deep.equal(["TEAM_STANDARD: schedule 1 was created before the first template event read; start from the manager deployment block"]);
+        expect(late.versions.TEAM_STANDARD.map(version => version.version)).to.deep.equal([1]);
+
+        const missing = buildTemplateVersions(templates, events.slice(0, 5));
+        expect(missing.warnings).to.deep.equal(["ADVISOR: no creation event found; start from the manager deployment block"]);
+    });
+
+    it("Should diff two snapshots by terms, metadata, usage and new enrollments", async function () {
+        const first = createSnapshot(
+            { blockNumber: 15, timestamp: START + 15, templates: { TEAM_STANDARD: template({ usageCount: 1, totalAllocation: ether(100) }) } },
+            buildTemplateVersions({ TEAM_STANDARD: template() }, events.slice(0, 2)).versions,
+            { network: "arbitrum", manager: MANAGER.toLowerCase() }
+        );
+        const second = createSnapshot({ blockNumber: 50, timestamp: START + 50, templates }, buildTemplateVersions(templates, events).versions, { network: "arbitrum", manager: MANAGER });
+
+        // Snapshots survive a round trip through JSON
+        const before = JSON.parse(JSON.stringify(first));
+        const after = JSON.parse(JSON.stringify(second));
+        expect(before).to.deep.include({ format: 1, network: "arbitrum", manager: MANAGER, blockNumber: 15 });
+        expect(before.templates.TEAM_STANDARD).to.include({ version: 1, totalAllocation: ether(100).toString(), termsHash: hashTemplateTerms(template()) });
+
+        const diff = diffSnapshots(before, after);
+        expect(diff.added).to.deep.equal(["ADVISOR"]);
+        expect(diff.removed).to.deep.equal([]);
+        expect(diff.changed).to.have.length(1);
+        expect(diff.changed[0]).to.deep.include({ name: "TEAM_STANDARD", versionBefore: 1, versionAfter: 2 });
+        expect(diff.changed[0].changes).to.deep.equal([
+            { field: "cliffDuration", kind: "terms", before: YEAR, after: 0 },
+            { field: "lastModified", kind: "metadata", before: START, after: START + 20 },
+            { field: "usageCount", kind: "usage", before: 1, after: 2 },
+            { field: "totalAllocation", kind: "usage", before: ether(100).toString(), after: ether(300).toString() }
+        ]);
+        expect(diff.changed[0].enrolled.map(entry => [entry.version, entry.beneficiary, entry.scheduleId])).to.deep.equal([[2, BOB, 2]]);
+
+        expect(diffSnapshots(after, after)).to.deep.equal({ added: [], removed: [], changed: [] });
+        expect(diffSnapshots(after, before).removed).to.deep.equal(["ADVISOR"]);
+    });
+
+    it("Should list enrollments with the terms of their template version", async function () {
+        const snapshot = createSnapshot({ blockNumber: 50, timestamp: START + 50, templates }, buildTemplateVersions(templates, events).versions);
+        const { columns, records } = toEnrollmentRecords(JSON.parse(JSON.stringify(snapshot)));
+        const rows = parseCsv(formatCsv(records, columns));
+
+        expect(rows.map(row => [row.template, row.version, row.cliff_duration, row.beneficiary, row.amount])).to.deep.equal([
+            ["TEAM_STANDARD", "1", String(YEAR), ALICE, "100.0"],
+            ["TEAM_STANDARD", "2", "0", BOB, "200.0"]
+        ]);
+        expect(rows[1]).to.include({ version_block: "20", schedule_id: "2", block: "30", transaction: ethers.id("tx-30") });
+    });
+
+    it("Should read templates and their events from the manager", async function () {
+        const iface = new ethers.Interface(TEMPLATE_SNAPSHOT_ABI);
+        const blockTags = new Set();
+        const logRequests = [];
+
+        const log = (name, args, blockNumber, index = 0) => ({
+            ...iface.encodeEventLog(name, args),
+            address: MANAGER, blockNumber, index, transactionHash: ethers.id(`tx-${blockNumber}`)
+        });
+        const logs = [
+            log("VestingScheduleCreated", [CAROL, "TEAM_STANDARD", 3, ether(50), START], 2500, 1),
+            log("VestingTemplateCreated", ["TEAM_STANDARD", 4 * YEAR, 0, "Team members"], 1000),
+            log("VestingTemplateCreated", ["OTHER_MANAGERS_TEMPLATE", YEAR, 0, ""], 1200),
+            log("VestingTemplateUpdated", ["TEAM_STANDARD", 4 * YEAR, 0, false], 2500, 2)
+        ];
+
+        const provider = {
+            getBlock: async (tag) => ({ number: tag === "latest" ? 3000 : tag, timestamp: START + (tag === "latest" ? 3000 : tag) }),
+            getBlockNumber: async () => 3000,
+            getLogs: async (filter) => {
+                logRequests.push([filter.fromBlock, filter.toBlock]);
+                return logs.filter(entry => entry.blockNumber >= filter.fromBlock && entry.blockNumber <= filter.toBlock && filter.topics[0].includes(entry.topics[0]));
+            },
+            call: async ({ data, blockTag }) => {
+                blockTags.add(blockTag);
+                const call = iface.parseTransaction({ data });
+                const encode = (values) => iface.encodeFunctionResult(call.fragment, values);
+                switch (call.name) {
+                    case "getAvailableTemplates":
+                        return encode([["TEAM_STANDARD"]]);
+                    case "getVestingTemplate":
+                        return encode([["TEAM_STANDARD", 4 * YEAR, 0, MONTH, false, "Team members"]]);
+                    case "getTemplateMetadata":
+                        return encode(["TEAM", 1, START + 1000, MANAGER, true, START + 2500]);
+                    case "getTotalAllocationByTemplate":
+                        return encode([ether(50)]);
+                }
+                throw new Error(`unexpected call ${call.name}`);
+            }
+        };
+
+        const current = await fetchTemplates(provider, MANAGER);
+        expect(current.blockNumber).to.equal(3000);
+        expect(current.templates.TEAM_STANDARD).to.deep.equal(template({
+            cliffDuration: 0, isActive: false, creationDate: START + 1000, locked: true, lastModified: START + 2500, usageCount: 1, totalAllocation: ether(50)
+        }));
+        expect([...blockTags]).to.deep.equal([3000]);
+
+        const read = await fetchTemplateEvents(provider, MANAGER, ["TEAM_STANDARD"], { fromBlock: 1000, toBlock: 3000, blockRange: 1000 });
+        expect(logRequests).to.deep.equal([[1000, 1999], [2000, 2999], [3000, 3000]]);
+        // Events of templates not in the list are skipped, and logs come back in chain order
+        expect(read.map(entry => [entry.event, entry.blockNumber])).to.deep.equal([
+            ["VestingTemplateCreated", 1000], ["VestingScheduleCreated", 2500], ["VestingTemplateUpdated", 2500]
+        ]);
+        expect(read[1]).to.include({ templateName: "TEAM_STANDARD", beneficiary: CAROL, scheduleId: 3, amount: ether(50), startTime: START, timestamp: START + 2500 });
+        expect(read[2]).to.include({ isActive: false });
+
+        // The schedule was created just before the template was deactivated, in the same block
+        const { versions, warnings } = buildTemplateVersions(current.templates, read);
+        expect(warnings).to.deep.equal([]);
+        expect(versions.TEAM_STANDARD.map(version => [version.version, version.terms.isActive, version.beneficiaries.length])).to.deep.equal([[1, true, 1], [2, false, 0]]);
+    });
+});
@@ -0,0 +1,236 @@
+/**
+ * Wallet Migration Tests
+ * Replacement schedules, step order and signers, reading an address's footprint and verifying nothing was left behind
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { calculateVestedAmount } = require("../protocol/02-vesting-system-architecture/utils/vesting-calculator");
+const { STATEMENT_ABI } = require("../utils/vesting-statement");
+const {
+    MIGRATION_ABI,
+    findAddressFootprint,
+    getReplacementSchedules,
+    planMigration,
+    saveMigrationPlan,
+    loadMigrationPlan,
+    verifyMigration
+} = require("../utils/wallet-migration");
+
+const VAULT = ethers.getAddress("0x00000000000000000000000000000000000000a1");
+const TEAM_VESTING = ethers.getAddress("0x00000000000000000000000000000000000000a2");
+const TEMPLATE_MANAGER = ethers.getAddress("0x00000000000000000000000000000000000000a3");
+const STAKING = ethers.getAddress("0x00000000000000000000000000000000000000a4");
+const SALE_MANAGER = ethers.getAddress("0x00000000000000000000000000000000000000a5");
+const TOKEN = ethers.getAddress("0x00000000000000000000000000000000000000a6");
+const OLD = ethers.getAddress("0x00000000000000000000000000000000000000b2");
+const NEW = ethers.getAddress("0x00000000000000000000000000000000000000c3");
+
+const DAY = 86400;
+const START = 1767225600;
+const ROLE = ethers.id("VESTING_MANAGER_ROLE");
+
+describe("Wallet Migration", function () {
+
+    const ether = (amount) => ethers.parseEther(String(amount));
+    const addresses = { vestingVault: VAULT, teamVesting: TEAM_VESTING, templateManager: TEMPLATE_MANAGER, staking: STAKING, saleManager: SALE_MANAGER, token: TOKEN };
+
+    // 1000 KARMA over 100 days with a 10-day cliff, 250 claimed, planned on day 40 for day 50
+    const schedule = { id: 4, scheduleType: "TEAM", totalAmount: ether(1000), claimedAmount: ether(250), startTime: START, cliffDuration: 10 * DAY, vestingDuration: 100 * DAY, revoked: false, claimable: ether(150) };
+    const footprint = {
+        account: OLD,
+        blockNumber: 700,
+        timestamp: START + 40 * DAY,
+        schedules: [schedule, { ...schedule, id: 2, totalAmount: ether(50), claimedAmount: ether(50), revoked: true }],
+        beneficiary: { beneficiaryType: "TEAM_MEMBER", totalAllocation: ether(1000), isActive: true },
+        teamMember: null,
+        staking: {
+            stakes: [{ stakeId: 9, amount: ether(100), stakeType: "LOCKED_90", lockEnd: START + 90 * DAY, penalty: ether(10), netAmount: ether(90) }],
+            pendingRewards: ether(2),
+            governanceRewards: 0n
+        },
+        participant: { kycStatus: "APPROVED", isAccredited: true, totalEthSpent: ether(1), totalTokensBought: ether(500), purchaseCount: 1, referralCount: 0, isPrivateSaleParticipant: false },
+        balance: ether(8),
+        roles: [{ contract: "VestingVault", target: VAULT, role: ROLE, roleName: "VESTING_MANAGER_ROLE" }]
+    };
+
+    it("Should replace a schedule with what had vested and the rest on the original timeline", async function () {
+        const at = START + 50 * DAY;
+        const { replacements, warning } = getReplacementSchedules(schedule, at);
+        expect(replacements).to.deep.equal([
+            { amount: ether(250), startTime: at, cliffDuration: 0, vestingDuration: 1 },
+            { amount: ether(500), startTime: at, cliffDuration: 0, vestingDuration: 50 * DAY }
+        ]);
+        expect(warning).to.equal(null);
+
+        // From then on the new address can claim exactly what the old one could have
+        for (const day of [50, 51, 75, 100, 120]) {
+            const time = START + day * DAY;
+            const original = calculateVestedAmount(schedule, time) - schedule.claimedAmount;
+            const replaced = replacements.reduce((sum, part) => sum + calculateVestedAmount({ ...part, totalAmount: part.amount, revoked: false }, time), 0n);
+            expect(replaced, `day ${day}`).to.equal(day === 50 ? original - ether(250) : original);
+        }
+
+        // Not started yet: copied as is; before the cliff the replacement cannot follow the original
+        const future = { ...schedule, claimedAmount: 0n, startTime: at + DAY };
+        expect(getReplacementSchedules(future, at).replacements).to.deep.equal([{ amount: ether(1000), startTime: at + DAY, cliffDuration: 10 * DAY, vestingDuration: 100 * DAY }]);
+        const beforeCliff = getReplacementSchedules({ ...schedule, claimedAmount: 0n }, START + 5 * DAY);
+        expect(beforeCliff.replacements).to.deep.equal([{ amount: ether(1000), startTime: START + 5 * DAY, cliffDuration: 5 * DAY, vestingDuration: 95 * DAY }]);
+        expect(beforeCliff.warning).to.match(/^Schedule 4: migrating before the cliff/);
+
+        expect(getReplacementSchedules(schedule, START + 200 * DAY).replacements).to.deep.equal([{ amount: ether(750), startTime: START + 200 * DAY, cliffDuration: 0, vestingDuration: 1 }]);
+    });
+
+    it("Should order the migration steps by who signs them", async function () {
+        const plan = planMigration(footprint, NEW, addresses, { at: START + 50 * DAY });
+
+        expect(plan.steps.map(step => [step.signer, step.contract, step.signature])).to.deep.equal([
+            ["old", "KarmaStaking", "claimRewards()"],
+            ["old", "KarmaStaking", "unstake(uint256)"],
+            ["old", "KarmaToken", "transfer(address,uint256)"],
+            ["admin", "VestingVault", "revokeRole(bytes32,address)"],
+            ["admin", "VestingVault", "revokeSchedule(uint256)"],
+            ["admin", "VestingVault", "createVestingSchedule(address,uint256,uint256,uint256,uint256,string)"],
+            ["admin", "VestingVault", "createVestingSchedule(address,uint256,uint256,uint256,uint256,string)"],
+            ["admin", "VestingTemplateManager", "registerBeneficiary(address,string,uint256)"],
+            ["admin", "VestingTemplateManager", "updateBeneficiaryStatus(address,bool,string)"],
+            ["admin", "VestingVault", "grantRole(bytes32,address)"],
+            ["admin", "SaleManager", "updateKYCStatus(address,uint8)"],
+            ["admin", "SaleManager", "setAccreditedStatus(address,bool)"],
+            ["new", "KarmaToken", "approve(address,uint256)"],
+            ["new", "KarmaStaking", "stake(uint256,uint8)"]
+        ]);
+        expect(plan.steps.map(step => step.step)).to.deep.equal([...Array(14).keys()].map(i => i + 1));
+
+        // Balance, rewards and the unstaked amount net of the penalty go to the new address
+        const transfer = new ethers.Interface(["function transfer(address,uint256)"]).encodeFunctionData("transfer", [NEW, ether(100)]);
+        expect(plan.steps[2]).to.include({ target: TOKEN, data: transfer });
+        expect(plan.steps[5].args).to.deep.equal([NEW, ether(250).toString(), String(START + 50 * DAY), "0", "1", "TEAM"]);
+        expect(plan.steps[13].args).to.deep.equal([ether(90).toString(), "2"]);
+        expect(plan.notes[0]).to.equal(`Do not claim from ${OLD} once this plan is made: the replacement schedules already include its 150.0 KARMA unclaimed vesting`);
+
+        const lost = planMigration(footprint, NEW, addresses, { at: START + 50 * DAY, oldKeyAvailable: false });
+        expect(lost.steps.every(step => step.signer === "admin")).to.equal(true);
+        expect(lost.warnings).to.deep.equal([
+            "1 stakes (100.0 KARMA) can only be unstaked by the old key and stay behind",
+            "2.0 KARMA of staking rewards can only be claimed by the old key and stay behind",
+            "8.0 KARMA held by the old address can only be sent by the old key and stays behind"
+        ]);
+
+        expect(() => planMigration(footprint, OLD.toLowerCase(), addresses)).to.throw("The new address is the old address");
+        expect(() => planMigration(footprint, NEW, addresses, { at: footprint.timestamp })).to.throw("must start after");
+        expect(planMigration(footprint, NEW, addresses).at).to.equal(footprint.timestamp + 7 * DAY);
+    });
+
+    it("Should read schedules, stakes, the sale record, balance and roles at one block", async function () {
+        const iface = new ethers.Interface([...STATEMENT_ABI, ...MIGRATION_ABI]);
+        const roleEvents = new ethers.Interface(["event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)", "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)"]);
+        const blockTags = new Set();
+        const log = (name, account, blockNumber) => ({ ...roleEvents.encodeEventLog(name, [ROLE, account, NEW]), address: VAULT, blockNumber, index: 0, transactionHash: ethers.id(`${name}-${blockNumber}`) });
+        const logs = [log("RoleGranted", OLD, 10), log("RoleGranted", NEW, 11), log("RoleRevoked", NEW, 12)];
+
+        const provider = {
+            getBlock: async (tag) => ({ number: tag === "latest" ? 800 : tag, timestamp: START + 40 * DAY }),
+            getBlockNumber: async () => 800,
+            getLogs: async (filter) => logs.filter(entry => entry.address === filter.address && entry.blockNumber >= filter.fromBlock && entry.blockNumber <= filter.toBlock),
+            call: async ({ to, data, blockTag }) => {
+                blockTags.add(blockTag);
+                const call = iface.parseTransaction({ data });
+                const encode = (values) => iface.encodeFunctionResult(call.fragment, values);
+                switch (call.name) {
+                    case "getBeneficiaryInfo":
+                        return encode([ethers.getAddress(to) === TEMPLATE_MANAGER ? [OLD, ether(1000), 1, [4], "TEAM_MEMBER", true] : [ethers.ZeroAddress, 0, 0, [], "", false]]);
+                    case "getBeneficiarySchedules":
+                        return encode([[4]]);
+                    case "getVestingSchedule":
+                        return encode([[ether(1000), ether(250), START, 10 * DAY, 100 * DAY, false, OLD, "TEAM"]]);
+                    case "getVestedAmount":
+                    case "getBeneficiaryVestedAmount":
+                        return encode([ether(400)]);
+                    case "getClaimableAmount":
+                    case "getBeneficiaryClaimableAmount":
+                        return encode([ether(150)]);
+                    case "getNextUnlockTime":
+                        return encode([0]);
+                    case "getTeamMemberDetails":
+                        return encode(["", "", 0, false, 0, 0]);
+                    case "getUserStakeData":
+                        return encode([[ether(150), 0, 0, [8, 9], 0]]);
+                    case "getStakeInfo":
+                        return encode([Number(call.args[0]) === 8
+                            ? [ether(50), START, 0, 0, 0, 0, false]
+                            : [ether(100), START, 90 * DAY, 2, 0, 0, true]]);
+                    case "EARLY_UNSTAKE_PENALTY":
+                        return encode([1000]);
+                    case "BASIS_POINTS":
+                        return encode([10000]);
+                    case "calculatePendingRewards":
+                        return encode([ether(2)]);
+                    case "getUnclaimedGovernanceRewards":
+                        return encode([0]);
+                    case "getParticipant":
+                        return encode([[ether(1), ether(500), 1, true, START, [3], 0, 0, 0, false]]);
+                    case "balanceOf":
+                        return encode([ether(8)]);
+                }
+                throw new Error(`unexpected call ${call.name}`);
+            }
+        };
+
+        const result = await findAddressFootprint(provider, addresses, OLD.toLowerCase(), { roleContracts: { VestingVault: { address: VAULT, blockNumber: 5 } } });
+        expect(result).to.include({ account: OLD, blockNumber: 800, balance: ether(8), teamMember: null });
+        expect(result.schedules.map(entry => [entry.id, entry.source, entry.claimable])).to.deep.equal([[4, "VestingTemplateManager", ether(150)]]);
+        expect(result.beneficiary).to.deep.equal({ beneficiaryType: "TEAM_MEMBER", totalAllocation: ether(1000), isActive: true });
+        // Inactive stakes are skipped; a locked stake still in its lock pays the 10% penalty
+        expect(result.staking).to.deep.equal(footprint.staking);
+        expect(result.participant).to.include({ kycStatus: "APPROVED", isAccredited: true, purchaseCount: 1 });
+        expect(result.roles).to.deep.equal(footprint.roles);
+        expect([...blockTags]).to.deep.equal([800]);
+    });
+
+    it("Should list what a migration left behind", async function () {
+        const plan = planMigration(footprint, NEW, addresses, { at: START + 50 * DAY });
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "karma-migration-"));
+        let saved;
+        try {
+            const file = path.join(dir, "plan.json");
+            saveMigrationPlan(file, { network: "arbitrum", plan, footprint });
+            saved = loadMigrationPlan(file);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+        expect(saved.footprint).to.deep.equal(footprint);
+        expect(saved.plan.replacements).to.deep.equal(plan.replacements);
+
+        const empty = { schedules: [], beneficiary: null, teamMember: null, staking: { stakes: [], pendingRewards: 0n, governanceRewards: 0n }, participant: null, balance: 0n, roles: [] };
+        const revoked = { ...schedule, totalAmount: ether(400), revoked: true };
+        const old = { ...empty, account: OLD, schedules: [revoked], beneficiary: { ...footprint.beneficiary, isActive: false }, participant: footprint.participant };
+        const current = {
+            ...empty,
+            account: NEW,
+            schedules: plan.replacements.map((part, i) => ({ id: 10 + i, totalAmount: part.amount, claimedAmount: 0n, startTime: part.startTime, revoked: false })),
+            beneficiary: footprint.beneficiary,
+            participant: footprint.participant,
+            balance: ether(100),
+            roles: [{ ...footprint.roles[0] }]
+        };
+        expect(verifyMigration(saved.plan, saved.footprint, old, current)).to.deep.equal({ complete: true, leftovers: [] });
+
+        const leaky = { ...old, schedules: [{ ...revoked, claimedAmount: ether(400) }], balance: ether(1), roles: footprint.roles, staking: footprint.staking };
+        const partial = { ...current, schedules: current.schedules.slice(1), roles: [], participant: { ...footprint.participant, isAccredited: false } };
+        expect(verifyMigration(plan, footprint, leaky, partial).leftovers).to.deep.equal([
+            `Schedule 4: ${OLD} claimed 150.0 KARMA after the plan was made, which the replacement schedules pay again`,
+            `No 250.0 KARMA schedule for ${NEW} replacing schedule 4`,
+            `Stake 9 (100.0 KARMA) is still active on ${OLD}`,
+            `2.0 KARMA staking rewards unclaimed on ${OLD}`,
+            `1.0 KARMA still held by ${OLD}`,
+            `${NEW} is not marked accredited`,
+            `${OLD} still holds VESTING_MANAGER_ROLE on VestingVault`,
+            `${NEW} does not hold VESTING_MANAGER_ROLE on VestingVault`
+        ]);
+    });
+});
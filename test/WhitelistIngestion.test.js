@@ -0,0 +1,158 @@
+/**
+ * Whitelist Ingestion Tests
+ * CSV and XLSX vendor exports, EIP-55 checks, cross-tier duplicates and the rejection report
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const ExcelJS = require("exceljs");
+
+const { parseXlsxRows } = require("../utils/xlsx");
+const { loadWhitelistRows, checkAddress, ingestWhitelist } = require("../utils/whitelist-ingestion");
+
+const ALICE = ethers.getAddress("0x8ba1f109551bd432803012645ac136ddd64dba72");
+const BOB = ethers.getAddress("0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359");
+const CAROL = ethers.getAddress("0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed");
+const DAVE = ethers.getAddress("0xdbf03b407c01e7cd3cbea99509d93f8dddc8c6fb");
+const FRANK = ethers.getAddress("0x27b1fdb04752bbc536007a920d24acb045561c26");
+
+// Flip the case of the first letter so the checksum no longer matches
+const breakChecksum = (address) => address.replace(/[a-fA-F]/, (letter) =>
+    letter === letter.toLowerCase() ? letter.toUpperCase() : letter.toLowerCase()
+);
+
+/**
+ * Vendor-style workbook: a summary sheet first, then the export with a title
+ * gap, a styled empty row, rich text, a number and a boolean
+ */
+async function buildWorkbook() {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet("Summary").getCell("A1").value = "Fish & Chips";
+
+    const sheet = workbook.addWorksheet("KYC Export");
+    sheet.getCell("A1").value = "Wallet";
+    sheet.getCell("B1").value = "Tier";
+    sheet.getCell("D1").value = "KYC Status";
+    sheet.getRow(2).values = [ALICE, "Partner", undefined, "Approved"];
+    sheet.getCell("A4").font = { bold: true };
+    sheet.getRow(5).values = [BOB.toLowerCase(), { richText: [{ text: "Com" }, { text: "munity" }] }, 42, "Approved"];
+    sheet.getRow(6).values = [breakChecksum(CAROL), "Public", undefined, true];
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error.message;
+    }
+    return "";
+}
+
+describe("Whitelist Ingestion", function () {
+
+    let dir;
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "whitelist-"));
+    });
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("XLSX", function () {
+        it("Should read rich text, numbers and booleans with column gaps from a named sheet", async function () {
+            const workbook = await buildWorkbook();
+
+            expect(await parseXlsxRows(workbook)).to.deep.equal([{ line: 1, values: ["Fish & Chips"] }]);
+            const rows = await parseXlsxRows(workbook, { sheet: "KYC Export" });
+            expect(rows.map(row => row.line)).to.deep.equal([1, 2, 5, 6]);
+            expect(rows[0].values).to.deep.equal(["Wallet", "Tier", "", "KYC Status"]);
+            expect(rows[2].values).to.deep.equal([BOB.toLowerCase(), "Community", "42", "Approved"]);
+            expect(rows[3].values[3]).to.equal("TRUE");
+            expect(await rejection(parseXlsxRows(workbook, { sheet: "Missing" }))).to.include("Sheet \"Missing\" not found");
+            expect(await rejection(parseXlsxRows(Buffer.from("address,tier\n")))).to.include("Not an XLSX file");
+        });
+
+        it("Should ingest an XLSX export", async function () {
+            const file = path.join(dir, "export.xlsx");
+            fs.writeFileSync(file, await buildWorkbook());
+
+            const result = ingestWhitelist(await loadWhitelistRows(file, { sheet: "KYC Export" }));
+            expect(result.accepted).to.deep.equal([
+                { address: ALICE, tier: "PARTNER", row: 2 },
+                { address: BOB, tier: "COMMUNITY", row: 5 }
+            ]);
+            expect(result.rejected).to.have.length(1);
+            expect(result.rejected[0]).to.include({ row: 6 });
+            expect(result.rejected[0].reason).to.include("EIP-55 checksum mismatch").and.include("KYC status is \"TRUE\"");
+        });
+    });
+
+    describe("CSV", function () {
+        const exportCsv = () => "﻿" + [
+            "KYC vendor export,,,,",
+            " Wallet Address ,Tier,KYC Status,\"Name, Full\",Max Contribution (ETH)",
+            `${ALICE},partner,Approved,"Doe, Jane",50`,
+            `${ALICE.toLowerCase()},PARTNER,approved,"Doe, Jane (again)",50`,
+            `${breakChecksum(BOB)},COMMUNITY,approved,Bob,5`,
+            `${CAROL},COMMUNITY,Approved,Carol,5`,
+            `${DAVE},,Pending,Dave,1`,
+            `${CAROL},PUBLIC,approved,"Carol ""C""",1`,
+            "0x1234,WHALE,approved,Nobody,-1",
+            ",PUBLIC,approved,Blank,1",
+            `${FRANK.toLowerCase()}, ,verified,Frank,"1,000"`
+        ].join("\r\n") + "\r\n";
+
+        it("Should accept clean rows and report every rejected row with its reasons", async function () {
+            const file = path.join(dir, "export.csv");
+            fs.writeFileSync(file, exportCsv());
+
+            const result = ingestWhitelist(await loadWhitelistRows(file));
+            expect(result.accepted).to.deep.equal([
+                { address: ALICE, tier: "PARTNER", row: 3, maxContribution: ethers.parseEther("50") },
+                { address: FRANK, tier: "PUBLIC", row: 11, maxContribution: ethers.parseEther("1000") }
+            ]);
+            expect(result.rejected.map(({ row, reason }) => [row, reason])).to.deep.equal([
+                [4, "duplicate of row 3"],
+                [5, `EIP-55 checksum mismatch (expected ${BOB})`],
+                [6, "listed in more than one tier: COMMUNITY (row 6), PUBLIC (row 8)"],
+                [7, "KYC status is \"Pending\""],
+                [8, "listed in more than one tier: COMMUNITY (row 6), PUBLIC (row 8)"],
+                [9, "\"0x1234\" is not an Ethereum address; unknown tier \"WHALE\" (expected PARTNER, COMMUNITY, PUBLIC); invalid max contribution \"-1\""],
+                [10, "missing address"]
+            ]);
+            expect(result.rejected[1].address).to.equal(breakChecksum(BOB));
+            expect(result.stats).to.deep.equal({ rows: 9, accepted: 2, rejected: 7, byTier: { PARTNER: 1, COMMUNITY: 0, PUBLIC: 1 } });
+            expect(result.warnings).to.deep.equal([
+                "Header found on row 2; 1 rows above it were skipped",
+                "Ignoring columns: Name, Full",
+                "2 rows had an address without an EIP-55 checksum; it was checksummed"
+            ]);
+            expect(result.isValid).to.be.true;
+        });
+
+        it("Should apply checksum, tier and size options", async function () {
+            const file = path.join(dir, "export.csv");
+            fs.writeFileSync(file, exportCsv());
+            const rows = await loadWhitelistRows(file);
+
+            const strict = ingestWhitelist(rows, { requireChecksum: true, maxWhitelistSize: 1 });
+            expect(strict.accepted.map(entry => entry.address)).to.deep.equal([ALICE]);
+            expect(strict.rejected.find(entry => entry.row === 11).reason).to.equal("address has no EIP-55 checksum");
+            expect(strict.isValid).to.be.true;
+
+            const custom = ingestWhitelist(rows, { tiers: ["PARTNER", "COMMUNITY", "PUBLIC", "WHALE"], defaultTier: "COMMUNITY", maxWhitelistSize: 1 });
+            expect(custom.accepted.find(entry => entry.address === FRANK).tier).to.equal("COMMUNITY");
+            expect(custom.errors).to.deep.equal(["Whitelist size (2) exceeds maximum (1)"]);
+            expect(custom.isValid).to.be.false;
+
+            expect(checkAddress(ethers.ZeroAddress)).to.deep.equal({ reason: "zero address" });
+            expect(checkAddress(ALICE.toUpperCase().replace("0X", "0x"))).to.deep.equal({ address: ALICE, checksummed: false });
+            expect(() => ingestWhitelist([{ line: 1, values: ["name", "tier"] }])).to.throw("No address column found");
+            expect(await rejection(loadWhitelistRows(path.join(dir, "export.json")))).to.include("Unsupported whitelist file");
+        });
+    });
+});
@@ -0,0 +1,416 @@
+/**
+ * Karma Labs Access-Control Audit
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Rebuilds who holds which role on every deployed contract by replaying
+ * RoleGranted / RoleRevoked events, including grants executed through
+ * KarmaTimelock and AdminControl and grants still queued in the timelock,
+ * then diffs the result against the `roles` sections of the stage configs.
+ * Admin roles held by an EOA instead of the multisig or timelock are errors.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { CONTRACT_ALIASES } = require("./deployment-manifest");
+const { PROTOCOL_DIR } = require("./config-loader");
+const { CONTRACT_ROLES, roleName, roleNameFromKey } = require("./role-registry");
+
+// ============ CONSTANTS ============
+
+// Contracts audited by default (manifest keys)
+const AUDITED_CONTRACTS = [
+    "KarmaToken",
+    "KarmaMultiSigManager",
+    "KarmaTimelock",
+    "AdminControl",
+    "Treasury",
+    "SaleManager",
+    "KarmaPaymaster",
+    "BuybackBurn",
+    "KarmaGovernor",
+    "KarmaStaking",
+    "TimelockController",
+    "KarmaSecurityManager",
+    "KarmaInsuranceManager",
+    "KarmaBugBountyManager",
+    "KarmaSecurityMonitoring",
+    "SystemInitializationManager",
+    "OperationsMonitoringManager",
+    "MaintenanceUpgradeManager"
+];
+
+// Contracts that may hold admin roles without being flagged
+const GOVERNANCE_CONTRACTS = ["KarmaMultiSigManager", "KarmaTimelock", "AdminControl", "TimelockController"];
+
+// Top-level role sections that do not sit under contracts.<Name>.roles
+const CONFIG_ROLE_SECTIONS = {
+    "3.1": { path: "accessControl.roles", contract: "SaleManager" },
+    "4.1": { path: "roles", contract: "Treasury" },
+    "7.1": { path: "roles", contract: "TimelockController" }
+};
+
+const ROLE_EVENTS_ABI = [
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)"
+];
+
+const TIMELOCK_EVENTS_ABI = [
+    "event OperationQueued(bytes32 indexed id, address indexed target, uint256 value, bytes data, uint256 eta, uint8 operationType, address indexed proposer)",
+    "event OperationExecuted(bytes32 indexed id, address indexed target, uint256 value, bytes data, address indexed executor)",
+    "event OperationCancelled(bytes32 indexed id, address indexed canceller)"
+];
+
+// Role changes a timelock operation can carry
+const ROLE_CALLS_ABI = [
+    "function grantRole(bytes32 role, address account)",
+    "function revokeRole(bytes32 role, address account)",
+    "function grantRoleWithTimelock(bytes32 role, address account)",
+    "function revokeRoleWithTimelock(bytes32 role, address account)"
+];
+
+const roleEvents = new ethers.Interface(ROLE_EVENTS_ABI);
+const timelockEvents = new ethers.Interface(TIMELOCK_EVENTS_ABI);
+const roleCalls = new ethers.Interface(ROLE_CALLS_ABI);
+
+// ============ HELPERS ============
+
+/**
+ * Whether a role is an admin role that belongs to the multisig or timelock
+ * @param {string} name - Role name
+ * @returns {boolean} True for DEFAULT_ADMIN_ROLE and *_ADMIN_ROLE
+ */
+function isAdminRole(name) {
+    return name === "DEFAULT_ADMIN_ROLE" || /_ADMIN_ROLE$/.test(name);
+}
+
+/**
+ * Display name for a role id
+ * @param {string} id - bytes32 role id
+ * @returns {string} Role name, or the id for roles no contract declares
+ */
+function describeRole(id) {
+    return roleName(id) || id;
+}
+
+/**
+ * Order log entries by block, then position in the block
+ */
+function byLogPosition(a, b) {
+    return a.blockNumber - b.blockNumber || (a.logIndex ?? a.index) - (b.logIndex ?? b.index);
+}
+
+/**
+ * Fetch logs in block windows so large ranges stay under RPC limits
+ * @param {Object} provider - ethers provider
+ * @param {Object} filter - { address, topics }
+ * @param {Object} range - { fromBlock, toBlock, blockRange }
+ * @returns {Promise<Array<Object>>} Logs
+ */
+async function getLogsInWindows(provider, filter, { fromBlock = 0, toBlock, blockRange } = {}) {
+    const lastBlock = toBlock ?? await provider.getBlockNumber();
+    if (!blockRange) return provider.getLogs({ ...filter, fromBlock, toBlock: lastBlock });
+
+    const logs = [];
+    for (let start = fromBlock; start <= lastBlock; start += blockRange) {
+        const end = Math.min(start + blockRange - 1, lastBlock);
+        logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+    }
+    return logs;
+}
+
+// ============ EVENT REPLAY ============
+
+/**
+ * Fetch the RoleGranted / RoleRevoked history of a contract
+ * @param {Object} provider - ethers provider
+ * @param {string} contract - Contract name
+ * @param {string} address - Contract address
+ * @param {Object} range - { fromBlock, toBlock, blockRange }
+ * @returns {Promise<Array<Object>>} { contract, type, role, account, sender, blockNumber, logIndex, transactionHash }
+ */
+async function fetchRoleEvents(provider, contract, address, range = {}) {
+    const topics = [[roleEvents.getEvent("RoleGranted").topicHash, roleEvents.getEvent("RoleRevoked").topicHash]];
+    const logs = await getLogsInWindows(provider, { address, topics }, range);
+
+    return logs.map((log) => {
+        const parsed = roleEvents.parseLog(log);
+        return {
+            contract,
+            type: parsed.name === "RoleGranted" ? "granted" : "revoked",
+            role: parsed.args.role,
+            account: ethers.getAddress(parsed.args.account),
+            sender: ethers.getAddress(parsed.args.sender),
+            blockNumber: log.blockNumber,
+            logIndex: log.index ?? log.logIndex,
+            transactionHash: log.transactionHash
+        };
+    });
+}
+
+/**
+ * Decode a timelock call that grants or revokes a role
+ * @param {string} data - Call data
+ * @returns {Object|null} { action, role, account }, or null for other calls
+ */
+function decodeRoleCall(data) {
+    let parsed;
+    try {
+        parsed = roleCalls.parseTransaction({ data });
+    } catch (error) {
+        return null;
+    }
+    if (!parsed) return null;
+    return {
+        action: parsed.name.startsWith("grant") ? "grant" : "revoke",
+        role: parsed.args.role,
+        account: ethers.getAddress(parsed.args.account)
+    };
+}
+
+/**
+ * Fetch every role change queued in KarmaTimelock, with its current status
+ * @param {Object} provider - ethers provider
+ * @param {string} address - KarmaTimelock address
+ * @param {Object} range - { fromBlock, toBlock, blockRange }
+ * @returns {Promise<Array<Object>>} { id, target, action, role, account, eta, status, executedIn }
+ */
+async function fetchTimelockRoleOperations(provider, address, range = {}) {
+    const topics = [["OperationQueued", "OperationExecuted", "OperationCancelled"]
+        .map(name => timelockEvents.getEvent(name).topicHash)];
+    const logs = (await getLogsInWindows(provider, { address, topics }, range)).sort(byLogPosition);
+
+    const operations = new Map();
+    for (const log of logs) {
+        const parsed = timelockEvents.parseLog(log);
+        const id = parsed.args.id;
+
+        if (parsed.name === "OperationQueued") {
+            const call = decodeRoleCall(parsed.args.data);
+            if (!call) continue;
+            operations.set(id, {
+                id,
+                target: ethers.getAddress(parsed.args.target),
+                ...call,
+                eta: Number(parsed.args.eta),
+                status: "pending",
+                executedIn: null
+            });
+        } else if (operations.has(id)) {
+            const operation = operations.get(id);
+            operation.status = parsed.name === "OperationExecuted" ? "executed" : "cancelled";
+            if (operation.status === "executed") operation.executedIn = log.transactionHash;
+        }
+    }
+    return [...operations.values()];
+}
+
+/**
+ * Replay role events into the current role matrix
+ * @param {Array<Object>} events - Output of fetchRoleEvents for every contract
+ * @param {Array<Object>} operations - Output of fetchTimelockRoleOperations
+ * @param {Object} names - Map of lowercase address to contract name
+ * @returns {Object} { matrix, pending } where matrix[contract][roleName] lists holders
+ */
+function buildRoleMatrix(events, operations = [], names = {}) {
+    const nameOf = (address) => names[address.toLowerCase()] || null;
+    const executedBy = new Map(operations
+        .filter(operation => operation.status === "executed")
+        .map(operation => [`${operation.executedIn}:${operation.role}:${operation.account}`, operation.id]));
+
+    const holders = {};
+    for (const event of [...events].sort(byLogPosition)) {
+        const key = `${event.contract}\n${event.role}`;
+        holders[key] = holders[key] || new Map();
+
+        if (event.type === "granted") {
+            holders[key].set(event.account, {
+                account: event.account,
+                accountName: nameOf(event.account),
+                grantedBy: event.sender,
+                grantedByName: nameOf(event.sender),
+                timelockOperation: executedBy.get(`${event.transactionHash}:${event.role}:${event.account}`) || null,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            });
+        } else {
+            holders[key].delete(event.account);
+        }
+    }
+
+    const matrix = {};
+    for (const [key, accounts] of Object.entries(holders)) {
+        if (accounts.size === 0) continue;
+        const [contract, role] = key.split("\n");
+        matrix[contract] = matrix[contract] || {};
+        matrix[contract][describeRole(role)] = { role, holders: [...accounts.values()] };
+    }
+
+    const pending = operations
+        .filter(operation => operation.status === "pending")
+        .map(operation => ({
+            ...operation,
+            contract: nameOf(operation.target) || operation.target,
+            roleName: describeRole(operation.role),
+            accountName: nameOf(operation.account)
+        }));
+
+    return { matrix, pending };
+}
+
+// ============ CONFIG ============
+
+/**
+ * Collect the roles each contract is configured with across the stage configs
+ * @param {string} protocolDir - Protocol directory
+ * @returns {Object} expected[contract][roleName] = { sources, holders }
+ */
+function collectConfigRoles(protocolDir = PROTOCOL_DIR) {
+    const expected = {};
+    const add = (contract, name, source, holder) => {
+        const manifestName = CONTRACT_ALIASES[contract] || contract;
+        expected[manifestName] = expected[manifestName] || {};
+        const entry = expected[manifestName][name] = expected[manifestName][name] || { sources: [], holders: [] };
+        if (!entry.sources.includes(source)) entry.sources.push(source);
+        if (holder && !entry.holders.includes(holder)) entry.holders.push(holder);
+    };
+
+    for (const stageDir of fs.readdirSync(protocolDir).sort()) {
+        const configDir = path.join(protocolDir, stageDir, "config");
+        if (!fs.existsSync(configDir)) continue;
+
+        for (const fileName of fs.readdirSync(configDir).filter(name => /^stage[\d.]+-config\.json$/.test(name)).sort()) {
+            const stage = fileName.match(/^stage([\d.]+)-config\.json$/)[1];
+            const config = JSON.parse(fs.readFileSync(path.join(configDir, fileName), "utf8"));
+
+            // contracts.<Name>.roles: { minterRole: "0x..." }
+            for (const [contract, settings] of Object.entries(config.contracts || {})) {
+                for (const key of Object.keys((settings && settings.roles) || {})) {
+                    add(contract, roleNameFromKey(key), `${fileName} contracts.${contract}.roles.${key}`);
+                }
+            }
+
+            const section = CONFIG_ROLE_SECTIONS[stage];
+            const roles = section && section.path.split(".").reduce((value, key) => value && value[key], config);
+            for (const [key, value] of Object.entries(roles || {})) {
+                const source = `${fileName} ${section.path}.${key}`;
+                if (value && Array.isArray(value.permissions)) {
+                    // roles: { admin: { permissions: ["DEFAULT_ADMIN_ROLE", ...] } }
+                    value.permissions.forEach(name => add(section.contract, name, source, key));
+                } else if (typeof value === "string" && !value.startsWith("0x")) {
+                    // roles: { proposer: "PROPOSER_ROLE" }
+                    add(section.contract, value, source, key);
+                } else {
+                    // roles: { SALE_MANAGER_ROLE: "0x..." }
+                    add(section.contract, roleNameFromKey(key), source);
+                }
+            }
+        }
+    }
+    return expected;
+}
+
+// ============ DIFF ============
+
+/**
+ * Diff the role matrix against the configured roles
+ * @param {Object} options - Diff inputs
+ * @param {Object} options.matrix - From buildRoleMatrix
+ * @param {Array<Object>} options.pending - Queued timelock role changes
+ * @param {Object} options.expected - From collectConfigRoles
+ * @param {Array<string>} options.contracts - Contracts that were audited
+ * @param {Object} options.accountKinds - Map of lowercase address to "contract" or "eoa"
+ * @param {Array<string>} options.governance - Addresses admin roles belong to (multisig, timelock)
+ * @param {Object} options.accounts - Config holder labels mapped to addresses, e.g. { admin: "0x..." }
+ * @returns {Object} { isValid, errors, warnings }
+ */
+function diffRoleMatrix({ matrix, pending = [], expected, contracts, accountKinds = {}, governance = [], accounts = {} }) {
+    const errors = [];
+    const warnings = [];
+    const isGovernance = new Set(governance.map(address => address.toLowerCase()));
+    const label = (address, name) => (name ? `${name} (${address})` : address);
+
+    for (const contract of contracts) {
+        const held = matrix[contract] || {};
+        const configured = expected[contract];
+
+        for (const [name, { holders }] of Object.entries(held)) {
+            if (configured && !configured[name]) {
+                warnings.push(`${contract}: ${name} is held by ${holders.length} account(s) but not listed in any stage config`);
+            }
+            if (!isAdminRole(name)) continue;
+
+            for (const holder of holders) {
+                if (isGovernance.has(holder.account.toLowerCase())) continue;
+                const kind = accountKinds[holder.account.toLowerCase()];
+                if (kind === "eoa") {
+                    errors.push(`${contract}: EOA ${label(holder.account, holder.accountName)} holds ${name}; admin roles belong to the multisig or timelock`);
+                } else {
+                    warnings.push(`${contract}: ${label(holder.account, holder.accountName)} holds ${name} but is neither the multisig nor the timelock`);
+                }
+            }
+        }
+
+        for (const [name, { sources, holders: expectedHolders }] of Object.entries(configured || {})) {
+            if (!held[name]) {
+                const declared = name === "DEFAULT_ADMIN_ROLE" || (CONTRACT_ROLES[contract] || []).includes(name);
+                warnings.push(declared
+                    ? `${contract}: ${name} is configured (${sources[0]}) but no account holds it`
+                    : `${contract}: ${name} is configured (${sources[0]}) but ${contract} does not declare it`);
+                continue;
+            }
+            for (const holderLabel of expectedHolders) {
+                const address = accounts[holderLabel];
+                if (address && !held[name].holders.some(holder => holder.account.toLowerCase() === address.toLowerCase())) {
+                    errors.push(`${contract}: ${holderLabel} (${address}) is configured to hold ${name} but does not`);
+                }
+            }
+        }
+    }
+
+    for (const operation of pending) {
+        if (operation.action === "grant" && isAdminRole(operation.roleName) && !isGovernance.has(operation.account.toLowerCase())) {
+            warnings.push(`${operation.contract}: timelock operation ${operation.id} will grant ${operation.roleName} to ${label(operation.account, operation.accountName)}`);
+        }
+    }
+
+    return { isValid: errors.length === 0, errors, warnings };
+}
+
+// ============ OUTPUT ============
+
+/**
+ * Render the role matrix as console lines
+ * @param {Object} matrix - From buildRoleMatrix
+ * @param {Object} accountKinds - Map of lowercase address to "contract" or "eoa"
+ * @returns {Array<string>} Lines
+ */
+function formatRoleMatrix(matrix, accountKinds = {}) {
+    const lines = [];
+    for (const contract of Object.keys(matrix).sort()) {
+        lines.push(`📄 ${contract}`);
+        for (const name of Object.keys(matrix[contract]).sort()) {
+            for (const holder of matrix[contract][name].holders) {
+                const kind = accountKinds[holder.account.toLowerCase()] === "eoa" ? "EOA" : "contract";
+                const via = holder.timelockOperation ? ` via timelock ${holder.timelockOperation.slice(0, 10)}` : "";
+                lines.push(`   ${name.padEnd(30)} ${holder.account} ${holder.accountName || kind}${via}`);
+            }
+        }
+    }
+    return lines;
+}
+
+module.exports = {
+    AUDITED_CONTRACTS,
+    GOVERNANCE_CONTRACTS,
+    CONFIG_ROLE_SECTIONS,
+    isAdminRole,
+    fetchRoleEvents,
+    fetchTimelockRoleOperations,
+    decodeRoleCall,
+    buildRoleMatrix,
+    collectConfigRoles,
+    diffRoleMatrix,
+    formatRoleMatrix
+};
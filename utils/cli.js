@@ -0,0 +1,39 @@
+/**
+ * Karma Labs CLI Helpers
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Argument and environment parsing shared by the scripts in scripts/.
+ */
+
+/**
+ * Parse a comma-separated list
+ * @param {string|undefined} value - Raw value, usually an environment variable
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value) {
+    return (value || "").split(",").map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse "positional... --flag value" arguments; a flag with no value is true
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { positional, flags }
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith("--")) {
+            positional.push(argv[i]);
+            continue;
+        }
+        const next = argv[i + 1];
+        flags[argv[i].slice(2)] = next === undefined || next.startsWith("--") ? true : (i++, next);
+    }
+    return { positional, flags };
+}
+
+module.exports = {
+    parseList,
+    parseArgs
+};
@@ -0,0 +1,430 @@
+/**
+ * Karma Labs Stage Config Loader
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Loads protocol/<stage dir>/config/stageX.Y-config.json, fills "${name}" and
+ * "{{NAME}}" placeholders from named signers, the deployment manifest and
+ * explicit values, and validates the result against the stage schema. Any
+ * problem is raised before the caller sends a transaction.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { CONTRACT_ALIASES } = require("./deployment-manifest");
+const { STAGE_CONFIG_SCHEMAS, OPTIONAL_PLACEHOLDERS } = require("./stage-config-schemas");
+const { roleNameFromKey, checkRoleValue } = require("./role-registry");
+
+// ============ CONSTANTS ============
+
+const PROTOCOL_DIR = path.join(__dirname, "..", "protocol");
+
+const PLACEHOLDER_PATTERN = /\$\{([A-Za-z0-9_.]+)\}|\{\{([A-Za-z0-9_.]+)\}\}/g;
+
+// Tolerance for percentage sums such as 33.33 + 33.33 + 33.34
+const SUM_TOLERANCE = 1e-9;
+
+// ============ FILE ACCESS ============
+
+/**
+ * Find the config file for a stage
+ * @param {string} stage - Stage id, e.g. "4.1"
+ * @param {string} protocolDir - Protocol directory
+ * @returns {string} Config file path
+ */
+function findStageConfigPath(stage, protocolDir = PROTOCOL_DIR) {
+    const [major] = String(stage).split(".");
+    const stageDir = fs.readdirSync(protocolDir).find(dir => dir.startsWith(`${major.padStart(2, "0")}-`));
+    const configPath = stageDir && path.join(protocolDir, stageDir, "config", `stage${stage}-config.json`);
+
+    if (!configPath || !fs.existsSync(configPath)) {
+        throw new Error(`No config file found for stage ${stage}`);
+    }
+    return configPath;
+}
+
+// ============ PATH HELPERS ============
+
+/**
+ * Expand a dotted path ("*" matches every key or item) against a value
+ * @param {*} root - Value to search
+ * @param {string} pathSpec - Dotted path
+ * @returns {Array<{path: string, value: *}>} Matches that exist
+ */
+function expandPath(root, pathSpec) {
+    let matches = [{ path: "", value: root }];
+
+    for (const segment of pathSpec.split(".")) {
+        const next = [];
+        for (const match of matches) {
+            if (match.value === null || typeof match.value !== "object") continue;
+
+            const keys = segment === "*" ? Object.keys(match.value) : [segment];
+            for (const key of keys) {
+                if (match.value[key] === undefined) continue;
+                next.push({ path: match.path ? `${match.path}.${key}` : key, value: match.value[key] });
+            }
+        }
+        matches = next;
+    }
+    return matches;
+}
+
+/**
+ * Read a single value at a dotted path
+ * @param {*} root - Value to search
+ * @param {string} pathSpec - Dotted path without wildcards
+ * @returns {*} Value, or undefined when missing
+ */
+function getPath(root, pathSpec) {
+    const [match] = expandPath(root, pathSpec);
+    return match ? match.value : undefined;
+}
+
+// ============ PLACEHOLDERS ============
+
+/**
+ * Normalize a placeholder or source name so "admin_address", "adminAddress"
+ * and "ADMIN_ADDRESS" all match
+ * @param {string} name - Name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Build the placeholder lookup table
+ * @param {Object} sources - { values, signers, manifest, env }
+ * @returns {Function} Lookup returning the value for a placeholder name, or undefined
+ */
+function createPlaceholderLookup({ values = {}, signers = {}, manifest = null, env = process.env } = {}) {
+    const table = new Map();
+    const add = (name, value) => {
+        const key = normalizeName(name);
+        if (!table.has(key) && value !== undefined && value !== null) table.set(key, value);
+    };
+
+    // Explicit values win, then signers, then deployed contracts
+    for (const [name, value] of Object.entries(values)) {
+        add(name, value);
+    }
+    for (const [name, signer] of Object.entries(signers)) {
+        add(`${name}Address`, typeof signer === "string" ? signer : signer && signer.address);
+    }
+    if (manifest) {
+        for (const [name, entry] of Object.entries(manifest.contracts)) {
+            add(`${name}Address`, entry.address);
+        }
+        for (const [alias, name] of Object.entries(CONTRACT_ALIASES)) {
+            if (manifest.contracts[name]) add(`${alias}Address`, manifest.contracts[name].address);
+        }
+    }
+
+    // Environment variables only match their exact name (API keys and the like)
+    return (name) => table.get(normalizeName(name)) ?? (env ? env[name] : undefined);
+}
+
+/**
+ * Replace placeholders throughout a config
+ * @param {*} value - Config value
+ * @param {Function} lookup - Placeholder lookup
+ * @param {string} valuePath - Dotted path of value
+ * @param {Array<Object>} unresolved - Collects { path, placeholder } for unknown names
+ * @returns {*} Value with placeholders replaced
+ */
+function resolvePlaceholders(value, lookup, valuePath = "", unresolved = []) {
+    if (Array.isArray(value)) {
+        return value.map((item, index) => resolvePlaceholders(item, lookup, joinPath(valuePath, index), unresolved));
+    }
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            resolvePlaceholders(item, lookup, joinPath(valuePath, key), unresolved)
+        ]));
+    }
+    if (typeof value !== "string") {
+        return value;
+    }
+
+    // A string that is exactly one placeholder takes the value as-is (numbers stay numbers)
+    const whole = value.match(/^(?:\$\{([A-Za-z0-9_.]+)\}|\{\{([A-Za-z0-9_.]+)\}\})$/);
+    if (whole) {
+        const name = whole[1] || whole[2];
+        const resolved = lookup(name);
+        if (resolved === undefined) {
+            unresolved.push({ path: valuePath, placeholder: value });
+            return value;
+        }
+        return resolved;
+    }
+
+    return value.replace(PLACEHOLDER_PATTERN, (placeholder, dollarName, braceName) => {
+        const resolved = lookup(dollarName || braceName);
+        if (resolved === undefined) {
+            unresolved.push({ path: valuePath, placeholder });
+            return placeholder;
+        }
+        return String(resolved);
+    });
+}
+
+function joinPath(base, key) {
+    return base ? `${base}.${key}` : String(key);
+}
+
+/**
+ * Check whether a value still contains a placeholder
+ * @param {*} value - Value
+ * @returns {boolean} True when value is a string with a placeholder
+ */
+function isPlaceholder(value) {
+    return typeof value === "string" && new RegExp(PLACEHOLDER_PATTERN.source).test(value);
+}
+
+// ============ VALIDATION ============
+
+/**
+ * Convert a config number or decimal string to a number for comparisons
+ * @param {*} value - Value
+ * @returns {number|null} Number, or null when not numeric
+ */
+function toNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return null;
+}
+
+/**
+ * Compare two numeric config values, exactly when both are integers
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+    const isInteger = (value) => (typeof value === "number" && Number.isInteger(value)) ||
+        (typeof value === "string" && /^-?\d+$/.test(value));
+    if (isInteger(a) && isInteger(b)) {
+        const diff = BigInt(a) - BigInt(b);
+        return diff === 0n ? 0 : (diff < 0n ? -1 : 1);
+    }
+    return toNumber(a) - toNumber(b);
+}
+
+/**
+ * Apply one rule in one context
+ * @param {Object} rule - Schema rule
+ * @param {*} context - Value the rule paths are relative to
+ * @param {string} prefix - Path of context, for messages
+ * @param {Array<string>} errors - Collects error messages
+ */
+function applyRule(rule, context, prefix, errors) {
+    const label = (relative) => joinPath(prefix, relative);
+
+    if (rule.type === "sum") {
+        const addends = rule.paths
+            ? rule.paths.map(p => ({ path: label(p), value: getPath(context, p) }))
+            : expandPath(context, rule.path).map(match => ({ path: label(match.path), value: match.value }));
+        const target = rule.paths ? `${rule.paths.map(label).join(" + ")}` : label(rule.path);
+
+        if (addends.some(addend => isPlaceholder(addend.value))) return;
+        if (addends.length === 0 || addends.some(addend => toNumber(addend.value) === null)) {
+            errors.push(`${target} must be numbers that sum to ${rule.equals}`);
+            return;
+        }
+
+        const total = addends.reduce((sum, addend) => sum + toNumber(addend.value), 0);
+        if (Math.abs(total - rule.equals) > SUM_TOLERANCE) {
+            errors.push(`${target} must sum to ${rule.equals} (got ${total})`);
+        }
+        return;
+    }
+
+    if (rule.type === "role") {
+        for (const match of expandPath(context, rule.path)) {
+            if (isPlaceholder(match.value)) continue;
+            const problem = checkRoleValue(roleNameFromKey(match.path.split(".").pop()), match.value);
+            if (problem) errors.push(`${label(match.path)}: ${problem}`);
+        }
+        return;
+    }
+
+    const value = getPath(context, rule.path);
+    if (value === undefined || isPlaceholder(value)) return;
+    const where = label(rule.path);
+    const number = toNumber(value);
+
+    switch (rule.type) {
+        case "integer":
+            if (number === null || !Number.isInteger(number)) {
+                errors.push(`${where} must be an integer (got ${JSON.stringify(value)})`);
+            } else if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+                errors.push(`${where} must be between ${rule.min ?? "-∞"} and ${rule.max ?? "∞"} (got ${number})`);
+            }
+            break;
+
+        case "amount":
+            if (!(Number.isSafeInteger(value) && value >= 0) && !(typeof value === "string" && /^\d+$/.test(value))) {
+                errors.push(`${where} must be a non-negative integer amount (got ${JSON.stringify(value)})`);
+            }
+            break;
+
+        case "percentage": {
+            const max = rule.max ?? 100;
+            if (number === null || number < 0 || number > max) {
+                errors.push(`${where} must be between 0 and ${max} (got ${JSON.stringify(value)})`);
+            }
+            break;
+        }
+
+        case "threshold": {
+            const signers = getPath(context, rule.signers);
+            if (isPlaceholder(signers)) break;
+            const signerCount = Array.isArray(signers) ? signers.length : toNumber(signers);
+            if (number === null || !Number.isInteger(number) || number < 1) {
+                errors.push(`${where} must be a positive integer (got ${JSON.stringify(value)})`);
+            } else if (signerCount === null || number > signerCount) {
+                errors.push(`${where} (${number}) must not exceed the ${signerCount ?? "unknown"} signers at ${label(rule.signers)}`);
+            }
+            break;
+        }
+
+        case "order": {
+            const max = getPath(context, rule.max);
+            if (max === undefined || isPlaceholder(max)) break;
+            if (number === null || toNumber(max) === null) {
+                errors.push(`${where} and ${label(rule.max)} must be numeric`);
+                break;
+            }
+            const comparison = compareValues(value, max);
+            if (rule.strict ? comparison >= 0 : comparison > 0) {
+                errors.push(`${where} (${value}) must be ${rule.strict ? "less than" : "at most"} ${label(rule.max)} (${max})`);
+            }
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown config rule type ${rule.type}`);
+    }
+}
+
+/**
+ * Validate a config against its stage schema
+ * @param {string} stage - Stage id, e.g. "4.1"
+ * @param {Object} config - Config (placeholders already resolved where possible)
+ * @returns {Object} Validation result with isValid, errors and warnings
+ */
+function validateStageConfig(stage, config) {
+    const errors = [];
+    const warnings = [];
+    const schema = STAGE_CONFIG_SCHEMAS[stage];
+
+    if (!schema) {
+        warnings.push(`No schema defined for stage ${stage}`);
+        return { isValid: true, errors, warnings };
+    }
+
+    if (config.stage !== undefined && String(config.stage) !== String(stage)) {
+        errors.push(`Config declares stage ${config.stage}, expected ${stage}`);
+    }
+
+    for (const requiredPath of schema.required || []) {
+        if (getPath(config, requiredPath) === undefined) {
+            errors.push(`${requiredPath} is required`);
+        }
+    }
+
+    for (const rule of schema.rules || []) {
+        const contexts = rule.each
+            ? expandPath(config, rule.each)
+            : [{ path: "", value: config }];
+        for (const context of contexts) {
+            applyRule(rule, context.value, context.path, errors);
+        }
+    }
+
+    return { isValid: errors.length === 0, errors, warnings };
+}
+
+// ============ LOADING ============
+
+/**
+ * Load, resolve and validate a stage config
+ * @param {string} stage - Stage id, e.g. "4.1"
+ * @param {Object} options - { signers, manifest, values, env, configPath, protocolDir }
+ *   signers: map of role name to signer or address; fills "${<name>_address}"
+ *   manifest: deployment manifest; fills "{{<CONTRACT>_ADDRESS}}"
+ *   values: extra placeholder values, or a function of the raw config returning them
+ * @returns {Object} Resolved config
+ * @throws {Error} Listing every schema violation and unresolved placeholder
+ */
+function loadStageConfig(stage, options = {}) {
+    const configPath = options.configPath || findStageConfigPath(stage, options.protocolDir);
+    const raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+    const values = typeof options.values === "function" ? options.values(raw) : options.values;
+    const lookup = createPlaceholderLookup({ ...options, values });
+    const unresolved = [];
+    const config = resolvePlaceholders(raw, lookup, "", unresolved);
+
+    const result = validateStageConfig(stage, config);
+    for (const { path: valuePath, placeholder } of unresolved) {
+        if (OPTIONAL_PLACEHOLDERS.includes(valuePath)) {
+            result.warnings.push(`${valuePath}: ${placeholder} is not set`);
+        } else {
+            result.errors.push(`${valuePath}: no value for ${placeholder}`);
+        }
+    }
+
+    for (const warning of result.warnings) {
+        (options.log || console.warn)(`⚠️  Stage ${stage} config: ${warning}`);
+    }
+
+    if (result.errors.length > 0) {
+        const error = new Error(
+            `Invalid stage ${stage} config (${path.relative(process.cwd(), configPath)}):\n` +
+            result.errors.map(message => `  - ${message}`).join("\n")
+        );
+        error.errors = result.errors;
+        throw error;
+    }
+
+    return config;
+}
+
+// ============ CLI ============
+
+/**
+ * Validate every stage config (or the stages given) without resolving signers
+ * @param {Array<string>} stages - Stage ids; all schemas when empty
+ * @returns {boolean} True when every config is valid
+ */
+function validateAllConfigs(stages = []) {
+    const targets = stages.length > 0 ? stages : Object.keys(STAGE_CONFIG_SCHEMAS);
+    let allValid = true;
+
+    for (const stage of targets) {
+        const configPath = findStageConfigPath(stage);
+        const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+        const result = validateStageConfig(stage, config);
+
+        console.log(`${result.isValid ? "✅" : "❌"} Stage ${stage}: ${path.relative(process.cwd(), configPath)}`);
+        result.errors.forEach(message => console.log(`   - ${message}`));
+        allValid = allValid && result.isValid;
+    }
+    return allValid;
+}
+
+if (require.main === module) {
+    process.exit(validateAllConfigs(process.argv.slice(2)) ? 0 : 1);
+}
+
+module.exports = {
+    PROTOCOL_DIR,
+    findStageConfigPath,
+    expandPath,
+    getPath,
+    createPlaceholderLookup,
+    resolvePlaceholders,
+    validateStageConfig,
+    loadStageConfig,
+    validateAllConfigs
+};
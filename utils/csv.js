@@ -0,0 +1,116 @@
+/**
+ * Karma Labs CSV
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * RFC 4180 reading and writing for the rosters and reports the tooling
+ * exchanges with spreadsheets: quoted fields with embedded commas, quotes
+ * and line breaks, CRLF or LF line endings and an optional UTF-8 BOM.
+ */
+
+// ============ PARSING ============
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} { line, values } per row, line being the 1-based
+ *          line the row starts on; blank lines are skipped
+ */
+function parseCsvRows(text) {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const rows = [];
+    let values = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        values.push(field);
+        if (values.length > 1 || values[0] !== "") rows.push({ line: rowLine, values });
+        values = [];
+        field = "";
+        rowLine = line;
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        const lineBreak = char === "\n" || (char === "\r" && input[i + 1] !== "\n");
+        if (quoted) {
+            if (char === "\"" && input[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                field += char;
+                if (lineBreak) line++;
+            }
+        } else if (char === "\"" && field === "") {
+            quoted = true;
+        } else if (char === ",") {
+            values.push(field);
+            field = "";
+        } else if (char === "\r" || char === "\n") {
+            if (lineBreak) {
+                line++;
+                endRow();
+            }
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`CSV ends inside a quoted field opened on line ${rowLine}`);
+    }
+    if (field !== "" || values.length > 0) endRow();
+    return rows;
+}
+
+/**
+ * Parse CSV text with a header row into records
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per row keyed by the trimmed header,
+ *          plus the row's line in the file as `line`
+ */
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+    const columns = header.values.map(column => column.trim());
+
+    return rows.map(({ line, values }) => {
+        const record = { line };
+        columns.forEach((column, i) => {
+            record[column] = (values[i] ?? "").trim();
+        });
+        return record;
+    });
+}
+
+// ============ FORMATTING ============
+
+function formatField(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Format records as CSV
+ * @param {Array<Object>} records - Records
+ * @param {Array<string>} columns - Columns in order (default: keys of the first record)
+ * @returns {string} CSV text with a header row and CRLF line endings
+ */
+function formatCsv(records, columns = Object.keys(records[0] || {})) {
+    const lines = [columns.map(formatField).join(",")];
+    for (const record of records) {
+        lines.push(columns.map(column => formatField(record[column])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    parseCsvRows,
+    parseCsv,
+    formatCsv
+};
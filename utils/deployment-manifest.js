@@ -0,0 +1,284 @@
+/**
+ * Karma Labs Deployment Manifest
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Reads and writes deployments/<network>.json, the per-network record of
+ * every deployed contract. Setup, validation and operations tooling resolve
+ * contract addresses from the manifest instead of environment variables.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// ============ CONSTANTS ============
+
+const MANIFEST_VERSION = 1;
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Names used across stage scripts, mapped to the contract recorded in the manifest
+const CONTRACT_ALIASES = {
+    TeamVesting: "TeamVestingManager",
+    PrivateSaleVesting: "PrivateSaleVestingManager",
+    Paymaster: "KarmaPaymaster",
+    FeeCollector: "RevenueStreamIntegrator",
+    KarmaDAO: "KarmaGovernor",
+    GovernanceStaking: "KarmaStaking",
+    ZeroGIntegration: "KarmaMetadataStorage",
+    KarmaOperationsMonitoring: "OperationsMonitoringManager",
+    KarmaMaintenanceUpgrade: "MaintenanceUpgradeManager",
+    USDCToken: "USDC"
+};
+
+// ============ FILE ACCESS ============
+
+/**
+ * Get the deployments directory; DEPLOYMENTS_DIR in the environment overrides
+ * the repository default (dry runs point it at a scratch copy)
+ * @returns {string} Deployments directory
+ */
+function getDeploymentsDir() {
+    return process.env.DEPLOYMENTS_DIR || DEPLOYMENTS_DIR;
+}
+
+/**
+ * Get the manifest path for a network
+ * @param {string} network - Network name
+ * @param {string} dir - Deployments directory
+ * @returns {string} Manifest file path
+ */
+function getManifestPath(network, dir = getDeploymentsDir()) {
+    return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Create an empty manifest
+ * @param {string} network - Network name
+ * @param {string|bigint} chainId - Chain id
+ * @returns {Object} Empty manifest
+ */
+function createManifest(network, chainId) {
+    return {
+        version: MANIFEST_VERSION,
+        network,
+        chainId: chainId.toString(),
+        updatedAt: null,
+        contracts: {}
+    };
+}
+
+/**
+ * Read a manifest file
+ * @param {string} manifestPath - Manifest file path
+ * @returns {Object|null} Manifest, or null when the file does not exist
+ */
+function readManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    if (manifest.version !== MANIFEST_VERSION) {
+        throw new Error(`Unsupported manifest version ${manifest.version} in ${manifestPath}`);
+    }
+    return manifest;
+}
+
+/**
+ * Write a manifest file
+ * @param {string} manifestPath - Manifest file path
+ * @param {Object} manifest - Manifest to write
+ */
+function writeManifest(manifestPath, manifest) {
+    manifest.updatedAt = new Date().toISOString();
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+
+    const tempPath = `${manifestPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2) + "\n");
+    fs.renameSync(tempPath, manifestPath);
+}
+
+/**
+ * Load the manifest for a network, failing when it has not been deployed
+ * @param {string} network - Network name
+ * @param {string} dir - Deployments directory
+ * @returns {Object} Manifest
+ */
+function loadManifest(network, dir = getDeploymentsDir()) {
+    const manifestPath = getManifestPath(network, dir);
+    const manifest = readManifest(manifestPath);
+    if (!manifest) {
+        throw new Error(`No deployment manifest for ${network} at ${manifestPath}; run the deployment first`);
+    }
+    return manifest;
+}
+
+/**
+ * Load the manifest a deploy script records into, starting an empty one on
+ * the network's first deployment
+ * @param {string} network - Network name
+ * @param {string|bigint} chainId - Chain id
+ * @param {string} dir - Deployments directory
+ * @returns {Object} Manifest
+ */
+function openManifest(network, chainId, dir = getDeploymentsDir()) {
+    const manifest = readManifest(getManifestPath(network, dir)) || createManifest(network, chainId);
+    if (manifest.chainId !== chainId.toString()) {
+        throw new Error(`Deployment manifest for ${network} is for chain ${manifest.chainId}, not ${chainId}`);
+    }
+    return manifest;
+}
+
+// ============ RECORDING ============
+
+/**
+ * Convert constructor arguments to JSON-safe values
+ * @param {*} value - Argument value
+ * @returns {*} Serializable value (bigints become decimal strings)
+ */
+function serializeArgs(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(serializeArgs);
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeArgs(item)]));
+    }
+    return value;
+}
+
+/**
+ * Record a contract in the manifest, keeping any previous deployment in its history
+ * @param {Object} manifest - Manifest to update
+ * @param {string} name - Manifest key
+ * @param {Object} entry - Contract entry
+ * @returns {Object} Stored entry
+ */
+function recordContract(manifest, name, entry) {
+    const previous = manifest.contracts[name];
+    const history = [];
+    if (previous) {
+        const { history: older = [], ...superseded } = previous;
+        history.push(...older, superseded);
+    }
+
+    manifest.contracts[name] = {
+        contract: entry.contract || name,
+        address: ethers.getAddress(entry.address),
+        stage: entry.stage ?? null,
+        transactionHash: entry.transactionHash || null,
+        blockNumber: entry.blockNumber ?? null,
+        constructorArgs: serializeArgs(entry.constructorArgs || []),
+        bytecodeHash: entry.bytecodeHash || null,
+        external: entry.external || false,
+        deployedAt: entry.deployedAt || new Date().toISOString(),
+        history
+    };
+    return manifest.contracts[name];
+}
+
+/**
+ * Record a freshly deployed contract, reading block and bytecode details
+ * @param {Object} manifest - Manifest to update
+ * @param {string} name - Manifest key
+ * @param {Object} contract - Deployed ethers contract (v6, or v5 in stages 2 and 4)
+ * @param {Object} details - { contract, stage, constructorArgs, bytecode }
+ * @returns {Promise<Object>} Stored entry
+ */
+async function recordDeployment(manifest, name, contract, details) {
+    const isV5 = typeof contract.deploymentTransaction !== "function";
+    const deploymentTx = isV5 ? contract.deployTransaction : contract.deploymentTransaction();
+    const receipt = deploymentTx ? await deploymentTx.wait() : null;
+
+    return recordContract(manifest, name, {
+        contract: details.contract,
+        address: isV5 ? contract.address : await contract.getAddress(),
+        stage: details.stage,
+        transactionHash: deploymentTx ? deploymentTx.hash : null,
+        blockNumber: receipt ? receipt.blockNumber : null,
+        constructorArgs: details.constructorArgs,
+        bytecodeHash: details.bytecode ? ethers.keccak256(details.bytecode) : null
+    });
+}
+
+/**
+ * Record a freshly deployed contract and write the manifest straight away,
+ * so contracts deployed before a later failure stay recorded
+ * @param {Object} manifest - Manifest from openManifest or loadManifest
+ * @param {string} name - Manifest key
+ * @param {Object} contract - Deployed ethers contract
+ * @param {Object} details - { contract, stage, constructorArgs, bytecode }
+ * @param {string} dir - Deployments directory
+ * @returns {Promise<Object>} Stored entry
+ */
+async function saveDeployment(manifest, name, contract, details, dir = getDeploymentsDir()) {
+    const entry = await recordDeployment(manifest, name, contract, details);
+    writeManifest(getManifestPath(manifest.network, dir), manifest);
+    return entry;
+}
+
+// ============ RESOLUTION ============
+
+/**
+ * Look up a contract entry by manifest key or alias
+ * @param {Object} manifest - Manifest
+ * @param {string} name - Manifest key or alias
+ * @returns {Object|null} Contract entry
+ */
+function getContractEntry(manifest, name) {
+    return manifest.contracts[name] || manifest.contracts[CONTRACT_ALIASES[name]] || null;
+}
+
+/**
+ * Resolve a contract address from the manifest
+ * @param {Object} manifest - Manifest
+ * @param {string} name - Manifest key or alias
+ * @returns {string} Contract address
+ */
+function getContractAddress(manifest, name) {
+    const entry = getContractEntry(manifest, name);
+    if (!entry) {
+        throw new Error(`${name} not found in deployment manifest for ${manifest.network}`);
+    }
+    return entry.address;
+}
+
+/**
+ * Resolve several contract addresses at once
+ * @param {Object} manifest - Manifest
+ * @param {Array<string>} required - Names that must be present
+ * @param {Array<string>} optional - Names resolved when present
+ * @returns {Object} Map of name to address (missing optional names are undefined)
+ */
+function resolveContractAddresses(manifest, required = [], optional = []) {
+    const missing = required.filter(name => !getContractEntry(manifest, name));
+    if (missing.length > 0) {
+        throw new Error(`Missing from deployment manifest for ${manifest.network}: ${missing.join(", ")}`);
+    }
+
+    const addresses = {};
+    for (const name of [...required, ...optional]) {
+        const entry = getContractEntry(manifest, name);
+        addresses[name] = entry ? entry.address : undefined;
+    }
+    return addresses;
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    DEPLOYMENTS_DIR,
+    CONTRACT_ALIASES,
+    getDeploymentsDir,
+    getManifestPath,
+    createManifest,
+    readManifest,
+    writeManifest,
+    loadManifest,
+    openManifest,
+    serializeArgs,
+    recordContract,
+    recordDeployment,
+    saveDeployment,
+    getContractEntry,
+    getContractAddress,
+    resolveContractAddresses
+};
@@ -0,0 +1,608 @@
+/**
+ * Karma Labs Deployment Orchestrator
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Runs a dependency-ordered plan of deployment steps, persisting progress
+ * after every step so an interrupted run resumes from the last success.
+ * Deployed contracts are recorded in the network's deployment manifest.
+ *
+ * A step's transaction hash and nonce are saved before the orchestrator
+ * waits for it to be mined. On resume the saved transaction is looked up
+ * instead of sending the step again, so nothing is deployed or called twice.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers: ethersLib } = require("ethers");
+const {
+    createManifest,
+    readManifest,
+    writeManifest,
+    recordContract,
+    recordDeployment,
+    serializeArgs
+} = require("./deployment-manifest");
+
+// ============ CONSTANTS ============
+
+const STEP_TYPES = {
+    DEPLOY: "deploy",       // Deploy a contract, recording its address
+    CALL: "call",           // Call a method on a previously deployed contract
+    EXTERNAL: "external"    // Register an address that already exists on-chain
+};
+
+const STATE_VERSION = 1;
+
+// ============ PLAN RESOLUTION ============
+
+/**
+ * Get the ids a step depends on, including the target of a call step
+ * @param {Object} step - Plan step
+ * @returns {Array<string>} Dependency step ids
+ */
+function getStepDependencies(step) {
+    const dependencies = [...(step.dependsOn || [])];
+    if (step.type === STEP_TYPES.CALL && !dependencies.includes(step.target)) {
+        dependencies.push(step.target);
+    }
+    return dependencies;
+}
+
+/**
+ * Order plan steps so every step runs after its dependencies
+ * Ties keep their declaration order, so the plan file reads top to bottom.
+ * @param {Array<Object>} steps - Plan steps
+ * @returns {Array<Object>} Steps in execution order
+ */
+function resolveExecutionOrder(steps) {
+    const byId = new Map();
+    for (const step of steps) {
+        if (byId.has(step.id)) {
+            throw new Error(`Duplicate deployment step: ${step.id}`);
+        }
+        byId.set(step.id, step);
+    }
+
+    const indegree = new Map(steps.map(step => [step.id, 0]));
+    const dependents = new Map(steps.map(step => [step.id, []]));
+
+    for (const step of steps) {
+        for (const dependency of getStepDependencies(step)) {
+            if (!byId.has(dependency)) {
+                throw new Error(`Step ${step.id} depends on unknown step ${dependency}`);
+            }
+            indegree.set(step.id, indegree.get(step.id) + 1);
+            dependents.get(dependency).push(step.id);
+        }
+    }
+
+    const position = new Map(steps.map((step, index) => [step.id, index]));
+    const ready = steps.filter(step => indegree.get(step.id) === 0).map(step => step.id);
+    const ordered = [];
+
+    while (ready.length > 0) {
+        ready.sort((a, b) => position.get(a) - position.get(b));
+        const id = ready.shift();
+        ordered.push(byId.get(id));
+
+        for (const dependent of dependents.get(id)) {
+            indegree.set(dependent, indegree.get(dependent) - 1);
+            if (indegree.get(dependent) === 0) {
+                ready.push(dependent);
+            }
+        }
+    }
+
+    if (ordered.length !== steps.length) {
+        const blocked = steps.filter(step => indegree.get(step.id) > 0).map(step => step.id);
+        throw new Error(`Circular dependency between steps: ${blocked.join(", ")}`);
+    }
+
+    return ordered;
+}
+
+/**
+ * Select the steps needed to complete the given stages
+ * Dependencies from earlier stages are pulled in automatically.
+ * @param {Array<Object>} steps - Plan steps
+ * @param {Array<number>} stages - Stages to complete (all when empty)
+ * @returns {Array<Object>} Selected steps in declaration order
+ */
+function selectStepsForStages(steps, stages = []) {
+    if (!stages || stages.length === 0) {
+        return steps;
+    }
+
+    const byId = new Map(steps.map(step => [step.id, step]));
+    const selected = new Set();
+    const pending = steps.filter(step => stages.includes(step.stage)).map(step => step.id);
+
+    while (pending.length > 0) {
+        const id = pending.pop();
+        if (selected.has(id)) continue;
+        selected.add(id);
+
+        const step = byId.get(id);
+        if (!step) {
+            throw new Error(`Unknown deployment step: ${id}`);
+        }
+        pending.push(...getStepDependencies(step));
+    }
+
+    return steps.filter(step => selected.has(step.id));
+}
+
+// ============ STATE PERSISTENCE ============
+
+/**
+ * Create an empty deployment state
+ * @param {string} network - Network name
+ * @param {string} chainId - Chain id
+ * @returns {Object} Empty state
+ */
+function createDeploymentState(network, chainId) {
+    return {
+        version: STATE_VERSION,
+        network,
+        chainId: chainId.toString(),
+        startedAt: new Date().toISOString(),
+        updatedAt: null,
+        completedSteps: {},
+        pendingSteps: {},
+        lastFailure: null
+    };
+}
+
+/**
+ * Load deployment state from disk
+ * @param {string} statePath - State file path
+ * @returns {Object|null} Saved state, or null when none exists
+ */
+function loadDeploymentState(statePath) {
+    if (!fs.existsSync(statePath)) {
+        return null;
+    }
+
+    const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    if (state.version !== STATE_VERSION) {
+        throw new Error(`Unsupported deployment state version ${state.version} in ${statePath}`);
+    }
+    return state;
+}
+
+/**
+ * Write deployment state to disk
+ * @param {string} statePath - State file path
+ * @param {Object} state - State to persist
+ */
+function saveDeploymentState(statePath, state) {
+    state.updatedAt = new Date().toISOString();
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+
+    // Write then rename so a crash mid-write cannot corrupt the resume point
+    const tempPath = `${statePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, statePath);
+}
+
+// ============ ORCHESTRATOR ============
+
+class DeploymentOrchestrator {
+    /**
+     * @param {Object} options - Orchestrator options
+     * @param {Object} options.ethers - Hardhat ethers instance
+     * @param {Array<Object>} options.steps - Plan steps
+     * @param {Object} options.signers - Named signers, e.g. { deployer, admin }
+     * @param {string} options.network - Network name
+     * @param {string|null} options.statePath - Progress file path (null disables persistence)
+     * @param {string|null} options.manifestPath - Manifest file path (null disables persistence)
+     * @param {Object} options.params - Plan parameters passed through to step callbacks
+     * @param {Object|null} options.artifacts - Resolver from utils/stage-artifacts.js; null
+     *        uses the contracts of the Hardhat project the ethers instance belongs to
+     * @param {Function} options.log - Logger
+     */
+    constructor({
+        ethers,
+        steps,
+        signers,
+        network,
+        statePath = null,
+        manifestPath = null,
+        params = {},
+        artifacts = null,
+        log = console.log
+    }) {
+        this.ethers = ethers;
+        this.artifacts = artifacts;
+        this.steps = resolveExecutionOrder(steps);
+        this.signers = signers;
+        this.network = network;
+        this.statePath = statePath;
+        this.manifestPath = manifestPath;
+        this.params = params;
+        this.log = log;
+        this.state = null;
+        this.manifest = null;
+    }
+
+    /**
+     * Run every outstanding step, resuming from saved state when present
+     * @param {Object} options - Run options
+     * @param {Array<number>} options.stages - Only run steps needed for these stages
+     * @param {boolean} options.fresh - Ignore saved progress and redeploy everything
+     * @returns {Promise<Object>} Final { state, manifest }
+     */
+    async run({ stages = [], fresh = false } = {}) {
+        const { chainId } = await this.ethers.provider.getNetwork();
+        this.manifest = this._initializeManifest(chainId);
+        this.state = await this._initializeState(chainId, fresh);
+
+        const selectedIds = new Set(selectStepsForStages(this.steps, stages).map(step => step.id));
+        const plan = this.steps.filter(step => selectedIds.has(step.id));
+
+        if (!fresh) {
+            await this._adoptManifestContracts(plan);
+        }
+
+        const outstanding = plan.filter(step => !this.state.completedSteps[step.id]);
+        this.log(`📋 ${plan.length} steps planned, ${plan.length - outstanding.length} already complete`);
+        await this._checkArtifacts(outstanding);
+
+        for (const step of plan) {
+            if (this.state.completedSteps[step.id]) {
+                this.log(`⏭️  [stage ${step.stage}] ${step.id} (done)`);
+                continue;
+            }
+
+            try {
+                await this._executeStep(step);
+            } catch (error) {
+                this.state.lastFailure = {
+                    step: step.id,
+                    error: error.message,
+                    at: new Date().toISOString()
+                };
+                this._persist();
+                throw new Error(`Step ${step.id} failed: ${error.message}. Re-run to resume from this step.`);
+            }
+        }
+
+        this.state.lastFailure = null;
+        this._persist();
+        return { state: this.state, manifest: this.manifest };
+    }
+
+    /**
+     * Build the context handed to step callbacks
+     * @returns {Object} Step context
+     */
+    context() {
+        const entryFor = (id) => {
+            const entry = this.manifest.contracts[id];
+            if (!entry) {
+                throw new Error(`No address recorded for ${id}`);
+            }
+            return entry;
+        };
+
+        return {
+            params: this.params,
+            signers: this.signers,
+            address: (id) => entryFor(id).address,
+            contract: async (id, signerName = "admin") => {
+                const entry = entryFor(id);
+                const signer = this.signers[signerName];
+                if (!this.artifacts) {
+                    return this.ethers.getContractAt(entry.contract, entry.address, signer);
+                }
+                const artifact = await this.artifacts.readArtifact(entry.contract, entry.stage);
+                return this.ethers.getContractAtFromArtifact(artifact, entry.address, signer);
+            }
+        };
+    }
+
+    // ============ INTERNAL ============
+
+    _initializeManifest(chainId) {
+        const saved = this.manifestPath ? readManifest(this.manifestPath) : null;
+
+        if (!saved) {
+            return createManifest(this.network, chainId);
+        }
+        if (saved.chainId !== chainId.toString()) {
+            throw new Error(
+                `Deployment manifest ${this.manifestPath} belongs to chain ${saved.chainId}, connected to ${chainId}`
+            );
+        }
+        return saved;
+    }
+
+    async _initializeState(chainId, fresh) {
+        const saved = !fresh && this.statePath ? loadDeploymentState(this.statePath) : null;
+
+        if (!saved) {
+            return createDeploymentState(this.network, chainId);
+        }
+        saved.pendingSteps = saved.pendingSteps || {};
+
+        if (saved.chainId !== chainId.toString()) {
+            throw new Error(
+                `Deployment state ${this.statePath} belongs to chain ${saved.chainId}, connected to ${chainId}`
+            );
+        }
+
+        // A completed deployment without code means the saved progress is stale
+        for (const [id, step] of Object.entries(saved.completedSteps)) {
+            if (step.type !== STEP_TYPES.DEPLOY) continue;
+            const entry = this.manifest.contracts[id];
+            const code = entry ? await this.ethers.provider.getCode(entry.address) : "0x";
+            if (code === "0x") {
+                throw new Error(`No code at recorded ${id} address; state file is stale`);
+            }
+        }
+
+        if (saved.lastFailure) {
+            this.log(`🔁 Resuming after failure in ${saved.lastFailure.step}: ${saved.lastFailure.error}`);
+        }
+        return saved;
+    }
+
+    /**
+     * Treat contracts already in the manifest (e.g. from a stage deploy script)
+     * as deployed, so they are never deployed a second time
+     */
+    async _adoptManifestContracts(plan) {
+        for (const step of plan) {
+            if (step.type !== STEP_TYPES.DEPLOY || this.state.completedSteps[step.id]) continue;
+
+            const entry = this.manifest.contracts[step.id];
+            if (!entry || entry.external) continue;
+
+            const code = await this.ethers.provider.getCode(entry.address);
+            if (code !== "0x") {
+                this.log(`📄 [stage ${step.stage}] ${step.id} found in manifest at ${entry.address}`);
+                this._complete(step, entry.transactionHash);
+            }
+        }
+    }
+
+    /**
+     * Fail before the first transaction when a contract the run needs has
+     * not been compiled
+     */
+    async _checkArtifacts(steps) {
+        if (!this.artifacts) return;
+
+        const missing = [];
+        for (const step of steps) {
+            if (step.type === STEP_TYPES.DEPLOY && !await this.artifacts.hasArtifact(step.contract, step.stage)) {
+                missing.push(this.artifacts.describeMissing(step.contract, step.stage));
+            }
+        }
+        if (missing.length > 0) {
+            throw new Error(`Contracts are not compiled:\n  - ${[...new Set(missing)].join("\n  - ")}`);
+        }
+    }
+
+    async _getContractFactory(step, signer) {
+        let options = signer;
+        if (step.libraries) {
+            // Linked libraries are deployed by earlier steps, so their addresses are recorded
+            const ctx = this.context();
+            const libraries = Object.fromEntries(Object.entries(step.libraries).map(([name, id]) => [name, ctx.address(id)]));
+            options = { signer, libraries };
+        }
+        if (!this.artifacts) {
+            return this.ethers.getContractFactory(step.contract, options);
+        }
+        const artifact = await this.artifacts.readArtifact(step.contract, step.stage);
+        return this.ethers.getContractFactoryFromArtifact(artifact, options);
+    }
+
+    async _executeStep(step) {
+        const ctx = this.context();
+
+        if (this.state.pendingSteps[step.id] && await this._recoverPendingStep(step)) {
+            return;
+        }
+
+        switch (step.type) {
+            case STEP_TYPES.EXTERNAL: {
+                const address = step.address(ctx);
+                recordContract(this.manifest, step.id, {
+                    contract: step.contract,
+                    address,
+                    stage: step.stage,
+                    external: true
+                });
+                this._complete(step, null);
+                this.log(`🔗 [stage ${step.stage}] ${step.id} registered at ${address}`);
+                break;
+            }
+
+            case STEP_TYPES.DEPLOY: {
+                const args = step.args ? await step.args(ctx) : [];
+                const signer = this.signers[step.signer || "deployer"];
+                const factory = await this._getContractFactory(step, signer);
+                const pending = await this._beginPending(step, signer, {
+                    constructorArgs: serializeArgs(args),
+                    bytecodeHash: factory.bytecode ? ethersLib.keccak256(factory.bytecode) : null
+                });
+
+                this.log(`📦 [stage ${step.stage}] Deploying ${step.id} (${step.contract})...`);
+                const contract = await factory.deploy(...args, { nonce: pending.nonce });
+                this._sentPending(step, contract.deploymentTransaction().hash);
+                await contract.waitForDeployment();
+
+                const entry = await recordDeployment(this.manifest, step.id, contract, {
+                    contract: step.contract,
+                    stage: step.stage,
+                    constructorArgs: args,
+                    bytecode: factory.bytecode
+                });
+                this._complete(step, entry.transactionHash);
+                this.log(`✅ ${step.id} deployed to: ${entry.address}`);
+                break;
+            }
+
+            case STEP_TYPES.CALL: {
+                if (step.isApplied && await step.isApplied(ctx)) {
+                    this._complete(step, null);
+                    this.log(`✅ [stage ${step.stage}] ${step.id} already applied`);
+                    break;
+                }
+
+                const signer = this.signers[step.signer || "admin"];
+                const contract = await ctx.contract(step.target, step.signer || "admin");
+                const args = step.args ? await step.args(ctx) : [];
+                const pending = await this._beginPending(step, signer);
+
+                this.log(`🔧 [stage ${step.stage}] ${step.id}: ${step.target}.${step.method}()`);
+                const tx = await contract[step.method](...args, { nonce: pending.nonce });
+                this._sentPending(step, tx.hash);
+                await tx.wait();
+
+                this._complete(step, tx.hash);
+                this.log(`✅ ${step.id} applied (${tx.hash})`);
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown step type: ${step.type}`);
+        }
+    }
+
+    /**
+     * Save the nonce a step's transaction will use before it is sent
+     */
+    async _beginPending(step, signer, details = {}) {
+        const pending = {
+            type: step.type,
+            from: signer.address,
+            nonce: await signer.getNonce("pending"),
+            transactionHash: null,
+            sentAt: null,
+            ...details
+        };
+        this.state.pendingSteps[step.id] = pending;
+        this._persist();
+        return pending;
+    }
+
+    /**
+     * Save the hash of a sent transaction before waiting for it
+     */
+    _sentPending(step, transactionHash) {
+        Object.assign(this.state.pendingSteps[step.id], { transactionHash, sentAt: new Date().toISOString() });
+        this._persist();
+    }
+
+    /**
+     * Settle a step whose transaction was sent by an interrupted run
+     * @returns {Promise<boolean>} True when the step completed; false when it
+     *          was never mined and is safe to send again
+     */
+    async _recoverPendingStep(step) {
+        const pending = this.state.pendingSteps[step.id];
+        const provider = this.ethers.provider;
+
+        let receipt = null;
+        if (pending.transactionHash) {
+            receipt = await provider.getTransactionReceipt(pending.transactionHash);
+            const tx = receipt ? null : await provider.getTransaction(pending.transactionHash);
+            if (tx) {
+                this.log(`⏳ [stage ${step.stage}] Waiting for ${step.id} transaction ${pending.transactionHash}`);
+                // A reverted transaction rejects with its receipt attached
+                receipt = await tx.wait().catch((error) => {
+                    if (error.receipt) return error.receipt;
+                    throw error;
+                });
+            }
+        }
+
+        if (receipt) {
+            if (receipt.status !== 1) {
+                delete this.state.pendingSteps[step.id];
+                throw new Error(`Transaction ${pending.transactionHash} reverted`);
+            }
+            this._completeRecovered(step, pending, {
+                address: receipt.contractAddress,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            });
+            return true;
+        }
+
+        // No receipt: the nonce tells whether anything was mined in its place
+        const mined = await provider.getTransactionCount(pending.from, "latest");
+        if (mined <= pending.nonce) {
+            this.log(`🔁 [stage ${step.stage}] ${step.id} transaction was never mined; sending again`);
+            delete this.state.pendingSteps[step.id];
+            this._persist();
+            return false;
+        }
+
+        if (step.type === STEP_TYPES.DEPLOY) {
+            const address = ethersLib.getCreateAddress({ from: pending.from, nonce: pending.nonce });
+            if (await provider.getCode(address) !== "0x") {
+                this._completeRecovered(step, pending, { address, transactionHash: pending.transactionHash, blockNumber: null });
+                return true;
+            }
+        }
+        throw new Error(
+            `Nonce ${pending.nonce} of ${pending.from} was used but ${step.id} transaction ` +
+            `${pending.transactionHash || "(hash not saved)"} is unknown; check the account's transactions, ` +
+            "then remove the step from pendingSteps in the progress file to send it again"
+        );
+    }
+
+    _completeRecovered(step, pending, { address, transactionHash, blockNumber }) {
+        if (step.type === STEP_TYPES.DEPLOY) {
+            recordContract(this.manifest, step.id, {
+                contract: step.contract,
+                address,
+                stage: step.stage,
+                transactionHash,
+                blockNumber,
+                constructorArgs: pending.constructorArgs,
+                bytecodeHash: pending.bytecodeHash
+            });
+            this.log(`✅ [stage ${step.stage}] ${step.id} was deployed to ${address} before the interruption`);
+        } else {
+            this.log(`✅ [stage ${step.stage}] ${step.id} was applied before the interruption (${transactionHash})`);
+        }
+        this._complete(step, transactionHash);
+    }
+
+    _complete(step, transactionHash) {
+        delete this.state.pendingSteps[step.id];
+        this.state.completedSteps[step.id] = {
+            type: step.type,
+            stage: step.stage,
+            transactionHash,
+            completedAt: new Date().toISOString()
+        };
+        this._persist();
+    }
+
+    _persist() {
+        // Manifest first: a recorded address with no progress entry is adopted on resume
+        if (this.manifestPath) {
+            writeManifest(this.manifestPath, this.manifest);
+        }
+        if (this.statePath) {
+            saveDeploymentState(this.statePath, this.state);
+        }
+    }
+}
+
+module.exports = {
+    STEP_TYPES,
+    DeploymentOrchestrator,
+    getStepDependencies,
+    resolveExecutionOrder,
+    selectStepsForStages,
+    createDeploymentState,
+    loadDeploymentState,
+    saveDeploymentState
+};
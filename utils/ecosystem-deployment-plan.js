@@ -0,0 +1,337 @@
+/**
+ * Karma Labs Ecosystem Deployment Plan
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Declares every contract the ecosystem deploys and the cross-stage wiring
+ * between them. The orchestrator orders these steps by their dependencies.
+ */
+
+const { roleId } = require("./role-registry");
+const { STEP_TYPES } = require("./deployment-orchestrator");
+const { ADMIN_CONSTANTS } = require("../protocol/01-core-token-infrastructure/utils/constants");
+
+// ============ CONSTANTS ============
+
+// Third-party contracts the ecosystem integrates with but does not own
+const EXTERNAL_ADDRESSES = {
+    arbitrum: {
+        ENTRY_POINT: "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789", // ERC-4337 EntryPoint v0.6
+        USDC: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831"
+    },
+    arbitrumTestnet: {
+        ENTRY_POINT: "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789",
+        USDC: null
+    }
+};
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const DEFAULT_PARAMS = {
+    emergencyPauseDuration: ADMIN_CONSTANTS.EMERGENCY.PAUSE_DURATION,
+    governanceMinDelay: ADMIN_CONSTANTS.TIMELOCK.MIN_DELAY,
+    treasuryApprovers: null, // Defaults to [admin]
+    treasuryThreshold: 1,
+    entryPoint: null,
+    usdcToken: null
+};
+
+// ============ STEP BUILDERS ============
+
+function deployStep(stage, id, contract, dependsOn, args) {
+    return { type: STEP_TYPES.DEPLOY, stage, id, contract, dependsOn, args };
+}
+
+function callStep(stage, id, target, method, dependsOn, args, isApplied) {
+    return { type: STEP_TYPES.CALL, stage, id, target, method, dependsOn, args, isApplied };
+}
+
+/**
+ * Resolve an external dependency to a fixed address, or to a local mock
+ * @param {number} stage - Stage that first needs the dependency
+ * @param {string} id - Step id
+ * @param {string|null} address - Configured address
+ * @param {string} mockContract - Mock contract deployed on local networks
+ * @param {boolean} isLocal - Whether the target network is local
+ * @returns {Object} Plan step
+ */
+function externalStep(stage, id, address, mockContract, isLocal) {
+    if (!address && isLocal) {
+        return deployStep(stage, id, mockContract, [], () => []);
+    }
+    return {
+        type: STEP_TYPES.EXTERNAL,
+        stage,
+        id,
+        contract: id,
+        dependsOn: [],
+        address: () => {
+            // Only fails when a selected stage actually needs the dependency
+            if (!address) {
+                throw new Error(`No ${id} address configured for this network`);
+            }
+            return address;
+        }
+    };
+}
+
+/**
+ * Build a role-grant step that is skipped when the role is already held
+ * @param {number} stage - Stage number
+ * @param {string} target - Contract step id holding the role
+ * @param {string} roleName - Role constant name
+ * @param {string} grantee - Step id of the account receiving the role
+ * @returns {Object} Plan step
+ */
+function grantRoleStep(stage, target, roleName, grantee) {
+    const role = roleId(roleName);
+    const step = callStep(
+        stage,
+        `${target}.grant${roleName}(${grantee})`,
+        target,
+        "grantRole",
+        [grantee],
+        (ctx) => [role, ctx.address(grantee)],
+        async (ctx) => (await ctx.contract(target)).hasRole(role, ctx.address(grantee))
+    );
+    // Read by the release gate to check the grant after deployment
+    return { ...step, grant: { role: roleName, grantee } };
+}
+
+/**
+ * Build a setter step that is skipped when the getter already returns the value
+ * @param {number} stage - Stage number
+ * @param {string} target - Contract step id
+ * @param {string} method - Setter method
+ * @param {string} getter - Matching getter method
+ * @param {string} value - Step id whose address is set
+ * @returns {Object} Plan step
+ */
+function setAddressStep(stage, target, method, getter, value) {
+    const step = callStep(
+        stage,
+        `${target}.${method}(${value})`,
+        target,
+        method,
+        [value],
+        (ctx) => [ctx.address(value)],
+        async (ctx) => {
+            const current = await (await ctx.contract(target))[getter]();
+            return current.toLowerCase() === ctx.address(value).toLowerCase();
+        }
+    );
+    return { ...step, pointer: { getter, value } };
+}
+
+// ============ PLAN ============
+
+/**
+ * Build the full ecosystem deployment plan
+ * @param {Object} options - Plan options
+ * @param {string} options.network - Target network name
+ * @param {Object} options.params - Overrides for DEFAULT_PARAMS
+ * @returns {Object} { steps, params }
+ */
+function buildEcosystemPlan({ network, params = {} }) {
+    const isLocal = LOCAL_NETWORKS.includes(network);
+    const externals = EXTERNAL_ADDRESSES[network] || {};
+    const resolved = { ...DEFAULT_PARAMS, ...params };
+
+    const admin = (ctx) => ctx.signers.admin.address;
+    const approvers = (ctx) => resolved.treasuryApprovers || [admin(ctx)];
+
+    const steps = [
+        // ============ STAGE 1: CORE TOKEN INFRASTRUCTURE ============
+        deployStep(1, "KarmaToken", "KarmaToken", [], (ctx) => [admin(ctx)]),
+        deployStep(1, "KarmaMultiSigManager", "KarmaMultiSigManager", [], (ctx) => [admin(ctx)]),
+        deployStep(1, "KarmaTimelock", "KarmaTimelock", [], (ctx) => [admin(ctx), [admin(ctx)], [admin(ctx)]]),
+        deployStep(1, "AdminControl", "AdminControl", ["KarmaMultiSigManager", "KarmaTimelock"], (ctx) => [
+            ctx.address("KarmaMultiSigManager"),
+            ctx.address("KarmaTimelock"),
+            resolved.emergencyPauseDuration
+        ]),
+
+        // ============ STAGE 2: VESTING SYSTEM ============
+        deployStep(2, "VestingVault", "VestingVault", ["KarmaToken"], (ctx) => [ctx.address("KarmaToken"), admin(ctx)]),
+        deployStep(2, "TeamVestingManager", "TeamVestingManager", ["VestingVault"], (ctx) => [ctx.address("VestingVault"), admin(ctx)]),
+        deployStep(2, "PrivateSaleVestingManager", "PrivateSaleVestingManager", ["VestingVault"], (ctx) => [ctx.address("VestingVault"), admin(ctx)]),
+        deployStep(2, "VestingTemplateManager", "VestingTemplateManager", ["VestingVault"], (ctx) => [ctx.address("VestingVault"), admin(ctx)]),
+        setAddressStep(2, "KarmaToken", "setVestingVault", "vestingVault", "VestingVault"),
+        grantRoleStep(2, "VestingVault", "VESTING_MANAGER_ROLE", "TeamVestingManager"),
+        grantRoleStep(2, "VestingVault", "VESTING_MANAGER_ROLE", "PrivateSaleVestingManager"),
+        grantRoleStep(2, "VestingVault", "VESTING_MANAGER_ROLE", "VestingTemplateManager"),
+
+        // ============ STAGE 3: TOKEN SALES ENGINE ============
+        // Treasury needs the SaleManager address at construction, so the sale
+        // starts with the admin as treasury and is re-pointed in stage 4
+        deployStep(3, "AllocationWhitelist", "AllocationWhitelist", [], () => []),
+        {
+            ...deployStep(3, "SaleManager", "SaleManager", ["KarmaToken", "VestingVault", "AllocationWhitelist"], (ctx) => [
+                ctx.address("KarmaToken"),
+                ctx.address("VestingVault"),
+                admin(ctx),
+                admin(ctx)
+            ]),
+            // Library name -> step id whose address is linked into the bytecode
+            libraries: { AllocationWhitelist: "AllocationWhitelist" }
+        },
+        setAddressStep(3, "KarmaToken", "setSaleManager", "saleManager", "SaleManager"),
+        grantRoleStep(3, "VestingVault", "VESTING_MANAGER_ROLE", "SaleManager"),
+
+        // ============ STAGE 4: TREASURY ============
+        deployStep(4, "Treasury", "Treasury", ["SaleManager"], (ctx) => [
+            admin(ctx),
+            ctx.address("SaleManager"),
+            approvers(ctx),
+            resolved.treasuryThreshold
+        ]),
+        setAddressStep(4, "Treasury", "setKarmaToken", "karmaToken", "KarmaToken"),
+        setAddressStep(4, "SaleManager", "updateTreasury", "treasury", "Treasury"),
+        setAddressStep(4, "KarmaToken", "setTreasury", "treasury", "Treasury"),
+
+        // ============ STAGE 5: PAYMASTER ============
+        externalStep(5, "EntryPoint", resolved.entryPoint || externals.ENTRY_POINT, "MockEntryPoint", isLocal),
+        deployStep(5, "KarmaPaymaster", "KarmaPaymaster", ["EntryPoint", "Treasury", "KarmaToken"], (ctx) => [
+            ctx.address("EntryPoint"),
+            ctx.address("Treasury"),
+            ctx.address("KarmaToken"),
+            admin(ctx)
+        ]),
+        setAddressStep(5, "KarmaToken", "setPaymaster", "paymaster", "KarmaPaymaster"),
+
+        // ============ STAGE 6: TOKENOMICS ============
+        deployStep(6, "BuybackBurn", "BuybackBurn", ["KarmaToken", "Treasury"], (ctx) => [
+            admin(ctx),
+            ctx.address("KarmaToken"),
+            ctx.address("Treasury")
+        ]),
+        deployStep(6, "RevenueStreamIntegrator", "RevenueStreamIntegrator", ["BuybackBurn", "Treasury", "KarmaToken"], (ctx) => [
+            admin(ctx),
+            ctx.address("BuybackBurn"),
+            ctx.address("Treasury"),
+            ctx.address("KarmaToken")
+        ]),
+        setAddressStep(6, "KarmaToken", "setBuybackBurn", "buybackBurn", "BuybackBurn"),
+
+        // ============ STAGE 7: GOVERNANCE ============
+        deployStep(7, "KarmaStaking", "KarmaStaking", ["KarmaToken", "Treasury"], (ctx) => [
+            ctx.address("KarmaToken"),
+            ctx.address("Treasury"),
+            admin(ctx)
+        ]),
+        deployStep(7, "TimelockController", "TimelockController", [], (ctx) => [
+            resolved.governanceMinDelay,
+            [admin(ctx)],
+            [admin(ctx)],
+            admin(ctx)
+        ]),
+        deployStep(7, "KarmaGovernor", "KarmaGovernor", ["KarmaToken", "TimelockController", "KarmaStaking"], (ctx) => [
+            ctx.address("KarmaToken"),
+            ctx.address("TimelockController"),
+            ctx.address("KarmaStaking"),
+            admin(ctx)
+        ]),
+        deployStep(7, "QuadraticVoting", "QuadraticVoting", [], (ctx) => [admin(ctx)]),
+        deployStep(7, "TreasuryGovernance", "TreasuryGovernance", ["KarmaGovernor", "Treasury", "KarmaToken"], (ctx) => [
+            ctx.address("KarmaGovernor"),
+            ctx.address("Treasury"),
+            ctx.address("KarmaToken"),
+            admin(ctx)
+        ]),
+        deployStep(7, "ProtocolUpgradeGovernance", "ProtocolUpgradeGovernance", ["KarmaGovernor", "KarmaToken", "KarmaStaking"], (ctx) => [
+            ctx.address("KarmaGovernor"),
+            ctx.address("KarmaToken"),
+            ctx.address("KarmaStaking"),
+            admin(ctx)
+        ]),
+        deployStep(7, "DecentralizationManager", "DecentralizationManager", ["KarmaGovernor", "KarmaStaking", "Treasury", "ProtocolUpgradeGovernance"], (ctx) => [
+            ctx.address("KarmaGovernor"),
+            ctx.address("KarmaStaking"),
+            ctx.address("Treasury"),
+            ctx.address("ProtocolUpgradeGovernance"),
+            admin(ctx)
+        ]),
+        setAddressStep(7, "KarmaStaking", "setGovernance", "governance", "KarmaGovernor"),
+
+        // ============ STAGE 8: EXTERNAL INTEGRATIONS ============
+        deployStep(8, "KarmaCrossChainBridge", "KarmaCrossChainBridge", ["KarmaToken", "Treasury"], (ctx) => [
+            ctx.address("KarmaToken"),
+            ctx.address("Treasury"),
+            admin(ctx)
+        ]),
+        deployStep(8, "KarmaAIInferencePayment", "KarmaAIInferencePayment", ["KarmaToken", "KarmaCrossChainBridge", "Treasury"], (ctx) => [
+            ctx.address("KarmaToken"),
+            ctx.address("KarmaCrossChainBridge"),
+            ctx.address("Treasury"),
+            admin(ctx)
+        ]),
+        deployStep(8, "Karma0GOracle", "Karma0GOracle", ["KarmaToken", "KarmaCrossChainBridge", "Treasury"], (ctx) => [
+            ctx.address("KarmaToken"),
+            ctx.address("KarmaCrossChainBridge"),
+            ctx.address("Treasury"),
+            admin(ctx)
+        ]),
+        deployStep(8, "KarmaMetadataStorage", "KarmaMetadataStorage", ["KarmaToken", "KarmaCrossChainBridge", "Treasury"], (ctx) => [
+            ctx.address("KarmaToken"),
+            ctx.address("KarmaCrossChainBridge"),
+            ctx.address("Treasury"),
+            admin(ctx)
+        ]),
+        deployStep(8, "PlatformFeeRouter", "PlatformFeeRouter", ["KarmaToken"], (ctx) => [admin(ctx), ctx.address("KarmaToken")]),
+        setAddressStep(8, "PlatformFeeRouter", "setBuybackBurnContract", "buybackBurnContract", "BuybackBurn"),
+        deployStep(8, "SillyPortPlatform", "SillyPortPlatform", ["KarmaToken", "KarmaAIInferencePayment", "KarmaMetadataStorage", "PlatformFeeRouter"], (ctx) => [
+            admin(ctx),
+            ctx.address("KarmaToken"),
+            ctx.address("KarmaAIInferencePayment"),
+            ctx.address("KarmaMetadataStorage"),
+            ctx.address("PlatformFeeRouter")
+        ]),
+        deployStep(8, "SillyHotelPlatform", "SillyHotelPlatform", ["KarmaToken", "PlatformFeeRouter"], (ctx) => [
+            admin(ctx),
+            ctx.address("KarmaToken"),
+            ctx.address("PlatformFeeRouter")
+        ]),
+        deployStep(8, "KarmaLabsAssetPlatform", "KarmaLabsAssetPlatform", ["KarmaToken", "PlatformFeeRouter"], (ctx) => [
+            admin(ctx),
+            ctx.address("KarmaToken"),
+            ctx.address("PlatformFeeRouter")
+        ]),
+
+        // ============ STAGE 9: SECURITY & PRODUCTION ============
+        externalStep(9, "USDC", resolved.usdcToken || externals.USDC, "MockContract", isLocal),
+        deployStep(9, "KarmaSecurityManager", "KarmaSecurityManager", ["Treasury", "KarmaToken", "USDC"], (ctx) => [
+            ctx.address("Treasury"),
+            ctx.address("KarmaToken"),
+            ctx.address("USDC"),
+            admin(ctx)
+        ]),
+        deployStep(9, "KarmaInsuranceManager", "KarmaInsuranceManager", ["Treasury", "USDC", "KarmaToken"], (ctx) => [
+            ctx.address("Treasury"),
+            ctx.address("USDC"),
+            ctx.address("KarmaToken"),
+            admin(ctx)
+        ]),
+        deployStep(9, "KarmaBugBountyManager", "KarmaBugBountyManager", ["USDC", "KarmaToken"], (ctx) => [
+            ctx.address("USDC"),
+            ctx.address("KarmaToken"),
+            admin(ctx)
+        ]),
+        deployStep(9, "KarmaSecurityMonitoring", "KarmaSecurityMonitoring", [], (ctx) => [admin(ctx)]),
+        deployStep(9, "SystemInitializationManager", "SystemInitializationManager", ["KarmaToken", "Treasury"], (ctx) => [
+            admin(ctx),
+            ctx.address("KarmaToken"),
+            ctx.address("Treasury")
+        ]),
+        deployStep(9, "OperationsMonitoringManager", "OperationsMonitoringManager", [], (ctx) => [admin(ctx)]),
+        deployStep(9, "MaintenanceUpgradeManager", "MaintenanceUpgradeManager", [], (ctx) => [admin(ctx)]),
+        setAddressStep(9, "MaintenanceUpgradeManager", "setGovernanceContract", "governanceContract", "KarmaGovernor")
+    ];
+
+    return { steps, params: resolved };
+}
+
+module.exports = {
+    EXTERNAL_ADDRESSES,
+    LOCAL_NETWORKS,
+    DEFAULT_PARAMS,
+    buildEcosystemPlan
+};
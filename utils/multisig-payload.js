@@ -0,0 +1,339 @@
+/**
+ * Karma Labs Multisig Payloads
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Portable JSON payloads for admin actions executed through
+ * AdminControl.executeMultiSigTransaction. A payload is built once, signed
+ * offline by each multisig owner (EIP-712, no provider needed) and merged
+ * once REQUIRED_SIGNATURES owners have signed. AdminControl never sees the
+ * signatures, so the threshold is advisory unless the MULTISIG_ADMIN_ROLE
+ * holder is the Safe itself; payloads are executed by exporting them as a
+ * Safe transaction-builder batch.
+ */
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const { roleId } = require("./role-registry");
+const { ADMIN_CONSTANTS } = require("../protocol/01-core-token-infrastructure/utils/constants");
+
+// ============ CONSTANTS ============
+
+const PAYLOAD_VERSION = 1;
+
+const { REQUIRED_SIGNATURES, EXECUTION_TIME_LIMIT } = ADMIN_CONSTANTS.MULTISIG;
+
+const EIP712_DOMAIN = { name: "KarmaAdminControl", version: "1" };
+
+const EIP712_TYPES = {
+    MultiSigTransaction: [
+        { name: "target", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "data", type: "bytes" },
+        { name: "nonce", type: "bytes32" },
+        { name: "deadline", type: "uint256" },
+        { name: "signers", type: "address[]" },
+        { name: "threshold", type: "uint256" }
+    ]
+};
+
+const ADMIN_CONTROL_ABI = [
+    "function executeMultiSigTransaction(address target, uint256 value, bytes data) returns (bytes)"
+];
+
+// Safe{Wallet} transaction builder file format
+const SAFE_BATCH_VERSION = "1.0";
+const SAFE_TX_BUILDER_VERSION = "1.16.5";
+
+// Admin actions the builder knows how to encode
+const ACTIONS = {
+    "grant-role": ({ role, account }) => ({
+        signature: "grantRole(bytes32,address)",
+        args: [roleId(role), ethers.getAddress(account)],
+        summary: `Grant ${role} to ${account}`
+    }),
+    "revoke-role": ({ role, account }) => ({
+        signature: "revokeRole(bytes32,address)",
+        args: [roleId(role), ethers.getAddress(account)],
+        summary: `Revoke ${role} from ${account}`
+    }),
+    "pause": () => ({ signature: "pause()", args: [], summary: "Pause" }),
+    "unpause": () => ({ signature: "unpause()", args: [], summary: "Unpause" }),
+    "call": ({ signature, args = [] }) => ({
+        signature,
+        args,
+        summary: `Call ${signature}(${args.map(arg => JSON.stringify(arg)).join(", ")})`
+    })
+};
+
+// ============ BUILDING ============
+
+/**
+ * Encode an admin action into call data
+ * @param {string} type - One of ACTIONS ("grant-role", "revoke-role", "pause", "unpause", "call")
+ * @param {Object} params - Action parameters (role and account, or signature and args)
+ * @returns {Object} { type, signature, args, data, summary }
+ */
+function encodeAction(type, params = {}) {
+    const build = ACTIONS[type];
+    if (!build) {
+        throw new Error(`Unknown multisig action ${type} (expected one of ${Object.keys(ACTIONS).join(", ")})`);
+    }
+
+    const action = build(params);
+    if (!action.signature) throw new Error(`Action ${type} needs a function signature`);
+    const fragment = ethers.FunctionFragment.from(action.signature);
+    const data = new ethers.Interface([fragment]).encodeFunctionData(fragment, action.args);
+
+    return { type, signature: fragment.format("sighash"), args: action.args, data, summary: action.summary };
+}
+
+/**
+ * Build an unsigned payload
+ * @param {Object} options - Payload options
+ * @param {string} options.network - Network name
+ * @param {string|number|bigint} options.chainId - Chain id the payload is valid on
+ * @param {string} options.adminControl - AdminControl address (EIP-712 verifying contract)
+ * @param {string} options.contract - Target contract name
+ * @param {string} options.target - Target contract address
+ * @param {Object} options.action - From encodeAction
+ * @param {Array<string>} options.signers - Multisig owners allowed to sign
+ * @param {string|bigint} options.value - Wei sent with the call (default 0)
+ * @param {number} options.threshold - Signatures required (default REQUIRED_SIGNATURES)
+ * @param {number} options.now - Creation time in seconds (default now)
+ * @param {number} options.ttl - Seconds until the payload expires (default EXECUTION_TIME_LIMIT)
+ * @param {string} options.description - Free-text reason for the action
+ * @returns {Object} Payload
+ */
+function createPayload(options) {
+    const signers = [...new Set(options.signers.map(signer => ethers.getAddress(signer)))];
+    const threshold = options.threshold ?? REQUIRED_SIGNATURES;
+    if (threshold < REQUIRED_SIGNATURES) {
+        throw new Error(`Threshold ${threshold} is below the ${REQUIRED_SIGNATURES} signatures AdminControl actions require`);
+    }
+    if (signers.length < threshold) {
+        throw new Error(`${signers.length} signers cannot meet a threshold of ${threshold}`);
+    }
+
+    const createdAt = options.now ?? Math.floor(Date.now() / 1000);
+    const payload = {
+        version: PAYLOAD_VERSION,
+        network: options.network,
+        chainId: String(options.chainId),
+        adminControl: ethers.getAddress(options.adminControl),
+        description: options.description || options.action.summary,
+        action: { contract: options.contract, ...options.action },
+        transaction: {
+            target: ethers.getAddress(options.target),
+            value: String(options.value ?? 0),
+            data: options.action.data
+        },
+        nonce: ethers.hexlify(crypto.randomBytes(32)),
+        createdAt,
+        deadline: createdAt + (options.ttl ?? EXECUTION_TIME_LIMIT),
+        threshold,
+        signers,
+        signatures: []
+    };
+    payload.id = getPayloadDigest(payload);
+    return payload;
+}
+
+// ============ SIGNING ============
+
+/**
+ * EIP-712 typed data each owner signs
+ * @param {Object} payload - Payload
+ * @returns {Object} { domain, types, message }
+ */
+function getTypedData(payload) {
+    return {
+        domain: { ...EIP712_DOMAIN, chainId: payload.chainId, verifyingContract: payload.adminControl },
+        types: EIP712_TYPES,
+        message: {
+            target: payload.transaction.target,
+            value: payload.transaction.value,
+            data: payload.transaction.data,
+            nonce: payload.nonce,
+            deadline: payload.deadline,
+            signers: payload.signers,
+            threshold: payload.threshold
+        }
+    };
+}
+
+/**
+ * Digest identifying what the owners sign
+ * @param {Object} payload - Payload
+ * @returns {string} bytes32 digest
+ */
+function getPayloadDigest(payload) {
+    const { domain, types, message } = getTypedData(payload);
+    return ethers.TypedDataEncoder.hash(domain, types, message);
+}
+
+/**
+ * Sign a payload offline and return it with the signature added
+ * @param {Object} payload - Payload
+ * @param {Object} wallet - ethers Wallet (or any signer with signTypedData)
+ * @param {number} now - Current time in seconds (default now)
+ * @returns {Promise<Object>} Signed payload
+ */
+async function signPayload(payload, wallet, now = Math.floor(Date.now() / 1000)) {
+    const signer = ethers.getAddress(await wallet.getAddress());
+    if (!payload.signers.includes(signer)) {
+        throw new Error(`${signer} is not one of the payload's multisig signers`);
+    }
+    if (now > payload.deadline) {
+        throw new Error(`Payload ${payload.id} expired at ${new Date(payload.deadline * 1000).toISOString()}`);
+    }
+    if (getPayloadDigest(payload) !== payload.id) {
+        throw new Error(`Payload ${payload.id} was modified after it was built`);
+    }
+
+    const { domain, types, message } = getTypedData(payload);
+    const signature = await wallet.signTypedData(domain, types, message);
+    const others = payload.signatures.filter(entry => entry.signer !== signer);
+
+    return {
+        ...payload,
+        signatures: [...others, { signer, signature, signedAt: new Date(now * 1000).toISOString() }]
+    };
+}
+
+/**
+ * Check every signature on a payload
+ * @param {Object} payload - Payload
+ * @returns {Object} { valid: signer addresses, invalid: [{ signer, reason }] }
+ */
+function verifySignatures(payload) {
+    const digest = getPayloadDigest(payload);
+    const valid = [];
+    const invalid = [];
+
+    for (const { signer, signature } of payload.signatures) {
+        let recovered;
+        try {
+            recovered = ethers.recoverAddress(digest, signature);
+        } catch (error) {
+            invalid.push({ signer, reason: "malformed signature" });
+            continue;
+        }
+
+        if (recovered !== ethers.getAddress(signer)) {
+            invalid.push({ signer, reason: `signature is from ${recovered}` });
+        } else if (!payload.signers.includes(recovered)) {
+            invalid.push({ signer, reason: "not a multisig signer" });
+        } else if (!valid.includes(recovered)) {
+            valid.push(recovered);
+        }
+    }
+    return { valid, invalid };
+}
+
+/**
+ * Merge signatures collected on separate copies of the same payload
+ * @param {Array<Object>} payloads - Copies of one payload
+ * @returns {Object} Payload carrying every signature
+ */
+function mergePayloads(payloads) {
+    if (payloads.length === 0) throw new Error("No payloads to merge");
+    const [base] = payloads;
+
+    const bySigner = new Map();
+    for (const payload of payloads) {
+        if (getPayloadDigest(payload) !== base.id || payload.id !== base.id) {
+            throw new Error(`Cannot merge payload ${payload.id} into ${base.id}: they describe different transactions`);
+        }
+        for (const entry of payload.signatures) {
+            if (!bySigner.has(entry.signer)) bySigner.set(entry.signer, entry);
+        }
+    }
+    return { ...base, signatures: [...bySigner.values()] };
+}
+
+/**
+ * Whether a payload has enough valid signatures to be executed
+ * @param {Object} payload - Payload
+ * @param {number} now - Current time in seconds (default now)
+ * @returns {Object} { id, signed, threshold, ready, expired, tampered, missing, invalid }
+ */
+function getPayloadStatus(payload, now = Math.floor(Date.now() / 1000)) {
+    const { valid, invalid } = verifySignatures(payload);
+    const expired = now > payload.deadline;
+    const tampered = getPayloadDigest(payload) !== payload.id;
+    const threshold = Math.max(payload.threshold, REQUIRED_SIGNATURES);
+
+    return {
+        id: payload.id,
+        signed: valid,
+        threshold,
+        ready: !expired && !tampered && valid.length >= threshold,
+        expired,
+        tampered,
+        missing: payload.signers.filter(signer => !valid.includes(signer)),
+        invalid
+    };
+}
+
+// ============ EXPORT ============
+
+/**
+ * Export a payload as a Safe transaction-builder batch
+ * @param {Object} payload - Payload
+ * @param {Object} options - Export options
+ * @param {string} options.safeAddress - Safe executing the batch
+ * @param {string} options.route - "admin-control" wraps the call in
+ *   AdminControl.executeMultiSigTransaction (the Safe holds MULTISIG_ADMIN_ROLE);
+ *   "direct" calls the target (the Safe holds the role itself)
+ * @param {number} options.createdAt - Batch timestamp in ms (default now)
+ * @returns {Object} Transaction-builder JSON
+ */
+function toSafeBatch(payload, { safeAddress, route = "admin-control", createdAt = Date.now() } = {}) {
+    const { target, value, data } = payload.transaction;
+    let transaction;
+
+    if (route === "admin-control") {
+        const adminControl = new ethers.Interface(ADMIN_CONTROL_ABI);
+        transaction = {
+            to: payload.adminControl,
+            value: "0",
+            data: adminControl.encodeFunctionData("executeMultiSigTransaction", [target, value, data])
+        };
+    } else if (route === "direct") {
+        transaction = { to: target, value, data };
+    } else {
+        throw new Error(`Unknown Safe export route ${route} (expected admin-control or direct)`);
+    }
+
+    return {
+        version: SAFE_BATCH_VERSION,
+        chainId: payload.chainId,
+        createdAt,
+        meta: {
+            name: `${payload.action.contract}: ${payload.action.summary}`,
+            description: `${payload.description} (payload ${payload.id})`,
+            txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+            createdFromSafeAddress: safeAddress ? ethers.getAddress(safeAddress) : "",
+            createdFromOwnerAddress: ""
+        },
+        transactions: [{ ...transaction, contractMethod: null, contractInputsValues: null }]
+    };
+}
+
+module.exports = {
+    PAYLOAD_VERSION,
+    REQUIRED_SIGNATURES,
+    EXECUTION_TIME_LIMIT,
+    ACTIONS,
+    ADMIN_CONTROL_ABI,
+    encodeAction,
+    createPayload,
+    getTypedData,
+    getPayloadDigest,
+    signPayload,
+    verifySignatures,
+    mergePayloads,
+    getPayloadStatus,
+    toSafeBatch
+};
@@ -0,0 +1,272 @@
+/**
+ * Karma Labs Revocation Simulator
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Previews VestingVault.revokeSchedule and partialRevokeSchedule for a
+ * departing beneficiary. The revocations are sent from the account that
+ * will execute them on a snapshot of the local (usually forked) chain, the
+ * vault and TeamVesting are read before and after at the same timestamp,
+ * and the chain is reverted. The report shows what returns to the vault,
+ * what the beneficiary can still claim, what vested but is forfeited and
+ * how TeamVesting.getDepartmentStats changes. The same calls are encoded
+ * for multisig approval.
+ */
+
+const { ethers } = require("ethers");
+
+const { encodeAction } = require("./multisig-payload");
+
+// ============ CONSTANTS ============
+
+const REVOCATION_ABI = [
+    "function getBeneficiarySchedules(address beneficiary) view returns (uint256[])",
+    "function getVestingSchedule(uint256 scheduleId) view returns (tuple(uint256 totalAmount, uint256 claimedAmount, uint256 startTime, uint256 cliffDuration, uint256 vestingDuration, bool revoked, address beneficiary, string scheduleType))",
+    "function getVestedAmount(uint256 scheduleId) view returns (uint256)",
+    "function getClaimableAmount(uint256 scheduleId) view returns (uint256)",
+    "function getContractStats() view returns (uint256 totalSchedules, uint256 totalVesting, uint256 totalClaimed, uint256 totalAvailable)",
+    "function getTeamMemberDetails(address member) view returns (string department, string role, uint256 joinDate, bool isActive, uint256 totalAllocation, uint256 schedulesCount)",
+    "function getDepartmentStats(string department) view returns (uint256 memberCount, uint256 totalAllocation, bool exists)"
+];
+
+// ============ PLANNING ============
+
+/**
+ * Parse a revocation list: "3,7:1000" revokes schedule 3 and 1000 KARMA of schedule 7
+ * @param {string} spec - Comma-separated schedule ids, each optionally ":amount" in KARMA
+ * @returns {Array<Object>} { scheduleId, amount (wei, partial revocations only) }
+ */
+function parseRevocations(spec) {
+    return String(spec || "").split(",").map(item => item.trim()).filter(Boolean).map(item => {
+        const [id, amount] = item.split(":").map(part => part.trim());
+        if (!/^\d+$/.test(id)) throw new Error(`Invalid schedule id "${id}" in "${item}"`);
+        if (amount === undefined) return { scheduleId: Number(id) };
+
+        const wei = ethers.parseEther(amount);
+        if (wei <= 0n) throw new Error(`Revoke amount for schedule ${id} must be positive`);
+        return { scheduleId: Number(id), amount: wei };
+    });
+}
+
+/**
+ * Encode a revocation as a multisig action on VestingVault
+ * @param {Object} revocation - { scheduleId, amount } (no amount revokes the whole schedule)
+ * @returns {Object} Action from encodeAction
+ */
+function encodeRevocation({ scheduleId, amount }) {
+    const action = amount === undefined
+        ? encodeAction("call", { signature: "revokeSchedule(uint256)", args: [String(scheduleId)] })
+        : encodeAction("call", { signature: "partialRevokeSchedule(uint256,uint256)", args: [String(scheduleId), amount.toString()] });
+    return {
+        ...action,
+        summary: amount === undefined
+            ? `Revoke vesting schedule ${scheduleId}`
+            : `Revoke ${ethers.formatEther(amount)} unvested KARMA from vesting schedule ${scheduleId}`
+    };
+}
+
+// ============ READING ============
+
+/**
+ * Read the schedules, vault totals and department a revocation touches
+ * @param {Object} provider - ethers provider
+ * @param {Object} addresses - { vestingVault, teamVesting }; teamVesting is optional
+ * @param {Object} options - { member, scheduleIds, blockTag }
+ * @returns {Promise<Object>} { blockNumber, timestamp, schedules, vault, department }
+ */
+async function readRevocationState(provider, addresses, { member, scheduleIds, blockTag = "latest" }) {
+    const block = await provider.getBlock(blockTag);
+    const at = { blockTag: block.number };
+    const vault = new ethers.Contract(addresses.vestingVault, REVOCATION_ABI, provider);
+
+    const schedules = {};
+    for (const id of scheduleIds) {
+        const schedule = await vault.getVestingSchedule(id, at);
+        schedules[id] = {
+            beneficiary: schedule.beneficiary,
+            scheduleType: schedule.scheduleType,
+            totalAmount: schedule.totalAmount,
+            claimedAmount: schedule.claimedAmount,
+            revoked: schedule.revoked,
+            vested: await vault.getVestedAmount(id, at),
+            claimable: await vault.getClaimableAmount(id, at)
+        };
+    }
+
+    const stats = await vault.getContractStats(at);
+    const committed = stats.totalVesting - stats.totalClaimed;
+    const state = {
+        blockNumber: block.number,
+        timestamp: block.timestamp,
+        schedules,
+        vault: { totalVesting: stats.totalVesting, totalClaimed: stats.totalClaimed, balance: stats.totalAvailable, unallocated: stats.totalAvailable - committed },
+        department: null
+    };
+
+    if (addresses.teamVesting && member) {
+        const team = new ethers.Contract(addresses.teamVesting, REVOCATION_ABI, provider);
+        const details = await team.getTeamMemberDetails(member, at);
+        if (details.joinDate > 0n) {
+            const department = await team.getDepartmentStats(details.department, at);
+            state.department = { name: details.department, memberCount: Number(department.memberCount), totalAllocation: department.totalAllocation };
+        }
+    }
+    return state;
+}
+
+// ============ SIMULATION ============
+
+/**
+ * Apply revocations on a snapshot of the local chain and report the deltas
+ * The provider must accept hardhat's evm_* methods; the chain is reverted
+ * afterwards, so nothing persists.
+ * @param {Object} options - Simulation options
+ * @param {Object} options.provider - Local hardhat provider (send must support evm_snapshot, evm_mine, ...)
+ * @param {Object} options.signer - Signer for the account that will execute the revocations
+ * @param {Object} options.addresses - { vestingVault, teamVesting }
+ * @param {string} options.member - Departing beneficiary
+ * @param {Array<Object>} options.revocations - From parseRevocations
+ * @param {number} options.at - Revocation time (default: the next second after the latest block)
+ * @returns {Promise<Object>} Report from summarizeRevocation, with the transactions and their gas
+ */
+async function simulateRevocations({ provider, signer, addresses, member, revocations, at }) {
+    const latest = await provider.getBlock("latest");
+    const timestamp = at ?? latest.timestamp + 1;
+    if (timestamp <= latest.timestamp) {
+        throw new Error(`Revocation time ${timestamp} is not after the latest block (${latest.timestamp})`);
+    }
+    const scheduleIds = revocations.map(revocation => revocation.scheduleId);
+    const transactions = revocations.map(revocation => {
+        const action = encodeRevocation(revocation);
+        return { to: ethers.getAddress(addresses.vestingVault), value: "0", data: action.data, signature: action.signature, args: action.args, summary: action.summary };
+    });
+
+    // evm_revert consumes the snapshot it returns to, so one is taken for each revert
+    let snapshot = await provider.send("evm_snapshot", []);
+    try {
+        // Both readings are taken in a block at the revocation time
+        await provider.send("evm_mine", [timestamp]);
+        const before = await readRevocationState(provider, addresses, { member, scheduleIds });
+        await provider.send("evm_revert", [snapshot]);
+        snapshot = await provider.send("evm_snapshot", []);
+
+        // All revocations go into one block so none of them vests further than the others
+        await provider.send("evm_setAutomine", [false]);
+        let sent;
+        try {
+            sent = [];
+            for (const transaction of transactions) {
+                // Without automine the signer would claim the whole block gas limit for each transaction
+                const gasLimit = await signer.estimateGas({ to: transaction.to, data: transaction.data });
+                sent.push(await signer.sendTransaction({ to: transaction.to, data: transaction.data, gasLimit: (gasLimit * 12n) / 10n }));
+            }
+            await provider.send("evm_mine", [timestamp]);
+        } finally {
+            await provider.send("evm_setAutomine", [true]);
+        }
+
+        const receipts = await Promise.all(sent.map(tx => provider.getTransactionReceipt(tx.hash)));
+        receipts.forEach((receipt, i) => {
+            if (!receipt || receipt.status !== 1) throw new Error(`${transactions[i].summary} reverted or was not mined`);
+            transactions[i].gasUsed = receipt.gasUsed;
+        });
+
+        const after = await readRevocationState(provider, addresses, { member, scheduleIds });
+        return { ...summarizeRevocation(before, after, revocations), transactions };
+    } finally {
+        await provider.send("evm_revert", [snapshot]);
+    }
+}
+
+/**
+ * Compare vault and department state before and after revocations
+ * @param {Object} before - readRevocationState before
+ * @param {Object} after - readRevocationState after
+ * @param {Array<Object>} revocations - From parseRevocations
+ * @returns {Object} { timestamp, blockNumber, schedules, totals, vault, department, warnings }
+ */
+function summarizeRevocation(before, after, revocations) {
+    const warnings = [];
+    const schedules = revocations.map(({ scheduleId, amount }) => {
+        const old = before.schedules[scheduleId];
+        const now = after.schedules[scheduleId];
+        const returned = old.totalAmount - now.totalAmount;
+        const forfeited = old.vested > now.vested ? old.vested - now.vested : 0n;
+        const stillVesting = now.revoked ? 0n : now.totalAmount - now.vested;
+
+        if (forfeited > 0n) {
+            warnings.push(amount === undefined
+                ? `Schedule ${scheduleId}: ${ethers.formatEther(forfeited)} KARMA had vested but was not claimed; revoking forfeits it`
+                : `Schedule ${scheduleId}: the vault re-vests the reduced total from the start, so ${ethers.formatEther(forfeited)} KARMA that had vested is no longer vested`);
+        }
+        if (now.claimedAmount > now.vested) {
+            warnings.push(`Schedule ${scheduleId}: ${ethers.formatEther(now.claimedAmount - now.vested)} KARMA more was claimed than is now vested; nothing more can be claimed until vesting catches up`);
+        }
+
+        return {
+            scheduleId,
+            beneficiary: old.beneficiary,
+            scheduleType: old.scheduleType,
+            partial: amount !== undefined,
+            totalBefore: old.totalAmount,
+            totalAfter: now.totalAmount,
+            vestedBefore: old.vested,
+            vestedAfter: now.vested,
+            claimed: now.claimedAmount,
+            claimableBefore: old.claimable,
+            claimableAfter: now.claimable,
+            returned,
+            forfeited,
+            stillVesting
+        };
+    });
+
+    const sum = (field) => schedules.reduce((total, schedule) => total + schedule[field], 0n);
+    const totals = {
+        returned: sum("returned"),
+        forfeited: sum("forfeited"),
+        claimableBefore: sum("claimableBefore"),
+        claimableAfter: sum("claimableAfter"),
+        stillVesting: sum("stillVesting")
+    };
+
+    let department = null;
+    if (before.department && after.department) {
+        department = {
+            name: before.department.name,
+            memberCountBefore: before.department.memberCount,
+            memberCountAfter: after.department.memberCount,
+            allocationBefore: before.department.totalAllocation,
+            allocationAfter: after.department.totalAllocation,
+            allocationDelta: after.department.totalAllocation - before.department.totalAllocation
+        };
+        if (department.allocationDelta === 0n && totals.returned > 0n) {
+            warnings.push(`TeamVesting does not track revocations: ${department.name} still counts the ${ethers.formatEther(totals.returned)} KARMA returned to the vault`);
+        }
+    }
+
+    return {
+        timestamp: after.timestamp,
+        blockNumber: after.blockNumber,
+        schedules,
+        totals,
+        vault: {
+            totalVestingBefore: before.vault.totalVesting,
+            totalVestingAfter: after.vault.totalVesting,
+            unallocatedBefore: before.vault.unallocated,
+            unallocatedAfter: after.vault.unallocated
+        },
+        department,
+        warnings
+    };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    REVOCATION_ABI,
+    parseRevocations,
+    encodeRevocation,
+    readRevocationState,
+    simulateRevocations,
+    summarizeRevocation
+};
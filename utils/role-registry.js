@@ -0,0 +1,261 @@
+/**
+ * Karma Labs Role Registry
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Every AccessControl role the stage contracts declare, read from the
+ * Solidity sources and identified by keccak256 of its name. Scripts and
+ * tests take role ids from here instead of storing hashes; the check at the
+ * bottom flags any stored role constant or config value that disagrees.
+ *
+ * Usage: node utils/role-registry.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// ============ CONSTANTS ============
+
+const PROTOCOL_DIR = path.join(__dirname, "..", "protocol");
+
+const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+
+// bytes32 public constant NAME_ROLE = keccak256("NAME_ROLE");
+const ROLE_DECLARATION_PATTERN = /bytes32\s+(?:(?:public|internal|private)\s+)*constant\s+(\w+_ROLE)\s*=\s*keccak256\(\s*"([^"]*)"\s*\)/g;
+const CONTRACT_DECLARATION_PATTERN = /\b(?:abstract\s+contract|contract|library|interface)\s+(\w+)/g;
+
+const ROLE_NAME_PATTERN = /^[A-Z][A-Z0-9_]*_ROLE$/;
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// ============ SOURCE SCANNING ============
+
+/**
+ * List the Solidity files under every protocol/<stage>/contracts directory
+ * @param {string} protocolDir - Protocol directory
+ * @returns {Array<string>} Solidity file paths
+ */
+function findContractSources(protocolDir = PROTOCOL_DIR) {
+    const sources = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory() && entry.name !== "node_modules") {
+                walk(fullPath);
+            } else if (entry.isFile() && entry.name.endsWith(".sol")) {
+                sources.push(fullPath);
+            }
+        }
+    };
+
+    for (const stageDir of fs.readdirSync(protocolDir).sort()) {
+        const contractsDir = path.join(protocolDir, stageDir, "contracts");
+        if (fs.existsSync(contractsDir)) walk(contractsDir);
+    }
+    return sources;
+}
+
+/**
+ * Find every role constant declared in the stage contracts
+ * @param {string} protocolDir - Protocol directory
+ * @returns {Array<Object>} { contract, file, name, literal } per declaration
+ */
+function scanContractRoles(protocolDir = PROTOCOL_DIR) {
+    const declarations = [];
+
+    for (const file of findContractSources(protocolDir)) {
+        const source = fs.readFileSync(file, "utf8");
+        const contracts = [...source.matchAll(CONTRACT_DECLARATION_PATTERN)];
+
+        for (const match of source.matchAll(ROLE_DECLARATION_PATTERN)) {
+            const owner = contracts.filter(contract => contract.index < match.index).pop();
+            declarations.push({
+                contract: owner ? owner[1] : path.basename(file, ".sol"),
+                file: path.relative(path.dirname(protocolDir), file),
+                name: match[1],
+                literal: match[2]
+            });
+        }
+    }
+    return declarations;
+}
+
+/**
+ * Build role id and per-contract lookups from declarations
+ * @param {Array<Object>} declarations - Output of scanContractRoles
+ * @returns {Object} { roles, contracts }
+ */
+function buildRoleRegistry(declarations) {
+    const roles = { DEFAULT_ADMIN_ROLE };
+    const contracts = {};
+
+    for (const { contract, name } of [...declarations].sort((a, b) => a.name.localeCompare(b.name))) {
+        roles[name] = roleId(name);
+        contracts[contract] = contracts[contract] || [];
+        if (!contracts[contract].includes(name)) contracts[contract].push(name);
+    }
+    return { roles, contracts };
+}
+
+// ============ ROLE IDS ============
+
+/**
+ * Role id for a role name, as the contracts compute it
+ * @param {string} name - Role name, e.g. "MINTER_ROLE"
+ * @returns {string} bytes32 role id
+ */
+function roleId(name) {
+    return name === "DEFAULT_ADMIN_ROLE" ? DEFAULT_ADMIN_ROLE : ethers.id(name);
+}
+
+/**
+ * Role name for a role id
+ * @param {string} id - bytes32 role id
+ * @returns {string|null} Role name, or null for a role no contract declares
+ */
+function roleName(id) {
+    const normalized = String(id).toLowerCase();
+    return Object.keys(ROLES).find(name => ROLES[name] === normalized) || null;
+}
+
+/**
+ * Role name for a config key: "minterRole" and "MINTER_ROLE" both give "MINTER_ROLE"
+ * @param {string} key - Config key
+ * @returns {string} Role name
+ */
+function roleNameFromKey(key) {
+    if (ROLE_NAME_PATTERN.test(key)) return key;
+    return key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+}
+
+/**
+ * Check a stored role id against its name
+ * @param {string} name - Role name
+ * @param {*} value - Stored id
+ * @returns {string|null} Problem, or null when the value is right
+ */
+function checkRoleValue(name, value) {
+    if (typeof value !== "string" || !BYTES32_PATTERN.test(value)) {
+        return `${JSON.stringify(value)} is not a bytes32 role id (expected ${roleId(name)})`;
+    }
+    if (value.toLowerCase() !== roleId(name)) {
+        return `${value} is not keccak256("${name}") (expected ${roleId(name)})`;
+    }
+    return null;
+}
+
+// ============ REGISTRY ============
+
+const DECLARATIONS = scanContractRoles();
+const { roles: ROLES, contracts: CONTRACT_ROLES } = buildRoleRegistry(DECLARATIONS);
+
+// ============ CONSISTENCY CHECK ============
+
+/**
+ * Walk a JSON value, calling visit(path, key, value) for every property
+ */
+function walkJson(value, visit, prefix = "") {
+    if (value === null || typeof value !== "object") return;
+    for (const [key, child] of Object.entries(value)) {
+        const childPath = prefix ? `${prefix}.${key}` : key;
+        visit(childPath, key, child);
+        walkJson(child, visit, childPath);
+    }
+}
+
+/**
+ * Flag stored role ids that are not keccak256 of their names, and role
+ * names that no contract declares
+ * @param {Object} options - Check options
+ * @param {string} options.protocolDir - Protocol directory
+ * @param {Object} options.constants - Named { ROLE_NAME: id } maps to check (default: stage 1 constants)
+ * @returns {Object} { isValid, errors, warnings }
+ */
+function findRoleMismatches({ protocolDir = PROTOCOL_DIR, constants } = {}) {
+    const errors = [];
+    const warnings = [];
+    const declarations = protocolDir === PROTOCOL_DIR ? DECLARATIONS : scanContractRoles(protocolDir);
+    const declared = new Set(["DEFAULT_ADMIN_ROLE", ...declarations.map(declaration => declaration.name)]);
+    const relative = (file) => path.relative(path.dirname(protocolDir), file);
+
+    // Solidity constants hashing a different string than their name
+    for (const { contract, file, name, literal } of declarations) {
+        if (literal !== name) {
+            errors.push(`${file}: ${contract}.${name} is keccak256("${literal}"), not keccak256("${name}")`);
+        }
+    }
+
+    // JavaScript role constants
+    if (!constants) {
+        const { TOKEN_CONSTANTS, ADMIN_CONSTANTS } = require("../protocol/01-core-token-infrastructure/utils/constants");
+        constants = {
+            "TOKEN_CONSTANTS.ROLES": TOKEN_CONSTANTS.ROLES,
+            "ADMIN_CONSTANTS.ROLES": ADMIN_CONSTANTS.ROLES
+        };
+    }
+    for (const [group, values] of Object.entries(constants)) {
+        for (const [name, value] of Object.entries(values)) {
+            const problem = checkRoleValue(name, value);
+            if (problem) errors.push(`${group}.${name}: ${problem}`);
+            if (!declared.has(name)) warnings.push(`${group}.${name}: no contract declares ${name}`);
+        }
+    }
+
+    // Stage configs: role ids under *Role / *_ROLE keys, and role names used as values
+    for (const stageDir of fs.readdirSync(protocolDir).sort()) {
+        const configDir = path.join(protocolDir, stageDir, "config");
+        if (!fs.existsSync(configDir)) continue;
+
+        for (const fileName of fs.readdirSync(configDir).filter(name => name.endsWith(".json")).sort()) {
+            const file = path.join(configDir, fileName);
+            const config = JSON.parse(fs.readFileSync(file, "utf8"));
+
+            walkJson(config, (jsonPath, key, value) => {
+                const isRoleKey = /Role$/.test(key) || ROLE_NAME_PATTERN.test(key);
+                if (isRoleKey && typeof value === "string" && value.startsWith("0x")) {
+                    const name = roleNameFromKey(key);
+                    const problem = checkRoleValue(name, value);
+                    if (problem) errors.push(`${relative(file)} ${jsonPath}: ${problem}`);
+                    if (!declared.has(name)) warnings.push(`${relative(file)} ${jsonPath}: no contract declares ${name}`);
+                } else if (typeof value === "string" && ROLE_NAME_PATTERN.test(value) && !declared.has(value)) {
+                    warnings.push(`${relative(file)} ${jsonPath}: no contract declares ${value}`);
+                }
+            });
+        }
+    }
+
+    return { isValid: errors.length === 0, errors, warnings };
+}
+
+// ============ CLI ============
+
+function main() {
+    console.log("🔐 Checking role identifiers");
+    console.log("=".repeat(60));
+    console.log(`📋 ${Object.keys(ROLES).length} roles declared across ${Object.keys(CONTRACT_ROLES).length} contracts`);
+
+    const { isValid, errors, warnings } = findRoleMismatches();
+    for (const warning of warnings) console.log(`⚠️  ${warning}`);
+    for (const error of errors) console.log(`❌ ${error}`);
+
+    if (isValid) {
+        console.log("✅ Every stored role id matches keccak256 of its name");
+    }
+    return isValid;
+}
+
+module.exports = {
+    DEFAULT_ADMIN_ROLE,
+    ROLES,
+    CONTRACT_ROLES,
+    roleId,
+    roleName,
+    roleNameFromKey,
+    checkRoleValue,
+    scanContractRoles,
+    buildRoleRegistry,
+    findRoleMismatches
+};
+
+if (require.main === module) {
+    process.exit(main() ? 0 : 1);
+}
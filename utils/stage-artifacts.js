@@ -0,0 +1,198 @@
+/**
+ * Karma Labs Stage Artifacts
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Every protocol/<stage dir> is its own Hardhat project, pinned to its own
+ * compiler, OpenZeppelin major and plugins, so the root project cannot
+ * compile the stage contracts together. Each stage is compiled in place and
+ * its contracts are read from that stage's artifacts/ directory. Contracts
+ * owned by the root project (mocks/) come from the root Hardhat artifacts.
+ * Only stages that compile (see the README) can be deployed or dry-run.
+ *
+ * Usage: node utils/stage-artifacts.js [stage...]   (compiles the stages)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+// ============ CONSTANTS ============
+
+const PROTOCOL_DIR = path.join(__dirname, "..", "protocol");
+
+const STAGE_DIR_PATTERN = /^(\d{2})-/;
+
+// ============ STAGE DIRECTORIES ============
+
+/**
+ * Map stage numbers to their project directories
+ * @param {string} protocolDir - Protocol directory
+ * @returns {Object} Stage number to absolute directory
+ */
+function getStageDirectories(protocolDir = PROTOCOL_DIR) {
+    const stages = {};
+    for (const dir of fs.readdirSync(protocolDir).sort()) {
+        const match = dir.match(STAGE_DIR_PATTERN);
+        if (match) stages[parseInt(match[1], 10)] = path.join(protocolDir, dir);
+    }
+    return stages;
+}
+
+/**
+ * Find the stage a file belongs to
+ * @param {string} filePath - Any path inside a stage directory
+ * @param {string} protocolDir - Protocol directory
+ * @returns {number|null} Stage number, or null outside protocol/
+ */
+function getStageForPath(filePath, protocolDir = PROTOCOL_DIR) {
+    const relative = path.relative(protocolDir, path.resolve(filePath));
+    if (relative.startsWith("..")) return null;
+    const match = relative.split(path.sep)[0].match(STAGE_DIR_PATTERN);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// ============ ARTIFACTS ============
+
+/**
+ * Read every contract artifact a stage has compiled
+ * @param {string} stageDir - Stage project directory
+ * @returns {Array<Object>} Hardhat artifacts, empty when the stage is not compiled
+ */
+function readStageArtifacts(stageDir) {
+    const artifactsDir = path.join(stageDir, "artifacts");
+    const artifacts = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory() && entry.name !== "build-info") {
+                walk(fullPath);
+            } else if (entry.isFile() && entry.name.endsWith(".json") && !entry.name.endsWith(".dbg.json")) {
+                const artifact = JSON.parse(fs.readFileSync(fullPath, "utf8"));
+                if (artifact.contractName && artifact.abi) artifacts.push(artifact);
+            }
+        }
+    };
+
+    if (fs.existsSync(artifactsDir)) walk(artifactsDir);
+    return artifacts;
+}
+
+/**
+ * Create a resolver that loads each contract from the stage that owns it
+ * @param {Object} options - Resolver options
+ * @param {string} options.protocolDir - Protocol directory
+ * @param {Object} options.fallback - Hardhat artifacts (hre.artifacts) for root-owned contracts
+ * @returns {Object} { readArtifact(contractName, stage), hasArtifact(contractName, stage), describeMissing(contractName, stage) }
+ */
+function createStageArtifactResolver({ protocolDir = PROTOCOL_DIR, fallback = null } = {}) {
+    const stageDirs = getStageDirectories(protocolDir);
+    const cache = new Map();
+
+    const stageArtifacts = (stage) => {
+        if (!cache.has(stage)) {
+            const byName = new Map();
+            for (const artifact of stageDirs[stage] ? readStageArtifacts(stageDirs[stage]) : []) {
+                const existing = byName.get(artifact.contractName);
+                // Same-named contracts in one stage are ambiguous, so neither is picked
+                byName.set(artifact.contractName, existing ? null : artifact);
+            }
+            cache.set(stage, byName);
+        }
+        return cache.get(stage);
+    };
+
+    const describeMissing = (contractName, stage) => {
+        const stageDir = stageDirs[stage];
+        if (!stageDir) {
+            return `No artifact for ${contractName}: there is no stage ${stage} under ${protocolDir}`;
+        }
+        const relative = path.relative(process.cwd(), stageDir) || ".";
+        return `No artifact for ${contractName} in ${relative}/artifacts; compile the stage with ` +
+            `\`npm run compile:stages -- ${stage}\``;
+    };
+
+    const find = async (contractName, stage) => {
+        const artifacts = stageArtifacts(stage);
+        if (artifacts.get(contractName) === null) {
+            throw new Error(`Stage ${stage} compiles more than one ${contractName}`);
+        }
+        if (artifacts.has(contractName)) {
+            return artifacts.get(contractName);
+        }
+        if (fallback && await fallback.artifactExists(contractName)) {
+            return fallback.readArtifact(contractName);
+        }
+        return null;
+    };
+
+    return {
+        async hasArtifact(contractName, stage) {
+            return (await find(contractName, stage)) !== null;
+        },
+
+        async readArtifact(contractName, stage) {
+            const artifact = await find(contractName, stage);
+            if (!artifact) {
+                throw new Error(describeMissing(contractName, stage));
+            }
+            return artifact;
+        },
+
+        describeMissing
+    };
+}
+
+// ============ COMPILATION ============
+
+/**
+ * Compile stages in place with each stage's own Hardhat project
+ * @param {Array<number>} stages - Stages to compile (all when empty)
+ * @param {Object} options - { protocolDir, log }
+ * @returns {Array<Object>} { stage, dir, status } per stage
+ */
+function compileStages(stages = [], { protocolDir = PROTOCOL_DIR, log = console.log } = {}) {
+    const stageDirs = getStageDirectories(protocolDir);
+    const selected = stages.length > 0 ? stages : Object.keys(stageDirs).map(Number);
+    const results = [];
+
+    for (const stage of selected) {
+        const dir = stageDirs[stage];
+        if (!dir) {
+            throw new Error(`There is no stage ${stage} under ${protocolDir}`);
+        }
+        // The stage's own hardhat and OpenZeppelin must be used, not the root ones
+        if (!fs.existsSync(path.join(dir, "node_modules", "hardhat"))) {
+            throw new Error(`Stage ${stage} dependencies are not installed; run \`npm install\` in ${path.relative(process.cwd(), dir)}`);
+        }
+
+        log(`🔨 Compiling stage ${stage} (${path.basename(dir)})`);
+        const result = spawnSync("npx", ["hardhat", "compile"], { cwd: dir, stdio: "inherit" });
+        results.push({ stage, dir, status: result.status });
+        if (result.status !== 0) {
+            throw new Error(`Stage ${stage} failed to compile`);
+        }
+    }
+    return results;
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    PROTOCOL_DIR,
+    getStageDirectories,
+    getStageForPath,
+    readStageArtifacts,
+    createStageArtifactResolver,
+    compileStages
+};
+
+if (require.main === module) {
+    try {
+        const stages = process.argv.slice(2).map(stage => parseInt(stage, 10));
+        compileStages(stages);
+        console.log("✅ Stage artifacts compiled");
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
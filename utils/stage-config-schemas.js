@@ -0,0 +1,246 @@
+/**
+ * Karma Labs Stage Config Schemas
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Per-stage rules checked by the config loader before any deployment or
+ * setup transaction is sent. Paths are dotted; "*" matches every key of an
+ * object or every item of an array. Rules with an `each` path run once per
+ * match, with their own paths relative to it.
+ *
+ * Rule types:
+ *   integer     value is an integer within [min, max]
+ *   amount      value is a non-negative integer (wei) as number or decimal string
+ *   percentage  value is within [0, max] (max 100, or 10000 for basis points)
+ *   sum         values at `path` (or each of `paths`) add up to `equals`
+ *   threshold   value is >= 1 and <= the signer count at `signers` (number or array)
+ *   order       value is <= (or < when strict) the value at `max`
+ *   role        value is keccak256 of the role named by its key ("minterRole" → "MINTER_ROLE")
+ */
+
+const BASIS_POINTS = 10000;
+
+// ============ STAGE SCHEMAS ============
+
+const STAGE_CONFIG_SCHEMAS = {
+    "1.1": {
+        required: [
+            "contracts.KarmaToken.name",
+            "contracts.KarmaToken.symbol",
+            "contracts.KarmaToken.maxSupply"
+        ],
+        rules: [
+            { type: "integer", path: "contracts.KarmaToken.decimals", min: 0, max: 18 },
+            { type: "amount", path: "contracts.KarmaToken.maxSupply" },
+            { type: "amount", path: "contracts.KarmaToken.initialSupply" },
+            { type: "order", path: "contracts.KarmaToken.initialSupply", max: "contracts.KarmaToken.maxSupply" },
+            { type: "role", path: "contracts.KarmaToken.roles.*" }
+        ]
+    },
+
+    "1.2": {
+        required: ["contracts.KarmaMultiSigManager", "contracts.KarmaTimelock", "contracts.AdminControl"],
+        rules: [
+            {
+                type: "threshold",
+                path: "contracts.KarmaMultiSigManager.requiredSignatures",
+                signers: "contracts.KarmaMultiSigManager.totalSigners"
+            },
+            {
+                type: "threshold",
+                path: "contracts.KarmaMultiSigManager.emergencyOverrideSignatures",
+                signers: "contracts.KarmaMultiSigManager.totalSigners"
+            },
+            { type: "threshold", path: "security.multisig.threshold", signers: "security.multisig.maxSigners" },
+            { type: "order", path: "contracts.KarmaTimelock.minDelay", max: "contracts.KarmaTimelock.maxDelay" },
+            { type: "integer", path: "contracts.AdminControl.emergencyPauseDuration", min: 1 },
+            { type: "role", path: "contracts.AdminControl.roles.*" }
+        ]
+    },
+
+    "2.1": {
+        required: ["contracts.VestingVault"],
+        rules: [
+            { type: "integer", path: "contracts.VestingVault.maxBeneficiaries", min: 1 },
+            { type: "integer", path: "contracts.VestingVault.minVestingDuration", min: 1 },
+            {
+                type: "order",
+                path: "contracts.VestingVault.minVestingDuration",
+                max: "contracts.VestingVault.maxVestingDuration"
+            },
+            { type: "role", path: "contracts.VestingVault.roles.*" }
+        ]
+    },
+
+    "2.2": {
+        required: ["contracts.TeamVesting", "contracts.PrivateSaleVesting"],
+        rules: [
+            { type: "amount", each: "contracts.*", path: "totalAllocation" },
+            { type: "integer", each: "contracts.*", path: "vestingDuration", min: 1 },
+            { type: "order", each: "contracts.*", path: "cliffDuration", max: "vestingDuration", strict: true },
+            { type: "role", path: "contracts.*.roles.*" }
+        ]
+    },
+
+    "3.1": {
+        required: ["salePhases", "treasury.allocation"],
+        rules: [
+            { type: "amount", each: "salePhases.*", path: "allocation" },
+            { type: "sum", path: "treasury.allocation.*", equals: 100 },
+            { type: "role", path: "accessControl.roles.*" }
+        ]
+    },
+
+    "3.2": {
+        required: ["privateSaleConfig", "preSaleConfig", "publicSaleConfig"],
+        rules: [
+            { type: "percentage", each: "*.vesting", path: "immediatePercent" },
+            { type: "sum", each: "*.vesting", paths: ["immediatePercent", "vestedPercent"], equals: 100 }
+        ]
+    },
+
+    "3.3": {
+        required: ["treasury.multisigConfig", "fundAllocation.categories"],
+        rules: [
+            {
+                type: "threshold",
+                path: "treasury.multisigConfig.requiredSignatures",
+                signers: "treasury.multisigConfig.totalSigners"
+            },
+            {
+                type: "threshold",
+                path: "treasury.multisigConfig.requiredSignatures",
+                signers: "treasury.multisigConfig.signers"
+            },
+            { type: "sum", path: "fundAllocation.categories.*.percentage", equals: 100 },
+            { type: "sum", each: "fundAllocation.categories.*", path: "wallets.*.allocation", equals: 100 }
+        ]
+    },
+
+    "4.1": {
+        required: ["treasury.allocationPercentages", "treasury.multisigRequirement", "contracts.Treasury"],
+        rules: [
+            { type: "amount", path: "treasury.initialBalance" },
+            { type: "sum", path: "treasury.allocationPercentages.*", equals: 100 },
+            { type: "sum", path: "categories.*.percentage", equals: 100 },
+            {
+                type: "threshold",
+                path: "treasury.multisigRequirement.threshold",
+                signers: "treasury.multisigRequirement.totalSigners"
+            },
+            { type: "percentage", path: "treasury.withdrawalTimelock.thresholdPercent" },
+            { type: "percentage", path: "security.maxWithdrawalPercentage" }
+        ]
+    },
+
+    "4.2": {
+        required: ["tokenDistribution.communityRewards.categories"],
+        rules: [
+            { type: "sum", path: "tokenDistribution.communityRewards.categories.*.percentage", equals: 100 },
+            { type: "percentage", path: "externalIntegration.buybackBurn.allocationPercent" },
+            { type: "percentage", path: "security.emergencyFunding.maxEmergencyPercent" }
+        ]
+    },
+
+    "5.1": {
+        required: ["contracts.Paymaster", "sponsorshipConfig"],
+        rules: [
+            { type: "integer", path: "sponsorshipConfig.maxGasPerOperation", min: 1 },
+            { type: "order", path: "sponsorshipConfig.maxGasPerOperation", max: "sponsorshipConfig.maxGasPerUser" },
+            { type: "amount", path: "sponsorshipConfig.minimumStakeRequired" },
+            { type: "amount", path: "autoRefill.threshold" },
+            { type: "amount", path: "funding.initialFunding" }
+        ]
+    },
+
+    "6.1": {
+        required: ["buybackBurn"],
+        rules: [
+            { type: "percentage", path: "buybackBurn.treasury.targetAllocationPercentage", max: BASIS_POINTS },
+            { type: "percentage", path: "oracles.chainlink.priceDeviationThreshold", max: BASIS_POINTS },
+            { type: "amount", path: "buybackBurn.triggers.thresholdAmount" }
+        ]
+    },
+
+    "6.2": {
+        required: ["revenueStreams", "routing"],
+        rules: [
+            { type: "percentage", each: "revenueStreams.platformFees.*", path: "feePercentage", max: BASIS_POINTS },
+            {
+                type: "sum",
+                paths: ["routing.autoRouting.buybackPercentage", "routing.autoRouting.treasuryPercentage"],
+                equals: BASIS_POINTS
+            },
+            { type: "integer", path: "security.largeBuybackApproval.requiredApprovers", min: 1 }
+        ]
+    },
+
+    "7.1": {
+        required: ["governance", "timelock"],
+        rules: [
+            { type: "amount", path: "governance.proposalThreshold" },
+            { type: "percentage", path: "governance.quorumPercentage" },
+            { type: "integer", path: "governance.votingPeriod", min: 1 },
+            { type: "integer", path: "timelock.minDelay", min: 0 },
+            { type: "integer", path: "security.multiSigThreshold", min: 1 },
+            { type: "order", path: "quadraticVoting.baseWeight", max: "quadraticVoting.maxWeight" }
+        ]
+    },
+
+    "7.2": {
+        required: ["treasuryGovernance"],
+        rules: [
+            { type: "amount", path: "treasuryGovernance.fundAllocationLimit" },
+            { type: "percentage", path: "treasuryGovernance.communityFundPercentage" }
+        ]
+    },
+
+    "8.1": {
+        required: ["contracts.CrossChainBridge"],
+        rules: [
+            {
+                type: "order",
+                path: "contracts.CrossChainBridge.bridgeConfig.minAmount",
+                max: "contracts.CrossChainBridge.bridgeConfig.maxAmount"
+            },
+            { type: "percentage", path: "contracts.CrossChainBridge.bridgeConfig.bridgeFee", max: BASIS_POINTS },
+            { type: "integer", path: "contracts.CrossChainBridge.bridgeConfig.validationThreshold", min: 1 }
+        ]
+    },
+
+    "8.2": {
+        required: ["platforms", "feeCollection"],
+        rules: [
+            { type: "sum", path: "feeCollection.distribution.*", equals: 100 },
+            { type: "role", path: "security.accessControl.operatorRole" }
+        ]
+    },
+
+    "9.1": {
+        required: ["contracts.KarmaBugBountyManager", "contracts.KarmaInsuranceManager"],
+        rules: [
+            {
+                type: "order",
+                path: "contracts.KarmaBugBountyManager.configuration.minBountyReward",
+                max: "contracts.KarmaBugBountyManager.configuration.maxBountyReward"
+            },
+            { type: "percentage", path: "contracts.KarmaBugBountyManager.funding.reservePercentage" },
+            { type: "percentage", path: "contracts.KarmaInsuranceManager.configuration.premiumRate", max: BASIS_POINTS }
+        ]
+    },
+
+    "9.2": {
+        required: ["deployment.phases"],
+        rules: [
+            { type: "integer", each: "deployment.phases.*", path: "duration", min: 1 }
+        ]
+    }
+};
+
+// Placeholders that may stay unresolved (reported as warnings) when no value is available
+const OPTIONAL_PLACEHOLDERS = ["verification.apiKey"];
+
+module.exports = {
+    BASIS_POINTS,
+    STAGE_CONFIG_SCHEMAS,
+    OPTIONAL_PLACEHOLDERS
+};
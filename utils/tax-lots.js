@@ -0,0 +1,266 @@
+/**
+ * Karma Labs Tax Lots
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Cost-basis records for vested KARMA. Each schedule vests in lots on the
+ * release dates from the Stage 2 generateVestingSchedule; a claim between
+ * two release dates closes a lot on the claim date, since the vault pays
+ * out everything vested up to then. Claims from VestingVault are matched
+ * to lots first in, first out, and every lot is valued at the fair market
+ * value on its acquisition date from a user-supplied price file (UTC date
+ * to USD). Revoked schedules no longer report their vesting history, so
+ * their lots are their claims.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { parseCsv } = require("./csv");
+const { calculateVestedAmount } = require("../protocol/02-vesting-system-architecture/utils/vesting-calculator");
+const { DEFAULT_RELEASE_FREQUENCY, getReleaseDates } = require("./vesting-statement");
+
+// ============ CONSTANTS ============
+
+// Prices are kept as 18-decimal fixed point
+const PRICE_DECIMALS = 18;
+
+// A lot without a price on its date uses the latest earlier price up to this many days old
+const DEFAULT_MAX_PRICE_AGE_DAYS = 7;
+
+const DAY = 24 * 60 * 60;
+
+// Column names accepted for the price in CSV price files
+const PRICE_COLUMNS = ["price", "usd", "price_usd", "fmv", "fmv_usd", "close"];
+
+const TAX_LOT_STATUS = {
+    CLAIMED: "claimed",
+    UNCLAIMED: "unclaimed"
+};
+
+// ============ PRICES ============
+
+/**
+ * Read a fair-market-value price file
+ * CSV needs a date column and one of PRICE_COLUMNS; JSON is { "2026-01-31": 0.12, ... }
+ * or an array of { date, price }. Dates are UTC calendar days.
+ * @param {string} file - .csv or .json file
+ * @returns {Map<string, bigint>} Date (YYYY-MM-DD) to 18-decimal USD price
+ */
+function loadPriceFile(file) {
+    const text = fs.readFileSync(file, "utf8");
+    let entries;
+    if (path.extname(file).toLowerCase() === ".json") {
+        const json = JSON.parse(text);
+        entries = Array.isArray(json) ? json.map(row => [row.date, row.price ?? row.usd]) : Object.entries(json);
+    } else {
+        entries = parseCsv(text).map(row => {
+            const keys = Object.keys(row);
+            const dateKey = keys.find(key => key.trim().toLowerCase() === "date");
+            const priceKey = keys.find(key => PRICE_COLUMNS.includes(key.trim().toLowerCase()));
+            if (!dateKey || !priceKey) throw new Error(`${file} needs a date column and a price column (${PRICE_COLUMNS.join(", ")})`);
+            return [row[dateKey], row[priceKey]];
+        });
+    }
+    return parsePrices(entries, file);
+}
+
+/**
+ * Validate [date, price] pairs
+ * @param {Array<Array>} entries - [date, price] pairs
+ * @param {string} source - Name used in errors
+ * @returns {Map<string, bigint>} Date to 18-decimal USD price
+ */
+function parsePrices(entries, source = "price file") {
+    const prices = new Map();
+    for (const [rawDate, rawPrice] of entries) {
+        const date = String(rawDate ?? "").trim().slice(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+            throw new Error(`${source}: invalid date "${rawDate}" (expected YYYY-MM-DD)`);
+        }
+        const text = String(rawPrice ?? "").trim().replace(/^\$/, "");
+        if (!/^\d+(\.\d{1,18})?$/.test(text)) throw new Error(`${source}: invalid price "${rawPrice}" for ${date}`);
+        if (prices.has(date)) throw new Error(`${source}: ${date} is listed twice`);
+        prices.set(date, ethers.parseUnits(text, PRICE_DECIMALS));
+    }
+    return prices;
+}
+
+/**
+ * Price for a timestamp: its UTC date, or the latest earlier date within maxAgeDays
+ * @param {Map<string, bigint>} prices - From loadPriceFile
+ * @param {number} timestamp - Unix seconds
+ * @param {number} maxAgeDays - Days to look back
+ * @returns {Object|null} { price, priceDate } or null if there is none
+ */
+function lookupPrice(prices, timestamp, maxAgeDays = DEFAULT_MAX_PRICE_AGE_DAYS) {
+    for (let age = 0; age <= maxAgeDays; age++) {
+        const priceDate = formatDate(timestamp - age * DAY);
+        if (prices.has(priceDate)) return { price: prices.get(priceDate), priceDate };
+    }
+    return null;
+}
+
+// ============ LOTS ============
+
+/**
+ * Split a schedule's vesting into lots up to a point in time
+ * @param {Object} schedule - Schedule from fetchBeneficiaryVesting
+ * @param {Array<Object>} claims - This schedule's claims, in chain order
+ * @param {number} asOf - Last acquisition time
+ * @param {number|string} frequency - Release frequency for generateVestingSchedule
+ * @returns {Array<Object>} { lot, acquisitionTime, quantity } in acquisition order
+ */
+function getScheduleLots(schedule, claims, asOf, frequency) {
+    if (schedule.revoked) {
+        return claims.map((claim, i) => ({ lot: i + 1, acquisitionTime: claim.timestamp, quantity: BigInt(claim.amount) }));
+    }
+
+    const times = [...new Set([...getReleaseDates(schedule, frequency), ...claims.map(claim => claim.timestamp)])]
+        .filter(time => time <= asOf)
+        .sort((a, b) => a - b);
+
+    const lots = [];
+    let previous = 0n;
+    for (const acquisitionTime of times) {
+        const vested = calculateVestedAmount(schedule, acquisitionTime);
+        if (vested > previous) lots.push({ lot: lots.length + 1, acquisitionTime, quantity: vested - previous });
+        previous = vested;
+    }
+    return lots;
+}
+
+/**
+ * Build a beneficiary's tax lots
+ * @param {Object} vesting - Result of fetchBeneficiaryVesting
+ * @param {Array<Object>} claims - Claims from fetchClaims (other beneficiaries' are ignored)
+ * @param {Map<string, bigint>} prices - From loadPriceFile
+ * @param {Object} options - { frequency (default: calendar months), maxPriceAgeDays }
+ * @returns {Object} { beneficiary, blockNumber, asOf, rows, totals, warnings }
+ */
+function buildTaxLots(vesting, claims, prices, { frequency = DEFAULT_RELEASE_FREQUENCY, maxPriceAgeDays = DEFAULT_MAX_PRICE_AGE_DAYS } = {}) {
+    const own = claims.filter(claim => claim.beneficiary === vesting.beneficiary && claim.blockNumber <= vesting.blockNumber);
+    const rows = [];
+    const warnings = [];
+    const missingPrices = new Set();
+
+    for (const schedule of vesting.schedules) {
+        const scheduleClaims = own.filter(claim => claim.scheduleId === schedule.id);
+        const lots = getScheduleLots(schedule, scheduleClaims, vesting.asOf, frequency);
+
+        const addRow = (lot, quantity, claim) => {
+            const found = lookupPrice(prices, lot.acquisitionTime, maxPriceAgeDays);
+            if (!found) missingPrices.add(formatDate(lot.acquisitionTime));
+            rows.push({
+                beneficiary: vesting.beneficiary,
+                scheduleId: schedule.id,
+                scheduleType: schedule.scheduleType,
+                lot: lot.lot,
+                acquisitionTime: lot.acquisitionTime,
+                quantity,
+                price: found ? found.price : null,
+                priceDate: found ? found.priceDate : null,
+                costBasis: found ? (quantity * found.price) / 10n ** 18n : null,
+                claimTime: claim ? claim.timestamp : null,
+                claimTransaction: claim ? claim.transactionHash : null,
+                status: claim ? TAX_LOT_STATUS.CLAIMED : TAX_LOT_STATUS.UNCLAIMED
+            });
+        };
+
+        // Claims take the oldest tokens first
+        let index = 0;
+        let remaining = lots.length > 0 ? lots[0].quantity : 0n;
+        for (const claim of scheduleClaims) {
+            let owed = BigInt(claim.amount);
+            while (owed > 0n && index < lots.length && lots[index].acquisitionTime <= claim.timestamp) {
+                const taken = owed < remaining ? owed : remaining;
+                addRow(lots[index], taken, claim);
+                owed -= taken;
+                remaining -= taken;
+                if (remaining === 0n && ++index < lots.length) remaining = lots[index].quantity;
+            }
+            if (owed > 0n) {
+                warnings.push(`Schedule ${schedule.id}: ${ethers.formatEther(owed)} KARMA claimed in ${claim.transactionHash} is more than had vested by then`);
+            }
+        }
+        for (; index < lots.length; index++) {
+            if (remaining > 0n) addRow(lots[index], remaining, null);
+            remaining = lots[index + 1]?.quantity ?? 0n;
+        }
+    }
+
+    if (missingPrices.size > 0) {
+        warnings.push(`No price within ${maxPriceAgeDays} days before ${[...missingPrices].sort().join(", ")}`);
+    }
+
+    const sum = (items, field) => items.reduce((total, row) => total + (row[field] ?? 0n), 0n);
+    const claimed = rows.filter(row => row.status === TAX_LOT_STATUS.CLAIMED);
+    return {
+        beneficiary: vesting.beneficiary,
+        blockNumber: vesting.blockNumber,
+        asOf: vesting.asOf,
+        rows,
+        totals: {
+            quantity: sum(rows, "quantity"),
+            costBasis: sum(rows, "costBasis"),
+            claimedQuantity: sum(claimed, "quantity"),
+            claimedCostBasis: sum(claimed, "costBasis")
+        },
+        warnings
+    };
+}
+
+// ============ OUTPUT ============
+
+function formatDate(timestamp) {
+    return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Format an 18-decimal USD amount to cents, rounding half up
+ * @param {bigint} value - 18-decimal USD
+ * @returns {string} e.g. "1234.57"
+ */
+function formatUsd(value) {
+    const cents = (value + 5n * 10n ** 15n) / 10n ** 16n;
+    return `${cents / 100n}.${String(cents % 100n).padStart(2, "0")}`;
+}
+
+/**
+ * Tax-lot rows for CSV
+ * @param {Object} taxLots - Result of buildTaxLots
+ * @returns {Object} { columns, records }
+ */
+function toTaxLotRecords(taxLots) {
+    const columns = ["beneficiary", "schedule_id", "schedule_type", "lot", "acquisition_date", "quantity", "fmv_usd", "price_date", "cost_basis_usd", "claim_date", "claim_tx", "status"];
+    const records = taxLots.rows.map(row => ({
+        beneficiary: row.beneficiary,
+        schedule_id: row.scheduleId,
+        schedule_type: row.scheduleType,
+        lot: row.lot,
+        acquisition_date: formatDate(row.acquisitionTime),
+        quantity: ethers.formatEther(row.quantity),
+        fmv_usd: row.price === null ? "" : ethers.formatUnits(row.price, PRICE_DECIMALS),
+        price_date: row.priceDate ?? "",
+        cost_basis_usd: row.costBasis === null ? "" : formatUsd(row.costBasis),
+        claim_date: row.claimTime === null ? "" : formatDate(row.claimTime),
+        claim_tx: row.claimTransaction ?? "",
+        status: row.status
+    }));
+    return { columns, records };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    PRICE_DECIMALS,
+    DEFAULT_MAX_PRICE_AGE_DAYS,
+    TAX_LOT_STATUS,
+    loadPriceFile,
+    parsePrices,
+    lookupPrice,
+    getScheduleLots,
+    buildTaxLots,
+    formatUsd,
+    toTaxLotRecords
+};
@@ -0,0 +1,187 @@
+/**
+ * Karma Labs Time Units
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Time units and UTC calendar arithmetic shared by the stage utilities.
+ * MONTH and YEAR are the fixed 30- and 365-day periods the contracts count
+ * in; the AVERAGE_ units are Gregorian averages for rates. Anything that
+ * must land on a real date (monthly releases, cliffs, report and limit
+ * periods) uses the calendar functions: months are counted as anniversaries
+ * of an anchor date, clamped to the end of shorter months, so Jan 31 plus
+ * one month is Feb 28 (or 29) and plus two months is Mar 31.
+ */
+
+// ============ CONSTANTS ============
+
+const TIME_UNITS = {
+    SECOND: 1,
+    MINUTE: 60,
+    HOUR: 3600,
+    DAY: 86400,
+    WEEK: 604800,
+    MONTH: 2592000,          // 30 days
+    YEAR: 31536000,          // 365 days
+    AVERAGE_MONTH: 2629746,  // 30.436875 days, a twelfth of AVERAGE_YEAR
+    AVERAGE_YEAR: 31556952   // 365.2425 days
+};
+
+// ============ CALENDAR ============
+
+/**
+ * Whether a year is a Gregorian leap year
+ * @param {number} year - Year
+ * @returns {boolean} True for leap years
+ */
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Number of days in a month
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @returns {number} 28-31
+ */
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Split a timestamp into UTC calendar fields
+ * @param {number} timestamp - Unix seconds
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+function toUtcDate(timestamp) {
+    const date = new Date(timestamp * 1000);
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes(),
+        second: date.getUTCSeconds()
+    };
+}
+
+/**
+ * Timestamp of UTC calendar fields
+ * @param {Object} fields - { year, month (1-12), day = 1, hour = 0, minute = 0, second = 0 }
+ * @returns {number} Unix seconds
+ */
+function fromUtcDate({ year, month, day = 1, hour = 0, minute = 0, second = 0 }) {
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+    date.setUTCHours(hour, minute, second, 0);
+    return date.getTime() / 1000;
+}
+
+/**
+ * Start of the UTC day containing a timestamp
+ * @param {number} timestamp - Unix seconds
+ * @returns {number} Unix seconds
+ */
+function startOfDay(timestamp) {
+    return timestamp - (((timestamp % TIME_UNITS.DAY) + TIME_UNITS.DAY) % TIME_UNITS.DAY);
+}
+
+/**
+ * Start of the UTC calendar month containing a timestamp
+ * @param {number} timestamp - Unix seconds
+ * @returns {number} Unix seconds
+ */
+function startOfMonth(timestamp) {
+    const { year, month } = toUtcDate(timestamp);
+    return fromUtcDate({ year, month });
+}
+
+/**
+ * Same day and time some calendar months later (or earlier), clamped to the
+ * last day of shorter months
+ * @param {number} timestamp - Unix seconds
+ * @param {number} months - Whole months, may be negative
+ * @returns {number} Unix seconds
+ */
+function addMonths(timestamp, months) {
+    if (!Number.isInteger(months)) throw new Error(`addMonths needs a whole number of months, got ${months}`);
+    const { year, month, day, hour, minute, second } = toUtcDate(timestamp);
+    const index = year * 12 + (month - 1) + months;
+    const targetYear = Math.floor(index / 12);
+    const targetMonth = index - targetYear * 12 + 1;
+    return fromUtcDate({
+        year: targetYear,
+        month: targetMonth,
+        day: Math.min(day, daysInMonth(targetYear, targetMonth)),
+        hour,
+        minute,
+        second
+    });
+}
+
+/**
+ * Anniversary some years later; Feb 29 falls on Feb 28 in common years
+ * @param {number} timestamp - Unix seconds
+ * @param {number} years - Whole years, may be negative
+ * @returns {number} Unix seconds
+ */
+function addYears(timestamp, years) {
+    return addMonths(timestamp, years * 12);
+}
+
+/**
+ * Whole monthly anniversaries of start reached by end
+ * @param {number} start - Anchor, unix seconds
+ * @param {number} end - Unix seconds
+ * @returns {number} Months elapsed (0 if end is before start)
+ */
+function monthsBetween(start, end) {
+    if (end <= start) return 0;
+    const from = toUtcDate(start);
+    const to = toUtcDate(end);
+    let months = (to.year - from.year) * 12 + (to.month - from.month);
+    if (addMonths(start, months) > end) months--;
+    return months;
+}
+
+/**
+ * Length in seconds of some calendar months counted from a start date
+ * @param {number} start - Unix seconds
+ * @param {number} months - Whole months
+ * @returns {number} Seconds
+ */
+function calendarMonthsDuration(start, months) {
+    return addMonths(start, months) - start;
+}
+
+/**
+ * The UTC calendar month containing a timestamp
+ * @param {number} timestamp - Unix seconds
+ * @returns {Object} { year, month (1-12), startTime, endTime (start of the next month), days }
+ */
+function getCalendarMonth(timestamp) {
+    const { year, month } = toUtcDate(timestamp);
+    const startTime = fromUtcDate({ year, month });
+    return {
+        year,
+        month,
+        startTime,
+        endTime: addMonths(startTime, 1),
+        days: daysInMonth(year, month)
+    };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    TIME_UNITS,
+    isLeapYear,
+    daysInMonth,
+    toUtcDate,
+    fromUtcDate,
+    startOfDay,
+    startOfMonth,
+    addMonths,
+    addYears,
+    monthsBetween,
+    calendarMonthsDuration,
+    getCalendarMonth
+};
@@ -0,0 +1,263 @@
+/**
+ * Karma Labs Timelock Queue
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Tracks KarmaTimelock operations from JS. Operation ids are computed offline
+ * exactly as queueOperation does; the queue is rebuilt from OperationQueued /
+ * OperationExecuted / OperationCancelled events and each operation is
+ * classified against its eta and the ADMIN_CONSTANTS.TIMELOCK grace period.
+ */
+
+const { ethers } = require("ethers");
+
+const { ADMIN_CONSTANTS } = require("../protocol/01-core-token-infrastructure/utils/constants");
+
+// ============ CONSTANTS ============
+
+const { GRACE_PERIOD } = ADMIN_CONSTANTS.TIMELOCK;
+
+// Warn when an operation has less than this left in its grace window
+const DEFAULT_WARNING_WINDOW = 24 * 60 * 60;
+
+// Blocks per getLogs request when reading timelock events
+const DEFAULT_BLOCK_RANGE = 2000;
+
+// KarmaTimelock.OperationType
+const OPERATION_TYPES = {
+    STANDARD: 0,
+    CRITICAL: 1,
+    EMERGENCY: 2,
+    GOVERNANCE: 3
+};
+
+const OPERATION_STATES = {
+    PENDING: "pending",
+    READY: "ready",
+    EXPIRING: "expiring",
+    EXPIRED: "expired",
+    EXECUTED: "executed",
+    CANCELLED: "cancelled"
+};
+
+const TIMELOCK_ABI = [
+    "event OperationQueued(bytes32 indexed id, address indexed target, uint256 value, bytes data, uint256 eta, uint8 operationType, address indexed proposer)",
+    "event OperationExecuted(bytes32 indexed id, address indexed target, uint256 value, bytes data, address indexed executor)",
+    "event OperationCancelled(bytes32 indexed id, address indexed canceller)",
+    "function executeOperation(bytes32 operationId) payable",
+    "function executeBatchOperations(bytes32[] operationIds) payable",
+    "function isOperationReady(bytes32 operationId) view returns (bool)",
+    "function hasRole(bytes32 role, address account) view returns (bool)"
+];
+
+const timelockInterface = new ethers.Interface(TIMELOCK_ABI);
+
+// ============ OPERATION IDS ============
+
+/**
+ * Resolve an operation type given by name or number
+ * @param {string|number} operationType - "CRITICAL" or 1
+ * @returns {number} Enum value
+ */
+function toOperationType(operationType) {
+    const value = typeof operationType === "string" && operationType in OPERATION_TYPES
+        ? OPERATION_TYPES[operationType]
+        : Number(operationType);
+    if (!Object.values(OPERATION_TYPES).includes(value)) {
+        throw new Error(`Unknown timelock operation type ${operationType}`);
+    }
+    return value;
+}
+
+/**
+ * Name of an operation type
+ * @param {number} operationType - Enum value
+ * @returns {string} Type name
+ */
+function operationTypeName(operationType) {
+    return Object.keys(OPERATION_TYPES).find(name => OPERATION_TYPES[name] === Number(operationType));
+}
+
+/**
+ * Operation id as KarmaTimelock.queueOperation computes it:
+ * keccak256(abi.encode(target, value, data, operationType, msg.sender, block.timestamp))
+ * @param {Object} operation - Operation
+ * @param {string} operation.target - Call target
+ * @param {string|bigint} operation.value - Wei sent with the call
+ * @param {string} operation.data - Call data
+ * @param {string|number} operation.operationType - Type name or enum value
+ * @param {string} operation.proposer - msg.sender of queueOperation
+ * @param {number|bigint} operation.timestamp - Timestamp of the queueing block
+ * @returns {string} bytes32 operation id
+ */
+function computeOperationId({ target, value = 0, data, operationType, proposer, timestamp }) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address", "uint256", "bytes", "uint8", "address", "uint256"],
+        [target, value, data, toOperationType(operationType), proposer, timestamp]
+    ));
+}
+
+/**
+ * Operation ids for a queueBatchOperations call. The batch calls
+ * this.queueOperation, so msg.sender inside is the timelock itself.
+ * @param {Object} batch - Batch
+ * @param {Array<string>} batch.targets - Call targets
+ * @param {Array<string|bigint>} batch.values - Wei per call
+ * @param {Array<string>} batch.datas - Call data per call
+ * @param {string|number} batch.operationType - Type for every call
+ * @param {string} batch.timelock - KarmaTimelock address
+ * @param {number|bigint} batch.timestamp - Timestamp of the queueing block
+ * @returns {Array<string>} Operation ids
+ * @throws {Error} When two calls would share an id (the batch would revert)
+ */
+function computeBatchOperationIds({ targets, values, datas, operationType, timelock, timestamp }) {
+    if (targets.length !== values.length || values.length !== datas.length) {
+        throw new Error("Batch targets, values and datas must have the same length");
+    }
+
+    const ids = targets.map((target, i) => computeOperationId({
+        target,
+        value: values[i],
+        data: datas[i],
+        operationType,
+        proposer: timelock,
+        timestamp
+    }));
+
+    const duplicate = ids.findIndex((id, i) => ids.indexOf(id) !== i);
+    if (duplicate !== -1) {
+        throw new Error(`Batch call ${duplicate} repeats call ${ids.indexOf(ids[duplicate])}; KarmaTimelock would reject it as already queued`);
+    }
+    return ids;
+}
+
+// ============ QUEUE ============
+
+/**
+ * Rebuild the operation queue from timelock events
+ * @param {Object} provider - ethers provider
+ * @param {string} timelock - KarmaTimelock address
+ * @param {Object} range - { fromBlock, toBlock, blockRange } events are read
+ *        blockRange blocks per getLogs request
+ * @returns {Promise<Array<Object>>} Operations in queue order
+ */
+async function fetchOperations(provider, timelock, { fromBlock = 0, toBlock = "latest", blockRange = DEFAULT_BLOCK_RANGE } = {}) {
+    const topics = [["OperationQueued", "OperationExecuted", "OperationCancelled"]
+        .map(name => timelockInterface.getEvent(name).topicHash)];
+    const last = toBlock === "latest" ? await provider.getBlockNumber() : toBlock;
+    const logs = [];
+    for (let from = fromBlock; from <= last; from += blockRange) {
+        logs.push(...await provider.getLogs({ address: timelock, topics, fromBlock: from, toBlock: Math.min(from + blockRange - 1, last) }));
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || (a.index ?? a.logIndex) - (b.index ?? b.logIndex));
+
+    const operations = new Map();
+    const blockTimes = new Map();
+    const timestampOf = async (blockNumber) => {
+        if (!blockTimes.has(blockNumber)) blockTimes.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+        return blockTimes.get(blockNumber);
+    };
+
+    for (const log of logs) {
+        const { name, args } = timelockInterface.parseLog(log);
+
+        if (name === "OperationQueued") {
+            const queuedAt = await timestampOf(log.blockNumber);
+            const proposer = ethers.getAddress(args.proposer);
+            const operation = {
+                id: args.id,
+                target: ethers.getAddress(args.target),
+                value: args.value.toString(),
+                data: args.data,
+                eta: Number(args.eta),
+                operationType: operationTypeName(args.operationType),
+                proposer,
+                batch: proposer === ethers.getAddress(timelock),
+                queuedAt,
+                queuedIn: log.transactionHash,
+                status: "queued",
+                closedIn: null
+            };
+            // Anything else means the event does not come from KarmaTimelock as deployed
+            operation.idVerified = computeOperationId({ ...operation, timestamp: queuedAt }) === operation.id;
+            operations.set(args.id, operation);
+        } else if (operations.has(args.id)) {
+            const operation = operations.get(args.id);
+            operation.status = name === "OperationExecuted" ? OPERATION_STATES.EXECUTED : OPERATION_STATES.CANCELLED;
+            operation.closedIn = log.transactionHash;
+        }
+    }
+    return [...operations.values()];
+}
+
+/**
+ * Classify an operation against the clock and grace period
+ * @param {Object} operation - From fetchOperations
+ * @param {number} now - Current chain time in seconds
+ * @param {Object} options - { gracePeriod, warningWindow }
+ * @returns {Object} Operation with state, readyIn and expiresIn (seconds)
+ */
+function classifyOperation(operation, now, { gracePeriod = GRACE_PERIOD, warningWindow = DEFAULT_WARNING_WINDOW } = {}) {
+    const expiresAt = operation.eta + gracePeriod;
+    let state;
+
+    if (operation.status !== "queued") {
+        state = operation.status;
+    } else if (now < operation.eta) {
+        state = OPERATION_STATES.PENDING;
+    } else if (now > expiresAt) {
+        state = OPERATION_STATES.EXPIRED;
+    } else if (expiresAt - now <= warningWindow) {
+        state = OPERATION_STATES.EXPIRING;
+    } else {
+        state = OPERATION_STATES.READY;
+    }
+
+    return {
+        ...operation,
+        state,
+        expiresAt,
+        readyIn: Math.max(operation.eta - now, 0),
+        expiresIn: Math.max(expiresAt - now, 0)
+    };
+}
+
+/**
+ * Group queued operations that can be executed now
+ * @param {Array<Object>} operations - Classified operations
+ * @returns {Array<Object>} Ready and expiring operations, soonest to expire first
+ */
+function selectExecutable(operations) {
+    return operations
+        .filter(operation => operation.state === OPERATION_STATES.READY || operation.state === OPERATION_STATES.EXPIRING)
+        .sort((a, b) => a.expiresAt - b.expiresAt);
+}
+
+/**
+ * Format a number of seconds as "2d 3h 4m"
+ * @param {number} seconds - Duration
+ * @returns {string} Human-readable duration
+ */
+function formatDuration(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const parts = [days && `${days}d`, hours && `${hours}h`, `${minutes}m`].filter(Boolean);
+    return parts.join(" ");
+}
+
+module.exports = {
+    GRACE_PERIOD,
+    DEFAULT_WARNING_WINDOW,
+    DEFAULT_BLOCK_RANGE,
+    OPERATION_TYPES,
+    OPERATION_STATES,
+    TIMELOCK_ABI,
+    toOperationType,
+    operationTypeName,
+    computeOperationId,
+    computeBatchOperationIds,
+    fetchOperations,
+    classifyOperation,
+    selectExecutable,
+    formatDuration
+};
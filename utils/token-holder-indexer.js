@@ -0,0 +1,388 @@
+/**
+ * Karma Labs Token Holder Indexer
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Incrementally indexes KarmaToken Transfer events into a local SQLite store
+ * and keeps per-address balances, so holder counts, circulating supply and
+ * transfer volume can be read without scanning the chain. Every indexed block
+ * is stored with its hash; when the chain no longer has a stored hash the
+ * indexer rolls back to the last block it still agrees on and re-indexes.
+ */
+
+const path = require("path");
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+
+const { getDeploymentsDir, getContractEntry } = require("./deployment-manifest");
+
+// ============ CONSTANTS ============
+
+const TRANSFER_ABI = ["event Transfer(address indexed from, address indexed to, uint256 value)"];
+
+const transferInterface = new ethers.Interface(TRANSFER_ABI);
+const TRANSFER_TOPIC = transferInterface.getEvent("Transfer").topicHash;
+
+// Contracts whose balances are not circulating supply
+const CIRCULATING_EXCLUDED_CONTRACTS = [
+    "VestingVault",
+    "Treasury",
+    "SaleManager",
+    "BuybackBurn",
+    "GovernanceStaking"
+];
+
+const DEFAULT_BLOCK_RANGE = 2000;
+
+// Stored blocks checked against the chain before each sync
+const DEFAULT_REORG_DEPTH = 128;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS transfers (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        sender TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE TABLE IF NOT EXISTS balances (
+        address TEXT PRIMARY KEY,
+        balance TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS tags (
+        address TEXT PRIMARY KEY,
+        label TEXT NOT NULL
+    );
+`;
+
+/**
+ * Default database path for a network
+ * @param {string} network - Network name
+ * @returns {string} deployments/<network>.holders.sqlite
+ */
+function getHolderDatabasePath(network) {
+    return path.join(getDeploymentsDir(), `${network}.holders.sqlite`);
+}
+
+// ============ INDEXER ============
+
+class TokenHolderIndexer {
+    /**
+     * @param {Object} options - Indexer options
+     * @param {Object} options.provider - ethers provider
+     * @param {string} options.token - KarmaToken address
+     * @param {string} options.database - SQLite file path (":memory:" for a throwaway index)
+     * @param {number} options.startBlock - First block to index (the token deployment block)
+     * @param {number} options.blockRange - Blocks per getLogs request
+     * @param {number} options.confirmations - Blocks behind the head to stop at
+     * @param {number} options.reorgDepth - Stored blocks re-checked before each sync
+     * @param {Function} options.log - Logger
+     */
+    constructor({
+        provider,
+        token,
+        database,
+        startBlock = 0,
+        blockRange = DEFAULT_BLOCK_RANGE,
+        confirmations = 0,
+        reorgDepth = DEFAULT_REORG_DEPTH,
+        log = () => {}
+    }) {
+        this.provider = provider;
+        this.token = ethers.getAddress(token);
+        this.startBlock = startBlock;
+        this.blockRange = blockRange;
+        this.confirmations = confirmations;
+        this.reorgDepth = reorgDepth;
+        this.log = log;
+
+        this.db = new Database(database);
+        this.db.pragma("journal_mode = WAL");
+        this.db.exec(SCHEMA);
+
+        const indexedToken = this._getMeta("token");
+        if (indexedToken && indexedToken !== this.token) {
+            this.db.close();
+            throw new Error(`${database} indexes token ${indexedToken}, not ${this.token}`);
+        }
+        if (!indexedToken) {
+            this._setMeta("token", this.token);
+            this._setMeta("totalSupply", "0");
+        }
+    }
+
+    /**
+     * Tag addresses whose balances do not count as circulating supply
+     * @param {Object} tags - Map of address to label, e.g. { "0x...": "Treasury" }
+     */
+    tagAddresses(tags) {
+        const upsert = this.db.prepare("INSERT INTO tags (address, label) VALUES (?, ?) ON CONFLICT(address) DO UPDATE SET label = excluded.label");
+        this.db.transaction(() => {
+            for (const [address, label] of Object.entries(tags)) {
+                upsert.run(ethers.getAddress(address), label);
+            }
+        })();
+    }
+
+    /**
+     * Index every block up to the confirmed head (or toBlock)
+     * @param {Object} options - { toBlock }
+     * @returns {Promise<Object>} { fromBlock, toBlock, transfers, rolledBack }
+     */
+    async sync({ toBlock } = {}) {
+        const rolledBack = await this._rewindReorgs();
+
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        const target = toBlock === undefined ? head : Math.min(toBlock, head);
+        const fromBlock = this.getLastIndexedBlock() + 1;
+        let transfers = 0;
+
+        for (let from = fromBlock; from <= target; from += this.blockRange) {
+            const to = Math.min(from + this.blockRange - 1, target);
+            const logs = await this.provider.getLogs({ address: this.token, topics: [TRANSFER_TOPIC], fromBlock: from, toBlock: to });
+            const blocks = await this._fetchBlocks(logs, to);
+
+            this._applyRange(logs, blocks, to);
+            transfers += logs.length;
+            this.log(`📥 Indexed blocks ${from}-${to}: ${logs.length} transfers`);
+        }
+
+        return { fromBlock, toBlock: Math.max(target, fromBlock - 1), transfers, rolledBack };
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        this.db.close();
+    }
+
+    // ============ QUERIES ============
+
+    /**
+     * @returns {number} Last block whose transfers are indexed
+     */
+    getLastIndexedBlock() {
+        const lastBlock = this._getMeta("lastBlock");
+        return lastBlock === null ? this.startBlock - 1 : Number(lastBlock);
+    }
+
+    /**
+     * @param {string} address - Holder address
+     * @returns {bigint} Indexed balance
+     */
+    getBalance(address) {
+        const row = this.db.prepare("SELECT balance FROM balances WHERE address = ?").get(ethers.getAddress(address));
+        return row ? BigInt(row.balance) : 0n;
+    }
+
+    /**
+     * @returns {number} Addresses holding a non-zero balance
+     */
+    getHolderCount() {
+        return this.db.prepare("SELECT COUNT(*) AS count FROM balances").get().count;
+    }
+
+    /**
+     * @returns {bigint} Minted minus burned supply
+     */
+    getTotalSupply() {
+        return BigInt(this._getMeta("totalSupply"));
+    }
+
+    /**
+     * Total supply less the balances of tagged addresses
+     * @returns {bigint} Circulating supply
+     */
+    getCirculatingSupply() {
+        const locked = this.db.prepare("SELECT b.balance FROM balances b JOIN tags t ON t.address = b.address").all()
+            .reduce((sum, row) => sum + BigInt(row.balance), 0n);
+        return this.getTotalSupply() - locked;
+    }
+
+    /**
+     * Holder-to-holder transfers (mints and burns excluded) since a time
+     * @param {number} since - Unix timestamp in seconds
+     * @returns {Object} { count, volume, average } with volume and average in wei
+     */
+    getTransferStats(since) {
+        const rows = this.db.prepare(`
+            SELECT t.value FROM transfers t JOIN blocks b ON b.number = t.block_number
+            WHERE b.timestamp >= ? AND t.sender != ? AND t.recipient != ?
+        `).all(since, ethers.ZeroAddress, ethers.ZeroAddress);
+
+        const volume = rows.reduce((sum, row) => sum + BigInt(row.value), 0n);
+        const count = rows.length;
+        return { count, volume, average: count === 0 ? 0n : volume / BigInt(count) };
+    }
+
+    // ============ INTERNALS ============
+
+    _getMeta(key) {
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+        return row ? row.value : null;
+    }
+
+    _setMeta(key, value) {
+        this.db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value").run(key, String(value));
+    }
+
+    /**
+     * Hash and timestamp of every block holding a log, plus the range end
+     * so the next sync can tell whether the chain under it changed
+     */
+    async _fetchBlocks(logs, rangeEnd) {
+        const blocks = new Map();
+        for (const log of logs) {
+            if (!blocks.has(log.blockNumber)) {
+                const block = await this.provider.getBlock(log.blockHash);
+                if (!block) throw new Error(`Block ${log.blockHash} was re-orged out while indexing; sync again`);
+                blocks.set(log.blockNumber, block);
+            }
+        }
+        if (!blocks.has(rangeEnd)) blocks.set(rangeEnd, await this.provider.getBlock(rangeEnd));
+        return blocks;
+    }
+
+    _applyRange(logs, blocks, rangeEnd) {
+        const insertBlock = this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)");
+        const insertTransfer = this.db.prepare("INSERT INTO transfers (block_number, log_index, tx_hash, sender, recipient, value) VALUES (?, ?, ?, ?, ?, ?)");
+
+        this.db.transaction(() => {
+            for (const [number, block] of blocks) {
+                insertBlock.run(number, block.hash, block.timestamp);
+            }
+            for (const log of logs) {
+                const { args } = transferInterface.parseLog(log);
+                const sender = ethers.getAddress(args.from);
+                const recipient = ethers.getAddress(args.to);
+                insertTransfer.run(log.blockNumber, log.index ?? log.logIndex, log.transactionHash, sender, recipient, args.value.toString());
+                this._moveBalance(sender, recipient, args.value);
+            }
+            this._setMeta("lastBlock", rangeEnd);
+        })();
+    }
+
+    /**
+     * Apply a transfer of value (negative to undo one) to the balances and supply
+     */
+    _moveBalance(sender, recipient, value) {
+        if (sender === ethers.ZeroAddress) {
+            this._setMeta("totalSupply", this.getTotalSupply() + value);
+        } else {
+            this._addBalance(sender, -value);
+        }
+        if (recipient === ethers.ZeroAddress) {
+            this._setMeta("totalSupply", this.getTotalSupply() - value);
+        } else {
+            this._addBalance(recipient, value);
+        }
+    }
+
+    _addBalance(address, delta) {
+        const balance = this.getBalance(address) + delta;
+        if (balance < 0n) {
+            throw new Error(`Balance of ${address} would go negative; the index must start at the token deployment block`);
+        }
+        if (balance === 0n) {
+            this.db.prepare("DELETE FROM balances WHERE address = ?").run(address);
+        } else {
+            this.db.prepare("INSERT INTO balances (address, balance) VALUES (?, ?) ON CONFLICT(address) DO UPDATE SET balance = excluded.balance")
+                .run(address, balance.toString());
+        }
+    }
+
+    /**
+     * Walk back from the newest stored block until the chain has the same hash,
+     * then undo everything indexed after it
+     * @returns {Promise<number>} Transfers rolled back
+     */
+    async _rewindReorgs() {
+        const stored = this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?").all(this.reorgDepth);
+        let forkParent = null;
+
+        for (const block of stored) {
+            const onChain = await this.provider.getBlock(block.number);
+            if (onChain && onChain.hash === block.hash) {
+                forkParent = block.number;
+                break;
+            }
+        }
+
+        if (stored.length === 0 || forkParent === stored[0].number) return 0;
+        if (forkParent === null && stored.length === this.reorgDepth) {
+            throw new Error(`Re-org deeper than the last ${this.reorgDepth} indexed blocks; delete the index and re-sync`);
+        }
+
+        const rollbackTo = forkParent === null ? this.startBlock - 1 : forkParent;
+        const undone = this._rollback(rollbackTo);
+        this.log(`↩️  Re-org below block ${stored[0].number}: rolled back ${undone} transfers to block ${rollbackTo}`);
+        return undone;
+    }
+
+    _rollback(blockNumber) {
+        const undone = this.db.prepare("SELECT sender, recipient, value FROM transfers WHERE block_number > ? ORDER BY block_number DESC, log_index DESC")
+            .all(blockNumber);
+
+        this.db.transaction(() => {
+            for (const transfer of undone) {
+                this._moveBalance(transfer.sender, transfer.recipient, -BigInt(transfer.value));
+            }
+            this.db.prepare("DELETE FROM transfers WHERE block_number > ?").run(blockNumber);
+            this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+            this._setMeta("lastBlock", blockNumber);
+        })();
+        return undone.length;
+    }
+}
+
+// ============ MANIFEST ============
+
+/**
+ * Open the holder index for a network's KarmaToken, tagging the manifest's
+ * vesting, treasury, sale, buyback and staking contracts as non-circulating
+ * @param {Object} provider - ethers provider
+ * @param {Object} manifest - Deployment manifest
+ * @param {Object} options - TokenHolderIndexer options (database defaults to deployments/<network>.holders.sqlite)
+ * @returns {TokenHolderIndexer} Indexer
+ */
+function createHolderIndexer(provider, manifest, options = {}) {
+    const token = getContractEntry(manifest, "KarmaToken");
+    if (!token) throw new Error(`KarmaToken not found in deployment manifest for ${manifest.network}`);
+
+    const indexer = new TokenHolderIndexer({
+        provider,
+        token: token.address,
+        database: getHolderDatabasePath(manifest.network),
+        startBlock: token.blockNumber ?? 0,
+        ...options
+    });
+
+    const tags = {};
+    for (const name of CIRCULATING_EXCLUDED_CONTRACTS) {
+        const entry = getContractEntry(manifest, name);
+        if (entry) tags[entry.address] = name;
+    }
+    indexer.tagAddresses(tags);
+    return indexer;
+}
+
+module.exports = {
+    TRANSFER_ABI,
+    CIRCULATING_EXCLUDED_CONTRACTS,
+    DEFAULT_BLOCK_RANGE,
+    DEFAULT_REORG_DEPTH,
+    TokenHolderIndexer,
+    getHolderDatabasePath,
+    createHolderIndexer
+};
@@ -0,0 +1,293 @@
+/**
+ * Karma Labs Transaction Tracer
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Wraps an EIP-1193 provider and records every transaction a script sends:
+ * the contract and method, gas used and revert reason. Used by the dry-run
+ * mode to price a deploy or setup script before it touches a live network.
+ */
+
+const { ethers } = require("ethers");
+
+// ============ CONSTANTS ============
+
+const SEND_METHODS = ["eth_sendTransaction", "eth_sendRawTransaction"];
+
+// ============ HELPERS ============
+
+/**
+ * Pull a human-readable revert reason out of a provider or ethers error
+ * @param {Error} error - Error thrown while sending
+ * @returns {string} Revert reason
+ */
+function extractRevertReason(error) {
+    const messages = [
+        error && error.reason,
+        error && error.data && error.data.message,
+        error && error.error && error.error.message,
+        error && error.shortMessage,
+        error && error.message
+    ].filter(message => typeof message === "string");
+
+    const patterns = [
+        /reverted with reason string '([^']*)'/,
+        /reverted with custom error '([^']*)'/,
+        /reverted with panic code ([^\s]+(?: \([^)]*\))?)/,
+        /execution reverted: (.*)/
+    ];
+
+    for (const message of messages) {
+        for (const pattern of patterns) {
+            const match = message.match(pattern);
+            if (match) return match[1];
+        }
+        if (message.includes("reverted without a reason")) return "reverted without a reason";
+    }
+    return messages.length > 0 ? messages[0].split("\n")[0] : "unknown error";
+}
+
+/**
+ * Format a wei amount as ETH with trailing zeros trimmed
+ * @param {bigint} wei - Amount in wei
+ * @returns {string} Amount in ETH
+ */
+function formatEth(wei) {
+    return ethers.formatEther(wei).replace(/\.0$/, "");
+}
+
+/**
+ * Total the gas and cost of traced transactions
+ * @param {Array<Object>} records - Traced transactions
+ * @param {bigint} gasPrice - Gas price in wei
+ * @returns {Object} Summary with counts, total gas and total cost in wei
+ */
+function summarizeTransactions(records, gasPrice) {
+    const totalGas = records.reduce((sum, record) => sum + (record.gasUsed ?? 0n), 0n);
+    return {
+        transactions: records.length,
+        succeeded: records.filter(record => record.status === "success").length,
+        reverted: records.filter(record => record.status === "reverted").length,
+        unpricedReverts: records.filter(record => record.status === "reverted" && record.gasUsed === null).length,
+        totalGas,
+        gasPrice,
+        totalCost: totalGas * gasPrice
+    };
+}
+
+// ============ TRACER ============
+
+class TransactionTracer {
+    /**
+     * @param {Object} options - Tracer options
+     * @param {Array<Object>} options.artifacts - { contractName, abi, bytecode } used to label transactions
+     * @param {Object} options.addresses - Known address to contract name map (e.g. from the manifest)
+     * @param {bigint} options.gasPrice - Gas price in wei used for cost estimates
+     * @param {Function} options.log - Logger
+     */
+    constructor({ artifacts = [], addresses = {}, gasPrice = 0n, log = console.log } = {}) {
+        this.gasPrice = gasPrice;
+        this.log = log;
+        this.records = [];
+        this.artifacts = artifacts.filter(artifact => artifact.bytecode && artifact.bytecode !== "0x");
+        this.interfaces = new Map(artifacts.map(artifact => [artifact.contractName, new ethers.Interface(artifact.abi)]));
+        this.addresses = new Map();
+        this.provider = null;
+        this.original = null;
+
+        for (const [address, contractName] of Object.entries(addresses)) {
+            this.registerAddress(address, contractName);
+        }
+    }
+
+    /**
+     * Label an address with the contract deployed there
+     * @param {string} address - Contract address
+     * @param {string} contractName - Contract name
+     */
+    registerAddress(address, contractName) {
+        this.addresses.set(address.toLowerCase(), contractName);
+    }
+
+    /**
+     * Start recording transactions sent through a provider
+     * Both request() and the legacy send() are wrapped, since hardhat-ethers uses send().
+     * @param {Object} provider - EIP-1193 provider (e.g. hre.network.provider)
+     */
+    attach(provider) {
+        if (this.provider) {
+            throw new Error("Tracer is already attached");
+        }
+
+        const original = {
+            request: provider.request,
+            send: provider.send,
+            ownRequest: Object.prototype.hasOwnProperty.call(provider, "request"),
+            ownSend: Object.prototype.hasOwnProperty.call(provider, "send")
+        };
+        const forward = (args) => original.request.call(provider, args);
+
+        provider.request = async (args) => {
+            if (!SEND_METHODS.includes(args.method)) {
+                return forward(args);
+            }
+            return this._traceSend(args, forward);
+        };
+        if (typeof original.send === "function") {
+            provider.send = (method, params) => provider.request({ method, params });
+        }
+
+        this.provider = provider;
+        this.original = original;
+    }
+
+    /**
+     * Stop recording and restore the provider
+     */
+    detach() {
+        if (!this.provider) return;
+
+        const { provider, original } = this;
+        if (original.ownRequest) provider.request = original.request; else delete provider.request;
+        if (original.ownSend) provider.send = original.send; else delete provider.send;
+
+        this.provider = null;
+        this.original = null;
+    }
+
+    /**
+     * Summarize everything recorded so far
+     * @returns {Object} Summary (see summarizeTransactions)
+     */
+    summary() {
+        return summarizeTransactions(this.records, this.gasPrice);
+    }
+
+    /**
+     * Describe a transaction as Contract.method
+     * @param {Object} tx - { to, data }
+     * @returns {Object} { contract, method, label }
+     */
+    describe({ to, data }) {
+        const input = data || "0x";
+
+        if (!to) {
+            const artifact = this._matchDeployment(input);
+            const contract = artifact ? artifact.contractName : "UnknownContract";
+            return { contract, method: "deploy", label: `${contract}.deploy` };
+        }
+
+        const contract = this.addresses.get(to.toLowerCase()) || null;
+        if (input === "0x") {
+            return { contract, method: null, label: `ETH transfer to ${contract || to}` };
+        }
+
+        const method = this._decodeMethod(contract, input);
+        return { contract, method, label: `${contract || to}.${method}` };
+    }
+
+    // ============ INTERNAL ============
+
+    async _traceSend(args, forward) {
+        const tx = this._parseTransaction(args);
+        const description = this.describe(tx);
+        const record = {
+            index: this.records.length + 1,
+            ...description,
+            from: tx.from || null,
+            to: tx.to || null,
+            hash: null,
+            contractAddress: null,
+            status: "success",
+            gasUsed: null,
+            reason: null
+        };
+        this.records.push(record);
+
+        try {
+            const hash = await forward(args);
+            record.hash = hash;
+
+            const receipt = await forward({ method: "eth_getTransactionReceipt", params: [hash] });
+            if (receipt) {
+                record.gasUsed = BigInt(receipt.gasUsed);
+                record.contractAddress = receipt.contractAddress ? ethers.getAddress(receipt.contractAddress) : null;
+                if (receipt.contractAddress) {
+                    this.registerAddress(receipt.contractAddress, description.contract);
+                }
+                if (BigInt(receipt.status) === 0n) {
+                    record.status = "reverted";
+                    record.reason = "reverted";
+                }
+            }
+            this._logRecord(record);
+            return hash;
+        } catch (error) {
+            record.status = "reverted";
+            record.reason = extractRevertReason(error);
+
+            // Hardhat mines failing transactions before throwing and reports the hash
+            const hash = error && error.transactionHash;
+            if (hash) {
+                record.hash = hash;
+                const receipt = await forward({ method: "eth_getTransactionReceipt", params: [hash] }).catch(() => null);
+                if (receipt) record.gasUsed = BigInt(receipt.gasUsed);
+            }
+            this._logRecord(record);
+            throw error;
+        }
+    }
+
+    _parseTransaction({ method, params }) {
+        if (method === "eth_sendRawTransaction") {
+            const parsed = ethers.Transaction.from(params[0]);
+            return { from: parsed.from, to: parsed.to, data: parsed.data };
+        }
+        const [tx] = params;
+        return {
+            from: tx.from ? ethers.getAddress(tx.from) : null,
+            to: tx.to ? ethers.getAddress(tx.to) : null,
+            data: tx.data || tx.input
+        };
+    }
+
+    _matchDeployment(input) {
+        let best = null;
+        for (const artifact of this.artifacts) {
+            if (input.startsWith(artifact.bytecode) && (!best || artifact.bytecode.length > best.bytecode.length)) {
+                best = artifact;
+            }
+        }
+        return best;
+    }
+
+    _decodeMethod(contract, input) {
+        const selector = input.slice(0, 10);
+        const known = contract && this.interfaces.get(contract);
+        const candidates = known ? [known] : this.interfaces.values();
+
+        for (const iface of candidates) {
+            const fragment = iface.getFunction(selector);
+            if (fragment) return fragment.name;
+        }
+        return selector;
+    }
+
+    _logRecord(record) {
+        const prefix = `[${record.index}] ${record.label}`;
+        const gas = record.gasUsed === null ? null : `${record.gasUsed.toLocaleString("en-US")} gas`;
+        const cost = record.gasUsed === null ? null : `${formatEth(record.gasUsed * this.gasPrice)} ETH`;
+
+        if (record.status === "success") {
+            this.log(`   ✅ ${prefix}: ${gas}, ${cost}`);
+        } else {
+            this.log(`   ❌ ${prefix} reverted: ${record.reason}${gas ? ` (${gas}, ${cost})` : ""}`);
+        }
+    }
+}
+
+module.exports = {
+    TransactionTracer,
+    extractRevertReason,
+    summarizeTransactions,
+    formatEth
+};
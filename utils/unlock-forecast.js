@@ -0,0 +1,304 @@
+/**
+ * Karma Labs Unlock Forecast
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Day-by-day token unlock calendar and circulating supply forecast. Every
+ * schedule in VestingVault is read once (TeamVesting, PrivateSaleVesting and
+ * SaleManager create theirs there too) and assigned to a
+ * TOKEN_CONSTANTS.ALLOCATIONS category. The part of each allocation no
+ * schedule covers yet follows an unlock policy: liquid at TGE, locked, or
+ * a Stage 2 vesting curve starting at TGE.
+ */
+
+const { ethers } = require("ethers");
+
+const { TOKEN_CONSTANTS } = require("../protocol/01-core-token-infrastructure/utils/constants");
+const { calculateVestedAmount, allocateVestingCurve } = require("../protocol/02-vesting-system-architecture/utils/vesting-calculator");
+
+// ============ CONSTANTS ============
+
+const DAY = 24 * 60 * 60;
+
+const CATEGORIES = Object.keys(TOKEN_CONSTANTS.ALLOCATIONS);
+
+// Schedules no manager claims are categorised by their scheduleType
+const SCHEDULE_TYPE_CATEGORIES = {
+    TEAM: "TEAM",
+    TEAM_STANDARD: "TEAM",
+    PRIVATE_SALE: "PRIVATE_SALE",
+    PRIVATE_SALE_STANDARD: "PRIVATE_SALE",
+    PRE_SALE: "PRE_SALE",
+    COMMUNITY_REWARDS: "COMMUNITY_REWARDS"
+};
+
+// Any other schedule type lands here; it has no allocation of its own
+const OTHER_CATEGORY = "OTHER";
+
+// Unscheduled allocations stay locked unless their policy says otherwise.
+// Public sale tokens are minted straight to buyers, so they are liquid from TGE.
+const DEFAULT_UNLOCK_POLICIES = {
+    PUBLIC_SALE: "tge"
+};
+
+const FORECAST_ABI = [
+    "function getContractStats() view returns (uint256 totalSchedules, uint256 totalVesting, uint256 totalClaimed, uint256 totalAvailable)",
+    "function getVestingSchedule(uint256 scheduleId) view returns (tuple(uint256 totalAmount, uint256 claimedAmount, uint256 startTime, uint256 cliffDuration, uint256 vestingDuration, bool revoked, address beneficiary, string scheduleType))",
+    "function getBeneficiariesByType(string beneficiaryType) view returns (address[])",
+    "function getBeneficiaryInfo(address beneficiary) view returns (tuple(address beneficiary, uint256 totalAllocation, uint256 schedulesCount, uint256[] scheduleIds, string beneficiaryType, bool isActive))"
+];
+
+// ============ READING SCHEDULES ============
+
+/**
+ * Schedule ids created through a vesting manager
+ * @param {Object} manager - TeamVesting or PrivateSaleVesting contract
+ * @param {string} beneficiaryType - "TEAM_MEMBER" or "INVESTOR"
+ * @returns {Promise<Set<number>>} Schedule ids
+ */
+async function fetchManagerScheduleIds(manager, beneficiaryType) {
+    const ids = new Set();
+    for (const beneficiary of await manager.getBeneficiariesByType(beneficiaryType)) {
+        const info = await manager.getBeneficiaryInfo(beneficiary);
+        info.scheduleIds.forEach(id => ids.add(Number(id)));
+    }
+    return ids;
+}
+
+/**
+ * Read every VestingVault schedule and assign it a category
+ * @param {Object} provider - ethers provider
+ * @param {Object} addresses - { vestingVault, teamVesting, privateSaleVesting }; the managers are optional
+ * @returns {Promise<Array<Object>>} Schedules with id and category
+ */
+async function fetchVestingSchedules(provider, { vestingVault, teamVesting, privateSaleVesting }) {
+    const vault = new ethers.Contract(vestingVault, FORECAST_ABI, provider);
+
+    const managed = new Map();
+    if (teamVesting) {
+        const ids = await fetchManagerScheduleIds(new ethers.Contract(teamVesting, FORECAST_ABI, provider), "TEAM_MEMBER");
+        ids.forEach(id => managed.set(id, "TEAM"));
+    }
+    if (privateSaleVesting) {
+        const ids = await fetchManagerScheduleIds(new ethers.Contract(privateSaleVesting, FORECAST_ABI, provider), "INVESTOR");
+        ids.forEach(id => managed.set(id, "PRIVATE_SALE"));
+    }
+
+    const { totalSchedules } = await vault.getContractStats();
+    const schedules = [];
+    for (let id = 1; id <= Number(totalSchedules); id++) {
+        const schedule = await vault.getVestingSchedule(id);
+        schedules.push({
+            id,
+            beneficiary: schedule.beneficiary,
+            totalAmount: schedule.totalAmount,
+            claimedAmount: schedule.claimedAmount,
+            startTime: Number(schedule.startTime),
+            cliffDuration: Number(schedule.cliffDuration),
+            vestingDuration: Number(schedule.vestingDuration),
+            revoked: schedule.revoked,
+            scheduleType: schedule.scheduleType,
+            category: managed.get(id) || SCHEDULE_TYPE_CATEGORIES[schedule.scheduleType] || OTHER_CATEGORY
+        });
+    }
+    return schedules;
+}
+
+// ============ FORECAST ============
+
+/**
+ * Start of the UTC day containing a timestamp
+ * @param {number} timestamp - Unix seconds
+ * @returns {number} Unix seconds
+ */
+function startOfDay(timestamp) {
+    return timestamp - (((timestamp % DAY) + DAY) % DAY);
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Schedules standing in for the unscheduled part of each allocation
+ * @param {Object} scheduled - Scheduled amount per category
+ * @param {Object} options - { totalSupply, tgeTime, policies }
+ * @returns {Object} { allocations, schedules }
+ */
+function planAllocations(scheduled, { totalSupply, tgeTime, policies }) {
+    const allocations = {};
+    const schedules = [];
+
+    for (const category of CATEGORIES) {
+        const allocation = (totalSupply * BigInt(TOKEN_CONSTANTS.ALLOCATIONS[category])) / 100n;
+        const scheduledAmount = scheduled[category] || 0n;
+        const unscheduled = allocation > scheduledAmount ? allocation - scheduledAmount : 0n;
+        const policy = policies[category] || "locked";
+
+        allocations[category] = {
+            allocation,
+            scheduled: scheduledAmount,
+            unscheduled,
+            policy: typeof policy === "string" ? policy : policy.type
+        };
+
+        if (unscheduled === 0n || policy === "locked") continue;
+        if (policy === "tge") {
+            // A schedule that has fully vested by TGE
+            schedules.push({ totalAmount: unscheduled, claimedAmount: 0n, startTime: tgeTime, cliffDuration: 0, vestingDuration: 1, revoked: false, category, planned: true });
+        } else if (typeof policy === "object") {
+            allocateVestingCurve(policy, unscheduled, tgeTime)
+                .forEach(schedule => schedules.push({ ...schedule, category, planned: true }));
+        } else {
+            throw new Error(`Unknown unlock policy ${policy} for ${category} (expected "tge", "locked" or a vesting curve)`);
+        }
+    }
+    return { allocations, schedules };
+}
+
+/**
+ * Build the unlock calendar and circulating supply curve
+ * @param {Array<Object>} schedules - Schedules from fetchVestingSchedules
+ * @param {Object} options - Forecast options
+ * @param {number} options.from - First day (any timestamp within it)
+ * @param {number} options.days - Number of days
+ * @param {number} options.tgeTime - Token generation event, start of the planned allocations (default: from)
+ * @param {Object} options.policies - Unlock policy per category for unscheduled allocations (default: DEFAULT_UNLOCK_POLICIES)
+ * @param {bigint} options.totalSupply - Total supply (default: TOKEN_CONSTANTS.MAX_SUPPLY_WEI)
+ * @returns {Object} { from, days, totalSupply, categories, allocations, calendar }
+ */
+function buildForecast(schedules, options) {
+    const from = startOfDay(options.from);
+    const { days } = options;
+    const tgeTime = options.tgeTime ?? from;
+    const totalSupply = BigInt(options.totalSupply ?? TOKEN_CONSTANTS.MAX_SUPPLY_WEI);
+    const policies = { ...DEFAULT_UNLOCK_POLICIES, ...options.policies };
+
+    const scheduled = {};
+    for (const schedule of schedules) {
+        scheduled[schedule.category] = (scheduled[schedule.category] || 0n) + BigInt(schedule.totalAmount);
+    }
+    const { allocations, schedules: planned } = planAllocations(scheduled, { totalSupply, tgeTime, policies });
+
+    const all = [...schedules, ...planned];
+    const categories = [...CATEGORIES, ...Object.keys(scheduled).filter(category => !CATEGORIES.includes(category))];
+
+    // Cumulative unlocked amount per category at the end of each day, and before the first
+    const cumulative = Object.fromEntries(categories.map(category => [category, new Array(days + 1).fill(0n)]));
+    for (const schedule of all) {
+        const series = cumulative[schedule.category];
+        const unlockStart = schedule.startTime + schedule.cliffDuration;
+        const unlockEnd = schedule.startTime + schedule.vestingDuration;
+        const total = BigInt(schedule.totalAmount);
+
+        for (let i = 0; i <= days; i++) {
+            // Index 0 is the second before the first day; index i the last second of day i
+            const time = from + i * DAY - 1;
+            if (time < unlockStart && !schedule.revoked) continue;
+            series[i] += time >= unlockEnd && !schedule.revoked ? total : calculateVestedAmount(schedule, time);
+        }
+    }
+
+    const calendar = [];
+    for (let i = 1; i <= days; i++) {
+        const unlocked = {};
+        const unlockedToDate = {};
+        let dayTotal = 0n;
+        let circulatingSupply = 0n;
+        for (const category of categories) {
+            unlocked[category] = cumulative[category][i] - cumulative[category][i - 1];
+            unlockedToDate[category] = cumulative[category][i];
+            dayTotal += unlocked[category];
+            circulatingSupply += unlockedToDate[category];
+        }
+        calendar.push({
+            date: formatDate(from + (i - 1) * DAY),
+            timestamp: from + (i - 1) * DAY,
+            unlocked,
+            totalUnlocked: dayTotal,
+            unlockedToDate,
+            circulatingSupply,
+            circulatingBps: Number((circulatingSupply * 10000n) / totalSupply)
+        });
+    }
+
+    return { from, days, tgeTime, totalSupply, categories, allocations, calendar };
+}
+
+// ============ OUTPUT ============
+
+/**
+ * Unlock calendar rows for CSV: KARMA unlocked per category on each day
+ * @param {Object} forecast - Result of buildForecast
+ * @returns {Object} { columns, records }
+ */
+function toCalendarRecords(forecast) {
+    const columns = ["date", ...forecast.categories, "total"];
+    const records = forecast.calendar.map(day => ({
+        date: day.date,
+        ...Object.fromEntries(forecast.categories.map(category => [category, ethers.formatEther(day.unlocked[category])])),
+        total: ethers.formatEther(day.totalUnlocked)
+    }));
+    return { columns, records };
+}
+
+/**
+ * Circulating supply rows for CSV: KARMA unlocked to date per category and in total
+ * @param {Object} forecast - Result of buildForecast
+ * @returns {Object} { columns, records }
+ */
+function toSupplyRecords(forecast) {
+    const columns = ["date", ...forecast.categories, "circulating_supply", "circulating_percent"];
+    const records = forecast.calendar.map(day => ({
+        date: day.date,
+        ...Object.fromEntries(forecast.categories.map(category => [category, ethers.formatEther(day.unlockedToDate[category])])),
+        circulating_supply: ethers.formatEther(day.circulatingSupply),
+        circulating_percent: (day.circulatingBps / 100).toFixed(2)
+    }));
+    return { columns, records };
+}
+
+/**
+ * The forecast as JSON-ready data, amounts in KARMA
+ * @param {Object} forecast - Result of buildForecast
+ * @param {Object} meta - Extra top-level fields (network, generatedAt, ...)
+ * @returns {Object} Plain object
+ */
+function toForecastJson(forecast, meta = {}) {
+    const karma = (amounts) => Object.fromEntries(Object.entries(amounts).map(([key, value]) => [key, ethers.formatEther(value)]));
+    return {
+        ...meta,
+        from: formatDate(forecast.from),
+        days: forecast.days,
+        tge: new Date(forecast.tgeTime * 1000).toISOString(),
+        totalSupply: ethers.formatEther(forecast.totalSupply),
+        allocations: Object.fromEntries(Object.entries(forecast.allocations).map(([category, allocation]) => [category, {
+            ...karma({ allocation: allocation.allocation, scheduled: allocation.scheduled, unscheduled: allocation.unscheduled }),
+            policy: allocation.policy
+        }])),
+        calendar: forecast.calendar.map(day => ({
+            date: day.date,
+            unlocked: karma(day.unlocked),
+            totalUnlocked: ethers.formatEther(day.totalUnlocked),
+            unlockedToDate: karma(day.unlockedToDate),
+            circulatingSupply: ethers.formatEther(day.circulatingSupply),
+            circulatingPercent: Number((day.circulatingBps / 100).toFixed(2))
+        }))
+    };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    DAY,
+    CATEGORIES,
+    SCHEDULE_TYPE_CATEGORIES,
+    OTHER_CATEGORY,
+    DEFAULT_UNLOCK_POLICIES,
+    FORECAST_ABI,
+    fetchVestingSchedules,
+    startOfDay,
+    buildForecast,
+    toCalendarRecords,
+    toSupplyRecords,
+    toForecastJson
+};
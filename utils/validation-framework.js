@@ -0,0 +1,435 @@
+/**
+ * Karma Labs Validation Framework
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Shared post-deployment validation for the stage validate scripts and the
+ * release gate. Results are grouped by stage, printed as they are recorded
+ * and written as JSON and JUnit XML, so CI can fail a release on any failed
+ * check. Common checks (code present, role granted, parameter equals config,
+ * cross-contract pointer set) are declared as data and run by a stage.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// ============ CONSTANTS ============
+
+const TEST_STATUS = {
+    PASSED: "passed",
+    FAILED: "failed",
+    WARNING: "warning"
+};
+
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// ============ HELPERS ============
+
+/**
+ * Normalize an on-chain or config value for comparison
+ * Numbers, bigints and numeric strings compare as integers; addresses and
+ * hashes compare case-insensitively.
+ * @param {*} value - Value to normalize
+ * @returns {string} Comparable representation
+ */
+function normalizeValue(value) {
+    if (Array.isArray(value)) {
+        return JSON.stringify(value.map(normalizeValue));
+    }
+    // String() also covers ethers v5 BigNumber, which the stage packages still use
+    const text = String(value);
+    if (/^-?\d+$/.test(text)) {
+        return BigInt(text).toString();
+    }
+    if (text.startsWith("0x")) {
+        return text.toLowerCase();
+    }
+    return text;
+}
+
+/**
+ * Escape text for an XML attribute or element
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * Turn the value a custom check returns into a result
+ * @param {boolean|Object} outcome - true/false or { passed, message, isWarning }
+ * @returns {Object} { passed, message, isWarning }
+ */
+function toResult(outcome) {
+    if (typeof outcome === "boolean") {
+        return { passed: outcome, message: outcome ? "OK" : "Check failed", isWarning: false };
+    }
+    return { passed: !!outcome.passed, message: outcome.message || "", isWarning: !!outcome.isWarning };
+}
+
+// ============ CHECKS ============
+
+/**
+ * Contract code exists at an address
+ * @param {Object} options - Check options
+ * @param {string} options.name - Contract name
+ * @param {string} options.address - Expected deployment address
+ * @returns {Object} Check
+ */
+function codePresent({ name, address }) {
+    return {
+        name: `${name} Deployment`,
+        async run({ provider }) {
+            if (!address) {
+                return { passed: false, message: "Contract address not found in deployment manifest" };
+            }
+            const code = await provider.getCode(address);
+            return code === "0x"
+                ? { passed: false, message: `No contract code found at ${address}` }
+                : { passed: true, message: `Contract deployed at ${address}` };
+        }
+    };
+}
+
+/**
+ * An account holds an AccessControl role
+ * @param {Object} options - Check options
+ * @param {Object} options.contract - Contract exposing hasRole (and the role getter when role is a name)
+ * @param {string} options.contractName - Contract name for the report
+ * @param {string} options.role - Role id, or the name of the contract's role getter (e.g. "PAUSER_ROLE")
+ * @param {string} options.roleName - Role name for the report when role is an id
+ * @param {string} options.account - Account expected to hold the role
+ * @param {string} options.accountName - Account name for the report
+ * @returns {Object} Check
+ */
+function roleGranted({ contract, contractName, role, roleName, account, accountName }) {
+    const roleLabel = roleName || (BYTES32_PATTERN.test(role) ? `${role.slice(0, 10)}…` : role);
+    const holder = accountName || account;
+
+    return {
+        name: `${contractName} ${roleLabel} → ${holder}`,
+        async run() {
+            const roleId = BYTES32_PATTERN.test(role) ? role : await contract[role]();
+            const granted = await contract.hasRole(roleId, account);
+            return granted
+                ? { passed: true, message: `${holder} holds ${roleLabel}` }
+                : { passed: false, message: `${accountName ? `${accountName} (${account})` : account} is missing ${roleLabel}` };
+        }
+    };
+}
+
+/**
+ * A contract parameter matches its configured value
+ * @param {Object} options - Check options
+ * @param {Object} options.contract - Contract to read
+ * @param {string} options.contractName - Contract name for the report
+ * @param {string} options.getter - View function returning the parameter
+ * @param {Array} options.args - Getter arguments
+ * @param {string} options.field - Field of a struct return value to compare
+ * @param {*} options.expected - Configured value
+ * @param {string} options.source - Where the expected value came from (e.g. "stage7.1-config.json")
+ * @returns {Object} Check
+ */
+function paramEquals({ contract, contractName, getter, args = [], field, expected, source = "config" }) {
+    const label = field ? `${getter}().${field}` : `${getter}()`;
+
+    return {
+        name: `${contractName}.${label}`,
+        async run() {
+            const returned = await contract[getter](...args);
+            const actual = field ? returned[field] : returned;
+            return normalizeValue(actual) === normalizeValue(expected)
+                ? { passed: true, message: `${actual} matches ${source}` }
+                : { passed: false, message: `Expected ${expected} from ${source}, found ${actual}` };
+        }
+    };
+}
+
+/**
+ * A contract points at another deployed contract
+ * @param {Object} options - Check options
+ * @param {Object} options.contract - Contract holding the pointer
+ * @param {string} options.contractName - Contract name for the report
+ * @param {string} options.getter - View function returning the address
+ * @param {string} options.expected - Expected address; when omitted only a non-zero address is required
+ * @param {string} options.expectedName - Name of the contract expected at the pointer
+ * @returns {Object} Check
+ */
+function pointerSet({ contract, contractName, getter, expected, expectedName }) {
+    const target = expectedName || expected || "a contract";
+
+    return {
+        name: `${contractName}.${getter} → ${target}`,
+        async run() {
+            const actual = await contract[getter]();
+            if (!actual || actual === ethers.ZeroAddress) {
+                return { passed: false, message: `${getter} is not set` };
+            }
+            if (expected && actual.toLowerCase() !== expected.toLowerCase()) {
+                return { passed: false, message: `${getter} is ${actual}, expected ${target} at ${expected}` };
+            }
+            return { passed: true, message: `${getter} set to ${actual}` };
+        }
+    };
+}
+
+/**
+ * Any other check
+ * @param {string} name - Check name
+ * @param {Function} run - async (context) => boolean | { passed, message, isWarning }
+ * @returns {Object} Check
+ */
+function custom(name, run) {
+    return { name, run: async (context) => toResult(await run(context)) };
+}
+
+// ============ STAGE ============
+
+class ValidationStage {
+    /**
+     * @param {string} id - Stage id (e.g. "9.1")
+     * @param {string} title - Stage title
+     * @param {Object} context - Passed to every check ({ provider })
+     * @param {Function} log - Logger
+     */
+    constructor(id, title, context, log) {
+        this.id = id;
+        this.title = title;
+        this.context = context;
+        this.log = log;
+        this.passed = 0;
+        this.failed = 0;
+        this.warnings = 0;
+        this.tests = [];
+
+        // Bound so scripts can keep calling a plain recordTest(...)
+        this.record = this.record.bind(this);
+    }
+
+    /**
+     * Record the result of a check
+     * @param {string} name - Check name
+     * @param {boolean} passed - Whether the check passed
+     * @param {string} message - Detail shown next to the result
+     * @param {boolean} isWarning - Report as a warning instead of a pass or failure
+     * @returns {Object} Recorded test
+     */
+    record(name, passed, message, isWarning = false) {
+        const test = { name, passed: !!passed, message, isWarning: !!isWarning };
+        this.tests.push(test);
+
+        if (isWarning) {
+            this.warnings++;
+            this.log(`⚠️ ${name}: ${message}`);
+        } else if (passed) {
+            this.passed++;
+            this.log(`✅ ${name}: ${message}`);
+        } else {
+            this.failed++;
+            this.log(`❌ ${name}: ${message}`);
+        }
+        return test;
+    }
+
+    /**
+     * Run declarative checks in order; a check that throws is recorded as failed
+     * @param {Array<Object>} checks - Checks built with the factories above
+     * @returns {Promise<Array<Object>>} Recorded tests
+     */
+    async run(checks) {
+        const recorded = [];
+        for (const check of checks) {
+            let result;
+            try {
+                result = toResult(await check.run(this.context));
+            } catch (error) {
+                result = { passed: false, message: `Error: ${error.shortMessage || error.message}`, isWarning: false };
+            }
+            recorded.push(this.record(check.name, result.passed, result.message, result.isWarning));
+        }
+        return recorded;
+    }
+
+    /**
+     * Tests that failed outright
+     * @returns {Array<Object>} Failed tests
+     */
+    criticalFailures() {
+        return this.tests.filter(test => !test.passed && !test.isWarning);
+    }
+}
+
+// ============ REPORT ============
+
+class ValidationReport {
+    /**
+     * @param {Object} options - Report options
+     * @param {string} options.name - Report name, used for file names (e.g. "stage9.1")
+     * @param {string} options.network - Network validated
+     * @param {Object} options.provider - Provider used by the declarative checks
+     * @param {Function} options.log - Logger
+     */
+    constructor({ name, network, provider, log = console.log }) {
+        this.name = name;
+        this.network = network;
+        this.context = { provider };
+        this.log = log;
+        this.stages = [];
+        this.startedAt = new Date();
+    }
+
+    /**
+     * Get or create the group for a stage
+     * @param {string} id - Stage id
+     * @param {string} title - Stage title
+     * @returns {ValidationStage} Stage group
+     */
+    stage(id, title) {
+        let stage = this.stages.find(existing => existing.id === id);
+        if (!stage) {
+            stage = new ValidationStage(id, title, this.context, this.log);
+            this.stages.push(stage);
+        }
+        return stage;
+    }
+
+    /**
+     * Totals across every stage
+     * @returns {Object} { passed, failed, warnings, total, success }
+     */
+    summary() {
+        const totals = { passed: 0, failed: 0, warnings: 0 };
+        for (const stage of this.stages) {
+            totals.passed += stage.passed;
+            totals.failed += stage.failed;
+            totals.warnings += stage.warnings;
+        }
+        return {
+            ...totals,
+            total: totals.passed + totals.failed + totals.warnings,
+            success: totals.failed === 0
+        };
+    }
+
+    /**
+     * Machine-readable report
+     * @returns {Object} Report
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            network: this.network,
+            startedAt: this.startedAt.toISOString(),
+            summary: this.summary(),
+            stages: this.stages.map(stage => ({
+                id: stage.id,
+                title: stage.title,
+                passed: stage.passed,
+                failed: stage.failed,
+                warnings: stage.warnings,
+                tests: stage.tests.map(test => ({
+                    name: test.name,
+                    status: test.isWarning ? TEST_STATUS.WARNING : test.passed ? TEST_STATUS.PASSED : TEST_STATUS.FAILED,
+                    message: test.message
+                }))
+            }))
+        };
+    }
+
+    /**
+     * JUnit XML with one testsuite per stage; warnings pass with the message in system-out
+     * @returns {string} XML document
+     */
+    toJUnitXml() {
+        const { total, failed } = this.summary();
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="${escapeXml(this.name)}" tests="${total}" failures="${failed}">`
+        ];
+
+        for (const stage of this.stages) {
+            const suiteName = `Stage ${stage.id}${stage.title ? `: ${stage.title}` : ""}`;
+            lines.push(
+                `  <testsuite name="${escapeXml(suiteName)}" tests="${stage.tests.length}" failures="${stage.failed}" ` +
+                `timestamp="${this.startedAt.toISOString()}" hostname="${escapeXml(this.network || "")}">`
+            );
+            for (const test of stage.tests) {
+                const attributes = `classname="stage${escapeXml(stage.id)}" name="${escapeXml(test.name)}"`;
+                if (test.isWarning) {
+                    lines.push(`    <testcase ${attributes}>`);
+                    lines.push(`      <system-out>WARNING: ${escapeXml(test.message)}</system-out>`);
+                    lines.push("    </testcase>");
+                } else if (!test.passed) {
+                    lines.push(`    <testcase ${attributes}>`);
+                    lines.push(`      <failure message="${escapeXml(test.message)}"/>`);
+                    lines.push("    </testcase>");
+                } else {
+                    lines.push(`    <testcase ${attributes}/>`);
+                }
+            }
+            lines.push("  </testsuite>");
+        }
+
+        lines.push("</testsuites>");
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Write <name>.json and <name>.xml
+     * @param {string} dir - Output directory
+     * @returns {Object} { json, junit } file paths
+     */
+    write(dir) {
+        fs.mkdirSync(dir, { recursive: true });
+        const files = {
+            json: path.join(dir, `${this.name}.json`),
+            junit: path.join(dir, `${this.name}.xml`)
+        };
+        fs.writeFileSync(files.json, JSON.stringify(this.toJSON(), null, 2) + "\n");
+        fs.writeFileSync(files.junit, this.toJUnitXml());
+        return files;
+    }
+
+    /**
+     * Print the summary, write the reports when a directory is given and
+     * return the process exit code for a release gate
+     * @param {Object} options - Finish options
+     * @param {string} options.reportDir - Output directory (default: VALIDATION_REPORT_DIR)
+     * @returns {number} 0 when nothing failed, 1 otherwise
+     */
+    finish({ reportDir = process.env.VALIDATION_REPORT_DIR } = {}) {
+        const summary = this.summary();
+
+        this.log("\n📊 Validation Report: " + this.name);
+        this.log("=".repeat(60));
+        for (const stage of this.stages) {
+            const icon = stage.failed > 0 ? "❌" : stage.warnings > 0 ? "⚠️" : "✅";
+            this.log(`${icon} Stage ${stage.id}: ${stage.passed} passed, ${stage.failed} failed, ${stage.warnings} warnings`);
+        }
+        this.log(`Total: ${summary.passed} passed, ${summary.failed} failed, ${summary.warnings} warnings`);
+
+        if (reportDir) {
+            const files = this.write(reportDir);
+            this.log(`💾 Reports written to ${files.json} and ${files.junit}`);
+        }
+        return summary.success ? 0 : 1;
+    }
+}
+
+module.exports = {
+    TEST_STATUS,
+    ValidationReport,
+    ValidationStage,
+    codePresent,
+    roleGranted,
+    paramEquals,
+    pointerSet,
+    custom,
+    normalizeValue
+};
@@ -0,0 +1,513 @@
+/**
+ * Karma Labs Vesting Roster Import
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Turns a CSV or JSON roster of vesting grants into VestingVault or
+ * TeamVesting batch calls. Rows are validated with the Stage 2 vesting
+ * calculator, the vault's funding is checked against getContractStats, and
+ * batches are sized from gas estimates so each stays under the gas budget.
+ * Progress is written after every transaction, so an interrupted import
+ * picks up where it stopped instead of creating schedules twice.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { parseCsv } = require("./csv");
+const { VESTING_CONSTANTS, validateVestingParameters } = require("../protocol/02-vesting-system-architecture/utils/vesting-calculator");
+
+// ============ CONSTANTS ============
+
+const ROSTER_TARGETS = {
+    VAULT: "vault",
+    TEAM: "team"
+};
+
+// Share of the block gas limit one import transaction may use
+const DEFAULT_GAS_FRACTION = 0.5;
+
+const PROGRESS_VERSION = 1;
+
+// TeamVestingManager.TEAM_CLIFF_DURATION / TEAM_VESTING_DURATION
+const TEAM_TIMING = {
+    cliffDuration: VESTING_CONSTANTS.STANDARD_PERIODS.TEAM_VESTING.CLIFF_DURATION,
+    vestingDuration: VESTING_CONSTANTS.STANDARD_PERIODS.TEAM_VESTING.TOTAL_DURATION
+};
+
+const DURATION_UNITS = {
+    s: VESTING_CONSTANTS.TIME_UNITS.SECOND,
+    d: VESTING_CONSTANTS.TIME_UNITS.DAY,
+    w: VESTING_CONSTANTS.TIME_UNITS.WEEK,
+    mo: VESTING_CONSTANTS.TIME_UNITS.MONTH,
+    y: VESTING_CONSTANTS.TIME_UNITS.YEAR
+};
+
+const VESTING_VAULT_ABI = [
+    "function createVestingSchedulesBatch(address[] beneficiaries, uint256[] totalAmounts, uint256[] startTimes, uint256[] cliffDurations, uint256[] vestingDurations, string[] scheduleTypes) returns (uint256[])",
+    "function getContractStats() view returns (uint256 totalSchedules, uint256 totalVesting, uint256 totalClaimed, uint256 totalAvailable)",
+    "function hasRole(bytes32 role, address account) view returns (bool)"
+];
+
+const TEAM_VESTING_ABI = [
+    "function createTeamVestingSchedulesBatch(address[] members, uint256[] amounts, uint256[] startTimes) returns (uint256[])",
+    "function createTeamVestingSchedule(address member, uint256 amount, uint256 startTime) returns (uint256)",
+    "function addTeamMember(address member, string department, string role, uint256 allocation)",
+    "function getTeamMemberDetails(address member) view returns (string department, string role, uint256 joinDate, bool isActive, uint256 totalAllocation, uint256 schedulesCount)",
+    "function hasRole(bytes32 role, address account) view returns (bool)"
+];
+
+const TEMPLATE_MANAGER_ABI = [
+    "function getAvailableTemplates() view returns (string[])",
+    "function getVestingTemplate(string name) view returns (tuple(string name, uint256 vestingDuration, uint256 cliffDuration, uint256 releaseFrequency, bool isActive, string description))"
+];
+
+// ============ ROSTER PARSING ============
+
+/**
+ * Read a roster file
+ * CSV columns (JSON keys): beneficiary, amount (KARMA), template or
+ * cliff + duration, start, type (schedule type or investor type),
+ * department and role (TeamVesting members not yet registered).
+ * @param {string} file - .csv or .json file; JSON is an array of rows or { schedules: [...] }
+ * @returns {Array<Object>} Rows with their position in the file as `line`
+ */
+function loadRoster(file) {
+    const text = fs.readFileSync(file, "utf8");
+    if (path.extname(file).toLowerCase() === ".csv") {
+        return parseCsv(text);
+    }
+
+    const json = JSON.parse(text);
+    const rows = Array.isArray(json) ? json : json.schedules;
+    if (!Array.isArray(rows)) {
+        throw new Error(`${file} must hold an array of roster rows or { schedules: [...] }`);
+    }
+    return rows.map((row, i) => ({ line: i + 1, ...row }));
+}
+
+/**
+ * Parse a duration: seconds, or a number with a unit (90d, 6mo, 4y; months are 30 days)
+ * @param {string|number} value - Duration
+ * @returns {number} Seconds, NaN if unreadable
+ */
+function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+)\s*(s|d|w|mo|y)?$/);
+    return match ? parseInt(match[1], 10) * DURATION_UNITS[match[2] || "s"] : NaN;
+}
+
+/**
+ * Parse a start time: unix seconds or an ISO 8601 date (UTC unless it says otherwise)
+ * @param {string|number} value - Start time
+ * @returns {number} Unix seconds, NaN if unreadable
+ */
+function parseStartTime(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+    const iso = /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00Z` : text;
+    return /^\d{4}-\d{2}-\d{2}T/.test(iso) ? Math.floor(Date.parse(iso) / 1000) : NaN;
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+/**
+ * Validate roster rows and turn them into schedule entries
+ * @param {Array<Object>} rows - Rows from loadRoster
+ * @param {Object} options - Options
+ * @param {string} options.target - ROSTER_TARGETS value
+ * @param {Array<Object>} options.templates - Templates by name, as returned by getVestingTemplate
+ * @param {number} options.now - Chain time; start times before it are rejected
+ * @returns {Object} { entries, total, isValid, errors, warnings }
+ */
+function normalizeRoster(rows, { target = ROSTER_TARGETS.VAULT, templates = VESTING_CONSTANTS.DEFAULT_TEMPLATES, now = Math.floor(Date.now() / 1000) } = {}) {
+    if (!Object.values(ROSTER_TARGETS).includes(target)) {
+        throw new Error(`Unknown roster target ${target} (expected ${Object.values(ROSTER_TARGETS).join(" or ")})`);
+    }
+
+    const entries = [];
+    const errors = [];
+    const warnings = [];
+    const seen = new Map();
+
+    for (const row of rows) {
+        const rowErrors = [];
+        const fail = (message) => rowErrors.push(`Row ${row.line}: ${message}`);
+
+        let beneficiary = null;
+        try {
+            beneficiary = ethers.getAddress(String(row.beneficiary ?? "").trim());
+        } catch (error) {
+            fail(`invalid beneficiary address ${row.beneficiary}`);
+        }
+
+        let amount = 0n;
+        try {
+            amount = ethers.parseUnits(String(row.amount ?? "").trim(), 18);
+        } catch (error) {
+            fail(`invalid amount ${row.amount}`);
+        }
+
+        // Timing comes from a template, from explicit columns, or for TeamVesting from its constants
+        let cliffDuration = isBlank(row.cliff) ? undefined : parseDuration(row.cliff);
+        let vestingDuration = isBlank(row.duration) ? undefined : parseDuration(row.duration);
+        if (!isBlank(row.template)) {
+            const template = templates.find(candidate => candidate.name === String(row.template).trim());
+            if (!template) {
+                fail(`unknown template ${row.template}`);
+            } else if (template.isActive === false) {
+                fail(`template ${template.name} is not active`);
+            } else if ((cliffDuration !== undefined && cliffDuration !== Number(template.cliffDuration)) ||
+                (vestingDuration !== undefined && vestingDuration !== Number(template.vestingDuration))) {
+                fail(`cliff/duration disagree with template ${template.name}`);
+            } else {
+                cliffDuration = Number(template.cliffDuration);
+                vestingDuration = Number(template.vestingDuration);
+            }
+        } else if (target === ROSTER_TARGETS.TEAM && vestingDuration === undefined) {
+            ({ cliffDuration, vestingDuration } = TEAM_TIMING);
+        }
+        cliffDuration = cliffDuration ?? 0;
+
+        if (Number.isNaN(cliffDuration) || Number.isNaN(vestingDuration)) {
+            fail(`unreadable cliff or duration (use seconds or a unit: 90d, 6mo, 4y)`);
+        } else if (vestingDuration === undefined && isBlank(row.template)) {
+            fail("needs a template or a duration");
+        } else if (target === ROSTER_TARGETS.TEAM &&
+            (cliffDuration !== TEAM_TIMING.cliffDuration || vestingDuration !== TEAM_TIMING.vestingDuration)) {
+            fail("TeamVesting schedules always use the 1-year cliff and 4-year duration");
+        }
+
+        // TeamVesting starts a schedule at block time when given 0; VestingVault needs a start
+        let startTime = 0;
+        if (!isBlank(row.start)) {
+            startTime = parseStartTime(row.start);
+            if (Number.isNaN(startTime)) {
+                fail(`unreadable start ${row.start}`);
+            } else if (startTime < now) {
+                fail(`start ${new Date(startTime * 1000).toISOString()} is before chain time`);
+            }
+        } else if (target === ROSTER_TARGETS.VAULT) {
+            fail("needs a start time");
+        }
+
+        if (rowErrors.length === 0) {
+            const validation = validateVestingParameters({
+                totalAmount: amount,
+                startTime: startTime || now,
+                duration: vestingDuration,
+                cliffDuration
+            });
+            validation.errors.forEach(fail);
+            // Start times are checked against chain time above
+            validation.warnings
+                .filter(warning => warning !== "Start time is in the past")
+                .forEach(warning => warnings.push(`Row ${row.line}: ${warning}`));
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+            continue;
+        }
+
+        if (seen.has(beneficiary)) {
+            warnings.push(`Row ${row.line}: ${beneficiary} already has a schedule on row ${seen.get(beneficiary)}`);
+        } else {
+            seen.set(beneficiary, row.line);
+        }
+
+        const type = String(row.type ?? "").trim();
+        entries.push({
+            line: row.line,
+            beneficiary,
+            amount,
+            startTime,
+            cliffDuration,
+            vestingDuration,
+            scheduleType: type || String(row.template ?? "").trim() || "CUSTOM",
+            department: String(row.department ?? "").trim() || type,
+            role: String(row.role ?? "").trim()
+        });
+    }
+
+    return {
+        entries,
+        total: entries.reduce((sum, entry) => sum + entry.amount, 0n),
+        isValid: errors.length === 0,
+        errors,
+        warnings
+    };
+}
+
+/**
+ * Fingerprint of a validated roster, tying a progress file to it
+ * @param {string} target - ROSTER_TARGETS value
+ * @param {Array<Object>} entries - Entries from normalizeRoster
+ * @returns {string} bytes32 hash
+ */
+function hashRoster(target, entries) {
+    return ethers.id(JSON.stringify({ target, entries }, (_, value) => typeof value === "bigint" ? value.toString() : value));
+}
+
+// ============ FUNDING ============
+
+/**
+ * Check that the vault can cover the roster on top of what it already owes
+ * @param {Object} stats - VestingVault.getContractStats result
+ * @param {bigint} rosterTotal - Total of the roster
+ * @returns {Object} { outstanding, required, available, shortfall, isFunded }
+ */
+function checkFunding(stats, rosterTotal) {
+    const outstanding = BigInt(stats.totalVesting) - BigInt(stats.totalClaimed);
+    const required = outstanding + rosterTotal;
+    const available = BigInt(stats.totalAvailable);
+    const shortfall = required > available ? required - available : 0n;
+    return { outstanding, required, available, shortfall, isFunded: shortfall === 0n };
+}
+
+// ============ BATCHING ============
+
+/**
+ * The call that creates a batch of entries
+ * @param {string} target - ROSTER_TARGETS value
+ * @param {Array<Object>} entries - Entries
+ * @param {Object} options - { batched: false to create TeamVesting schedules one call at a time }
+ * @returns {Object} { method, args }
+ */
+function encodeBatch(target, entries, { batched = true } = {}) {
+    if (target === ROSTER_TARGETS.VAULT) {
+        return {
+            method: "createVestingSchedulesBatch",
+            args: [
+                entries.map(entry => entry.beneficiary),
+                entries.map(entry => entry.amount),
+                entries.map(entry => entry.startTime),
+                entries.map(entry => entry.cliffDuration),
+                entries.map(entry => entry.vestingDuration),
+                entries.map(entry => entry.scheduleType)
+            ]
+        };
+    }
+    if (!batched) {
+        if (entries.length !== 1) throw new Error("Unbatched TeamVesting calls take one entry");
+        return { method: "createTeamVestingSchedule", args: [entries[0].beneficiary, entries[0].amount, entries[0].startTime] };
+    }
+    return {
+        method: "createTeamVestingSchedulesBatch",
+        args: [
+            entries.map(entry => entry.beneficiary),
+            entries.map(entry => entry.amount),
+            entries.map(entry => entry.startTime)
+        ]
+    };
+}
+
+/**
+ * Split entries into batches that fit a gas budget
+ * @param {Array<Object>} entries - Entries
+ * @param {Object} gas - Gas model
+ * @param {bigint} gas.maxGas - Budget per transaction
+ * @param {bigint} gas.baseGas - Cost of a transaction without entries
+ * @param {bigint} gas.gasPerEntry - Cost of each entry
+ * @param {number} gas.maxBatchSize - Upper bound on entries per batch (optional)
+ * @returns {Array<Array<Object>>} Batches
+ */
+function planBatches(entries, { maxGas, baseGas, gasPerEntry, maxBatchSize = Infinity }) {
+    const fit = gasPerEntry > 0n ? Number((BigInt(maxGas) - BigInt(baseGas)) / BigInt(gasPerEntry)) : Infinity;
+    const size = Math.max(1, Math.min(fit, maxBatchSize, entries.length));
+
+    const batches = [];
+    for (let i = 0; i < entries.length; i += size) {
+        batches.push(entries.slice(i, i + size));
+    }
+    return batches;
+}
+
+// ============ PROGRESS ============
+
+/**
+ * Default progress file next to the roster
+ * @param {string} rosterFile - Roster path
+ * @returns {string} Progress path
+ */
+function getProgressPath(rosterFile) {
+    return `${rosterFile}.progress.json`;
+}
+
+/**
+ * Load the progress of an import, or start a new one
+ * @param {string} file - Progress file
+ * @param {Object} expected - { network, target, contract, rosterHash } of this import
+ * @returns {Object} Progress
+ */
+function loadProgress(file, expected) {
+    if (!fs.existsSync(file)) {
+        return { version: PROGRESS_VERSION, ...expected, completed: {}, registered: {}, pending: [] };
+    }
+
+    const progress = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const key of ["network", "target", "contract", "rosterHash"]) {
+        if (String(progress[key]).toLowerCase() !== String(expected[key]).toLowerCase()) {
+            throw new Error(`${file} belongs to a different import (${key} ${progress[key]}, expected ${expected[key]}); move it away to start over`);
+        }
+    }
+    return progress;
+}
+
+/**
+ * Write progress atomically, so a crash mid-write cannot corrupt it
+ * @param {string} file - Progress file
+ * @param {Object} progress - Progress
+ */
+function saveProgress(file, progress) {
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify({ ...progress, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * Settle transactions an interrupted run sent but did not see confirmed
+ * @param {Object} progress - Progress
+ * @param {Object} provider - ethers provider
+ * @returns {Promise<Object>} { confirmed, failed } transaction counts
+ */
+async function resolvePending(progress, provider) {
+    let confirmed = 0;
+    let failed = 0;
+    for (const pending of progress.pending) {
+        let receipt = await provider.getTransactionReceipt(pending.txHash);
+        if (!receipt && await provider.getTransaction(pending.txHash)) {
+            receipt = await provider.waitForTransaction(pending.txHash);
+        }
+        if (receipt && receipt.status === 1) {
+            markDone(progress, pending, pending.txHash);
+            confirmed++;
+        } else {
+            failed++;
+        }
+    }
+    progress.pending = [];
+    return { confirmed, failed };
+}
+
+function markDone(progress, pending, txHash) {
+    if (pending.kind === "register") {
+        progress.registered[pending.member] = txHash;
+    } else {
+        pending.lines.forEach(line => { progress.completed[line] = txHash; });
+    }
+}
+
+// ============ IMPORT ============
+
+/**
+ * Estimate a batch, halving it until it fits the budget
+ * @returns {Promise<Array>} [entries, gas] of the largest prefix that fits
+ */
+async function fitBatch(contract, target, batch, maxGas, batched) {
+    let entries = batch;
+    for (;;) {
+        const { method, args } = encodeBatch(target, entries, { batched });
+        const gas = await contract[method].estimateGas(...args);
+        if (gas <= maxGas || entries.length === 1) {
+            if (gas > maxGas) throw new Error(`Row ${entries[0].line} alone needs ${gas} gas, over the ${maxGas} budget`);
+            return [entries, gas];
+        }
+        entries = entries.slice(0, Math.ceil(entries.length / 2));
+    }
+}
+
+/**
+ * Create the schedules of a roster that are not in the progress file yet
+ * @param {Object} options - Import options
+ * @param {string} options.target - ROSTER_TARGETS value
+ * @param {Object} options.contract - VestingVault or TeamVesting contract, connected to the signer
+ * @param {Array<Object>} options.entries - Entries from normalizeRoster
+ * @param {Object} options.progress - Progress from loadProgress (pending transactions resolved)
+ * @param {Function} options.save - Called with the progress after every change
+ * @param {bigint} options.maxGas - Gas budget per transaction
+ * @param {boolean} options.batched - false to create TeamVesting schedules one call at a time
+ * @param {Array<string>} options.unregistered - TeamVesting members to register first
+ * @param {Function} options.log - Progress logger
+ * @returns {Promise<Object>} { transactions, schedules, registered }
+ */
+async function importRoster({ target, contract, entries, progress, save, maxGas, batched = true, unregistered = [], log = () => {} }) {
+    const send = async (pending, method, args) => {
+        const tx = await contract[method](...args);
+        progress.pending.push({ ...pending, txHash: tx.hash });
+        save(progress);
+
+        const receipt = await tx.wait();
+        if (receipt.status !== 1) throw new Error(`${method} ${tx.hash} reverted`);
+        markDone(progress, pending, tx.hash);
+        progress.pending = progress.pending.filter(item => item.txHash !== tx.hash);
+        save(progress);
+        return tx.hash;
+    };
+
+    const result = { transactions: 0, schedules: 0, registered: 0 };
+
+    // addTeamMember takes the member's whole allocation, so rows of one member are added up
+    for (const member of unregistered.filter(address => !progress.registered[address])) {
+        const rows = entries.filter(entry => entry.beneficiary === member);
+        const { department, role } = rows[0];
+        if (!department || !role) {
+            throw new Error(`Row ${rows[0].line}: ${member} is not a TeamVesting member yet; give a department and role to register them`);
+        }
+        const allocation = rows.reduce((sum, entry) => sum + entry.amount, 0n);
+        const txHash = await send({ kind: "register", member }, "addTeamMember", [member, department, role, allocation]);
+        log(`👤 Registered ${member} (${department}) in ${txHash}`);
+        result.transactions++;
+        result.registered++;
+    }
+
+    let remaining = entries.filter(entry => !progress.completed[entry.line]);
+    if (remaining.length === 0) return result;
+
+    // Per-entry gas from one- and two-entry estimates; each batch is still estimated before it is sent
+    let batchSize = 1;
+    if (batched || target === ROSTER_TARGETS.VAULT) {
+        const estimate = async (count) => {
+            const { method, args } = encodeBatch(target, remaining.slice(0, count));
+            return contract[method].estimateGas(...args);
+        };
+        const single = await estimate(1);
+        const gasPerEntry = remaining.length > 1 ? (await estimate(2)) - single : single;
+        batchSize = planBatches(remaining, { maxGas, baseGas: single - gasPerEntry, gasPerEntry })[0].length;
+    }
+
+    while (remaining.length > 0) {
+        const [batch, gas] = await fitBatch(contract, target, remaining.slice(0, batchSize), maxGas, batched);
+        const { method, args } = encodeBatch(target, batch, { batched });
+        const txHash = await send({ kind: "schedules", lines: batch.map(entry => entry.line) }, method, args);
+        log(`✅ Rows ${batch[0].line}-${batch[batch.length - 1].line} (${batch.length} schedules, ~${gas} gas) in ${txHash}`);
+
+        result.transactions++;
+        result.schedules += batch.length;
+        remaining = remaining.slice(batch.length);
+    }
+    return result;
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    ROSTER_TARGETS,
+    DEFAULT_GAS_FRACTION,
+    TEAM_TIMING,
+    VESTING_VAULT_ABI,
+    TEAM_VESTING_ABI,
+    TEMPLATE_MANAGER_ABI,
+    loadRoster,
+    parseDuration,
+    parseStartTime,
+    normalizeRoster,
+    hashRoster,
+    checkFunding,
+    encodeBatch,
+    planBatches,
+    getProgressPath,
+    loadProgress,
+    saveProgress,
+    resolvePending,
+    importRoster
+};
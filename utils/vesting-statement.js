@@ -0,0 +1,431 @@
+/**
+ * Karma Labs Vesting Statements
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Per-beneficiary vesting statements: what has vested, what was claimed and
+ * when, what can be claimed now and what is still locked, across every
+ * VestingVault schedule the beneficiary holds. Schedules created through
+ * TeamVesting, PrivateSaleVesting or VestingTemplateManager are attributed
+ * to that manager. The upcoming-release table takes its dates from the
+ * Stage 2 generateVestingSchedule and its amounts from calculateVestedAmount,
+ * so they match what the vault will report on each date.
+ */
+
+const { ethers } = require("ethers");
+
+const {
+    VESTING_CONSTANTS,
+    calculateVestedAmount,
+    generateVestingSchedule
+} = require("../protocol/02-vesting-system-architecture/utils/vesting-calculator");
+
+// ============ CONSTANTS ============
+
+const DEFAULT_RELEASE_FREQUENCY = VESTING_CONSTANTS.CALENDAR_MONTH;
+const DEFAULT_UPCOMING_RELEASES = 12;
+const DEFAULT_BLOCK_RANGE = 2000;
+
+// Vesting managers whose schedules a statement attributes to them, in lookup order
+const STATEMENT_MANAGERS = ["TeamVesting", "PrivateSaleVesting", "VestingTemplateManager"];
+
+const STATEMENT_ABI = [
+    "function getBeneficiarySchedules(address beneficiary) view returns (uint256[])",
+    "function getVestingSchedule(uint256 scheduleId) view returns (tuple(uint256 totalAmount, uint256 claimedAmount, uint256 startTime, uint256 cliffDuration, uint256 vestingDuration, bool revoked, address beneficiary, string scheduleType))",
+    "function getVestedAmount(uint256 scheduleId) view returns (uint256)",
+    "function getClaimableAmount(uint256 scheduleId) view returns (uint256)",
+    "function getNextUnlockTime(uint256 scheduleId) view returns (uint256)",
+    "function getBeneficiaryVestedAmount(address beneficiary) view returns (uint256)",
+    "function getBeneficiaryClaimableAmount(address beneficiary) view returns (uint256)",
+    "function getBeneficiaryInfo(address beneficiary) view returns (tuple(address beneficiary, uint256 totalAllocation, uint256 schedulesCount, uint256[] scheduleIds, string beneficiaryType, bool isActive))",
+    "event TokensClaimed(address indexed beneficiary, uint256 indexed scheduleId, uint256 amount)"
+];
+
+const statementInterface = new ethers.Interface(STATEMENT_ABI);
+
+// ============ READING ============
+
+/**
+ * Read a beneficiary's schedules and balances at one block
+ * @param {Object} provider - ethers provider
+ * @param {Object} addresses - { vestingVault, TeamVesting, PrivateSaleVesting, VestingTemplateManager }; the managers are optional
+ * @param {string} beneficiary - Beneficiary address
+ * @param {Object} options - { blockTag } (default: latest)
+ * @returns {Promise<Object>} { beneficiary, blockNumber, asOf, vested, claimable, beneficiaryTypes, schedules }
+ */
+async function fetchBeneficiaryVesting(provider, addresses, beneficiary, { blockTag = "latest" } = {}) {
+    const block = await provider.getBlock(blockTag);
+    const at = { blockTag: block.number };
+    const vault = new ethers.Contract(addresses.vestingVault, STATEMENT_ABI, provider);
+    beneficiary = ethers.getAddress(beneficiary);
+
+    const sources = new Map();
+    const beneficiaryTypes = [];
+    for (const name of STATEMENT_MANAGERS) {
+        if (!addresses[name]) continue;
+        const info = await new ethers.Contract(addresses[name], STATEMENT_ABI, provider).getBeneficiaryInfo(beneficiary, at);
+        if (info.beneficiaryType && !beneficiaryTypes.includes(info.beneficiaryType)) beneficiaryTypes.push(info.beneficiaryType);
+        info.scheduleIds.forEach(id => {
+            if (!sources.has(Number(id))) sources.set(Number(id), name);
+        });
+    }
+
+    const schedules = [];
+    for (const id of await vault.getBeneficiarySchedules(beneficiary, at)) {
+        const schedule = await vault.getVestingSchedule(id, at);
+        schedules.push({
+            id: Number(id),
+            source: sources.get(Number(id)) || "VestingVault",
+            scheduleType: schedule.scheduleType,
+            totalAmount: schedule.totalAmount,
+            claimedAmount: schedule.claimedAmount,
+            startTime: Number(schedule.startTime),
+            cliffDuration: Number(schedule.cliffDuration),
+            vestingDuration: Number(schedule.vestingDuration),
+            revoked: schedule.revoked,
+            vested: await vault.getVestedAmount(id, at),
+            claimable: await vault.getClaimableAmount(id, at),
+            nextUnlockTime: Number(await vault.getNextUnlockTime(id, at))
+        });
+    }
+
+    return {
+        beneficiary,
+        blockNumber: block.number,
+        asOf: block.timestamp,
+        vested: await vault.getBeneficiaryVestedAmount(beneficiary, at),
+        claimable: await vault.getBeneficiaryClaimableAmount(beneficiary, at),
+        beneficiaryTypes,
+        schedules
+    };
+}
+
+/**
+ * Read TokensClaimed events from VestingVault
+ * @param {Object} provider - ethers provider
+ * @param {string} vestingVault - VestingVault address
+ * @param {Object} options - Query options
+ * @param {string} options.beneficiary - Only this beneficiary's claims (default: everyone's)
+ * @param {number} options.fromBlock - First block (the vault deployment block)
+ * @param {number} options.toBlock - Last block
+ * @param {number} options.blockRange - Blocks per getLogs request
+ * @returns {Promise<Array<Object>>} { beneficiary, scheduleId, amount, blockNumber, timestamp, transactionHash } in chain order
+ */
+async function fetchClaims(provider, vestingVault, { beneficiary, fromBlock = 0, toBlock, blockRange = DEFAULT_BLOCK_RANGE } = {}) {
+    const topics = [statementInterface.getEvent("TokensClaimed").topicHash];
+    if (beneficiary) topics.push(ethers.zeroPadValue(ethers.getAddress(beneficiary), 32));
+    const last = toBlock ?? await provider.getBlockNumber();
+
+    const logs = [];
+    for (let from = fromBlock; from <= last; from += blockRange) {
+        logs.push(...await provider.getLogs({ address: vestingVault, topics, fromBlock: from, toBlock: Math.min(from + blockRange - 1, last) }));
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || (a.index ?? a.logIndex) - (b.index ?? b.logIndex));
+
+    const blockTimes = new Map();
+    const claims = [];
+    for (const log of logs) {
+        if (!blockTimes.has(log.blockNumber)) blockTimes.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+        const { args } = statementInterface.parseLog(log);
+        claims.push({
+            beneficiary: ethers.getAddress(args.beneficiary),
+            scheduleId: Number(args.scheduleId),
+            amount: args.amount,
+            blockNumber: log.blockNumber,
+            timestamp: blockTimes.get(log.blockNumber),
+            transactionHash: log.transactionHash
+        });
+    }
+    return claims;
+}
+
+// ============ STATEMENT ============
+
+/**
+ * Release dates of a schedule, from generateVestingSchedule
+ * @param {Object} schedule - { totalAmount, startTime, cliffDuration, vestingDuration }
+ * @param {number|string} frequency - Seconds between releases or CALENDAR_MONTH
+ * @returns {Array<number>} Release times, ending with the end of vesting
+ */
+function getReleaseDates(schedule, frequency = DEFAULT_RELEASE_FREQUENCY) {
+    const end = schedule.startTime + schedule.vestingDuration;
+    const times = schedule.vestingDuration < frequency ? [] : generateVestingSchedule(
+        schedule.totalAmount, schedule.startTime, schedule.vestingDuration, frequency, schedule.cliffDuration
+    ).map(release => release.releaseTime);
+    // With a frequency in seconds the calculator stops at the last whole period; the vault vests until the end
+    if (times[times.length - 1] !== end) times.push(end);
+    return times;
+}
+
+/**
+ * Releases still to come, across all of a beneficiary's schedules
+ * @param {Array<Object>} schedules - Schedules from fetchBeneficiaryVesting
+ * @param {number} asOf - Statement time
+ * @param {Object} options - { frequency (seconds or CALENDAR_MONTH, default: calendar months), limit }
+ * @returns {Array<Object>} { releaseTime, scheduleId, scheduleType, amount, vestedAfter } by date
+ */
+function getUpcomingReleases(schedules, asOf, { frequency = DEFAULT_RELEASE_FREQUENCY, limit = DEFAULT_UPCOMING_RELEASES } = {}) {
+    const releases = [];
+    for (const schedule of schedules) {
+        if (schedule.revoked) continue;
+
+        let previous = calculateVestedAmount(schedule, asOf);
+        for (const releaseTime of getReleaseDates(schedule, frequency).filter(time => time > asOf)) {
+            const vested = calculateVestedAmount(schedule, releaseTime);
+            if (vested > previous) {
+                releases.push({ releaseTime, scheduleId: schedule.id, scheduleType: schedule.scheduleType, amount: vested - previous });
+            }
+            previous = vested;
+        }
+    }
+
+    releases.sort((a, b) => a.releaseTime - b.releaseTime || a.scheduleId - b.scheduleId);
+    let vestedAfter = schedules.reduce((sum, schedule) => sum + BigInt(schedule.vested), 0n);
+    return releases.slice(0, limit).map(release => {
+        vestedAfter += release.amount;
+        return { ...release, vestedAfter };
+    });
+}
+
+/**
+ * Assemble a beneficiary's statement
+ * @param {Object} vesting - Result of fetchBeneficiaryVesting
+ * @param {Array<Object>} claims - Claims from fetchClaims (other beneficiaries' are ignored)
+ * @param {Object} options - { frequency, limit } for the upcoming releases
+ * @returns {Object} Statement with totals, schedules, claims, upcoming releases and warnings
+ */
+function buildStatement(vesting, claims, options = {}) {
+    const own = claims.filter(claim => claim.beneficiary === vesting.beneficiary && claim.blockNumber <= vesting.blockNumber);
+    const warnings = [];
+
+    const schedules = vesting.schedules.map(schedule => {
+        const total = BigInt(schedule.totalAmount);
+        const claimed = BigInt(schedule.claimedAmount);
+        // Revoking cuts the total to what had vested, but the vault only pays out what was claimed before
+        const forfeited = schedule.revoked ? total - claimed : 0n;
+        const claimedInEvents = own.filter(claim => claim.scheduleId === schedule.id).reduce((sum, claim) => sum + BigInt(claim.amount), 0n);
+        if (claimedInEvents !== claimed) {
+            warnings.push(`Schedule ${schedule.id}: claim events add up to ${ethers.formatEther(claimedInEvents)} KARMA but the vault records ${ethers.formatEther(claimed)} KARMA claimed`);
+        }
+        return {
+            ...schedule,
+            totalAmount: total,
+            claimedAmount: claimed,
+            vested: BigInt(schedule.vested),
+            claimable: BigInt(schedule.claimable),
+            locked: total - BigInt(schedule.vested) - forfeited,
+            forfeited
+        };
+    });
+
+    const sum = (field) => schedules.reduce((total, schedule) => total + schedule[field], 0n);
+    const totals = {
+        allocated: sum("totalAmount"),
+        vested: BigInt(vesting.vested),
+        claimed: sum("claimedAmount"),
+        claimable: BigInt(vesting.claimable),
+        locked: sum("locked"),
+        forfeited: sum("forfeited")
+    };
+
+    const nextUnlocks = schedules.map(schedule => schedule.nextUnlockTime).filter(time => time > vesting.asOf);
+    return {
+        beneficiary: vesting.beneficiary,
+        beneficiaryTypes: vesting.beneficiaryTypes,
+        blockNumber: vesting.blockNumber,
+        asOf: vesting.asOf,
+        totals,
+        nextUnlockTime: nextUnlocks.length > 0 ? Math.min(...nextUnlocks) : null,
+        schedules,
+        claims: own,
+        upcoming: getUpcomingReleases(schedules, vesting.asOf, options),
+        warnings
+    };
+}
+
+// ============ OUTPUT ============
+
+function formatDate(timestamp) {
+    return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Statement lines for CSV: one row per schedule, claim and upcoming release
+ * @param {Object} statement - Result of buildStatement
+ * @returns {Object} { columns, records }
+ */
+function toStatementRecords(statement) {
+    const columns = ["section", "date", "schedule_id", "schedule_type", "source", "amount", "vested", "claimed", "claimable", "locked", "reference"];
+    const karma = (value) => ethers.formatEther(value);
+    const records = [];
+
+    for (const schedule of statement.schedules) {
+        records.push({
+            section: "schedule",
+            date: formatDate(schedule.startTime),
+            schedule_id: schedule.id,
+            schedule_type: schedule.scheduleType,
+            source: schedule.source,
+            amount: karma(schedule.totalAmount),
+            vested: karma(schedule.vested),
+            claimed: karma(schedule.claimedAmount),
+            claimable: karma(schedule.claimable),
+            locked: karma(schedule.locked),
+            reference: schedule.revoked ? `revoked, ${karma(schedule.forfeited)} forfeited` : ""
+        });
+    }
+    for (const claim of statement.claims) {
+        records.push({ section: "claim", date: formatDate(claim.timestamp), schedule_id: claim.scheduleId, amount: karma(claim.amount), reference: claim.transactionHash });
+    }
+    for (const release of statement.upcoming) {
+        records.push({ section: "release", date: formatDate(release.releaseTime), schedule_id: release.scheduleId, schedule_type: release.scheduleType, amount: karma(release.amount), vested: karma(release.vestedAfter) });
+    }
+
+    const { totals } = statement;
+    records.push({
+        section: "total",
+        date: formatDate(statement.asOf),
+        amount: karma(totals.allocated),
+        vested: karma(totals.vested),
+        claimed: karma(totals.claimed),
+        claimable: karma(totals.claimable),
+        locked: karma(totals.locked),
+        reference: `block ${statement.blockNumber}`
+    });
+    return { columns, records };
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[char]);
+}
+
+/**
+ * KARMA amount for display: thousands separators, at most 4 decimals
+ * @param {bigint} value - Amount in wei
+ * @returns {string} Formatted amount
+ */
+function formatKarma(value) {
+    const [whole, fraction] = ethers.formatEther(value).split(".");
+    const decimals = fraction.slice(0, 4).replace(/0+$/, "");
+    return whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",") + (decimals ? `.${decimals}` : "");
+}
+
+function htmlTable(headers, rows, empty) {
+    const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join("");
+    const body = rows.length > 0
+        ? rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`).join("\n")
+        : `<tr><td colspan="${headers.length}">${escapeHtml(empty)}</td></tr>`;
+    return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * Render a statement as a standalone HTML page
+ * @param {Object} statement - Result of buildStatement
+ * @param {Object} meta - { network }
+ * @returns {string} HTML document
+ */
+function renderStatementHtml(statement, { network } = {}) {
+    const { totals } = statement;
+    const title = `KARMA Vesting Statement: ${statement.beneficiary}`;
+
+    const summary = htmlTable(["", "KARMA"], [
+        ["Allocated", formatKarma(totals.allocated)],
+        ["Vested", formatKarma(totals.vested)],
+        ["Claimed", formatKarma(totals.claimed)],
+        ["Claimable now", formatKarma(totals.claimable)],
+        ["Locked", formatKarma(totals.locked)],
+        ...(totals.forfeited > 0n ? [["Forfeited (revoked)", formatKarma(totals.forfeited)]] : [])
+    ], "");
+
+    const schedules = htmlTable(
+        ["Schedule", "Type", "Managed by", "Start", "Cliff ends", "Fully vested", "Allocated", "Vested", "Claimed", "Claimable", "Locked", "Status"],
+        statement.schedules.map(schedule => [
+            `#${schedule.id}`,
+            schedule.scheduleType,
+            schedule.source,
+            formatDate(schedule.startTime),
+            formatDate(schedule.startTime + schedule.cliffDuration),
+            formatDate(schedule.startTime + schedule.vestingDuration),
+            formatKarma(schedule.totalAmount),
+            formatKarma(schedule.vested),
+            formatKarma(schedule.claimedAmount),
+            formatKarma(schedule.claimable),
+            formatKarma(schedule.locked),
+            schedule.revoked ? "Revoked" : schedule.vested === schedule.totalAmount ? "Fully vested" : "Vesting"
+        ]),
+        "No vesting schedules"
+    );
+
+    const upcoming = htmlTable(
+        ["Date", "Schedule", "Type", "Releases", "Vested after"],
+        statement.upcoming.map(release => [
+            formatDate(release.releaseTime),
+            `#${release.scheduleId}`,
+            release.scheduleType,
+            formatKarma(release.amount),
+            formatKarma(release.vestedAfter)
+        ]),
+        "Nothing left to vest"
+    );
+
+    const claims = htmlTable(
+        ["Date", "Schedule", "Amount", "Transaction"],
+        statement.claims.map(claim => [formatDate(claim.timestamp), `#${claim.scheduleId}`, formatKarma(claim.amount), claim.transactionHash]),
+        "No claims yet"
+    );
+
+    const details = [
+        network ? `Network: ${network}` : null,
+        statement.beneficiaryTypes.length > 0 ? `Beneficiary type: ${statement.beneficiaryTypes.join(", ")}` : null,
+        `As of ${new Date(statement.asOf * 1000).toISOString()} (block ${statement.blockNumber})`,
+        statement.nextUnlockTime ? `Next unlock: ${formatDate(statement.nextUnlockTime)}` : null
+    ].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2933; margin: 2rem auto; max-width: 64rem; }
+h1 { font-size: 1.4rem; word-break: break-all; }
+h2 { font-size: 1.1rem; margin-top: 2rem; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { border-bottom: 1px solid #d9e2ec; padding: 0.35rem 0.6rem; text-align: left; }
+th { background: #f0f4f8; }
+.details, .note { color: #52606d; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="details">${details.map(escapeHtml).join("<br>\n")}</p>
+<h2>Summary</h2>
+${summary}
+<h2>Schedules</h2>
+${schedules}
+<h2>Upcoming releases</h2>
+${upcoming}
+<h2>Claims</h2>
+${claims}
+${statement.warnings.map(warning => `<p class="note">${escapeHtml(warning)}</p>`).join("\n")}
+</body>
+</html>
+`;
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    DEFAULT_RELEASE_FREQUENCY,
+    DEFAULT_UPCOMING_RELEASES,
+    DEFAULT_BLOCK_RANGE,
+    STATEMENT_MANAGERS,
+    STATEMENT_ABI,
+    fetchBeneficiaryVesting,
+    fetchClaims,
+    getReleaseDates,
+    getUpcomingReleases,
+    buildStatement,
+    toStatementRecords,
+    formatKarma,
+    renderStatementHtml
+};
@@ -0,0 +1,337 @@
+/**
+ * Karma Labs Vesting Template Snapshots
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Versioned snapshots of the VestingTemplateManager templates. A snapshot
+ * holds each template's terms and metadata at one block, plus its version
+ * history: version 1 is the terms it was created with, and every
+ * VestingTemplateUpdated event that changes them starts a new version. Each
+ * schedule created from a template is filed under the version in force when
+ * it was created, so a snapshot records what a beneficiary was enrolled on
+ * even after the template has moved on. Snapshots are plain JSON (amounts as
+ * decimal strings) so they can be committed and compared with diffSnapshots.
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+// ============ CONSTANTS ============
+
+// Bumped when the snapshot layout changes
+const SNAPSHOT_FORMAT = 1;
+const DEFAULT_BLOCK_RANGE = 2000;
+
+// Fields compared by diffSnapshots, by what a change means
+const TERM_FIELDS = ["vestingDuration", "cliffDuration", "releaseFrequency", "isActive", "description"];
+const METADATA_FIELDS = ["category", "creator", "creationDate", "locked", "lastModified"];
+const USAGE_FIELDS = ["usageCount", "totalAllocation"];
+
+const TEMPLATE_SNAPSHOT_ABI = [
+    "function getAvailableTemplates() view returns (string[])",
+    "function getVestingTemplate(string name) view returns (tuple(string name, uint256 vestingDuration, uint256 cliffDuration, uint256 releaseFrequency, bool isActive, string description))",
+    "function getTemplateMetadata(string templateName) view returns (string category, uint256 usageCount, uint256 creationDate, address creator, bool isLocked, uint256 lastModified)",
+    "function getTotalAllocationByTemplate(string templateName) view returns (uint256)",
+    "event VestingTemplateCreated(string indexed templateName, uint256 vestingDuration, uint256 cliffDuration, string description)",
+    "event VestingTemplateUpdated(string indexed templateName, uint256 newVestingDuration, uint256 newCliffDuration, bool isActive)",
+    "event VestingScheduleCreated(address indexed beneficiary, string indexed templateName, uint256 scheduleId, uint256 amount, uint256 startTime)"
+];
+
+const snapshotInterface = new ethers.Interface(TEMPLATE_SNAPSHOT_ABI);
+
+// ============ READING ============
+
+/**
+ * Read every template and its metadata at one block
+ * @param {Object} provider - ethers provider
+ * @param {string} manager - VestingTemplateManager address
+ * @param {Object} options - { blockTag } (default: latest)
+ * @returns {Promise<Object>} { blockNumber, timestamp, templates: { name: terms and metadata } }
+ */
+async function fetchTemplates(provider, manager, { blockTag = "latest" } = {}) {
+    const block = await provider.getBlock(blockTag);
+    const at = { blockTag: block.number };
+    const contract = new ethers.Contract(manager, TEMPLATE_SNAPSHOT_ABI, provider);
+
+    const templates = {};
+    for (const name of await contract.getAvailableTemplates(at)) {
+        const template = await contract.getVestingTemplate(name, at);
+        const metadata = await contract.getTemplateMetadata(name, at);
+        templates[name] = {
+            vestingDuration: Number(template.vestingDuration),
+            cliffDuration: Number(template.cliffDuration),
+            releaseFrequency: Number(template.releaseFrequency),
+            isActive: template.isActive,
+            description: template.description,
+            category: metadata.category,
+            creator: metadata.creator,
+            creationDate: Number(metadata.creationDate),
+            locked: metadata.isLocked,
+            lastModified: Number(metadata.lastModified),
+            usageCount: Number(metadata.usageCount),
+            totalAllocation: await contract.getTotalAllocationByTemplate(name, at)
+        };
+    }
+    return { blockNumber: block.number, timestamp: block.timestamp, templates };
+}
+
+/**
+ * Read template creations, updates and the schedules created from templates
+ * @param {Object} provider - ethers provider
+ * @param {string} manager - VestingTemplateManager address
+ * @param {Array<string>} names - Template names; event topics only carry their hashes
+ * @param {Object} options - Query options
+ * @param {number} options.fromBlock - First block (the manager deployment block)
+ * @param {number} options.toBlock - Last block (the snapshot block)
+ * @param {number} options.blockRange - Blocks per getLogs request
+ * @returns {Promise<Array<Object>>} { event, templateName, blockNumber, timestamp, transactionHash, ...args } in chain order
+ */
+async function fetchTemplateEvents(provider, manager, names, { fromBlock = 0, toBlock, blockRange = DEFAULT_BLOCK_RANGE } = {}) {
+    const topics = [["VestingTemplateCreated", "VestingTemplateUpdated", "VestingScheduleCreated"].map(name => snapshotInterface.getEvent(name).topicHash)];
+    const byHash = new Map(names.map(name => [ethers.id(name), name]));
+    const last = toBlock ?? await provider.getBlockNumber();
+
+    const logs = [];
+    for (let from = fromBlock; from <= last; from += blockRange) {
+        logs.push(...await provider.getLogs({ address: manager, topics, fromBlock: from, toBlock: Math.min(from + blockRange - 1, last) }));
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || (a.index ?? a.logIndex) - (b.index ?? b.logIndex));
+
+    const blockTimes = new Map();
+    const events = [];
+    for (const log of logs) {
+        const { name, args } = snapshotInterface.parseLog(log);
+        const templateName = byHash.get(args.templateName.hash);
+        if (!templateName) continue;
+        if (!blockTimes.has(log.blockNumber)) blockTimes.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+
+        const event = { event: name, templateName, blockNumber: log.blockNumber, timestamp: blockTimes.get(log.blockNumber), transactionHash: log.transactionHash };
+        if (name === "VestingTemplateCreated") {
+            Object.assign(event, { vestingDuration: Number(args.vestingDuration), cliffDuration: Number(args.cliffDuration), description: args.description });
+        } else if (name === "VestingTemplateUpdated") {
+            Object.assign(event, { vestingDuration: Number(args.newVestingDuration), cliffDuration: Number(args.newCliffDuration), isActive: args.isActive });
+        } else {
+            Object.assign(event, { beneficiary: ethers.getAddress(args.beneficiary), scheduleId: Number(args.scheduleId), amount: args.amount, startTime: Number(args.startTime) });
+        }
+        events.push(event);
+    }
+    return events;
+}
+
+// ============ VERSIONS ============
+
+/**
+ * Number each template's versions and file its schedules under them
+ * releaseFrequency and description cannot be changed after creation, so
+ * they come from the current template.
+ * @param {Object} templates - Current templates from fetchTemplates
+ * @param {Array<Object>} events - Events from fetchTemplateEvents, in chain order
+ * @returns {Object} { versions: { name: [{ version, blockNumber, timestamp, transactionHash, terms, beneficiaries }] }, warnings }
+ */
+function buildTemplateVersions(templates, events) {
+    const versions = Object.fromEntries(Object.keys(templates).map(name => [name, []]));
+    const warnings = [];
+
+    for (const event of events) {
+        const history = versions[event.templateName];
+        if (!history) continue;
+        const current = history[history.length - 1];
+        const { releaseFrequency, description } = templates[event.templateName];
+
+        if (event.event === "VestingScheduleCreated") {
+            if (!current) {
+                warnings.push(`${event.templateName}: schedule ${event.scheduleId} was created before the first template event read; start from the manager deployment block`);
+                continue;
+            }
+            current.beneficiaries.push({
+                beneficiary: event.beneficiary,
+                scheduleId: event.scheduleId,
+                amount: BigInt(event.amount),
+                startTime: event.startTime,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            });
+            continue;
+        }
+
+        const terms = {
+            vestingDuration: event.vestingDuration,
+            cliffDuration: event.cliffDuration,
+            releaseFrequency,
+            isActive: event.event === "VestingTemplateCreated" ? true : event.isActive,
+            description: event.description ?? description
+        };
+        // An update that leaves the terms as they were is not a new version
+        if (current && hashTemplateTerms(current.terms) === hashTemplateTerms(terms)) continue;
+        history.push({
+            version: history.length + 1,
+            blockNumber: event.blockNumber,
+            timestamp: event.timestamp,
+            transactionHash: event.transactionHash,
+            terms,
+            beneficiaries: []
+        });
+    }
+
+    for (const [name, history] of Object.entries(versions)) {
+        const latest = history[history.length - 1];
+        const terms = pickFields(templates[name], TERM_FIELDS);
+        if (!latest) {
+            warnings.push(`${name}: no creation event found; start from the manager deployment block`);
+        } else if (hashTemplateTerms(latest.terms) !== hashTemplateTerms(terms)) {
+            warnings.push(`${name}: the last version read does not match the template's current terms`);
+        }
+    }
+    return { versions, warnings };
+}
+
+/**
+ * Hash of the terms that decide how a template's schedules vest
+ * @param {Object} terms - { vestingDuration, cliffDuration, releaseFrequency, isActive, description }
+ * @returns {string} keccak256 hash
+ */
+function hashTemplateTerms(terms) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "uint256", "uint256", "bool", "string"],
+        TERM_FIELDS.map(field => terms[field])
+    ));
+}
+
+function pickFields(source, fields) {
+    return Object.fromEntries(fields.map(field => [field, source[field]]));
+}
+
+// ============ SNAPSHOTS ============
+
+/**
+ * Assemble a snapshot as plain JSON
+ * @param {Object} current - Result of fetchTemplates
+ * @param {Object} versions - versions from buildTemplateVersions
+ * @param {Object} meta - { network, manager }
+ * @returns {Object} { format, network, manager, blockNumber, timestamp, templates }
+ */
+function createSnapshot(current, versions, { network, manager } = {}) {
+    const templates = {};
+    for (const name of Object.keys(current.templates).sort()) {
+        const template = current.templates[name];
+        const history = versions[name] || [];
+        templates[name] = {
+            version: history.length,
+            termsHash: hashTemplateTerms(template),
+            ...pickFields(template, TERM_FIELDS),
+            ...pickFields(template, METADATA_FIELDS),
+            usageCount: template.usageCount,
+            totalAllocation: template.totalAllocation.toString(),
+            versions: history.map(version => ({
+                ...version,
+                beneficiaries: version.beneficiaries.map(entry => ({ ...entry, amount: entry.amount.toString() }))
+            }))
+        };
+    }
+    return {
+        format: SNAPSHOT_FORMAT,
+        network,
+        manager: manager && ethers.getAddress(manager),
+        blockNumber: current.blockNumber,
+        timestamp: current.timestamp,
+        templates
+    };
+}
+
+/**
+ * Read a snapshot file
+ * @param {string} file - JSON written from createSnapshot
+ * @returns {Object} Snapshot
+ */
+function loadSnapshot(file) {
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (snapshot.format !== SNAPSHOT_FORMAT || !snapshot.templates) {
+        throw new Error(`${file} is not a format ${SNAPSHOT_FORMAT} vesting template snapshot`);
+    }
+    return snapshot;
+}
+
+/**
+ * Compare two snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Object} { added, removed, changed: [{ name, versionBefore, versionAfter, changes: [{ field, kind, before, after }], enrolled }] }
+ */
+function diffSnapshots(before, after) {
+    const added = Object.keys(after.templates).filter(name => !before.templates[name]);
+    const removed = Object.keys(before.templates).filter(name => !after.templates[name]);
+    const kinds = [[TERM_FIELDS, "terms"], [METADATA_FIELDS, "metadata"], [USAGE_FIELDS, "usage"]];
+
+    const changed = [];
+    for (const name of Object.keys(after.templates).filter(name => before.templates[name])) {
+        const old = before.templates[name];
+        const now = after.templates[name];
+
+        const changes = [];
+        for (const [fields, kind] of kinds) {
+            for (const field of fields) {
+                if (String(old[field]) !== String(now[field])) changes.push({ field, kind, before: old[field], after: now[field] });
+            }
+        }
+
+        const known = new Set(old.versions.flatMap(version => version.beneficiaries.map(entry => entry.scheduleId)));
+        const enrolled = now.versions.flatMap(version => version.beneficiaries
+            .filter(entry => !known.has(entry.scheduleId))
+            .map(entry => ({ version: version.version, ...entry })));
+
+        if (changes.length > 0 || enrolled.length > 0 || old.version !== now.version) {
+            changed.push({ name, versionBefore: old.version, versionAfter: now.version, changes, enrolled });
+        }
+    }
+    return { added, removed, changed };
+}
+
+/**
+ * Flatten a snapshot's enrollments for CSV: one row per schedule, with the
+ * terms of the template version it was created from
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @returns {Object} { columns, records }
+ */
+function toEnrollmentRecords(snapshot) {
+    const columns = ["template", "version", "version_block", "vesting_duration", "cliff_duration", "release_frequency", "beneficiary", "schedule_id", "amount", "start_time", "block", "transaction"];
+    const records = [];
+    for (const [name, template] of Object.entries(snapshot.templates)) {
+        for (const version of template.versions) {
+            for (const entry of version.beneficiaries) {
+                records.push({
+                    template: name,
+                    version: version.version,
+                    version_block: version.blockNumber,
+                    vesting_duration: version.terms.vestingDuration,
+                    cliff_duration: version.terms.cliffDuration,
+                    release_frequency: version.terms.releaseFrequency,
+                    beneficiary: entry.beneficiary,
+                    schedule_id: entry.scheduleId,
+                    amount: ethers.formatEther(entry.amount),
+                    start_time: entry.startTime,
+                    block: entry.blockNumber,
+                    transaction: entry.transactionHash
+                });
+            }
+        }
+    }
+    return { columns, records };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    SNAPSHOT_FORMAT,
+    DEFAULT_BLOCK_RANGE,
+    TERM_FIELDS,
+    METADATA_FIELDS,
+    USAGE_FIELDS,
+    TEMPLATE_SNAPSHOT_ABI,
+    fetchTemplates,
+    fetchTemplateEvents,
+    buildTemplateVersions,
+    hashTemplateTerms,
+    createSnapshot,
+    loadSnapshot,
+    diffSnapshots,
+    toEnrollmentRecords
+};
@@ -0,0 +1,467 @@
+/**
+ * Karma Labs Wallet Migration
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Moves a contributor from an old wallet to a new one. The old address's
+ * footprint is read from every contract that keys state on it: VestingVault
+ * schedules and the TeamVesting / VestingTemplateManager beneficiary
+ * records, GovernanceStaking positions and rewards, the SaleManager
+ * participant record, KARMA balance and roles. None of these contracts can
+ * change an address in place (VestingTemplateManager.migrateBeneficiary
+ * only changes the beneficiary type), so the plan is an ordered list of
+ * transactions, each tagged with who signs it:
+ *
+ *   old    - the old key withdraws what only it can: staking rewards,
+ *            stakes and the KARMA balance, sent to the new address
+ *   admin  - the multisig revokes the old roles and schedules, re-creates
+ *            the unpaid vesting for the new address, re-registers it with
+ *            the vesting managers and SaleManager and grants the roles
+ *   new    - the new key re-stakes what was unstaked
+ *
+ * Each revoked schedule is replaced by up to two schedules starting at the
+ * migration time: one that releases what had vested but was not claimed a
+ * second later, and one that vests the rest on the original timeline. After
+ * execution, verifyMigration reads both addresses again and lists anything
+ * left behind.
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const { fetchRoleEvents, buildRoleMatrix } = require("./access-control-audit");
+const { encodeAction } = require("./multisig-payload");
+const { fetchBeneficiaryVesting } = require("./vesting-statement");
+const { ADMIN_CONSTANTS } = require("../protocol/01-core-token-infrastructure/utils/constants");
+
+// ============ CONSTANTS ============
+
+// Payloads expire after EXECUTION_TIME_LIMIT, so replacement schedules start
+// this long after planning by default and every payload executes before then
+const DEFAULT_MIGRATION_DELAY = ADMIN_CONSTANTS.MULTISIG.EXECUTION_TIME_LIMIT;
+
+// Who signs each migration step
+const MIGRATION_SIGNERS = {
+    OLD: "old",
+    ADMIN: "admin",
+    NEW: "new"
+};
+
+// Contracts checked for roles held by the old address (manifest keys)
+const MIGRATION_ROLE_CONTRACTS = [
+    "KarmaToken",
+    "VestingVault",
+    "TeamVestingManager",
+    "VestingTemplateManager",
+    "SaleManager",
+    "Treasury",
+    "KarmaStaking",
+    "KarmaGovernor",
+    "AdminControl",
+    "KarmaMultiSigManager",
+    "KarmaTimelock"
+];
+
+// SaleManager.KYCStatus
+const KYC_STATUS = ["PENDING", "APPROVED", "REJECTED"];
+
+// GovernanceStaking.StakeType
+const STAKE_TYPES = ["FLEXIBLE", "LOCKED_30", "LOCKED_90", "LOCKED_365"];
+
+// Footprint and plan fields holding token or ETH amounts
+const AMOUNT_FIELDS = new Set([
+    "totalAmount", "claimedAmount", "vested", "claimable", "amount", "penalty", "netAmount",
+    "pendingRewards", "governanceRewards", "totalAllocation", "totalEthSpent", "totalTokensBought", "balance"
+]);
+
+const MIGRATION_ABI = [
+    "function getBeneficiaryInfo(address beneficiary) view returns (tuple(address beneficiary, uint256 totalAllocation, uint256 schedulesCount, uint256[] scheduleIds, string beneficiaryType, bool isActive))",
+    "function getTeamMemberDetails(address member) view returns (string department, string role, uint256 joinDate, bool isActive, uint256 totalAllocation, uint256 schedulesCount)",
+    "function getUserStakeData(address user) view returns (tuple(uint256 totalStaked, uint256 totalVotingPower, uint256 lastActivity, uint256[] stakeIds, uint256 rewardsClaimed))",
+    "function getStakeInfo(uint256 stakeId) view returns (tuple(uint256 amount, uint256 timestamp, uint256 lockPeriod, uint8 stakeType, uint256 rewardDebt, uint256 votingPower, bool isActive))",
+    "function calculatePendingRewards(address user) view returns (uint256)",
+    "function getUnclaimedGovernanceRewards(address user) view returns (uint256)",
+    "function EARLY_UNSTAKE_PENALTY() view returns (uint256)",
+    "function BASIS_POINTS() view returns (uint256)",
+    "function getParticipant(address participant) view returns (tuple(uint256 totalEthSpent, uint256 totalTokensBought, uint8 kycStatus, bool isAccredited, uint256 lastPurchaseTime, uint256[] purchaseIds, uint256 engagementScore, uint256 referralCount, uint256 referralBonus, bool isPrivateSaleParticipant))",
+    "function balanceOf(address account) view returns (uint256)"
+];
+
+// ============ READING ============
+
+/**
+ * Read everything tied to an address across the vesting, staking, sale and token contracts
+ * @param {Object} provider - ethers provider
+ * @param {Object} addresses - { vestingVault, teamVesting, templateManager, staking, saleManager, token }; all optional
+ * @param {string} account - Address to read
+ * @param {Object} options - Read options
+ * @param {string|number} options.blockTag - Block to read at (default: latest)
+ * @param {Object} options.roleContracts - { name: { address, blockNumber } } to search for roles
+ * @param {number} options.blockRange - Blocks per eth_getLogs request when replaying roles
+ * @returns {Promise<Object>} { account, blockNumber, timestamp, schedules, beneficiary, teamMember, staking, participant, balance, roles }
+ */
+async function findAddressFootprint(provider, addresses, account, { blockTag = "latest", roleContracts = {}, blockRange } = {}) {
+    account = ethers.getAddress(account);
+    const block = await provider.getBlock(blockTag);
+    const at = { blockTag: block.number };
+    const contract = (address) => new ethers.Contract(address, MIGRATION_ABI, provider);
+
+    const footprint = {
+        account,
+        blockNumber: block.number,
+        timestamp: block.timestamp,
+        schedules: [],
+        beneficiary: null,
+        teamMember: null,
+        staking: null,
+        participant: null,
+        balance: 0n,
+        roles: []
+    };
+
+    if (addresses.vestingVault) {
+        const vesting = await fetchBeneficiaryVesting(provider, {
+            vestingVault: addresses.vestingVault,
+            TeamVesting: addresses.teamVesting,
+            VestingTemplateManager: addresses.templateManager
+        }, account, { blockTag: block.number });
+        footprint.schedules = vesting.schedules;
+    }
+
+    if (addresses.templateManager) {
+        const info = await contract(addresses.templateManager).getBeneficiaryInfo(account, at);
+        if (info.beneficiary !== ethers.ZeroAddress) {
+            footprint.beneficiary = { beneficiaryType: info.beneficiaryType, totalAllocation: info.totalAllocation, isActive: info.isActive };
+        }
+    }
+
+    if (addresses.teamVesting) {
+        const details = await contract(addresses.teamVesting).getTeamMemberDetails(account, at);
+        if (details.department) {
+            footprint.teamMember = { department: details.department, role: details.role, isActive: details.isActive, totalAllocation: details.totalAllocation };
+        }
+    }
+
+    if (addresses.staking) {
+        const staking = contract(addresses.staking);
+        const data = await staking.getUserStakeData(account, at);
+        const penaltyBps = await staking.EARLY_UNSTAKE_PENALTY(at);
+        const basisPoints = await staking.BASIS_POINTS(at);
+
+        const stakes = [];
+        for (const id of data.stakeIds) {
+            const info = await staking.getStakeInfo(id, at);
+            if (!info.isActive) continue;
+            const lockEnd = Number(info.timestamp) + Number(info.lockPeriod);
+            const early = Number(info.stakeType) !== 0 && block.timestamp < lockEnd;
+            const penalty = early ? (info.amount * penaltyBps) / basisPoints : 0n;
+            stakes.push({
+                stakeId: Number(id),
+                amount: info.amount,
+                stakeType: STAKE_TYPES[Number(info.stakeType)] || String(info.stakeType),
+                lockEnd,
+                penalty,
+                netAmount: info.amount - penalty
+            });
+        }
+        footprint.staking = {
+            stakes,
+            pendingRewards: await staking.calculatePendingRewards(account, at),
+            governanceRewards: await staking.getUnclaimedGovernanceRewards(account, at)
+        };
+    }
+
+    if (addresses.saleManager) {
+        const participant = await contract(addresses.saleManager).getParticipant(account, at);
+        footprint.participant = {
+            kycStatus: KYC_STATUS[Number(participant.kycStatus)],
+            isAccredited: participant.isAccredited,
+            totalEthSpent: participant.totalEthSpent,
+            totalTokensBought: participant.totalTokensBought,
+            purchaseCount: participant.purchaseIds.length,
+            referralCount: Number(participant.referralCount),
+            isPrivateSaleParticipant: participant.isPrivateSaleParticipant
+        };
+    }
+
+    if (addresses.token) {
+        footprint.balance = await contract(addresses.token).balanceOf(account, at);
+    }
+
+    for (const [name, entry] of Object.entries(roleContracts)) {
+        const events = await fetchRoleEvents(provider, name, entry.address, { fromBlock: entry.blockNumber ?? 0, toBlock: block.number, blockRange });
+        const { matrix } = buildRoleMatrix(events);
+        for (const [roleName, { role, holders }] of Object.entries(matrix[name] || {})) {
+            if (holders.some(holder => holder.account === account)) {
+                footprint.roles.push({ contract: name, target: ethers.getAddress(entry.address), role, roleName });
+            }
+        }
+    }
+
+    return footprint;
+}
+
+// ============ PLANNING ============
+
+/**
+ * Split an unpaid schedule into replacement schedules starting at `at`
+ * The vault cannot start a schedule in the past, so the part vested by `at`
+ * is released one second after it and the rest follows the original curve.
+ * @param {Object} schedule - Schedule from findAddressFootprint
+ * @param {number} at - Replacement start time
+ * @returns {Object} { replacements: [{ amount, startTime, cliffDuration, vestingDuration }], warning }
+ */
+function getReplacementSchedules(schedule, at) {
+    const { totalAmount, claimedAmount, startTime, cliffDuration, vestingDuration } = schedule;
+    const unpaid = totalAmount - claimedAmount;
+    if (unpaid <= 0n) return { replacements: [], warning: null };
+
+    // Not started yet: the same schedule under the new address
+    if (at <= startTime) {
+        return { replacements: [{ amount: unpaid, startTime, cliffDuration, vestingDuration }], warning: null };
+    }
+
+    const end = startTime + vestingDuration;
+    const cliffEnd = startTime + cliffDuration;
+    const vested = at < cliffEnd ? 0n : at >= end ? totalAmount : (totalAmount * BigInt(at - startTime)) / BigInt(vestingDuration);
+    const catchUp = vested > claimedAmount ? vested - claimedAmount : 0n;
+    const remainder = unpaid - catchUp;
+
+    const replacements = [];
+    if (catchUp > 0n) replacements.push({ amount: catchUp, startTime: at, cliffDuration: 0, vestingDuration: 1 });
+    if (remainder > 0n) {
+        replacements.push({ amount: remainder, startTime: at, cliffDuration: Math.max(cliffEnd - at, 0), vestingDuration: Math.max(end - at, 1) });
+    }
+
+    const warning = at < cliffEnd
+        ? `Schedule ${schedule.id}: migrating before the cliff; the replacement vests from ${new Date(at * 1000).toISOString()} instead of the original start, so it runs behind the original until ${new Date(end * 1000).toISOString()}`
+        : null;
+    return { replacements, warning };
+}
+
+/**
+ * Build the ordered migration transactions
+ * @param {Object} footprint - Old address, from findAddressFootprint
+ * @param {string} newAddress - Address to migrate to
+ * @param {Object} addresses - Same addresses given to findAddressFootprint
+ * @param {Object} options - Plan options
+ * @param {number} options.at - Start time of replacement schedules (default: footprint time + DEFAULT_MIGRATION_DELAY)
+ * @param {boolean} options.oldKeyAvailable - Whether the old key can still sign (default true)
+ * @returns {Object} { from, to, at, blockNumber, replacements, steps, notes, warnings }
+ */
+function planMigration(footprint, newAddress, addresses, { at, oldKeyAvailable = true } = {}) {
+    const from = footprint.account;
+    const to = ethers.getAddress(newAddress);
+    if (to === from) throw new Error("The new address is the old address");
+    at = at ?? footprint.timestamp + DEFAULT_MIGRATION_DELAY;
+    if (at <= footprint.timestamp) throw new Error("Replacement schedules must start after the block the plan was read at");
+
+    const steps = [];
+    const notes = [];
+    const warnings = [];
+    const karma = (value) => `${ethers.formatEther(value)} KARMA`;
+    const add = (signer, contract, target, signature, args, summary) => {
+        const action = encodeAction("call", { signature, args: args.map(arg => typeof arg === "bigint" || typeof arg === "number" ? String(arg) : arg) });
+        steps.push({ step: steps.length + 1, signer, contract, target, signature: action.signature, args: action.args, data: action.data, summary });
+    };
+
+    // Old key: withdraw what only the holder can move; rewards first, unstaking stops them accruing
+    const staking = footprint.staking;
+    const stakes = staking ? staking.stakes : [];
+    let transferable = footprint.balance;
+    if (staking && oldKeyAvailable) {
+        const { OLD } = MIGRATION_SIGNERS;
+        if (staking.pendingRewards > 0n) {
+            add(OLD, "KarmaStaking", addresses.staking, "claimRewards()", [], `Claim ${karma(staking.pendingRewards)} staking rewards (grows until executed)`);
+            transferable += staking.pendingRewards;
+        }
+        if (staking.governanceRewards > 0n) {
+            add(OLD, "KarmaStaking", addresses.staking, "claimGovernanceRewards()", [], `Claim ${karma(staking.governanceRewards)} governance rewards`);
+        }
+        for (const stake of stakes) {
+            const penalty = stake.penalty > 0n ? `, ${karma(stake.penalty)} early-unstake penalty` : "";
+            add(OLD, "KarmaStaking", addresses.staking, "unstake(uint256)", [stake.stakeId], `Unstake ${karma(stake.amount)} (stake ${stake.stakeId}, ${stake.stakeType}${penalty})`);
+            transferable += stake.netAmount;
+        }
+    }
+    if (transferable > 0n && addresses.token && oldKeyAvailable) {
+        add(MIGRATION_SIGNERS.OLD, "KarmaToken", addresses.token, "transfer(address,uint256)", [to, transferable], `Send ${karma(transferable)} to ${to} (send the whole balance if rewards have grown)`);
+    }
+    if (!oldKeyAvailable) {
+        if (stakes.length > 0) warnings.push(`${stakes.length} stakes (${karma(stakes.reduce((sum, stake) => sum + stake.amount, 0n))}) can only be unstaked by the old key and stay behind`);
+        if (staking && staking.pendingRewards + staking.governanceRewards > 0n) warnings.push(`${karma(staking.pendingRewards + staking.governanceRewards)} of staking rewards can only be claimed by the old key and stay behind`);
+        if (footprint.balance > 0n) warnings.push(`${karma(footprint.balance)} held by the old address can only be sent by the old key and stays behind`);
+    }
+
+    // Admin: lock the old address out before granting anything to the new one
+    const { ADMIN } = MIGRATION_SIGNERS;
+    for (const { contract, target, role, roleName } of footprint.roles) {
+        add(ADMIN, contract, target, "revokeRole(bytes32,address)", [role, from], `Revoke ${roleName} on ${contract} from ${from}`);
+    }
+
+    const schedules = footprint.schedules.filter(schedule => !schedule.revoked && schedule.totalAmount > schedule.claimedAmount);
+    const replacements = [];
+    for (const schedule of schedules) {
+        add(ADMIN, "VestingVault", addresses.vestingVault, "revokeSchedule(uint256)", [schedule.id], `Revoke vesting schedule ${schedule.id} (${schedule.scheduleType}, ${karma(schedule.totalAmount - schedule.claimedAmount)} unpaid)`);
+        const { replacements: parts, warning } = getReplacementSchedules(schedule, at);
+        if (warning) warnings.push(warning);
+        parts.forEach(part => replacements.push({ ...part, replaces: schedule.id, scheduleType: schedule.scheduleType }));
+    }
+    for (const replacement of replacements) {
+        add(ADMIN, "VestingVault", addresses.vestingVault, "createVestingSchedule(address,uint256,uint256,uint256,uint256,string)",
+            [to, replacement.amount, replacement.startTime, replacement.cliffDuration, replacement.vestingDuration, replacement.scheduleType],
+            `Vest ${karma(replacement.amount)} to ${to} replacing schedule ${replacement.replaces}${replacement.vestingDuration === 1 ? " (already vested)" : ""}`);
+    }
+    if (schedules.length > 0) {
+        const unclaimed = schedules.reduce((sum, schedule) => sum + (schedule.claimable ?? 0n), 0n);
+        if (unclaimed > 0n) {
+            notes.push(`Do not claim from ${from} once this plan is made: the replacement schedules already include its ${karma(unclaimed)} unclaimed vesting`);
+        }
+    }
+
+    if (footprint.beneficiary) {
+        const { beneficiaryType, totalAllocation } = footprint.beneficiary;
+        add(ADMIN, "VestingTemplateManager", addresses.templateManager, "registerBeneficiary(address,string,uint256)", [to, beneficiaryType, totalAllocation], `Register ${to} as ${beneficiaryType} with ${karma(totalAllocation)}`);
+        if (footprint.beneficiary.isActive) {
+            add(ADMIN, "VestingTemplateManager", addresses.templateManager, "updateBeneficiaryStatus(address,bool,string)", [from, false, `Migrated to ${to}`], `Deactivate ${from} in VestingTemplateManager`);
+        }
+    }
+    if (footprint.teamMember) {
+        const { department, role, totalAllocation } = footprint.teamMember;
+        add(ADMIN, "TeamVestingManager", addresses.teamVesting, "addTeamMember(address,string,string,uint256)", [to, department, role, totalAllocation], `Add ${to} to ${department} as ${role}`);
+        if (footprint.teamMember.isActive) {
+            add(ADMIN, "TeamVestingManager", addresses.teamVesting, "updateTeamMember(address,string,string,bool)", [from, "", "", false], `Deactivate ${from} in TeamVesting`);
+        }
+        warnings.push(`TeamVesting keeps counting deactivated members: ${department} will count ${karma(totalAllocation)} for both addresses`);
+    }
+
+    for (const { contract, target, role, roleName } of footprint.roles) {
+        add(ADMIN, contract, target, "grantRole(bytes32,address)", [role, to], `Grant ${roleName} on ${contract} to ${to}`);
+    }
+
+    const participant = footprint.participant;
+    if (participant) {
+        if (participant.kycStatus !== "PENDING") {
+            add(ADMIN, "SaleManager", addresses.saleManager, "updateKYCStatus(address,uint8)", [to, KYC_STATUS.indexOf(participant.kycStatus)], `Set ${to} KYC status to ${participant.kycStatus}`);
+        }
+        if (participant.isAccredited) {
+            add(ADMIN, "SaleManager", addresses.saleManager, "setAccreditedStatus(address,bool)", [to, true], `Mark ${to} as accredited`);
+        }
+        if (participant.purchaseCount > 0 || participant.referralCount > 0) {
+            notes.push(`SaleManager keeps ${from}'s ${participant.purchaseCount} purchases and ${participant.referralCount} referrals; sale vesting moves with the schedules above and purchased KARMA with the balance`);
+        }
+        if (participant.kycStatus !== "PENDING" || participant.isPrivateSaleParticipant) {
+            notes.push(`Whitelists are Merkle roots: add ${to} to the next whitelist update for any sale phase still open`);
+        }
+    }
+
+    // New key: stake again; lock periods restart
+    if (oldKeyAvailable && stakes.length > 0) {
+        const { NEW } = MIGRATION_SIGNERS;
+        const total = stakes.reduce((sum, stake) => sum + stake.netAmount, 0n);
+        add(NEW, "KarmaToken", addresses.token, "approve(address,uint256)", [addresses.staking, total], `Approve KarmaStaking to stake ${karma(total)}`);
+        for (const stake of stakes) {
+            add(NEW, "KarmaStaking", addresses.staking, "stake(uint256,uint8)", [stake.netAmount, STAKE_TYPES.indexOf(stake.stakeType)], `Stake ${karma(stake.netAmount)} as ${stake.stakeType} (replaces stake ${stake.stakeId}; the lock restarts)`);
+        }
+    }
+
+    return { from, to, at, blockNumber: footprint.blockNumber, replacements, steps, notes, warnings };
+}
+
+// ============ FILES ============
+
+/**
+ * Write a plan and the footprint it was built from as JSON
+ * @param {string} file - Output file
+ * @param {Object} record - { network, plan, footprint, ... }
+ */
+function saveMigrationPlan(file, record) {
+    fs.writeFileSync(file, `${JSON.stringify(record, (key, value) => typeof value === "bigint" ? value.toString() : value, 2)}\n`);
+}
+
+/**
+ * Read a plan written by saveMigrationPlan, restoring token amounts to bigint
+ * @param {string} file - Plan file
+ * @returns {Object} { network, plan, footprint, ... }
+ */
+function loadMigrationPlan(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"), (key, value) => AMOUNT_FIELDS.has(key) && typeof value === "string" ? BigInt(value) : value);
+}
+
+// ============ VERIFICATION ============
+
+/**
+ * List what an executed migration left behind
+ * @param {Object} plan - From planMigration
+ * @param {Object} before - Old address footprint the plan was built from
+ * @param {Object} old - Old address footprint after execution
+ * @param {Object} current - New address footprint after execution
+ * @returns {Object} { complete, leftovers }
+ */
+function verifyMigration(plan, before, old, current) {
+    const leftovers = [];
+    const karma = (value) => `${ethers.formatEther(value)} KARMA`;
+
+    const claimedBefore = new Map(before.schedules.map(schedule => [schedule.id, schedule.claimedAmount]));
+    for (const schedule of old.schedules) {
+        if (!schedule.revoked && schedule.totalAmount > schedule.claimedAmount) {
+            leftovers.push(`Schedule ${schedule.id} still vests ${karma(schedule.totalAmount - schedule.claimedAmount)} to ${old.account}`);
+        }
+        const claimed = schedule.claimedAmount - (claimedBefore.get(schedule.id) ?? 0n);
+        if (claimed > 0n) {
+            leftovers.push(`Schedule ${schedule.id}: ${old.account} claimed ${karma(claimed)} after the plan was made, which the replacement schedules pay again`);
+        }
+    }
+
+    const replacedIds = new Set(before.schedules.map(schedule => schedule.id));
+    const created = current.schedules.filter(schedule => !replacedIds.has(schedule.id) && !schedule.revoked);
+    for (const replacement of plan.replacements) {
+        const index = created.findIndex(schedule => schedule.totalAmount === replacement.amount && schedule.startTime === replacement.startTime);
+        if (index === -1) {
+            leftovers.push(`No ${karma(replacement.amount)} schedule for ${current.account} replacing schedule ${replacement.replaces}`);
+        } else {
+            created.splice(index, 1);
+        }
+    }
+
+    if (old.beneficiary && old.beneficiary.isActive) leftovers.push(`${old.account} is still an active VestingTemplateManager beneficiary`);
+    if (before.beneficiary && !current.beneficiary) leftovers.push(`${current.account} is not registered with VestingTemplateManager`);
+    if (old.teamMember && old.teamMember.isActive) leftovers.push(`${old.account} is still an active ${old.teamMember.department} team member`);
+    if (before.teamMember && !current.teamMember) leftovers.push(`${current.account} is not a TeamVesting member`);
+
+    if (old.staking) {
+        old.staking.stakes.forEach(stake => leftovers.push(`Stake ${stake.stakeId} (${karma(stake.amount)}) is still active on ${old.account}`));
+        if (old.staking.pendingRewards > 0n) leftovers.push(`${karma(old.staking.pendingRewards)} staking rewards unclaimed on ${old.account}`);
+        if (old.staking.governanceRewards > 0n) leftovers.push(`${karma(old.staking.governanceRewards)} governance rewards unclaimed on ${old.account}`);
+    }
+    if (old.balance > 0n) leftovers.push(`${karma(old.balance)} still held by ${old.account}`);
+
+    if (before.participant && current.participant) {
+        if (before.participant.kycStatus !== "PENDING" && current.participant.kycStatus !== before.participant.kycStatus) {
+            leftovers.push(`${current.account} KYC status is ${current.participant.kycStatus}, expected ${before.participant.kycStatus}`);
+        }
+        if (before.participant.isAccredited && !current.participant.isAccredited) leftovers.push(`${current.account} is not marked accredited`);
+    }
+
+    const held = (footprint, { contract, role }) => footprint.roles.some(entry => entry.contract === contract && entry.role === role);
+    old.roles.forEach(entry => leftovers.push(`${old.account} still holds ${entry.roleName} on ${entry.contract}`));
+    before.roles.filter(entry => !held(current, entry)).forEach(entry => leftovers.push(`${current.account} does not hold ${entry.roleName} on ${entry.contract}`));
+
+    return { complete: leftovers.length === 0, leftovers };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    DEFAULT_MIGRATION_DELAY,
+    MIGRATION_SIGNERS,
+    MIGRATION_ROLE_CONTRACTS,
+    MIGRATION_ABI,
+    KYC_STATUS,
+    STAKE_TYPES,
+    findAddressFootprint,
+    getReplacementSchedules,
+    planMigration,
+    saveMigrationPlan,
+    loadMigrationPlan,
+    verifyMigration
+};
@@ -0,0 +1,248 @@
+/**
+ * Karma Labs Whitelist Ingestion
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Turns the KYC vendor's CSV or XLSX export into the participant list that
+ * Stage 3 generateTieredWhitelist takes. Headers are matched loosely, extra
+ * columns are ignored, addresses must pass their EIP-55 checksum and an
+ * address may only appear in one tier. Every row is checked, so one run
+ * gives the full rejection report (row, reason) next to the accepted list.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { parseCsvRows } = require("./csv");
+const { parseXlsxRows } = require("./xlsx");
+const { WHITELIST_TIERS } = require("../protocol/03-token-sales-engine/utils/allocation-whitelist");
+
+// ============ CONSTANTS ============
+
+// Accepted header spellings, compared lowercase with everything but letters and digits removed
+const WHITELIST_COLUMNS = {
+    address: ["address", "wallet", "walletaddress", "ethaddress", "ethereumaddress", "evmaddress"],
+    tier: ["tier", "whitelisttier", "allocationtier", "category"],
+    kycStatus: ["kycstatus", "status", "reviewstatus", "verificationstatus"],
+    maxContribution: ["maxcontribution", "maxcontributioneth", "contributioncap", "cap"]
+};
+
+// KYC statuses that let a row onto the whitelist
+const KYC_APPROVED_STATUSES = ["approved", "verified", "passed", "cleared", "completed"];
+
+const DEFAULT_TIER = "PUBLIC";
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// ============ LOADING ============
+
+/**
+ * Read the rows of a whitelist export
+ * @param {string} file - .csv or .xlsx file
+ * @param {Object} options - { sheet } worksheet name for XLSX (default: the first sheet)
+ * @returns {Promise<Array<Object>>} { line, values } per row, header included
+ */
+async function loadWhitelistRows(file, { sheet } = {}) {
+    const extension = path.extname(file).toLowerCase();
+    if (extension === ".xlsx") {
+        return parseXlsxRows(fs.readFileSync(file), { sheet });
+    }
+    if (extension === ".csv" || extension === ".txt") {
+        return parseCsvRows(fs.readFileSync(file, "utf8"));
+    }
+    throw new Error(`Unsupported whitelist file ${file} (expected .csv or .xlsx)`);
+}
+
+/**
+ * Find the header row and the index of each known column
+ * @param {Array<Object>} rows - From loadWhitelistRows
+ * @returns {Object} { headerIndex, columns, ignored } where columns maps
+ *          address/tier/kycStatus/maxContribution to a column index
+ */
+function findColumns(rows) {
+    // Exports sometimes carry a title or notes above the header
+    const headerIndex = rows.findIndex(({ values }) =>
+        values.some(value => WHITELIST_COLUMNS.address.includes(normalizeHeader(value)))
+    );
+    if (headerIndex === -1) {
+        throw new Error(`No address column found (expected a header such as ${WHITELIST_COLUMNS.address.slice(0, 3).join(", ")})`);
+    }
+
+    const columns = {};
+    const ignored = [];
+    rows[headerIndex].values.forEach((value, index) => {
+        const header = normalizeHeader(value);
+        const key = Object.keys(WHITELIST_COLUMNS).find(name => WHITELIST_COLUMNS[name].includes(header));
+        if (key && columns[key] === undefined) {
+            columns[key] = index;
+        } else if (header !== "") {
+            ignored.push(value.trim());
+        }
+    });
+    return { headerIndex, columns, ignored };
+}
+
+// ============ VALIDATION ============
+
+/**
+ * Check an address and its EIP-55 checksum
+ * @param {string} value - Address as exported
+ * @param {boolean} requireChecksum - Reject all-lowercase and all-uppercase addresses
+ * @returns {Object} { address, checksummed } or { reason }
+ */
+function checkAddress(value, requireChecksum = false) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+        return { reason: `"${value}" is not an Ethereum address` };
+    }
+    const address = ethers.getAddress(value.toLowerCase());
+    if (address === ethers.ZeroAddress) {
+        return { reason: "zero address" };
+    }
+
+    const digits = value.slice(2);
+    const singleCase = digits === digits.toLowerCase() || digits === digits.toUpperCase();
+    if (!singleCase && value !== address) {
+        return { reason: `EIP-55 checksum mismatch (expected ${address})` };
+    }
+    if (singleCase && requireChecksum) {
+        return { reason: "address has no EIP-55 checksum" };
+    }
+    return { address, checksummed: !singleCase };
+}
+
+/**
+ * Validate whitelist rows and split them into accepted and rejected
+ * @param {Array<Object>} rows - From loadWhitelistRows
+ * @param {Object} options - { tiers, defaultTier, requireChecksum, maxWhitelistSize }
+ *   tiers: allowed tier names (default: the Stage 3 whitelist tiers)
+ *   defaultTier: tier of rows with an empty tier cell
+ *   requireChecksum: reject addresses without a checksum instead of checksumming them
+ *   maxWhitelistSize: most accepted participants allowed
+ * @returns {Object} { accepted, rejected, warnings, errors, isValid, stats }
+ *   accepted: { address, tier, row, maxContribution? } ready for generateTieredWhitelist
+ *   rejected: { row, address, reason } for every refused row, in row order
+ */
+function ingestWhitelist(rows, { tiers = WHITELIST_TIERS, defaultTier = DEFAULT_TIER, requireChecksum = false, maxWhitelistSize } = {}) {
+    const { headerIndex, columns, ignored } = findColumns(rows);
+    const allowedTiers = tiers.map(tier => String(tier).trim().toUpperCase());
+    const warnings = [];
+    const errors = [];
+    const rejected = [];
+    const candidates = [];
+    let unchecksummed = 0;
+
+    if (headerIndex > 0) {
+        warnings.push(`Header found on row ${rows[headerIndex].line}; ${headerIndex} rows above it were skipped`);
+    }
+    if (ignored.length > 0) {
+        warnings.push(`Ignoring columns: ${ignored.join(", ")}`);
+    }
+
+    for (const { line, values } of rows.slice(headerIndex + 1)) {
+        const cell = (key) => (columns[key] === undefined ? "" : String(values[columns[key]] ?? "").trim());
+        const raw = cell("address");
+        const reasons = [];
+
+        let address;
+        if (raw === "") {
+            reasons.push("missing address");
+        } else {
+            const check = checkAddress(raw, requireChecksum);
+            if (check.reason) {
+                reasons.push(check.reason);
+            } else {
+                address = check.address;
+                if (!check.checksummed) unchecksummed++;
+            }
+        }
+
+        const tier = (cell("tier") || defaultTier).toUpperCase();
+        if (!allowedTiers.includes(tier)) {
+            reasons.push(`unknown tier "${cell("tier")}" (expected ${allowedTiers.join(", ")})`);
+        }
+
+        if (columns.kycStatus !== undefined) {
+            const status = cell("kycStatus");
+            if (!KYC_APPROVED_STATUSES.includes(status.toLowerCase())) {
+                reasons.push(status === "" ? "missing KYC status" : `KYC status is "${status}"`);
+            }
+        }
+
+        let maxContribution;
+        const cap = cell("maxContribution");
+        if (cap !== "") {
+            try {
+                maxContribution = ethers.parseEther(cap.replace(/,/g, ""));
+            } catch (error) {
+                maxContribution = 0n;
+            }
+            if (maxContribution <= 0n) reasons.push(`invalid max contribution "${cap}"`);
+        }
+
+        if (reasons.length > 0) {
+            rejected.push({ row: line, address: raw, reason: reasons.join("; ") });
+            continue;
+        }
+        const entry = { address, tier, row: line };
+        if (maxContribution !== undefined) entry.maxContribution = maxContribution;
+        candidates.push(entry);
+    }
+
+    // An address may repeat within its tier (later rows are dropped) but not across tiers
+    const byAddress = new Map();
+    for (const entry of candidates) {
+        if (!byAddress.has(entry.address)) byAddress.set(entry.address, []);
+        byAddress.get(entry.address).push(entry);
+    }
+
+    const accepted = [];
+    for (const entries of byAddress.values()) {
+        const [first, ...repeats] = entries;
+        if (new Set(entries.map(entry => entry.tier)).size > 1) {
+            const listing = entries.map(entry => `${entry.tier} (row ${entry.row})`).join(", ");
+            entries.forEach(entry => rejected.push({ row: entry.row, address: entry.address, reason: `listed in more than one tier: ${listing}` }));
+            continue;
+        }
+        accepted.push(first);
+        repeats.forEach(entry => rejected.push({ row: entry.row, address: entry.address, reason: `duplicate of row ${first.row}` }));
+    }
+    accepted.sort((a, b) => a.row - b.row);
+    rejected.sort((a, b) => a.row - b.row);
+
+    if (unchecksummed > 0) {
+        warnings.push(`${unchecksummed} rows had an address without an EIP-55 checksum; it was checksummed`);
+    }
+    if (maxWhitelistSize && accepted.length > maxWhitelistSize) {
+        errors.push(`Whitelist size (${accepted.length}) exceeds maximum (${maxWhitelistSize})`);
+    }
+
+    const byTier = {};
+    allowedTiers.forEach(tier => {
+        byTier[tier] = accepted.filter(entry => entry.tier === tier).length;
+    });
+
+    return {
+        accepted,
+        rejected,
+        warnings,
+        errors,
+        isValid: errors.length === 0,
+        stats: {
+            rows: rows.length - headerIndex - 1,
+            accepted: accepted.length,
+            rejected: rejected.length,
+            byTier
+        }
+    };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    WHITELIST_COLUMNS,
+    KYC_APPROVED_STATUSES,
+    DEFAULT_TIER,
+    loadWhitelistRows,
+    checkAddress,
+    ingestWhitelist
+};
@@ -0,0 +1,92 @@
+/**
+ * Karma Labs XLSX
+ * Ecosystem Tooling: Stages 1-9
+ *
+ * Reads the cell text of one worksheet from an Excel (.xlsx) workbook, the
+ * format vendor portals export alongside CSV. The workbook is parsed with
+ * exceljs; rows come back in the same shape as csv.parseCsvRows.
+ */
+
+const ExcelJS = require("exceljs");
+
+// ============ CELLS ============
+
+/**
+ * Text of a cell as Excel shows it: rich text joined, formula results,
+ * booleans as TRUE/FALSE and dates as ISO strings
+ * @param {Object} cell - exceljs cell
+ * @returns {string} Cell text
+ */
+function cellText(cell) {
+    const value = cell.value;
+    if (value === null || value === undefined) return "";
+    if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === "object" && "result" in value) {
+        return value.result === undefined || value.result === null ? "" : cellText({ value: value.result });
+    }
+    return cell.text ?? String(value);
+}
+
+// ============ PARSING ============
+
+/**
+ * Read the rows of a worksheet
+ * @param {Buffer} buffer - XLSX file contents
+ * @param {Object} options - { sheet } sheet name (default: the first sheet)
+ * @returns {Promise<Array<Object>>} { line, values } per row, line being the
+ *          sheet's 1-based row number; rows with no text are skipped
+ */
+async function parseXlsxRows(buffer, { sheet } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new Error(`Not an XLSX file (${error.message})`);
+    }
+
+    const worksheet = sheet === undefined ? workbook.worksheets[0] : workbook.getWorksheet(sheet);
+    if (!worksheet) {
+        const names = workbook.worksheets.map(entry => `"${entry.name}"`).join(", ");
+        throw new Error(`Sheet "${sheet}" not found (workbook has ${names || "no sheets"})`);
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, line) => {
+        const values = [];
+        row.eachCell({ includeEmpty: true }, (cell, column) => {
+            values[column - 1] = cellText(cell);
+        });
+        for (let i = 0; i < values.length; i++) values[i] ??= "";
+        if (values.some(value => value !== "")) rows.push({ line, values });
+    });
+    return rows;
+}
+
+/**
+ * Read a worksheet with a header row into records
+ * @param {Buffer} buffer - XLSX file contents
+ * @param {Object} options - { sheet }
+ * @returns {Promise<Array<Object>>} One object per row keyed by the trimmed
+ *          header, plus the row number as `line`
+ */
+async function parseXlsx(buffer, options = {}) {
+    const [header, ...rows] = await parseXlsxRows(buffer, options);
+    if (!header) return [];
+    const columns = header.values.map(column => column.trim());
+
+    return rows.map(({ line, values }) => {
+        const record = { line };
+        columns.forEach((column, i) => {
+            record[column] = (values[i] ?? "").trim();
+        });
+        return record;
+    });
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    parseXlsxRows,
+    parseXlsx
+};